@@ -1,11 +1,60 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { createClient } from '@supabase/supabase-js'
-import { formatCurrency, calculateProfitRate, calculateDaysPassed } from './utils/calculations'
+import { formatCurrency, calculateProfitRate, calculateDaysPassed, calculateLineItemTotals, calculateProjectTaxAmounts, formatTaxRate, getTaxRateOptions, TAX_MODES, TAX_ROUNDING_MODES, DEFAULT_TAX_SETTINGS } from './utils/calculations'
+import { lineItemToFormItem, validateLineItems, toLineItemRecords } from './utils/lineItems'
+import { buildRevisionSnapshot, formatRevisionLabel } from './utils/revisions'
+import { PROJECT_STATUSES, DEFAULT_PROJECT_STATUS, getStatusDefinition, getStatusLabel, getStatusTransitionPatch } from './utils/projectStatus'
+import { PROJECT_LIST_VIEW, buildProjectListQuery, fetchAllPages, toProjectSummary, toClientAggregation } from './utils/projectQuery'
+import { DEFAULT_PROJECT_FILTERS, parseProjectListParams, buildProjectListParams, countActiveFilters } from './utils/projectFilters'
+import { buildSavedViewSettings, parseSavedViewSettings, findDefaultView } from './utils/savedViews'
+import { DEFAULT_AUDIT_FILTERS, AUDIT_LOG_PAGE_SIZE, buildAuditLogQuery } from './utils/auditLog'
+import { loadStoredOrganizationId, storeOrganizationId, resolveCurrentOrganizationId } from './utils/organizations'
+import { DEFAULT_TRASH_RETENTION_DAYS, buildTrashQuery } from './utils/trash'
+import { OptimisticDeleteManager } from './utils/deleteHelpers'
+import { IMPORT_COLUMNS, createImportRows, updateImportRowValue, summarizeImportRows, getImportableProjects, buildImportErrorReport } from './utils/importPreview'
+import { DEFAULT_IMPORT_OPTIONS, getMatchKeyLabel, planImportUpsert, summarizeImportPlan, buildUpsertParams } from './utils/importUpsert'
+import { applyColumnMapping, findMatchingTemplate, suggestImportSettings } from './utils/importMapping'
+import { createImportJob, runImportJob, canResumeImportJob, storePendingImportJob, loadPendingImportJob, clearPendingImportJob } from './utils/importJob'
+import { DEFAULT_CSV_EXPORT_SETTINGS, TEXT_ENCODINGS, isDelimitedTextFile, readDelimitedFile, buildDelimitedFile, downloadBlob, getDelimiter, loadCsvExportSettings, storeCsvExportSettings } from './utils/delimitedText'
+import { findClientByName, resolveClientName, toClientRecord } from './utils/clients'
+import { STAFF_ROLES, getStaffRole, findStaffByName, getStaffSelectOptions, toStaffRecord, toStaffAggregation } from './utils/staff'
+import { getSelectionState, toggleSelection, toggleAllSelection, pruneSelection, summarizeProjects, describeBulkAction, getBulkErrorMessage, runBulkOperation, summarizeBulkResults } from './utils/bulkOperations'
+import { formatProjectNumber, getClientNumberPrefix, isDuplicateProjectNumberError } from './utils/projectNumber'
+import { DEFAULT_FOLLOW_UP_THRESHOLDS, toFollowUpRecord, getFollowUpAssigneeOptions } from './utils/followUps'
+import { toLocalDateString, addDays } from './utils/dates'
+import { getActivityKindDefinition, toActivityRecord } from './utils/projectActivities'
+import { normalizeRole, getRoleLabel, getRolePermissions, canEditProject, canEditFollowUp, canDeleteActivity, isPermissionError, getPermissionDeniedMessage } from './utils/permissions'
 import * as XLSX from 'xlsx'
+import { FileText, BellRing } from 'lucide-react'
 import DeleteButton from './components/DeleteButton'
+import EditButton from './components/EditButton'
+import LineItemEditor from './components/LineItemEditor'
+import RevisionHistoryDialog from './components/RevisionHistoryDialog'
+import ProjectFilterBar from './components/ProjectFilterBar'
+import SavedViewMenu from './components/SavedViewMenu'
+import QuotationDialog from './components/QuotationDialog'
 import ConfirmationDialog from './components/ConfirmationDialog'
-import NotificationSystem, { createDeleteSuccessNotification, createDeleteErrorNotification } from './components/NotificationSystem'
+import NotificationSystem, { createNotification, createDeleteSuccessNotification, createDeleteErrorNotification } from './components/NotificationSystem'
 import ClientAggregationTable from './components/ClientAggregationTable'
+import UserRoleDialog from './components/UserRoleDialog'
+import OrganizationSwitcher from './components/OrganizationSwitcher'
+import AuditLogDialog from './components/AuditLogDialog'
+import TrashDialog from './components/TrashDialog'
+import ProjectNumberSettingsDialog from './components/ProjectNumberSettingsDialog'
+import ImportMappingDialog from './components/ImportMappingDialog'
+import ImportPreviewDialog from './components/ImportPreviewDialog'
+import ImportDiffDialog from './components/ImportDiffDialog'
+import CsvExportDialog from './components/CsvExportDialog'
+import ImportProgressDialog from './components/ImportProgressDialog'
+import ClientCombobox from './components/ClientCombobox'
+import ClientMasterDialog from './components/ClientMasterDialog'
+import StaffMasterDialog from './components/StaffMasterDialog'
+import StaffAggregationTable from './components/StaffAggregationTable'
+import BulkActionBar from './components/BulkActionBar'
+import BulkResultDialog from './components/BulkResultDialog'
+import FollowUpPanel from './components/FollowUpPanel'
+import FollowUpDialog from './components/FollowUpDialog'
+import ProjectDetailPanel from './components/ProjectDetailPanel'
 import { useDeleteWithConfirmation } from './hooks/useEnhancedDelete'
 
 // Initialize Supabase client
@@ -13,6 +62,74 @@ const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY
 const supabase = createClient(supabaseUrl, supabaseKey)
 
+// 削除後に「元に戻す」を表示する時間（ミリ秒）
+const UNDO_DELETE_DURATION = 8000
+
+// Excelエクスポートの1行分（プロジェクト一覧シート）
+const toProjectExportRow = (project) => {
+  const profitRate = calculateProfitRate(project.customer_amount, project.net_amount)
+  const daysPassed = calculateDaysPassed(project.submission_date)
+  const { taxMode, taxRate, net, customer } = calculateProjectTaxAmounts(project)
+
+  return {
+    '工事番号': project.project_number || '',
+    '版': formatRevisionLabel(project.current_revision),
+    '客先': project.client,
+    '件名': project.title,
+    '工事担当者': project.construction_manager || '',
+    '営業担当者': project.sales_manager || '',
+    'ネット金額': parseFloat(project.net_amount) || 0,
+    '客出金額': parseFloat(project.customer_amount) || 0,
+    '税区分': TAX_MODES.find(mode => mode.code === taxMode).label,
+    '税率(%)': taxRate * 100,
+    'ネット金額(税抜)': net.exclusive,
+    'ネット金額(税込)': net.inclusive,
+    '客出金額(税抜)': customer.exclusive,
+    '消費税': customer.tax,
+    '客出金額(税込)': customer.inclusive,
+    '利益率(%)': parseFloat(profitRate),
+    '提出日': project.submission_date,
+    '経過日数': daysPassed,
+    'ステータス': getStatusLabel(project.status),
+    '受注日': project.won_date || '',
+    '失注日': project.lost_date || '',
+    '作成日時': new Date(project.created_at).toLocaleString('ja-JP')
+  }
+}
+
+// プロジェクト一覧シートの列幅
+const PROJECT_EXPORT_COLUMN_WIDTHS = [
+  { wch: 15 }, // 工事番号
+  { wch: 8 },  // 版
+  { wch: 20 }, // 客先
+  { wch: 30 }, // 件名
+  { wch: 15 }, // 工事担当者
+  { wch: 15 }, // 営業担当者
+  { wch: 15 }, // ネット金額
+  { wch: 15 }, // 客出金額
+  { wch: 8 },  // 税区分
+  { wch: 8 },  // 税率
+  { wch: 15 }, // ネット金額(税抜)
+  { wch: 15 }, // ネット金額(税込)
+  { wch: 15 }, // 客出金額(税抜)
+  { wch: 12 }, // 消費税
+  { wch: 15 }, // 客出金額(税込)
+  { wch: 10 }, // 利益率
+  { wch: 12 }, // 提出日
+  { wch: 10 }, // 経過日数
+  { wch: 10 }, // ステータス
+  { wch: 12 }, // 受注日
+  { wch: 12 }, // 失注日
+  { wch: 20 }  // 作成日時
+]
+
+// プロジェクト一覧の列（CSVエクスポートで出力する列を選択する）
+const PROJECT_EXPORT_COLUMNS = [
+  '工事番号', '版', '客先', '件名', '工事担当者', '営業担当者', 'ネット金額', '客出金額', '税区分', '税率(%)',
+  'ネット金額(税抜)', 'ネット金額(税込)', '客出金額(税抜)', '消費税', '客出金額(税込)', '利益率(%)',
+  '提出日', '経過日数', 'ステータス', '受注日', '失注日', '作成日時'
+]
+
 function App() {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -26,11 +143,107 @@ function App() {
   const [dataLoading, setDataLoading] = useState(false)
   const [error, setError] = useState('')
 
+  // 一括操作（一覧で選択したプロジェクト）
+  const [selectedProjectIds, setSelectedProjectIds] = useState(() => new Set())
+  const [bulkConfirmation, setBulkConfirmation] = useState({ isOpen: false, action: null })
+  const [bulkProcessing, setBulkProcessing] = useState(false)
+  const [bulkResult, setBulkResult] = useState({ isOpen: false, title: '', results: [] })
+  const selectedProjects = projects.filter(project => selectedProjectIds.has(project.id))
+
   // ソート機能の状態
-  const [sortConfig, setSortConfig] = useState({ key: 'created_at', direction: 'desc' })
+  // ソート・絞り込み条件はURLから復元する（ブックマーク・共有用）
+  const [sortConfig, setSortConfig] = useState(() => parseProjectListParams(window.location.search).sortConfig)
+  const [filters, setFilters] = useState(() => parseProjectListParams(window.location.search).filters)
+  const [managerOptions, setManagerOptions] = useState({ construction: [], sales: [] })
+  // 保存ビュー（URLに条件がない状態でログインした場合は既定のビューを適用する）
+  const [savedViews, setSavedViews] = useState([])
+  const [activeViewId, setActiveViewId] = useState(null)
+  const [savingView, setSavingView] = useState(false)
+  const shouldApplyDefaultViewRef = useRef(!window.location.search)
+
+  // 所属している組織と表示中の組織（データはすべて表示中の組織に絞り込む）
+  const [organizations, setOrganizations] = useState([])
+  const [currentOrganizationId, setCurrentOrganizationId] = useState(null)
+  const currentOrganization = organizations.find(organization => organization.id === currentOrganizationId)
+
+  // 表示中の組織でのログイン中のユーザーの権限（権限は組織ごと。取得できるまでは閲覧者として扱う）
+  const userRole = normalizeRole(currentOrganization?.role)
+  const [userRoleDialog, setUserRoleDialog] = useState({
+    isOpen: false,
+    users: [],
+    isLoading: false,
+    updatingUserId: null
+  })
+  const permissions = getRolePermissions(userRole)
+  const trashRetentionDays = currentOrganization?.trash_retention_days ?? DEFAULT_TRASH_RETENTION_DAYS
+  // 工事番号の採番形式（null の場合は自動採番しない。設定はシステム管理者のみ）
+  const projectNumberFormat = currentOrganization?.project_number_format ?? null
+  const [projectNumberSettings, setProjectNumberSettings] = useState({ isOpen: false, isSaving: false })
+  // フォローアップのリマインダーを作成する経過日数（設定はシステム管理者のみ）
+  const followUpThresholds = currentOrganization?.follow_up_thresholds ?? DEFAULT_FOLLOW_UP_THRESHOLDS
+
+  // フォローアップ（今日対応するもの・プロジェクトごとのダイアログ。処理中の状態は共通）
+  const [myFollowUps, setMyFollowUps] = useState({ items: [], isLoading: false })
+  const [followUpDialog, setFollowUpDialog] = useState({
+    isOpen: false,
+    project: null,
+    followUps: [],
+    isLoading: false,
+    isSaving: false
+  })
+  const [followUpProcessingIds, setFollowUpProcessingIds] = useState({})
+
+  // プロジェクトの詳細パネル（経過・コメントと金額・ステータスの変更のタイムライン）
+  const [projectDetail, setProjectDetail] = useState({
+    isOpen: false,
+    project: null,
+    activities: [],
+    isLoading: false,
+    isSaving: false,
+    processingIds: {}
+  })
+
+  // 操作履歴（マネージャー以上）
+  const [auditLog, setAuditLog] = useState({
+    isOpen: false,
+    logs: [],
+    actors: [],
+    filters: DEFAULT_AUDIT_FILTERS,
+    isLoading: false,
+    hasMore: false
+  })
+  const auditRequestRef = useRef(0)
+
+  // ゴミ箱（削除したプロジェクト。復元・完全削除はマネージャー以上）
+  const [trash, setTrash] = useState({
+    isOpen: false,
+    projects: [],
+    isLoading: false,
+    processingIds: {}
+  })
+  // ゴミ箱への移動は一覧から先に取り除き、失敗した場合は元に戻す
+  const optimisticDeleteRef = useRef(new OptimisticDeleteManager())
+
+  // サーバー側ページングの状態（projects は読み込み済みのページ）
+  const [projectTotalCount, setProjectTotalCount] = useState(0)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const projectRequestRef = useRef(0)
+  // 統計サマリー・客先別集計（サーバー側で集計）
+  const [projectSummary, setProjectSummary] = useState(() => toProjectSummary(null))
+  const [clientAggregation, setClientAggregation] = useState([])
+  // 客先別集計で展開した客先のプロジェクト
+  const [clientProjects, setClientProjects] = useState([])
+  // 客先マスタ（客先の入力候補・インポート時の表記ゆれの統一に使用。登録・編集・統合はマネージャー以上）
+  const [clients, setClients] = useState([])
+  const [clientMaster, setClientMaster] = useState({ isOpen: false, isLoading: false, isSaving: false })
+  // 担当者マスタ（工事担当者・営業担当者の選択肢。登録・編集はマネージャー以上）と担当者別集計
+  const [staffMembers, setStaffMembers] = useState([])
+  const [staffMaster, setStaffMaster] = useState({ isOpen: false, isLoading: false, isSaving: false, userOptions: [] })
+  const [staffAggregation, setStaffAggregation] = useState([])
+  // 集計表示の単位（client: 客先別 / construction: 工事担当者別 / sales: 営業担当者別）
+  const [aggregationMode, setAggregationMode] = useState('client')
 
   // 表示制御の状態
-  const [showAllProjects, setShowAllProjects] = useState(false)
   const [showClientView, setShowClientView] = useState(false)
 
   // フォーム関連の状態
@@ -43,17 +256,52 @@ function App() {
     sales_manager: '',
     net_amount: '',
     customer_amount: '',
-    submission_date: new Date().toISOString().split('T')[0] // 本日をデフォルト
+    tax_mode: 'exclusive',
+    tax_rate: String(DEFAULT_TAX_SETTINGS.rate),
+    submission_date: new Date().toISOString().split('T')[0], // 本日をデフォルト
+    status: DEFAULT_PROJECT_STATUS
   })
   const [formErrors, setFormErrors] = useState({})
+  // 編集中のプロジェクト（nullの場合は新規登録モード）
+  const [editingProject, setEditingProject] = useState(null)
+  // 内訳明細の入力状態
+  const [lineItems, setLineItems] = useState([])
+  const [savedLineItems, setSavedLineItems] = useState([])
+  const [lineItemErrors, setLineItemErrors] = useState({})
+  const [lineItemsLoading, setLineItemsLoading] = useState(false)
+  const [lineItemsLoadFailed, setLineItemsLoadFailed] = useState(false)
+  // 版管理（編集時に新しい版として保存するかどうか）
+  const [revisionOptions, setRevisionOptions] = useState({ saveAsNew: false, reason: '' })
+  // 見積書作成ダイアログの状態
+  const [quotationState, setQuotationState] = useState({
+    isOpen: false,
+    project: null,
+    lineItems: [],
+    isLoading: false
+  })
+  const [revisionHistory, setRevisionHistory] = useState({
+    isOpen: false,
+    project: null,
+    revisions: [],
+    isLoading: false
+  })
   const [successMessage, setSuccessMessage] = useState('')
   const [errorMessage, setErrorMessage] = useState('')
   const [isExporting, setIsExporting] = useState(false)
+  const [csvExport, setCsvExport] = useState({ isOpen: false, settings: DEFAULT_CSV_EXPORT_SETTINGS })
   const [isImporting, setIsImporting] = useState(false)
   const [importResults, setImportResults] = useState(null)
+  const [importMapping, setImportMapping] = useState({ isOpen: false, fileName: '', sheets: [], initialSettings: null, detectedTemplate: null })
+  const [importTemplates, setImportTemplates] = useState([])
+  const [savingImportTemplate, setSavingImportTemplate] = useState(false)
+  const [importPreview, setImportPreview] = useState({ isOpen: false, fileName: '', rows: [], context: null, ...DEFAULT_IMPORT_OPTIONS })
+  const [importDiff, setImportDiff] = useState({ isOpen: false, plan: null })
+  const [importJob, setImportJob] = useState(null)
+  const importAbortRef = useRef(null)
   const [loadingStates, setLoadingStates] = useState({
     fetching: false,
     creating: false,
+    updating: {},
     deleting: {},
     exporting: false
   })
@@ -84,17 +332,69 @@ function App() {
     return () => subscription.unsubscribe()
   }, [])
 
-  // ユーザーが変更された時にプロジェクトデータを取得
+  // ユーザーが変更された時に集計データを取得
   useEffect(() => {
     if (user) {
-      fetchProjects()
+      fetchOrganizations()
+      fetchSavedViews()
     } else {
       // ログアウト時はプロジェクトデータをクリア
       setProjects([])
+      setProjectTotalCount(0)
+      setProjectSummary(toProjectSummary(null))
+      setClientAggregation([])
+      setClientProjects([])
+      setSavedViews([])
+      setActiveViewId(null)
+      shouldApplyDefaultViewRef.current = true
+      setOrganizations([])
+      setCurrentOrganizationId(null)
+      closeAuditLog()
+      closeTrash()
+      closeClientMaster()
+      setClients([])
+      closeStaffMaster()
+      setStaffMembers([])
+      closeFollowUps()
+      setMyFollowUps({ items: [], isLoading: false })
+      closeProjectDetail()
+      setUserRoleDialog({ isOpen: false, users: [], isLoading: false, updatingUserId: null })
       setError('')
     }
   }, [user])
 
+  // 組織が切り替わった時は集計・担当者の選択肢・客先マスタを取得し直す
+  useEffect(() => {
+    if (user && currentOrganizationId) {
+      setClientProjects([])
+      fetchProjectSummary()
+      fetchManagerOptions()
+      fetchClients()
+      fetchStaffMembers()
+      fetchMyFollowUps({ notifyDue: true })
+    }
+  }, [user, currentOrganizationId])
+
+  // ソート・絞り込み条件・組織が変わった時は先頭ページから取得し直す
+  useEffect(() => {
+    if (user && currentOrganizationId) {
+      fetchProjects()
+    }
+  }, [user, currentOrganizationId, sortConfig, filters])
+
+  // 一覧に表示されなくなったプロジェクト（絞り込み・削除・組織の切り替え）は選択から外す
+  useEffect(() => {
+    setSelectedProjectIds(prev => pruneSelection(prev, projects))
+  }, [projects])
+
+  // ソート・絞り込み条件をURLに反映
+  useEffect(() => {
+    const query = buildProjectListParams(filters, sortConfig)
+    if (query !== window.location.search) {
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${query}${window.location.hash}`)
+    }
+  }, [filters, sortConfig])
+
   // キーボードショートカット
   useEffect(() => {
     const handleKeyPress = (event) => {
@@ -142,6 +442,14 @@ function App() {
     setNotifications(prev => prev.filter(n => n.id !== id))
   }
 
+  // 権限不足の通知
+  const notifyPermissionDenied = (action) => {
+    showNotification(getPermissionDeniedMessage(action, userRole), 'error', 5000)
+  }
+
+  // ログイン中のユーザーがプロジェクトを編集できるか
+  const canEdit = (project) => canEditProject(userRole, project, user?.id)
+
   // 削除確認ダイアログを開く
   const openDeleteConfirmation = (projectId, projectData) => {
     setDeleteConfirmation({
@@ -173,16 +481,8 @@ function App() {
     
     if (result) {
       closeDeleteConfirmation()
-      
-      // 成功通知を表示
-      const notification = createDeleteSuccessNotification(
-        projectData.title,
-        `客先: ${projectData.client}`
-      )
-      showNotification(notification)
-    } else {
-      // エラー通知は deleteProject 内で処理される
     }
+    // 成功・エラーの通知は deleteProject 内で処理される
     
     return result
   }
@@ -218,24 +518,48 @@ function App() {
     }
   }
 
-  // プロジェクトデータ取得
-  const fetchProjects = async () => {
-    if (!user) return
+  // プロジェクトデータ取得（サーバー側でソート・絞り込みし、1ページずつ取得）
+  const fetchProjects = async ({ append = false } = {}) => {
+    if (!user || !currentOrganizationId) return
 
-    setDataLoading(true)
+    // 後から発行したリクエストの結果のみ反映する
+    const requestId = ++projectRequestRef.current
+    if (append) {
+      setLoadingMore(true)
+    } else {
+      setDataLoading(true)
+    }
     setError('')
 
     try {
-      const { data, error } = await supabase
-        .from('projects')
-        .select('*')
-        .order('created_at', { ascending: false })
+      const { data, error, count } = await buildProjectListQuery(
+        supabase
+          .from(PROJECT_LIST_VIEW)
+          .select('*', { count: 'exact' })
+          .eq('organization_id', currentOrganizationId),
+        {
+          sortConfig,
+          filters,
+          offset: append ? projects.length : 0
+        }
+      )
 
       if (error) {
         throw error
       }
 
-      setProjects(data || [])
+      if (requestId !== projectRequestRef.current) return
+
+      if (append) {
+        // 作成直後に先頭へ追加したプロジェクトと重複しないようにする
+        setProjects(prevProjects => [
+          ...prevProjects,
+          ...(data || []).filter(project => !prevProjects.some(loaded => loaded.id === project.id))
+        ])
+      } else {
+        setProjects(data || [])
+      }
+      setProjectTotalCount(count ?? 0)
     } catch (error) {
       console.error('プロジェクト取得エラー:', error)
 
@@ -251,117 +575,2022 @@ function App() {
       setError(errorMessage)
       showNotification(errorMessage, 'error', 5000)
     } finally {
-      setDataLoading(false)
+      if (requestId === projectRequestRef.current) {
+        setDataLoading(false)
+        setLoadingMore(false)
+      }
     }
   }
 
-  // プロジェクト作成
-  const createProject = async (projectData) => {
+  // 次のページを読み込む
+  const loadMoreProjects = () => {
+    if (loadingMore || projects.length >= projectTotalCount) return
+    fetchProjects({ append: true })
+  }
+
+  // 統計サマリー・客先別集計・担当者別集計の取得（消費税の端数処理は画面と同じ設定を渡す）
+  const fetchProjectSummary = async () => {
+    if (!user || !currentOrganizationId) return
+
+    try {
+      const params = { p_rounding: DEFAULT_TAX_SETTINGS.rounding, p_organization_id: currentOrganizationId }
+      const [summaryResult, clientResult, staffResult] = await Promise.all([
+        supabase.rpc('project_summary', params),
+        supabase.rpc('client_aggregation', params),
+        supabase.rpc('staff_aggregation', params)
+      ])
+
+      if (summaryResult.error) {
+        throw summaryResult.error
+      }
+      if (clientResult.error) {
+        throw clientResult.error
+      }
+      if (staffResult.error) {
+        throw staffResult.error
+      }
+
+      setProjectSummary(toProjectSummary(summaryResult.data?.[0]))
+      setClientAggregation(toClientAggregation(clientResult.data))
+      setStaffAggregation(toStaffAggregation(staffResult.data))
+    } catch (error) {
+      console.error('集計データ取得エラー:', error)
+      showNotification('統計データの取得に失敗しました。', 'warning', 5000)
+    }
+  }
+
+  // 絞り込み用の担当者の選択肢を取得
+  const fetchManagerOptions = async () => {
+    if (!user || !currentOrganizationId) return
+
+    try {
+      const { data, error } = await supabase.rpc('project_manager_options', { p_organization_id: currentOrganizationId })
+
+      if (error) {
+        throw error
+      }
+
+      setManagerOptions({
+        construction: (data || []).filter(option => option.role === 'construction').map(option => option.name),
+        sales: (data || []).filter(option => option.role === 'sales').map(option => option.name)
+      })
+    } catch (error) {
+      // 選択肢が取得できなくても一覧は表示できるため通知のみ
+      console.error('担当者一覧取得エラー:', error)
+    }
+  }
+
+  // 客先マスタを取得（紐付いているプロジェクト数を含む）
+  const fetchClients = async ({ notifyOnError = false } = {}) => {
+    if (!user || !currentOrganizationId) return
+
+    try {
+      const { data, error } = await supabase
+        .from('clients')
+        .select('*, projects(count)')
+        .eq('organization_id', currentOrganizationId)
+        .order('name', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      setClients((data || []).map(({ projects: projectCounts, ...client }) => ({
+        ...client,
+        project_count: projectCounts?.[0]?.count ?? 0
+      })))
+    } catch (error) {
+      // 客先マスタが取得できなくても客先名は直接入力できるため、客先マスタを開いた時のみ通知する
+      console.error('客先マスタ取得エラー:', error)
+      if (notifyOnError) {
+        showNotification('客先マスタの取得に失敗しました。', 'error', 5000)
+      }
+    } finally {
+      setClientMaster(prev => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  // 担当者マスタを取得（退職・異動した担当者を含む）
+  const fetchStaffMembers = async ({ notifyOnError = false } = {}) => {
+    if (!user || !currentOrganizationId) return
+
+    try {
+      const { data, error } = await supabase
+        .from('staff_members')
+        .select('*')
+        .eq('organization_id', currentOrganizationId)
+        .order('name', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      setStaffMembers(data || [])
+    } catch (error) {
+      // 担当者マスタが取得できなくても編集中のプロジェクトの担当者は選択肢に残るため、担当者マスタを開いた時のみ通知する
+      console.error('担当者マスタ取得エラー:', error)
+      if (notifyOnError) {
+        showNotification('担当者マスタの取得に失敗しました。', 'error', 5000)
+      }
+    } finally {
+      setStaffMaster(prev => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  // 担当者に関連付けるログインユーザーの選択肢を取得（マネージャー以上）
+  const fetchStaffUserOptions = async () => {
+    if (!currentOrganizationId || !permissions.canManageStaff) return
+
+    try {
+      const { data, error } = await supabase.rpc('staff_user_options', { p_organization_id: currentOrganizationId })
+
+      if (error) {
+        throw error
+      }
+
+      setStaffMaster(prev => ({ ...prev, userOptions: data || [] }))
+    } catch (error) {
+      // 選択肢が取得できなくても担当者の名前は編集できるため通知のみ
+      console.error('ログインユーザー一覧取得エラー:', error)
+    }
+  }
+
+  // 所属している組織を取得（前回表示していた組織を優先する）
+  const fetchOrganizations = async () => {
+    if (!user) return
+
+    try {
+      const { data, error } = await supabase
+        .from('organizations')
+        .select('id, name, trash_retention_days, project_number_format, follow_up_thresholds, organization_members!inner(user_id, role)')
+        .eq('organization_members.user_id', user.id)
+        .order('name', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      // 権限は組織ごとに保持する（絞り込み済みのため organization_members は自分の1件のみ）
+      const memberships = (data || []).map(({ id, name, trash_retention_days, project_number_format, follow_up_thresholds, organization_members }) => ({
+        id,
+        name,
+        trash_retention_days,
+        project_number_format,
+        follow_up_thresholds,
+        role: organization_members?.[0]?.role
+      }))
+      const organizationId = resolveCurrentOrganizationId(memberships, loadStoredOrganizationId())
+      setOrganizations(memberships)
+      setCurrentOrganizationId(organizationId)
+      storeOrganizationId(organizationId)
+
+      if (!organizationId) {
+        setError('所属している組織がありません。システム管理者に組織への追加を依頼してください。')
+      }
+    } catch (error) {
+      console.error('組織取得エラー:', error)
+      setError('組織情報の取得に失敗しました。ページを再読み込みしてください。')
+      showNotification('組織情報の取得に失敗しました。', 'error', 5000)
+    }
+  }
+
+  // 表示する組織を切り替える
+  const switchOrganization = (organizationId) => {
+    if (organizationId === currentOrganizationId) return
+
+    const organization = organizations.find(item => item.id === organizationId)
+    if (!organization) return
+
+    // 他の組織のプロジェクトを編集中の場合は破棄してよいか確認
+    if (showForm) {
+      if (!window.confirm('入力中のデータが失われますが、よろしいですか？')) {
+        return
+      }
+      setShowForm(false)
+      resetForm()
+    }
+
+    setProjects([])
+    setProjectTotalCount(0)
+    closeAuditLog()
+    closeTrash()
+    closeClientMaster()
+    setClients([])
+    closeStaffMaster()
+    setStaffMembers([])
+    closeFollowUps()
+    setMyFollowUps({ items: [], isLoading: false })
+    closeProjectDetail()
+    setCurrentOrganizationId(organizationId)
+    storeOrganizationId(organizationId)
+    showNotification(`✓ ${organization.name}に切り替えました`, 'success')
+  }
+
+  // 操作履歴の取得（絞り込み条件が変わった場合は先頭から取得し直す）
+  const fetchAuditLogs = async ({ filters: auditFilters = auditLog.filters, append = false } = {}) => {
+    if (!currentOrganizationId) return
+
+    const requestId = ++auditRequestRef.current
+    setAuditLog(prev => ({ ...prev, filters: auditFilters, isLoading: true }))
+
+    try {
+      const { data, error } = await buildAuditLogQuery(
+        supabase.from('audit_logs').select('*'),
+        {
+          organizationId: currentOrganizationId,
+          filters: auditFilters,
+          offset: append ? auditLog.logs.length : 0
+        }
+      )
+
+      if (error) {
+        throw error
+      }
+
+      if (requestId !== auditRequestRef.current) return
+
+      const rows = data || []
+      setAuditLog(prev => ({
+        ...prev,
+        logs: append ? [...prev.logs, ...rows] : rows,
+        hasMore: rows.length === AUDIT_LOG_PAGE_SIZE,
+        isLoading: false
+      }))
+    } catch (error) {
+      console.error('操作履歴取得エラー:', error)
+      if (requestId !== auditRequestRef.current) return
+
+      setAuditLog(prev => ({ ...prev, isLoading: false }))
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('操作履歴の閲覧', userRole) : '操作履歴の取得に失敗しました。',
+        'error',
+        5000
+      )
+    }
+  }
+
+  // 操作履歴ダイアログを開く
+  const openAuditLog = async () => {
+    if (!permissions.canViewAuditLog) {
+      notifyPermissionDenied('操作履歴の閲覧')
+      return
+    }
+
+    setAuditLog(prev => ({ ...prev, isOpen: true, logs: [], actors: [], filters: DEFAULT_AUDIT_FILTERS }))
+    fetchAuditLogs({ filters: DEFAULT_AUDIT_FILTERS })
+
+    const { data, error } = await supabase.rpc('audit_log_actors', { p_organization_id: currentOrganizationId })
+    if (error) {
+      console.error('操作履歴のユーザー取得エラー:', error)
+      return
+    }
+    setAuditLog(prev => ({ ...prev, actors: data || [] }))
+  }
+
+  // 操作履歴ダイアログを閉じる
+  const closeAuditLog = () => {
+    auditRequestRef.current += 1
+    setAuditLog({
+      isOpen: false,
+      logs: [],
+      actors: [],
+      filters: DEFAULT_AUDIT_FILTERS,
+      isLoading: false,
+      hasMore: false
+    })
+  }
+
+  // 権限管理ダイアログを開く（表示中の組織のシステム管理者のみ）
+  const openUserRoleDialog = async () => {
+    if (!permissions.canManageRoles) {
+      notifyPermissionDenied('権限管理')
+      return
+    }
+
+    setUserRoleDialog({ isOpen: true, users: [], isLoading: true, updatingUserId: null })
+
+    try {
+      // メールアドレスは本人以外参照できないため、組織のメンバーと権限はRPCで取得する
+      const { data, error } = await supabase
+        .rpc('organization_member_roles', { p_organization_id: currentOrganizationId })
+
+      if (error) {
+        throw error
+      }
+
+      setUserRoleDialog(prev => ({ ...prev, users: data || [], isLoading: false }))
+    } catch (error) {
+      console.error('ユーザー権限取得エラー:', error)
+      showNotification('ユーザーの権限一覧の取得に失敗しました。', 'error', 5000)
+      setUserRoleDialog(prev => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  // 権限管理ダイアログを閉じる
+  const closeUserRoleDialog = () => {
+    setUserRoleDialog({ isOpen: false, users: [], isLoading: false, updatingUserId: null })
+  }
+
+  // 表示中の組織でのユーザーの権限を変更（他の組織での権限は変わらない）
+  const changeUserRole = async (userId, role) => {
+    setUserRoleDialog(prev => ({ ...prev, updatingUserId: userId }))
+
+    try {
+      const { data, error } = await supabase
+        .from('organization_members')
+        .update({ role })
+        .eq('organization_id', currentOrganizationId)
+        .eq('user_id', userId)
+        .select('user_id, role')
+
+      if (error) {
+        throw error
+      }
+
+      // RLSで更新が拒否された場合は0件になる
+      if (!data || data.length === 0) {
+        throw new Error('permission denied')
+      }
+
+      const changedUser = userRoleDialog.users.find(member => member.user_id === userId)
+      setUserRoleDialog(prev => ({
+        ...prev,
+        users: prev.users.map(member => member.user_id === userId ? { ...member, role: data[0].role } : member)
+      }))
+      showNotification(`✓ ${changedUser?.email || 'ユーザー'}の権限を${getRoleLabel(role)}に変更しました`, 'success')
+    } catch (error) {
+      console.error('権限変更エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('権限の変更', userRole) : '権限の変更に失敗しました。',
+        'error',
+        5000
+      )
+    } finally {
+      setUserRoleDialog(prev => ({ ...prev, updatingUserId: null }))
+    }
+  }
+
+  // 保存ビューのエラーメッセージ
+  const getSavedViewErrorMessage = (error, fallback) => {
+    if (error.code === '23505') {
+      return '同じ名前のビューが既にあります。'
+    }
+    if (error.message.includes('permission')) {
+      return 'ビューを保存する権限がありません。'
+    }
+    if (error.message.includes('network') || error.message.includes('fetch')) {
+      return 'ネットワークエラーが発生しました。再度お試しください。'
+    }
+    return fallback
+  }
+
+  // 保存ビューの取得（初回は既定のビューを適用）
+  const fetchSavedViews = async () => {
+    if (!user) return
+
+    try {
+      const { data, error } = await supabase
+        .from('saved_views')
+        .select('*')
+        .order('name', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      setSavedViews(data || [])
+
+      const defaultView = findDefaultView(data)
+      if (shouldApplyDefaultViewRef.current && defaultView) {
+        applySavedView(defaultView)
+      }
+      shouldApplyDefaultViewRef.current = false
+    } catch (error) {
+      console.error('保存ビュー取得エラー:', error)
+      showNotification('保存ビューの取得に失敗しました。', 'warning', 5000)
+    }
+  }
+
+  // 保存ビューの条件を画面に反映
+  const applySavedView = (view) => {
+    const { filters: viewFilters, sortConfig: viewSortConfig, showClientView: viewShowClientView } = parseSavedViewSettings(view.settings)
+    setFilters(viewFilters)
+    setSortConfig(viewSortConfig)
+    setShowClientView(viewShowClientView)
+    setActiveViewId(view.id)
+  }
+
+  // 既定のビューを設定（他のビューの既定の解除と合わせてサーバー側で1つのトランザクションとして行う。null の場合は解除）
+  const setDefaultView = async (viewId) => {
+    const { error } = await supabase.rpc('set_default_saved_view', { p_view_id: viewId })
+
+    if (error) {
+      throw error
+    }
+  }
+
+  // 現在の条件を新しいビューとして保存
+  const saveCurrentView = async (name, { isDefault = false } = {}) => {
     if (!user) return false
 
-    setDataLoading(true)
-    setError('')
+    setSavingView(true)
+    try {
+      // 保存に失敗した場合に既定のビューが解除されないよう、ビューを登録してから既定に設定する
+      const { data, error } = await supabase
+        .from('saved_views')
+        .insert([{
+          name,
+          settings: buildSavedViewSettings({ filters, sortConfig, showClientView }),
+          is_default: false
+        }])
+        .select()
+
+      if (error) {
+        throw error
+      }
+
+      let savedView = data[0]
+      let defaultFailed = false
+      if (isDefault) {
+        try {
+          await setDefaultView(savedView.id)
+          savedView = { ...savedView, is_default: true }
+        } catch (error) {
+          console.error('既定ビュー設定エラー:', error)
+          defaultFailed = true
+        }
+      }
+
+      setSavedViews(prevViews => [
+        ...prevViews.map(view => savedView.is_default ? { ...view, is_default: false } : view),
+        savedView
+      ].sort((a, b) => a.name.localeCompare(b.name, 'ja')))
+      setActiveViewId(savedView.id)
+
+      if (defaultFailed) {
+        showNotification(`ビュー「${name}」は保存しましたが、既定ビューの設定に失敗しました。`, 'warning', 5000)
+      } else {
+        showNotification(`✓ ビュー「${name}」を保存しました`, 'success')
+      }
+      return true
+    } catch (error) {
+      console.error('保存ビュー作成エラー:', error)
+      showNotification(getSavedViewErrorMessage(error, 'ビューの保存に失敗しました。'), 'error', 5000)
+      return false
+    } finally {
+      setSavingView(false)
+    }
+  }
+
+  // 選択中のビューを現在の条件で上書き
+  const overwriteSavedView = async (viewId) => {
+    const targetView = savedViews.find(view => view.id === viewId)
+    if (!targetView) return false
+
+    setSavingView(true)
+    try {
+      const { data, error } = await supabase
+        .from('saved_views')
+        .update({
+          settings: buildSavedViewSettings({ filters, sortConfig, showClientView }),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', viewId)
+        .select()
+
+      if (error) {
+        throw error
+      }
+
+      setSavedViews(prevViews => prevViews.map(view => view.id === viewId ? data[0] : view))
+      showNotification(`✓ ビュー「${targetView.name}」を上書き保存しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('保存ビュー更新エラー:', error)
+      showNotification(getSavedViewErrorMessage(error, 'ビューの更新に失敗しました。'), 'error', 5000)
+      return false
+    } finally {
+      setSavingView(false)
+    }
+  }
+
+  // ログイン時の既定ビューを設定・解除
+  const toggleDefaultView = async (viewId) => {
+    const targetView = savedViews.find(view => view.id === viewId)
+    if (!targetView) return false
+
+    const nextIsDefault = !targetView.is_default
+    setSavingView(true)
+    try {
+      await setDefaultView(nextIsDefault ? viewId : null)
+
+      setSavedViews(prevViews => prevViews.map(view => ({
+        ...view,
+        is_default: view.id === viewId ? nextIsDefault : (nextIsDefault ? false : view.is_default)
+      })))
+      showNotification(
+        nextIsDefault
+          ? `✓ 「${targetView.name}」をログイン時の既定ビューにしました`
+          : `✓ 「${targetView.name}」の既定ビュー設定を解除しました`,
+        'success'
+      )
+      return true
+    } catch (error) {
+      console.error('既定ビュー設定エラー:', error)
+      showNotification(getSavedViewErrorMessage(error, '既定ビューの設定に失敗しました。'), 'error', 5000)
+      return false
+    } finally {
+      setSavingView(false)
+    }
+  }
+
+  // 保存ビューの削除
+  const deleteSavedView = async (viewId) => {
+    const targetView = savedViews.find(view => view.id === viewId)
+    if (!targetView) return false
+
+    setSavingView(true)
+    try {
+      const { error } = await supabase
+        .from('saved_views')
+        .delete()
+        .eq('id', viewId)
+
+      if (error) {
+        throw error
+      }
+
+      setSavedViews(prevViews => prevViews.filter(view => view.id !== viewId))
+      setActiveViewId(null)
+      showNotification(`✓ ビュー「${targetView.name}」を削除しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('保存ビュー削除エラー:', error)
+      showNotification(getSavedViewErrorMessage(error, 'ビューの削除に失敗しました。'), 'error', 5000)
+      return false
+    } finally {
+      setSavingView(false)
+    }
+  }
+
+  // 一覧と集計をまとめて再取得
+  const refreshProjects = () => {
+    fetchProjects()
+    fetchProjectSummary()
+    fetchManagerOptions()
+    fetchClients()
+    fetchStaffMembers()
+    setClientProjects([])
+  }
+
+  // 客先別集計で展開した客先のプロジェクトを取得
+  const fetchClientProjects = async (client) => {
+    if (clientProjects.some(project => project.client === client)) return
+
+    try {
+      const { data, error } = await supabase
+        .from(PROJECT_LIST_VIEW)
+        .select('*')
+        .eq('organization_id', currentOrganizationId)
+        .eq('client', client)
+        .order('created_at', { ascending: false })
+
+      if (error) {
+        throw error
+      }
+
+      setClientProjects(prevProjects => [
+        ...prevProjects.filter(project => project.client !== client),
+        ...(data || [])
+      ])
+    } catch (error) {
+      console.error('客先別プロジェクト取得エラー:', error)
+      showNotification(`「${client}」のプロジェクトの取得に失敗しました。`, 'error', 5000)
+    }
+  }
+
+  // 読み込み済みのプロジェクト（一覧・客先別集計の展開分）から検索
+  const findLoadedProject = (projectId) =>
+    projects.find(p => p.id === projectId) || clientProjects.find(p => p.id === projectId)
+
+  // 読み込み済みのプロジェクトを更新（一覧・客先別集計の両方に反映）
+  const updateLoadedProjects = (updater) => {
+    setProjects(updater)
+    setClientProjects(updater)
+  }
+
+  // プロジェクト作成
+  const createProject = async (projectData) => {
+    if (!user) return false
+    if (!permissions.canCreate) {
+      notifyPermissionDenied('プロジェクトの登録')
+      return false
+    }
+    if (!currentOrganizationId) {
+      showNotification('登録先の組織が選択されていません。', 'error', 5000)
+      return false
+    }
+
+    setDataLoading(true)
+    setError('')
+
+    try {
+      const { data, error } = await supabase
+        .from('projects')
+        .insert([{
+          ...projectData,
+          organization_id: currentOrganizationId
+        }])
+        .select()
+
+      if (error) {
+        throw error
+      }
+
+      if (!data || data.length === 0) {
+        throw new Error('作成したプロジェクトを取得できませんでした')
+      }
+
+      // 新しいプロジェクトを既存のリストに追加
+      setProjects(prevProjects => [data[0], ...prevProjects])
+      setProjectTotalCount(prevCount => prevCount + 1)
+      fetchProjectSummary()
+      // 新しい客先・担当者は登録時に客先マスタ・担当者マスタへ追加される
+      fetchClients()
+      fetchStaffMembers()
+
+      // 作成したレコードを返す（内訳明細の保存に使用）
+      return data[0]
+    } catch (error) {
+      console.error('プロジェクト作成エラー:', error)
+      const errorMessage = isPermissionError(error)
+        ? getPermissionDeniedMessage('プロジェクトの登録', userRole)
+        : isDuplicateProjectNumberError(error)
+          ? `工事番号「${projectData.project_number}」は既に使われています（ゴミ箱内のプロジェクトを含む）。別の番号を入力するか、空欄にしてください。`
+          : 'プロジェクトの作成に失敗しました。'
+      setError(errorMessage)
+      showNotification(errorMessage, 'error')
+      return false
+    } finally {
+      setDataLoading(false)
+    }
+  }
+
+  // プロジェクト更新（楽観的更新＋失敗時ロールバック）
+  // lineItems を渡した場合は内訳明細も同じトランザクションで保存する（金額は明細の合計に揃う）
+  const updateProject = async (projectId, projectData, lineItems = null) => {
+    if (!user) return false
+
+    const previousProject = findLoadedProject(projectId)
+    if (!previousProject) {
+      setError('更新対象のプロジェクトが見つかりません。')
+      return false
+    }
+    if (!canEdit(previousProject)) {
+      notifyPermissionDenied('プロジェクトの編集')
+      return false
+    }
+
+    // UI上で即座に反映
+    updateLoadedProjects(prevProjects =>
+      prevProjects.map(project =>
+        project.id === projectId ? { ...project, ...projectData } : project
+      )
+    )
+    setLoadingStates(prev => ({
+      ...prev,
+      updating: { ...prev.updating, [projectId]: true }
+    }))
+    setError('')
+
+    try {
+      const { data, error } = lineItems
+        ? await supabase.rpc('update_project_with_line_items', {
+          p_project_id: projectId,
+          p_project: projectData,
+          p_items: toLineItemRecords(lineItems, projectId)
+        })
+        : await supabase
+          .from('projects')
+          .update(projectData)
+          .eq('id', projectId)
+          .select()
+
+      if (error) {
+        throw error
+      }
+
+      if (!data || data.length === 0) {
+        throw new Error('not found')
+      }
+
+      // サーバー側の値で確定
+      updateLoadedProjects(prevProjects =>
+        prevProjects.map(project => project.id === projectId ? { ...project, ...data[0] } : project)
+      )
+      fetchProjectSummary()
+      fetchClients()
+      fetchStaffMembers()
+
+      return true
+    } catch (error) {
+      console.error('プロジェクト更新エラー:', error)
+
+      // ロールバック
+      updateLoadedProjects(prevProjects =>
+        prevProjects.map(project => project.id === projectId ? previousProject : project)
+      )
+
+      let errorMessage = 'プロジェクトの更新に失敗しました。'
+      if (isPermissionError(error)) {
+        errorMessage = getPermissionDeniedMessage('プロジェクトの編集', userRole)
+      } else if (isDuplicateProjectNumberError(error)) {
+        errorMessage = `工事番号「${projectData.project_number}」は既に使われています（ゴミ箱内のプロジェクトを含む）。`
+      } else if (error.message.includes('network')) {
+        errorMessage = 'ネットワークエラーが発生しました。再度お試しください。'
+      } else if (error.message.includes('not found')) {
+        errorMessage = '更新対象のプロジェクトが見つかりません。'
+      }
+
+      setError(errorMessage)
+      showNotification(errorMessage, 'error', 5000)
+      return false
+    } finally {
+      setLoadingStates(prev => ({
+        ...prev,
+        updating: { ...prev.updating, [projectId]: false }
+      }))
+    }
+  }
+
+  // 内訳明細の取得
+  const fetchLineItems = async (projectId) => {
+    const { data, error } = await supabase
+      .from('project_line_items')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('sort_order', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    return data || []
+  }
+
+  // 内訳明細の保存（既存の明細の置き換えと合計金額の反映をサーバー側で1つのトランザクションとして行う）
+  const saveLineItems = async (projectId, items, failureMessage) => {
+    try {
+      const { error } = await supabase.rpc('replace_project_line_items', {
+        p_project_id: projectId,
+        p_items: toLineItemRecords(items, projectId)
+      })
+
+      if (error) {
+        throw error
+      }
+
+      return true
+    } catch (error) {
+      console.error('内訳明細保存エラー:', error)
+      showNotification(failureMessage, 'error', 5000)
+      return false
+    }
+  }
+
+  // 版の記録（失敗してもプロジェクトの保存自体は取り消さない）
+  const recordRevision = async (revision, { preserveExisting = false } = {}) => {
+    try {
+      const { error } = await supabase
+        .from('project_revisions')
+        .upsert(revision, { onConflict: 'project_id,revision_number', ignoreDuplicates: preserveExisting })
+
+      if (error) {
+        throw error
+      }
+
+      return true
+    } catch (error) {
+      console.error('版の記録エラー:', error)
+      showNotification(`${formatRevisionLabel(revision.revision_number)}の履歴の記録に失敗しました。`, 'warning', 5000)
+      return false
+    }
+  }
+
+  // 現在の版のスナップショットを軽微な修正に合わせて更新
+  const amendCurrentRevision = async (projectId, revisionNumber, snapshot) => {
+    const { error } = await supabase
+      .from('project_revisions')
+      .update({ snapshot })
+      .eq('project_id', projectId)
+      .eq('revision_number', revisionNumber)
+
+    if (error) {
+      console.error('版の更新エラー:', error)
+    }
+  }
+
+  // 見積書作成ダイアログを開く
+  const openQuotation = async (project) => {
+    setQuotationState({ isOpen: true, project, lineItems: [], isLoading: true })
+
+    try {
+      const records = await fetchLineItems(project.id)
+      setQuotationState(prev => ({ ...prev, lineItems: records, isLoading: false }))
+    } catch (error) {
+      console.error('内訳明細取得エラー:', error)
+      showNotification('内訳明細の取得に失敗しました。客出金額を一式として記載します。', 'warning', 5000)
+      setQuotationState(prev => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  // 見積書作成ダイアログを閉じる
+  const closeQuotation = () => {
+    setQuotationState({ isOpen: false, project: null, lineItems: [], isLoading: false })
+  }
+
+  // 版履歴ダイアログを開く
+  const openRevisionHistory = async (project) => {
+    setRevisionHistory({ isOpen: true, project, revisions: [], isLoading: true })
+
+    try {
+      const { data, error } = await supabase
+        .from('project_revisions')
+        .select('*')
+        .eq('project_id', project.id)
+        .order('revision_number', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      setRevisionHistory(prev => ({ ...prev, revisions: data || [], isLoading: false }))
+    } catch (error) {
+      console.error('版履歴取得エラー:', error)
+      showNotification('版履歴の取得に失敗しました。', 'error')
+      setRevisionHistory(prev => ({ ...prev, isLoading: false }))
+    }
+  }
+
+  // 版履歴ダイアログを閉じる
+  const closeRevisionHistory = () => {
+    setRevisionHistory({ isOpen: false, project: null, revisions: [], isLoading: false })
+  }
+
+  // ステータス変更（一覧テーブルから直接変更）
+  const changeProjectStatus = async (project, nextStatus) => {
+    if ((project.status || DEFAULT_PROJECT_STATUS) === nextStatus) return false
+
+    const success = await updateProject(project.id, getStatusTransitionPatch(project, nextStatus))
+    if (success) {
+      showNotification(`✓ 「${project.title}」を${getStatusLabel(nextStatus)}に変更しました`, 'success')
+    }
+    return success
+  }
+
+  // プロジェクト削除（ゴミ箱に移動する。完全削除はゴミ箱から行う）
+  const deleteProject = async (projectId) => {
+    if (!user) return false
+    if (!permissions.canDelete) {
+      notifyPermissionDenied('プロジェクトの削除')
+      return false
+    }
+
+    // 削除対象のプロジェクト情報を取得
+    const targetProject = findLoadedProject(projectId)
+    if (!targetProject) {
+      setError('削除対象のプロジェクトが見つかりません。')
+      return false
+    }
+
+    // 個別の削除ローディング状態を設定
+    setLoadingStates(prev => ({
+      ...prev,
+      deleting: { ...prev.deleting, [projectId]: true }
+    }))
+    setError('')
+
+    // 一覧・客先別集計のうち表示しているものから先に取り除く（失敗時は元の一覧に戻す）
+    const isInProjectList = projects.some(project => project.id === projectId)
+    const isInClientProjects = clientProjects.some(project => project.id === projectId)
+    optimisticDeleteRef.current.optimisticDelete(projectId, targetProject, (updater) => {
+      if (isInProjectList) setProjects(updater)
+      if (isInClientProjects) setClientProjects(updater)
+    })
+    if (isInProjectList) {
+      setProjectTotalCount(prevCount => Math.max(prevCount - 1, 0))
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('projects')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', projectId)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+
+      // RLSで更新が拒否された場合もエラーにならず0件になる
+      if (!data || data.length === 0) {
+        throw new Error('削除対象のプロジェクトが見つからないか、削除する権限がありません（not found）')
+      }
+
+      // 通知を表示している間は「元に戻す」で削除を取り消せる
+      optimisticDeleteRef.current.retainForUndo(projectId, UNDO_DELETE_DURATION)
+      fetchProjectSummary()
+
+      setError('')
+      showNotification(createDeleteSuccessNotification(targetProject.title, `客先: ${targetProject.client}`, {
+        duration: UNDO_DELETE_DURATION,
+        actions: [{ label: '元に戻す', onClick: () => undoDeleteProject(targetProject, { isInProjectList }) }]
+      }))
+
+      return true
+    } catch (error) {
+      console.error('プロジェクト削除エラー:', error)
+
+      optimisticDeleteRef.current.rollbackDelete(projectId)
+      if (isInProjectList) {
+        setProjectTotalCount(prevCount => prevCount + 1)
+      }
+
+      // より詳細なエラーメッセージ
+      let errorMessage = 'プロジェクトの削除に失敗しました。'
+      if (isPermissionError(error)) {
+        errorMessage = getPermissionDeniedMessage('プロジェクトの削除', userRole)
+      } else if (error.message.includes('network')) {
+        errorMessage = 'ネットワークエラーが発生しました。再度お試しください。'
+      } else if (error.message.includes('not found')) {
+        errorMessage = '削除対象のプロジェクトが見つからないか、削除する権限がありません。'
+      }
+
+      setError(errorMessage)
+      showNotification(errorMessage, 'error', 5000)
+      return false
+    } finally {
+      // 個別の削除ローディング状態をクリア
+      setLoadingStates(prev => ({
+        ...prev,
+        deleting: { ...prev.deleting, [projectId]: false }
+      }))
+    }
+  }
+
+  // 削除を元に戻す（ゴミ箱から復元し、一覧の元の位置に戻す）
+  const undoDeleteProject = async (project, { isInProjectList = false } = {}) => {
+    try {
+      const { data, error } = await supabase
+        .from('projects')
+        .update({ deleted_at: null })
+        .eq('id', project.id)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('復元対象のプロジェクトが見つからないか、復元する権限がありません（not found）')
+      }
+
+      // ID・登録日時は変わらないため、保持している削除前のデータをそのまま一覧に戻す
+      if (optimisticDeleteRef.current.undoDelete(project.id)) {
+        if (isInProjectList) {
+          setProjectTotalCount(prevCount => prevCount + 1)
+        }
+      } else {
+        fetchProjects()
+      }
+      fetchProjectSummary()
+      showNotification(`✓ プロジェクト「${project.title}」を元に戻しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('削除の取り消しエラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('プロジェクトの復元', userRole) : '削除を元に戻せませんでした。ゴミ箱から復元してください。',
+        'error',
+        5000
+      )
+      return false
+    }
+  }
+
+  // 一括操作の確認ダイアログを開く
+  const requestBulkAction = (action) => {
+    if (selectedProjects.length === 0) return
+    if (action.type === 'delete' && !permissions.canDelete) {
+      notifyPermissionDenied('プロジェクトの削除')
+      return
+    }
+    if (action.type !== 'delete' && !permissions.canCreate) {
+      notifyPermissionDenied('プロジェクトの編集')
+      return
+    }
+    setBulkConfirmation({ isOpen: true, action })
+  }
+
+  // 一括操作の確認ダイアログを閉じる
+  const closeBulkConfirmation = () => {
+    setBulkConfirmation({ isOpen: false, action: null })
+  }
+
+  // 一括操作の1件分の処理（更新後のプロジェクトを返す）
+  const runBulkActionForProject = async (action, project) => {
+    let patch
+    if (action.type === 'delete') {
+      patch = { deleted_at: new Date().toISOString() }
+    } else {
+      // 見積担当は自分が登録したプロジェクトのみ変更できる
+      if (!canEdit(project)) {
+        throw Object.assign(new Error('permission denied'), { code: '42501' })
+      }
+      patch = action.type === 'status'
+        ? getStatusTransitionPatch(project, action.status)
+        : { [action.field]: action.name }
+    }
+
+    const { data, error } = await supabase
+      .from('projects')
+      .update(patch)
+      .eq('id', project.id)
+      .select()
+
+    if (error) {
+      throw error
+    }
+
+    // RLSで更新が拒否された場合もエラーにならず0件になる
+    if (!data || data.length === 0) {
+      throw new Error('not found')
+    }
+
+    return data[0]
+  }
+
+  // 一括操作を実行（失敗したプロジェクトがあっても残りは処理し、結果を一覧で表示する）
+  const executeBulkAction = async () => {
+    const { action } = bulkConfirmation
+    const targets = selectedProjects
+    closeBulkConfirmation()
+    if (!action || targets.length === 0) return
+
+    const { title } = describeBulkAction(action)
+    setBulkProcessing(true)
+
+    try {
+      const results = await runBulkOperation(targets, project => runBulkActionForProject(action, project))
+      const succeededResults = results.filter(result => result.success)
+      const succeededIds = new Set(succeededResults.map(result => result.project.id))
+
+      if (action.type === 'delete') {
+        updateLoadedProjects(prevProjects => prevProjects.filter(project => !succeededIds.has(project.id)))
+        setProjectTotalCount(prevCount => Math.max(prevCount - succeededIds.size, 0))
+      } else {
+        const updatedProjects = new Map(succeededResults.map(result => [result.project.id, result.result]))
+        updateLoadedProjects(prevProjects =>
+          prevProjects.map(project =>
+            updatedProjects.has(project.id) ? { ...project, ...updatedProjects.get(project.id) } : project
+          )
+        )
+      }
+
+      if (succeededIds.size > 0) {
+        fetchProjectSummary()
+        if (action.type === 'manager') {
+          fetchManagerOptions()
+        }
+      }
+
+      // 失敗したプロジェクトは選択したままにして再実行できるようにする
+      setSelectedProjectIds(prev => new Set([...prev].filter(id => !succeededIds.has(id))))
+
+      setBulkResult({
+        isOpen: true,
+        title,
+        results: results.map(({ project, success, error }) => ({
+          project,
+          success,
+          message: success ? '' : getBulkErrorMessage(error, action, userRole)
+        }))
+      })
+
+      const { succeeded, failed } = summarizeBulkResults(results)
+      if (failed === 0) {
+        showNotification(`✓ ${title}が完了しました（${succeeded}件）`, 'success')
+      } else {
+        showNotification(`${title}: 成功 ${succeeded}件 / 失敗 ${failed}件`, 'warning', 5000)
+      }
+    } catch (error) {
+      console.error('一括操作エラー:', error)
+      showNotification(`${title}に失敗しました。`, 'error', 5000)
+    } finally {
+      setBulkProcessing(false)
+    }
+  }
+
+  // 一括操作の結果ダイアログを閉じる
+  const closeBulkResult = () => {
+    setBulkResult({ isOpen: false, title: '', results: [] })
+  }
+
+  // 選択したプロジェクトをExcelにエクスポート
+  const exportSelectedProjects = () => {
+    if (selectedProjects.length === 0) return
+
+    try {
+      const workbook = XLSX.utils.book_new()
+      const worksheet = XLSX.utils.json_to_sheet(selectedProjects.map(toProjectExportRow))
+      worksheet['!cols'] = PROJECT_EXPORT_COLUMN_WIDTHS
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'プロジェクト一覧')
+
+      const fileName = `工事見積管理_選択_${new Date().toISOString().split('T')[0]}.xlsx`
+      XLSX.writeFile(workbook, fileName)
+
+      showNotification(`✓ 選択した${selectedProjects.length}件をエクスポートしました`, 'success')
+    } catch (error) {
+      console.error('選択したプロジェクトのエクスポートエラー:', error)
+      showNotification('エクスポートに失敗しました。', 'error', 5000)
+    }
+  }
+
+  // 客先マスタダイアログを開く
+  const openClientMaster = () => {
+    setClientMaster({ isOpen: true, isLoading: true, isSaving: false })
+    fetchClients({ notifyOnError: true })
+  }
+
+  // 客先マスタダイアログを閉じる
+  const closeClientMaster = () => {
+    setClientMaster({ isOpen: false, isLoading: false, isSaving: false })
+  }
+
+  // 客先マスタのエラーメッセージ
+  const getClientErrorMessage = (error, action) => {
+    if (error.code === '23505') {
+      return '同じ客先（表記ゆれを含む）が既に登録されています。'
+    }
+    if (isPermissionError(error)) {
+      return getPermissionDeniedMessage(action, userRole)
+    }
+    return `${action}に失敗しました。`
+  }
+
+  // 客先の登録・更新（正式名称を変更した場合は紐付いているプロジェクトの客先名も変わる）
+  const saveClient = async (form, client) => {
+    if (!permissions.canManageClients) {
+      notifyPermissionDenied('客先マスタの編集')
+      return false
+    }
+
+    const record = toClientRecord(form)
+    const action = client ? '客先の更新' : '客先の登録'
+    setClientMaster(prev => ({ ...prev, isSaving: true }))
+
+    try {
+      const query = client
+        ? supabase.from('clients').update({ ...record, updated_at: new Date().toISOString() }).eq('id', client.id)
+        : supabase.from('clients').insert([{ ...record, organization_id: currentOrganizationId }])
+      const { data, error } = await query.select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('対象の客先が見つからないか、変更する権限がありません（not found）')
+      }
+
+      if (client && client.name !== record.name) {
+        refreshProjects()
+      } else {
+        fetchClients()
+      }
+      showNotification(`✓ 客先「${record.name}」を${client ? '更新' : '登録'}しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('客先保存エラー:', error)
+      showNotification(getClientErrorMessage(error, action), 'error', 5000)
+      return false
+    } finally {
+      setClientMaster(prev => ({ ...prev, isSaving: false }))
+    }
+  }
+
+  // 客先の削除（プロジェクトが紐付いていない客先のみ）
+  const deleteClient = async (client) => {
+    if (!permissions.canManageClients) {
+      notifyPermissionDenied('客先の削除')
+      return false
+    }
+    if (!window.confirm(`客先「${client.name}」を客先マスタから削除してもよろしいですか？`)) {
+      return false
+    }
+
+    setClientMaster(prev => ({ ...prev, isSaving: true }))
+
+    try {
+      const { data, error } = await supabase
+        .from('clients')
+        .delete()
+        .eq('id', client.id)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('削除対象の客先が見つからないか、削除する権限がありません（not found）')
+      }
+
+      setClients(prev => prev.filter(item => item.id !== client.id))
+      showNotification(`✓ 客先「${client.name}」を削除しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('客先削除エラー:', error)
+      showNotification(getClientErrorMessage(error, '客先の削除'), 'error', 5000)
+      return false
+    } finally {
+      setClientMaster(prev => ({ ...prev, isSaving: false }))
+    }
+  }
+
+  // 客先の統合（統合元のプロジェクトを統合先に付け替え、客先別集計も1つにまとめる）
+  const mergeClients = async (target, sources) => {
+    if (!permissions.canManageClients) {
+      notifyPermissionDenied('客先の統合')
+      return false
+    }
+
+    setClientMaster(prev => ({ ...prev, isSaving: true }))
+
+    try {
+      const { data: movedCount, error } = await supabase.rpc('merge_clients', {
+        p_target_id: target.id,
+        p_source_ids: sources.map(source => source.id)
+      })
+
+      if (error) {
+        throw error
+      }
+
+      refreshProjects()
+      showNotification(
+        `✓ ${sources.length}件の客先を「${target.name}」に統合しました（プロジェクト${movedCount ?? 0}件を付け替え）`,
+        'success'
+      )
+      return true
+    } catch (error) {
+      console.error('客先統合エラー:', error)
+      showNotification(getClientErrorMessage(error, '客先の統合'), 'error', 5000)
+      return false
+    } finally {
+      setClientMaster(prev => ({ ...prev, isSaving: false }))
+    }
+  }
+
+  // 担当者マスタダイアログを開く
+  const openStaffMaster = () => {
+    setStaffMaster({ isOpen: true, isLoading: true, isSaving: false, userOptions: [] })
+    fetchStaffMembers({ notifyOnError: true })
+    fetchStaffUserOptions()
+  }
+
+  // 担当者マスタダイアログを閉じる
+  const closeStaffMaster = () => {
+    setStaffMaster({ isOpen: false, isLoading: false, isSaving: false, userOptions: [] })
+  }
+
+  // 担当者マスタのエラーメッセージ
+  const getStaffErrorMessage = (error, action) => {
+    if (error.code === '23505') {
+      return '同じ名前の担当者、または同じログインユーザーに関連付けられた担当者が既に登録されています。'
+    }
+    if (error.code === '23503') {
+      return 'プロジェクトが登録されている担当者は削除できません。退職・異動に変更してください。'
+    }
+    if (isPermissionError(error)) {
+      return getPermissionDeniedMessage(action, userRole)
+    }
+    return `${action}に失敗しました。`
+  }
+
+  // 担当者の登録・更新（名前を変更した場合は担当者のプロジェクトの担当者名も変わる）
+  const saveStaffMember = async (form, staff) => {
+    if (!permissions.canManageStaff) {
+      notifyPermissionDenied('担当者マスタの編集')
+      return false
+    }
+
+    const record = toStaffRecord(form)
+    const action = staff ? '担当者の更新' : '担当者の登録'
+    setStaffMaster(prev => ({ ...prev, isSaving: true }))
+
+    try {
+      const query = staff
+        ? supabase.from('staff_members').update({ ...record, updated_at: new Date().toISOString() }).eq('id', staff.id)
+        : supabase.from('staff_members').insert([{ ...record, organization_id: currentOrganizationId }])
+      const { data, error } = await query.select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('対象の担当者が見つからないか、変更する権限がありません（not found）')
+      }
+
+      // 名前・ログインユーザーの変更は一覧・担当者別集計にも反映する
+      if (staff && (staff.name !== record.name || staff.user_id !== record.user_id)) {
+        refreshProjects()
+      } else {
+        fetchStaffMembers()
+      }
+      showNotification(`✓ 担当者「${record.name}」を${staff ? '更新' : '登録'}しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('担当者保存エラー:', error)
+      showNotification(getStaffErrorMessage(error, action), 'error', 5000)
+      return false
+    } finally {
+      setStaffMaster(prev => ({ ...prev, isSaving: false }))
+    }
+  }
+
+  // 担当者の削除（プロジェクトが登録されていない担当者のみ）
+  const deleteStaffMember = async (staff) => {
+    if (!permissions.canManageStaff) {
+      notifyPermissionDenied('担当者の削除')
+      return false
+    }
+    if (!window.confirm(`担当者「${staff.name}」を担当者マスタから削除してもよろしいですか？`)) {
+      return false
+    }
+
+    setStaffMaster(prev => ({ ...prev, isSaving: true }))
+
+    try {
+      const { data, error } = await supabase
+        .from('staff_members')
+        .delete()
+        .eq('id', staff.id)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('削除対象の担当者が見つからないか、削除する権限がありません（not found）')
+      }
+
+      setStaffMembers(prev => prev.filter(item => item.id !== staff.id))
+      showNotification(`✓ 担当者「${staff.name}」を削除しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('担当者削除エラー:', error)
+      showNotification(getStaffErrorMessage(error, '担当者の削除'), 'error', 5000)
+      return false
+    } finally {
+      setStaffMaster(prev => ({ ...prev, isSaving: false }))
+    }
+  }
+
+  // 担当者別集計から担当者のプロジェクトを一覧で表示（担当者で絞り込む）
+  const showStaffProjects = (staffRow) => {
+    const { filterKey } = getStaffRole(staffRow.role)
+    setFilters({ ...DEFAULT_PROJECT_FILTERS, [filterKey]: staffRow.name })
+    setShowClientView(false)
+  }
+
+  // プロジェクトの活動記録を取得（新しい順）
+  const fetchProjectActivities = async (projectId) => {
+    setProjectDetail(prev => ({ ...prev, isLoading: true }))
+
+    try {
+      const { data, error } = await supabase
+        .from('project_activities')
+        .select('*')
+        .eq('organization_id', currentOrganizationId)
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false })
+
+      if (error) {
+        throw error
+      }
+
+      setProjectDetail(prev => prev.project?.id === projectId
+        ? { ...prev, activities: data || [], isLoading: false }
+        : prev
+      )
+    } catch (error) {
+      console.error('経過取得エラー:', error)
+      setProjectDetail(prev => ({ ...prev, isLoading: false }))
+      showNotification('経過の取得に失敗しました。', 'error', 5000)
+    }
+  }
+
+  // プロジェクトの詳細パネルを開く
+  const openProjectDetail = (project) => {
+    setProjectDetail({ isOpen: true, project, activities: [], isLoading: true, isSaving: false, processingIds: {} })
+    fetchProjectActivities(project.id)
+  }
+
+  // プロジェクトの詳細パネルを閉じる
+  const closeProjectDetail = () => {
+    setProjectDetail({ isOpen: false, project: null, activities: [], isLoading: false, isSaving: false, processingIds: {} })
+  }
+
+  // 経過・コメントを記録（登録したユーザー・日時はサーバー側で設定される）
+  const createActivity = async (form) => {
+    const project = projectDetail.project
+    const kindLabel = getActivityKindDefinition(form.kind).label
+    if (!permissions.canCreate) {
+      notifyPermissionDenied('経過の記録')
+      return false
+    }
+
+    setProjectDetail(prev => ({ ...prev, isSaving: true }))
+    try {
+      const { data, error } = await supabase
+        .from('project_activities')
+        .insert([{
+          ...toActivityRecord(form),
+          organization_id: currentOrganizationId,
+          project_id: project.id
+        }])
+        .select()
+
+      if (error) {
+        throw error
+      }
+
+      setProjectDetail(prev => prev.project?.id === project.id
+        ? { ...prev, activities: [...(data || []), ...prev.activities] }
+        : prev
+      )
+      showNotification(`✓ ${kindLabel}を記録しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('経過記録エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('経過の記録', userRole) : '経過の記録に失敗しました。',
+        'error',
+        5000
+      )
+      return false
+    } finally {
+      setProjectDetail(prev => ({ ...prev, isSaving: false }))
+    }
+  }
+
+  // 経過・コメントを削除（自動で記録された変更は削除できない）
+  const deleteActivity = async (activity) => {
+    const kindLabel = getActivityKindDefinition(activity.kind).label
+    if (!canDeleteActivity(userRole, activity, user?.id)) {
+      notifyPermissionDenied('経過の削除')
+      return
+    }
+    if (!window.confirm(`${new Date(activity.created_at).toLocaleString('ja-JP')}の${kindLabel}を削除しますか？`)) {
+      return
+    }
+
+    setProjectDetail(prev => ({ ...prev, processingIds: { ...prev.processingIds, [activity.id]: true } }))
+    try {
+      const { data, error } = await supabase
+        .from('project_activities')
+        .delete()
+        .eq('id', activity.id)
+        .eq('organization_id', currentOrganizationId)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('経過が見つからないか、削除する権限がありません（not found）')
+      }
+
+      setProjectDetail(prev => ({ ...prev, activities: prev.activities.filter(item => item.id !== activity.id) }))
+      showNotification(`✓ ${kindLabel}を削除しました`, 'success')
+    } catch (error) {
+      console.error('経過削除エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('経過の削除', userRole) : '経過の削除に失敗しました。',
+        'error',
+        5000
+      )
+    } finally {
+      setProjectDetail(prev => ({ ...prev, processingIds: { ...prev.processingIds, [activity.id]: false } }))
+    }
+  }
+
+  // 今日対応するフォローアップを取得（経過日数のリマインダーを先に作成する）
+  const fetchMyFollowUps = async ({ notifyDue = false } = {}) => {
+    if (!user || !currentOrganizationId) return
+
+    setMyFollowUps(prev => ({ ...prev, isLoading: true }))
+
+    try {
+      // pg_cron が使えない環境でも開いた時点のリマインダーを表示する
+      const { error: generateError } = await supabase.rpc('generate_follow_up_reminders')
+      if (generateError) {
+        console.error('リマインダー作成エラー:', generateError)
+      }
+
+      const { data, error } = await supabase
+        .from('follow_ups')
+        .select('*, project:projects!inner(id, project_number, client, title, deleted_at)')
+        .eq('organization_id', currentOrganizationId)
+        .eq('assignee_id', user.id)
+        .eq('status', 'open')
+        .lte('remind_on', toLocalDateString())
+        .is('project.deleted_at', null)
+        .order('remind_on', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      setMyFollowUps({ items: data || [], isLoading: false })
+
+      if (notifyDue && data?.length > 0) {
+        showNotification(createNotification('warning', `今日対応するフォローアップが${data.length}件あります`, {
+          duration: 10000,
+          actions: [{
+            label: '確認する',
+            onClick: () => document.getElementById('follow-up-panel')?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+          }]
+        }))
+      }
+    } catch (error) {
+      console.error('フォローアップ取得エラー:', error)
+      setMyFollowUps(prev => ({ ...prev, isLoading: false }))
+      showNotification('フォローアップの取得に失敗しました。', 'warning', 5000)
+    }
+  }
+
+  // プロジェクトのフォローアップを取得
+  const fetchProjectFollowUps = async (projectId) => {
+    setFollowUpDialog(prev => ({ ...prev, isLoading: true }))
+
+    try {
+      const { data, error } = await supabase
+        .from('follow_ups')
+        .select('*')
+        .eq('organization_id', currentOrganizationId)
+        .eq('project_id', projectId)
+        .order('due_date', { ascending: true })
+
+      if (error) {
+        throw error
+      }
+
+      setFollowUpDialog(prev => prev.project?.id === projectId
+        ? { ...prev, followUps: data || [], isLoading: false }
+        : prev
+      )
+    } catch (error) {
+      console.error('フォローアップ取得エラー:', error)
+      setFollowUpDialog(prev => ({ ...prev, isLoading: false }))
+      showNotification('フォローアップの取得に失敗しました。', 'error', 5000)
+    }
+  }
+
+  // フォローアップダイアログを開く
+  const openFollowUps = (project) => {
+    setFollowUpDialog({ isOpen: true, project, followUps: [], isLoading: true, isSaving: false })
+    fetchProjectFollowUps(project.id)
+  }
+
+  // フォローアップダイアログを閉じる
+  const closeFollowUps = () => {
+    setFollowUpDialog({ isOpen: false, project: null, followUps: [], isLoading: false, isSaving: false })
+  }
+
+  // 変更後に今日のフォローアップと開いているダイアログを取得し直す
+  const refreshFollowUps = (projectId) => {
+    fetchMyFollowUps()
+    if (followUpDialog.isOpen && followUpDialog.project?.id === projectId) {
+      fetchProjectFollowUps(projectId)
+    }
+  }
+
+  // フォローアップの処理中状態を設定
+  const setFollowUpProcessing = (followUpId, isProcessing) => {
+    setFollowUpProcessingIds(prev => ({ ...prev, [followUpId]: isProcessing }))
+  }
+
+  // フォローアップのエラーメッセージ
+  const getFollowUpErrorMessage = (error, action) => {
+    if (isPermissionError(error)) {
+      return getPermissionDeniedMessage(action, userRole)
+    }
+    return `${action}に失敗しました。`
+  }
+
+  // フォローアップを登録（手動登録のみ。経過日数のリマインダーはデータベースが作成する）
+  const createFollowUp = async (form) => {
+    const project = followUpDialog.project
+    if (!permissions.canCreate) {
+      notifyPermissionDenied('フォローアップの登録')
+      return false
+    }
+
+    setFollowUpDialog(prev => ({ ...prev, isSaving: true }))
+    try {
+      const { error } = await supabase
+        .from('follow_ups')
+        .insert([{
+          ...toFollowUpRecord(form),
+          organization_id: currentOrganizationId,
+          project_id: project.id
+        }])
+
+      if (error) {
+        throw error
+      }
+
+      showNotification(`✓ フォローアップ「${form.title.trim()}」を登録しました`, 'success')
+      refreshFollowUps(project.id)
+      return true
+    } catch (error) {
+      console.error('フォローアップ登録エラー:', error)
+      showNotification(getFollowUpErrorMessage(error, 'フォローアップの登録'), 'error', 5000)
+      return false
+    } finally {
+      setFollowUpDialog(prev => ({ ...prev, isSaving: false }))
+    }
+  }
+
+  // フォローアップを更新（完了・スヌーズ・未完了に戻す）。更新できた場合は true を返す
+  const updateFollowUp = async (followUp, changes, action, successMessage) => {
+    if (!canEditFollowUp(userRole, followUp, user?.id)) {
+      notifyPermissionDenied(action)
+      return false
+    }
+
+    setFollowUpProcessing(followUp.id, true)
+    try {
+      const { data, error } = await supabase
+        .from('follow_ups')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', followUp.id)
+        .eq('organization_id', currentOrganizationId)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('フォローアップが見つからないか、変更する権限がありません（not found）')
+      }
+
+      showNotification(successMessage, 'success')
+      refreshFollowUps(followUp.project_id)
+      return true
+    } catch (error) {
+      console.error('フォローアップ更新エラー:', error)
+      showNotification(getFollowUpErrorMessage(error, action), 'error', 5000)
+      return false
+    } finally {
+      setFollowUpProcessing(followUp.id, false)
+    }
+  }
+
+  // フォローアップを完了にする（対応内容のメモを残せる）
+  const completeFollowUp = (followUp, memo) =>
+    updateFollowUp(
+      followUp,
+      { status: 'done', done_memo: memo || null },
+      'フォローアップの完了',
+      `✓ フォローアップ「${followUp.title}」を完了にしました`
+    )
+
+  // フォローアップをスヌーズ（指定した日数後まで今日のフォローアップに表示しない）
+  const snoozeFollowUp = (followUp, days) => {
+    const snoozedUntil = addDays(toLocalDateString(), days)
+    return updateFollowUp(
+      followUp,
+      { snoozed_until: snoozedUntil },
+      'フォローアップのスヌーズ',
+      `✓ フォローアップ「${followUp.title}」を${snoozedUntil}までスヌーズしました`
+    )
+  }
+
+  // 完了したフォローアップを未完了に戻す（スヌーズは解除する）
+  const reopenFollowUp = (followUp) =>
+    updateFollowUp(
+      followUp,
+      { status: 'open', snoozed_until: null },
+      'フォローアップの変更',
+      `✓ フォローアップ「${followUp.title}」を未完了に戻しました`
+    )
+
+  // 手動で登録したフォローアップを削除
+  const deleteFollowUp = async (followUp) => {
+    if (!canEditFollowUp(userRole, followUp, user?.id)) {
+      notifyPermissionDenied('フォローアップの削除')
+      return false
+    }
+    if (!window.confirm(`フォローアップ「${followUp.title}」を削除しますか？`)) {
+      return false
+    }
+
+    setFollowUpProcessing(followUp.id, true)
+    try {
+      const { data, error } = await supabase
+        .from('follow_ups')
+        .delete()
+        .eq('id', followUp.id)
+        .eq('organization_id', currentOrganizationId)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('フォローアップが見つからないか、削除する権限がありません（not found）')
+      }
+
+      showNotification(`✓ フォローアップ「${followUp.title}」を削除しました`, 'success')
+      refreshFollowUps(followUp.project_id)
+      return true
+    } catch (error) {
+      console.error('フォローアップ削除エラー:', error)
+      showNotification(getFollowUpErrorMessage(error, 'フォローアップの削除'), 'error', 5000)
+      return false
+    } finally {
+      setFollowUpProcessing(followUp.id, false)
+    }
+  }
+
+  // 今日のフォローアップからプロジェクトのフォローアップを開く
+  const openFollowUpsOfProject = (project) => {
+    openFollowUps(projects.find(item => item.id === project.id) || project)
+  }
+
+  // ゴミ箱内のプロジェクトを取得（保存期間を過ぎたものは先に完全削除する）
+  const fetchTrash = async () => {
+    if (!currentOrganizationId) return
+
+    setTrash(prev => ({ ...prev, isLoading: true }))
+
+    try {
+      // pg_cron が使えない環境でも期限切れのプロジェクトを表示しないようにする
+      const { error: purgeError } = await supabase.rpc('purge_expired_trash')
+      if (purgeError) {
+        console.error('ゴミ箱の自動削除エラー:', purgeError)
+      }
+
+      const { data, error } = await buildTrashQuery(
+        supabase.from('projects').select('*'),
+        { organizationId: currentOrganizationId }
+      )
+
+      if (error) {
+        throw error
+      }
+
+      setTrash(prev => ({ ...prev, projects: data || [], isLoading: false }))
+    } catch (error) {
+      console.error('ゴミ箱取得エラー:', error)
+      setTrash(prev => ({ ...prev, isLoading: false }))
+      showNotification('ゴミ箱の取得に失敗しました。', 'error', 5000)
+    }
+  }
+
+  // ゴミ箱ダイアログを開く
+  const openTrash = () => {
+    setTrash({ isOpen: true, projects: [], isLoading: true, processingIds: {} })
+    fetchTrash()
+  }
+
+  // ゴミ箱ダイアログを閉じる
+  const closeTrash = () => {
+    setTrash({ isOpen: false, projects: [], isLoading: false, processingIds: {} })
+  }
+
+  // ゴミ箱内のプロジェクトの処理中状態を設定
+  const setTrashProcessing = (projectId, isProcessing) => {
+    setTrash(prev => ({
+      ...prev,
+      processingIds: { ...prev.processingIds, [projectId]: isProcessing }
+    }))
+  }
+
+  // ゴミ箱から復元
+  const restoreProject = async (project) => {
+    if (!permissions.canDelete) {
+      notifyPermissionDenied('プロジェクトの復元')
+      return false
+    }
+
+    setTrashProcessing(project.id, true)
+
+    try {
+      const { data, error } = await supabase
+        .from('projects')
+        .update({ deleted_at: null })
+        .eq('id', project.id)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('復元対象のプロジェクトが見つからないか、復元する権限がありません（not found）')
+      }
+
+      setTrash(prev => ({ ...prev, projects: prev.projects.filter(item => item.id !== project.id) }))
+      fetchProjects()
+      fetchProjectSummary()
+      fetchManagerOptions()
+      showNotification(`✓ プロジェクト「${project.title}」を復元しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('プロジェクト復元エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('プロジェクトの復元', userRole) : 'プロジェクトの復元に失敗しました。',
+        'error',
+        5000
+      )
+      return false
+    } finally {
+      setTrashProcessing(project.id, false)
+    }
+  }
+
+  // ゴミ箱から完全削除
+  const purgeProject = async (project) => {
+    if (!permissions.canDelete) {
+      notifyPermissionDenied('プロジェクトの完全削除')
+      return false
+    }
+
+    const confirmMessage = `以下のプロジェクトを完全に削除してもよろしいですか？\n\n` +
+      `客先: ${project.client}\n` +
+      `件名: ${project.title}\n` +
+      `金額: ${formatCurrency(project.customer_amount)}\n\n` +
+      `※完全に削除したプロジェクトは復元できません。`
+
+    if (!window.confirm(confirmMessage)) {
+      return false
+    }
+
+    setTrashProcessing(project.id, true)
+
+    try {
+      const { data, error } = await supabase
+        .from('projects')
+        .delete()
+        .eq('id', project.id)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      // RLSで削除が拒否された場合もエラーにならず0件になる
+      if (!data || data.length === 0) {
+        throw new Error('削除対象のプロジェクトが見つからないか、削除する権限がありません（not found）')
+      }
+
+      setTrash(prev => ({ ...prev, projects: prev.projects.filter(item => item.id !== project.id) }))
+      showNotification(`✓ プロジェクト「${project.title}」を完全に削除しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('プロジェクト完全削除エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('プロジェクトの完全削除', userRole) : 'プロジェクトの完全削除に失敗しました。',
+        'error',
+        5000
+      )
+      return false
+    } finally {
+      setTrashProcessing(project.id, false)
+    }
+  }
+
+  // ゴミ箱の保存期間を変更（システム管理者のみ）
+  const changeTrashRetentionDays = async (days) => {
+    if (!permissions.canConfigureTrash) {
+      notifyPermissionDenied('ゴミ箱の保存期間の変更')
+      return false
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('organizations')
+        .update({ trash_retention_days: days })
+        .eq('id', currentOrganizationId)
+        .select('id, trash_retention_days')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('組織が見つからないか、変更する権限がありません（not found）')
+      }
+
+      setOrganizations(prev => prev.map(organization =>
+        organization.id === currentOrganizationId
+          ? { ...organization, trash_retention_days: data[0].trash_retention_days }
+          : organization
+      ))
+      showNotification(`✓ ゴミ箱の保存期間を${days}日に変更しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('保存期間変更エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('ゴミ箱の保存期間の変更', userRole) : 'ゴミ箱の保存期間の変更に失敗しました。',
+        'error',
+        5000
+      )
+      return false
+    }
+  }
+
+  // フォローアップのリマインダーを作成する経過日数を変更（システム管理者のみ）
+  const changeFollowUpThresholds = async (thresholds) => {
+    if (!permissions.canConfigureFollowUps) {
+      notifyPermissionDenied('フォローアップのしきい値の変更')
+      return false
+    }
 
     try {
       const { data, error } = await supabase
-        .from('projects')
-        .insert([{
-          ...projectData
-        }])
-        .select()
+        .from('organizations')
+        .update({ follow_up_thresholds: thresholds })
+        .eq('id', currentOrganizationId)
+        .select('id, follow_up_thresholds')
 
       if (error) {
         throw error
       }
-
-      // 新しいプロジェクトを既存のリストに追加
-      if (data && data.length > 0) {
-        setProjects(prevProjects => [data[0], ...prevProjects])
+      if (!data || data.length === 0) {
+        throw new Error('組織が見つからないか、変更する権限がありません（not found）')
       }
 
+      setOrganizations(prev => prev.map(organization =>
+        organization.id === currentOrganizationId
+          ? { ...organization, follow_up_thresholds: data[0].follow_up_thresholds }
+          : organization
+      ))
+      showNotification(`✓ リマインダーを作成する経過日数を${thresholds.join('日・')}日に変更しました`, 'success')
+      fetchMyFollowUps()
       return true
     } catch (error) {
-      console.error('プロジェクト作成エラー:', error)
-      const errorMessage = 'プロジェクトの作成に失敗しました。'
-      setError(errorMessage)
-      showNotification(errorMessage, 'error')
+      console.error('しきい値変更エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('フォローアップのしきい値の変更', userRole) : 'フォローアップのしきい値の変更に失敗しました。',
+        'error',
+        5000
+      )
       return false
-    } finally {
-      setDataLoading(false)
     }
   }
 
-  // プロジェクト削除
-  const deleteProject = async (projectId) => {
-    if (!user) return false
-
-    // 削除対象のプロジェクト情報を取得
-    const targetProject = projects.find(p => p.id === projectId)
-    if (!targetProject) {
-      setError('削除対象のプロジェクトが見つかりません。')
-      return false
-    }
-
-    // 詳細な確認ダイアログ
-    const confirmMessage = `以下のプロジェクトを削除してもよろしいですか？\n\n` +
-      `客先: ${targetProject.client}\n` +
-      `件名: ${targetProject.title}\n` +
-      `金額: ${formatCurrency(targetProject.customer_amount)}\n\n` +
-      `※この操作は取り消せません。`
-
-    if (!window.confirm(confirmMessage)) {
+  // 工事番号の採番形式を変更（システム管理者のみ。null で自動採番をやめる）
+  const changeProjectNumberFormat = async (format) => {
+    if (!permissions.canConfigureProjectNumbers) {
+      notifyPermissionDenied('工事番号の採番設定の変更')
       return false
     }
 
-    // 個別の削除ローディング状態を設定
-    setLoadingStates(prev => ({
-      ...prev,
-      deleting: { ...prev.deleting, [projectId]: true }
-    }))
-    setError('')
-
+    setProjectNumberSettings(prev => ({ ...prev, isSaving: true }))
     try {
-      const { error } = await supabase
-        .from('projects')
-        .delete()
-        .eq('id', projectId)
+      const { data, error } = await supabase
+        .from('organizations')
+        .update({ project_number_format: format })
+        .eq('id', currentOrganizationId)
+        .select('id, project_number_format')
 
       if (error) {
         throw error
       }
+      if (!data || data.length === 0) {
+        throw new Error('組織が見つからないか、変更する権限がありません（not found）')
+      }
 
-      // プロジェクトリストから削除
-      setProjects(prevProjects =>
-        prevProjects.filter(project => project.id !== projectId)
+      setOrganizations(prev => prev.map(organization =>
+        organization.id === currentOrganizationId
+          ? { ...organization, project_number_format: data[0].project_number_format }
+          : organization
+      ))
+      showNotification(
+        format ? `✓ 工事番号の採番形式を「${format}」に変更しました` : '✓ 工事番号の自動採番を停止しました',
+        'success'
       )
-
-      // 成功メッセージを表示
-      const successMessage = `✓ プロジェクト「${targetProject.title}」を削除しました`
-      setError('')
-      showNotification(successMessage, 'success')
-
       return true
     } catch (error) {
-      console.error('プロジェクト削除エラー:', error)
-
-      // より詳細なエラーメッセージ
-      let errorMessage = 'プロジェクトの削除に失敗しました。'
-      if (error.message.includes('permission')) {
-        errorMessage = '削除権限がありません。'
-      } else if (error.message.includes('network')) {
-        errorMessage = 'ネットワークエラーが発生しました。再度お試しください。'
-      } else if (error.message.includes('not found')) {
-        errorMessage = '削除対象のプロジェクトが見つかりません。'
+      console.error('採番設定変更エラー:', error)
+      let errorMessage = '工事番号の採番設定の変更に失敗しました。'
+      if (isPermissionError(error)) {
+        errorMessage = getPermissionDeniedMessage('工事番号の採番設定の変更', userRole)
+      } else if (error.code === '23514') {
+        errorMessage = '採番形式が正しくありません。使える記号と{連番}を確認してください。'
       }
-
-      setError(errorMessage)
+      showNotification(errorMessage, 'error', 5000)
       return false
     } finally {
-      // 個別の削除ローディング状態をクリア
-      setLoadingStates(prev => ({
-        ...prev,
-        deleting: { ...prev.deleting, [projectId]: false }
-      }))
+      setProjectNumberSettings(prev => ({ ...prev, isSaving: false }))
     }
   }
 
@@ -374,58 +2603,8 @@ function App() {
     setSortConfig({ key, direction })
   }
 
-  // 表示するプロジェクトデータを取得（ソート＋表示制御）
-  const getDisplayProjects = () => {
-    const sortedProjects = [...projects].sort((a, b) => {
-      let aValue = a[sortConfig.key]
-      let bValue = b[sortConfig.key]
-
-      // 数値フィールドの処理
-      if (['net_amount', 'customer_amount'].includes(sortConfig.key)) {
-        aValue = parseFloat(aValue) || 0
-        bValue = parseFloat(bValue) || 0
-      }
-
-      // 日付フィールドの処理
-      if (['submission_date', 'created_at'].includes(sortConfig.key)) {
-        aValue = new Date(aValue)
-        bValue = new Date(bValue)
-      }
-
-      // 計算フィールドの処理
-      if (sortConfig.key === 'profit_rate') {
-        aValue = parseFloat(calculateProfitRate(a.customer_amount, a.net_amount))
-        bValue = parseFloat(calculateProfitRate(b.customer_amount, b.net_amount))
-      }
-
-      if (sortConfig.key === 'days_passed') {
-        aValue = calculateDaysPassed(a.submission_date)
-        bValue = calculateDaysPassed(b.submission_date)
-      }
-
-      // 文字列フィールドの処理（null/undefined対応）
-      if (typeof aValue === 'string') {
-        aValue = aValue || ''
-        bValue = bValue || ''
-      }
-
-      if (aValue < bValue) {
-        return sortConfig.direction === 'asc' ? -1 : 1
-      }
-      if (aValue > bValue) {
-        return sortConfig.direction === 'asc' ? 1 : -1
-      }
-      return 0
-    })
-
-    // 表示件数制御：全件表示でない場合は直近20件のみ
-    return showAllProjects ? sortedProjects : sortedProjects.slice(0, 20)
-  }
-
-  // 表示切り替え処理
-  const toggleShowAllProjects = () => {
-    setShowAllProjects(!showAllProjects)
-  }
+  // 表示するプロジェクトデータを取得（フィルター・ソート・件数制限はサーバー側で適用済み）
+  const getDisplayProjects = () => projects
 
   // 客先別集計表示切り替え
   const toggleClientView = () => {
@@ -465,8 +2644,12 @@ function App() {
   // フォーム表示切り替え
   const toggleForm = () => {
     if (showForm) {
-      // フォームを閉じる時は確認
-      if (Object.values(formData).some(value => value && value.toString().trim())) {
+      // フォームを閉じる時は確認（編集モードでは変更がある場合のみ）
+      const hasChanges = editingProject
+        ? JSON.stringify(formData) !== JSON.stringify(projectToFormData(editingProject)) ||
+          JSON.stringify(lineItems) !== JSON.stringify(savedLineItems)
+        : Object.values(formData).some(value => value && value.toString().trim())
+      if (hasChanges) {
         if (!window.confirm('入力中のデータが失われますが、よろしいですか？')) {
           return
         }
@@ -475,6 +2658,10 @@ function App() {
       resetForm()
       setSuccessMessage('')
     } else {
+      if (!permissions.canCreate) {
+        notifyPermissionDenied('プロジェクトの登録')
+        return
+      }
       // フォームを開く時はリセット
       resetForm()
       setSuccessMessage('')
@@ -482,6 +2669,54 @@ function App() {
     setShowForm(!showForm)
   }
 
+  // 既存プロジェクトの編集フォームを開く
+  const openEditForm = (projectId) => {
+    const project = findLoadedProject(projectId)
+    if (!project) {
+      showNotification('編集対象のプロジェクトが見つかりません。', 'error')
+      return
+    }
+    if (!canEdit(project)) {
+      notifyPermissionDenied('プロジェクトの編集')
+      return
+    }
+
+    setEditingProject(project)
+    setFormData(projectToFormData(project))
+    setRevisionOptions({ saveAsNew: false, reason: '' })
+    setFormErrors({})
+    setErrorMessage('')
+    setSuccessMessage('')
+    setShowForm(true)
+
+    // 内訳明細を読み込み
+    setLineItems([])
+    setSavedLineItems([])
+    setLineItemErrors({})
+    setLineItemsLoadFailed(false)
+    setLineItemsLoading(true)
+    fetchLineItems(project.id)
+      .then(records => {
+        const items = records.map(lineItemToFormItem)
+        setLineItems(items)
+        setSavedLineItems(items)
+      })
+      .catch(error => {
+        console.error('内訳明細取得エラー:', error)
+        setLineItemsLoadFailed(true)
+        showNotification('内訳明細の読み込みに失敗しました。明細は変更されません。', 'warning', 5000)
+      })
+      .finally(() => setLineItemsLoading(false))
+
+    // フォームまでスクロール
+    setTimeout(() => {
+      const formElement = document.getElementById('project-form')
+      if (formElement) {
+        formElement.scrollIntoView({ behavior: 'smooth', block: 'start' })
+      }
+    }, 100)
+  }
+
   // フォーム入力処理
   const handleFormChange = (e) => {
     const { name, value } = e.target
@@ -518,6 +2753,26 @@ function App() {
     }
   }
 
+  // 内訳明細の変更（明細がある場合は合計をネット金額・客出金額に反映）
+  const handleLineItemsChange = (items) => {
+    setLineItems(items)
+
+    if (items.length > 0) {
+      const totals = calculateLineItemTotals(items)
+      setFormData(prev => ({
+        ...prev,
+        net_amount: totals.netAmount > 0 ? totals.netAmount.toLocaleString() : '',
+        customer_amount: totals.customerAmount > 0 ? totals.customerAmount.toLocaleString() : ''
+      }))
+    }
+
+    // 明細のエラーは入力し直した時点でクリア
+    if (Object.keys(lineItemErrors).length > 0) {
+      setLineItemErrors({})
+      setFormErrors(prev => ({ ...prev, line_items: '' }))
+    }
+  }
+
   // フォーム検証
   const validateForm = () => {
     const errors = {}
@@ -567,7 +2822,10 @@ function App() {
       const oneYearLater = new Date()
       oneYearLater.setFullYear(today.getFullYear() + 1)
 
-      if (submissionDate < oneYearAgo || submissionDate > oneYearLater) {
+      // 編集時に元の提出日から変更していない場合は範囲チェックを行わない
+      const isUnchangedDate = editingProject && editingProject.submission_date === formData.submission_date
+
+      if (!isUnchangedDate && (submissionDate < oneYearAgo || submissionDate > oneYearLater)) {
         errors.submission_date = '提出日は1年前から1年後の範囲で入力してください'
       }
     }
@@ -585,6 +2843,22 @@ function App() {
       errors.sales_manager = '営業担当者は50文字以内で入力してください'
     }
 
+    // 改訂理由の検証（新しい版として保存する場合は必須）
+    if (editingProject && revisionOptions.saveAsNew) {
+      if (!revisionOptions.reason.trim()) {
+        errors.revision_reason = '改訂理由は必須です'
+      } else if (revisionOptions.reason.trim().length > 200) {
+        errors.revision_reason = '改訂理由は200文字以内で入力してください'
+      }
+    }
+
+    // 内訳明細の検証
+    const itemErrors = validateLineItems(lineItems)
+    setLineItemErrors(itemErrors)
+    if (Object.keys(itemErrors).length > 0) {
+      errors.line_items = `内訳明細に${Object.keys(itemErrors).length}件の入力エラーがあります`
+    }
+
     setFormErrors(errors)
     return Object.keys(errors).length === 0
   }
@@ -614,24 +2888,105 @@ function App() {
       return
     }
 
-    // 送信前の最終データ準備
+    // 送信前の最終データ準備（客先は客先マスタの正式名称に揃える）
+    const masterClient = findClientByName(clients, formData.client)
+    const constructionStaff = findStaffByName(staffMembers, formData.construction_manager)
+    const salesStaff = findStaffByName(staffMembers, formData.sales_manager)
     const projectData = {
       project_number: formData.project_number.trim() || null,
-      client: formData.client.trim(),
+      client: resolveClientName(formData.client, clients),
+      client_id: masterClient?.id ?? null,
       title: formData.title.trim(),
       construction_manager: formData.construction_manager.trim() || null,
+      construction_manager_id: constructionStaff?.id ?? null,
       sales_manager: formData.sales_manager.trim() || null,
+      sales_manager_id: salesStaff?.id ?? null,
       net_amount: parseFloat(formData.net_amount.replace(/,/g, '')),
       customer_amount: parseFloat(formData.customer_amount.replace(/,/g, '')),
-      submission_date: formData.submission_date
+      tax_mode: formData.tax_mode,
+      tax_rate: parseFloat(formData.tax_rate),
+      submission_date: formData.submission_date,
+      ...getStatusTransitionPatch(editingProject, formData.status)
+    }
+
+    const isEditing = Boolean(editingProject)
+    const previousRevision = editingProject?.current_revision || 1
+    const isNewRevision = isEditing && revisionOptions.saveAsNew
+    const revisionNumber = isNewRevision ? previousRevision + 1 : previousRevision
+    if (isNewRevision) {
+      projectData.current_revision = revisionNumber
+
+      // 版管理導入前のプロジェクトでも改訂前の内容を履歴に残す
+      await recordRevision({
+        project_id: editingProject.id,
+        revision_number: previousRevision,
+        snapshot: buildRevisionSnapshot(
+          editingProject,
+          lineItemsLoadFailed ? null : toLineItemRecords(savedLineItems, editingProject.id)
+        ),
+        reason: previousRevision === 1 ? '初版' : null,
+        created_by: null,
+        created_by_email: null,
+        created_at: editingProject.created_at
+      }, { preserveExisting: true })
+    }
+
+    // 内訳明細の保存（読み込みに失敗した場合は既存の明細を保護するため保存しない）
+    // 編集時は明細とプロジェクトを1つのトランザクションで保存する（明細と金額の食い違いを防ぐ）
+    const shouldSaveLineItems = !lineItemsLoadFailed && (isEditing || lineItems.length > 0)
+
+    // データ保存実行（編集モードでは更新）
+    const savedProject = isEditing
+      ? (await updateProject(editingProject.id, projectData, shouldSaveLineItems ? lineItems : null)) && editingProject
+      : await createProject(projectData)
+    const success = Boolean(savedProject)
+
+    if (success && !isEditing && shouldSaveLineItems) {
+      await saveLineItems(
+        savedProject.id,
+        lineItems,
+        '内訳明細の保存に失敗しました。プロジェクトの金額は保存されています。'
+      )
     }
 
-    // データ保存実行
-    const success = await createProject(projectData)
+    // 版の記録
+    if (success) {
+      // 新規登録時の工事番号はサーバー側で採番される
+      const snapshot = buildRevisionSnapshot(
+        isEditing ? projectData : { ...projectData, project_number: savedProject.project_number },
+        lineItemsLoadFailed ? null : toLineItemRecords(lineItems, savedProject.id)
+      )
+
+      if (!isEditing) {
+        await recordRevision({ project_id: savedProject.id, revision_number: 1, snapshot, reason: '初版' })
+      } else if (isNewRevision) {
+        await recordRevision({
+          project_id: savedProject.id,
+          revision_number: revisionNumber,
+          snapshot,
+          reason: revisionOptions.reason.trim()
+        })
+      } else {
+        await amendCurrentRevision(savedProject.id, revisionNumber, snapshot)
+      }
+    }
 
     if (success) {
       // 成功メッセージを表示
-      setSuccessMessage('✓ 保存しました')
+      setSuccessMessage(
+        isNewRevision ? `✓ ${formatRevisionLabel(revisionNumber)}として保存しました`
+          : isEditing ? '✓ 更新しました'
+            : !projectData.project_number && savedProject.project_number ? `✓ 工事番号「${savedProject.project_number}」で保存しました`
+              : '✓ 保存しました'
+      )
+      if (isEditing) {
+        showNotification(
+          isNewRevision
+            ? `✓ プロジェクト「${projectData.title}」を${formatRevisionLabel(revisionNumber)}として保存しました`
+            : `✓ プロジェクト「${projectData.title}」を更新しました`,
+          'success'
+        )
+      }
       setErrorMessage('')
 
       // フォームをクリア
@@ -660,8 +3015,36 @@ function App() {
     }
   }
 
+  // 自動採番される工事番号の例（フォームの入力例に表示する。連番は実際の登録時に決まる）
+  const getProjectNumberExample = () => formatProjectNumber(projectNumberFormat, {
+    date: formData.submission_date || toLocalDateString(),
+    clientPrefix: getClientNumberPrefix(findClientByName(clients, formData.client), formData.client),
+    sequence: 1
+  })
+
+  // プロジェクトレコードをフォーム入力値に変換
+  const projectToFormData = (project) => ({
+    project_number: project.project_number || '',
+    client: project.client || '',
+    title: project.title || '',
+    construction_manager: project.construction_manager || '',
+    sales_manager: project.sales_manager || '',
+    net_amount: project.net_amount ? Number(project.net_amount).toLocaleString() : '',
+    customer_amount: project.customer_amount ? Number(project.customer_amount).toLocaleString() : '',
+    tax_mode: project.tax_mode || 'exclusive',
+    tax_rate: String(calculateProjectTaxAmounts(project).taxRate),
+    submission_date: project.submission_date || '',
+    status: project.status || DEFAULT_PROJECT_STATUS
+  })
+
   // フォームリセット関数
   const resetForm = () => {
+    setEditingProject(null)
+    setRevisionOptions({ saveAsNew: false, reason: '' })
+    setLineItems([])
+    setSavedLineItems([])
+    setLineItemErrors({})
+    setLineItemsLoadFailed(false)
     setFormData({
       project_number: '',
       client: '',
@@ -670,7 +3053,10 @@ function App() {
       sales_manager: '',
       net_amount: '',
       customer_amount: '',
-      submission_date: new Date().toISOString().split('T')[0]
+      tax_mode: 'exclusive',
+      tax_rate: String(DEFAULT_TAX_SETTINGS.rate),
+      submission_date: new Date().toISOString().split('T')[0],
+      status: DEFAULT_PROJECT_STATUS
     })
     setFormErrors({})
     setErrorMessage('')
@@ -686,221 +3072,517 @@ function App() {
       <span className="text-blue-600 ml-1">↓</span>
   }
 
-  // 客先別集計データの計算
-  const calculateClientAggregation = () => {
-    const clientMap = new Map()
+  // Excel・CSVインポート機能
+  const handleFileImport = async (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+
+    // ファイル形式チェック
+    if (!file.name.match(/\.(xlsx|xls)$/i) && !isDelimitedTextFile(file.name)) {
+      alert('Excelファイル（.xlsx または .xls）またはCSV・TSVファイル（.csv / .tsv / .txt）を選択してください。')
+      event.target.value = ''
+      return
+    }
+
+    // 一括登録はマネージャー以上のみ
+    if (!permissions.canImport) {
+      notifyPermissionDenied('Excelインポート')
+      event.target.value = ''
+      return
+    }
+    if (!currentOrganizationId) {
+      showNotification('インポート先の組織が選択されていません。', 'error', 5000)
+      event.target.value = ''
+      return
+    }
 
-    projects.forEach(project => {
-      const client = project.client
-      const netAmount = parseFloat(project.net_amount) || 0
-      const customerAmount = parseFloat(project.customer_amount) || 0
+    setIsImporting(true)
+    setImportResults(null)
 
-      if (clientMap.has(client)) {
-        const existing = clientMap.get(client)
-        existing.projectCount += 1
-        existing.totalNetAmount += netAmount
-        existing.totalCustomerAmount += customerAmount
-        existing.profitRates.push(parseFloat(calculateProfitRate(customerAmount, netAmount)))
+    try {
+      // ファイル読み込み（全シートを行・列の配列として読み込み、行番号がずれないよう1行目から取得する）
+      // CSV・TSVは文字コード（UTF-8 / Shift_JIS）を判定し、1シートのブックとして同じ対応付け・検証を行う
+      const data = await file.arrayBuffer()
+      let sheets
+      if (isDelimitedTextFile(file.name)) {
+        sheets = readDelimitedFile(data, file.name).sheets
       } else {
-        clientMap.set(client, {
-          client,
-          projectCount: 1,
-          totalNetAmount: netAmount,
-          totalCustomerAmount: customerAmount,
-          profitRates: [parseFloat(calculateProfitRate(customerAmount, netAmount))]
-        })
+        const workbook = XLSX.read(data, { type: 'array', cellDates: true })
+        sheets = workbook.SheetNames
+          .map(name => ({
+            name,
+            rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', blankrows: true, range: 0 })
+          }))
+          .filter(sheet => sheet.rows.length > 0)
       }
-    })
 
-    // 平均利益率を計算してソート
-    const clientData = Array.from(clientMap.values()).map(data => ({
-      ...data,
-      averageProfitRate: data.profitRates.reduce((sum, rate) => sum + rate, 0) / data.profitRates.length
-    }))
+      if (sheets.length === 0) {
+        throw new Error('インポートするデータがありません。')
+      }
+
+      // 保存済みのテンプレートに一致する場合は自動的に適用し、なければ見出し行・列を推定する
+      const templates = await fetchImportTemplates()
+      const detected = findMatchingTemplate(templates, sheets)
+      setImportMapping({
+        isOpen: true,
+        fileName: file.name,
+        sheets,
+        initialSettings: detected ? detected.settings : suggestImportSettings(sheets),
+        detectedTemplate: detected ? detected.template : null
+      })
+    } catch (error) {
+      console.error('Excelインポートエラー:', error)
+
+      let errorMessage = 'ファイルの読み込みに失敗しました。'
+      if (error.message.includes('network')) {
+        errorMessage = 'ネットワークエラーが発生しました。再度お試しください。'
+      } else if (error.message) {
+        errorMessage = `インポートエラー: ${error.message}`
+      }
 
-    // 客出金額の多い順でソート
-    return clientData.sort((a, b) => b.totalCustomerAmount - a.totalCustomerAmount)
+      showNotification(errorMessage, 'error', 5000)
+      setImportResults({
+        success: false,
+        error: errorMessage
+      })
+    } finally {
+      setIsImporting(false)
+      // ファイル入力をリセット
+      event.target.value = ''
+    }
   }
 
-  // Excelインポート機能
-  const handleFileImport = async (event) => {
-    const file = event.target.files[0]
-    if (!file) return
+  // インポートの列対応テンプレートを取得
+  const fetchImportTemplates = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('import_mapping_templates')
+        .select('*')
+        .eq('organization_id', currentOrganizationId)
+        .order('name', { ascending: true })
 
-    // ファイル形式チェック
-    if (!file.name.match(/\.(xlsx|xls)$/)) {
-      alert('Excelファイル（.xlsx または .xls）を選択してください。')
+      if (error) {
+        throw error
+      }
+
+      setImportTemplates(data || [])
+      return data || []
+    } catch (error) {
+      // テンプレートが取得できなくても列を選択すれば取り込めるため通知のみ
+      console.error('インポートテンプレート取得エラー:', error)
+      showNotification('インポートテンプレートの取得に失敗しました。', 'warning', 5000)
+      return []
+    }
+  }
+
+  // 列の対応付けを閉じる（インポートを中止する）
+  const closeImportMapping = () => {
+    setImportMapping({ isOpen: false, fileName: '', sheets: [], initialSettings: null, detectedTemplate: null })
+  }
+
+  // 列の対応付けを確定し、全行を検証してプレビューを表示（登録は確認後に行う）
+  const applyImportMapping = async (settings) => {
+    const sheet = importMapping.sheets.find(candidate => candidate.name === settings.sheetName)
+    const mappedRows = applyColumnMapping(sheet.rows, settings)
+    if (mappedRows.length === 0) {
+      showNotification('見出し行より下にインポートするデータがありません。', 'error', 5000)
       return
     }
 
     setIsImporting(true)
-    setImportResults(null)
 
     try {
-      // ファイル読み込み
-      const data = await file.arrayBuffer()
-      const workbook = XLSX.read(data, { type: 'array' })
-      const sheetName = workbook.SheetNames[0]
-      const worksheet = workbook.Sheets[sheetName]
-      const jsonData = XLSX.utils.sheet_to_json(worksheet)
+      // 重複候補の判定・更新時の差分計算用に既存のプロジェクトを取得（工事番号、または客先+件名+提出日で照合）
+      const existingProjects = await fetchAllPages((from, to) => supabase
+        .from('projects')
+        .select('id, project_number, client, title, construction_manager, sales_manager, net_amount, customer_amount, tax_mode, tax_rate, submission_date, status, current_revision')
+        .eq('organization_id', currentOrganizationId)
+        .is('deleted_at', null)
+        .order('id', { ascending: true })
+        .range(from, to))
+
+      const context = { organizationId: currentOrganizationId, existingProjects, clients }
+      setImportPreview({
+        isOpen: true,
+        fileName: importMapping.fileName,
+        rows: createImportRows(mappedRows, context),
+        context,
+        ...DEFAULT_IMPORT_OPTIONS
+      })
+      closeImportMapping()
+    } catch (error) {
+      console.error('インポートデータ確認エラー:', error)
+      showNotification(
+        error.message?.includes('network') ? 'ネットワークエラーが発生しました。再度お試しください。' : '既存のプロジェクトの取得に失敗しました。',
+        'error',
+        5000
+      )
+    } finally {
+      setIsImporting(false)
+    }
+  }
 
-      if (jsonData.length === 0) {
-        throw new Error('インポートするデータがありません。')
+  // 列の対応付けをテンプレートとして保存（同じ名前のテンプレートは上書きする）
+  const saveImportTemplate = async (name, settings) => {
+    if (!permissions.canImport) {
+      notifyPermissionDenied('インポートテンプレートの保存')
+      return false
+    }
+
+    setSavingImportTemplate(true)
+    try {
+      const { data, error } = await supabase
+        .from('import_mapping_templates')
+        .upsert({
+          organization_id: currentOrganizationId,
+          name,
+          sheet_name: settings.sheetName,
+          header_row: settings.headerRow,
+          mapping: settings.mapping,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'organization_id,name' })
+        .select()
+
+      if (error) {
+        throw error
+      }
+
+      setImportTemplates(prevTemplates => [
+        ...prevTemplates.filter(template => template.id !== data[0].id),
+        data[0]
+      ].sort((a, b) => a.name.localeCompare(b.name, 'ja')))
+      showNotification(`✓ テンプレート「${name}」を保存しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('インポートテンプレート保存エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('インポートテンプレートの保存', userRole) : 'テンプレートの保存に失敗しました。',
+        'error',
+        5000
+      )
+      return false
+    } finally {
+      setSavingImportTemplate(false)
+    }
+  }
+
+  // インポートテンプレートを削除
+  const deleteImportTemplate = async (template) => {
+    if (!window.confirm(`テンプレート「${template.name}」を削除しますか？`)) return false
+
+    setSavingImportTemplate(true)
+    try {
+      const { data, error } = await supabase
+        .from('import_mapping_templates')
+        .delete()
+        .eq('id', template.id)
+        .select('id')
+
+      if (error) {
+        throw error
+      }
+      if (!data || data.length === 0) {
+        throw new Error('削除対象のテンプレートが見つからないか、削除する権限がありません（not found）')
+      }
+
+      setImportTemplates(prevTemplates => prevTemplates.filter(candidate => candidate.id !== template.id))
+      showNotification(`✓ テンプレート「${template.name}」を削除しました`, 'success')
+      return true
+    } catch (error) {
+      console.error('インポートテンプレート削除エラー:', error)
+      showNotification(
+        isPermissionError(error) ? getPermissionDeniedMessage('インポートテンプレートの削除', userRole) : 'テンプレートの削除に失敗しました。',
+        'error',
+        5000
+      )
+      return false
+    } finally {
+      setSavingImportTemplate(false)
+    }
+  }
+
+  // インポートのプレビューを閉じる（インポートを中止する）
+  const closeImportPreview = () => {
+    setImportPreview({ isOpen: false, fileName: '', rows: [], context: null, ...DEFAULT_IMPORT_OPTIONS })
+  }
+
+  // 取り込み方法・照合キーを変更（更新モードでは既存と一致した行も取り込み対象に戻す）
+  const changeImportOptions = (options) => {
+    setImportPreview(prev => {
+      const next = { ...prev, ...options }
+      if (next.mode === prev.mode) return next
+      return {
+        ...next,
+        rows: prev.rows.map(row => ({ ...row, include: next.mode === 'upsert' ? true : !row.duplicate }))
       }
+    })
+  }
 
-      // データ検証とマッピング
-      const validProjects = []
-      const errors = []
+  // 差分の確認を閉じてプレビューに戻る
+  const closeImportDiff = () => {
+    setImportDiff({ isOpen: false, plan: null })
+  }
+
+  // プレビューのセルを修正して再検証
+  const changeImportCell = (rowNumber, column, value) => {
+    setImportPreview(prev => ({
+      ...prev,
+      rows: prev.rows.map(row => row.rowNumber === rowNumber ? updateImportRowValue(row, column, value, prev.context) : row)
+    }))
+  }
+
+  // プレビューの行の取り込み・スキップを切り替え
+  const toggleImportRow = (rowNumber) => {
+    setImportPreview(prev => ({
+      ...prev,
+      rows: prev.rows.map(row => row.rowNumber === rowNumber ? { ...row, include: !row.include } : row)
+    }))
+  }
+
+  // エラーのある行をExcelでダウンロード
+  const downloadImportErrorReport = () => {
+    const report = buildImportErrorReport(importPreview.rows)
+    if (report.length === 0) return
+
+    const workbook = XLSX.utils.book_new()
+    const worksheet = XLSX.utils.json_to_sheet(report)
+    worksheet['!cols'] = [{ wch: 8 }, { wch: 60 }, ...IMPORT_COLUMNS.map(() => ({ wch: 15 }))]
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'エラー一覧')
+    XLSX.writeFile(workbook, `インポートエラー_${importPreview.fileName.replace(/\.[^.]+$/, '')}.xlsx`)
+  }
+
+  // インポートのエラーメッセージ
+  const getImportErrorMessage = (error) => {
+    if (error.message?.includes('network')) {
+      return 'ネットワークエラーが発生しました。再開してください。'
+    }
+    if (isPermissionError(error)) {
+      return getPermissionDeniedMessage('Excelインポート', userRole)
+    }
+    if (isDuplicateProjectNumberError(error)) {
+      return '工事番号が既存のプロジェクトと重複している行があります。重複候補を取り込む場合は工事番号を変更するか空欄にしてください。'
+    }
+    return error.message ? `インポートエラー: ${error.message}` : 'ファイルのインポートに失敗しました。'
+  }
 
-      for (let i = 0; i < jsonData.length; i++) {
-        const row = jsonData[i]
-        const rowNumber = i + 2 // Excelの行番号（ヘッダー行を考慮）
+  // 分割インポートのバッチを登録（同じジョブ・バッチ番号の再送はサーバー側で二重に登録されない）
+  const sendImportBatch = async (job, batch) => {
+    const { data, error } = await supabase.rpc('import_project_batch', {
+      p_job_id: job.id,
+      p_batch_index: batch.index,
+      p_organization_id: job.organizationId,
+      p_inserts: batch.inserts,
+      p_updates: batch.updates
+    })
 
-        try {
-          // 必須フィールドチェック
-          if (!row['客先'] || !row['件名'] || !row['ネット金額'] || !row['客出金額'] || !row['提出日']) {
-            errors.push(`行${rowNumber}: 必須フィールド（客先、件名、ネット金額、客出金額、提出日）が不足しています。`)
-            continue
-          }
+    if (error) {
+      throw error
+    }
+    return data
+  }
 
-          // 金額の検証
-          const netAmount = parseFloat(String(row['ネット金額']).replace(/[,¥]/g, ''))
-          const customerAmount = parseFloat(String(row['客出金額']).replace(/[,¥]/g, ''))
+  // 分割インポートを実行（中止・失敗した場合は登録済みのバッチの次から再開できる）
+  const runImport = async (job) => {
+    const controller = new AbortController()
+    importAbortRef.current = controller
+    setIsImporting(true)
 
-          if (isNaN(netAmount) || netAmount <= 0) {
-            errors.push(`行${rowNumber}: ネット金額が無効です。`)
-            continue
-          }
+    // 画面を閉じた場合も次回のインポート時に再開できるよう、進捗のたびに保存する
+    const finished = await runImportJob(job, {
+      sendBatch: sendImportBatch,
+      onProgress: (progress) => {
+        setImportJob(progress)
+        storePendingImportJob(progress, user.id)
+      },
+      signal: controller.signal
+    })
 
-          if (isNaN(customerAmount) || customerAmount <= 0) {
-            errors.push(`行${rowNumber}: 客出金額が無効です。`)
-            continue
-          }
+    importAbortRef.current = null
+    setIsImporting(false)
 
-          // 日付の検証
-          let submissionDate
-          if (row['提出日'] instanceof Date) {
-            submissionDate = row['提出日'].toISOString().split('T')[0]
-          } else {
-            const dateStr = String(row['提出日'])
-            if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-              submissionDate = dateStr
-            } else if (dateStr.match(/^\d{4}\/\d{1,2}\/\d{1,2}$/)) {
-              const parts = dateStr.split('/')
-              submissionDate = `${parts[0]}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`
-            } else {
-              errors.push(`行${rowNumber}: 提出日の形式が無効です（YYYY-MM-DD または YYYY/MM/DD 形式で入力してください）。`)
-              continue
-            }
-          }
+    // 途中まで登録された場合も一覧・集計に反映する
+    if (finished.processedRows > 0) {
+      refreshProjects()
+    }
 
-          // プロジェクトデータ作成
-          const projectData = {
-            project_number: row['工事番号'] || null,
-            client: String(row['客先']).trim(),
-            title: String(row['件名']).trim(),
-            construction_manager: row['工事担当者'] ? String(row['工事担当者']).trim() : null,
-            sales_manager: row['営業担当者'] ? String(row['営業担当者']).trim() : null,
-            net_amount: netAmount,
-            customer_amount: customerAmount,
-            submission_date: submissionDate
-          }
+    const { unchanged = 0, skipped = 0, plannedUpdates = 0 } = finished.summary
 
-          validProjects.push(projectData)
+    if (finished.status === 'completed') {
+      setImportResults({
+        success: true,
+        imported: finished.inserted,
+        updated: finished.updated,
+        unchanged,
+        skipped,
+        duplicates: finished.summary.duplicates || 0
+      })
+      setImportJob(null)
+
+      showNotification(
+        finished.updated > 0 || plannedUpdates > 0
+          ? `✓ 新規${finished.inserted}件・更新${finished.updated}件・変更なし${unchanged}件をインポートしました`
+          : `✓ ${finished.inserted}件のプロジェクトをインポートしました${skipped > 0 ? `（${skipped}行をスキップ）` : ''}`,
+        'success',
+        5000
+      )
 
-        } catch (error) {
-          errors.push(`行${rowNumber}: データ処理エラー - ${error.message}`)
-        }
+      // RLSで更新できない行・確認中にゴミ箱へ移動された行は更新されない
+      if (finished.updated < plannedUpdates) {
+        showNotification(
+          `${plannedUpdates - finished.updated}件のプロジェクトは更新できませんでした（権限がないか、ゴミ箱に移動されています）。`,
+          'warning',
+          8000
+        )
       }
+    } else if (finished.status === 'failed') {
+      console.error('Excelインポートエラー:', finished.error)
+      const errorMessage = getImportErrorMessage(finished.error)
+      showNotification(errorMessage, 'error', 5000)
+      setImportResults({
+        success: false,
+        error: errorMessage
+      })
+    }
+  }
 
-      // エラーがある場合は確認
-      if (errors.length > 0) {
-        const errorMessage = `以下のエラーがあります:\n\n${errors.slice(0, 10).join('\n')}${errors.length > 10 ? `\n\n...他${errors.length - 10}件のエラー` : ''}\n\n有効なデータ（${validProjects.length}件）のみをインポートしますか？`
+  // 実行中の分割インポートを中止（登録中のバッチが終わってから止まる）
+  const cancelImport = () => {
+    importAbortRef.current?.abort()
+  }
 
-        if (validProjects.length === 0) {
-          alert(`インポートできるデータがありません。\n\n${errors.slice(0, 5).join('\n')}${errors.length > 5 ? `\n...他${errors.length - 5}件のエラー` : ''}`)
-          return
-        }
+  // 中止・失敗した分割インポートを再開
+  const resumeImport = () => {
+    if (!permissions.canImport) {
+      notifyPermissionDenied('Excelインポート')
+      return
+    }
+    if (canResumeImportJob(importJob)) {
+      runImport(importJob)
+    }
+  }
 
-        if (!confirm(errorMessage)) {
-          return
-        }
-      }
+  // 分割インポートの進捗を閉じる（未登録のバッチは破棄する）
+  const closeImportJob = () => {
+    clearPendingImportJob()
+    setImportJob(null)
+  }
 
-      // 重複チェック（客先+件名+提出日で判定）
-      const duplicates = []
-      for (const newProject of validProjects) {
-        const isDuplicate = projects.some(existingProject =>
-          existingProject.client === newProject.client &&
-          existingProject.title === newProject.title &&
-          existingProject.submission_date === newProject.submission_date
-        )
-        if (isDuplicate) {
-          duplicates.push(`${newProject.client} - ${newProject.title}`)
-        }
-      }
+  // 前回中断した分割インポートがあれば、ファイルを選択する前に再開するかを確認する
+  const offerPendingImport = (event) => {
+    const pendingJob = loadPendingImportJob(currentOrganizationId, user?.id)
+    if (pendingJob) {
+      event.preventDefault()
+      setImportJob(pendingJob)
+    }
+  }
 
-      if (duplicates.length > 0) {
-        const duplicateMessage = `以下のプロジェクトは既に存在します:\n\n${duplicates.slice(0, 5).join('\n')}${duplicates.length > 5 ? `\n...他${duplicates.length - 5}件` : ''}\n\n重複を含めてインポートしますか？`
+  // プレビューで取り込み対象にした行を登録
+  const commitImport = async () => {
+    if (!permissions.canImport) {
+      notifyPermissionDenied('Excelインポート')
+      return
+    }
 
-        if (!confirm(duplicateMessage)) {
-          return
-        }
-      }
+    // 更新モードでは既存のプロジェクトと照合し、差分を確認してから登録・更新する
+    if (importPreview.mode === 'upsert') {
+      const plan = planImportUpsert(importPreview.rows, importPreview.context.existingProjects, importPreview)
+      setImportDiff({ isOpen: true, plan })
+      return
+    }
 
-      // Supabaseに一括保存
-      const { data: insertedData, error } = await supabase
-        .from('projects')
-        .insert(validProjects)
-        .select()
+    const projectsToImport = getImportableProjects(importPreview.rows)
+    if (projectsToImport.length === 0) return
 
-      if (error) {
-        throw error
-      }
+    const { skipped, duplicates } = summarizeImportRows(importPreview.rows)
+    const job = createImportJob({
+      fileName: importPreview.fileName,
+      organizationId: currentOrganizationId,
+      inserts: projectsToImport,
+      summary: { skipped, duplicates }
+    })
+    closeImportPreview()
+    await runImport(job)
+  }
 
-      // 成功処理
-      const importedCount = insertedData.length
-      setImportResults({
-        success: true,
-        imported: importedCount,
-        errors: errors.length,
-        duplicates: duplicates.length
-      })
+  // 差分を確認した内容で登録・更新
+  const commitImportUpsert = async () => {
+    if (!permissions.canImport) {
+      notifyPermissionDenied('Excelインポート')
+      return
+    }
+
+    const { plan } = importDiff
+    const planned = summarizeImportPlan(plan)
+    const { skipped } = summarizeImportRows(importPreview.rows)
+    const { p_inserts: inserts, p_updates: updates } = buildUpsertParams(plan)
+    const job = createImportJob({
+      fileName: importPreview.fileName,
+      organizationId: currentOrganizationId,
+      inserts,
+      updates,
+      summary: { unchanged: planned.unchanged, skipped: skipped + planned.skipped, plannedUpdates: planned.updated }
+    })
+    closeImportDiff()
+    closeImportPreview()
+    await runImport(job)
+  }
 
-      // プロジェクト一覧を更新
-      await fetchProjects()
+  // CSVエクスポートの設定を開く（前回の設定から始める）
+  const openCsvExport = () => {
+    setCsvExport({ isOpen: true, settings: loadCsvExportSettings() })
+  }
 
-      // 成功メッセージ
-      const successMessage = `✓ ${importedCount}件のプロジェクトをインポートしました${errors.length > 0 ? `（${errors.length}件のエラーをスキップ）` : ''}`
-      showNotification(successMessage, 'success', 5000)
+  const closeCsvExport = () => {
+    setCsvExport(prev => ({ ...prev, isOpen: false }))
+  }
 
-    } catch (error) {
-      console.error('Excelインポートエラー:', error)
+  // 選択した文字コード・区切り文字・列でCSV・TSVをダウンロード
+  const exportToCsv = async ({ encoding, delimiter, columns, selectedOnly }) => {
+    setIsExporting(true)
 
-      let errorMessage = 'Excelファイルのインポートに失敗しました。'
-      if (error.message.includes('network')) {
-        errorMessage = 'ネットワークエラーが発生しました。再度お試しください。'
-      } else if (error.message.includes('permission')) {
-        errorMessage = 'データ保存権限がありません。'
-      } else if (error.message) {
-        errorMessage = `インポートエラー: ${error.message}`
+    try {
+      const projects = selectedOnly ? selectedProjects : await fetchAllPages((from, to) => supabase
+        .from(PROJECT_LIST_VIEW)
+        .select('*')
+        .eq('organization_id', currentOrganizationId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, to))
+
+      if (projects.length === 0) {
+        showNotification('エクスポートするデータがありません。', 'warning')
+        return
       }
 
-      showNotification(errorMessage, 'error', 5000)
-      setImportResults({
-        success: false,
-        error: errorMessage
+      const blob = await buildDelimitedFile(projects.map(toProjectExportRow), columns, { encoding, delimiter })
+      const fileName = `工事見積管理${selectedOnly ? '_選択' : ''}_${new Date().toISOString().split('T')[0]}.${getDelimiter(delimiter).extension}`
+      downloadBlob(blob, fileName)
+
+      // 次回も同じ設定で出力できるよう保存（すべての列の場合は今後追加される列も含める）
+      storeCsvExportSettings({
+        encoding,
+        delimiter,
+        columns: columns.length === PROJECT_EXPORT_COLUMNS.length ? null : columns
       })
+      closeCsvExport()
+
+      const encodingLabel = TEXT_ENCODINGS.find(option => option.code === encoding).label
+      showNotification(`✓ ${fileName} をダウンロードしました（${projects.length}件・${encodingLabel}）`, 'success')
+    } catch (error) {
+      console.error('CSVエクスポートエラー:', error)
+      showNotification(
+        error.message?.includes('network') ? 'ネットワークエラーが発生しました。再度お試しください。' : 'CSVファイルのエクスポートに失敗しました。',
+        'error',
+        5000
+      )
     } finally {
-      setIsImporting(false)
-      // ファイル入力をリセット
-      event.target.value = ''
+      setIsExporting(false)
     }
   }
 
   // Excelエクスポート機能
   const exportToExcel = async () => {
-    if (projects.length === 0) {
+    if (projectSummary.totalProjects === 0) {
       alert('エクスポートするデータがありません。')
       return
     }
@@ -914,57 +3596,38 @@ function App() {
     document.body.appendChild(loadingDiv)
 
     try {
-      // 少し待機してローディング表示を見せる
-      await new Promise(resolve => setTimeout(resolve, 500))
-      // エクスポート用データの準備
-      const exportData = projects.map(project => {
-        const profitRate = calculateProfitRate(project.customer_amount, project.net_amount)
-        const daysPassed = calculateDaysPassed(project.submission_date)
-
-        return {
-          '工事番号': project.project_number || '',
-          '客先': project.client,
-          '件名': project.title,
-          '工事担当者': project.construction_manager || '',
-          '営業担当者': project.sales_manager || '',
-          'ネット金額': parseFloat(project.net_amount) || 0,
-          '客出金額': parseFloat(project.customer_amount) || 0,
-          '利益率(%)': parseFloat(profitRate),
-          '提出日': project.submission_date,
-          '経過日数': daysPassed,
-          '作成日時': new Date(project.created_at).toLocaleString('ja-JP')
-        }
-      })
+      // 全件を分割して取得（一覧は表示中のページのみ読み込んでいるため）
+      const allProjects = await fetchAllPages((from, to) => supabase
+        .from(PROJECT_LIST_VIEW)
+        .select('*')
+        .eq('organization_id', currentOrganizationId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, to))
 
       // ワークブックとワークシートを作成
       const workbook = XLSX.utils.book_new()
-      const worksheet = XLSX.utils.json_to_sheet(exportData)
-
-      // 列幅を自動調整
-      const columnWidths = [
-        { wch: 15 }, // 工事番号
-        { wch: 20 }, // 客先
-        { wch: 30 }, // 件名
-        { wch: 15 }, // 工事担当者
-        { wch: 15 }, // 営業担当者
-        { wch: 15 }, // ネット金額
-        { wch: 15 }, // 客出金額
-        { wch: 10 }, // 利益率
-        { wch: 12 }, // 提出日
-        { wch: 10 }, // 経過日数
-        { wch: 20 }  // 作成日時
-      ]
-      worksheet['!cols'] = columnWidths
+      const worksheet = XLSX.utils.json_to_sheet(allProjects.map(toProjectExportRow))
+      worksheet['!cols'] = PROJECT_EXPORT_COLUMN_WIDTHS
 
       // ワークシートをワークブックに追加
       XLSX.utils.book_append_sheet(workbook, worksheet, 'プロジェクト一覧')
 
       // 統計サマリーシートを作成
-      const stats = calculateStats()
+      const stats = projectSummary
       const summaryData = [
         { '項目': '登録案件数', '値': `${stats.totalProjects}件` },
-        { '項目': '合計ネット金額', '値': formatCurrency(stats.totalNetAmount) },
-        { '項目': '合計客出金額', '値': formatCurrency(stats.totalCustomerAmount) },
+        { '項目': '合計ネット金額(税抜)', '値': formatCurrency(stats.totalNetAmount) },
+        { '項目': '合計ネット金額(税込)', '値': formatCurrency(stats.totalNetAmountInclusive) },
+        { '項目': '合計客出金額(税抜)', '値': formatCurrency(stats.totalCustomerAmount) },
+        { '項目': '合計消費税', '値': formatCurrency(stats.totalCustomerTax) },
+        { '項目': '合計客出金額(税込)', '値': formatCurrency(stats.totalCustomerAmountInclusive) },
+        { '項目': '受注件数', '値': `${stats.wonCount}件` },
+        { '項目': '失注件数', '値': `${stats.lostCount}件` },
+        { '項目': '受注率', '値': `${stats.winRate.toFixed(1)}%` },
+        { '項目': '受注金額(税抜)', '値': formatCurrency(stats.wonAmount) },
+        { '項目': '既定の税率', '値': formatTaxRate(DEFAULT_TAX_SETTINGS.rate) },
+        { '項目': '消費税の端数処理', '値': TAX_ROUNDING_MODES.find(mode => mode.code === DEFAULT_TAX_SETTINGS.rounding).label },
         { '項目': 'エクスポート日時', '値': new Date().toLocaleString('ja-JP') }
       ]
       const summaryWorksheet = XLSX.utils.json_to_sheet(summaryData)
@@ -972,12 +3635,19 @@ function App() {
       XLSX.utils.book_append_sheet(workbook, summaryWorksheet, '統計サマリー')
 
       // 客先別集計シートを作成
-      const clientData = calculateClientAggregation().map(data => ({
+      const clientData = clientAggregation.map(data => ({
         '客先': data.client,
         '案件数': `${data.projectCount}件`,
-        '合計ネット金額': data.totalNetAmount,
-        '合計客出金額': data.totalCustomerAmount,
-        '平均利益率(%)': parseFloat(data.averageProfitRate.toFixed(1))
+        '合計ネット金額(税抜)': data.totalNetAmount,
+        '合計ネット金額(税込)': data.totalNetAmountInclusive,
+        '合計客出金額(税抜)': data.totalCustomerAmount,
+        '消費税': data.totalCustomerTax,
+        '合計客出金額(税込)': data.totalCustomerAmountInclusive,
+        '平均利益率(%)': parseFloat(data.averageProfitRate.toFixed(1)),
+        '受注件数': data.wonCount,
+        '失注件数': data.lostCount,
+        '受注率(%)': parseFloat(data.winRate.toFixed(1)),
+        '受注金額(税抜)': data.wonAmount
       }))
 
       if (clientData.length > 0) {
@@ -985,13 +3655,55 @@ function App() {
         clientWorksheet['!cols'] = [
           { wch: 20 }, // 客先
           { wch: 10 }, // 案件数
-          { wch: 15 }, // 合計ネット金額
-          { wch: 15 }, // 合計客出金額
-          { wch: 12 }  // 平均利益率
+          { wch: 15 }, // 合計ネット金額(税抜)
+          { wch: 15 }, // 合計ネット金額(税込)
+          { wch: 15 }, // 合計客出金額(税抜)
+          { wch: 12 }, // 消費税
+          { wch: 15 }, // 合計客出金額(税込)
+          { wch: 12 }, // 平均利益率
+          { wch: 10 }, // 受注件数
+          { wch: 10 }, // 失注件数
+          { wch: 10 }, // 受注率
+          { wch: 15 }  // 受注金額
         ]
         XLSX.utils.book_append_sheet(workbook, clientWorksheet, '客先別集計')
       }
 
+      // 担当者別集計シートを作成（工事担当者・営業担当者）
+      const staffData = staffAggregation.map(data => ({
+        '種類': getStaffRole(data.role).label,
+        '担当者': data.name || '（未設定）',
+        '案件数': data.projectCount,
+        '合計客出金額(税抜)': data.totalCustomerAmount,
+        '平均利益率(%)': parseFloat(data.averageProfitRate.toFixed(1)),
+        '受注率(%)': parseFloat(data.winRate.toFixed(1)),
+        '未決件数': data.openCount,
+        '未決金額(税抜)': data.openAmount,
+        '30日以内': data.aging0To30,
+        '31〜60日': data.aging31To60,
+        '61〜90日': data.aging61To90,
+        '91日以上': data.agingOver90
+      }))
+
+      if (staffData.length > 0) {
+        const staffWorksheet = XLSX.utils.json_to_sheet(staffData)
+        staffWorksheet['!cols'] = [
+          { wch: 12 }, // 種類
+          { wch: 15 }, // 担当者
+          { wch: 8 },  // 案件数
+          { wch: 15 }, // 合計客出金額(税抜)
+          { wch: 12 }, // 平均利益率
+          { wch: 10 }, // 受注率
+          { wch: 10 }, // 未決件数
+          { wch: 15 }, // 未決金額
+          { wch: 10 }, // 30日以内
+          { wch: 10 }, // 31〜60日
+          { wch: 10 }, // 61〜90日
+          { wch: 10 }  // 91日以上
+        ]
+        XLSX.utils.book_append_sheet(workbook, staffWorksheet, '担当者別集計')
+      }
+
       // ファイル名を生成（YYYY-MM-DD形式）
       const today = new Date()
       const dateString = today.toISOString().split('T')[0]
@@ -1041,23 +3753,6 @@ function App() {
     }
   }
 
-  // 統計計算関数
-  const calculateStats = () => {
-    const totalProjects = projects.length
-    const totalNetAmount = projects.reduce((sum, project) => {
-      return sum + (parseFloat(project.net_amount) || 0)
-    }, 0)
-    const totalCustomerAmount = projects.reduce((sum, project) => {
-      return sum + (parseFloat(project.customer_amount) || 0)
-    }, 0)
-
-    return {
-      totalProjects,
-      totalNetAmount,
-      totalCustomerAmount
-    }
-  }
-
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -1135,6 +3830,14 @@ function App() {
 
                 {/* ユーザー情報とログアウト */}
                 <div className="flex items-center space-x-2 sm:space-x-4">
+                  {/* 組織の切り替え */}
+                  <OrganizationSwitcher
+                    organizations={organizations}
+                    currentOrganizationId={currentOrganizationId}
+                    onChange={switchOrganization}
+                    disabled={dataLoading || isImporting}
+                  />
+
                   {/* ユーザーメール表示 */}
                   <div className="hidden sm:flex items-center space-x-2">
                     <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center user-avatar cursor-pointer">
@@ -1145,8 +3848,65 @@ function App() {
                     <span className="text-gray-700 font-medium text-sm lg:text-base">
                       {user.email}
                     </span>
+                    <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700" title="現在の権限">
+                      {getRoleLabel(userRole)}
+                    </span>
                   </div>
 
+                  {/* 操作履歴ボタン（マネージャー以上） */}
+                  {permissions.canViewAuditLog && (
+                    <button
+                      onClick={openAuditLog}
+                      className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                    >
+                      操作履歴
+                    </button>
+                  )}
+
+                  {/* 客先マスタボタン */}
+                  <button
+                    onClick={openClientMaster}
+                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                  >
+                    客先マスタ
+                  </button>
+
+                  {/* 担当者マスタボタン */}
+                  <button
+                    onClick={openStaffMaster}
+                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                  >
+                    担当者マスタ
+                  </button>
+
+                  {/* ゴミ箱ボタン */}
+                  <button
+                    onClick={openTrash}
+                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                  >
+                    ゴミ箱
+                  </button>
+
+                  {/* 権限管理ボタン（システム管理者のみ） */}
+                  {permissions.canManageRoles && (
+                    <button
+                      onClick={openUserRoleDialog}
+                      className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                    >
+                      権限管理
+                    </button>
+                  )}
+
+                  {/* 工事番号の採番設定ボタン（システム管理者のみ） */}
+                  {permissions.canConfigureProjectNumbers && (
+                    <button
+                      onClick={() => setProjectNumberSettings(prev => ({ ...prev, isOpen: true }))}
+                      className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                    >
+                      採番設定
+                    </button>
+                  )}
+
                   {/* モバイル用ユーザーアイコン */}
                   <div className="sm:hidden w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center user-avatar cursor-pointer">
                     <span className="text-blue-600 font-semibold text-sm">
@@ -1171,9 +3931,9 @@ function App() {
           <main className="flex-1 bg-gray-50">
             <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
               {/* 統計サマリー */}
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6 mb-8 view-transition">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6 mb-8 view-transition">
                 {(() => {
-                  const stats = calculateStats()
+                  const stats = projectSummary
                   return (
                     <>
                       {/* 登録案件数 */}
@@ -1196,8 +3956,9 @@ function App() {
                             <span className="text-green-600 text-lg sm:text-xl font-bold">💰</span>
                           </div>
                           <div className="flex-1 min-w-0">
-                            <p className="text-xs sm:text-sm font-medium text-gray-600 truncate">合計ネット金額</p>
+                            <p className="text-xs sm:text-sm font-medium text-gray-600 truncate">合計ネット金額（税抜）</p>
                             <p className="text-lg sm:text-2xl font-bold text-gray-900 truncate">{formatCurrency(stats.totalNetAmount)}</p>
+                            <p className="text-xs text-gray-500 truncate">税込 {formatCurrency(stats.totalNetAmountInclusive)}</p>
                           </div>
                         </div>
                       </div>
@@ -1209,8 +3970,23 @@ function App() {
                             <span className="text-purple-600 text-lg sm:text-xl font-bold">💸</span>
                           </div>
                           <div className="flex-1 min-w-0">
-                            <p className="text-xs sm:text-sm font-medium text-gray-600 truncate">合計客出金額</p>
+                            <p className="text-xs sm:text-sm font-medium text-gray-600 truncate">合計客出金額（税抜）</p>
                             <p className="text-lg sm:text-2xl font-bold text-gray-900 truncate">{formatCurrency(stats.totalCustomerAmount)}</p>
+                            <p className="text-xs text-gray-500 truncate">税込 {formatCurrency(stats.totalCustomerAmountInclusive)}（消費税 {formatCurrency(stats.totalCustomerTax)}）</p>
+                          </div>
+                        </div>
+                      </div>
+
+                      {/* 受注率・受注金額 */}
+                      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6 stats-card" role="region" aria-label="受注率統計">
+                        <div className="flex items-center">
+                          <div className="w-10 h-10 sm:w-12 sm:h-12 bg-amber-100 rounded-lg flex items-center justify-center mr-3 sm:mr-4 stats-icon">
+                            <span className="text-amber-600 text-lg sm:text-xl font-bold">🏆</span>
+                          </div>
+                          <div className="flex-1 min-w-0">
+                            <p className="text-xs sm:text-sm font-medium text-gray-600 truncate">受注率（受注{stats.wonCount}件 / 失注{stats.lostCount}件）</p>
+                            <p className="text-lg sm:text-2xl font-bold text-gray-900 truncate">{stats.winRate.toFixed(1)}%</p>
+                            <p className="text-xs text-gray-500 truncate">受注金額（税抜） {formatCurrency(stats.wonAmount)}</p>
                           </div>
                         </div>
                       </div>
@@ -1219,6 +3995,18 @@ function App() {
                 })()}
               </div>
 
+              {/* 今日のフォローアップ */}
+              <FollowUpPanel
+                followUps={myFollowUps.items}
+                onComplete={completeFollowUp}
+                onSnooze={snoozeFollowUp}
+                onOpenProject={openFollowUpsOfProject}
+                thresholds={followUpThresholds}
+                onThresholdsChange={permissions.canConfigureFollowUps ? changeFollowUpThresholds : undefined}
+                processingIds={followUpProcessingIds}
+                isLoading={myFollowUps.isLoading}
+              />
+
               {/* プロジェクト一覧テーブル / 客先別集計テーブル */}
               <div className="bg-white rounded-lg shadow-sm border border-gray-200">
                 {/* テーブルヘッダー */}
@@ -1226,7 +4014,7 @@ function App() {
                   <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
                     <div>
                       <h2 className="text-lg font-semibold text-gray-800 mb-1">
-                        {showClientView ? '客先別集計' : 'プロジェクト一覧'}
+                        {showClientView ? `${aggregationMode === 'client' ? '客先' : getStaffRole(aggregationMode).label}別集計` : 'プロジェクト一覧'}
                       </h2>
                       {!showClientView && (
                         <p className="text-xs text-gray-500">
@@ -1235,23 +4023,42 @@ function App() {
                       )}
                       {showClientView && (
                         <p className="text-xs text-gray-500">
-                          客先別の案件数、金額、平均利益率を表示（客出金額の多い順）
+                          {aggregationMode === 'client'
+                            ? '客先別の案件数、金額、平均利益率、受注率を表示（客出金額の多い順）'
+                            : '担当者別の案件数、客出金額、平均利益率、受注率と未決案件の経過日数を表示（客出金額の多い順）'}
                         </p>
                       )}
+                      {showClientView && (
+                        <div className="mt-2 inline-flex rounded-md shadow-sm no-print" role="group" aria-label="集計の単位">
+                          {[{ code: 'client', label: '客先別' }, ...STAFF_ROLES.map(role => ({ code: role.code, label: `${role.label}別` }))].map((mode, index, modes) => (
+                            <button
+                              key={mode.code}
+                              type="button"
+                              onClick={() => setAggregationMode(mode.code)}
+                              aria-pressed={aggregationMode === mode.code}
+                              className={`px-3 py-1 text-xs font-medium border border-gray-300 focus:outline-none focus:ring-2 focus:ring-orange-500 ${index === 0 ? 'rounded-l-md' : ''} ${index === modes.length - 1 ? 'rounded-r-md' : ''} ${index > 0 ? '-ml-px' : ''} ${aggregationMode === mode.code ? 'bg-orange-600 text-white border-orange-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                            >
+                              {mode.label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                     </div>
                     <div className="flex items-center space-x-2 no-print">
-                      {/* 登録ボタン */}
-                      <button
-                        onClick={toggleForm}
-                        className={`px-3 py-2 rounded-md text-sm font-medium transition-all duration-200 ${showForm
-                            ? 'bg-red-600 text-white hover:bg-red-700 focus:ring-red-500'
-                            : 'bg-purple-600 text-white hover:bg-purple-700 focus:ring-purple-500'
-                          } focus:outline-none focus:ring-2 focus:ring-offset-2`}
-                        aria-label={showForm ? 'プロジェクト登録をキャンセル' : '新規プロジェクト登録フォームを開く'}
-                        aria-expanded={showForm}
-                      >
-                        {showForm ? 'キャンセル' : '登録'}
-                      </button>
+                      {/* 登録ボタン（見積担当以上） */}
+                      {(permissions.canCreate || showForm) && (
+                        <button
+                          onClick={toggleForm}
+                          className={`px-3 py-2 rounded-md text-sm font-medium transition-all duration-200 ${showForm
+                              ? 'bg-red-600 text-white hover:bg-red-700 focus:ring-red-500'
+                              : 'bg-purple-600 text-white hover:bg-purple-700 focus:ring-purple-500'
+                            } focus:outline-none focus:ring-2 focus:ring-offset-2`}
+                          aria-label={showForm ? (editingProject ? 'プロジェクト編集をキャンセル' : 'プロジェクト登録をキャンセル') : '新規プロジェクト登録フォームを開く'}
+                          aria-expanded={showForm}
+                        >
+                          {showForm ? 'キャンセル' : '登録'}
+                        </button>
+                      )}
 
                       {/* 客先別集計表示ボタン */}
                       <button
@@ -1269,47 +4076,47 @@ function App() {
                         {showClientView ? 'プロジェクト一覧' : '客先別集計表示'}
                       </button>
 
-                      {/* 表示切り替えボタン（プロジェクト一覧時のみ表示） */}
-                      {!showClientView && (
-                        <button
-                          onClick={toggleShowAllProjects}
-                          className={`px-3 py-2 rounded-md text-sm font-medium display-toggle-btn ${showAllProjects
-                              ? 'bg-green-600 text-white hover:bg-green-700'
-                              : 'bg-gray-600 text-white hover:bg-gray-700'
-                            } focus:outline-none focus:ring-2 focus:ring-offset-2 ${showAllProjects ? 'focus:ring-green-500' : 'focus:ring-gray-500'
-                            }`}
-                        >
-                          {showAllProjects ? '直近20件表示' : '全件表示'}
-                        </button>
+                      {/* Excelインポートボタン（マネージャー以上） */}
+                      {permissions.canImport && (
+                        <label className="inline-flex items-center px-3 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed import-btn">
+                          <span className="mr-1">📥</span>
+                          {isImporting ? 'インポート中...' : 'Excel・CSVインポート'}
+                          <input
+                            type="file"
+                            accept=".xlsx,.xls,.csv,.tsv,.txt"
+                            onClick={offerPendingImport}
+                            onChange={handleFileImport}
+                            className="hidden"
+                            disabled={isImporting}
+                          />
+                        </label>
                       )}
 
-                      {/* Excelインポートボタン */}
-                      <label className="inline-flex items-center px-3 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed import-btn">
-                        <span className="mr-1">📥</span>
-                        {isImporting ? 'インポート中...' : 'Excelインポート'}
-                        <input
-                          type="file"
-                          accept=".xlsx,.xls"
-                          onChange={handleFileImport}
-                          className="hidden"
-                          disabled={isImporting}
-                        />
-                      </label>
-
                       {/* Excelエクスポートボタン */}
                       <button
                         onClick={exportToExcel}
-                        disabled={dataLoading || projects.length === 0 || isExporting}
+                        disabled={dataLoading || projectSummary.totalProjects === 0 || isExporting}
                         className="inline-flex items-center px-3 py-2 rounded-md text-sm font-medium bg-emerald-600 text-white hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed export-btn"
-                        title={projects.length === 0 ? 'エクスポートするデータがありません' : 'プロジェクトデータをExcelファイルでダウンロード'}
+                        title={projectSummary.totalProjects === 0 ? 'エクスポートするデータがありません' : 'プロジェクトデータをExcelファイルでダウンロード'}
                       >
                         <span className="mr-1">📊</span>
                         {isExporting ? 'エクスポート中...' : 'Excelエクスポート'}
                       </button>
 
+                      {/* CSVエクスポートボタン（文字コード・区切り文字・列を選択） */}
+                      <button
+                        onClick={openCsvExport}
+                        disabled={dataLoading || projectSummary.totalProjects === 0 || isExporting}
+                        className="inline-flex items-center px-3 py-2 rounded-md text-sm font-medium bg-teal-600 text-white hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed export-btn"
+                        title={projectSummary.totalProjects === 0 ? 'エクスポートするデータがありません' : 'プロジェクトデータをCSV・TSVファイルでダウンロード'}
+                      >
+                        <span className="mr-1">🧾</span>
+                        CSVエクスポート
+                      </button>
+
                       {/* 手動更新ボタン */}
                       <button
-                        onClick={fetchProjects}
+                        onClick={refreshProjects}
                         disabled={dataLoading}
                         className="inline-flex items-center bg-blue-600 text-white px-3 py-2 rounded-md text-sm hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed loading-btn"
                       >
@@ -1320,8 +4127,48 @@ function App() {
                       </button>
                     </div>
                   </div>
+
+                  {/* 保存ビュー */}
+                  <div className="mt-3 no-print">
+                    <SavedViewMenu
+                      views={savedViews}
+                      activeViewId={activeViewId}
+                      onSelect={applySavedView}
+                      onSave={saveCurrentView}
+                      onOverwrite={overwriteSavedView}
+                      onToggleDefault={toggleDefaultView}
+                      onDelete={deleteSavedView}
+                      isSaving={savingView}
+                    />
+                  </div>
                 </div>
 
+                {/* 絞り込みバー（プロジェクト一覧時のみ表示） */}
+                {!showClientView && (
+                  <ProjectFilterBar
+                    filters={filters}
+                    onChange={setFilters}
+                    onReset={() => setFilters({ ...DEFAULT_PROJECT_FILTERS })}
+                    managerOptions={managerOptions}
+                  />
+                )}
+
+                {/* 一括操作バー（プロジェクトを選択している時のみ表示） */}
+                {!showClientView && selectedProjects.length > 0 && (
+                  <div className="px-6 py-3 border-b border-gray-200 no-print">
+                    <BulkActionBar
+                      summary={summarizeProjects(selectedProjects)}
+                      onClearSelection={() => setSelectedProjectIds(new Set())}
+                      onExport={exportSelectedProjects}
+                      onDelete={permissions.canDelete ? () => requestBulkAction({ type: 'delete' }) : undefined}
+                      onChangeStatus={permissions.canCreate ? (status) => requestBulkAction({ type: 'status', status }) : undefined}
+                      onChangeManager={permissions.canCreate ? (field, name) => requestBulkAction({ type: 'manager', field, name }) : undefined}
+                      managerOptions={managerOptions}
+                      isProcessing={bulkProcessing}
+                    />
+                  </div>
+                )}
+
                 {/* エラー・ローディング表示 */}
                 {error && (
                   <div className="px-6 py-4 bg-red-50 border-b border-red-200">
@@ -1337,13 +4184,23 @@ function App() {
 
                 {/* テーブル */}
                 <div className="overflow-x-auto table-container">
-                  {showClientView ? (
+                  {showClientView && aggregationMode !== 'client' ? (
+                    /* 担当者別集計テーブル */
+                    <StaffAggregationTable
+                      staffData={staffAggregation.filter(data => data.role === aggregationMode)}
+                      roleLabel={getStaffRole(aggregationMode).label}
+                      currentUserId={user.id}
+                      onShowProjects={showStaffProjects}
+                    />
+                  ) : showClientView ? (
                     /* 客先別集計テーブル（拡張版） */
                     <ClientAggregationTable
-                      clientData={calculateClientAggregation()}
-                      projects={projects}
-                      onDeleteProject={deleteProject}
-                      showNotification={showNotification}
+                      clientData={clientAggregation}
+                      projects={clientProjects}
+                      onExpandClient={fetchClientProjects}
+                      onDeleteProject={permissions.canDelete ? deleteProject : undefined}
+                      onEditProject={permissions.canCreate ? openEditForm : undefined}
+                      canEditProject={canEdit}
                       loadingStates={loadingStates}
                     />
                   ) : (
@@ -1355,6 +4212,19 @@ function App() {
                       </caption>
                       <thead className="bg-gray-50">
                         <tr>
+                          <th className="px-2 sm:px-4 py-3 text-left no-print">
+                            <input
+                              type="checkbox"
+                              ref={(element) => {
+                                if (element) element.indeterminate = getSelectionState(selectedProjectIds, getDisplayProjects()) === 'some'
+                              }}
+                              checked={getDisplayProjects().length > 0 && getSelectionState(selectedProjectIds, getDisplayProjects()) === 'all'}
+                              onChange={() => setSelectedProjectIds(prev => toggleAllSelection(prev, getDisplayProjects()))}
+                              disabled={getDisplayProjects().length === 0 || bulkProcessing}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                              aria-label="表示中のプロジェクトをすべて選択"
+                            />
+                          </th>
                           <th
                             className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider min-w-[80px] cursor-pointer hover:bg-gray-100 transition-colors duration-150"
                             onClick={() => handleSort('project_number')}
@@ -1405,7 +4275,7 @@ function App() {
                             onClick={() => handleSort('net_amount')}
                           >
                             <div className="flex items-center justify-end">
-                              ネット金額
+                              ネット金額（税抜）
                               {getSortIcon('net_amount')}
                             </div>
                           </th>
@@ -1414,7 +4284,7 @@ function App() {
                             onClick={() => handleSort('customer_amount')}
                           >
                             <div className="flex items-center justify-end">
-                              客出金額
+                              客出金額（税抜）
                               {getSortIcon('customer_amount')}
                             </div>
                           </th>
@@ -1445,7 +4315,16 @@ function App() {
                               {getSortIcon('days_passed')}
                             </div>
                           </th>
-                          <th className="px-2 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider min-w-[60px]">
+                          <th
+                            className="px-2 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider min-w-[90px] cursor-pointer hover:bg-gray-100 transition-colors duration-150"
+                            onClick={() => handleSort('status')}
+                          >
+                            <div className="flex items-center justify-center">
+                              ステータス
+                              {getSortIcon('status')}
+                            </div>
+                          </th>
+                          <th className="px-2 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider min-w-[200px]">
                             操作
                           </th>
                         </tr>
@@ -1453,8 +4332,8 @@ function App() {
                       <tbody className="bg-white divide-y divide-gray-200">
                         {getDisplayProjects().length === 0 ? (
                           <tr>
-                            <td colSpan="11" className="px-4 py-8 text-center text-gray-500">
-                              {projects.length === 0
+                            <td colSpan="13" className="px-4 py-8 text-center text-gray-500">
+                              {projectSummary.totalProjects === 0
                                 ? 'プロジェクトが登録されていません'
                                 : 'フィルター条件に一致するプロジェクトがありません'
                               }
@@ -1464,17 +4343,44 @@ function App() {
                           getDisplayProjects().map((project) => {
                             const profitRate = calculateProfitRate(project.customer_amount, project.net_amount)
                             const daysPassed = calculateDaysPassed(project.submission_date)
+                            const projectTax = calculateProjectTaxAmounts(project)
 
                             return (
-                              <tr key={project.id} className="table-row">
+                              <tr key={project.id} className={`table-row ${selectedProjectIds.has(project.id) ? 'bg-blue-50' : ''}`}>
+                                <td className="px-2 sm:px-4 py-3 sm:py-4 no-print">
+                                  <input
+                                    type="checkbox"
+                                    checked={selectedProjectIds.has(project.id)}
+                                    onChange={() => setSelectedProjectIds(prev => toggleSelection(prev, project.id))}
+                                    disabled={bulkProcessing}
+                                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                    aria-label={`プロジェクト「${project.title}」を選択`}
+                                  />
+                                </td>
                                 <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-xs sm:text-sm text-gray-900">
-                                  {project.project_number || '-'}
+                                  <div>{project.project_number || '-'}</div>
+                                  <button
+                                    type="button"
+                                    onClick={() => openRevisionHistory(project)}
+                                    className={`mt-0.5 px-1.5 py-0.5 rounded text-xs font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 ${(project.current_revision || 1) > 1 ? 'bg-blue-100 text-blue-800 hover:bg-blue-200' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                                    title="版履歴を表示"
+                                    aria-label={`プロジェクト「${project.title}」の版履歴を表示（現在${formatRevisionLabel(project.current_revision)}）`}
+                                  >
+                                    {formatRevisionLabel(project.current_revision)}
+                                  </button>
                                 </td>
                                 <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-xs sm:text-sm text-gray-900 font-medium">
                                   {project.client}
                                 </td>
                                 <td className="px-2 sm:px-4 py-3 sm:py-4 text-xs sm:text-sm text-gray-900 max-w-[150px] sm:max-w-xs truncate" title={project.title}>
-                                  {project.title}
+                                  <button
+                                    type="button"
+                                    onClick={() => openProjectDetail(project)}
+                                    className="max-w-full truncate text-left text-blue-700 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                                    aria-label={`プロジェクト「${project.title}」の詳細と経過を表示`}
+                                  >
+                                    {project.title}
+                                  </button>
                                 </td>
                                 <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-xs sm:text-sm text-gray-900">
                                   {project.construction_manager || '-'}
@@ -1483,10 +4389,17 @@ function App() {
                                   {project.sales_manager || '-'}
                                 </td>
                                 <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-xs sm:text-sm text-gray-900 text-right font-medium">
-                                  {formatCurrency(project.net_amount)}
+                                  {formatCurrency(projectTax.net.exclusive)}
+                                  <div className="text-xs text-gray-500 font-normal">税込 {formatCurrency(projectTax.net.inclusive)}</div>
                                 </td>
                                 <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-xs sm:text-sm text-gray-900 text-right font-medium">
-                                  {formatCurrency(project.customer_amount)}
+                                  {formatCurrency(projectTax.customer.exclusive)}
+                                  <div className="text-xs text-gray-500 font-normal">
+                                    税込 {formatCurrency(projectTax.customer.inclusive)}
+                                    {projectTax.taxMode === 'inclusive' && (
+                                      <span className="ml-1 px-1 rounded bg-gray-100 text-gray-600" title="税込金額で入力">税込入力</span>
+                                    )}
+                                  </div>
                                 </td>
                                 <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-xs sm:text-sm text-right">
                                   <span className={`inline-flex items-center ${parseFloat(profitRate) >= 120 ? 'profit-high-bg' :
@@ -1507,15 +4420,61 @@ function App() {
                                       daysPassed <= 30 ? '🟡' : '🔴'} {daysPassed}日
                                   </span>
                                 </td>
-                                <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-center">
-                                  <DeleteButton
-                                    projectId={project.id}
-                                    projectTitle={project.title}
-                                    onDelete={() => openDeleteConfirmation(project.id, project)}
-                                    isLoading={loadingStates.deleting[project.id]}
-                                    size="sm"
-                                    variant="both"
-                                  />
+                                <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-xs sm:text-sm text-center">
+                                  <select
+                                    value={project.status || DEFAULT_PROJECT_STATUS}
+                                    onChange={(e) => changeProjectStatus(project, e.target.value)}
+                                    disabled={loadingStates.updating[project.id] || !canEdit(project)}
+                                    className={`px-2 py-1 rounded-full text-xs font-medium border-0 focus:outline-none focus:ring-2 focus:ring-blue-500 ${getStatusDefinition(project.status).badgeClass}`}
+                                    aria-label={`プロジェクト「${project.title}」のステータス`}
+                                    title={project.won_date ? `受注日: ${project.won_date}` : project.lost_date ? `失注日: ${project.lost_date}` : undefined}
+                                  >
+                                    {PROJECT_STATUSES.map(status => (
+                                      <option key={status.code} value={status.code}>{status.label}</option>
+                                    ))}
+                                  </select>
+                                </td>
+                                <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-center space-x-1">
+                                  {canEdit(project) && (
+                                    <EditButton
+                                      projectId={project.id}
+                                      projectTitle={project.title}
+                                      onEdit={openEditForm}
+                                      isLoading={loadingStates.updating[project.id]}
+                                      size="sm"
+                                      variant="both"
+                                    />
+                                  )}
+                                  <button
+                                    type="button"
+                                    onClick={() => openQuotation(project)}
+                                    className="inline-flex items-center justify-center px-2 py-1 text-xs font-medium text-emerald-700 bg-white border border-emerald-200 rounded-md hover:bg-emerald-50 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-1 transition-all duration-200"
+                                    aria-label={`プロジェクト「${project.title}」の見積書を作成`}
+                                    title={`プロジェクト「${project.title}」の見積書を作成`}
+                                  >
+                                    <FileText size={12} className="mr-1" />
+                                    <span className="font-semibold">見積書</span>
+                                  </button>
+                                  <button
+                                    type="button"
+                                    onClick={() => openFollowUps(project)}
+                                    className="inline-flex items-center justify-center px-2 py-1 text-xs font-medium text-yellow-700 bg-white border border-yellow-200 rounded-md hover:bg-yellow-50 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-offset-1 transition-all duration-200"
+                                    aria-label={`プロジェクト「${project.title}」のフォローアップ`}
+                                    title={`プロジェクト「${project.title}」のフォローアップ`}
+                                  >
+                                    <BellRing size={12} className="mr-1" />
+                                    <span className="font-semibold">フォロー</span>
+                                  </button>
+                                  {permissions.canDelete && (
+                                    <DeleteButton
+                                      projectId={project.id}
+                                      projectTitle={project.title}
+                                      onDelete={() => openDeleteConfirmation(project.id, project)}
+                                      isLoading={loadingStates.deleting[project.id]}
+                                      size="sm"
+                                      variant="both"
+                                    />
+                                  )}
                                 </td>
                               </tr>
                             )
@@ -1527,26 +4486,33 @@ function App() {
                 </div>
 
                 {/* テーブルフッター */}
-                {projects.length > 0 && (
+                {(showClientView ? clientAggregation.length > 0 : projects.length > 0) && (
                   <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
                     <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
                       <div className="mb-2 sm:mb-0">
-                        {showClientView ? (
+                        {showClientView && aggregationMode !== 'client' ? (
+                          <p className="text-sm text-gray-600">
+                            {staffAggregation.filter(data => data.role === aggregationMode && data.name).length} 名の{getStaffRole(aggregationMode).label}を表示中（全 {projectSummary.totalProjects} 件のプロジェクトから集計）
+                          </p>
+                        ) : showClientView ? (
                           <p className="text-sm text-gray-600">
-                            {calculateClientAggregation().length} 社の客先を表示中（全 {projects.length} 件のプロジェクトから集計）
+                            {clientAggregation.length} 社の客先を表示中（全 {projectSummary.totalProjects} 件のプロジェクトから集計）
                           </p>
                         ) : (
                           <>
                             <p className="text-sm text-gray-600">
-                              {showAllProjects
-                                ? `全 ${projects.length} 件のプロジェクトを表示中`
-                                : `直近 ${Math.min(20, projects.length)} 件を表示中（全 ${projects.length} 件）`
-                              }
+                              {`${projects.length} 件を表示中（全 ${projectTotalCount} 件）`}
+                              {countActiveFilters(filters) > 0 && `［${countActiveFilters(filters)}件の条件で絞り込み中］`}
                             </p>
-                            {!showAllProjects && projects.length > 20 && (
-                              <p className="text-xs text-amber-600 mt-1">
-                                💡 「全件表示」ボタンで全てのプロジェクトを表示できます
-                              </p>
+                            {projects.length < projectTotalCount && (
+                              <button
+                                type="button"
+                                onClick={loadMoreProjects}
+                                disabled={loadingMore}
+                                className="mt-2 inline-flex items-center px-3 py-1 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                {loadingMore ? '読み込み中...' : `さらに表示（残り ${projectTotalCount - projects.length} 件）`}
+                              </button>
                             )}
                           </>
                         )}
@@ -1563,7 +4529,8 @@ function App() {
                                         sortConfig.key === 'customer_amount' ? '客出金額' :
                                           sortConfig.key === 'profit_rate' ? '利益率' :
                                             sortConfig.key === 'submission_date' ? '提出日' :
-                                              sortConfig.key === 'days_passed' ? '経過日数' : sortConfig.key}
+                                              sortConfig.key === 'days_passed' ? '経過日数' :
+                                                sortConfig.key === 'status' ? 'ステータス' : sortConfig.key}
                           ({sortConfig.direction === 'asc' ? '昇順' : '降順'})
                         </p>
                       )}
@@ -1572,11 +4539,26 @@ function App() {
                 )}
               </div>
 
-              {/* 新規プロジェクト登録フォーム */}
+              {/* 新規プロジェクト登録・編集フォーム */}
               {showForm && (
-                <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200">
+                <div id="project-form" className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200">
                   <div className="px-6 py-4 border-b border-gray-200">
-                    <h3 className="text-lg font-semibold text-gray-800">新規プロジェクト登録</h3>
+                    <h3 className="text-lg font-semibold text-gray-800">
+                      {editingProject ? 'プロジェクト編集' : '新規プロジェクト登録'}
+                    </h3>
+                    {editingProject && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        作成日時: {new Date(editingProject.created_at).toLocaleString('ja-JP')}（編集しても変更されません）
+                        ／ 現在{formatRevisionLabel(editingProject.current_revision)}
+                        <button
+                          type="button"
+                          onClick={() => openRevisionHistory(editingProject)}
+                          className="ml-2 text-blue-600 hover:text-blue-800 underline"
+                        >
+                          版履歴を表示
+                        </button>
+                      </p>
+                    )}
                   </div>
 
                   {/* 成功メッセージ */}
@@ -1593,12 +4575,12 @@ function App() {
                     </div>
                   )}
 
-                  <form onSubmit={handleFormSubmit} className="p-6" role="form" aria-label="新規プロジェクト登録フォーム">
+                  <form onSubmit={handleFormSubmit} className="p-6" role="form" aria-label={editingProject ? 'プロジェクト編集フォーム' : '新規プロジェクト登録フォーム'}>
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                       {/* 工事番号 */}
                       <div>
                         <label htmlFor="project_number" className="block text-sm font-medium text-gray-700 mb-1">
-                          工事番号 <span className="text-gray-400">(任意)</span>
+                          工事番号 <span className="text-gray-400">{projectNumberFormat && !editingProject ? '(空欄で自動採番)' : '(任意)'}</span>
                         </label>
                         <input
                           type="text"
@@ -1608,7 +4590,7 @@ function App() {
                           onChange={handleFormChange}
                           className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${formErrors.project_number ? 'border-red-500' : 'border-gray-300'
                             }`}
-                          placeholder="例: P2024-001"
+                          placeholder={projectNumberFormat && !editingProject ? `例: ${getProjectNumberExample()}` : '例: P2024-001'}
                         />
                         {formErrors.project_number && (
                           <p className="mt-1 text-sm text-red-600">{formErrors.project_number}</p>
@@ -1620,15 +4602,13 @@ function App() {
                         <label htmlFor="client" className="block text-sm font-medium text-gray-700 mb-1">
                           客先 <span className="text-red-500">*</span>
                         </label>
-                        <input
-                          type="text"
+                        <ClientCombobox
                           id="client"
                           name="client"
                           value={formData.client}
                           onChange={handleFormChange}
-                          required
-                          className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${formErrors.client ? 'border-red-500' : 'border-gray-300'
-                            }`}
+                          clients={clients}
+                          hasError={Boolean(formErrors.client)}
                           placeholder="例: 株式会社サンプル"
                         />
                         {formErrors.client && (
@@ -1662,16 +4642,19 @@ function App() {
                         <label htmlFor="construction_manager" className="block text-sm font-medium text-gray-700 mb-1">
                           工事担当者 <span className="text-gray-400">(任意)</span>
                         </label>
-                        <input
-                          type="text"
+                        <select
                           id="construction_manager"
                           name="construction_manager"
                           value={formData.construction_manager}
                           onChange={handleFormChange}
                           className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${formErrors.construction_manager ? 'border-red-500' : 'border-gray-300'
                             }`}
-                          placeholder="例: 田中太郎"
-                        />
+                        >
+                          <option value="">未設定</option>
+                          {getStaffSelectOptions(staffMembers, formData.construction_manager).map(name => (
+                            <option key={name} value={name}>{name}</option>
+                          ))}
+                        </select>
                         {formErrors.construction_manager && (
                           <p className="mt-1 text-sm text-red-600">{formErrors.construction_manager}</p>
                         )}
@@ -1682,16 +4665,19 @@ function App() {
                         <label htmlFor="sales_manager" className="block text-sm font-medium text-gray-700 mb-1">
                           営業担当者 <span className="text-gray-400">(任意)</span>
                         </label>
-                        <input
-                          type="text"
+                        <select
                           id="sales_manager"
                           name="sales_manager"
                           value={formData.sales_manager}
                           onChange={handleFormChange}
                           className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${formErrors.sales_manager ? 'border-red-500' : 'border-gray-300'
                             }`}
-                          placeholder="例: 佐藤花子"
-                        />
+                        >
+                          <option value="">未設定</option>
+                          {getStaffSelectOptions(staffMembers, formData.sales_manager).map(name => (
+                            <option key={name} value={name}>{name}</option>
+                          ))}
+                        </select>
                         {formErrors.sales_manager && (
                           <p className="mt-1 text-sm text-red-600">{formErrors.sales_manager}</p>
                         )}
@@ -1708,16 +4694,17 @@ function App() {
                           name="net_amount"
                           value={formData.net_amount}
                           onChange={handleFormChange}
+                          readOnly={lineItems.length > 0}
                           required
                           className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${formErrors.net_amount ? 'border-red-500' : 'border-gray-300'
-                            }`}
+                            } ${lineItems.length > 0 ? 'bg-gray-100' : ''}`}
                           placeholder="例: 1,000,000"
                         />
                         {formErrors.net_amount && (
                           <p className="mt-1 text-sm text-red-600">{formErrors.net_amount}</p>
                         )}
                         <p className="mt-1 text-xs text-gray-500">
-                          数字を入力すると自動でカンマ区切りになります
+                          {lineItems.length > 0 ? '内訳明細の合計から自動計算されます' : '数字を入力すると自動でカンマ区切りになります'}
                         </p>
                       </div>
 
@@ -1732,16 +4719,60 @@ function App() {
                           name="customer_amount"
                           value={formData.customer_amount}
                           onChange={handleFormChange}
+                          readOnly={lineItems.length > 0}
                           required
                           className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${formErrors.customer_amount ? 'border-red-500' : 'border-gray-300'
-                            }`}
+                            } ${lineItems.length > 0 ? 'bg-gray-100' : ''}`}
                           placeholder="例: 1,200,000"
                         />
                         {formErrors.customer_amount && (
                           <p className="mt-1 text-sm text-red-600">{formErrors.customer_amount}</p>
                         )}
                         <p className="mt-1 text-xs text-gray-500">
-                          数字を入力すると自動でカンマ区切りになります
+                          {lineItems.length > 0 ? '内訳明細の合計から自動計算されます' : '数字を入力すると自動でカンマ区切りになります'}
+                        </p>
+                      </div>
+
+                      {/* 税区分・税率 */}
+                      <div>
+                        <label htmlFor="tax_mode" className="block text-sm font-medium text-gray-700 mb-1">
+                          税区分・税率
+                        </label>
+                        <div className="flex space-x-2">
+                          <select
+                            id="tax_mode"
+                            name="tax_mode"
+                            value={formData.tax_mode}
+                            onChange={handleFormChange}
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                          >
+                            {TAX_MODES.map(mode => (
+                              <option key={mode.code} value={mode.code}>{mode.label}で入力</option>
+                            ))}
+                          </select>
+                          <select
+                            id="tax_rate"
+                            name="tax_rate"
+                            value={formData.tax_rate}
+                            onChange={handleFormChange}
+                            aria-label="税率"
+                            className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                          >
+                            {getTaxRateOptions(formData.tax_rate).map(rate => (
+                              <option key={rate} value={String(rate)}>{formatTaxRate(rate)}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <p className="mt-1 text-xs text-gray-500">
+                          {(() => {
+                            const { net, customer } = calculateProjectTaxAmounts({
+                              net_amount: formData.net_amount.replace(/,/g, ''),
+                              customer_amount: formData.customer_amount.replace(/,/g, ''),
+                              tax_mode: formData.tax_mode,
+                              tax_rate: formData.tax_rate
+                            })
+                            return `ネット 税抜${formatCurrency(net.exclusive)} / 税込${formatCurrency(net.inclusive)}・客出 税抜${formatCurrency(customer.exclusive)} / 税込${formatCurrency(customer.inclusive)}（消費税${formatCurrency(customer.tax)}）`
+                          })()}
                         </p>
                       </div>
 
@@ -1764,8 +4795,86 @@ function App() {
                           <p className="mt-1 text-sm text-red-600">{formErrors.submission_date}</p>
                         )}
                       </div>
+
+                      {/* ステータス */}
+                      <div>
+                        <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-1">
+                          ステータス
+                        </label>
+                        <select
+                          id="status"
+                          name="status"
+                          value={formData.status}
+                          onChange={handleFormChange}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                        >
+                          {PROJECT_STATUSES.map(status => (
+                            <option key={status.code} value={status.code}>{status.label}</option>
+                          ))}
+                        </select>
+                        {editingProject?.won_date && (
+                          <p className="mt-1 text-xs text-gray-500">受注日: {editingProject.won_date}</p>
+                        )}
+                        {editingProject?.lost_date && (
+                          <p className="mt-1 text-xs text-gray-500">失注日: {editingProject.lost_date}</p>
+                        )}
+                      </div>
                     </div>
 
+                    {/* 内訳明細 */}
+                    <div className="mt-6">
+                      <LineItemEditor
+                        items={lineItems}
+                        onChange={handleLineItemsChange}
+                        errors={lineItemErrors}
+                        isLoading={lineItemsLoading}
+                      />
+                      {formErrors.line_items && (
+                        <p className="mt-1 text-sm text-red-600">{formErrors.line_items}</p>
+                      )}
+                    </div>
+
+                    {/* 版管理（編集時のみ） */}
+                    {editingProject && (
+                      <div className="mt-6 p-4 border border-blue-200 bg-blue-50 rounded-lg">
+                        <label className="inline-flex items-center text-sm font-medium text-gray-800">
+                          <input
+                            type="checkbox"
+                            checked={revisionOptions.saveAsNew}
+                            onChange={(e) => setRevisionOptions(prev => ({ ...prev, saveAsNew: e.target.checked }))}
+                            className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          再見積として{formatRevisionLabel((editingProject.current_revision || 1) + 1)}を作成する
+                        </label>
+                        <p className="mt-1 text-xs text-gray-600">
+                          チェックしない場合は{formatRevisionLabel(editingProject.current_revision)}の修正として保存されます
+                        </p>
+                        {revisionOptions.saveAsNew && (
+                          <div className="mt-3">
+                            <label htmlFor="revision_reason" className="block text-sm font-medium text-gray-700 mb-1">
+                              改訂理由 <span className="text-red-500">*</span>
+                            </label>
+                            <input
+                              type="text"
+                              id="revision_reason"
+                              value={revisionOptions.reason}
+                              onChange={(e) => {
+                                setRevisionOptions(prev => ({ ...prev, reason: e.target.value }))
+                                if (formErrors.revision_reason) {
+                                  setFormErrors(prev => ({ ...prev, revision_reason: '' }))
+                                }
+                              }}
+                              className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${formErrors.revision_reason ? 'border-red-500' : 'border-gray-300'}`}
+                              placeholder="例: 客先要望により仕様変更（床材グレードダウン）"
+                            />
+                            {formErrors.revision_reason && (
+                              <p className="mt-1 text-sm text-red-600">{formErrors.revision_reason}</p>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    )}
+
                     {/* フォームボタン */}
                     <div className="mt-6 flex items-center justify-end space-x-3">
                       <button
@@ -1777,10 +4886,12 @@ function App() {
                       </button>
                       <button
                         type="submit"
-                        disabled={dataLoading}
+                        disabled={dataLoading || Boolean(editingProject && loadingStates.updating[editingProject.id])}
                         className="px-4 py-2 text-sm font-medium text-white bg-purple-600 border border-transparent rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
                       >
-                        {dataLoading ? '保存中...' : '保存'}
+                        {dataLoading || (editingProject && loadingStates.updating[editingProject.id])
+                          ? '保存中...'
+                          : editingProject ? '更新' : '保存'}
                       </button>
                     </div>
                   </form>
@@ -1797,6 +4908,198 @@ function App() {
         onRemoveNotification={removeNotification}
       />
 
+      {/* 見積書作成ダイアログ */}
+      <QuotationDialog
+        isOpen={quotationState.isOpen}
+        onClose={closeQuotation}
+        project={quotationState.project}
+        lineItems={quotationState.lineItems}
+        isLoading={quotationState.isLoading}
+        showNotification={showNotification}
+      />
+
+      {/* 版履歴ダイアログ */}
+      <RevisionHistoryDialog
+        isOpen={revisionHistory.isOpen}
+        onClose={closeRevisionHistory}
+        project={revisionHistory.project && (findLoadedProject(revisionHistory.project.id) || revisionHistory.project)}
+        revisions={revisionHistory.revisions}
+        isLoading={revisionHistory.isLoading}
+      />
+
+      {/* 操作履歴ダイアログ */}
+      <AuditLogDialog
+        isOpen={auditLog.isOpen}
+        onClose={closeAuditLog}
+        logs={auditLog.logs}
+        actors={auditLog.actors}
+        filters={auditLog.filters}
+        onFiltersChange={(auditFilters) => fetchAuditLogs({ filters: auditFilters })}
+        onLoadMore={() => fetchAuditLogs({ append: true })}
+        hasMore={auditLog.hasMore}
+        isLoading={auditLog.isLoading}
+      />
+
+      {/* ゴミ箱ダイアログ */}
+      <TrashDialog
+        isOpen={trash.isOpen}
+        onClose={closeTrash}
+        projects={trash.projects}
+        retentionDays={trashRetentionDays}
+        onRestore={restoreProject}
+        onPurge={purgeProject}
+        onRetentionDaysChange={permissions.canConfigureTrash ? changeTrashRetentionDays : undefined}
+        processingIds={trash.processingIds}
+        canManage={permissions.canDelete}
+        isLoading={trash.isLoading}
+      />
+
+      {/* 工事番号の採番設定ダイアログ */}
+      <ProjectNumberSettingsDialog
+        isOpen={projectNumberSettings.isOpen}
+        onClose={() => setProjectNumberSettings(prev => ({ ...prev, isOpen: false }))}
+        format={projectNumberFormat}
+        onSave={changeProjectNumberFormat}
+        isSaving={projectNumberSettings.isSaving}
+      />
+
+      {/* 客先マスタダイアログ */}
+      <ClientMasterDialog
+        isOpen={clientMaster.isOpen}
+        onClose={closeClientMaster}
+        clients={clients}
+        onSave={saveClient}
+        onDelete={deleteClient}
+        onMerge={mergeClients}
+        canManage={permissions.canManageClients}
+        isLoading={clientMaster.isLoading}
+        isSaving={clientMaster.isSaving}
+      />
+
+      {/* 担当者マスタダイアログ */}
+      <StaffMasterDialog
+        isOpen={staffMaster.isOpen}
+        onClose={closeStaffMaster}
+        staffMembers={staffMembers}
+        userOptions={staffMaster.userOptions}
+        onSave={saveStaffMember}
+        onDelete={deleteStaffMember}
+        canManage={permissions.canManageStaff}
+        isLoading={staffMaster.isLoading}
+        isSaving={staffMaster.isSaving}
+      />
+
+      {/* フォローアップダイアログ */}
+      <FollowUpDialog
+        isOpen={followUpDialog.isOpen}
+        onClose={closeFollowUps}
+        project={followUpDialog.project}
+        followUps={followUpDialog.followUps}
+        assigneeOptions={getFollowUpAssigneeOptions(staffMembers, user)}
+        defaultAssigneeId={user?.id}
+        onCreate={createFollowUp}
+        onComplete={completeFollowUp}
+        onSnooze={snoozeFollowUp}
+        onReopen={reopenFollowUp}
+        onDelete={deleteFollowUp}
+        canEdit={(followUp) => canEditFollowUp(userRole, followUp, user?.id)}
+        canCreate={permissions.canCreate}
+        processingIds={followUpProcessingIds}
+        isLoading={followUpDialog.isLoading}
+        isSaving={followUpDialog.isSaving}
+      />
+
+      {/* プロジェクトの詳細パネル */}
+      <ProjectDetailPanel
+        isOpen={projectDetail.isOpen}
+        onClose={closeProjectDetail}
+        project={projectDetail.project}
+        activities={projectDetail.activities}
+        onCreate={createActivity}
+        onDelete={deleteActivity}
+        canDelete={(activity) => canDeleteActivity(userRole, activity, user?.id)}
+        canCreate={permissions.canCreate}
+        processingIds={projectDetail.processingIds}
+        isLoading={projectDetail.isLoading}
+        isSaving={projectDetail.isSaving}
+      />
+
+      {/* CSVエクスポートダイアログ */}
+      <CsvExportDialog
+        isOpen={csvExport.isOpen}
+        onClose={closeCsvExport}
+        columns={PROJECT_EXPORT_COLUMNS}
+        initialSettings={csvExport.settings}
+        selectedCount={selectedProjects.length}
+        onExport={exportToCsv}
+        isExporting={isExporting}
+      />
+
+      {/* インポートの列対応ダイアログ */}
+      <ImportMappingDialog
+        isOpen={importMapping.isOpen}
+        onClose={closeImportMapping}
+        fileName={importMapping.fileName}
+        sheets={importMapping.sheets}
+        initialSettings={importMapping.initialSettings}
+        templates={importTemplates}
+        detectedTemplate={importMapping.detectedTemplate}
+        onApply={applyImportMapping}
+        onSaveTemplate={permissions.canImport ? saveImportTemplate : undefined}
+        onDeleteTemplate={permissions.canImport ? deleteImportTemplate : undefined}
+        isSaving={savingImportTemplate}
+        isApplying={isImporting}
+      />
+
+      {/* インポートのプレビューダイアログ */}
+      <ImportPreviewDialog
+        isOpen={importPreview.isOpen && !importDiff.isOpen}
+        onClose={closeImportPreview}
+        fileName={importPreview.fileName}
+        rows={importPreview.rows}
+        onChangeCell={changeImportCell}
+        onToggleInclude={toggleImportRow}
+        onDownloadErrorReport={downloadImportErrorReport}
+        onCommit={commitImport}
+        mode={importPreview.mode}
+        matchKey={importPreview.matchKey}
+        flagMissing={importPreview.flagMissing}
+        onChangeImportOptions={changeImportOptions}
+        isCommitting={isImporting}
+      />
+
+      {/* インポートの差分確認ダイアログ */}
+      <ImportDiffDialog
+        isOpen={importDiff.isOpen}
+        onClose={closeImportDiff}
+        plan={importDiff.plan}
+        matchKeyLabel={getMatchKeyLabel(importPreview.matchKey)}
+        flagMissing={importPreview.flagMissing}
+        onConfirm={commitImportUpsert}
+        isCommitting={isImporting}
+      />
+
+      {/* 分割インポートの進捗ダイアログ */}
+      <ImportProgressDialog
+        job={importJob}
+        onCancel={cancelImport}
+        onResume={resumeImport}
+        onClose={closeImportJob}
+        errorMessage={importJob?.error ? getImportErrorMessage(importJob.error) : ''}
+      />
+
+      {/* 権限管理ダイアログ */}
+      <UserRoleDialog
+        isOpen={userRoleDialog.isOpen}
+        onClose={closeUserRoleDialog}
+        users={userRoleDialog.users}
+        organizationName={currentOrganization?.name}
+        currentUserId={user?.id}
+        onChangeRole={changeUserRole}
+        updatingUserId={userRoleDialog.updatingUserId}
+        isLoading={userRoleDialog.isLoading}
+      />
+
       {/* 削除確認ダイアログ */}
       <ConfirmationDialog
         isOpen={deleteConfirmation.isOpen}
@@ -1807,6 +5110,33 @@ function App() {
         projectDetails={deleteConfirmation.projectData}
         isLoading={loadingStates.deleting[deleteConfirmation.projectId]}
       />
+
+      {/* 一括操作の確認ダイアログ */}
+      {bulkConfirmation.action && (() => {
+        const bulkAction = describeBulkAction(bulkConfirmation.action)
+        return (
+          <ConfirmationDialog
+            isOpen={bulkConfirmation.isOpen}
+            onClose={closeBulkConfirmation}
+            onConfirm={executeBulkAction}
+            title={bulkAction.title}
+            message={bulkAction.message}
+            confirmLabel={bulkAction.confirmLabel}
+            warning={bulkAction.warning}
+            isDestructive={bulkAction.isDestructive}
+            projects={selectedProjects}
+            isLoading={bulkProcessing}
+          />
+        )
+      })()}
+
+      {/* 一括操作の結果ダイアログ */}
+      <BulkResultDialog
+        isOpen={bulkResult.isOpen}
+        onClose={closeBulkResult}
+        title={bulkResult.title}
+        results={bulkResult.results}
+      />
     </div>
   )
 }
@@ -0,0 +1,240 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, ClipboardList } from 'lucide-react';
+import { formatRevisionValue } from '../utils/revisions';
+import {
+  AUDIT_ACTIONS,
+  DEFAULT_AUDIT_FILTERS,
+  getAuditActionDefinition,
+  getAuditLogSubject,
+  getAuditLogChanges
+} from '../utils/auditLog';
+
+/**
+ * 操作履歴ダイアログコンポーネント
+ * プロジェクトの登録・更新・削除・復元・インポートの履歴を、ユーザー・操作・期間で絞り込んで表示
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Array} props.logs - audit_logs のレコード（新しい順）
+ * @param {Array} props.actors - 絞り込み用のユーザー一覧（actor_id・actor_email）
+ * @param {Object} props.filters - 絞り込み条件（DEFAULT_AUDIT_FILTERS と同じ形式）
+ * @param {Function} props.onFiltersChange - 新しい絞り込み条件を受け取る関数
+ * @param {Function} props.onLoadMore - 続きを読み込む関数
+ * @param {boolean} [props.hasMore=false] - 続きがあるかどうか
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ */
+const AuditLogDialog = ({
+  isOpen,
+  onClose,
+  logs,
+  actors,
+  filters,
+  onFiltersChange,
+  onLoadMore,
+  hasMore = false,
+  isLoading = false
+}) => {
+  const [expandedLogId, setExpandedLogId] = useState(null);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  const handleFilterChange = useCallback((event) => {
+    const { name, value } = event.target;
+    onFiltersChange({ ...filters, [name]: value });
+  }, [filters, onFiltersChange]);
+
+  if (!isOpen) return null;
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const hasFilters = Object.keys(DEFAULT_AUDIT_FILTERS).some(key => filters[key] !== DEFAULT_AUDIT_FILTERS[key]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="audit-log-dialog-title"
+    >
+      <div className="relative w-full max-w-5xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <ClipboardList className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 id="audit-log-dialog-title" className="text-lg font-semibold text-gray-900">操作履歴</h3>
+              <p className="text-xs text-gray-500">プロジェクトの登録・更新・削除・復元・インポートの記録</p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="操作履歴を閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* 絞り込み */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 text-sm" role="search" aria-label="操作履歴の絞り込み">
+            <label className="block">
+              <span className="block text-xs text-gray-600 mb-1">ユーザー</span>
+              <select name="actorId" value={filters.actorId} onChange={handleFilterChange} className={inputClass}>
+                <option value="">すべて</option>
+                {actors.map(actor => (
+                  <option key={actor.actor_id} value={actor.actor_id}>{actor.actor_email || actor.actor_id}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-xs text-gray-600 mb-1">操作</span>
+              <select name="action" value={filters.action} onChange={handleFilterChange} className={inputClass}>
+                <option value="">すべて</option>
+                {AUDIT_ACTIONS.map(action => (
+                  <option key={action.code} value={action.code}>{action.label}</option>
+                ))}
+              </select>
+            </label>
+            <fieldset className="sm:col-span-2">
+              <legend className="block text-xs text-gray-600 mb-1">期間</legend>
+              <div className="flex items-center space-x-1">
+                <input
+                  type="date"
+                  name="dateFrom"
+                  value={filters.dateFrom}
+                  onChange={handleFilterChange}
+                  className={inputClass}
+                  aria-label="期間の開始"
+                />
+                <span className="text-gray-400">〜</span>
+                <input
+                  type="date"
+                  name="dateTo"
+                  value={filters.dateTo}
+                  onChange={handleFilterChange}
+                  className={inputClass}
+                  aria-label="期間の終了"
+                />
+                {hasFilters && (
+                  <button
+                    type="button"
+                    onClick={() => onFiltersChange(DEFAULT_AUDIT_FILTERS)}
+                    className="flex-shrink-0 px-2 py-1 text-sm text-gray-600 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-500 rounded-md"
+                  >
+                    クリア
+                  </button>
+                )}
+              </div>
+            </fieldset>
+          </div>
+
+          {/* 履歴一覧 */}
+          <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="操作履歴一覧">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">日時</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">操作</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">ユーザー</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">対象</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500">詳細</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {logs.length === 0 && !isLoading && (
+                <tr>
+                  <td colSpan="5" className="px-3 py-6 text-center text-gray-500">該当する操作履歴はありません</td>
+                </tr>
+              )}
+              {logs.map(log => {
+                const action = getAuditActionDefinition(log.action);
+                const isExpanded = expandedLogId === log.id;
+                return (
+                  <React.Fragment key={log.id}>
+                    <tr>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                        {new Date(log.created_at).toLocaleString('ja-JP')}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${action.badgeClass}`}>
+                          {action.label}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">{log.actor_email || '-'}</td>
+                      <td className="px-3 py-2 text-gray-900">{getAuditLogSubject(log)}</td>
+                      <td className="px-3 py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => setExpandedLogId(isExpanded ? null : log.id)}
+                          aria-expanded={isExpanded}
+                          className="text-xs text-blue-600 hover:text-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                        >
+                          {isExpanded ? '閉じる' : '表示'}
+                        </button>
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="bg-gray-50">
+                        <td colSpan="5" className="px-3 py-2">
+                          <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-xs">
+                            {getAuditLogChanges(log).map(change => (
+                              <div key={change.key} className="flex">
+                                <dt className="w-24 flex-shrink-0 text-gray-500">{change.label}</dt>
+                                <dd className="text-gray-900">
+                                  {log.action === 'update' ? (
+                                    <>
+                                      <span className="line-through text-gray-500">{formatRevisionValue(change.before, change.type)}</span>
+                                      {' → '}
+                                      <span className="font-medium">{formatRevisionValue(change.after, change.type)}</span>
+                                    </>
+                                  ) : (
+                                    formatRevisionValue(change.after ?? change.before, change.type)
+                                  )}
+                                </dd>
+                              </div>
+                            ))}
+                          </dl>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {isLoading && <p className="text-sm text-gray-500">⏳ 操作履歴を読み込み中...</p>}
+
+          {hasMore && !isLoading && (
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={onLoadMore}
+                className="px-4 py-2 text-sm font-medium text-blue-700 bg-white border border-blue-200 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                さらに表示
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogDialog;
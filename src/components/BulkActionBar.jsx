@@ -0,0 +1,156 @@
+import React, { useState, useCallback } from 'react';
+import { CheckSquare, Download, Trash2, X } from 'lucide-react';
+import { formatCurrency } from '../utils/calculations';
+import { PROJECT_STATUSES } from '../utils/projectStatus';
+import { BULK_MANAGER_FIELDS } from '../utils/bulkOperations';
+
+/**
+ * 一括操作バーコンポーネント
+ * 一覧で選択したプロジェクトの件数・合計金額を表示し、一括削除・ステータス変更・担当者変更・エクスポートを行う
+ * onDelete / onChangeStatus / onChangeManager を省略するとその操作を表示しない（権限がない場合）
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Object} props.summary - 選択したプロジェクトの集計（summarizeProjects の結果）
+ * @param {Function} props.onClearSelection - 選択を解除する関数
+ * @param {Function} props.onExport - 選択したプロジェクトをエクスポートする関数
+ * @param {Function} [props.onDelete] - 選択したプロジェクトを削除する関数
+ * @param {Function} [props.onChangeStatus] - ステータスを変更する関数（ステータスコードを受け取る）
+ * @param {Function} [props.onChangeManager] - 担当者を変更する関数（項目・担当者名を受け取る）
+ * @param {Object} [props.managerOptions] - 担当者の候補（construction・sales）
+ * @param {boolean} [props.isProcessing=false] - 一括処理中の状態
+ */
+const BulkActionBar = ({
+  summary,
+  onClearSelection,
+  onExport,
+  onDelete,
+  onChangeStatus,
+  onChangeManager,
+  managerOptions = { construction: [], sales: [] },
+  isProcessing = false
+}) => {
+  const [managerField, setManagerField] = useState(BULK_MANAGER_FIELDS[0].code);
+  const [managerName, setManagerName] = useState('');
+
+  const handleStatusChange = useCallback((event) => {
+    const { value } = event.target;
+    if (value) {
+      onChangeStatus(value);
+    }
+  }, [onChangeStatus]);
+
+  const handleManagerSubmit = useCallback((event) => {
+    event.preventDefault();
+    const name = managerName.trim();
+    if (!name) return;
+    onChangeManager(managerField, name);
+    setManagerName('');
+  }, [managerField, managerName, onChangeManager]);
+
+  const managerCandidates = managerField === 'construction_manager' ? managerOptions.construction : managerOptions.sales;
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100';
+  const buttonClass = 'inline-flex items-center px-3 py-1 text-sm font-medium rounded-md focus:outline-none focus:ring-2 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div
+      className="flex flex-wrap items-center gap-3 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm"
+      role="toolbar"
+      aria-label="選択したプロジェクトの一括操作"
+    >
+      <div className="flex items-center space-x-2 text-blue-900" aria-live="polite">
+        <CheckSquare className="w-4 h-4" />
+        <span className="font-semibold">{summary.count}件選択中</span>
+        <span className="text-blue-700">客出金額（税抜）合計 {formatCurrency(summary.totalCustomerAmount)}</span>
+      </div>
+
+      {onChangeStatus && (
+        <select
+          value=""
+          onChange={handleStatusChange}
+          disabled={isProcessing}
+          className={inputClass}
+          aria-label="選択したプロジェクトのステータスを変更"
+        >
+          <option value="">ステータスを変更...</option>
+          {PROJECT_STATUSES.map(status => (
+            <option key={status.code} value={status.code}>{status.label}</option>
+          ))}
+        </select>
+      )}
+
+      {onChangeManager && (
+        <form onSubmit={handleManagerSubmit} className="flex items-center space-x-1">
+          <select
+            value={managerField}
+            onChange={(e) => setManagerField(e.target.value)}
+            disabled={isProcessing}
+            className={inputClass}
+            aria-label="変更する担当者"
+          >
+            {BULK_MANAGER_FIELDS.map(field => (
+              <option key={field.code} value={field.code}>{field.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={managerName}
+            onChange={(e) => setManagerName(e.target.value)}
+            disabled={isProcessing}
+            list="bulk-manager-options"
+            placeholder="担当者名"
+            className={`${inputClass} w-32`}
+            aria-label="新しい担当者名"
+          />
+          <datalist id="bulk-manager-options">
+            {managerCandidates.map(name => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+          <button
+            type="submit"
+            disabled={isProcessing || !managerName.trim()}
+            className={`${buttonClass} text-blue-700 bg-white border border-blue-200 hover:bg-blue-50 focus:ring-blue-500`}
+          >
+            担当者を変更
+          </button>
+        </form>
+      )}
+
+      <div className="flex items-center space-x-2 ml-auto">
+        <button
+          type="button"
+          onClick={onExport}
+          disabled={isProcessing}
+          className={`${buttonClass} text-green-700 bg-white border border-green-200 hover:bg-green-50 focus:ring-green-500`}
+        >
+          <Download className="w-4 h-4 mr-1" />
+          エクスポート
+        </button>
+        {onDelete && (
+          <button
+            type="button"
+            onClick={onDelete}
+            disabled={isProcessing}
+            className={`${buttonClass} text-white bg-red-600 border border-transparent hover:bg-red-700 focus:ring-red-500`}
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            削除
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onClearSelection}
+          disabled={isProcessing}
+          className={`${buttonClass} text-gray-600 hover:text-gray-900 focus:ring-gray-500`}
+          aria-label="選択を解除"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {isProcessing && <p className="w-full text-blue-700">⏳ 一括処理中...</p>}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,105 @@
+import React, { useEffect, useCallback } from 'react';
+import { X, ListChecks, CheckCircle, AlertCircle } from 'lucide-react';
+import { summarizeBulkResults } from '../utils/bulkOperations';
+
+/**
+ * 一括操作の結果ダイアログコンポーネント
+ * プロジェクトごとの成功・失敗と失敗の理由を表示する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {string} props.title - 実行した操作の名前（例: 一括削除）
+ * @param {Array} props.results - プロジェクトごとの結果（{ project, success, message }）
+ */
+const BulkResultDialog = ({ isOpen, onClose, title, results }) => {
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  if (!isOpen) return null;
+
+  const { succeeded, failed } = summarizeBulkResults(results);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="bulk-result-dialog-title"
+    >
+      <div className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <ListChecks className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 id="bulk-result-dialog-title" className="text-lg font-semibold text-gray-900">{title}の結果</h3>
+              <p className="text-xs text-gray-500">
+                成功 {succeeded}件 / 失敗 {failed}件
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="結果を閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="一括操作の結果一覧">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">プロジェクト</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">結果</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {results.map(({ project, success, message }) => (
+                <tr key={project.id}>
+                  <td className="px-3 py-2 text-gray-900">
+                    <div className="font-medium">{project.title}</div>
+                    <div className="text-xs text-gray-500">
+                      {[project.project_number, project.client].filter(Boolean).join(' / ')}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2">
+                    {success ? (
+                      <span className="inline-flex items-center text-green-700">
+                        <CheckCircle className="w-4 h-4 mr-1" />
+                        成功
+                      </span>
+                    ) : (
+                      <span className="inline-flex items-start text-red-700">
+                        <AlertCircle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                        <span>失敗: {message}</span>
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkResultDialog;
@@ -1,18 +1,23 @@
 import React, { useState, useCallback } from 'react';
 import DeleteButton from './DeleteButton';
+import EditButton from './EditButton';
 import ConfirmationDialog from './ConfirmationDialog';
-import { createDeleteSuccessNotification, createDeleteErrorNotification } from './NotificationSystem';
 import { formatCurrency, calculateProfitRate } from '../utils/calculations';
+import { getStatusDefinition } from '../utils/projectStatus';
+import { formatRevisionLabel } from '../utils/revisions';
 
 /**
  * 客先別集計テーブルコンポーネント
- * 客先別集計画面での削除機能を提供
+ * 客先別集計画面での編集・削除機能を提供
+ * onEditProject / onDeleteProject を省略すると編集・削除ボタンを表示しない（権限がない場合）
  */
 const ClientAggregationTable = ({ 
   clientData, 
   projects,
   onDeleteProject,
-  showNotification,
+  onEditProject,
+  canEditProject = () => true,
+  onExpandClient,
   loadingStates 
 }) => {
   const [deleteConfirmation, setDeleteConfirmation] = useState({
@@ -23,8 +28,11 @@ const ClientAggregationTable = ({
 
   const [expandedClients, setExpandedClients] = useState(new Set());
 
-  // 客先の展開/折りたたみ
+  // 客先の展開/折りたたみ（展開時に客先のプロジェクトを読み込む）
   const toggleClientExpansion = useCallback((clientName) => {
+    if (!expandedClients.has(clientName) && onExpandClient) {
+      onExpandClient(clientName);
+    }
     setExpandedClients(prev => {
       const newSet = new Set(prev);
       if (newSet.has(clientName)) {
@@ -34,7 +42,7 @@ const ClientAggregationTable = ({
       }
       return newSet;
     });
-  }, []);
+  }, [expandedClients, onExpandClient]);
 
   // 削除確認ダイアログを開く
   const openDeleteConfirmation = useCallback((projectId, projectData) => {
@@ -67,17 +75,11 @@ const ClientAggregationTable = ({
     
     if (result) {
       closeDeleteConfirmation();
-      
-      // 成功通知を表示
-      const notification = createDeleteSuccessNotification(
-        projectData.title,
-        `客先: ${projectData.client} - 集計データを更新しました`
-      );
-      showNotification(notification);
     }
+    // 成功通知（元に戻す操作付き）は onDeleteProject 側で表示される
     
     return result;
-  }, [deleteConfirmation, onDeleteProject, closeDeleteConfirmation, showNotification]);
+  }, [deleteConfirmation, onDeleteProject, closeDeleteConfirmation]);
 
   // 特定の客先のプロジェクトを取得
   const getClientProjects = useCallback((clientName) => {
@@ -99,14 +101,20 @@ const ClientAggregationTable = ({
               案件数
             </th>
             <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-              合計ネット金額
+              合計ネット金額（税抜）
             </th>
             <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-              合計客出金額
+              合計客出金額（税抜）
             </th>
             <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
               平均利益率
             </th>
+            <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              受注率
+            </th>
+            <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              受注金額（税抜）
+            </th>
             <th scope="col" className="px-2 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
               操作
             </th>
@@ -146,6 +154,9 @@ const ClientAggregationTable = ({
                   </td>
                   <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-900 font-medium">
                     {formatCurrency(data.totalCustomerAmount)}
+                    {data.totalCustomerAmountInclusive !== undefined && (
+                      <div className="text-xs text-gray-500 font-normal">税込 {formatCurrency(data.totalCustomerAmountInclusive)}</div>
+                    )}
                   </td>
                   <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm">
                     <span className={`inline-flex items-center ${
@@ -155,6 +166,19 @@ const ClientAggregationTable = ({
                       {data.averageProfitRate.toFixed(1)}%
                     </span>
                   </td>
+                  <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-900">
+                    {data.wonCount + data.lostCount > 0 ? (
+                      <>
+                        <span className="font-medium">{data.winRate.toFixed(1)}%</span>
+                        <span className="ml-1 text-xs text-gray-500">({data.wonCount}/{data.wonCount + data.lostCount})</span>
+                      </>
+                    ) : (
+                      <span className="text-gray-400">-</span>
+                    )}
+                  </td>
+                  <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-900 font-medium">
+                    {formatCurrency(data.wonAmount)}
+                  </td>
                   <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-center">
                     <button
                       onClick={() => toggleClientExpansion(data.client)}
@@ -166,6 +190,13 @@ const ClientAggregationTable = ({
                 </tr>
 
                 {/* 展開された個別プロジェクト行 */}
+                {isExpanded && clientProjects.length === 0 && (
+                  <tr className="bg-blue-50 border-l-4 border-blue-200">
+                    <td colSpan="8" className="px-2 sm:px-4 py-2 text-sm text-gray-500">
+                      <span className="ml-8">⏳ プロジェクトを読み込み中...</span>
+                    </td>
+                  </tr>
+                )}
                 {isExpanded && clientProjects.map((project) => (
                   <tr key={`${data.client}-${project.id}`} className="bg-blue-50 border-l-4 border-blue-200">
                     <td className="px-2 sm:px-4 py-2 whitespace-nowrap">
@@ -174,7 +205,7 @@ const ClientAggregationTable = ({
                           {project.title}
                         </div>
                         <div className="text-xs text-gray-500">
-                          工事番号: {project.project_number || 'なし'}
+                          工事番号: {project.project_number || 'なし'}（{formatRevisionLabel(project.current_revision)}）
                         </div>
                       </div>
                     </td>
@@ -195,15 +226,38 @@ const ClientAggregationTable = ({
                         {calculateProfitRate(project.customer_amount, project.net_amount)}%
                       </span>
                     </td>
-                    <td className="px-2 sm:px-4 py-2 whitespace-nowrap text-center">
-                      <DeleteButton
-                        projectId={project.id}
-                        projectTitle={project.title}
-                        onDelete={() => openDeleteConfirmation(project.id, project)}
-                        isLoading={loadingStates.deleting[project.id]}
-                        size="sm"
-                        variant="icon"
-                      />
+                    <td className="px-2 sm:px-4 py-2 whitespace-nowrap text-sm">
+                      <span
+                        className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getStatusDefinition(project.status).badgeClass}`}
+                        title={project.won_date ? `受注日: ${project.won_date}` : project.lost_date ? `失注日: ${project.lost_date}` : undefined}
+                      >
+                        {getStatusDefinition(project.status).label}
+                      </span>
+                    </td>
+                    <td className="px-2 sm:px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                      {project.status === 'won' ? formatCurrency(project.customer_amount) : '-'}
+                    </td>
+                    <td className="px-2 sm:px-4 py-2 whitespace-nowrap text-center space-x-1">
+                      {onEditProject && canEditProject(project) && (
+                        <EditButton
+                          projectId={project.id}
+                          projectTitle={project.title}
+                          onEdit={onEditProject}
+                          isLoading={loadingStates.updating?.[project.id]}
+                          size="sm"
+                          variant="icon"
+                        />
+                      )}
+                      {onDeleteProject && (
+                        <DeleteButton
+                          projectId={project.id}
+                          projectTitle={project.title}
+                          onDelete={() => openDeleteConfirmation(project.id, project)}
+                          isLoading={loadingStates.deleting[project.id]}
+                          size="sm"
+                          variant="icon"
+                        />
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -219,7 +273,7 @@ const ClientAggregationTable = ({
         onClose={closeDeleteConfirmation}
         onConfirm={confirmDelete}
         title="プロジェクトの削除"
-        message="以下のプロジェクトを削除してもよろしいですか？削除後、客先別集計データが自動的に更新されます。"
+        message="以下のプロジェクトをゴミ箱に移動してもよろしいですか？移動後、客先別集計データが自動的に更新されます。"
         projectDetails={deleteConfirmation.projectData}
         isLoading={loadingStates.deleting[deleteConfirmation.projectId]}
       />
@@ -227,4 +281,4 @@ const ClientAggregationTable = ({
   );
 };
 
-export default ClientAggregationTable;
\ No newline at end of file
+export default ClientAggregationTable;
\ No newline at end of file
@@ -0,0 +1,123 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { suggestClients, findClientByName, cleanClientName } from '../utils/clients';
+
+/**
+ * 客先の入力欄コンポーネント（客先マスタから入力候補を表示する）
+ * 候補にない客先も入力でき、登録時に客先マスタへ追加される
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {string} props.id - 入力欄のID
+ * @param {string} props.name - 入力欄の name 属性
+ * @param {string} props.value - 入力中の客先名
+ * @param {Function} props.onChange - 入力・選択した時に呼ばれる関数（{ target: { name, value } } を受け取る）
+ * @param {Array} props.clients - 客先マスタ
+ * @param {boolean} [props.hasError=false] - 入力エラーがある場合 true
+ * @param {string} [props.placeholder] - プレースホルダー
+ */
+const ClientCombobox = ({ id, name, value, onChange, clients, hasError = false, placeholder }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const suggestions = useMemo(() => suggestClients(clients, value), [clients, value]);
+  const matchedClient = useMemo(() => findClientByName(clients, value), [clients, value]);
+  const isExpanded = isOpen && suggestions.length > 0;
+  const listboxId = `${id}-listbox`;
+
+  const emitChange = useCallback((nextValue) => {
+    onChange({ target: { name, value: nextValue } });
+  }, [name, onChange]);
+
+  const selectClient = useCallback((client) => {
+    emitChange(client.name);
+    setIsOpen(false);
+    setActiveIndex(-1);
+  }, [emitChange]);
+
+  const handleInput = useCallback((event) => {
+    emitChange(event.target.value);
+    setIsOpen(true);
+    setActiveIndex(-1);
+  }, [emitChange]);
+
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(prev => (suggestions.length === 0 ? -1 : (prev + 1) % suggestions.length));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(prev => (suggestions.length === 0 ? -1 : (prev <= 0 ? suggestions.length - 1 : prev - 1)));
+    } else if (event.key === 'Enter' && isExpanded && activeIndex >= 0) {
+      // 候補の選択中はフォームを送信しない
+      event.preventDefault();
+      selectClient(suggestions[activeIndex]);
+    } else if (event.key === 'Escape' && isExpanded) {
+      // 候補だけを閉じる（フォームは閉じない）
+      event.stopPropagation();
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  }, [suggestions, isExpanded, activeIndex, selectClient]);
+
+  // 表記ゆれの客先が登録済みの場合・新しい客先の場合は登録時の扱いを表示する
+  const trimmedValue = cleanClientName(value);
+  let hint = null;
+  if (trimmedValue && matchedClient && matchedClient.name !== trimmedValue) {
+    hint = `登録時に客先マスタの「${matchedClient.name}」に揃えます`;
+  } else if (trimmedValue && !matchedClient && clients.length > 0) {
+    hint = '客先マスタにない客先です（登録時に追加されます）';
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id={id}
+        name={name}
+        value={value}
+        onChange={handleInput}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={isExpanded}
+        aria-controls={listboxId}
+        aria-activedescendant={isExpanded && activeIndex >= 0 ? `${listboxId}-${activeIndex}` : undefined}
+        autoComplete="off"
+        required
+        className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${hasError ? 'border-red-500' : 'border-gray-300'}`}
+        placeholder={placeholder}
+      />
+      {isExpanded && (
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label="客先の候補"
+          className="absolute z-20 mt-1 w-full max-h-60 overflow-auto bg-white border border-gray-200 rounded-md shadow-lg text-sm"
+        >
+          {suggestions.map((client, index) => (
+            <li
+              key={client.id}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // 入力欄のフォーカスが外れる前に選択する
+              onMouseDown={(event) => {
+                event.preventDefault();
+                selectClient(client);
+              }}
+              className={`px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-purple-100' : 'hover:bg-gray-100'}`}
+            >
+              <span className="text-gray-900">{client.name}</span>
+              {client.name_kana && <span className="ml-2 text-xs text-gray-500">{client.name_kana}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+    </div>
+  );
+};
+
+export default ClientCombobox;
@@ -0,0 +1,371 @@
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import { X, Building2, Plus, Pencil, Trash2, GitMerge } from 'lucide-react';
+import { CLIENT_FIELDS, EMPTY_CLIENT_FORM, filterClients, validateClientForm, toClientForm } from '../utils/clients';
+
+/**
+ * 客先マスタダイアログコンポーネント
+ * 客先の正式名称・フリガナ・住所・担当者・支払条件を管理し、表記ゆれで重複した客先を統合する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Array} props.clients - 客先マスタ（project_count: 紐付いているプロジェクト数）
+ * @param {Function} props.onSave - 客先を保存する関数（入力内容・編集中の客先（新規は null）を受け取り、成功時に true を返す）
+ * @param {Function} props.onDelete - 客先を削除する関数（客先を受け取る）
+ * @param {Function} props.onMerge - 客先を統合する関数（統合先・統合元の客先の配列を受け取り、成功時に true を返す）
+ * @param {boolean} [props.canManage=false] - 登録・編集・削除・統合の権限
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ * @param {boolean} [props.isSaving=false] - 保存・統合の処理中の状態
+ */
+const ClientMasterDialog = ({
+  isOpen,
+  onClose,
+  clients,
+  onSave,
+  onDelete,
+  onMerge,
+  canManage = false,
+  isLoading = false,
+  isSaving = false
+}) => {
+  const [query, setQuery] = useState('');
+  // 編集中の客先（{ client: 編集する客先（新規は null）, form: 入力内容 }）
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [mergeIds, setMergeIds] = useState([]);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [isConfirmingMerge, setIsConfirmingMerge] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setEditing(null);
+    setErrors({});
+    setMergeIds([]);
+    setMergeTargetId('');
+    setIsConfirmingMerge(false);
+  }, [isOpen]);
+
+  // 統合・削除で一覧からなくなった客先は選択から外す
+  useEffect(() => {
+    setMergeIds(prev => prev.filter(id => clients.some(client => client.id === id)));
+  }, [clients]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  const visibleClients = useMemo(() => filterClients(clients, query), [clients, query]);
+  const mergeClients = clients.filter(client => mergeIds.includes(client.id));
+  const mergeTarget = mergeClients.find(client => client.id === mergeTargetId) || mergeClients[0] || null;
+  const mergeSources = mergeClients.filter(client => client !== mergeTarget);
+  const movedCount = mergeSources.reduce((total, client) => total + (client.project_count || 0), 0);
+
+  const startEdit = useCallback((client) => {
+    setEditing({ client, form: client ? toClientForm(client) : { ...EMPTY_CLIENT_FORM } });
+    setErrors({});
+  }, []);
+
+  const handleFieldChange = useCallback((event) => {
+    const { name, value } = event.target;
+    setEditing(prev => ({ ...prev, form: { ...prev.form, [name]: value } }));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
+  }, []);
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    const validationErrors = validateClientForm(editing.form, clients, editing.client?.id ?? null);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const saved = await onSave(editing.form, editing.client);
+    if (saved) {
+      setEditing(null);
+    }
+  }, [editing, clients, onSave]);
+
+  const toggleMerge = useCallback((clientId) => {
+    setIsConfirmingMerge(false);
+    setMergeIds(prev => (prev.includes(clientId) ? prev.filter(id => id !== clientId) : [...prev, clientId]));
+  }, []);
+
+  const handleMerge = useCallback(async () => {
+    const merged = await onMerge(mergeTarget, mergeSources);
+    if (merged) {
+      setMergeIds([]);
+      setMergeTargetId('');
+      setIsConfirmingMerge(false);
+    }
+  }, [onMerge, mergeTarget, mergeSources]);
+
+  if (!isOpen) return null;
+
+  const columnCount = canManage ? 7 : 5;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="client-master-dialog-title"
+    >
+      <div className="relative w-full max-w-5xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-indigo-100 rounded-full flex items-center justify-center">
+              <Building2 className="w-6 h-6 text-indigo-600" />
+            </div>
+            <div>
+              <h3 id="client-master-dialog-title" className="text-lg font-semibold text-gray-900">客先マスタ</h3>
+              <p className="text-xs text-gray-500">
+                全角・半角や法人格（株式会社・㈱など）の違いしかない客先名は同じ客先として扱います
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="客先マスタを閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {editing ? (
+          <form onSubmit={handleSubmit} noValidate className="p-6 space-y-4" aria-label={editing.client ? '客先の編集' : '客先の新規登録'}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {CLIENT_FIELDS.map(({ key, label, required }) => (
+                <div key={key} className={key === 'address' || key === 'notes' ? 'md:col-span-2' : ''}>
+                  <label htmlFor={`client-field-${key}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    {label} {required && <span className="text-red-500">*</span>}
+                  </label>
+                  {key === 'notes' ? (
+                    <textarea
+                      id={`client-field-${key}`}
+                      name={key}
+                      rows={3}
+                      value={editing.form[key]}
+                      onChange={handleFieldChange}
+                      className={`w-full px-3 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 ${errors[key] ? 'border-red-500' : 'border-gray-300'}`}
+                      aria-invalid={Boolean(errors[key])}
+                    />
+                  ) : (
+                    <input
+                      id={`client-field-${key}`}
+                      name={key}
+                      type={key === 'email' ? 'email' : 'text'}
+                      value={editing.form[key]}
+                      onChange={handleFieldChange}
+                      className={`w-full px-3 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 ${errors[key] ? 'border-red-500' : 'border-gray-300'}`}
+                      aria-invalid={Boolean(errors[key])}
+                    />
+                  )}
+                  {errors[key] && <p className="mt-1 text-xs text-red-600" role="alert">{errors[key]}</p>}
+                </div>
+              ))}
+            </div>
+            {editing.client && editing.client.project_count > 0 && (
+              <p className="text-xs text-gray-500">
+                正式名称を変更すると、紐付いている{editing.client.project_count}件のプロジェクトの客先名も変更されます
+              </p>
+            )}
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                キャンセル
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 border border-transparent rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSaving ? '保存中...' : '保存'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="p-6 space-y-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="正式名称・フリガナ・住所・担当者で検索"
+                className="flex-1 min-w-[16rem] px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                aria-label="客先を検索"
+              />
+              {canManage && (
+                <button
+                  type="button"
+                  onClick={() => startEdit(null)}
+                  className="inline-flex items-center px-3 py-2 text-sm font-medium text-white bg-indigo-600 border border-transparent rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  <Plus className="w-4 h-4 mr-1" />
+                  新規登録
+                </button>
+              )}
+            </div>
+
+            {canManage && mergeClients.length >= 2 && (
+              <div className="p-3 bg-indigo-50 border border-indigo-200 rounded-md text-sm space-y-2" role="region" aria-label="客先の統合">
+                <div className="flex flex-wrap items-center gap-2">
+                  <label htmlFor="client-merge-target" className="text-gray-700">統合先</label>
+                  <select
+                    id="client-merge-target"
+                    value={mergeTarget?.id || ''}
+                    onChange={(e) => {
+                      setMergeTargetId(e.target.value);
+                      setIsConfirmingMerge(false);
+                    }}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {mergeClients.map(client => (
+                      <option key={client.id} value={client.id}>{client.name}</option>
+                    ))}
+                  </select>
+                  {!isConfirmingMerge && (
+                    <button
+                      type="button"
+                      onClick={() => setIsConfirmingMerge(true)}
+                      className="inline-flex items-center px-3 py-1 text-sm font-medium text-indigo-700 bg-white border border-indigo-200 rounded-md hover:bg-indigo-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      <GitMerge className="w-4 h-4 mr-1" />
+                      {mergeClients.length}件の客先を統合
+                    </button>
+                  )}
+                </div>
+                {isConfirmingMerge && (
+                  <div className="space-y-2" role="alert">
+                    <p className="text-gray-800">
+                      {mergeSources.map(client => `「${client.name}」`).join('')}を「{mergeTarget.name}」に統合します。
+                      {movedCount}件のプロジェクトの客先が「{mergeTarget.name}」に変わり、統合元の客先は削除されます。
+                    </p>
+                    <div className="flex space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => setIsConfirmingMerge(false)}
+                        className="px-3 py-1 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500"
+                      >
+                        キャンセル
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleMerge}
+                        disabled={isSaving}
+                        className="px-3 py-1 text-sm font-medium text-white bg-indigo-600 border border-transparent rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isSaving ? '統合中...' : '統合を実行'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="客先マスタの一覧">
+              <thead className="bg-gray-50">
+                <tr>
+                  {canManage && (
+                    <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">
+                      <span className="sr-only">統合する客先の選択</span>
+                    </th>
+                  )}
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">正式名称</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">住所</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">担当者・連絡先</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">支払条件</th>
+                  <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500">プロジェクト</th>
+                  {canManage && (
+                    <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500">操作</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {visibleClients.length === 0 && !isLoading && (
+                  <tr>
+                    <td colSpan={columnCount} className="px-3 py-6 text-center text-gray-500">
+                      {query ? '一致する客先はありません' : '客先が登録されていません'}
+                    </td>
+                  </tr>
+                )}
+                {visibleClients.map(client => (
+                  <tr key={client.id}>
+                    {canManage && (
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          checked={mergeIds.includes(client.id)}
+                          onChange={() => toggleMerge(client.id)}
+                          className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                          aria-label={`客先「${client.name}」を統合の対象にする`}
+                        />
+                      </td>
+                    )}
+                    <td className="px-3 py-2 text-gray-900">
+                      <div className="font-medium">{client.name}</div>
+                      {client.name_kana && <div className="text-xs text-gray-500">{client.name_kana}</div>}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {[client.postal_code && `〒${client.postal_code}`, client.address].filter(Boolean).join(' ') || '-'}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">
+                      <div>{client.contact_name || '-'}</div>
+                      {(client.phone || client.email) && (
+                        <div className="text-xs text-gray-500">{[client.phone, client.email].filter(Boolean).join(' / ')}</div>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">{client.payment_terms || '-'}</td>
+                    <td className="px-3 py-2 text-right whitespace-nowrap text-gray-700">{client.project_count || 0}件</td>
+                    {canManage && (
+                      <td className="px-3 py-2 text-right whitespace-nowrap space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => startEdit(client)}
+                          className="inline-flex items-center px-2 py-1 text-xs font-medium text-indigo-700 bg-white border border-indigo-200 rounded-md hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          aria-label={`客先「${client.name}」を編集`}
+                        >
+                          <Pencil className="w-3 h-3 mr-1" />
+                          編集
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onDelete(client)}
+                          disabled={client.project_count > 0 || isSaving}
+                          title={client.project_count > 0 ? 'プロジェクトが紐付いている客先は削除できません（統合してください）' : undefined}
+                          className="inline-flex items-center px-2 py-1 text-xs font-medium text-red-700 bg-white border border-red-200 rounded-md hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                          aria-label={`客先「${client.name}」を削除`}
+                        >
+                          <Trash2 className="w-3 h-3 mr-1" />
+                          削除
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {isLoading && <p className="text-sm text-gray-500">⏳ 客先マスタを読み込み中...</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClientMasterDialog;
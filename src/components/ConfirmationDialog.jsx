@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useCallback, memo } from 'react';
 import { X, AlertTriangle, Trash2 } from 'lucide-react';
 import { formatCurrency } from '../utils/calculations';
+import { summarizeProjects } from '../utils/bulkOperations';
 
 /**
  * 削除確認ダイアログコンポーネント
@@ -15,6 +16,10 @@ import { formatCurrency } from '../utils/calculations';
  * @param {string} props.projectDetails.client - 客先名
  * @param {string} props.projectDetails.title - プロジェクトタイトル
  * @param {number} props.projectDetails.customerAmount - 客出金額
+ * @param {Array} [props.projects] - 一括操作の対象プロジェクト（指定すると件数・合計金額・一覧を表示）
+ * @param {string} [props.confirmLabel='削除する'] - 確認ボタンの表記
+ * @param {string} [props.warning] - 注意事項
+ * @param {boolean} [props.isDestructive=true] - 削除系の操作かどうか（確認ボタンの色・アイコン）
  * @param {boolean} [props.isLoading=false] - 削除処理中の状態
  */
 const ConfirmationDialog = ({
@@ -22,8 +27,12 @@ const ConfirmationDialog = ({
   onClose,
   onConfirm,
   title = '削除の確認',
-  message = '以下のプロジェクトを削除してもよろしいですか？',
+  message = '以下のプロジェクトをゴミ箱に移動してもよろしいですか？',
   projectDetails,
+  projects,
+  confirmLabel = '削除する',
+  warning = '削除したプロジェクトはゴミ箱から復元できます。保存期間を過ぎると完全に削除されます。',
+  isDestructive = true,
   isLoading = false
 }) => {
   const dialogRef = useRef(null);
@@ -128,6 +137,8 @@ const ConfirmationDialog = ({
   // ダイアログが表示されていない場合は何も表示しない
   if (!isOpen) return null;
 
+  const projectsSummary = projects ? summarizeProjects(projects) : null;
+
   return (
     <div 
       className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm dialog-backdrop"
@@ -201,6 +212,32 @@ const ConfirmationDialog = ({
                 </div>
               </div>
             )}
+
+            {projectsSummary && (
+              <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium text-gray-900">対象プロジェクト {projectsSummary.count}件</span>
+                </div>
+                <div className="space-y-1 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">ネット金額（税抜）合計:</span>
+                    <span className="font-medium text-gray-900">{formatCurrency(projectsSummary.totalNetAmount)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">客出金額（税抜）合計:</span>
+                    <span className="font-medium text-gray-900">{formatCurrency(projectsSummary.totalCustomerAmount)}</span>
+                  </div>
+                </div>
+                <ul className="max-h-40 overflow-y-auto divide-y divide-gray-200 text-xs" aria-label="対象プロジェクト一覧">
+                  {projects.map(project => (
+                    <li key={project.id} className="flex justify-between py-1 space-x-2">
+                      <span className="text-gray-900 truncate" title={project.title}>{project.client} / {project.title}</span>
+                      <span className="flex-shrink-0 text-gray-600">{formatCurrency(project.customer_amount)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 dialog-warning">
               <div className="flex items-start space-x-2">
@@ -208,7 +245,7 @@ const ConfirmationDialog = ({
                 <div className="text-sm text-yellow-800">
                   <p className="font-medium" role="alert">重要な注意事項</p>
                   <p id="confirm-warning" className="mt-1" aria-live="polite">
-                    この操作は取り消せません。プロジェクトのすべてのデータが完全に削除されます。
+                    {warning}
                   </p>
                 </div>
               </div>
@@ -224,7 +261,7 @@ const ConfirmationDialog = ({
             onClick={onClose}
             disabled={isLoading}
             className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 dialog-button-cancel"
-            aria-label="削除をキャンセルしてダイアログを閉じる"
+            aria-label={isDestructive ? '削除をキャンセルしてダイアログを閉じる' : '操作をキャンセルしてダイアログを閉じる'}
             tabIndex={0}
           >
             キャンセル
@@ -235,8 +272,10 @@ const ConfirmationDialog = ({
             type="button"
             onClick={handleConfirm}
             disabled={isLoading}
-            className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-red-600 border border-transparent rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 dialog-button-confirm"
-            aria-label={`プロジェクト「${projectDetails?.title || ''}」を完全に削除する`}
+            className={`inline-flex items-center px-4 py-2 text-sm font-medium text-white border border-transparent rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 dialog-button-confirm ${isDestructive ? 'bg-red-600 hover:bg-red-700 focus:ring-red-500' : 'bg-blue-600 hover:bg-blue-700 focus:ring-blue-500'}`}
+            aria-label={projects
+              ? `選択した${projects.length}件のプロジェクトに対して「${confirmLabel}」を実行`
+              : `プロジェクト「${projectDetails?.title || ''}」をゴミ箱に移動する`}
             aria-describedby="confirm-warning"
             tabIndex={0}
           >
@@ -245,12 +284,12 @@ const ConfirmationDialog = ({
                 <div className="animate-spin mr-2">
                   <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full"></div>
                 </div>
-                削除中...
+                {isDestructive ? '削除中...' : '処理中...'}
               </>
             ) : (
               <>
-                <Trash2 className="w-4 h-4 mr-2" />
-                削除する
+                {isDestructive && <Trash2 className="w-4 h-4 mr-2" />}
+                {confirmLabel}
               </>
             )}
           </button>
@@ -268,6 +307,10 @@ export default memo(ConfirmationDialog, (prevProps, nextProps) => {
     prevProps.isLoading === nextProps.isLoading &&
     prevProps.title === nextProps.title &&
     prevProps.message === nextProps.message &&
-    JSON.stringify(prevProps.projectDetails) === JSON.stringify(nextProps.projectDetails)
+    prevProps.confirmLabel === nextProps.confirmLabel &&
+    prevProps.warning === nextProps.warning &&
+    prevProps.isDestructive === nextProps.isDestructive &&
+    JSON.stringify(prevProps.projectDetails) === JSON.stringify(nextProps.projectDetails) &&
+    JSON.stringify(prevProps.projects) === JSON.stringify(nextProps.projects)
   );
-});
\ No newline at end of file
+});
\ No newline at end of file
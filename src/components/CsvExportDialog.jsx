@@ -0,0 +1,193 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, FileText, Download } from 'lucide-react';
+import { TEXT_ENCODINGS, DELIMITERS } from '../utils/delimitedText';
+import { IMPORT_COLUMNS } from '../utils/importPreview';
+
+/**
+ * CSV・TSV エクスポートダイアログコンポーネント
+ * 文字コード・区切り文字・出力する列を選択してダウンロードする
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Array<string>} props.columns - 出力できる列の見出し（出力順）
+ * @param {Object} props.initialSettings - 初期設定（{ encoding, delimiter, columns }、columns が null の場合はすべての列）
+ * @param {number} [props.selectedCount=0] - 一覧で選択中のプロジェクト数（1件以上の場合は選択分のみの出力を選べる）
+ * @param {Function} props.onExport - 出力する関数（{ encoding, delimiter, columns, selectedOnly } を受け取る）
+ * @param {boolean} [props.isExporting=false] - 出力処理中の状態
+ */
+const CsvExportDialog = ({
+  isOpen,
+  onClose,
+  columns,
+  initialSettings,
+  selectedCount = 0,
+  onExport,
+  isExporting = false
+}) => {
+  const [encoding, setEncoding] = useState(initialSettings.encoding);
+  const [delimiter, setDelimiter] = useState(initialSettings.delimiter);
+  const [selectedColumns, setSelectedColumns] = useState(columns);
+  const [selectedOnly, setSelectedOnly] = useState(false);
+
+  // 開くたびに保存済みの設定から始める（保存後に列が増えた場合も出力できない列は含めない）
+  useEffect(() => {
+    if (!isOpen) return;
+    setEncoding(initialSettings.encoding);
+    setDelimiter(initialSettings.delimiter);
+    setSelectedColumns(initialSettings.columns ? columns.filter(column => initialSettings.columns.includes(column)) : columns);
+    setSelectedOnly(selectedCount > 0);
+  }, [isOpen, initialSettings, columns, selectedCount]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape' && !isExporting) {
+      onClose();
+    }
+  }, [onClose, isExporting]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  if (!isOpen) return null;
+
+  const toggleColumn = (column) => {
+    setSelectedColumns(prev => prev.includes(column)
+      ? prev.filter(candidate => candidate !== column)
+      : columns.filter(candidate => candidate === column || prev.includes(candidate)));
+  };
+
+  // インポートで取り込める列のみ（書き出したファイルをそのまま取り込み直せる）
+  const importColumns = columns.filter(column => IMPORT_COLUMNS.some(importColumn => importColumn.key === column));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onExport({ encoding, delimiter, columns: selectedColumns, selectedOnly });
+  };
+
+  const presetButtonClass = 'px-2 py-0.5 text-xs text-blue-700 border border-blue-200 rounded hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="csv-export-dialog-title"
+    >
+      <form onSubmit={handleSubmit} className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-emerald-100 rounded-full flex items-center justify-center">
+              <FileText className="w-6 h-6 text-emerald-600" />
+            </div>
+            <h3 id="csv-export-dialog-title" className="text-lg font-semibold text-gray-900">CSVエクスポート</h3>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isExporting}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200 disabled:opacity-50"
+            aria-label="CSVエクスポートを閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-5 text-sm">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="block mb-1 font-medium text-gray-700">文字コード</span>
+              <select
+                value={encoding}
+                onChange={(e) => setEncoding(e.target.value)}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {TEXT_ENCODINGS.map(option => (
+                  <option key={option.code} value={option.code}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block mb-1 font-medium text-gray-700">区切り文字</span>
+              <select
+                value={delimiter}
+                onChange={(e) => setDelimiter(e.target.value)}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {DELIMITERS.map(option => (
+                  <option key={option.code} value={option.code}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {selectedCount > 0 && (
+            <label className="inline-flex items-center space-x-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={selectedOnly}
+                onChange={(e) => setSelectedOnly(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>選択中の{selectedCount}件のみ出力する</span>
+            </label>
+          )}
+
+          <fieldset>
+            <legend className="flex items-center w-full mb-2 font-medium text-gray-700">
+              <span>出力する列（{selectedColumns.length}/{columns.length}）</span>
+              <span className="ml-auto space-x-2">
+                <button type="button" onClick={() => setSelectedColumns(columns)} className={presetButtonClass}>すべて</button>
+                <button type="button" onClick={() => setSelectedColumns(importColumns)} className={presetButtonClass}>インポート用の列</button>
+                <button type="button" onClick={() => setSelectedColumns([])} className={presetButtonClass}>すべて解除</button>
+              </span>
+            </legend>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-1">
+              {columns.map(column => (
+                <label key={column} className="inline-flex items-center space-x-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={selectedColumns.includes(column)}
+                    onChange={() => toggleColumn(column)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span>{column}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          {encoding === 'shift_jis' && (
+            <p className="text-xs text-gray-500">Shift_JIS で表せない文字（一部の記号・絵文字など）は「?」に置き換えて出力します。</p>
+          )}
+        </div>
+
+        {/* フッター */}
+        <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-200 bg-gray-50 rounded-b-lg">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isExporting}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            キャンセル
+          </button>
+          <button
+            type="submit"
+            disabled={isExporting || selectedColumns.length === 0}
+            className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-emerald-600 border border-transparent rounded-md hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            {isExporting ? 'エクスポート中...' : 'ダウンロード'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CsvExportDialog;
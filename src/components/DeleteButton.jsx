@@ -168,7 +168,7 @@ const DeleteButton = ({
       
       {/* スクリーンリーダー用の説明 */}
       <div id={descriptionId} className="sr-only">
-        この操作は取り消せません。プロジェクト「{projectTitle}」のすべてのデータが完全に削除されます。
+        プロジェクト「{projectTitle}」をゴミ箱に移動します。ゴミ箱から復元できます。
       </div>
     </>
   );
@@ -185,4 +185,4 @@ export default memo(DeleteButton, (prevProps, nextProps) => {
     prevProps.size === nextProps.size &&
     prevProps.variant === nextProps.variant
   );
-});
\ No newline at end of file
+});
\ No newline at end of file
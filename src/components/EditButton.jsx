@@ -0,0 +1,98 @@
+import React, { useCallback, memo } from 'react';
+import { Pencil } from 'lucide-react';
+
+/**
+ * 編集ボタンコンポーネント
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {string} props.projectId - プロジェクトID
+ * @param {string} props.projectTitle - プロジェクトタイトル
+ * @param {Function} props.onEdit - 編集開始関数
+ * @param {boolean} [props.isLoading=false] - 更新中の状態
+ * @param {boolean} [props.disabled=false] - 無効状態
+ * @param {'sm'|'md'|'lg'} [props.size='md'] - ボタンサイズ
+ * @param {'icon'|'text'|'both'} [props.variant='both'] - 表示バリアント
+ */
+const EditButton = ({
+  projectId,
+  projectTitle,
+  onEdit,
+  isLoading = false,
+  disabled = false,
+  size = 'md',
+  variant = 'both'
+}) => {
+  // サイズに応じたクラス設定
+  const sizeClasses = {
+    sm: 'px-2 py-1 text-xs',
+    md: 'px-3 py-2 text-sm',
+    lg: 'px-4 py-3 text-base'
+  };
+
+  // アイコンサイズの設定
+  const iconSizes = {
+    sm: 12,
+    md: 16,
+    lg: 20
+  };
+
+  // 編集開始のハンドラー
+  const handleEdit = useCallback(() => {
+    if (disabled || isLoading) return;
+    onEdit(projectId);
+  }, [projectId, onEdit, disabled, isLoading]);
+
+  const stateClasses = disabled || isLoading
+    ? 'text-gray-400 bg-gray-50 border-gray-200 cursor-not-allowed opacity-50'
+    : 'text-blue-600 bg-white border-blue-200 hover:text-blue-800 hover:bg-blue-50 focus:ring-2 focus:ring-blue-500 focus:ring-offset-1';
+
+  const className = `inline-flex items-center justify-center font-medium border rounded-md transition-all duration-200 focus:outline-none ${sizeClasses[size]} ${stateClasses}`;
+
+  // 表示内容の決定
+  const renderContent = () => {
+    if (isLoading) {
+      return <span className="animate-pulse">更新中...</span>;
+    }
+
+    switch (variant) {
+      case 'icon':
+        return <Pencil size={iconSizes[size]} />;
+      case 'text':
+        return <span className="font-semibold">編集</span>;
+      case 'both':
+      default:
+        return (
+          <>
+            <Pencil size={iconSizes[size]} className="mr-1" />
+            <span className="font-semibold">編集</span>
+          </>
+        );
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleEdit}
+      disabled={disabled || isLoading}
+      className={className}
+      aria-label={`プロジェクト「${projectTitle}」を編集`}
+      title={`プロジェクト「${projectTitle}」を編集`}
+    >
+      {renderContent()}
+    </button>
+  );
+};
+
+// React.memoを使用して不要な再レンダリングを防止
+export default memo(EditButton, (prevProps, nextProps) => {
+  return (
+    prevProps.projectId === nextProps.projectId &&
+    prevProps.projectTitle === nextProps.projectTitle &&
+    prevProps.onEdit === nextProps.onEdit &&
+    prevProps.isLoading === nextProps.isLoading &&
+    prevProps.disabled === nextProps.disabled &&
+    prevProps.size === nextProps.size &&
+    prevProps.variant === nextProps.variant
+  );
+});
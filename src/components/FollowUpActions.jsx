@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Check, AlarmClock } from 'lucide-react';
+import { SNOOZE_OPTIONS, MAX_FOLLOW_UP_MEMO_LENGTH } from '../utils/followUps';
+
+/**
+ * フォローアップの操作コンポーネント
+ * メモを入力して完了にする・指定した日までスヌーズする
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Object} props.followUp - フォローアップ
+ * @param {Function} props.onComplete - 完了にする関数（フォローアップ・メモを受け取り、成功時に true を返す）
+ * @param {Function} props.onSnooze - スヌーズする関数（フォローアップ・日数を受け取る）
+ * @param {boolean} [props.disabled=false] - 処理中などで操作できない状態
+ */
+const FollowUpActions = ({ followUp, onComplete, onSnooze, disabled = false }) => {
+  const [isCompleting, setIsCompleting] = useState(false);
+  const [memo, setMemo] = useState('');
+  const memoId = `follow-up-memo-${followUp.id}`;
+
+  const handleComplete = async (event) => {
+    event.preventDefault();
+    const completed = await onComplete(followUp, memo.trim());
+    if (completed) {
+      setIsCompleting(false);
+      setMemo('');
+    }
+  };
+
+  if (isCompleting) {
+    return (
+      <form onSubmit={handleComplete} className="mt-2 space-y-2" aria-label={`「${followUp.title}」を完了にする`}>
+        <label htmlFor={memoId} className="block text-xs text-gray-600">対応内容のメモ（任意）</label>
+        <textarea
+          id={memoId}
+          rows={2}
+          value={memo}
+          onChange={(e) => setMemo(e.target.value)}
+          maxLength={MAX_FOLLOW_UP_MEMO_LENGTH}
+          placeholder="例: 電話で確認。来週中に回答予定"
+          className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={() => { setIsCompleting(false); setMemo(''); }}
+            className="px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            キャンセル
+          </button>
+          <button
+            type="submit"
+            disabled={disabled}
+            className="px-2 py-1 text-xs font-medium text-white bg-green-600 border border-transparent rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            完了にする
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <button
+        type="button"
+        onClick={() => setIsCompleting(true)}
+        disabled={disabled}
+        className="inline-flex items-center px-2 py-1 text-xs font-medium text-green-700 bg-white border border-green-200 rounded-md hover:bg-green-50 focus:outline-none focus:ring-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        aria-label={`「${followUp.title}」を完了にする`}
+      >
+        <Check className="w-3 h-3 mr-1" />
+        完了
+      </button>
+      <label className="inline-flex items-center text-xs text-gray-600">
+        <AlarmClock className="w-3 h-3 mr-1" aria-hidden="true" />
+        <span className="sr-only">「{followUp.title}」をスヌーズ</span>
+        <select
+          value=""
+          onChange={(e) => { if (e.target.value) onSnooze(followUp, Number(e.target.value)); }}
+          disabled={disabled}
+          className="px-1 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-yellow-500 disabled:opacity-50"
+        >
+          <option value="">スヌーズ</option>
+          {SNOOZE_OPTIONS.map(option => (
+            <option key={option.days} value={option.days}>{option.label}まで</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default FollowUpActions;
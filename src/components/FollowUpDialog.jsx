@@ -0,0 +1,311 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, BellRing, Plus, Trash2, RotateCcw } from 'lucide-react';
+import FollowUpActions from './FollowUpActions';
+import {
+  EMPTY_FOLLOW_UP_FORM,
+  FOLLOW_UP_TIMING_STYLES,
+  MAX_FOLLOW_UP_TITLE_LENGTH,
+  getFollowUpTiming,
+  validateFollowUpForm
+} from '../utils/followUps';
+import { toLocalDateString, addDays } from '../utils/dates';
+
+/**
+ * プロジェクトのフォローアップダイアログコンポーネント
+ * プロジェクトのフォローアップを期日順に表示し、登録・完了・スヌーズ・削除を行う
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Object} props.project - プロジェクト
+ * @param {Array} props.followUps - プロジェクトのフォローアップ
+ * @param {Array<{value: string, label: string}>} props.assigneeOptions - 対応するユーザーの選択肢
+ * @param {string} [props.defaultAssigneeId=''] - 新規登録時の対応するユーザー
+ * @param {Function} props.onCreate - 登録する関数（入力内容を受け取り、成功時に true を返す）
+ * @param {Function} props.onComplete - 完了にする関数（フォローアップ・メモを受け取り、成功時に true を返す）
+ * @param {Function} props.onSnooze - スヌーズする関数（フォローアップ・日数を受け取る）
+ * @param {Function} props.onReopen - 未完了に戻す関数（フォローアップを受け取る）
+ * @param {Function} props.onDelete - 削除する関数（フォローアップを受け取る）
+ * @param {Function} props.canEdit - フォローアップを操作できるかを判定する関数（フォローアップを受け取る）
+ * @param {boolean} [props.canCreate=false] - 登録の権限
+ * @param {Object} [props.processingIds={}] - 処理中のフォローアップID（IDをキーとする）
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ * @param {boolean} [props.isSaving=false] - 登録中の状態
+ */
+const FollowUpDialog = ({
+  isOpen,
+  onClose,
+  project,
+  followUps,
+  assigneeOptions,
+  defaultAssigneeId = '',
+  onCreate,
+  onComplete,
+  onSnooze,
+  onReopen,
+  onDelete,
+  canEdit,
+  canCreate = false,
+  processingIds = {},
+  isLoading = false,
+  isSaving = false
+}) => {
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    setForm(null);
+    setErrors({});
+  }, [isOpen, project?.id]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  const startCreate = () => {
+    setForm({ ...EMPTY_FOLLOW_UP_FORM, due_date: addDays(toLocalDateString(), 3), assignee_id: defaultAssigneeId });
+    setErrors({});
+  };
+
+  const handleFieldChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const nextErrors = validateFollowUpForm(form);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    const created = await onCreate(form);
+    if (created) {
+      setForm(null);
+    }
+  };
+
+  if (!isOpen || !project) return null;
+
+  const getAssigneeLabel = (userId) =>
+    userId ? (assigneeOptions.find(option => option.value === userId)?.label || '担当者マスタにないユーザー') : '未割り当て';
+  const openFollowUps = followUps
+    .filter(followUp => followUp.status === 'open')
+    .sort((a, b) => (a.snoozed_until || a.due_date).localeCompare(b.snoozed_until || b.due_date));
+  const doneFollowUps = followUps
+    .filter(followUp => followUp.status === 'done')
+    .sort((a, b) => String(b.done_at).localeCompare(String(a.done_at)));
+
+  const renderFollowUp = (followUp) => {
+    const timing = getFollowUpTiming(followUp);
+    const isEditable = canEdit(followUp);
+    const isProcessing = Boolean(processingIds[followUp.id]);
+
+    return (
+      <li key={followUp.id} className="py-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex flex-wrap items-center gap-2 min-w-0">
+            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${FOLLOW_UP_TIMING_STYLES[timing.tone]}`}>
+              {timing.label}
+            </span>
+            {followUp.source === 'aging' && (
+              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-700">自動</span>
+            )}
+            <span className="text-sm font-medium text-gray-900">{followUp.title}</span>
+          </div>
+          {isEditable && followUp.status === 'done' && (
+            <button
+              type="button"
+              onClick={() => onReopen(followUp)}
+              disabled={isProcessing}
+              className="inline-flex items-center px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50"
+              aria-label={`「${followUp.title}」を未完了に戻す`}
+            >
+              <RotateCcw className="w-3 h-3 mr-1" />
+              未完了に戻す
+            </button>
+          )}
+          {isEditable && followUp.status === 'open' && followUp.source === 'manual' && (
+            <button
+              type="button"
+              onClick={() => onDelete(followUp)}
+              disabled={isProcessing}
+              className="inline-flex items-center px-2 py-1 text-xs font-medium text-red-700 bg-white border border-red-200 rounded-md hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50"
+              aria-label={`「${followUp.title}」を削除`}
+            >
+              <Trash2 className="w-3 h-3 mr-1" />
+              削除
+            </button>
+          )}
+        </div>
+        <p className="mt-1 text-xs text-gray-500">
+          期日: {followUp.due_date}
+          {followUp.snoozed_until && followUp.status === 'open' && `（${followUp.snoozed_until}までスヌーズ）`}
+          {' ・ '}対応: {getAssigneeLabel(followUp.assignee_id)}
+        </p>
+        {followUp.status === 'done' && (
+          <p className="mt-1 text-xs text-gray-600">
+            {new Date(followUp.done_at).toLocaleDateString('ja-JP')} 完了
+            {followUp.done_memo && `：${followUp.done_memo}`}
+          </p>
+        )}
+        {isEditable && followUp.status === 'open' && (
+          <div className="mt-2">
+            <FollowUpActions followUp={followUp} onComplete={onComplete} onSnooze={onSnooze} disabled={isProcessing} />
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="follow-up-dialog-title"
+    >
+      <div className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-yellow-100 rounded-full flex items-center justify-center">
+              <BellRing className="w-6 h-6 text-yellow-600" />
+            </div>
+            <div>
+              <h3 id="follow-up-dialog-title" className="text-lg font-semibold text-gray-900">フォローアップ</h3>
+              <p className="text-xs text-gray-500">
+                {[project.project_number, project.client, project.title].filter(Boolean).join(' / ')}
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="フォローアップを閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {form ? (
+            <form onSubmit={handleSubmit} noValidate className="p-4 space-y-3 bg-gray-50 border border-gray-200 rounded-md" aria-label="フォローアップの登録">
+              <div>
+                <label htmlFor="follow-up-title" className="block text-sm font-medium text-gray-700 mb-1">
+                  内容 <span className="text-red-500">*</span>
+                </label>
+                <input
+                  id="follow-up-title"
+                  name="title"
+                  type="text"
+                  value={form.title}
+                  onChange={handleFieldChange}
+                  maxLength={MAX_FOLLOW_UP_TITLE_LENGTH}
+                  placeholder="例: 客先に検討状況を確認する"
+                  className={`w-full px-3 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500 ${errors.title ? 'border-red-500' : 'border-gray-300'}`}
+                  aria-invalid={Boolean(errors.title)}
+                />
+                {errors.title && <p className="mt-1 text-xs text-red-600" role="alert">{errors.title}</p>}
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor="follow-up-due-date" className="block text-sm font-medium text-gray-700 mb-1">
+                    期日 <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    id="follow-up-due-date"
+                    name="due_date"
+                    type="date"
+                    value={form.due_date}
+                    onChange={handleFieldChange}
+                    className={`w-full px-3 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500 ${errors.due_date ? 'border-red-500' : 'border-gray-300'}`}
+                    aria-invalid={Boolean(errors.due_date)}
+                  />
+                  {errors.due_date && <p className="mt-1 text-xs text-red-600" role="alert">{errors.due_date}</p>}
+                </div>
+                <div>
+                  <label htmlFor="follow-up-assignee" className="block text-sm font-medium text-gray-700 mb-1">対応するユーザー</label>
+                  <select
+                    id="follow-up-assignee"
+                    name="assignee_id"
+                    value={form.assignee_id}
+                    onChange={handleFieldChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                  >
+                    <option value="">未割り当て</option>
+                    {assigneeOptions.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500"
+                >
+                  キャンセル
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-2 text-sm font-medium text-white bg-yellow-600 border border-transparent rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSaving ? '登録中...' : '登録'}
+                </button>
+              </div>
+            </form>
+          ) : canCreate && (
+            <div className="flex justify-end">
+              <button
+                type="button"
+                onClick={startCreate}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium text-white bg-yellow-600 border border-transparent rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                フォローアップを追加
+              </button>
+            </div>
+          )}
+
+          {isLoading && <p className="text-sm text-gray-500">⏳ フォローアップを読み込み中...</p>}
+          {!isLoading && followUps.length === 0 && (
+            <p className="text-sm text-gray-500">このプロジェクトのフォローアップはありません</p>
+          )}
+
+          {openFollowUps.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700">未完了（{openFollowUps.length}件）</h4>
+              <ul className="divide-y divide-gray-100" aria-label="未完了のフォローアップ">
+                {openFollowUps.map(renderFollowUp)}
+              </ul>
+            </div>
+          )}
+
+          {doneFollowUps.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700">完了（{doneFollowUps.length}件）</h4>
+              <ul className="divide-y divide-gray-100" aria-label="完了したフォローアップ">
+                {doneFollowUps.map(renderFollowUp)}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FollowUpDialog;
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { BellRing } from 'lucide-react';
+import FollowUpActions from './FollowUpActions';
+import { FOLLOW_UP_TIMING_STYLES, getFollowUpTiming, parseFollowUpThresholds, MAX_FOLLOW_UP_THRESHOLDS } from '../utils/followUps';
+
+/**
+ * 今日のフォローアップパネルコンポーネント
+ * ログイン中のユーザーが今日対応するフォローアップ（期限切れを含む）を表示し、完了・スヌーズを行う
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Array} props.followUps - 今日対応するフォローアップ（project: { id, project_number, client, title } を含む）
+ * @param {Function} props.onComplete - 完了にする関数（フォローアップ・メモを受け取り、成功時に true を返す）
+ * @param {Function} props.onSnooze - スヌーズする関数（フォローアップ・日数を受け取る）
+ * @param {Function} props.onOpenProject - プロジェクトのフォローアップを開く関数（プロジェクトを受け取る）
+ * @param {Array<number>} props.thresholds - リマインダーを作成する経過日数のしきい値
+ * @param {Function} [props.onThresholdsChange] - しきい値を変更する関数（省略すると変更欄を表示しない）
+ * @param {Object} [props.processingIds={}] - 処理中のフォローアップID（IDをキーとする）
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ */
+const FollowUpPanel = ({
+  followUps,
+  onComplete,
+  onSnooze,
+  onOpenProject,
+  thresholds,
+  onThresholdsChange,
+  processingIds = {},
+  isLoading = false
+}) => {
+  const [thresholdInput, setThresholdInput] = useState(thresholds.join(', '));
+  const [thresholdError, setThresholdError] = useState('');
+
+  useEffect(() => {
+    setThresholdInput(thresholds.join(', '));
+    setThresholdError('');
+  }, [thresholds]);
+
+  const handleThresholdSubmit = (event) => {
+    event.preventDefault();
+    const { thresholds: nextThresholds, error } = parseFollowUpThresholds(thresholdInput);
+    setThresholdError(error);
+    if (!error) {
+      onThresholdsChange(nextThresholds);
+    }
+  };
+
+  return (
+    <section
+      id="follow-up-panel"
+      className="bg-white rounded-lg shadow-sm border border-gray-200 mb-8 view-transition no-print"
+      aria-labelledby="follow-up-panel-title"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2 px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center space-x-2">
+          <BellRing className="w-5 h-5 text-yellow-600" aria-hidden="true" />
+          <h2 id="follow-up-panel-title" className="text-lg font-semibold text-gray-800">今日のフォローアップ</h2>
+          {followUps.length > 0 && (
+            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+              {followUps.length}件
+            </span>
+          )}
+        </div>
+        <p className="text-xs text-gray-500">
+          提出済・保留のまま{thresholds.join('日・')}日を経過したプロジェクトにリマインダーを作成します
+        </p>
+      </div>
+
+      <div className="px-6 py-4 space-y-3">
+        {isLoading && <p className="text-sm text-gray-500">⏳ フォローアップを読み込み中...</p>}
+        {!isLoading && followUps.length === 0 && (
+          <p className="text-sm text-gray-500">今日対応するフォローアップはありません</p>
+        )}
+
+        {followUps.length > 0 && (
+          <ul className="divide-y divide-gray-100" aria-label="今日対応するフォローアップ">
+            {followUps.map(followUp => {
+              const timing = getFollowUpTiming(followUp);
+              const project = followUp.project || {};
+
+              return (
+                <li key={followUp.id} className="py-3 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${FOLLOW_UP_TIMING_STYLES[timing.tone]}`}>
+                        {timing.label}
+                      </span>
+                      <span className="text-sm font-medium text-gray-900">{followUp.title}</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => onOpenProject(project)}
+                      className="mt-1 text-xs text-blue-700 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                      aria-label={`プロジェクト「${project.title}」のフォローアップを開く`}
+                    >
+                      {[project.project_number, project.client, project.title].filter(Boolean).join(' / ')}
+                    </button>
+                  </div>
+                  <div className="flex-shrink-0 sm:w-64">
+                    <FollowUpActions
+                      followUp={followUp}
+                      onComplete={onComplete}
+                      onSnooze={onSnooze}
+                      disabled={Boolean(processingIds[followUp.id])}
+                    />
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {onThresholdsChange && (
+          <form onSubmit={handleThresholdSubmit} noValidate className="flex flex-wrap items-center gap-2 pt-3 text-sm border-t border-gray-100">
+            <label htmlFor="follow-up-thresholds" className="text-gray-600">リマインダーを作成する経過日数</label>
+            <input
+              id="follow-up-thresholds"
+              type="text"
+              value={thresholdInput}
+              onChange={(e) => setThresholdInput(e.target.value)}
+              className="w-32 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-invalid={Boolean(thresholdError)}
+              aria-describedby={thresholdError ? 'follow-up-thresholds-error' : 'follow-up-thresholds-hint'}
+            />
+            <span id="follow-up-thresholds-hint" className="text-xs text-gray-500">日（カンマ区切りで{MAX_FOLLOW_UP_THRESHOLDS}つまで）</span>
+            <button
+              type="submit"
+              disabled={thresholdInput === thresholds.join(', ')}
+              className="px-3 py-1 text-sm font-medium text-blue-700 bg-white border border-blue-200 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              保存
+            </button>
+            {thresholdError && (
+              <p id="follow-up-thresholds-error" className="w-full text-xs text-red-600" role="alert">{thresholdError}</p>
+            )}
+          </form>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default FollowUpPanel;
@@ -0,0 +1,201 @@
+import React, { useEffect, useCallback } from 'react';
+import { X, GitCompare, ArrowRight } from 'lucide-react';
+import { formatCurrency } from '../utils/calculations';
+import { formatRevisionValue } from '../utils/revisions';
+import { summarizeImportPlan } from '../utils/importUpsert';
+
+/**
+ * インポートの差分確認ダイアログコンポーネント
+ * 既存のプロジェクトとの照合結果（登録・更新・変更なし・スキップ）と項目ごとの変更前後を表示する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数（プレビューに戻る）
+ * @param {Object} props.plan - 照合結果（planImportUpsert の結果）
+ * @param {string} props.matchKeyLabel - 照合キーの表示名
+ * @param {boolean} [props.flagMissing=false] - ファイルにない既存のプロジェクトを表示するか
+ * @param {Function} props.onConfirm - 登録・更新を実行する関数
+ * @param {boolean} [props.isCommitting=false] - 登録処理中の状態
+ */
+const ImportDiffDialog = ({
+  isOpen,
+  onClose,
+  plan,
+  matchKeyLabel,
+  flagMissing = false,
+  onConfirm,
+  isCommitting = false
+}) => {
+  // Escキーで閉じる（登録中は閉じない）
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape' && !isCommitting) {
+      onClose();
+    }
+  }, [onClose, isCommitting]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  if (!isOpen || !plan) return null;
+
+  const summary = summarizeImportPlan(plan);
+  const sectionTitleClass = 'text-sm font-semibold text-gray-900 mb-2';
+  const cellClass = 'px-3 py-1 align-top';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-diff-dialog-title"
+    >
+      <div className="relative w-full max-w-5xl max-h-[90vh] flex flex-col bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <GitCompare className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 id="import-diff-dialog-title" className="text-lg font-semibold text-gray-900">変更内容の確認</h3>
+              <p className="text-xs text-gray-500">照合キー: {matchKeyLabel}（空欄のセルは既存の値を変更しません）</p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isCommitting}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200 disabled:opacity-50"
+            aria-label="プレビューに戻る"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6 text-sm">
+          <dl className="grid grid-cols-2 sm:grid-cols-5 gap-3" aria-label="変更内容の件数">
+            {[
+              ['新規登録', summary.inserted, 'text-green-700'],
+              ['更新', summary.updated, 'text-blue-700'],
+              ['変更なし', summary.unchanged, 'text-gray-700'],
+              ['スキップ', summary.skipped, 'text-yellow-700'],
+              ...(flagMissing ? [['ファイルにない既存', summary.missing, 'text-red-700']] : [])
+            ].map(([label, count, colorClass]) => (
+              <div key={label} className="p-3 bg-gray-50 rounded-md">
+                <dt className="text-xs text-gray-500">{label}</dt>
+                <dd className={`text-lg font-semibold ${colorClass}`}>{count}件</dd>
+              </div>
+            ))}
+          </dl>
+
+          {plan.updates.length > 0 && (
+            <section>
+              <h4 className={sectionTitleClass}>更新するプロジェクト</h4>
+              <table className="min-w-full divide-y divide-gray-200 text-xs" aria-label="更新するプロジェクトの変更点">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-3 py-2 text-right font-medium text-gray-500">行</th>
+                    <th scope="col" className="px-3 py-2 text-left font-medium text-gray-500">プロジェクト</th>
+                    <th scope="col" className="px-3 py-2 text-left font-medium text-gray-500">項目</th>
+                    <th scope="col" className="px-3 py-2 text-left font-medium text-gray-500">変更前</th>
+                    <th scope="col" className="px-3 py-2 text-left font-medium text-gray-500">変更後</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {plan.updates.flatMap(({ row, existing, changes }) => changes.map((change, index) => (
+                    <tr key={`${existing.id}-${change.key}`}>
+                      {index === 0 && (
+                        <>
+                          <td rowSpan={changes.length} className={`${cellClass} text-right text-gray-500`}>{row.rowNumber}</td>
+                          <td rowSpan={changes.length} className={`${cellClass} text-gray-900`}>
+                            <div className="font-medium">{existing.title}</div>
+                            <div className="text-gray-500">{[existing.project_number, existing.client].filter(Boolean).join(' / ')}</div>
+                          </td>
+                        </>
+                      )}
+                      <td className={`${cellClass} text-gray-700 whitespace-nowrap`}>{change.label}</td>
+                      <td className={`${cellClass} text-red-700 line-through`}>{formatRevisionValue(change.before, change.type)}</td>
+                      <td className={`${cellClass} text-green-700`}>
+                        <span className="inline-flex items-center">
+                          <ArrowRight className="w-3 h-3 mr-1 text-gray-400" aria-hidden="true" />
+                          {formatRevisionValue(change.after, change.type)}
+                        </span>
+                      </td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            </section>
+          )}
+
+          {plan.inserts.length > 0 && (
+            <section>
+              <h4 className={sectionTitleClass}>新規に登録するプロジェクト</h4>
+              <ul className="divide-y divide-gray-100 text-xs" aria-label="新規に登録するプロジェクト">
+                {plan.inserts.map(({ row }) => (
+                  <li key={row.rowNumber} className="flex justify-between py-1 space-x-2">
+                    <span className="text-gray-900">
+                      <span className="text-gray-500 mr-2">行{row.rowNumber}</span>
+                      {[row.project.project_number, row.project.client, row.project.title].filter(Boolean).join(' / ')}
+                    </span>
+                    <span className="flex-shrink-0 text-gray-600">{formatCurrency(row.project.customer_amount)}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {plan.skipped.length > 0 && (
+            <section>
+              <h4 className={sectionTitleClass}>スキップする行</h4>
+              <ul className="space-y-1 text-xs text-yellow-800" aria-label="スキップする行">
+                {plan.skipped.map(({ row, reason }) => (
+                  <li key={row.rowNumber}>行{row.rowNumber}: {reason}</li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {flagMissing && plan.missing.length > 0 && (
+            <section>
+              <h4 className={sectionTitleClass}>ファイルにない既存のプロジェクト</h4>
+              <p className="mb-2 text-xs text-gray-500">これらのプロジェクトは変更されません。不要な場合は一覧から削除してください。</p>
+              <ul className="divide-y divide-gray-100 text-xs" aria-label="ファイルにない既存のプロジェクト">
+                {plan.missing.map(project => (
+                  <li key={project.id} className="py-1 text-gray-900">
+                    {[project.project_number, project.client, project.title].filter(Boolean).join(' / ')}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </div>
+
+        {/* フッター */}
+        <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-200 bg-gray-50 rounded-b-lg">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isCommitting}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            戻る
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={isCommitting || summary.inserted + summary.updated === 0}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isCommitting ? 'インポート中...' : `登録 ${summary.inserted}件・更新 ${summary.updated}件を実行`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDiffDialog;
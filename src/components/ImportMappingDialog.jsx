@@ -0,0 +1,330 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, Columns, Save, Trash2 } from 'lucide-react';
+import { IMPORT_COLUMNS } from '../utils/importPreview';
+import {
+  getHeaderCells,
+  getHeaderOptions,
+  suggestColumnMapping,
+  suggestImportSettings,
+  resolveTemplateSettings,
+  validateColumnMapping,
+  validateTemplateName,
+  applyColumnMapping,
+  MAX_HEADER_SCAN_ROWS,
+  MAX_TEMPLATE_NAME_LENGTH
+} from '../utils/importMapping';
+
+// シートの先頭部分の表示範囲
+const PREVIEW_ROW_COUNT = 8;
+const PREVIEW_COLUMN_COUNT = 12;
+
+/**
+ * インポートの列の対応付けダイアログコンポーネント
+ * シート・見出し行・項目ごとの列を選択し、名前付きのテンプレートとして保存できる
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数（インポートを中止する）
+ * @param {string} props.fileName - 読み込んだファイル名
+ * @param {Array} props.sheets - ブックのシート（{ name, rows }）
+ * @param {Object} props.initialSettings - 初期設定（{ sheetName, headerRow, mapping }）
+ * @param {Array} props.templates - 保存済みのテンプレート
+ * @param {Object} [props.detectedTemplate] - 自動的に選択したテンプレート
+ * @param {Function} props.onApply - 対応付けを確定する関数（設定を受け取る）
+ * @param {Function} [props.onSaveTemplate] - テンプレートを保存する関数（名前・設定を受け取る、省略すると保存欄を表示しない）
+ * @param {Function} [props.onDeleteTemplate] - テンプレートを削除する関数（テンプレートを受け取る）
+ * @param {boolean} [props.isSaving=false] - テンプレートの保存中の状態
+ * @param {boolean} [props.isApplying=false] - 確定後の処理中の状態
+ */
+const ImportMappingDialog = ({
+  isOpen,
+  onClose,
+  fileName,
+  sheets,
+  initialSettings,
+  templates,
+  detectedTemplate,
+  onApply,
+  onSaveTemplate,
+  onDeleteTemplate,
+  isSaving = false,
+  isApplying = false
+}) => {
+  const [settings, setSettings] = useState(initialSettings);
+  const [templateId, setTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSettings(initialSettings);
+    setTemplateId(detectedTemplate?.id || '');
+    setTemplateName(detectedTemplate?.name || '');
+    setError('');
+  }, [isOpen, initialSettings, detectedTemplate]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape' && !isApplying) {
+      onClose();
+    }
+  }, [onClose, isApplying]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  if (!isOpen || !settings) return null;
+
+  const sheet = sheets.find(candidate => candidate.name === settings.sheetName) || sheets[0];
+  const headerOptions = getHeaderOptions(sheet.rows, settings.headerRow);
+  const firstRow = applyColumnMapping(sheet.rows, settings)[0];
+  const selectedTemplate = templates.find(template => template.id === templateId);
+
+  const handleSheetChange = (sheetName) => {
+    setSettings(suggestImportSettings(sheets, sheetName));
+    setError('');
+  };
+
+  const handleHeaderRowChange = (value) => {
+    const headerRow = Math.min(Math.max(parseInt(value, 10) || 1, 1), Math.max(sheet.rows.length, 1));
+    setSettings(prev => ({
+      ...prev,
+      headerRow,
+      mapping: suggestColumnMapping(getHeaderCells(sheet.rows, headerRow))
+    }));
+    setError('');
+  };
+
+  const handleMappingChange = (field, header) => {
+    setSettings(prev => ({ ...prev, mapping: { ...prev.mapping, [field]: header } }));
+    setError('');
+  };
+
+  const handleTemplateChange = (id) => {
+    setTemplateId(id);
+    const template = templates.find(candidate => candidate.id === id);
+    if (!template) return;
+
+    const templateSettings = resolveTemplateSettings(template, sheets);
+    if (!templateSettings) {
+      setError(`テンプレート「${template.name}」の見出しがこのファイルに見つかりません`);
+      return;
+    }
+    setSettings(templateSettings);
+    setTemplateName(template.name);
+    setError('');
+  };
+
+  const handleSaveTemplate = async () => {
+    const nameError = validateTemplateName(templateName) || validateColumnMapping(settings.mapping);
+    setError(nameError);
+    if (nameError) return;
+    await onSaveTemplate(templateName.trim(), settings);
+  };
+
+  const handleApply = () => {
+    const mappingError = validateColumnMapping(settings.mapping);
+    setError(mappingError);
+    if (!mappingError) {
+      onApply(settings);
+    }
+  };
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-mapping-dialog-title"
+    >
+      <div className="relative w-full max-w-4xl max-h-[90vh] flex flex-col bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <Columns className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 id="import-mapping-dialog-title" className="text-lg font-semibold text-gray-900">列の対応付け</h3>
+              <p className="text-xs text-gray-500">
+                {fileName}
+                {detectedTemplate && ` ・ テンプレート「${detectedTemplate.name}」を自動的に適用しました`}
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isApplying}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200 disabled:opacity-50"
+            aria-label="インポートを中止して閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4 text-sm">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label htmlFor="import-mapping-template" className="block text-xs font-medium text-gray-600 mb-1">テンプレート</label>
+              <div className="flex items-center space-x-1">
+                <select
+                  id="import-mapping-template"
+                  value={templateId}
+                  onChange={(e) => handleTemplateChange(e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">（テンプレートを使わない）</option>
+                  {templates.map(template => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                  ))}
+                </select>
+                {onDeleteTemplate && selectedTemplate && (
+                  <button
+                    type="button"
+                    onClick={() => onDeleteTemplate(selectedTemplate)}
+                    disabled={isSaving}
+                    className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                    aria-label={`テンプレート「${selectedTemplate.name}」を削除`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+            <div>
+              <label htmlFor="import-mapping-sheet" className="block text-xs font-medium text-gray-600 mb-1">シート</label>
+              <select
+                id="import-mapping-sheet"
+                value={sheet.name}
+                onChange={(e) => handleSheetChange(e.target.value)}
+                className={inputClass}
+              >
+                {sheets.map(candidate => (
+                  <option key={candidate.name} value={candidate.name}>{candidate.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="import-mapping-header-row" className="block text-xs font-medium text-gray-600 mb-1">見出し行</label>
+              <input
+                id="import-mapping-header-row"
+                type="number"
+                min="1"
+                value={settings.headerRow}
+                onChange={(e) => handleHeaderRowChange(e.target.value)}
+                className={`${inputClass} w-20`}
+              />
+            </div>
+          </div>
+
+          {/* シートの先頭部分（見出し行を強調） */}
+          <div className="overflow-x-auto border border-gray-200 rounded-md">
+            <table className="min-w-full text-xs" aria-label="シートの先頭部分">
+              <tbody className="divide-y divide-gray-100">
+                {sheet.rows.slice(0, Math.min(Math.max(PREVIEW_ROW_COUNT, settings.headerRow + 2), MAX_HEADER_SCAN_ROWS)).map((cells, index) => (
+                  <tr key={index} className={index + 1 === settings.headerRow ? 'bg-blue-50 font-semibold text-blue-900' : 'text-gray-600'}>
+                    <th scope="row" className="px-2 py-1 text-right font-normal text-gray-400">{index + 1}</th>
+                    {Array.from({ length: PREVIEW_COLUMN_COUNT }, (_, columnIndex) => (
+                      <td key={columnIndex} className="px-2 py-1 whitespace-nowrap max-w-[120px] truncate">
+                        {String((cells || [])[columnIndex] ?? '')}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <table className="min-w-full divide-y divide-gray-200" aria-label="項目と列の対応">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">項目</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">ファイルの列</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">1行目の値</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {IMPORT_COLUMNS.map(column => (
+                <tr key={column.key}>
+                  <td className="px-3 py-1 text-gray-900 whitespace-nowrap">
+                    {column.key}{column.required && <span className="text-red-500">*</span>}
+                  </td>
+                  <td className="px-3 py-1">
+                    <select
+                      value={settings.mapping[column.key] || ''}
+                      onChange={(e) => handleMappingChange(column.key, e.target.value)}
+                      className={`${inputClass} w-full`}
+                      aria-label={`${column.key}の列`}
+                    >
+                      <option value="">（取り込まない）</option>
+                      {headerOptions.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-3 py-1 text-gray-600 max-w-[200px] truncate">
+                    {String(firstRow?.values[column.key] ?? '')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+        </div>
+
+        {/* フッター */}
+        <div className="flex flex-wrap items-center justify-between gap-3 p-6 border-t border-gray-200 bg-gray-50 rounded-b-lg">
+          {onSaveTemplate ? (
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+                maxLength={MAX_TEMPLATE_NAME_LENGTH}
+                placeholder="テンプレート名（例: ○○建設の書式）"
+                className={`${inputClass} w-56`}
+                aria-label="テンプレート名"
+              />
+              <button
+                type="button"
+                onClick={handleSaveTemplate}
+                disabled={isSaving}
+                className="inline-flex items-center px-3 py-1 text-sm font-medium text-blue-700 bg-white border border-blue-200 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Save className="w-4 h-4 mr-1" />
+                {isSaving ? '保存中...' : 'テンプレートとして保存'}
+              </button>
+            </div>
+          ) : <span />}
+          <div className="flex items-center space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isApplying}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              キャンセル
+            </button>
+            <button
+              type="button"
+              onClick={handleApply}
+              disabled={isApplying}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isApplying ? '読み込み中...' : '次へ（内容の確認）'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportMappingDialog;
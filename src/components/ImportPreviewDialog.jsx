@@ -0,0 +1,276 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, FileSpreadsheet, Download, AlertCircle, CheckCircle, Copy } from 'lucide-react';
+import { IMPORT_COLUMNS, isImportRowIncluded, summarizeImportRows } from '../utils/importPreview';
+import { IMPORT_MODES, IMPORT_MATCH_KEYS } from '../utils/importUpsert';
+
+/**
+ * インポートのプレビューダイアログコンポーネント
+ * 読み込んだ全行を検証結果とともに表示し、セルの修正・取り込み対象の選択を行ってから登録する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数（インポートを中止する）
+ * @param {string} props.fileName - 読み込んだファイル名
+ * @param {Array} props.rows - プレビューの行（createImportRows の結果）
+ * @param {Function} props.onChangeCell - セルを修正する関数（行番号・列の見出し・値を受け取る）
+ * @param {Function} props.onToggleInclude - 行の取り込み・スキップを切り替える関数（行番号を受け取る）
+ * @param {Function} props.onDownloadErrorReport - エラーレポートをダウンロードする関数
+ * @param {Function} props.onCommit - 取り込み対象の行を登録する関数（更新モードでは差分の確認に進む）
+ * @param {string} [props.mode='insert'] - 取り込み方法（IMPORT_MODES の code）
+ * @param {string} [props.matchKey='project_number'] - 既存のプロジェクトとの照合キー（IMPORT_MATCH_KEYS の code）
+ * @param {boolean} [props.flagMissing=false] - ファイルにない既存のプロジェクトを表示するか
+ * @param {Function} [props.onChangeImportOptions] - 取り込み方法・照合キーを変更する関数（変更する設定を受け取る）
+ * @param {boolean} [props.isCommitting=false] - 登録処理中の状態
+ */
+const ImportPreviewDialog = ({
+  isOpen,
+  onClose,
+  fileName,
+  rows,
+  onChangeCell,
+  onToggleInclude,
+  onDownloadErrorReport,
+  onCommit,
+  mode = 'insert',
+  matchKey = 'project_number',
+  flagMissing = false,
+  onChangeImportOptions,
+  isCommitting = false
+}) => {
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setShowErrorsOnly(false);
+  }, [isOpen]);
+
+  // Escキーで閉じる（登録中は閉じない）
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape' && !isCommitting) {
+      onClose();
+    }
+  }, [onClose, isCommitting]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  if (!isOpen) return null;
+
+  const summary = summarizeImportRows(rows);
+  const visibleRows = showErrorsOnly ? rows.filter(row => row.errors.length > 0) : rows;
+  const isUpsert = mode === 'upsert';
+  const selectClass = 'px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-preview-dialog-title"
+    >
+      <div className="relative w-full max-w-7xl max-h-[90vh] flex flex-col bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <FileSpreadsheet className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 id="import-preview-dialog-title" className="text-lg font-semibold text-gray-900">インポートの確認</h3>
+              <p className="text-xs text-gray-500">
+                {fileName} ・ 全{summary.total}行 / 取り込み {summary.included}件 / エラー {summary.invalid}件 / {isUpsert ? '既存と一致' : '重複候補'} {summary.duplicates}件
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isCommitting}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200 disabled:opacity-50"
+            aria-label="インポートを中止して閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {onChangeImportOptions && (
+          <div className="flex flex-wrap items-center gap-3 px-6 py-3 border-b border-gray-200 text-sm bg-gray-50">
+            <label className="inline-flex items-center space-x-2 text-gray-700">
+              <span>取り込み方法</span>
+              <select
+                value={mode}
+                onChange={(e) => onChangeImportOptions({ mode: e.target.value })}
+                disabled={isCommitting}
+                className={selectClass}
+              >
+                {IMPORT_MODES.map(option => (
+                  <option key={option.code} value={option.code}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            {isUpsert && (
+              <>
+                <label className="inline-flex items-center space-x-2 text-gray-700">
+                  <span>照合キー</span>
+                  <select
+                    value={matchKey}
+                    onChange={(e) => onChangeImportOptions({ matchKey: e.target.value })}
+                    disabled={isCommitting}
+                    className={selectClass}
+                  >
+                    {IMPORT_MATCH_KEYS.map(option => (
+                      <option key={option.code} value={option.code}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="inline-flex items-center space-x-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={flagMissing}
+                    onChange={(e) => onChangeImportOptions({ flagMissing: e.target.checked })}
+                    disabled={isCommitting}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span>ファイルにない既存のプロジェクトを表示</span>
+                </label>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3 px-6 py-3 border-b border-gray-200 text-sm">
+          <label className="inline-flex items-center space-x-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={showErrorsOnly}
+              onChange={(e) => setShowErrorsOnly(e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span>エラーのある行のみ表示</span>
+          </label>
+          <p className="text-xs text-gray-500">
+            セルを直接修正できます。エラーのある行は修正するまで取り込まれません。
+          </p>
+          <button
+            type="button"
+            onClick={onDownloadErrorReport}
+            disabled={summary.invalid === 0}
+            className="inline-flex items-center ml-auto px-3 py-1 text-sm font-medium text-red-700 bg-white border border-red-200 rounded-md hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            エラーレポート
+          </button>
+        </div>
+
+        {/* プレビュー */}
+        <div className="flex-1 overflow-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-xs" aria-label="インポートするデータのプレビュー">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th scope="col" className="px-2 py-2 text-left font-medium text-gray-500">取込</th>
+                <th scope="col" className="px-2 py-2 text-right font-medium text-gray-500">行</th>
+                <th scope="col" className="px-2 py-2 text-left font-medium text-gray-500 min-w-[180px]">検証結果</th>
+                {IMPORT_COLUMNS.map(column => (
+                  <th key={column.key} scope="col" className="px-2 py-2 text-left font-medium text-gray-500 whitespace-nowrap">
+                    {column.key}{column.required && <span className="text-red-500">*</span>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {visibleRows.length === 0 && (
+                <tr>
+                  <td colSpan={IMPORT_COLUMNS.length + 3} className="px-3 py-6 text-center text-gray-500">
+                    エラーのある行はありません
+                  </td>
+                </tr>
+              )}
+              {visibleRows.map(row => {
+                const hasErrors = row.errors.length > 0;
+                const included = isImportRowIncluded(row);
+                return (
+                  <tr key={row.rowNumber} className={hasErrors ? 'bg-red-50' : row.duplicate ? 'bg-yellow-50' : included ? '' : 'bg-gray-50 text-gray-400'}>
+                    <td className="px-2 py-1">
+                      <input
+                        type="checkbox"
+                        checked={included}
+                        onChange={() => onToggleInclude(row.rowNumber)}
+                        disabled={hasErrors || isCommitting}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        aria-label={`行${row.rowNumber}を取り込む`}
+                      />
+                    </td>
+                    <td className="px-2 py-1 text-right text-gray-500">{row.rowNumber}</td>
+                    <td className="px-2 py-1">
+                      {hasErrors ? (
+                        <ul className="text-red-700 space-y-0.5">
+                          {row.errors.map(error => (
+                            <li key={`${error.column}-${error.message}`} className="flex items-start">
+                              <AlertCircle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                              <span>{error.message}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : row.duplicate ? (
+                        <span className="flex items-start text-yellow-800">
+                          <Copy className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                          <span>{isUpsert ? '既存と一致' : '重複候補'}: {row.duplicate.reason}</span>
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center text-green-700">
+                          <CheckCircle className="w-3 h-3 mr-1" />
+                          {included ? 'OK' : 'スキップ'}
+                        </span>
+                      )}
+                    </td>
+                    {IMPORT_COLUMNS.map(column => {
+                      const cellError = row.errors.find(error => error.column === column.key);
+                      return (
+                        <td key={column.key} className="px-1 py-1">
+                          <input
+                            type="text"
+                            value={row.values[column.key]}
+                            onChange={(e) => onChangeCell(row.rowNumber, column.key, e.target.value)}
+                            disabled={isCommitting}
+                            className={`w-full min-w-[80px] px-1 py-0.5 border rounded text-xs focus:outline-none focus:ring-1 focus:ring-blue-500 ${cellError ? 'border-red-400 bg-white' : 'border-gray-200 bg-transparent'}`}
+                            aria-label={`行${row.rowNumber}の${column.key}`}
+                            aria-invalid={Boolean(cellError)}
+                            title={cellError?.message}
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {/* フッター */}
+        <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-200 bg-gray-50 rounded-b-lg">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isCommitting}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            キャンセル
+          </button>
+          <button
+            type="button"
+            onClick={onCommit}
+            disabled={isCommitting || summary.included === 0}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isCommitting ? 'インポート中...' : isUpsert ? `差分を確認（${summary.included}件）` : `${summary.included}件をインポート`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPreviewDialog;
@@ -0,0 +1,138 @@
+import React from 'react';
+import { Upload, AlertCircle, RotateCcw } from 'lucide-react';
+import { IMPORT_JOB_STATUSES, getImportJobProgress, canResumeImportJob } from '../utils/importJob';
+
+/**
+ * 分割インポートの進捗ダイアログコンポーネント
+ * バッチごとの登録の進捗を表示し、中止・失敗・中断した場合は登録済みのバッチの次から再開できる
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Object|null} props.job - 分割インポートのジョブ（null の場合は表示しない）
+ * @param {Function} props.onCancel - 実行中のインポートを中止する関数
+ * @param {Function} props.onResume - 中止・失敗・中断したインポートを再開する関数
+ * @param {Function} props.onClose - ダイアログを閉じる関数（未登録のバッチは破棄する）
+ * @param {string} [props.errorMessage] - 失敗した場合の表示用メッセージ
+ */
+const ImportProgressDialog = ({ job, onCancel, onResume, onClose, errorMessage }) => {
+  if (!job) return null;
+
+  const { completedBatches, totalBatches, percent } = getImportJobProgress(job);
+  const isRunning = job.status === 'running';
+  const canResume = canResumeImportJob(job);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-progress-dialog-title"
+    >
+      <div className="relative w-full max-w-lg bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center space-x-3 p-6 border-b border-gray-200">
+          <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+            <Upload className="w-6 h-6 text-blue-600" />
+          </div>
+          <div>
+            <h3 id="import-progress-dialog-title" className="text-lg font-semibold text-gray-900">
+              インポート（{IMPORT_JOB_STATUSES[job.status]}）
+            </h3>
+            <p className="text-xs text-gray-500">{job.fileName}</p>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4 text-sm">
+          <div>
+            <div className="flex justify-between mb-1 text-xs text-gray-600">
+              <span>{job.processedRows} / {job.totalRows}件</span>
+              <span>バッチ {completedBatches} / {totalBatches}</span>
+            </div>
+            <div
+              className="w-full h-3 bg-gray-200 rounded-full overflow-hidden"
+              role="progressbar"
+              aria-label="インポートの進捗"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={percent}
+            >
+              <div
+                className={`h-full transition-all duration-300 ${job.status === 'failed' ? 'bg-red-500' : ['cancelled', 'interrupted'].includes(job.status) ? 'bg-yellow-500' : 'bg-blue-600'}`}
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+          </div>
+
+          <p className="text-gray-700">
+            新規 {job.inserted}件・更新 {job.updated}件を登録済み
+          </p>
+
+          {isRunning && job.retryAttempt > 0 && (
+            <p className="text-xs text-yellow-700" role="status">
+              通信エラーのため再試行しています（{job.retryAttempt}回目）
+            </p>
+          )}
+
+          {job.status === 'cancelled' && (
+            <p className="text-yellow-800" role="status">
+              インポートを中止しました。登録済みの{job.processedRows}件はそのまま残ります。
+            </p>
+          )}
+
+          {job.status === 'interrupted' && (
+            <p className="text-yellow-800" role="status">
+              前回のインポートが途中で中断されています。登録済みの{job.processedRows}件はそのまま残ります。閉じると未登録の行は破棄されます。
+            </p>
+          )}
+
+          {job.status === 'failed' && (
+            <p className="flex items-start text-red-700" role="alert">
+              <AlertCircle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+              <span>{errorMessage || 'インポートに失敗しました。'}</span>
+            </p>
+          )}
+
+          {canResume && (
+            <p className="text-xs text-gray-500">
+              再開すると、バッチ{completedBatches + 1}から続けて登録します（登録済みの行は二重に登録されません）。
+            </p>
+          )}
+        </div>
+
+        {/* フッター */}
+        <div className="flex items-center justify-end space-x-3 p-6 border-t border-gray-200 bg-gray-50 rounded-b-lg">
+          {isRunning ? (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            >
+              中止
+            </button>
+          ) : (
+            <>
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                閉じる
+              </button>
+              {canResume && (
+                <button
+                  type="button"
+                  onClick={onResume}
+                  className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <RotateCcw className="w-4 h-4 mr-1" />
+                  再開
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportProgressDialog;
@@ -0,0 +1,204 @@
+import React, { useCallback } from 'react';
+import { Plus, X } from 'lucide-react';
+import { formatCurrency, calculateLineItemAmounts, calculateLineItemProfitRate, calculateLineItemTotals } from '../utils/calculations';
+import { LINE_ITEM_CATEGORIES, createEmptyLineItem, getLineItemCategoryLabel } from '../utils/lineItems';
+
+/**
+ * 内訳明細入力コンポーネント
+ * 明細の合計がプロジェクトのネット金額・客出金額になる
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Array} props.items - フォーム入力用の明細行
+ * @param {Function} props.onChange - 明細行が変更された時に新しい配列を受け取る関数
+ * @param {Object} [props.errors={}] - 明細行キーごとのエラーメッセージ
+ * @param {boolean} [props.isLoading=false] - 明細の読み込み中状態
+ */
+const LineItemEditor = ({
+  items,
+  onChange,
+  errors = {},
+  isLoading = false
+}) => {
+  // 明細行の追加
+  const handleAdd = useCallback(() => {
+    const lastCategory = items.length > 0 ? items[items.length - 1].category : undefined;
+    onChange([...items, createEmptyLineItem(lastCategory)]);
+  }, [items, onChange]);
+
+  // 明細行の削除
+  const handleRemove = useCallback((key) => {
+    onChange(items.filter(item => item.key !== key));
+  }, [items, onChange]);
+
+  // 明細行の入力
+  const handleItemChange = useCallback((key, field, value) => {
+    onChange(items.map(item => item.key === key ? { ...item, [field]: value } : item));
+  }, [items, onChange]);
+
+  const totals = calculateLineItemTotals(items);
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+  return (
+    <div className="border border-gray-200 rounded-lg" role="group" aria-label="内訳明細">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 bg-gray-50 rounded-t-lg">
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800">内訳明細</h4>
+          <p className="text-xs text-gray-500">
+            明細を入力するとネット金額・客出金額は明細の合計で自動計算されます
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={isLoading}
+          className="inline-flex items-center px-3 py-1 text-sm font-medium text-purple-700 bg-white border border-purple-300 rounded-md hover:bg-purple-50 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          明細を追加
+        </button>
+      </div>
+
+      {isLoading ? (
+        <p className="px-4 py-3 text-sm text-gray-500">⏳ 明細を読み込み中...</p>
+      ) : items.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-gray-500">明細はありません（金額を直接入力しています）</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-2 py-2 text-left text-xs font-medium text-gray-500 min-w-[90px]">区分</th>
+                <th scope="col" className="px-2 py-2 text-left text-xs font-medium text-gray-500 min-w-[160px]">品名</th>
+                <th scope="col" className="px-2 py-2 text-right text-xs font-medium text-gray-500 min-w-[70px]">数量</th>
+                <th scope="col" className="px-2 py-2 text-left text-xs font-medium text-gray-500 min-w-[60px]">単位</th>
+                <th scope="col" className="px-2 py-2 text-right text-xs font-medium text-gray-500 min-w-[100px]">単価</th>
+                <th scope="col" className="px-2 py-2 text-right text-xs font-medium text-gray-500 min-w-[100px]">原価</th>
+                <th scope="col" className="px-2 py-2 text-right text-xs font-medium text-gray-500 min-w-[100px]">客出金額</th>
+                <th scope="col" className="px-2 py-2 text-right text-xs font-medium text-gray-500 min-w-[70px]">利益率</th>
+                <th scope="col" className="px-2 py-2"><span className="sr-only">操作</span></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {items.map((item, index) => {
+                const amounts = calculateLineItemAmounts(item);
+                const profitRate = calculateLineItemProfitRate(item);
+                const rowLabel = `明細${index + 1}行目`;
+
+                return (
+                  <React.Fragment key={item.key}>
+                    <tr className={errors[item.key] ? 'bg-red-50' : ''}>
+                      <td className="px-2 py-1">
+                        <select
+                          value={item.category}
+                          onChange={(e) => handleItemChange(item.key, 'category', e.target.value)}
+                          className={inputClass}
+                          aria-label={`${rowLabel}の区分`}
+                        >
+                          {LINE_ITEM_CATEGORIES.map(category => (
+                            <option key={category.code} value={category.code}>{category.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-2 py-1">
+                        <input
+                          type="text"
+                          value={item.item_name}
+                          onChange={(e) => handleItemChange(item.key, 'item_name', e.target.value)}
+                          className={inputClass}
+                          placeholder="例: 石膏ボード"
+                          aria-label={`${rowLabel}の品名`}
+                        />
+                      </td>
+                      <td className="px-2 py-1">
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          value={item.quantity}
+                          onChange={(e) => handleItemChange(item.key, 'quantity', e.target.value)}
+                          className={`${inputClass} text-right`}
+                          aria-label={`${rowLabel}の数量`}
+                        />
+                      </td>
+                      <td className="px-2 py-1">
+                        <input
+                          type="text"
+                          value={item.unit}
+                          onChange={(e) => handleItemChange(item.key, 'unit', e.target.value)}
+                          className={inputClass}
+                          placeholder="式"
+                          aria-label={`${rowLabel}の単位`}
+                        />
+                      </td>
+                      <td className="px-2 py-1">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={item.unit_price}
+                          onChange={(e) => handleItemChange(item.key, 'unit_price', e.target.value)}
+                          className={`${inputClass} text-right`}
+                          aria-label={`${rowLabel}の単価`}
+                        />
+                      </td>
+                      <td className="px-2 py-1">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={item.unit_cost}
+                          onChange={(e) => handleItemChange(item.key, 'unit_cost', e.target.value)}
+                          className={`${inputClass} text-right`}
+                          aria-label={`${rowLabel}の原価`}
+                        />
+                      </td>
+                      <td className="px-2 py-1 text-right whitespace-nowrap text-gray-900">
+                        {formatCurrency(amounts.customerAmount)}
+                      </td>
+                      <td className="px-2 py-1 text-right whitespace-nowrap text-gray-700">
+                        {profitRate}%
+                      </td>
+                      <td className="px-2 py-1 text-center">
+                        <button
+                          type="button"
+                          onClick={() => handleRemove(item.key)}
+                          className="p-1 text-gray-400 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 rounded"
+                          aria-label={`${rowLabel}を削除`}
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                    {errors[item.key] && (
+                      <tr className="bg-red-50">
+                        <td colSpan="9" className="px-2 pb-1 text-xs text-red-600">{errors[item.key]}</td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+            <tfoot className="bg-gray-50 text-sm">
+              {Object.entries(totals.byCategory).map(([category, subtotal]) => (
+                <tr key={category}>
+                  <td colSpan="5" className="px-2 py-1 text-right text-xs text-gray-500">
+                    {getLineItemCategoryLabel(category)} 小計
+                  </td>
+                  <td className="px-2 py-1 text-right text-xs text-gray-500">{formatCurrency(subtotal.netAmount)}</td>
+                  <td className="px-2 py-1 text-right text-xs text-gray-500">{formatCurrency(subtotal.customerAmount)}</td>
+                  <td colSpan="2"></td>
+                </tr>
+              ))}
+              <tr className="font-semibold">
+                <td colSpan="5" className="px-2 py-2 text-right text-gray-700">合計</td>
+                <td className="px-2 py-2 text-right text-gray-900">{formatCurrency(totals.netAmount)}</td>
+                <td className="px-2 py-2 text-right text-gray-900">{formatCurrency(totals.customerAmount)}</td>
+                <td className="px-2 py-2 text-right text-gray-900">{totals.profitRate}%</td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineItemEditor;
@@ -59,9 +59,10 @@ const getNotificationStyles = (type) => {
 
 /**
  * 個別の通知コンポーネント
+ * notification.actions（{ label, onClick } の配列）を指定すると通知内に操作ボタンを表示する
  */
 const NotificationItem = ({ notification, onRemove }) => {
-  const { id, type, message, projectTitle, duration = 3000, details } = notification;
+  const { id, type, message, projectTitle, duration = 3000, details, actions = [] } = notification;
   const [isVisible, setIsVisible] = useState(false);
   const [isRemoving, setIsRemoving] = useState(false);
   
@@ -93,6 +94,12 @@ const NotificationItem = ({ notification, onRemove }) => {
     }, 200); // アニメーション時間
   };
 
+  // 操作ボタンのクリック（操作を実行して通知を閉じる）
+  const handleAction = (action) => {
+    action.onClick();
+    handleRemove();
+  };
+
   // 削除専用の表示内容
   const renderDeleteContent = () => {
     if (type === 'delete-success') {
@@ -174,6 +181,22 @@ const NotificationItem = ({ notification, onRemove }) => {
       aria-atomic="true"
     >
       {renderDeleteContent()}
+
+      {/* 操作ボタン */}
+      {actions.length > 0 && (
+        <div className="flex justify-end space-x-2 mt-2">
+          {actions.map(action => (
+            <button
+              key={action.label}
+              type="button"
+              onClick={() => handleAction(action)}
+              className="px-2 py-1 text-sm font-semibold underline rounded-md hover:bg-black hover:bg-opacity-5 focus:outline-none focus:ring-2 focus:ring-current"
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
       
       {/* 閉じるボタン */}
       <button
@@ -230,14 +253,16 @@ const NotificationSystem = ({ notifications, onRemoveNotification }) => {
 
 /**
  * 通知作成ヘルパー関数
+ * options で表示時間（duration）や操作ボタン（actions）を指定できる
  */
-export const createDeleteSuccessNotification = (projectTitle, details = '') => ({
+export const createDeleteSuccessNotification = (projectTitle, details = '', options = {}) => ({
   id: Date.now() + Math.random(),
   type: 'delete-success',
   projectTitle,
-  message: '削除が完了しました',
+  message: 'ゴミ箱に移動しました',
   details,
-  duration: 3000
+  duration: 3000,
+  ...options
 });
 
 export const createDeleteErrorNotification = (projectTitle, errorMessage, details = '') => ({
@@ -257,4 +282,4 @@ export const createNotification = (type, message, options = {}) => ({
   ...options
 });
 
-export default NotificationSystem;
\ No newline at end of file
+export default NotificationSystem;
\ No newline at end of file
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Building2 } from 'lucide-react';
+
+/**
+ * 組織の切り替えコンポーネント
+ * 複数の組織に所属している場合のみ選択肢を表示し、1つの場合は組織名のみ表示する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Array} props.organizations - 所属している組織の一覧（id・name）
+ * @param {string|null} props.currentOrganizationId - 選択中の組織ID
+ * @param {Function} props.onChange - 組織IDを受け取る関数
+ * @param {boolean} [props.disabled=false] - 切り替えを無効にする
+ */
+const OrganizationSwitcher = ({
+  organizations,
+  currentOrganizationId,
+  onChange,
+  disabled = false
+}) => {
+  if (organizations.length === 0) return null;
+
+  const current = organizations.find(organization => organization.id === currentOrganizationId);
+
+  return (
+    <div className="flex items-center space-x-1 text-sm">
+      <Building2 className="w-4 h-4 text-gray-500" aria-hidden="true" />
+      {organizations.length === 1 ? (
+        <span className="text-gray-700 font-medium" title="所属組織">{current?.name || organizations[0].name}</span>
+      ) : (
+        <select
+          value={currentOrganizationId || ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 max-w-[180px]"
+          aria-label="組織を切り替え"
+        >
+          {organizations.map(organization => (
+            <option key={organization.id} value={organization.id}>{organization.name}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default OrganizationSwitcher;
@@ -0,0 +1,260 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, MessageSquare, Trash2 } from 'lucide-react';
+import { formatCurrency, calculateProfitRate } from '../utils/calculations';
+import { getStatusLabel } from '../utils/projectStatus';
+import { formatRevisionValue } from '../utils/revisions';
+import {
+  ACTIVITY_KINDS,
+  EMPTY_ACTIVITY_FORM,
+  MAX_ACTIVITY_BODY_LENGTH,
+  getActivityKindDefinition,
+  getActivityChanges,
+  validateActivityForm
+} from '../utils/projectActivities';
+
+/**
+ * プロジェクトの詳細パネルコンポーネント
+ * プロジェクトの概要と、客先との経過・コメント・金額やステータスの変更を新しい順のタイムラインで表示する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - パネルの表示状態
+ * @param {Function} props.onClose - パネルを閉じる関数
+ * @param {Object} props.project - プロジェクト
+ * @param {Array} props.activities - project_activities のレコード（新しい順）
+ * @param {Function} props.onCreate - 経過を登録する関数（入力内容を受け取り、成功時に true を返す）
+ * @param {Function} props.onDelete - 経過を削除する関数（活動記録を受け取る）
+ * @param {Function} props.canDelete - 経過を削除できるかを判定する関数（活動記録を受け取る）
+ * @param {boolean} [props.canCreate=false] - 経過の登録の権限
+ * @param {Object} [props.processingIds={}] - 処理中の活動記録ID（IDをキーとする）
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ * @param {boolean} [props.isSaving=false] - 登録中の状態
+ */
+const ProjectDetailPanel = ({
+  isOpen,
+  onClose,
+  project,
+  activities,
+  onCreate,
+  onDelete,
+  canDelete,
+  canCreate = false,
+  processingIds = {},
+  isLoading = false,
+  isSaving = false
+}) => {
+  const [form, setForm] = useState(EMPTY_ACTIVITY_FORM);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    setForm(EMPTY_ACTIVITY_FORM);
+    setErrors({});
+  }, [isOpen, project?.id]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  const handleFieldChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const nextErrors = validateActivityForm(form);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    const created = await onCreate(form);
+    if (created) {
+      setForm(prev => ({ ...EMPTY_ACTIVITY_FORM, kind: prev.kind }));
+    }
+  };
+
+  if (!isOpen || !project) return null;
+
+  const summary = [
+    { label: '工事番号', value: project.project_number || '-' },
+    { label: '客先', value: project.client },
+    { label: '工事担当者', value: project.construction_manager || '-' },
+    { label: '営業担当者', value: project.sales_manager || '-' },
+    { label: 'ネット金額', value: formatCurrency(project.net_amount) },
+    { label: '客出金額', value: formatCurrency(project.customer_amount) },
+    { label: '利益率', value: `${calculateProfitRate(project.customer_amount, project.net_amount)}%` },
+    { label: 'ステータス', value: getStatusLabel(project.status) },
+    { label: '提出日', value: project.submission_date || '-' }
+  ];
+
+  const renderChanges = (activity) => {
+    const isCreate = !activity.before_data;
+    return (
+      <dl className="mt-1 space-y-0.5 text-xs">
+        {getActivityChanges(activity).map(change => (
+          <div key={change.key} className="flex">
+            <dt className="w-20 flex-shrink-0 text-gray-500">{change.label}</dt>
+            <dd className="text-gray-900">
+              {isCreate ? (
+                formatRevisionValue(change.after, change.type)
+              ) : (
+                <>
+                  <span className="line-through text-gray-500">{formatRevisionValue(change.before, change.type)}</span>
+                  {' → '}
+                  <span className="font-medium">{formatRevisionValue(change.after, change.type)}</span>
+                </>
+              )}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="project-detail-panel-title"
+    >
+      <div className="relative w-full max-w-xl h-full overflow-y-auto bg-white shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3 min-w-0">
+            <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <MessageSquare className="w-6 h-6 text-blue-600" />
+            </div>
+            <div className="min-w-0">
+              <h3 id="project-detail-panel-title" className="text-lg font-semibold text-gray-900 truncate">{project.title}</h3>
+              <p className="text-xs text-gray-500">プロジェクトの詳細と経過</p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="プロジェクトの詳細を閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* 概要 */}
+          <dl className="grid grid-cols-2 gap-x-6 gap-y-2 text-sm" aria-label="プロジェクトの概要">
+            {summary.map(item => (
+              <div key={item.label}>
+                <dt className="text-xs text-gray-500">{item.label}</dt>
+                <dd className="text-gray-900">{item.value}</dd>
+              </div>
+            ))}
+          </dl>
+
+          {/* 経過の登録 */}
+          {canCreate && (
+            <form onSubmit={handleSubmit} noValidate className="p-4 space-y-3 bg-gray-50 border border-gray-200 rounded-md" aria-label="経過の記録">
+              <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="種類">
+                {ACTIVITY_KINDS.map(kind => (
+                  <label
+                    key={kind.code}
+                    className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium cursor-pointer border focus-within:ring-2 focus-within:ring-blue-500 ${form.kind === kind.code ? `${kind.badgeClass} border-transparent` : 'bg-white text-gray-600 border-gray-300'}`}
+                  >
+                    <input
+                      type="radio"
+                      name="kind"
+                      value={kind.code}
+                      checked={form.kind === kind.code}
+                      onChange={handleFieldChange}
+                      className="sr-only"
+                    />
+                    {kind.label}
+                  </label>
+                ))}
+              </div>
+              <div>
+                <label htmlFor="activity-body" className="block text-sm font-medium text-gray-700 mb-1">内容</label>
+                <textarea
+                  id="activity-body"
+                  name="body"
+                  rows={3}
+                  value={form.body}
+                  onChange={handleFieldChange}
+                  maxLength={MAX_ACTIVITY_BODY_LENGTH}
+                  placeholder="例: 先方の田中様より、金額を再検討してほしいとの電話"
+                  className={`w-full px-3 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${errors.body ? 'border-red-500' : 'border-gray-300'}`}
+                  aria-invalid={Boolean(errors.body)}
+                />
+                {errors.body && <p className="mt-1 text-xs text-red-600" role="alert">{errors.body}</p>}
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSaving ? '記録中...' : '記録する'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* タイムライン */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">経過</h4>
+            {isLoading && <p className="text-sm text-gray-500">⏳ 経過を読み込み中...</p>}
+            {!isLoading && activities.length === 0 && (
+              <p className="text-sm text-gray-500">経過はまだ記録されていません</p>
+            )}
+            {activities.length > 0 && (
+              <ol className="relative border-l border-gray-200 ml-2 space-y-4" aria-label="経過のタイムライン">
+                {activities.map(activity => {
+                  const kind = getActivityKindDefinition(activity.kind);
+                  return (
+                    <li key={activity.id} className="ml-4">
+                      <span className="absolute -left-1.5 mt-1.5 w-3 h-3 bg-white border-2 border-gray-300 rounded-full" aria-hidden="true" />
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${kind.badgeClass}`}>
+                          {activity.kind === 'change' && !activity.before_data ? '登録' : kind.label}
+                        </span>
+                        <span className="text-xs text-gray-600">{activity.author_email || '-'}</span>
+                        <time dateTime={activity.created_at} className="text-xs text-gray-500">
+                          {new Date(activity.created_at).toLocaleString('ja-JP')}
+                        </time>
+                        {canDelete(activity) && (
+                          <button
+                            type="button"
+                            onClick={() => onDelete(activity)}
+                            disabled={Boolean(processingIds[activity.id])}
+                            className="ml-auto inline-flex items-center text-xs text-red-600 hover:text-red-800 focus:outline-none focus:ring-2 focus:ring-red-500 rounded disabled:opacity-50"
+                            aria-label={`${new Date(activity.created_at).toLocaleString('ja-JP')}の${kind.label}を削除`}
+                          >
+                            <Trash2 className="w-3 h-3 mr-1" />
+                            削除
+                          </button>
+                        )}
+                      </div>
+                      {activity.kind === 'change'
+                        ? renderChanges(activity)
+                        : <p className="mt-1 text-sm text-gray-900 whitespace-pre-wrap break-words">{activity.body}</p>}
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectDetailPanel;
@@ -0,0 +1,223 @@
+import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { Search, X, SlidersHorizontal } from 'lucide-react';
+import { PROJECT_STATUSES } from '../utils/projectStatus';
+import { countActiveFilters } from '../utils/projectFilters';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * プロジェクト一覧の絞り込みバーコンポーネント
+ * フリーワード検索（工事番号・客先・件名）と詳細条件（担当者・金額・利益率・提出日・経過日数）を入力する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Object} props.filters - 絞り込み条件（DEFAULT_PROJECT_FILTERS と同じ形式）
+ * @param {Function} props.onChange - 新しい絞り込み条件を受け取る関数
+ * @param {Function} props.onReset - 条件をすべてクリアする関数
+ * @param {Object} [props.managerOptions] - 担当者の選択肢
+ * @param {Array<string>} [props.managerOptions.construction=[]] - 工事担当者
+ * @param {Array<string>} [props.managerOptions.sales=[]] - 営業担当者
+ */
+const ProjectFilterBar = ({
+  filters,
+  onChange,
+  onReset,
+  managerOptions = {}
+}) => {
+  const [searchText, setSearchText] = useState(filters.search);
+  const activeCount = countActiveFilters(filters);
+  const hasDetailFilters = activeCount - (filters.search ? 1 : 0) - (filters.status !== 'all' ? 1 : 0) > 0;
+  const [showDetails, setShowDetails] = useState(hasDetailFilters);
+
+  // URLの変更やクリアで条件が外から変わった場合は入力欄にも反映
+  useEffect(() => {
+    setSearchText(filters.search);
+  }, [filters.search]);
+
+  // 待機中に他の条件が変わっても最新の条件に検索語を反映する
+  const latestRef = useRef({ filters, onChange });
+  latestRef.current = { filters, onChange };
+
+  // 入力が止まってから検索する
+  useEffect(() => {
+    if (searchText === latestRef.current.filters.search) return undefined;
+    const timer = setTimeout(() => {
+      const { filters: currentFilters, onChange: notifyChange } = latestRef.current;
+      notifyChange({ ...currentFilters, search: searchText });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  const handleFieldChange = useCallback((event) => {
+    const { name, value } = event.target;
+    onChange({ ...filters, [name]: value });
+  }, [filters, onChange]);
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const constructionManagers = managerOptions.construction || [];
+  const salesManagers = managerOptions.sales || [];
+
+  return (
+    <div className="px-6 py-3 border-b border-gray-200 bg-white space-y-3" role="search" aria-label="プロジェクトの絞り込み">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" aria-hidden="true" />
+          <input
+            type="search"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="工事番号・客先・件名で検索"
+            aria-label="工事番号・客先・件名で検索"
+            className={`${inputClass} pl-8 py-2`}
+          />
+        </div>
+
+        <select
+          name="status"
+          value={filters.status}
+          onChange={handleFieldChange}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          aria-label="ステータスで絞り込み"
+        >
+          <option value="all">全ステータス</option>
+          {PROJECT_STATUSES.map(status => (
+            <option key={status.code} value={status.code}>{status.label}</option>
+          ))}
+        </select>
+
+        <button
+          type="button"
+          onClick={() => setShowDetails(prev => !prev)}
+          aria-expanded={showDetails}
+          aria-controls="project-filter-details"
+          className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <SlidersHorizontal className="w-4 h-4 mr-1" />
+          詳細条件
+        </button>
+
+        {activeCount > 0 && (
+          <button
+            type="button"
+            onClick={onReset}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-md"
+          >
+            <X className="w-4 h-4 mr-1" />
+            条件をクリア（{activeCount}）
+          </button>
+        )}
+      </div>
+
+      {showDetails && (
+        <div id="project-filter-details" className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 text-sm">
+          <label className="block">
+            <span className="block text-xs text-gray-600 mb-1">工事担当者</span>
+            <select name="constructionManager" value={filters.constructionManager} onChange={handleFieldChange} className={inputClass}>
+              <option value="">すべて</option>
+              {constructionManagers.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block">
+            <span className="block text-xs text-gray-600 mb-1">営業担当者</span>
+            <select name="salesManager" value={filters.salesManager} onChange={handleFieldChange} className={inputClass}>
+              <option value="">すべて</option>
+              {salesManagers.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+
+          <fieldset>
+            <legend className="block text-xs text-gray-600 mb-1">客出金額（税抜・円）</legend>
+            <div className="flex items-center space-x-1">
+              <input
+                type="number"
+                name="amountMin"
+                min="0"
+                value={filters.amountMin}
+                onChange={handleFieldChange}
+                className={inputClass}
+                aria-label="客出金額の下限"
+              />
+              <span className="text-gray-400">〜</span>
+              <input
+                type="number"
+                name="amountMax"
+                min="0"
+                value={filters.amountMax}
+                onChange={handleFieldChange}
+                className={inputClass}
+                aria-label="客出金額の上限"
+              />
+            </div>
+          </fieldset>
+
+          <fieldset>
+            <legend className="block text-xs text-gray-600 mb-1">利益率（%）</legend>
+            <div className="flex items-center space-x-1">
+              <input
+                type="number"
+                name="profitRateMin"
+                step="0.1"
+                value={filters.profitRateMin}
+                onChange={handleFieldChange}
+                className={inputClass}
+                aria-label="利益率の下限"
+              />
+              <span className="text-gray-400">〜</span>
+              <input
+                type="number"
+                name="profitRateMax"
+                step="0.1"
+                value={filters.profitRateMax}
+                onChange={handleFieldChange}
+                className={inputClass}
+                aria-label="利益率の上限"
+              />
+            </div>
+          </fieldset>
+
+          <label className="block">
+            <span className="block text-xs text-gray-600 mb-1">経過日数（日以上）</span>
+            <input
+              type="number"
+              name="daysPassedMin"
+              min="0"
+              value={filters.daysPassedMin}
+              onChange={handleFieldChange}
+              className={inputClass}
+              placeholder="例: 30"
+            />
+          </label>
+
+          <fieldset>
+            <legend className="block text-xs text-gray-600 mb-1">提出日</legend>
+            <div className="flex items-center space-x-1">
+              <input
+                type="date"
+                name="submittedFrom"
+                value={filters.submittedFrom}
+                onChange={handleFieldChange}
+                className={inputClass}
+                aria-label="提出日の開始"
+              />
+              <span className="text-gray-400">〜</span>
+              <input
+                type="date"
+                name="submittedTo"
+                value={filters.submittedTo}
+                onChange={handleFieldChange}
+                className={inputClass}
+                aria-label="提出日の終了"
+              />
+            </div>
+          </fieldset>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectFilterBar;
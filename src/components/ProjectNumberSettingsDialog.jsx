@@ -0,0 +1,187 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, Hash } from 'lucide-react';
+import {
+  DEFAULT_PROJECT_NUMBER_FORMAT,
+  MAX_PROJECT_NUMBER_FORMAT_LENGTH,
+  PROJECT_NUMBER_TOKENS,
+  getFiscalYear,
+  formatProjectNumber,
+  validateProjectNumberFormat,
+  usesClientPrefix
+} from '../utils/projectNumber';
+import { toLocalDateString } from '../utils/dates';
+
+/**
+ * 工事番号の採番設定ダイアログコンポーネント
+ * 組織の採番形式を設定し、採番される工事番号の例を表示する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {string|null} props.format - 現在の採番形式（null の場合は自動採番しない）
+ * @param {Function} props.onSave - 採番形式を保存する関数（採番形式または null を受け取り、成功時に true を返す）
+ * @param {boolean} [props.isSaving=false] - 保存中の状態
+ */
+const ProjectNumberSettingsDialog = ({ isOpen, onClose, format, onSave, isSaving = false }) => {
+  const [isEnabled, setIsEnabled] = useState(Boolean(format));
+  const [formatInput, setFormatInput] = useState(format || DEFAULT_PROJECT_NUMBER_FORMAT);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setIsEnabled(Boolean(format));
+    setFormatInput(format || DEFAULT_PROJECT_NUMBER_FORMAT);
+    setError('');
+  }, [format, isOpen]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    const nextError = isEnabled ? validateProjectNumberFormat(formatInput) : '';
+    setError(nextError);
+    if (nextError) return;
+
+    const saved = await onSave(isEnabled ? formatInput.trim() : null);
+    if (saved) {
+      onClose();
+    }
+  }, [isEnabled, formatInput, onSave, onClose]);
+
+  if (!isOpen) return null;
+
+  const today = toLocalDateString();
+  const nextFiscalYearStart = `${getFiscalYear(today) + 1}-04-01`;
+  const isValid = !validateProjectNumberFormat(formatInput);
+  const clientPrefix = usesClientPrefix(formatInput) ? 'YMD' : '';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="project-number-settings-title"
+    >
+      <div className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-purple-100 rounded-full flex items-center justify-center">
+              <Hash className="w-6 h-6 text-purple-600" />
+            </div>
+            <div>
+              <h3 id="project-number-settings-title" className="text-lg font-semibold text-gray-900">工事番号の採番設定</h3>
+              <p className="text-xs text-gray-500">
+                工事番号を空欄で登録・インポートしたプロジェクトに、登録時に重複しない番号を採番します
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="工事番号の採番設定を閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} noValidate className="p-6 space-y-4">
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={isEnabled}
+              onChange={(e) => setIsEnabled(e.target.checked)}
+              className="mr-2 rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+            />
+            工事番号を自動採番する
+          </label>
+
+          <div>
+            <label htmlFor="project-number-format" className="block text-sm font-medium text-gray-700 mb-1">採番形式</label>
+            <input
+              id="project-number-format"
+              type="text"
+              value={formatInput}
+              onChange={(e) => setFormatInput(e.target.value)}
+              disabled={!isEnabled}
+              maxLength={MAX_PROJECT_NUMBER_FORMAT_LENGTH}
+              className={`w-full px-3 py-2 border rounded-md text-sm font-mono focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:bg-gray-100 disabled:text-gray-500 ${error ? 'border-red-500' : 'border-gray-300'}`}
+              aria-invalid={Boolean(error)}
+              aria-describedby={error ? 'project-number-format-error' : undefined}
+            />
+            {error && <p id="project-number-format-error" className="mt-1 text-xs text-red-600" role="alert">{error}</p>}
+          </div>
+
+          <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-xs">
+            {PROJECT_NUMBER_TOKENS.map(({ token, description }) => (
+              <React.Fragment key={token}>
+                <dt>
+                  <button
+                    type="button"
+                    onClick={() => setFormatInput(prev => `${prev}${token}`)}
+                    disabled={!isEnabled}
+                    className="px-1.5 py-0.5 font-mono text-purple-700 bg-purple-50 border border-purple-200 rounded hover:bg-purple-100 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                    aria-label={`${token}を採番形式に追加`}
+                  >
+                    {token}
+                  </button>
+                </dt>
+                <dd className="self-center text-gray-600">{description}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+
+          {isEnabled && isValid && (
+            <div className="p-3 bg-gray-50 border border-gray-200 rounded-md text-sm text-gray-700" aria-live="polite">
+              <p>
+                例: <span className="font-mono">{formatProjectNumber(formatInput, { date: today, clientPrefix, sequence: 1 })}</span>、
+                <span className="font-mono">{formatProjectNumber(formatInput, { date: today, clientPrefix, sequence: 2 })}</span> …
+              </p>
+              <p className="text-xs text-gray-500">
+                {nextFiscalYearStart.replace(/-/g, '/')} 以降の提出日: <span className="font-mono">{formatProjectNumber(formatInput, { date: nextFiscalYearStart, clientPrefix, sequence: 1 })}</span>
+              </p>
+              {clientPrefix && (
+                <p className="text-xs text-gray-500">客先の略号（例では YMD）は客先マスタの「工事番号の略号」で設定します</p>
+              )}
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            工事番号を入力して登録した場合は、入力した番号（移行前の番号など）をそのまま使います。採番される番号が入力済みの番号と重なる場合は次の番号を使います
+          </p>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            >
+              キャンセル
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 text-sm font-medium text-white bg-purple-600 border border-transparent rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSaving ? '保存中...' : '保存'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectNumberSettingsDialog;
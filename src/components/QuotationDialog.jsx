@@ -0,0 +1,201 @@
+import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { X, FileText, Printer, Download } from 'lucide-react';
+import QuotationDocument from './QuotationDocument';
+import {
+  DEFAULT_VALIDITY_DAYS,
+  buildQuotationData,
+  getQuotationFileName,
+  downloadQuotationPdf
+} from '../utils/quotation';
+import { toLocalDateString } from '../utils/dates';
+
+const DEFAULT_NOTES = '・本見積の有効期限内にご用命ください。\n・仕様変更等が生じた場合は別途お見積りいたします。';
+
+/**
+ * 見積書作成ダイアログコンポーネント
+ * 発行日・有効期限・備考を指定してプレビューし、印刷またはPDFで出力する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Object} props.project - 対象プロジェクト
+ * @param {Array} props.lineItems - 内訳明細（project_line_items のレコード）
+ * @param {boolean} [props.isLoading=false] - 明細の読み込み中状態
+ * @param {Function} [props.showNotification] - 通知を表示する関数
+ */
+const QuotationDialog = ({
+  isOpen,
+  onClose,
+  project,
+  lineItems,
+  isLoading = false,
+  showNotification
+}) => {
+  const documentRef = useRef(null);
+  const [options, setOptions] = useState({
+    issueDate: toLocalDateString(),
+    validityDays: DEFAULT_VALIDITY_DAYS,
+    notes: DEFAULT_NOTES
+  });
+  const [isGeneratingPdf, setIsGeneratingPdf] = useState(false);
+
+  // ダイアログを開くたびに発行日を本日にリセット
+  useEffect(() => {
+    if (isOpen) {
+      setOptions(prev => ({ ...prev, issueDate: toLocalDateString() }));
+    }
+  }, [isOpen, project?.id]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape' && !isGeneratingPdf) {
+      onClose();
+    }
+  }, [onClose, isGeneratingPdf]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  if (!isOpen || !project) return null;
+
+  const quotation = buildQuotationData(project, lineItems, options);
+
+  // 印刷（見積書部分のみを印刷対象にする）
+  const handlePrint = () => {
+    document.body.classList.add('printing-quotation');
+    const cleanup = () => {
+      document.body.classList.remove('printing-quotation');
+      window.removeEventListener('afterprint', cleanup);
+    };
+    window.addEventListener('afterprint', cleanup);
+    window.print();
+  };
+
+  // PDFダウンロード
+  const handleDownloadPdf = async () => {
+    if (!documentRef.current) return;
+    setIsGeneratingPdf(true);
+
+    try {
+      const fileName = getQuotationFileName(quotation);
+      await downloadQuotationPdf(documentRef.current, fileName);
+      if (showNotification) {
+        showNotification(`✓ ${fileName} をダウンロードしました`, 'success');
+      }
+    } catch (error) {
+      console.error('見積書PDF作成エラー:', error);
+      if (showNotification) {
+        showNotification('見積書PDFの作成に失敗しました。', 'error', 5000);
+      }
+    } finally {
+      setIsGeneratingPdf(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop quotation-dialog"
+      onClick={(e) => { if (e.target === e.currentTarget && !isGeneratingPdf) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="quotation-dialog-title"
+    >
+      <div className="relative w-full max-w-5xl max-h-[95vh] flex flex-col bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 no-print">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-emerald-100 rounded-full flex items-center justify-center">
+              <FileText className="w-6 h-6 text-emerald-600" />
+            </div>
+            <h3 id="quotation-dialog-title" className="text-lg font-semibold text-gray-900">見積書の作成</h3>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isGeneratingPdf}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="見積書の作成を閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* 設定 */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 p-4 border-b border-gray-200 bg-gray-50 no-print">
+          <div>
+            <label htmlFor="quotation_issue_date" className="block text-xs font-medium text-gray-700 mb-1">発行日</label>
+            <input
+              type="date"
+              id="quotation_issue_date"
+              value={options.issueDate}
+              onChange={(e) => setOptions(prev => ({ ...prev, issueDate: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="quotation_validity_days" className="block text-xs font-medium text-gray-700 mb-1">有効期限（日数）</label>
+            <input
+              type="number"
+              id="quotation_validity_days"
+              min="1"
+              max="365"
+              value={options.validityDays}
+              onChange={(e) => setOptions(prev => ({ ...prev, validityDays: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label htmlFor="quotation_notes" className="block text-xs font-medium text-gray-700 mb-1">備考</label>
+            <textarea
+              id="quotation_notes"
+              rows="2"
+              value={options.notes}
+              onChange={(e) => setOptions(prev => ({ ...prev, notes: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {/* プレビュー */}
+        <div className="flex-1 overflow-auto bg-gray-200 p-4">
+          {isLoading ? (
+            <p className="text-sm text-gray-600 no-print">⏳ 内訳明細を読み込み中...</p>
+          ) : (
+            <div className="shadow-lg mx-auto" style={{ width: '210mm' }}>
+              <QuotationDocument ref={documentRef} quotation={quotation} />
+            </div>
+          )}
+        </div>
+
+        {/* フッター */}
+        <div className="flex items-center justify-end space-x-3 p-4 border-t border-gray-200 no-print">
+          <button
+            type="button"
+            onClick={handlePrint}
+            disabled={isLoading || isGeneratingPdf || !options.issueDate}
+            className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Printer className="w-4 h-4 mr-2" />
+            印刷
+          </button>
+          <button
+            type="button"
+            onClick={handleDownloadPdf}
+            disabled={isLoading || isGeneratingPdf || !options.issueDate}
+            className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-emerald-600 border border-transparent rounded-md hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            {isGeneratingPdf ? 'PDF作成中...' : 'PDFダウンロード'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuotationDialog;
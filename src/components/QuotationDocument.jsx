@@ -0,0 +1,131 @@
+import React, { forwardRef } from 'react';
+import { formatCurrency, formatTaxRate } from '../utils/calculations';
+import { formatJapaneseDate } from '../utils/quotation';
+
+/**
+ * 見積書（御見積書）の帳票コンポーネント
+ * 印刷・PDF化の対象となるA4縦のレイアウト
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Object} props.quotation - buildQuotationData で作成した見積書データ
+ */
+const QuotationDocument = forwardRef(({ quotation }, ref) => {
+  const { company } = quotation;
+  // 税込入力のプロジェクトは明細の単価・金額が税込
+  const priceSuffix = quotation.taxMode === 'inclusive' ? '（税込）' : '';
+
+  return (
+    <div
+      ref={ref}
+      className="quotation-print-area bg-white text-gray-900 mx-auto p-10"
+      style={{ width: '210mm', minHeight: '297mm', boxSizing: 'border-box' }}
+      aria-label="見積書"
+    >
+      {/* タイトル */}
+      <h1 className="text-3xl font-bold text-center tracking-[0.5em] border-b-4 border-double border-gray-800 pb-2 mb-8">
+        御見積書
+      </h1>
+
+      <div className="flex justify-between items-start mb-8">
+        {/* 宛先 */}
+        <div className="w-1/2">
+          <p className="text-xl font-semibold border-b border-gray-800 pb-1">
+            {quotation.client}　御中
+          </p>
+          <p className="mt-4 text-sm">下記の通りお見積り申し上げます。</p>
+          <dl className="mt-4 text-sm space-y-1">
+            <div className="flex">
+              <dt className="w-20 text-gray-600">件名</dt>
+              <dd className="flex-1 font-medium">{quotation.title}</dd>
+            </div>
+            <div className="flex">
+              <dt className="w-20 text-gray-600">有効期限</dt>
+              <dd className="flex-1">{formatJapaneseDate(quotation.validUntil)}</dd>
+            </div>
+          </dl>
+        </div>
+
+        {/* 発行情報・自社情報 */}
+        <div className="w-5/12 text-sm text-right">
+          <p>見積番号: {quotation.quotationNumber}</p>
+          <p>発行日: {formatJapaneseDate(quotation.issueDate)}</p>
+          <div className="mt-4 text-left inline-block">
+            {company.name && <p className="text-base font-semibold">{company.name}</p>}
+            {company.postalCode && <p>〒{company.postalCode}</p>}
+            {company.address && <p>{company.address}</p>}
+            {(company.tel || company.fax) && (
+              <p>
+                {company.tel && `TEL ${company.tel}`}
+                {company.tel && company.fax && '　'}
+                {company.fax && `FAX ${company.fax}`}
+              </p>
+            )}
+            {company.registrationNumber && <p>登録番号: {company.registrationNumber}</p>}
+            {quotation.salesManager && <p className="mt-1">担当: {quotation.salesManager}</p>}
+          </div>
+        </div>
+      </div>
+
+      {/* 御見積金額 */}
+      <div className="flex items-end border-b-2 border-gray-800 pb-1 mb-8 w-2/3">
+        <span className="text-base mr-6">御見積金額（税込）</span>
+        <span className="text-3xl font-bold">{formatCurrency(quotation.total)}</span>
+      </div>
+
+      {/* 明細 */}
+      <table className="w-full text-sm border-collapse mb-6">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="border border-gray-400 px-2 py-1 text-left">品名</th>
+            <th className="border border-gray-400 px-2 py-1 text-right w-20">数量</th>
+            <th className="border border-gray-400 px-2 py-1 text-center w-14">単位</th>
+            <th className="border border-gray-400 px-2 py-1 text-right w-28">単価{priceSuffix}</th>
+            <th className="border border-gray-400 px-2 py-1 text-right w-32">金額{priceSuffix}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {quotation.items.map((item, index) => (
+            <tr key={index}>
+              <td className="border border-gray-400 px-2 py-1">{item.name}</td>
+              <td className="border border-gray-400 px-2 py-1 text-right">{item.quantity.toLocaleString()}</td>
+              <td className="border border-gray-400 px-2 py-1 text-center">{item.unit}</td>
+              <td className="border border-gray-400 px-2 py-1 text-right">{formatCurrency(item.unitPrice)}</td>
+              <td className="border border-gray-400 px-2 py-1 text-right">{formatCurrency(item.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan="3" className="border-0"></td>
+            <th className="border border-gray-400 px-2 py-1 text-right bg-gray-50">小計（税抜）</th>
+            <td className="border border-gray-400 px-2 py-1 text-right">{formatCurrency(quotation.subtotal)}</td>
+          </tr>
+          <tr>
+            <td colSpan="3" className="border-0"></td>
+            <th className="border border-gray-400 px-2 py-1 text-right bg-gray-50">
+              消費税（{formatTaxRate(quotation.taxRate)}）
+            </th>
+            <td className="border border-gray-400 px-2 py-1 text-right">{formatCurrency(quotation.tax)}</td>
+          </tr>
+          <tr>
+            <td colSpan="3" className="border-0"></td>
+            <th className="border border-gray-400 px-2 py-1 text-right bg-gray-50">合計（税込）</th>
+            <td className="border border-gray-400 px-2 py-1 text-right font-bold">{formatCurrency(quotation.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      {/* 備考 */}
+      {quotation.notes && (
+        <div className="border border-gray-400 p-3 text-sm">
+          <p className="font-semibold mb-1">備考</p>
+          <p className="whitespace-pre-wrap">{quotation.notes}</p>
+        </div>
+      )}
+    </div>
+  );
+});
+
+QuotationDocument.displayName = 'QuotationDocument';
+
+export default QuotationDocument;
@@ -0,0 +1,235 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, History } from 'lucide-react';
+import { formatCurrency } from '../utils/calculations';
+import { getLineItemCategoryLabel } from '../utils/lineItems';
+import {
+  buildRevisionVersions,
+  diffRevisionSnapshots,
+  diffRevisionLineItems,
+  formatRevisionLabel,
+  formatRevisionValue
+} from '../utils/revisions';
+
+const formatLineItem = (item) => {
+  if (!item) return '-';
+  return `${item.item_name} ${item.quantity}${item.unit || ''} × ${formatCurrency(item.unit_price)}（原価 ${formatCurrency(item.unit_cost)}）`;
+};
+
+const LINE_ITEM_STATUS_LABELS = {
+  added: { label: '追加', className: 'bg-green-100 text-green-800' },
+  removed: { label: '削除', className: 'bg-red-100 text-red-800' },
+  changed: { label: '変更', className: 'bg-yellow-100 text-yellow-800' },
+  unchanged: { label: '変更なし', className: 'bg-gray-100 text-gray-600' }
+};
+
+/**
+ * 版履歴ダイアログコンポーネント
+ * 版の一覧（作成者・日時・改訂理由）と2つの版の差分を並べて表示
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Object} props.project - 対象プロジェクト
+ * @param {Array} props.revisions - project_revisions のレコード
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ */
+const RevisionHistoryDialog = ({
+  isOpen,
+  onClose,
+  project,
+  revisions,
+  isLoading = false
+}) => {
+  const versions = buildRevisionVersions(project, revisions);
+  const [leftNumber, setLeftNumber] = useState(null);
+  const [rightNumber, setRightNumber] = useState(null);
+
+  // 初期表示は「1つ前の版」と「現在の版」を比較
+  useEffect(() => {
+    if (!isOpen || versions.length === 0) return;
+    const current = versions.find(version => version.isCurrent) || versions[versions.length - 1];
+    const previous = [...versions].reverse().find(version => version.revision_number < current.revision_number);
+    setRightNumber(current.revision_number);
+    setLeftNumber(previous ? previous.revision_number : current.revision_number);
+  }, [isOpen, project?.id, revisions]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  if (!isOpen || !project) return null;
+
+  const left = versions.find(version => version.revision_number === leftNumber);
+  const right = versions.find(version => version.revision_number === rightNumber);
+  const fieldDiff = left && right ? diffRevisionSnapshots(left.snapshot, right.snapshot) : [];
+  const lineItemDiff = left && right ? diffRevisionLineItems(left.snapshot.line_items, right.snapshot.line_items) : null;
+
+  const selectClass = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="revision-dialog-title"
+    >
+      <div className="relative w-full max-w-4xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <History className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 id="revision-dialog-title" className="text-lg font-semibold text-gray-900">版履歴</h3>
+              <p className="text-xs text-gray-500">
+                {project.project_number ? `${project.project_number} / ` : ''}{project.client} - {project.title}
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="版履歴を閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <p className="p-6 text-sm text-gray-500">⏳ 版履歴を読み込み中...</p>
+        ) : (
+          <div className="p-6 space-y-6">
+            {/* 版一覧 */}
+            <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="版一覧">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">版</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">作成日時</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">作成者</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">改訂理由</th>
+                  <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500">客出金額</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {versions.map(version => (
+                  <tr key={version.id} className={version.isCurrent ? 'bg-blue-50' : ''}>
+                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">
+                      {formatRevisionLabel(version.revision_number)}
+                      {version.isCurrent && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">現在</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                      {version.created_at ? new Date(version.created_at).toLocaleString('ja-JP') : '-'}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">{version.created_by_email || '-'}</td>
+                    <td className="px-3 py-2 text-gray-700">{version.reason || '-'}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-right text-gray-900">
+                      {formatCurrency(version.snapshot?.customer_amount)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* 比較対象の選択 */}
+            <div className="flex items-center space-x-2 text-sm">
+              <span className="text-gray-600">比較:</span>
+              <select
+                value={leftNumber ?? ''}
+                onChange={(e) => setLeftNumber(Number(e.target.value))}
+                className={selectClass}
+                aria-label="比較元の版"
+              >
+                {versions.map(version => (
+                  <option key={version.id} value={version.revision_number}>{formatRevisionLabel(version.revision_number)}</option>
+                ))}
+              </select>
+              <span className="text-gray-400">→</span>
+              <select
+                value={rightNumber ?? ''}
+                onChange={(e) => setRightNumber(Number(e.target.value))}
+                className={selectClass}
+                aria-label="比較先の版"
+              >
+                {versions.map(version => (
+                  <option key={version.id} value={version.revision_number}>{formatRevisionLabel(version.revision_number)}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* 項目の差分 */}
+            {left && right && (
+              <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="版の差分">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 w-32">項目</th>
+                    <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">{formatRevisionLabel(left.revision_number)}</th>
+                    <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">{formatRevisionLabel(right.revision_number)}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {fieldDiff.map(field => (
+                    <tr key={field.key} className={field.changed ? 'bg-yellow-50' : ''}>
+                      <td className="px-3 py-2 text-gray-600">{field.label}</td>
+                      <td className={`px-3 py-2 ${field.changed ? 'text-red-700 line-through' : 'text-gray-900'}`}>
+                        {formatRevisionValue(field.before, field.type)}
+                      </td>
+                      <td className={`px-3 py-2 ${field.changed ? 'text-green-700 font-semibold' : 'text-gray-900'}`}>
+                        {formatRevisionValue(field.after, field.type)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {/* 内訳明細の差分 */}
+            {left && right && (
+              <div>
+                <h4 className="text-sm font-semibold text-gray-800 mb-2">内訳明細の差分</h4>
+                {lineItemDiff === null ? (
+                  <p className="text-sm text-gray-500">この版の内訳明細は記録されていません</p>
+                ) : lineItemDiff.length === 0 ? (
+                  <p className="text-sm text-gray-500">内訳明細はありません</p>
+                ) : (
+                  <ul className="space-y-1 text-sm">
+                    {lineItemDiff.map((entry, index) => (
+                      <li key={index} className="flex items-start space-x-2">
+                        <span className={`flex-shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${LINE_ITEM_STATUS_LABELS[entry.status].className}`}>
+                          {LINE_ITEM_STATUS_LABELS[entry.status].label}
+                        </span>
+                        <span className="text-xs text-gray-500 flex-shrink-0">
+                          {getLineItemCategoryLabel((entry.after || entry.before).category)}
+                        </span>
+                        <span className="text-gray-800">
+                          {entry.status === 'changed'
+                            ? `${formatLineItem(entry.before)} → ${formatLineItem(entry.after)}`
+                            : formatLineItem(entry.after || entry.before)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistoryDialog;
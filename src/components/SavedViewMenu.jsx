@@ -0,0 +1,204 @@
+import React, { useState, useCallback } from 'react';
+import { Bookmark, Star, Save, Trash2 } from 'lucide-react';
+import { validateViewName, MAX_VIEW_NAME_LENGTH } from '../utils/savedViews';
+
+/**
+ * 保存ビューの選択・保存メニューコンポーネント
+ * 現在のソート・絞り込み・表示切り替えを名前を付けて保存し、ヘッダーから呼び出す
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Array} props.views - 保存ビューの一覧（saved_views のレコード）
+ * @param {string|null} props.activeViewId - 選択中のビューID
+ * @param {Function} props.onSelect - ビューを選択した時に呼ばれる関数（ビューを受け取る）
+ * @param {Function} props.onSave - 新規保存する関数（名前・既定にするかを受け取る）
+ * @param {Function} props.onOverwrite - 選択中のビューを現在の条件で上書きする関数
+ * @param {Function} props.onToggleDefault - 既定のビューを設定・解除する関数
+ * @param {Function} props.onDelete - ビューを削除する関数
+ * @param {boolean} [props.isSaving=false] - 保存処理中の状態
+ */
+const SavedViewMenu = ({
+  views,
+  activeViewId,
+  onSelect,
+  onSave,
+  onOverwrite,
+  onToggleDefault,
+  onDelete,
+  isSaving = false
+}) => {
+  const [isCreating, setIsCreating] = useState(false);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [name, setName] = useState('');
+  const [makeDefault, setMakeDefault] = useState(false);
+  const [nameError, setNameError] = useState('');
+
+  const activeView = views.find(view => view.id === activeViewId) || null;
+
+  const handleSelect = useCallback((event) => {
+    const view = views.find(item => item.id === event.target.value);
+    setIsConfirmingDelete(false);
+    if (view) {
+      onSelect(view);
+    }
+  }, [views, onSelect]);
+
+  const resetCreateForm = useCallback(() => {
+    setIsCreating(false);
+    setName('');
+    setMakeDefault(false);
+    setNameError('');
+  }, []);
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    const error = validateViewName(name, views);
+    if (error) {
+      setNameError(error);
+      return;
+    }
+
+    const saved = await onSave(name.trim(), { isDefault: makeDefault });
+    if (saved) {
+      resetCreateForm();
+    }
+  }, [name, makeDefault, views, onSave, resetCreateForm]);
+
+  const handleDelete = useCallback(async () => {
+    if (!activeView) return;
+    const deleted = await onDelete(activeView.id);
+    if (deleted) {
+      setIsConfirmingDelete(false);
+    }
+  }, [activeView, onDelete]);
+
+  const buttonClass = 'inline-flex items-center px-2 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2" role="group" aria-label="保存ビュー">
+      <Bookmark className="w-4 h-4 text-gray-500" aria-hidden="true" />
+      <select
+        value={activeViewId || ''}
+        onChange={handleSelect}
+        className="px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 max-w-[200px]"
+        aria-label="保存ビューを選択"
+      >
+        <option value="">{views.length === 0 ? '保存ビューなし' : 'ビューを選択'}</option>
+        {views.map(view => (
+          <option key={view.id} value={view.id}>
+            {view.is_default ? `★ ${view.name}` : view.name}
+          </option>
+        ))}
+      </select>
+
+      {activeView && !isConfirmingDelete && (
+        <>
+          <button
+            type="button"
+            onClick={() => onOverwrite(activeView.id)}
+            disabled={isSaving}
+            className={buttonClass}
+            title={`「${activeView.name}」を現在の条件で上書き保存`}
+            aria-label={`「${activeView.name}」を現在の条件で上書き保存`}
+          >
+            <Save className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => onToggleDefault(activeView.id)}
+            disabled={isSaving}
+            className={buttonClass}
+            aria-pressed={activeView.is_default}
+            title={activeView.is_default ? 'ログイン時の既定ビューを解除' : 'ログイン時の既定ビューにする'}
+            aria-label={activeView.is_default ? 'ログイン時の既定ビューを解除' : 'ログイン時の既定ビューにする'}
+          >
+            <Star className={`w-4 h-4 ${activeView.is_default ? 'text-amber-500 fill-amber-400' : ''}`} />
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsConfirmingDelete(true)}
+            disabled={isSaving}
+            className={`${buttonClass} hover:text-red-600`}
+            title={`「${activeView.name}」を削除`}
+            aria-label={`「${activeView.name}」を削除`}
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </>
+      )}
+
+      {activeView && isConfirmingDelete && (
+        <span className="inline-flex items-center space-x-2 text-sm" role="alert">
+          <span className="text-gray-700">「{activeView.name}」を削除しますか？</span>
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={isSaving}
+            className="px-2 py-1 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50"
+          >
+            削除する
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsConfirmingDelete(false)}
+            className="px-2 py-1 text-sm text-gray-600 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-500 rounded-md"
+          >
+            キャンセル
+          </button>
+        </span>
+      )}
+
+      {!isCreating ? (
+        <button
+          type="button"
+          onClick={() => setIsCreating(true)}
+          className={buttonClass}
+        >
+          ビューを保存
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setNameError('');
+            }}
+            maxLength={MAX_VIEW_NAME_LENGTH}
+            placeholder="例: 自分の提出済（30日以上）"
+            aria-label="ビュー名"
+            aria-invalid={Boolean(nameError)}
+            className={`px-2 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${nameError ? 'border-red-500' : 'border-gray-300'}`}
+            autoFocus
+          />
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={makeDefault}
+              onChange={(e) => setMakeDefault(e.target.checked)}
+              className="mr-1"
+            />
+            ログイン時に表示
+          </label>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {isSaving ? '保存中...' : '保存'}
+          </button>
+          <button
+            type="button"
+            onClick={resetCreateForm}
+            className="px-2 py-2 text-sm text-gray-600 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-500 rounded-md"
+          >
+            キャンセル
+          </button>
+          {nameError && <p className="w-full text-xs text-red-600">{nameError}</p>}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewMenu;
@@ -0,0 +1,133 @@
+import React from 'react';
+import { formatCurrency } from '../utils/calculations';
+import { AGING_BUCKETS } from '../utils/staff';
+
+/**
+ * 担当者別集計テーブルコンポーネント
+ * 担当者ごとの案件数・客出金額・平均利益率・受注率と、未決（提出済・保留）のプロジェクトの経過日数の分布を表示する
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {Array} props.staffData - 担当者別集計（toStaffAggregation の結果を担当者の種類で絞り込んだもの）
+ * @param {string} props.roleLabel - 担当者の種類の表示名（例: 工事担当者）
+ * @param {string} [props.currentUserId] - ログイン中のユーザーID（関連付けられた担当者に「自分」と表示する）
+ * @param {Function} [props.onShowProjects] - 担当者のプロジェクトを一覧で表示する関数（集計行を受け取る）
+ */
+const StaffAggregationTable = ({ staffData, roleLabel, currentUserId, onShowProjects }) => (
+  <table className="min-w-full divide-y divide-gray-200 view-transition" role="table" aria-label={`${roleLabel}別集計テーブル`}>
+    <caption className="sr-only sm:not-sr-only text-sm text-gray-500 py-2 lg:hidden">
+      横スクロールして全ての列を表示できます
+    </caption>
+    <thead className="bg-gray-50">
+      <tr>
+        <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+          {roleLabel}
+        </th>
+        <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+          案件数
+        </th>
+        <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+          合計客出金額（税抜）
+        </th>
+        <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+          平均利益率
+        </th>
+        <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+          受注率
+        </th>
+        <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+          未決（提出済・保留）
+        </th>
+        <th scope="col" className="px-2 sm:px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+          未決の経過日数
+        </th>
+        {onShowProjects && (
+          <th scope="col" className="px-2 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+            操作
+          </th>
+        )}
+      </tr>
+    </thead>
+    <tbody className="bg-white divide-y divide-gray-200">
+      {staffData.length === 0 && (
+        <tr>
+          <td colSpan={onShowProjects ? 8 : 7} className="px-4 py-6 text-center text-sm text-gray-500">
+            集計するプロジェクトがありません
+          </td>
+        </tr>
+      )}
+      {staffData.map((data, index) => {
+        const isCurrentUser = Boolean(currentUserId) && data.userId === currentUserId;
+        const label = data.name || '（未設定）';
+
+        return (
+          <tr key={data.staffId || 'unassigned'} className={`table-row ${isCurrentUser ? 'bg-blue-50' : index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}`}>
+            <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+              <span className={data.name ? '' : 'text-gray-500'}>{label}</span>
+              {isCurrentUser && (
+                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">自分</span>
+              )}
+            </td>
+            <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-900">
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                {data.projectCount}件
+              </span>
+            </td>
+            <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+              {formatCurrency(data.totalCustomerAmount)}
+            </td>
+            <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-900">
+              {data.averageProfitRate.toFixed(1)}%
+            </td>
+            <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-900">
+              {data.wonCount + data.lostCount > 0 ? `${data.winRate.toFixed(1)}%` : '-'}
+              <div className="text-xs text-gray-500">受注{data.wonCount}件 / 失注{data.lostCount}件</div>
+            </td>
+            <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-900">
+              {data.openCount}件
+              <div className="text-xs text-gray-500">{formatCurrency(data.openAmount)}</div>
+            </td>
+            <td className="px-2 sm:px-4 py-3 sm:py-4 text-sm text-gray-900 min-w-[12rem]">
+              {data.openCount > 0 ? (
+                <>
+                  <div className="flex h-2 w-full overflow-hidden rounded-full bg-gray-100" aria-hidden="true">
+                    {AGING_BUCKETS.map(bucket => data[bucket.key] > 0 && (
+                      <div
+                        key={bucket.key}
+                        className={bucket.className}
+                        style={{ width: `${(data[bucket.key] / data.openCount) * 100}%` }}
+                      />
+                    ))}
+                  </div>
+                  <div className="mt-1 text-xs text-gray-600">
+                    {AGING_BUCKETS.map(bucket => `${bucket.label} ${data[bucket.key]}件`).join(' / ')}
+                  </div>
+                  {data.averageOpenDays !== null && (
+                    <div className="text-xs text-gray-500">平均 {Math.round(data.averageOpenDays)}日経過</div>
+                  )}
+                </>
+              ) : (
+                <span className="text-xs text-gray-500">未決のプロジェクトはありません</span>
+              )}
+            </td>
+            {onShowProjects && (
+              <td className="px-2 sm:px-4 py-3 sm:py-4 whitespace-nowrap text-center">
+                {data.name && (
+                  <button
+                    type="button"
+                    onClick={() => onShowProjects(data)}
+                    className="px-2 py-1 text-xs font-medium text-indigo-700 bg-white border border-indigo-200 rounded-md hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    aria-label={`${data.name}のプロジェクトを一覧で表示`}
+                  >
+                    一覧で表示
+                  </button>
+                )}
+              </td>
+            )}
+          </tr>
+        );
+      })}
+    </tbody>
+  </table>
+);
+
+export default StaffAggregationTable;
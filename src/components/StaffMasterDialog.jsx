@@ -0,0 +1,296 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, Users, Plus, Pencil, Trash2 } from 'lucide-react';
+import { EMPTY_STAFF_FORM, validateStaffForm, toStaffForm } from '../utils/staff';
+
+/**
+ * 担当者マスタダイアログコンポーネント
+ * 工事担当者・営業担当者の選択肢を管理し、担当者をログインユーザーに関連付ける
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Array} props.staffMembers - 担当者マスタ
+ * @param {Array} [props.userOptions=[]] - 関連付けできるログインユーザー（{ user_id, email }）
+ * @param {Function} props.onSave - 担当者を保存する関数（入力内容・編集中の担当者（新規は null）を受け取り、成功時に true を返す）
+ * @param {Function} props.onDelete - 担当者を削除する関数（担当者を受け取る）
+ * @param {boolean} [props.canManage=false] - 登録・編集・削除の権限
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ * @param {boolean} [props.isSaving=false] - 保存中の状態
+ */
+const StaffMasterDialog = ({
+  isOpen,
+  onClose,
+  staffMembers,
+  userOptions = [],
+  onSave,
+  onDelete,
+  canManage = false,
+  isLoading = false,
+  isSaving = false
+}) => {
+  // 編集中の担当者（{ staff: 編集する担当者（新規は null）, form: 入力内容 }）
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [showInactive, setShowInactive] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setEditing(null);
+    setErrors({});
+    setShowInactive(false);
+  }, [isOpen]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  const startEdit = useCallback((staff) => {
+    setEditing({ staff, form: staff ? toStaffForm(staff) : { ...EMPTY_STAFF_FORM } });
+    setErrors({});
+  }, []);
+
+  const handleFieldChange = useCallback((event) => {
+    const { name, value, type, checked } = event.target;
+    setEditing(prev => ({ ...prev, form: { ...prev.form, [name]: type === 'checkbox' ? checked : value } }));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
+  }, []);
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    const validationErrors = validateStaffForm(editing.form, staffMembers, editing.staff?.id ?? null);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const saved = await onSave(editing.form, editing.staff);
+    if (saved) {
+      setEditing(null);
+    }
+  }, [editing, staffMembers, onSave]);
+
+  if (!isOpen) return null;
+
+  const inactiveCount = staffMembers.filter(staff => !staff.is_active).length;
+  const visibleStaff = showInactive ? staffMembers : staffMembers.filter(staff => staff.is_active);
+  const getUserEmail = (userId) => userOptions.find(option => option.user_id === userId)?.email;
+  const columnCount = canManage ? 4 : 3;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="staff-master-dialog-title"
+    >
+      <div className="relative w-full max-w-3xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-teal-100 rounded-full flex items-center justify-center">
+              <Users className="w-6 h-6 text-teal-600" />
+            </div>
+            <div>
+              <h3 id="staff-master-dialog-title" className="text-lg font-semibold text-gray-900">担当者マスタ</h3>
+              <p className="text-xs text-gray-500">
+                工事担当者・営業担当者の選択肢です。ログインユーザーに関連付けると担当者別集計に「自分」と表示されます
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="担当者マスタを閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {editing ? (
+          <form onSubmit={handleSubmit} noValidate className="p-6 space-y-4" aria-label={editing.staff ? '担当者の編集' : '担当者の新規登録'}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="staff-field-name" className="block text-sm font-medium text-gray-700 mb-1">
+                  名前 <span className="text-red-500">*</span>
+                </label>
+                <input
+                  id="staff-field-name"
+                  name="name"
+                  type="text"
+                  value={editing.form.name}
+                  onChange={handleFieldChange}
+                  className={`w-full px-3 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-teal-500 ${errors.name ? 'border-red-500' : 'border-gray-300'}`}
+                  aria-invalid={Boolean(errors.name)}
+                  placeholder="例: 田中太郎"
+                />
+                {errors.name && <p className="mt-1 text-xs text-red-600" role="alert">{errors.name}</p>}
+              </div>
+              <div>
+                <label htmlFor="staff-field-name_kana" className="block text-sm font-medium text-gray-700 mb-1">フリガナ</label>
+                <input
+                  id="staff-field-name_kana"
+                  name="name_kana"
+                  type="text"
+                  value={editing.form.name_kana}
+                  onChange={handleFieldChange}
+                  className={`w-full px-3 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-teal-500 ${errors.name_kana ? 'border-red-500' : 'border-gray-300'}`}
+                  aria-invalid={Boolean(errors.name_kana)}
+                />
+                {errors.name_kana && <p className="mt-1 text-xs text-red-600" role="alert">{errors.name_kana}</p>}
+              </div>
+              <div>
+                <label htmlFor="staff-field-user_id" className="block text-sm font-medium text-gray-700 mb-1">ログインユーザー</label>
+                <select
+                  id="staff-field-user_id"
+                  name="user_id"
+                  value={editing.form.user_id}
+                  onChange={handleFieldChange}
+                  className={`w-full px-3 py-2 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-teal-500 ${errors.user_id ? 'border-red-500' : 'border-gray-300'}`}
+                  aria-invalid={Boolean(errors.user_id)}
+                >
+                  <option value="">関連付けない</option>
+                  {editing.form.user_id && !getUserEmail(editing.form.user_id) && (
+                    <option value={editing.form.user_id}>組織に所属していないユーザー</option>
+                  )}
+                  {userOptions.map(option => (
+                    <option key={option.user_id} value={option.user_id}>{option.email || option.user_id}</option>
+                  ))}
+                </select>
+                {errors.user_id && <p className="mt-1 text-xs text-red-600" role="alert">{errors.user_id}</p>}
+              </div>
+              <div className="flex items-end">
+                <label className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    name="is_active"
+                    checked={editing.form.is_active}
+                    onChange={handleFieldChange}
+                    className="mr-2 rounded border-gray-300 text-teal-600 focus:ring-teal-500"
+                  />
+                  在籍中（登録フォームの選択肢に表示する）
+                </label>
+              </div>
+            </div>
+            {editing.staff && (
+              <p className="text-xs text-gray-500">
+                名前を変更すると、この担当者のプロジェクトの担当者名も変更されます
+              </p>
+            )}
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              >
+                キャンセル
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 text-sm font-medium text-white bg-teal-600 border border-transparent rounded-md hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-teal-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSaving ? '保存中...' : '保存'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="p-6 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <label className="inline-flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={showInactive}
+                  onChange={(e) => setShowInactive(e.target.checked)}
+                  className="mr-2 rounded border-gray-300 text-teal-600 focus:ring-teal-500"
+                />
+                退職・異動した担当者も表示（{inactiveCount}名）
+              </label>
+              {canManage && (
+                <button
+                  type="button"
+                  onClick={() => startEdit(null)}
+                  className="inline-flex items-center px-3 py-2 text-sm font-medium text-white bg-teal-600 border border-transparent rounded-md hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                >
+                  <Plus className="w-4 h-4 mr-1" />
+                  新規登録
+                </button>
+              )}
+            </div>
+
+            <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="担当者マスタの一覧">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">名前</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">ログインユーザー</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">状態</th>
+                  {canManage && (
+                    <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500">操作</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {visibleStaff.length === 0 && !isLoading && (
+                  <tr>
+                    <td colSpan={columnCount} className="px-3 py-6 text-center text-gray-500">担当者が登録されていません</td>
+                  </tr>
+                )}
+                {visibleStaff.map(staff => (
+                  <tr key={staff.id}>
+                    <td className="px-3 py-2 text-gray-900">
+                      <div className="font-medium">{staff.name}</div>
+                      {staff.name_kana && <div className="text-xs text-gray-500">{staff.name_kana}</div>}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {staff.user_id ? (getUserEmail(staff.user_id) || '関連付けあり') : '-'}
+                    </td>
+                    <td className="px-3 py-2">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${staff.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                        {staff.is_active ? '在籍' : '退職・異動'}
+                      </span>
+                    </td>
+                    {canManage && (
+                      <td className="px-3 py-2 text-right whitespace-nowrap space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => startEdit(staff)}
+                          className="inline-flex items-center px-2 py-1 text-xs font-medium text-teal-700 bg-white border border-teal-200 rounded-md hover:bg-teal-50 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                          aria-label={`担当者「${staff.name}」を編集`}
+                        >
+                          <Pencil className="w-3 h-3 mr-1" />
+                          編集
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onDelete(staff)}
+                          disabled={isSaving}
+                          className="inline-flex items-center px-2 py-1 text-xs font-medium text-red-700 bg-white border border-red-200 rounded-md hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                          aria-label={`担当者「${staff.name}」を削除`}
+                        >
+                          <Trash2 className="w-3 h-3 mr-1" />
+                          削除
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {isLoading && <p className="text-sm text-gray-500">⏳ 担当者マスタを読み込み中...</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StaffMasterDialog;
@@ -0,0 +1,205 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { X, Trash2, RotateCcw } from 'lucide-react';
+import { formatCurrency } from '../utils/calculations';
+import { getDaysUntilPurge, validateTrashRetentionDays, MAX_TRASH_RETENTION_DAYS } from '../utils/trash';
+
+/**
+ * ゴミ箱ダイアログコンポーネント
+ * 削除したプロジェクトを削除したユーザー・日時とともに表示し、復元・完全削除を行う
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Array} props.projects - ゴミ箱内のプロジェクト（削除日時の新しい順）
+ * @param {number} props.retentionDays - 保存期間（日数）
+ * @param {Function} props.onRestore - 復元する関数（プロジェクトを受け取る）
+ * @param {Function} props.onPurge - 完全削除する関数（プロジェクトを受け取る）
+ * @param {Function} [props.onRetentionDaysChange] - 保存期間を変更する関数（省略すると変更欄を表示しない）
+ * @param {Object} [props.processingIds={}] - 処理中のプロジェクトID（IDをキーとする）
+ * @param {boolean} [props.canManage=false] - 復元・完全削除の権限
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ */
+const TrashDialog = ({
+  isOpen,
+  onClose,
+  projects,
+  retentionDays,
+  onRestore,
+  onPurge,
+  onRetentionDaysChange,
+  processingIds = {},
+  canManage = false,
+  isLoading = false
+}) => {
+  const [retentionInput, setRetentionInput] = useState(String(retentionDays));
+  const [retentionError, setRetentionError] = useState('');
+
+  useEffect(() => {
+    setRetentionInput(String(retentionDays));
+    setRetentionError('');
+  }, [retentionDays, isOpen]);
+
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  const handleRetentionSubmit = useCallback((event) => {
+    event.preventDefault();
+    const error = validateTrashRetentionDays(retentionInput);
+    setRetentionError(error);
+    if (!error) {
+      onRetentionDaysChange(Number(retentionInput));
+    }
+  }, [retentionInput, onRetentionDaysChange]);
+
+  if (!isOpen) return null;
+
+  const columnCount = canManage ? 6 : 5;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="trash-dialog-title"
+    >
+      <div className="relative w-full max-w-5xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-red-100 rounded-full flex items-center justify-center">
+              <Trash2 className="w-6 h-6 text-red-600" />
+            </div>
+            <div>
+              <h3 id="trash-dialog-title" className="text-lg font-semibold text-gray-900">ゴミ箱</h3>
+              <p className="text-xs text-gray-500">
+                削除したプロジェクトは{retentionDays}日後に自動的に完全削除されます
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="ゴミ箱を閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {onRetentionDaysChange && (
+            <form onSubmit={handleRetentionSubmit} noValidate className="flex flex-wrap items-center gap-2 text-sm">
+              <label htmlFor="trash-retention-days" className="text-gray-600">保存期間</label>
+              <input
+                id="trash-retention-days"
+                type="number"
+                min="1"
+                max={MAX_TRASH_RETENTION_DAYS}
+                value={retentionInput}
+                onChange={(e) => setRetentionInput(e.target.value)}
+                className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-invalid={Boolean(retentionError)}
+                aria-describedby={retentionError ? 'trash-retention-error' : undefined}
+              />
+              <span className="text-gray-600">日</span>
+              <button
+                type="submit"
+                disabled={retentionInput === String(retentionDays)}
+                className="px-3 py-1 text-sm font-medium text-blue-700 bg-white border border-blue-200 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                保存
+              </button>
+              {retentionError && (
+                <p id="trash-retention-error" className="w-full text-xs text-red-600" role="alert">{retentionError}</p>
+              )}
+            </form>
+          )}
+
+          <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="ゴミ箱内のプロジェクト一覧">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">プロジェクト</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500">客出金額</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">削除日時</th>
+                <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">削除したユーザー</th>
+                <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500">完全削除まで</th>
+                {canManage && (
+                  <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-gray-500">操作</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {projects.length === 0 && !isLoading && (
+                <tr>
+                  <td colSpan={columnCount} className="px-3 py-6 text-center text-gray-500">ゴミ箱は空です</td>
+                </tr>
+              )}
+              {projects.map(project => {
+                const isProcessing = Boolean(processingIds[project.id]);
+                return (
+                  <tr key={project.id}>
+                    <td className="px-3 py-2 text-gray-900">
+                      <div className="font-medium">{project.title}</div>
+                      <div className="text-xs text-gray-500">
+                        {[project.project_number, project.client].filter(Boolean).join(' / ')}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 text-right whitespace-nowrap text-gray-700">
+                      {formatCurrency(project.customer_amount)}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                      {new Date(project.deleted_at).toLocaleString('ja-JP')}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">{project.deleted_by_email || '-'}</td>
+                    <td className="px-3 py-2 text-right whitespace-nowrap text-gray-700">
+                      {getDaysUntilPurge(project.deleted_at, retentionDays)}日
+                    </td>
+                    {canManage && (
+                      <td className="px-3 py-2 text-right whitespace-nowrap space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => onRestore(project)}
+                          disabled={isProcessing}
+                          className="inline-flex items-center px-2 py-1 text-xs font-medium text-blue-700 bg-white border border-blue-200 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                          aria-label={`プロジェクト「${project.title}」を復元`}
+                        >
+                          <RotateCcw className="w-3 h-3 mr-1" />
+                          復元
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onPurge(project)}
+                          disabled={isProcessing}
+                          className="inline-flex items-center px-2 py-1 text-xs font-medium text-white bg-red-600 border border-transparent rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                          aria-label={`プロジェクト「${project.title}」を完全に削除`}
+                        >
+                          <Trash2 className="w-3 h-3 mr-1" />
+                          完全削除
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {isLoading && <p className="text-sm text-gray-500">⏳ ゴミ箱を読み込み中...</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashDialog;
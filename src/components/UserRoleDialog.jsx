@@ -0,0 +1,139 @@
+import React, { useEffect, useCallback } from 'react';
+import { X, ShieldCheck } from 'lucide-react';
+import { USER_ROLES, normalizeRole } from '../utils/permissions';
+
+/**
+ * ユーザー権限の管理ダイアログコンポーネント
+ * システム管理者が組織のメンバーごとの権限（閲覧者・見積担当・マネージャー・システム管理者）を変更する
+ * 権限は組織ごとに設定するため、他の組織での権限は変わらない
+ *
+ * @param {Object} props - コンポーネントのプロパティ
+ * @param {boolean} props.isOpen - ダイアログの表示状態
+ * @param {Function} props.onClose - ダイアログを閉じる関数
+ * @param {Array} props.users - 組織のメンバー（user_id・email・role）
+ * @param {string} [props.organizationName=''] - 権限を変更する組織の名前
+ * @param {string} props.currentUserId - ログイン中のユーザーID（自分の権限は変更できない）
+ * @param {Function} props.onChangeRole - 権限を変更する関数（ユーザーID・権限コードを受け取る）
+ * @param {string|null} [props.updatingUserId=null] - 更新中のユーザーID
+ * @param {boolean} [props.isLoading=false] - 読み込み中の状態
+ */
+const UserRoleDialog = ({
+  isOpen,
+  onClose,
+  users,
+  organizationName = '',
+  currentUserId,
+  onChangeRole,
+  updatingUserId = null,
+  isLoading = false
+}) => {
+  // Escキーで閉じる
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, handleKeyDown]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 dialog-backdrop"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="user-role-dialog-title"
+    >
+      <div className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white rounded-lg shadow-xl dialog-content">
+        {/* ヘッダー */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+              <ShieldCheck className="w-6 h-6 text-blue-600" />
+            </div>
+            <div>
+              <h3 id="user-role-dialog-title" className="text-lg font-semibold text-gray-900">権限管理</h3>
+              <p className="text-xs text-gray-500">
+                {organizationName ? `${organizationName}での権限です。` : ''}組織に追加したユーザーは閲覧者として登録されます
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            aria-label="権限管理を閉じる"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <p className="p-6 text-sm text-gray-500">⏳ ユーザーを読み込み中...</p>
+        ) : (
+          <div className="p-6 space-y-4">
+            <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label="ユーザー権限一覧">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">ユーザー</th>
+                  <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500">権限</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {users.length === 0 ? (
+                  <tr>
+                    <td colSpan="2" className="px-3 py-4 text-center text-gray-500">ユーザーが登録されていません</td>
+                  </tr>
+                ) : (
+                  users.map(userRole => {
+                    const isSelf = userRole.user_id === currentUserId;
+                    const label = userRole.email || userRole.user_id;
+                    return (
+                      <tr key={userRole.user_id}>
+                        <td className="px-3 py-2 text-gray-900">
+                          {label}
+                          {isSelf && <span className="ml-2 text-xs text-gray-500">（自分）</span>}
+                        </td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={normalizeRole(userRole.role)}
+                            onChange={(e) => onChangeRole(userRole.user_id, e.target.value)}
+                            disabled={isSelf || updatingUserId === userRole.user_id}
+                            className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                            aria-label={`${label}の権限`}
+                            title={isSelf ? '自分の権限は変更できません' : undefined}
+                          >
+                            {USER_ROLES.map(role => (
+                              <option key={role.code} value={role.code}>{role.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-xs text-gray-600">
+              {USER_ROLES.map(role => (
+                <div key={role.code}>
+                  <dt className="font-medium text-gray-700">{role.label}</dt>
+                  <dd>{role.description}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserRoleDialog;
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import AuditLogDialog from '../AuditLogDialog';
+import { DEFAULT_AUDIT_FILTERS } from '../../utils/auditLog';
+
+const project = {
+  id: 'project-1',
+  project_number: 'P2026-001',
+  client: '山田建設',
+  title: '事務所改修工事',
+  customer_amount: 1200000,
+  status: 'submitted'
+};
+
+const logs = [
+  {
+    id: 2,
+    action: 'delete',
+    actor_id: 'user-1',
+    actor_email: 'manager@example.com',
+    before_data: project,
+    after_data: null,
+    created_at: '2026-10-19T03:00:00Z'
+  },
+  {
+    id: 1,
+    action: 'update',
+    actor_id: 'user-2',
+    actor_email: 'estimator@example.com',
+    before_data: project,
+    after_data: { ...project, status: 'won' },
+    created_at: '2026-10-18T03:00:00Z'
+  }
+];
+
+const actors = [
+  { actor_id: 'user-1', actor_email: 'manager@example.com' },
+  { actor_id: 'user-2', actor_email: 'estimator@example.com' }
+];
+
+describe('AuditLogDialog', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onFiltersChange: vi.fn(),
+      onLoadMore: vi.fn()
+    };
+  });
+
+  const renderDialog = (props = {}) => render(
+    <AuditLogDialog
+      isOpen
+      logs={logs}
+      actors={actors}
+      filters={DEFAULT_AUDIT_FILTERS}
+      {...handlers}
+      {...props}
+    />
+  );
+
+  it('操作・ユーザー・対象を一覧表示する', () => {
+    renderDialog();
+
+    const table = screen.getByRole('table', { name: '操作履歴一覧' });
+    expect(table).toHaveTextContent('削除');
+    expect(table).toHaveTextContent('manager@example.com');
+    expect(table).toHaveTextContent('P2026-001 / 山田建設 / 事務所改修工事');
+  });
+
+  it('更新の詳細は変更前後の値を表示する', () => {
+    renderDialog();
+
+    fireEvent.click(screen.getAllByText('表示')[1]);
+    expect(screen.getByText('提出済')).toHaveClass('line-through');
+    expect(screen.getByText('受注')).toBeInTheDocument();
+  });
+
+  it('ユーザー・操作で絞り込める', () => {
+    renderDialog();
+
+    fireEvent.change(screen.getByLabelText('ユーザー'), { target: { value: 'user-2' } });
+    expect(handlers.onFiltersChange).toHaveBeenCalledWith({ ...DEFAULT_AUDIT_FILTERS, actorId: 'user-2' });
+
+    fireEvent.change(screen.getByLabelText('操作'), { target: { value: 'import' } });
+    expect(handlers.onFiltersChange).toHaveBeenCalledWith({ ...DEFAULT_AUDIT_FILTERS, action: 'import' });
+  });
+
+  it('続きがある場合はさらに表示できる', () => {
+    renderDialog({ hasMore: true });
+
+    fireEvent.click(screen.getByText('さらに表示'));
+    expect(handlers.onLoadMore).toHaveBeenCalled();
+  });
+
+  it('該当する履歴がない場合はメッセージを表示する', () => {
+    renderDialog({ logs: [] });
+    expect(screen.getByText('該当する操作履歴はありません')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import BulkActionBar from '../BulkActionBar';
+
+const summary = { count: 2, totalNetAmount: 1600000, totalCustomerAmount: 2000000 };
+
+describe('BulkActionBar', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClearSelection: vi.fn(),
+      onExport: vi.fn(),
+      onDelete: vi.fn(),
+      onChangeStatus: vi.fn(),
+      onChangeManager: vi.fn()
+    };
+  });
+
+  it('選択件数と合計金額を表示する', () => {
+    render(<BulkActionBar summary={summary} {...handlers} />);
+
+    expect(screen.getByText('2件選択中')).toBeInTheDocument();
+    expect(screen.getByText(/2,000,000/)).toBeInTheDocument();
+  });
+
+  it('ステータスを選ぶと変更を依頼する', () => {
+    render(<BulkActionBar summary={summary} {...handlers} />);
+
+    fireEvent.change(screen.getByLabelText('選択したプロジェクトのステータスを変更'), { target: { value: 'won' } });
+    expect(handlers.onChangeStatus).toHaveBeenCalledWith('won');
+  });
+
+  it('担当者の項目と名前を指定して変更を依頼する', () => {
+    render(<BulkActionBar summary={summary} {...handlers} />);
+
+    fireEvent.change(screen.getByLabelText('変更する担当者'), { target: { value: 'sales_manager' } });
+    fireEvent.change(screen.getByLabelText('新しい担当者名'), { target: { value: ' 佐藤 ' } });
+    fireEvent.click(screen.getByText('担当者を変更'));
+
+    expect(handlers.onChangeManager).toHaveBeenCalledWith('sales_manager', '佐藤');
+  });
+
+  it('権限がない操作は表示しない', () => {
+    render(<BulkActionBar summary={summary} onClearSelection={handlers.onClearSelection} onExport={handlers.onExport} />);
+
+    expect(screen.queryByText('削除')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('選択したプロジェクトのステータスを変更')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('エクスポート'));
+    expect(handlers.onExport).toHaveBeenCalled();
+  });
+
+  it('処理中はボタンを無効にする', () => {
+    render(<BulkActionBar summary={summary} {...handlers} isProcessing />);
+
+    expect(screen.getByText('削除').closest('button')).toBeDisabled();
+    expect(screen.getByLabelText('選択を解除')).toBeDisabled();
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import BulkResultDialog from '../BulkResultDialog';
+
+const results = [
+  { project: { id: 'p1', title: '事務所改修工事', client: '山田建設' }, success: true, message: '' },
+  { project: { id: 'p2', title: '倉庫新築工事', client: '鈴木工業' }, success: false, message: 'プロジェクトの編集の権限がありません（現在の権限: 見積担当）。' }
+];
+
+describe('BulkResultDialog', () => {
+  it('成功・失敗の件数とプロジェクトごとの結果を表示する', () => {
+    render(<BulkResultDialog isOpen onClose={vi.fn()} title="一括削除" results={results} />);
+
+    expect(screen.getByText('一括削除の結果')).toBeInTheDocument();
+    expect(screen.getByText('成功 1件 / 失敗 1件')).toBeInTheDocument();
+    expect(screen.getByText('失敗: プロジェクトの編集の権限がありません（現在の権限: 見積担当）。')).toBeInTheDocument();
+  });
+
+  it('Escキーで閉じる', () => {
+    const onClose = vi.fn();
+    render(<BulkResultDialog isOpen onClose={onClose} title="一括削除" results={results} />);
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('閉じている時は何も表示しない', () => {
+    render(<BulkResultDialog isOpen={false} onClose={vi.fn()} title="一括削除" results={results} />);
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ClientCombobox from '../ClientCombobox';
+
+const clients = [
+  { id: 'client-1', name: '株式会社山田建設', name_kana: 'ヤマダケンセツ' },
+  { id: 'client-2', name: '鈴木工業', name_kana: 'スズキコウギョウ' }
+];
+
+describe('ClientCombobox', () => {
+  const renderCombobox = (props = {}) => {
+    const onChange = vi.fn();
+    render(<ClientCombobox id="client" name="client" value="" onChange={onChange} clients={clients} {...props} />);
+    return onChange;
+  };
+
+  it('入力中の文字列に一致する客先を候補に表示する', () => {
+    renderCombobox({ value: 'スズキ' });
+    const input = screen.getByRole('combobox');
+    fireEvent.focus(input);
+
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getAllByRole('option').map(option => option.textContent)).toEqual(['鈴木工業スズキコウギョウ']);
+  });
+
+  it('キーボードで候補を選択すると正式名称を入力する', () => {
+    const onChange = renderCombobox({ value: '山田' });
+    const input = screen.getByRole('combobox');
+    fireEvent.focus(input);
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onChange).toHaveBeenCalledWith({ target: { name: 'client', value: '株式会社山田建設' } });
+  });
+
+  it('表記ゆれの客先名には登録時に揃える正式名称を表示する', () => {
+    renderCombobox({ value: '㈱山田建設' });
+    expect(screen.getByText('登録時に客先マスタの「株式会社山田建設」に揃えます')).toBeInTheDocument();
+  });
+
+  it('客先マスタにない客先名は新しい客先として登録されることを表示する', () => {
+    renderCombobox({ value: '佐藤設備' });
+    expect(screen.getByText('客先マスタにない客先です（登録時に追加されます）')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ClientMasterDialog from '../ClientMasterDialog';
+
+const clients = [
+  { id: 'client-1', name: '山田建設', name_kana: 'ヤマダケンセツ', payment_terms: '月末締め翌月末払い', project_count: 3 },
+  { id: 'client-2', name: 'ヤマダ建設', project_count: 1 },
+  { id: 'client-3', name: '鈴木工業', project_count: 0 }
+];
+
+describe('ClientMasterDialog', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onSave: vi.fn().mockResolvedValue(true),
+      onDelete: vi.fn(),
+      onMerge: vi.fn().mockResolvedValue(true)
+    };
+  });
+
+  const renderDialog = (props = {}) => render(
+    <ClientMasterDialog isOpen clients={clients} canManage {...handlers} {...props} />
+  );
+
+  it('客先の一覧をプロジェクト数とともに表示し、検索で絞り込む', () => {
+    renderDialog();
+    expect(screen.getByText('月末締め翌月末払い')).toBeInTheDocument();
+    expect(screen.getByText('3件')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('客先を検索'), { target: { value: 'スズキ' } });
+    expect(screen.queryByText('鈴木工業')).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('客先を検索'), { target: { value: '鈴木' } });
+    expect(screen.getByText('鈴木工業')).toBeInTheDocument();
+    expect(screen.queryByText('山田建設')).not.toBeInTheDocument();
+  });
+
+  it('表記ゆれで重複する正式名称は登録できない', async () => {
+    renderDialog();
+    fireEvent.click(screen.getByRole('button', { name: '新規登録' }));
+    fireEvent.change(screen.getByLabelText(/正式名称/), { target: { value: '株式会社 山田建設' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('「山田建設」と同じ客先です');
+    expect(handlers.onSave).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText(/正式名称/), { target: { value: '佐藤設備' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+    await waitFor(() => expect(handlers.onSave).toHaveBeenCalledWith(expect.objectContaining({ name: '佐藤設備' }), null));
+  });
+
+  it('選択した客先を統合先に統合する', async () => {
+    renderDialog();
+    fireEvent.click(screen.getByLabelText('客先「山田建設」を統合の対象にする'));
+    fireEvent.click(screen.getByLabelText('客先「ヤマダ建設」を統合の対象にする'));
+    fireEvent.click(screen.getByRole('button', { name: '2件の客先を統合' }));
+
+    expect(screen.getByText(/1件のプロジェクトの客先が「山田建設」に変わり/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: '統合を実行' }));
+
+    await waitFor(() => expect(handlers.onMerge).toHaveBeenCalledWith(clients[0], [clients[1]]));
+  });
+
+  it('プロジェクトが紐付いている客先は削除できない', () => {
+    renderDialog();
+    expect(screen.getByLabelText('客先「山田建設」を削除')).toBeDisabled();
+    fireEvent.click(screen.getByLabelText('客先「鈴木工業」を削除'));
+    expect(handlers.onDelete).toHaveBeenCalledWith(clients[2]);
+  });
+
+  it('マネージャー未満は登録・統合の操作を表示しない', () => {
+    renderDialog({ canManage: false });
+    expect(screen.queryByRole('button', { name: '新規登録' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('checkbox')).not.toBeInTheDocument();
+  });
+});
@@ -52,7 +52,7 @@ describe('ConfirmationDialog', () => {
 
       expect(screen.getByRole('dialog')).toBeInTheDocument();
       expect(screen.getByText('削除の確認')).toBeInTheDocument();
-      expect(screen.getByText('以下のプロジェクトを削除してもよろしいですか？')).toBeInTheDocument();
+      expect(screen.getByText('以下のプロジェクトをゴミ箱に移動してもよろしいですか？')).toBeInTheDocument();
     });
 
     it('カスタムタイトルとメッセージが表示される', () => {
@@ -107,6 +107,34 @@ describe('ConfirmationDialog', () => {
     });
   });
 
+  describe('一括操作', () => {
+    it('対象プロジェクトの件数・合計金額・一覧を表示する', async () => {
+      const projects = [
+        { id: 'p1', client: 'テスト株式会社', title: '改修工事', net_amount: 800000, customer_amount: 1000000 },
+        { id: 'p2', client: 'サンプル建設', title: '新築工事', net_amount: 400000, customer_amount: 500000 }
+      ];
+
+      render(
+        <ConfirmationDialog
+          isOpen={true}
+          onClose={mockOnClose}
+          onConfirm={mockOnConfirm}
+          title="ステータスの一括変更"
+          projects={projects}
+          confirmLabel="受注に変更"
+          isDestructive={false}
+        />
+      );
+
+      expect(screen.getByText('対象プロジェクト 2件')).toBeInTheDocument();
+      expect(screen.getByText('¥1,500,000')).toBeInTheDocument();
+      expect(screen.getByRole('list', { name: '対象プロジェクト一覧' })).toHaveTextContent('サンプル建設 / 新築工事');
+
+      await user.click(screen.getByRole('button', { name: '選択した2件のプロジェクトに対して「受注に変更」を実行' }));
+      expect(mockOnConfirm).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('警告メッセージ', () => {
     it('重要な注意事項が表示される', () => {
       render(
@@ -119,7 +147,7 @@ describe('ConfirmationDialog', () => {
       );
 
       expect(screen.getByText('重要な注意事項')).toBeInTheDocument();
-      expect(screen.getByText('この操作は取り消せません。プロジェクトのすべてのデータが完全に削除されます。')).toBeInTheDocument();
+      expect(screen.getByText('削除したプロジェクトはゴミ箱から復元できます。保存期間を過ぎると完全に削除されます。')).toBeInTheDocument();
     });
   });
 
@@ -413,7 +441,7 @@ describe('ConfirmationDialog', () => {
       );
 
       const cancelButton = screen.getByLabelText('削除をキャンセルしてダイアログを閉じる');
-      const confirmButton = screen.getByLabelText(`プロジェクト「${mockProjectDetails.title}」を完全に削除する`);
+      const confirmButton = screen.getByLabelText(`プロジェクト「${mockProjectDetails.title}」をゴミ箱に移動する`);
       
       expect(cancelButton).toBeInTheDocument();
       expect(confirmButton).toBeInTheDocument();
@@ -440,4 +468,4 @@ describe('ConfirmationDialog', () => {
       expect(mockOnConfirmWithError).toHaveBeenCalledTimes(1);
     });
   });
-});
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import CsvExportDialog from '../CsvExportDialog';
+import { DEFAULT_CSV_EXPORT_SETTINGS } from '../../utils/delimitedText';
+
+const columns = ['工事番号', '版', '客先', '件名', '客出金額', '利益率(%)'];
+
+describe('CsvExportDialog', () => {
+  const renderDialog = (props = {}) => {
+    const onExport = vi.fn();
+    render(
+      <CsvExportDialog
+        isOpen
+        onClose={vi.fn()}
+        columns={columns}
+        initialSettings={DEFAULT_CSV_EXPORT_SETTINGS}
+        onExport={onExport}
+        {...props}
+      />
+    );
+    return onExport;
+  };
+
+  it('文字コード・区切り文字・列を選択して出力する', () => {
+    const onExport = renderDialog();
+
+    fireEvent.change(screen.getByLabelText('文字コード'), { target: { value: 'shift_jis' } });
+    fireEvent.change(screen.getByLabelText('区切り文字'), { target: { value: 'tab' } });
+    fireEvent.click(screen.getByLabelText('版'));
+    fireEvent.click(screen.getByText('ダウンロード'));
+
+    expect(screen.getByText(/「\?」に置き換えて出力します/)).toBeInTheDocument();
+    expect(onExport).toHaveBeenCalledWith({
+      encoding: 'shift_jis',
+      delimiter: 'tab',
+      columns: ['工事番号', '客先', '件名', '客出金額', '利益率(%)'],
+      selectedOnly: false
+    });
+  });
+
+  it('保存済みの列から始め、インポート用の列に切り替えられる', () => {
+    const onExport = renderDialog({ initialSettings: { encoding: 'utf-8', delimiter: 'comma', columns: ['件名', '工事番号'] } });
+
+    expect(screen.getByText('出力する列（2/6）')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('インポート用の列'));
+    fireEvent.click(screen.getByText('ダウンロード'));
+    expect(onExport).toHaveBeenCalledWith(expect.objectContaining({ columns: ['工事番号', '客先', '件名', '客出金額'] }));
+  });
+
+  it('列を選択していない場合は出力できない', () => {
+    renderDialog();
+
+    fireEvent.click(screen.getByText('すべて解除'));
+    expect(screen.getByText('ダウンロード').closest('button')).toBeDisabled();
+  });
+
+  it('一覧で選択中のプロジェクトがある場合は選択分のみ出力できる', () => {
+    const onExport = renderDialog({ selectedCount: 3 });
+
+    expect(screen.getByLabelText('選択中の3件のみ出力する')).toBeChecked();
+    fireEvent.click(screen.getByText('ダウンロード'));
+    expect(onExport).toHaveBeenCalledWith(expect.objectContaining({ selectedOnly: true }));
+  });
+});
@@ -278,7 +278,7 @@ describe('DeleteButton', () => {
       const description = document.getElementById(`delete-description-${mockProject.id}`);
       expect(description).toBeInTheDocument();
       expect(description).toHaveClass('sr-only');
-      expect(description).toHaveTextContent(`この操作は取り消せません。プロジェクト「${mockProject.title}」のすべてのデータが完全に削除されます。`);
+      expect(description).toHaveTextContent(`プロジェクト「${mockProject.title}」をゴミ箱に移動します。ゴミ箱から復元できます。`);
     });
 
     it('フォーカス可能である', () => {
@@ -369,4 +369,4 @@ describe('DeleteButton', () => {
       expect(mockOnDeleteWithError).toHaveBeenCalledTimes(1);
     });
   });
-});
\ No newline at end of file
+});
\ No newline at end of file
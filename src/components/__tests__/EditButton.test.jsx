@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import EditButton from '../EditButton';
+
+// テスト用のモックデータ
+const mockProject = {
+  id: 'test-project-1',
+  title: 'テストプロジェクト'
+};
+
+describe('EditButton', () => {
+  let mockOnEdit;
+  let user;
+
+  beforeEach(() => {
+    mockOnEdit = vi.fn();
+    user = userEvent.setup();
+  });
+
+  it('デフォルトプロパティで正しくレンダリングされる', () => {
+    render(
+      <EditButton
+        projectId={mockProject.id}
+        projectTitle={mockProject.title}
+        onEdit={mockOnEdit}
+      />
+    );
+
+    const button = screen.getByRole('button');
+    expect(button).toHaveAttribute('aria-label', `プロジェクト「${mockProject.title}」を編集`);
+    expect(screen.getByText('編集')).toBeInTheDocument();
+  });
+
+  it('アイコンのみ表示される（variant="icon"）', () => {
+    render(
+      <EditButton
+        projectId={mockProject.id}
+        projectTitle={mockProject.title}
+        onEdit={mockOnEdit}
+        variant="icon"
+      />
+    );
+
+    expect(screen.queryByText('編集')).not.toBeInTheDocument();
+    expect(document.querySelector('svg')).toBeInTheDocument();
+  });
+
+  it('クリックでプロジェクトIDを渡して編集を開始する', async () => {
+    render(
+      <EditButton
+        projectId={mockProject.id}
+        projectTitle={mockProject.title}
+        onEdit={mockOnEdit}
+      />
+    );
+
+    await user.click(screen.getByRole('button'));
+    expect(mockOnEdit).toHaveBeenCalledWith(mockProject.id);
+  });
+
+  it('更新中は無効化されクリックしても呼ばれない', async () => {
+    render(
+      <EditButton
+        projectId={mockProject.id}
+        projectTitle={mockProject.title}
+        onEdit={mockOnEdit}
+        isLoading={true}
+      />
+    );
+
+    const button = screen.getByRole('button');
+    expect(button).toBeDisabled();
+    expect(screen.getByText('更新中...')).toBeInTheDocument();
+
+    await user.click(button);
+    expect(mockOnEdit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import FollowUpDialog from '../FollowUpDialog';
+
+const project = { id: 'project-1', project_number: '2026-0001', client: '山田建設', title: '外壁改修' };
+
+const followUps = [
+  { id: 'follow-1', project_id: 'project-1', title: '提出から14日経過：客先へのフォローアップ', status: 'open', source: 'aging', due_date: '2020-01-01', assignee_id: 'user-1' },
+  { id: 'follow-2', project_id: 'project-1', title: '見積の再提出', status: 'open', source: 'manual', due_date: '2020-01-02', assignee_id: 'user-2', created_by: 'user-2' },
+  { id: 'follow-3', project_id: 'project-1', title: '図面を送付', status: 'done', source: 'manual', due_date: '2019-12-20', assignee_id: 'user-1', done_at: '2019-12-21T00:00:00Z', done_memo: 'メールで送付済み' }
+];
+
+const assigneeOptions = [
+  { value: 'user-1', label: '田中 太郎（自分）' },
+  { value: 'user-2', label: '佐藤花子' }
+];
+
+describe('FollowUpDialog', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onCreate: vi.fn().mockResolvedValue(true),
+      onComplete: vi.fn().mockResolvedValue(true),
+      onSnooze: vi.fn(),
+      onReopen: vi.fn(),
+      onDelete: vi.fn(),
+      canEdit: vi.fn().mockReturnValue(true)
+    };
+  });
+
+  const renderDialog = (props = {}) => render(
+    <FollowUpDialog
+      isOpen
+      project={project}
+      followUps={followUps}
+      assigneeOptions={assigneeOptions}
+      defaultAssigneeId="user-1"
+      canCreate
+      {...handlers}
+      {...props}
+    />
+  );
+
+  it('入力内容を検証してからフォローアップを登録する', async () => {
+    renderDialog();
+    fireEvent.click(screen.getByRole('button', { name: 'フォローアップを追加' }));
+    expect(screen.getByLabelText('対応するユーザー')).toHaveValue('user-1');
+
+    fireEvent.click(screen.getByRole('button', { name: '登録' }));
+    expect(screen.getByText('内容を入力してください')).toBeInTheDocument();
+    expect(handlers.onCreate).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText(/^内容/), { target: { value: '客先に電話する' } });
+    fireEvent.change(screen.getByLabelText(/^期日/), { target: { value: '2026-11-01' } });
+    fireEvent.change(screen.getByLabelText('対応するユーザー'), { target: { value: 'user-2' } });
+    fireEvent.click(screen.getByRole('button', { name: '登録' }));
+
+    await waitFor(() => {
+      expect(handlers.onCreate).toHaveBeenCalledWith({ title: '客先に電話する', due_date: '2026-11-01', assignee_id: 'user-2' });
+    });
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'フォローアップを追加' })).toBeInTheDocument();
+    });
+  });
+
+  it('未完了と完了を分けて表示し、完了したものはメモとともに未完了に戻せる', () => {
+    renderDialog();
+    const openList = screen.getByRole('list', { name: '未完了のフォローアップ' });
+    expect(within(openList).getByText('自動')).toBeInTheDocument();
+    expect(within(openList).getByText(/対応: 佐藤花子/)).toBeInTheDocument();
+
+    const doneList = screen.getByRole('list', { name: '完了したフォローアップ' });
+    expect(within(doneList).getByText(/メールで送付済み/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: '「図面を送付」を未完了に戻す' }));
+    expect(handlers.onReopen).toHaveBeenCalledWith(followUps[2]);
+  });
+
+  it('削除できるのは手動で登録したものだけで、操作できないものには操作を表示しない', () => {
+    handlers.canEdit.mockImplementation(followUp => followUp.assignee_id === 'user-1');
+    renderDialog();
+
+    expect(screen.queryByRole('button', { name: '「提出から14日経過：客先へのフォローアップ」を削除' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: '「提出から14日経過：客先へのフォローアップ」を完了にする' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: '「見積の再提出」を完了にする' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: '「見積の再提出」を削除' })).not.toBeInTheDocument();
+  });
+
+  it('登録の権限がない場合は追加ボタンを表示せず、Escキーで閉じる', () => {
+    renderDialog({ canCreate: false });
+    expect(screen.queryByRole('button', { name: 'フォローアップを追加' })).not.toBeInTheDocument();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(handlers.onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FollowUpPanel from '../FollowUpPanel';
+
+const followUps = [
+  {
+    id: 'follow-1',
+    title: '提出から30日経過：客先へのフォローアップ',
+    status: 'open',
+    due_date: '2020-01-01',
+    source: 'aging',
+    project: { id: 'project-1', project_number: '2026-0001', client: '山田建設', title: '外壁改修' }
+  }
+];
+
+describe('FollowUpPanel', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onComplete: vi.fn().mockResolvedValue(true),
+      onSnooze: vi.fn(),
+      onOpenProject: vi.fn()
+    };
+  });
+
+  const renderPanel = (props = {}) => render(
+    <FollowUpPanel followUps={followUps} thresholds={[14, 30]} {...handlers} {...props} />
+  );
+
+  it('今日対応するフォローアップを表示し、メモを入力して完了にする', async () => {
+    renderPanel();
+    expect(screen.getByText('1件')).toBeInTheDocument();
+    expect(screen.getByText(/日超過$/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'プロジェクト「外壁改修」のフォローアップを開く' }));
+    expect(handlers.onOpenProject).toHaveBeenCalledWith(followUps[0].project);
+
+    fireEvent.click(screen.getByRole('button', { name: '「提出から30日経過：客先へのフォローアップ」を完了にする' }));
+    fireEvent.change(screen.getByLabelText('対応内容のメモ（任意）'), { target: { value: ' 電話済み。来週回答 ' } });
+    fireEvent.click(screen.getByRole('button', { name: '完了にする' }));
+
+    await waitFor(() => {
+      expect(handlers.onComplete).toHaveBeenCalledWith(followUps[0], '電話済み。来週回答');
+    });
+    await waitFor(() => {
+      expect(screen.queryByLabelText('対応内容のメモ（任意）')).not.toBeInTheDocument();
+    });
+  });
+
+  it('選択した日数でスヌーズする', () => {
+    renderPanel();
+    fireEvent.change(screen.getByLabelText('「提出から30日経過：客先へのフォローアップ」をスヌーズ'), { target: { value: '3' } });
+    expect(handlers.onSnooze).toHaveBeenCalledWith(followUps[0], 3);
+  });
+
+  it('対応するものがない場合はその旨を表示し、しきい値の変更欄は権限がある場合のみ表示する', () => {
+    renderPanel({ followUps: [] });
+    expect(screen.getByText('今日対応するフォローアップはありません')).toBeInTheDocument();
+    expect(screen.queryByLabelText('リマインダーを作成する経過日数')).not.toBeInTheDocument();
+  });
+
+  it('しきい値を検証してから変更する', () => {
+    const onThresholdsChange = vi.fn();
+    renderPanel({ onThresholdsChange });
+    const input = screen.getByLabelText('リマインダーを作成する経過日数');
+
+    fireEvent.change(input, { target: { value: '14, 400' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('しきい値は1〜365の整数で入力してください');
+    expect(onThresholdsChange).not.toHaveBeenCalled();
+
+    fireEvent.change(input, { target: { value: '7, 14, 30' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+    expect(onThresholdsChange).toHaveBeenCalledWith([7, 14, 30]);
+  });
+});
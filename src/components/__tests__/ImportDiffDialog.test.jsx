@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportDiffDialog from '../ImportDiffDialog';
+
+const existing = { id: 'existing-1', project_number: 'P2026-001', client: '鈴木工業', title: '倉庫新築工事', customer_amount: 1000000 };
+
+const plan = {
+  inserts: [{ row: { rowNumber: 3, project: { project_number: 'P2026-099', client: '山田建設', title: '事務所改修工事', customer_amount: 500000 } } }],
+  updates: [{
+    row: { rowNumber: 2 },
+    existing,
+    changes: [{ key: 'customer_amount', label: '客出金額', type: 'currency', before: 1000000, after: 1200000 }],
+    patch: { id: 'existing-1', customer_amount: 1200000 }
+  }],
+  unchanged: [],
+  skipped: [{ row: { rowNumber: 4 }, reason: '工事番号がファイル内の行2と重複しています' }],
+  missing: [{ id: 'existing-2', project_number: 'P2026-002', client: '佐藤商事', title: '店舗内装工事' }]
+};
+
+describe('ImportDiffDialog', () => {
+  const renderDialog = (props = {}) => render(
+    <ImportDiffDialog isOpen plan={plan} matchKeyLabel="工事番号" onClose={vi.fn()} onConfirm={vi.fn()} {...props} />
+  );
+
+  it('件数と項目ごとの変更前後を表示する', () => {
+    renderDialog();
+
+    const table = screen.getByRole('table', { name: '更新するプロジェクトの変更点' });
+    expect(table).toHaveTextContent('客出金額');
+    expect(table).toHaveTextContent('1,000,000');
+    expect(table).toHaveTextContent('1,200,000');
+    expect(screen.getByText('行4: 工事番号がファイル内の行2と重複しています')).toBeInTheDocument();
+    expect(screen.queryByText('ファイルにない既存のプロジェクト')).not.toBeInTheDocument();
+  });
+
+  it('flagMissing の場合はファイルにない既存のプロジェクトを表示する', () => {
+    renderDialog({ flagMissing: true });
+
+    expect(screen.getByRole('list', { name: 'ファイルにない既存のプロジェクト' })).toHaveTextContent('P2026-002 / 佐藤商事 / 店舗内装工事');
+  });
+
+  it('実行ボタンで登録・更新を確定する', () => {
+    const onConfirm = vi.fn();
+    renderDialog({ onConfirm });
+
+    fireEvent.click(screen.getByRole('button', { name: '登録 1件・更新 1件を実行' }));
+    expect(onConfirm).toHaveBeenCalled();
+  });
+
+  it('登録・更新するものがない場合は実行できない', () => {
+    renderDialog({ plan: { ...plan, inserts: [], updates: [] } });
+
+    expect(screen.getByRole('button', { name: '登録 0件・更新 0件を実行' })).toBeDisabled();
+  });
+});
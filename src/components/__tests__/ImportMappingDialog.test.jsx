@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportMappingDialog from '../ImportMappingDialog';
+import { suggestImportSettings } from '../../utils/importMapping';
+
+const sheets = [
+  {
+    name: '見積一覧',
+    rows: [
+      ['見積一覧表', '', '', '', '', ''],
+      ['工番', '得意先名', '工事名', '原価', '見積金額', '見積日'],
+      ['K-001', '山田建設', '事務所改修工事', 800000, 1000000, '2026/10/01']
+    ]
+  }
+];
+
+const initialSettings = suggestImportSettings(sheets);
+
+describe('ImportMappingDialog', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onApply: vi.fn(),
+      onSaveTemplate: vi.fn().mockResolvedValue(true),
+      onDeleteTemplate: vi.fn()
+    };
+  });
+
+  const renderDialog = (props = {}) => render(
+    <ImportMappingDialog
+      isOpen
+      fileName="partner.xlsx"
+      sheets={sheets}
+      initialSettings={initialSettings}
+      templates={[]}
+      {...handlers}
+      {...props}
+    />
+  );
+
+  it('推定した見出し行・列と1行目の値を表示する', () => {
+    renderDialog();
+
+    expect(screen.getByLabelText('見出し行')).toHaveValue(2);
+    expect(screen.getByLabelText('客先の列')).toHaveValue('得意先名');
+    expect(screen.getByLabelText('営業担当者の列')).toHaveValue('');
+    expect(screen.getByRole('table', { name: '項目と列の対応' })).toHaveTextContent('山田建設');
+  });
+
+  it('必須項目の列が選択されていない場合は確定しない', () => {
+    renderDialog();
+
+    fireEvent.change(screen.getByLabelText('件名の列'), { target: { value: '' } });
+    fireEvent.click(screen.getByText('次へ（内容の確認）'));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('件名の列を選択してください');
+    expect(handlers.onApply).not.toHaveBeenCalled();
+  });
+
+  it('確定すると選択した設定を渡す', () => {
+    renderDialog();
+
+    fireEvent.change(screen.getByLabelText('工事番号の列'), { target: { value: '' } });
+    fireEvent.click(screen.getByText('次へ（内容の確認）'));
+
+    expect(handlers.onApply).toHaveBeenCalledWith({
+      sheetName: '見積一覧',
+      headerRow: 2,
+      mapping: expect.objectContaining({ '工事番号': '', '客先': '得意先名' })
+    });
+  });
+
+  it('名前を付けてテンプレートとして保存する', () => {
+    renderDialog();
+
+    fireEvent.change(screen.getByLabelText('テンプレート名'), { target: { value: ' 協力会社の書式 ' } });
+    fireEvent.click(screen.getByText('テンプレートとして保存'));
+
+    expect(handlers.onSaveTemplate).toHaveBeenCalledWith('協力会社の書式', initialSettings);
+  });
+
+  it('自動的に適用したテンプレートを表示する', () => {
+    const template = { id: 't1', name: '協力会社の書式', sheet_name: '見積一覧', header_row: 2, mapping: initialSettings.mapping };
+    renderDialog({ templates: [template], detectedTemplate: template });
+
+    expect(screen.getByText(/テンプレート「協力会社の書式」を自動的に適用しました/)).toBeInTheDocument();
+    expect(screen.getByLabelText('テンプレート')).toHaveValue('t1');
+
+    fireEvent.click(screen.getByLabelText('テンプレート「協力会社の書式」を削除'));
+    expect(handlers.onDeleteTemplate).toHaveBeenCalledWith(template);
+  });
+});
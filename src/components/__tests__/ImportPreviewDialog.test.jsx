@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportPreviewDialog from '../ImportPreviewDialog';
+import { createImportRows } from '../../utils/importPreview';
+
+const context = {
+  organizationId: 'org-a',
+  existingProjects: [{ id: 'existing-1', project_number: 'P2026-001', client: '鈴木工業', title: '倉庫新築工事', submission_date: '2026-09-01' }]
+};
+
+const validRow = { '客先': '山田建設', '件名': '事務所改修工事', 'ネット金額': 800000, '客出金額': 1000000, '提出日': '2026-10-01' };
+
+const rows = createImportRows([
+  validRow,
+  { ...validRow, '工事番号': 'P2026-001' },
+  { ...validRow, 'ネット金額': 'abc' }
+].map((values, index) => ({ rowNumber: index + 2, values })), context);
+
+describe('ImportPreviewDialog', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onChangeCell: vi.fn(),
+      onToggleInclude: vi.fn(),
+      onDownloadErrorReport: vi.fn(),
+      onCommit: vi.fn()
+    };
+  });
+
+  const renderDialog = (props = {}) => render(
+    <ImportPreviewDialog isOpen fileName="projects.xlsx" rows={rows} {...handlers} {...props} />
+  );
+
+  it('全行の検証結果と重複候補を表示する', () => {
+    renderDialog();
+
+    expect(screen.getByText(/全3行 \/ 取り込み 1件 \/ エラー 1件 \/ 重複候補 1件/)).toBeInTheDocument();
+    expect(screen.getByText('ネット金額が無効です。')).toBeInTheDocument();
+    expect(screen.getByText(/重複候補: 工事番号が既存のプロジェクトと重複しています/)).toBeInTheDocument();
+    expect(screen.getByLabelText('行4のネット金額')).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  it('エラーのある行は取り込み対象にできない', () => {
+    renderDialog();
+
+    expect(screen.getByLabelText('行2を取り込む')).toBeChecked();
+    expect(screen.getByLabelText('行3を取り込む')).not.toBeChecked();
+    expect(screen.getByLabelText('行4を取り込む')).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText('行3を取り込む'));
+    expect(handlers.onToggleInclude).toHaveBeenCalledWith(3);
+  });
+
+  it('セルを修正すると行番号・列・値を渡す', () => {
+    renderDialog();
+
+    fireEvent.change(screen.getByLabelText('行4のネット金額'), { target: { value: '900000' } });
+    expect(handlers.onChangeCell).toHaveBeenCalledWith(4, 'ネット金額', '900000');
+  });
+
+  it('エラーのある行のみに絞り込める', () => {
+    renderDialog();
+
+    fireEvent.click(screen.getByLabelText('エラーのある行のみ表示'));
+    expect(screen.queryByLabelText('行2を取り込む')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('行4を取り込む')).toBeInTheDocument();
+  });
+
+  it('取り込み対象の件数を表示して登録する', () => {
+    renderDialog();
+
+    fireEvent.click(screen.getByText('1件をインポート'));
+    expect(handlers.onCommit).toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('エラーレポート'));
+    expect(handlers.onDownloadErrorReport).toHaveBeenCalled();
+  });
+
+  it('更新モードでは照合キーを選択し、差分の確認に進む', () => {
+    const onChangeImportOptions = vi.fn();
+    renderDialog({ mode: 'upsert', onChangeImportOptions });
+
+    expect(screen.getByText(/既存と一致: 工事番号が既存のプロジェクトと重複しています/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('照合キー'), { target: { value: 'client_title_date' } });
+    expect(onChangeImportOptions).toHaveBeenCalledWith({ matchKey: 'client_title_date' });
+
+    fireEvent.click(screen.getByLabelText('ファイルにない既存のプロジェクトを表示'));
+    expect(onChangeImportOptions).toHaveBeenCalledWith({ flagMissing: true });
+
+    fireEvent.click(screen.getByText('差分を確認（1件）'));
+    expect(handlers.onCommit).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportProgressDialog from '../ImportProgressDialog';
+import { createImportJob } from '../../utils/importJob';
+
+const baseJob = createImportJob({
+  fileName: 'projects.xlsx',
+  organizationId: 'org-a',
+  inserts: Array.from({ length: 10 }, (_, index) => ({ title: `工事${index + 1}` })),
+  batchSize: 4,
+  id: 'job-1'
+});
+
+describe('ImportProgressDialog', () => {
+  const renderDialog = (job, props = {}) => {
+    const handlers = { onCancel: vi.fn(), onResume: vi.fn(), onClose: vi.fn() };
+    render(<ImportProgressDialog job={job} {...handlers} {...props} />);
+    return handlers;
+  };
+
+  it('実行中は進捗を表示し、中止できる', () => {
+    const handlers = renderDialog({ ...baseJob, status: 'running', nextBatch: 1, processedRows: 4, inserted: 4, retryAttempt: 2 });
+
+    expect(screen.getByRole('progressbar', { name: 'インポートの進捗' })).toHaveAttribute('aria-valuenow', '40');
+    expect(screen.getByText('バッチ 1 / 3')).toBeInTheDocument();
+    expect(screen.getByText('通信エラーのため再試行しています（2回目）')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('中止'));
+    expect(handlers.onCancel).toHaveBeenCalled();
+    expect(screen.queryByText('再開')).not.toBeInTheDocument();
+  });
+
+  it('失敗した場合はエラーを表示し、登録済みのバッチの次から再開できる', () => {
+    const handlers = renderDialog(
+      { ...baseJob, status: 'failed', nextBatch: 2, processedRows: 8, inserted: 8, error: new Error('timeout') },
+      { errorMessage: 'インポートエラー: timeout' }
+    );
+
+    expect(screen.getByRole('alert')).toHaveTextContent('インポートエラー: timeout');
+    expect(screen.getByText(/バッチ3から続けて登録します/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('再開'));
+    expect(handlers.onResume).toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('閉じる'));
+    expect(handlers.onClose).toHaveBeenCalled();
+  });
+
+  it('前回中断したジョブは中断したことを表示し、再開できる', () => {
+    const handlers = renderDialog({ ...baseJob, status: 'interrupted', nextBatch: 1, processedRows: 4, inserted: 4 });
+
+    expect(screen.getByText('インポート（中断）')).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('前回のインポートが途中で中断されています。登録済みの4件はそのまま残ります。');
+
+    fireEvent.click(screen.getByText('再開'));
+    expect(handlers.onResume).toHaveBeenCalled();
+  });
+
+  it('ジョブがない場合は表示しない', () => {
+    const { container } = render(<ImportProgressDialog job={null} onCancel={vi.fn()} onResume={vi.fn()} onClose={vi.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import NotificationSystem, { createDeleteSuccessNotification } from '../NotificationSystem';
+
+describe('NotificationSystem', () => {
+  it('操作ボタンのない通知はボタンを表示しない', () => {
+    render(
+      <NotificationSystem
+        notifications={[createDeleteSuccessNotification('事務所改修工事')]}
+        onRemoveNotification={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('事務所改修工事')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: '元に戻す' })).not.toBeInTheDocument();
+  });
+
+  it('操作ボタンをクリックすると操作を実行して通知を閉じる', () => {
+    vi.useFakeTimers();
+    try {
+      const onUndo = vi.fn();
+      const onRemoveNotification = vi.fn();
+      const notification = createDeleteSuccessNotification('事務所改修工事', '客先: 山田建設', {
+        duration: 8000,
+        actions: [{ label: '元に戻す', onClick: onUndo }]
+      });
+
+      render(<NotificationSystem notifications={[notification]} onRemoveNotification={onRemoveNotification} />);
+      fireEvent.click(screen.getByRole('button', { name: '元に戻す' }));
+
+      expect(onUndo).toHaveBeenCalledTimes(1);
+      act(() => {
+        vi.advanceTimersByTime(200);
+      });
+      expect(onRemoveNotification).toHaveBeenCalledWith(notification.id);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('createDeleteSuccessNotification は表示時間と操作ボタンを指定できる', () => {
+    const onClick = vi.fn();
+    const notification = createDeleteSuccessNotification('事務所改修工事', '', {
+      duration: 8000,
+      actions: [{ label: '元に戻す', onClick }]
+    });
+
+    expect(notification).toMatchObject({
+      type: 'delete-success',
+      projectTitle: '事務所改修工事',
+      duration: 8000,
+      actions: [{ label: '元に戻す', onClick }]
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import OrganizationSwitcher from '../OrganizationSwitcher';
+
+const organizations = [
+  { id: 'org-a', name: 'A工務店' },
+  { id: 'org-b', name: 'B建設' }
+];
+
+describe('OrganizationSwitcher', () => {
+  it('所属している組織がない場合は何も表示しない', () => {
+    const { container } = render(
+      <OrganizationSwitcher organizations={[]} currentOrganizationId={null} onChange={vi.fn()} />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('組織が1つの場合は組織名のみ表示する', () => {
+    render(
+      <OrganizationSwitcher organizations={[organizations[0]]} currentOrganizationId="org-a" onChange={vi.fn()} />
+    );
+    expect(screen.getByText('A工務店')).toBeInTheDocument();
+    expect(screen.queryByLabelText('組織を切り替え')).not.toBeInTheDocument();
+  });
+
+  it('複数の組織から選んで切り替えられる', () => {
+    const mockOnChange = vi.fn();
+    render(
+      <OrganizationSwitcher organizations={organizations} currentOrganizationId="org-a" onChange={mockOnChange} />
+    );
+
+    const select = screen.getByLabelText('組織を切り替え');
+    expect(select).toHaveValue('org-a');
+
+    fireEvent.change(select, { target: { value: 'org-b' } });
+    expect(mockOnChange).toHaveBeenCalledWith('org-b');
+  });
+
+  it('無効化されている場合は切り替えできない', () => {
+    render(
+      <OrganizationSwitcher organizations={organizations} currentOrganizationId="org-a" onChange={vi.fn()} disabled />
+    );
+    expect(screen.getByLabelText('組織を切り替え')).toBeDisabled();
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import ProjectDetailPanel from '../ProjectDetailPanel';
+
+const project = {
+  id: 'project-1',
+  project_number: '2026-0001',
+  client: '山田建設',
+  title: '外壁改修',
+  net_amount: 100000,
+  customer_amount: 110000,
+  status: 'on_hold',
+  submission_date: '2026-10-01'
+};
+
+const activities = [
+  { id: 'activity-3', kind: 'phone', body: '先方より値引きの相談', author_id: 'user-1', author_email: 'tanaka@example.com', created_at: '2026-10-10T01:00:00Z' },
+  {
+    id: 'activity-2',
+    kind: 'change',
+    before_data: { net_amount: 100000, customer_amount: 120000, status: 'submitted' },
+    after_data: { net_amount: 100000, customer_amount: 110000, status: 'on_hold' },
+    author_id: 'user-2',
+    author_email: 'sato@example.com',
+    created_at: '2026-10-05T01:00:00Z'
+  },
+  {
+    id: 'activity-1',
+    kind: 'change',
+    before_data: null,
+    after_data: { net_amount: 100000, customer_amount: 120000, status: 'submitted' },
+    author_id: 'user-2',
+    author_email: 'sato@example.com',
+    created_at: '2026-10-01T01:00:00Z'
+  }
+];
+
+describe('ProjectDetailPanel', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onCreate: vi.fn().mockResolvedValue(true),
+      onDelete: vi.fn(),
+      canDelete: vi.fn(activity => activity.kind !== 'change')
+    };
+  });
+
+  const renderPanel = (props = {}) => render(
+    <ProjectDetailPanel isOpen project={project} activities={activities} canCreate {...handlers} {...props} />
+  );
+
+  it('経過と金額・ステータスの変更を同じタイムラインに表示する', () => {
+    renderPanel();
+    const items = within(screen.getByRole('list', { name: '経過のタイムライン' })).getAllByRole('listitem');
+    expect(items).toHaveLength(3);
+
+    expect(within(items[0]).getByText('電話')).toBeInTheDocument();
+    expect(within(items[0]).getByText('先方より値引きの相談')).toBeInTheDocument();
+    expect(within(items[0]).getByText('tanaka@example.com')).toBeInTheDocument();
+
+    expect(within(items[1]).getByText('変更')).toBeInTheDocument();
+    expect(within(items[1]).getByText('客出金額')).toBeInTheDocument();
+    expect(within(items[1]).getByText('保留')).toBeInTheDocument();
+    expect(within(items[1]).queryByText('ネット金額')).not.toBeInTheDocument();
+
+    expect(within(items[2]).getByText('登録')).toBeInTheDocument();
+  });
+
+  it('種類を選んで経過を記録し、内容が空の場合は記録しない', async () => {
+    renderPanel();
+    fireEvent.click(screen.getByRole('button', { name: '記録する' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('内容を入力してください');
+    expect(handlers.onCreate).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByLabelText('訪問'));
+    fireEvent.change(screen.getByLabelText('内容'), { target: { value: '現地で仕様を確認' } });
+    fireEvent.click(screen.getByRole('button', { name: '記録する' }));
+
+    await waitFor(() => {
+      expect(handlers.onCreate).toHaveBeenCalledWith({ kind: 'visit', body: '現地で仕様を確認' });
+    });
+    await waitFor(() => {
+      expect(screen.getByLabelText('内容')).toHaveValue('');
+    });
+    expect(screen.getByLabelText('訪問')).toBeChecked();
+  });
+
+  it('削除できる経過にのみ削除ボタンを表示する', () => {
+    renderPanel();
+    const deleteButtons = screen.getAllByRole('button', { name: /を削除$/ });
+    expect(deleteButtons).toHaveLength(1);
+
+    fireEvent.click(deleteButtons[0]);
+    expect(handlers.onDelete).toHaveBeenCalledWith(activities[0]);
+  });
+
+  it('記録の権限がない場合は入力欄を表示せず、Escキーで閉じる', () => {
+    renderPanel({ canCreate: false, activities: [] });
+    expect(screen.queryByLabelText('内容')).not.toBeInTheDocument();
+    expect(screen.getByText('経過はまだ記録されていません')).toBeInTheDocument();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(handlers.onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import ProjectFilterBar from '../ProjectFilterBar';
+import { DEFAULT_PROJECT_FILTERS } from '../../utils/projectFilters';
+
+const managerOptions = {
+  construction: ['田中太郎', '鈴木一郎'],
+  sales: ['佐藤花子']
+};
+
+describe('ProjectFilterBar', () => {
+  let mockOnChange;
+  let mockOnReset;
+
+  beforeEach(() => {
+    mockOnChange = vi.fn();
+    mockOnReset = vi.fn();
+  });
+
+  const renderFilterBar = (filters = DEFAULT_PROJECT_FILTERS) => render(
+    <ProjectFilterBar
+      filters={filters}
+      onChange={mockOnChange}
+      onReset={mockOnReset}
+      managerOptions={managerOptions}
+    />
+  );
+
+  it('検索語は入力が止まってから反映される', () => {
+    vi.useFakeTimers();
+    try {
+      renderFilterBar();
+
+      fireEvent.change(screen.getByLabelText('工事番号・客先・件名で検索'), { target: { value: '改修' } });
+      expect(mockOnChange).not.toHaveBeenCalled();
+
+      act(() => {
+        vi.advanceTimersByTime(300);
+      });
+      expect(mockOnChange).toHaveBeenCalledWith({ ...DEFAULT_PROJECT_FILTERS, search: '改修' });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('ステータスを変更すると条件を通知する', () => {
+    renderFilterBar();
+
+    fireEvent.change(screen.getByLabelText('ステータスで絞り込み'), { target: { value: 'won' } });
+    expect(mockOnChange).toHaveBeenCalledWith({ ...DEFAULT_PROJECT_FILTERS, status: 'won' });
+  });
+
+  it('詳細条件で担当者・金額・提出日を指定できる', () => {
+    renderFilterBar();
+
+    fireEvent.click(screen.getByRole('button', { name: '詳細条件' }));
+    fireEvent.change(screen.getByLabelText('工事担当者'), { target: { value: '鈴木一郎' } });
+    expect(mockOnChange).toHaveBeenLastCalledWith({ ...DEFAULT_PROJECT_FILTERS, constructionManager: '鈴木一郎' });
+
+    fireEvent.change(screen.getByLabelText('客出金額の下限'), { target: { value: '500000' } });
+    expect(mockOnChange).toHaveBeenLastCalledWith({ ...DEFAULT_PROJECT_FILTERS, amountMin: '500000' });
+
+    fireEvent.change(screen.getByLabelText('提出日の終了'), { target: { value: '2026-09-30' } });
+    expect(mockOnChange).toHaveBeenLastCalledWith({ ...DEFAULT_PROJECT_FILTERS, submittedTo: '2026-09-30' });
+  });
+
+  it('詳細条件が指定されている場合は最初から展開して表示する', () => {
+    renderFilterBar({ ...DEFAULT_PROJECT_FILTERS, salesManager: '佐藤花子' });
+
+    expect(screen.getByLabelText('営業担当者')).toHaveValue('佐藤花子');
+  });
+
+  it('条件がある場合のみクリアボタンを表示する', () => {
+    const { unmount } = renderFilterBar();
+    expect(screen.queryByRole('button', { name: /条件をクリア/ })).not.toBeInTheDocument();
+    unmount();
+
+    renderFilterBar({ ...DEFAULT_PROJECT_FILTERS, search: '改修', status: 'lost' });
+    fireEvent.click(screen.getByRole('button', { name: '条件をクリア（2）' }));
+    expect(mockOnReset).toHaveBeenCalled();
+  });
+});
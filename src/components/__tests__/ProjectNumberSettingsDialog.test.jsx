@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ProjectNumberSettingsDialog from '../ProjectNumberSettingsDialog';
+
+describe('ProjectNumberSettingsDialog', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onSave: vi.fn().mockResolvedValue(true)
+    };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('採番形式から工事番号の例を表示する', () => {
+    render(<ProjectNumberSettingsDialog isOpen format="P{年度:2}-{連番:3}" {...handlers} />);
+
+    expect(screen.getByLabelText('工事番号を自動採番する')).toBeChecked();
+    // 今年度の1・2番目と、次の年度の1番目
+    expect(screen.getAllByText(/^P\d{2}-001$/)).toHaveLength(2);
+    expect(screen.getByText(/^P\d{2}-002$/)).toBeInTheDocument();
+  });
+
+  it('年度の切り替わる日の早朝は端末の日付で年度を判定する', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 3, 1, 0, 30));
+
+    render(<ProjectNumberSettingsDialog isOpen format="P{年度}-{連番:3}" {...handlers} />);
+
+    expect(screen.getByText('P2026-001')).toBeInTheDocument();
+    expect(screen.getByText('P2027-001')).toBeInTheDocument();
+    expect(screen.queryByText('P2025-001')).not.toBeInTheDocument();
+  });
+
+  it('記号を追加して採番形式を保存する', async () => {
+    render(<ProjectNumberSettingsDialog isOpen format={null} {...handlers} />);
+    expect(screen.getByLabelText('採番形式')).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText('工事番号を自動採番する'));
+    fireEvent.change(screen.getByLabelText('採番形式'), { target: { value: '{年度}-' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('採番形式に{連番}を含めてください');
+    expect(handlers.onSave).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByLabelText('{連番:4}を採番形式に追加'));
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+    await waitFor(() => expect(handlers.onSave).toHaveBeenCalledWith('{年度}-{連番:4}'));
+    expect(handlers.onClose).toHaveBeenCalled();
+  });
+
+  it('自動採番をやめる場合は null を保存する', async () => {
+    render(<ProjectNumberSettingsDialog isOpen format="{年度}-{連番:4}" {...handlers} />);
+    fireEvent.click(screen.getByLabelText('工事番号を自動採番する'));
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+    await waitFor(() => expect(handlers.onSave).toHaveBeenCalledWith(null));
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import QuotationDocument from '../QuotationDocument';
+import { buildQuotationData } from '../../utils/quotation';
+
+const project = {
+  id: 'project-1',
+  project_number: 'P2026-001',
+  client: '株式会社サンプル',
+  title: 'オフィスビル改修工事',
+  sales_manager: '佐藤花子',
+  customer_amount: 1000000,
+  submission_date: '2026-04-01',
+  current_revision: 1
+};
+
+describe('QuotationDocument', () => {
+  it('宛先・件名・見積番号・発行日を表示する', () => {
+    const quotation = buildQuotationData(project, [], { issueDate: '2026-04-10', validityDays: 30 });
+    render(<QuotationDocument quotation={quotation} />);
+
+    expect(screen.getByText('御見積書')).toBeInTheDocument();
+    expect(screen.getByText(/株式会社サンプル/)).toBeInTheDocument();
+    expect(screen.getByText('見積番号: P2026-001-R1')).toBeInTheDocument();
+    expect(screen.getByText('発行日: 2026年4月10日')).toBeInTheDocument();
+    expect(screen.getByText('2026年5月10日')).toBeInTheDocument();
+    expect(screen.getByText('担当: 佐藤花子')).toBeInTheDocument();
+  });
+
+  it('明細・小計・消費税・合計を表示する', () => {
+    const lineItems = [
+      { item_name: '石膏ボード', quantity: 20, unit: '枚', unit_price: 1500 },
+      { item_name: '内装工', quantity: 2, unit: '人工', unit_price: 35000 }
+    ];
+    const quotation = buildQuotationData(project, lineItems, { issueDate: '2026-04-10' });
+    render(<QuotationDocument quotation={quotation} />);
+
+    const table = screen.getByRole('table');
+    expect(within(table).getByText('石膏ボード')).toBeInTheDocument();
+    expect(within(table).getByText('内装工')).toBeInTheDocument();
+    expect(within(table).getByText('¥100,000')).toBeInTheDocument();
+    expect(within(table).getByText('消費税（10%）')).toBeInTheDocument();
+    expect(within(table).getByText('¥10,000')).toBeInTheDocument();
+    expect(within(table).getByText('¥110,000')).toBeInTheDocument();
+  });
+
+  it('税込入力のプロジェクトは単価・金額に税込と表示する', () => {
+    const quotation = buildQuotationData({ ...project, tax_mode: 'inclusive' }, [], { issueDate: '2026-04-10' });
+    render(<QuotationDocument quotation={quotation} />);
+
+    const table = screen.getByRole('table');
+    expect(within(table).getByText('金額（税込）')).toBeInTheDocument();
+    expect(within(table).getByText('小計（税抜）')).toBeInTheDocument();
+    expect(within(table).getByText('¥909,091')).toBeInTheDocument();
+  });
+
+  it('備考が空の場合は備考欄を表示しない', () => {
+    const quotation = buildQuotationData(project, [], { issueDate: '2026-04-10', notes: '' });
+    render(<QuotationDocument quotation={quotation} />);
+
+    expect(screen.queryByText('備考')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SavedViewMenu from '../SavedViewMenu';
+
+const views = [
+  { id: 'view-1', name: '自分の提出済', is_default: true, settings: {} },
+  { id: 'view-2', name: '大型案件', is_default: false, settings: {} }
+];
+
+describe('SavedViewMenu', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onSelect: vi.fn(),
+      onSave: vi.fn().mockResolvedValue(true),
+      onOverwrite: vi.fn(),
+      onToggleDefault: vi.fn(),
+      onDelete: vi.fn().mockResolvedValue(true)
+    };
+  });
+
+  const renderMenu = (props = {}) => render(
+    <SavedViewMenu views={views} activeViewId={null} {...handlers} {...props} />
+  );
+
+  it('保存ビューを一覧表示し既定のビューに印を付ける', () => {
+    renderMenu();
+
+    expect(screen.getByRole('option', { name: '★ 自分の提出済' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: '大型案件' })).toBeInTheDocument();
+  });
+
+  it('ビューを選択すると onSelect が呼ばれる', () => {
+    renderMenu();
+
+    fireEvent.change(screen.getByLabelText('保存ビューを選択'), { target: { value: 'view-2' } });
+    expect(handlers.onSelect).toHaveBeenCalledWith(views[1]);
+  });
+
+  it('選択中のビューを上書き保存・既定に設定できる', () => {
+    renderMenu({ activeViewId: 'view-2' });
+
+    fireEvent.click(screen.getByLabelText('「大型案件」を現在の条件で上書き保存'));
+    expect(handlers.onOverwrite).toHaveBeenCalledWith('view-2');
+
+    fireEvent.click(screen.getByLabelText('ログイン時の既定ビューにする'));
+    expect(handlers.onToggleDefault).toHaveBeenCalledWith('view-2');
+  });
+
+  it('削除は確認してから実行する', async () => {
+    renderMenu({ activeViewId: 'view-1' });
+
+    fireEvent.click(screen.getByLabelText('「自分の提出済」を削除'));
+    expect(handlers.onDelete).not.toHaveBeenCalled();
+    expect(screen.getByText('「自分の提出済」を削除しますか？')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('削除する'));
+    await waitFor(() => {
+      expect(handlers.onDelete).toHaveBeenCalledWith('view-1');
+    });
+  });
+
+  it('名前を付けて現在の条件を保存できる', async () => {
+    renderMenu();
+
+    fireEvent.click(screen.getByText('ビューを保存'));
+    fireEvent.change(screen.getByLabelText('ビュー名'), { target: { value: ' 30日経過 ' } });
+    fireEvent.click(screen.getByLabelText('ログイン時に表示'));
+    fireEvent.click(screen.getByText('保存'));
+
+    await waitFor(() => {
+      expect(handlers.onSave).toHaveBeenCalledWith('30日経過', { isDefault: true });
+    });
+    await waitFor(() => {
+      expect(screen.queryByLabelText('ビュー名')).not.toBeInTheDocument();
+    });
+  });
+
+  it('重複した名前では保存せずエラーを表示する', () => {
+    renderMenu();
+
+    fireEvent.click(screen.getByText('ビューを保存'));
+    fireEvent.change(screen.getByLabelText('ビュー名'), { target: { value: '大型案件' } });
+    fireEvent.click(screen.getByText('保存'));
+
+    expect(screen.getByText('同じ名前のビューが既にあります')).toBeInTheDocument();
+    expect(handlers.onSave).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import StaffAggregationTable from '../StaffAggregationTable';
+
+const staffData = [
+  {
+    role: 'construction', staffId: 'staff-1', name: '田中 太郎', userId: 'user-1',
+    projectCount: 5, totalCustomerAmount: 3000000, averageProfitRate: 22.5,
+    wonCount: 2, lostCount: 1, winRate: 66.666, wonAmount: 1000000,
+    openCount: 2, openAmount: 800000, aging0To30: 1, aging31To60: 0, aging61To90: 0, agingOver90: 1,
+    averageOpenDays: 62.4
+  },
+  {
+    role: 'construction', staffId: null, name: null, userId: null,
+    projectCount: 1, totalCustomerAmount: 100000, averageProfitRate: 10,
+    wonCount: 0, lostCount: 0, winRate: 0, wonAmount: 0,
+    openCount: 0, openAmount: 0, aging0To30: 0, aging31To60: 0, aging61To90: 0, agingOver90: 0,
+    averageOpenDays: null
+  }
+];
+
+describe('StaffAggregationTable', () => {
+  it('担当者ごとの集計と未決の経過日数を表示する', () => {
+    render(<StaffAggregationTable staffData={staffData} roleLabel="工事担当者" />);
+
+    expect(screen.getByRole('table', { name: '工事担当者別集計テーブル' })).toBeInTheDocument();
+    expect(screen.getByText('66.7%')).toBeInTheDocument();
+    expect(screen.getByText('30日以内 1件 / 31〜60日 0件 / 61〜90日 0件 / 91日以上 1件')).toBeInTheDocument();
+    expect(screen.getByText('平均 62日経過')).toBeInTheDocument();
+    expect(screen.getByText('（未設定）')).toBeInTheDocument();
+    expect(screen.getByText('未決のプロジェクトはありません')).toBeInTheDocument();
+  });
+
+  it('ログイン中のユーザーに関連付けられた担当者に「自分」と表示する', () => {
+    render(<StaffAggregationTable staffData={staffData} roleLabel="工事担当者" currentUserId="user-1" />);
+    expect(screen.getByText('自分')).toBeInTheDocument();
+  });
+
+  it('担当者のプロジェクトを一覧で表示する', () => {
+    const onShowProjects = vi.fn();
+    render(<StaffAggregationTable staffData={staffData} roleLabel="工事担当者" onShowProjects={onShowProjects} />);
+
+    expect(screen.getAllByRole('button', { name: /一覧で表示/ })).toHaveLength(1);
+    fireEvent.click(screen.getByRole('button', { name: '田中 太郎のプロジェクトを一覧で表示' }));
+    expect(onShowProjects).toHaveBeenCalledWith(staffData[0]);
+  });
+});
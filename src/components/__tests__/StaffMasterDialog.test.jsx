@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import StaffMasterDialog from '../StaffMasterDialog';
+
+const staffMembers = [
+  { id: 'staff-1', name: '田中 太郎', name_kana: 'タナカタロウ', user_id: 'user-1', is_active: true },
+  { id: 'staff-2', name: '佐藤花子', user_id: null, is_active: true },
+  { id: 'staff-3', name: '鈴木一郎', user_id: null, is_active: false }
+];
+
+const userOptions = [
+  { user_id: 'user-1', email: 'tanaka@example.com' },
+  { user_id: 'user-2', email: 'sato@example.com' }
+];
+
+describe('StaffMasterDialog', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onSave: vi.fn().mockResolvedValue(true),
+      onDelete: vi.fn()
+    };
+  });
+
+  const renderDialog = (props = {}) => render(
+    <StaffMasterDialog isOpen staffMembers={staffMembers} userOptions={userOptions} canManage {...handlers} {...props} />
+  );
+
+  it('在籍中の担当者を関連付けたユーザーとともに表示する', () => {
+    renderDialog();
+    expect(screen.getByText('tanaka@example.com')).toBeInTheDocument();
+    expect(screen.queryByText('鈴木一郎')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('退職・異動した担当者も表示（1名）'));
+    expect(screen.getByText('鈴木一郎')).toBeInTheDocument();
+    expect(screen.getByText('退職・異動')).toBeInTheDocument();
+  });
+
+  it('他の担当者に関連付けられたユーザーは選択できない', async () => {
+    renderDialog();
+    fireEvent.click(screen.getByLabelText('担当者「佐藤花子」を編集'));
+    fireEvent.change(screen.getByLabelText('ログインユーザー'), { target: { value: 'user-1' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('このユーザーは「田中 太郎」に関連付けられています');
+    expect(handlers.onSave).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('ログインユーザー'), { target: { value: 'user-2' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+    await waitFor(() => expect(handlers.onSave).toHaveBeenCalledWith(
+      expect.objectContaining({ name: '佐藤花子', user_id: 'user-2' }),
+      staffMembers[1]
+    ));
+  });
+
+  it('表記ゆれで重複する名前は登録できない', async () => {
+    renderDialog();
+    fireEvent.click(screen.getByRole('button', { name: '新規登録' }));
+    fireEvent.change(screen.getByLabelText(/名前/), { target: { value: '田中太郎' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('「田中 太郎」が既に登録されています');
+    expect(handlers.onSave).not.toHaveBeenCalled();
+  });
+
+  it('マネージャー未満は登録・編集・削除の操作を表示しない', () => {
+    renderDialog({ canManage: false });
+    expect(screen.queryByRole('button', { name: '新規登録' })).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('担当者「佐藤花子」を削除')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TrashDialog from '../TrashDialog';
+
+const trashedProjects = [
+  {
+    id: 'project-1',
+    project_number: 'P2026-001',
+    client: '山田建設',
+    title: '事務所改修工事',
+    customer_amount: 1200000,
+    deleted_at: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
+    deleted_by_email: 'manager@example.com'
+  }
+];
+
+describe('TrashDialog', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onClose: vi.fn(),
+      onRestore: vi.fn(),
+      onPurge: vi.fn()
+    };
+  });
+
+  const renderDialog = (props = {}) => render(
+    <TrashDialog
+      isOpen
+      projects={trashedProjects}
+      retentionDays={30}
+      {...handlers}
+      {...props}
+    />
+  );
+
+  it('削除したユーザーと完全削除までの日数を表示する', () => {
+    renderDialog();
+
+    const table = screen.getByRole('table', { name: 'ゴミ箱内のプロジェクト一覧' });
+    expect(table).toHaveTextContent('事務所改修工事');
+    expect(table).toHaveTextContent('P2026-001 / 山田建設');
+    expect(table).toHaveTextContent('manager@example.com');
+    expect(table).toHaveTextContent('25日');
+  });
+
+  it('権限がない場合は復元・完全削除ボタンを表示しない', () => {
+    renderDialog();
+
+    expect(screen.queryByRole('button', { name: 'プロジェクト「事務所改修工事」を復元' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'プロジェクト「事務所改修工事」を完全に削除' })).not.toBeInTheDocument();
+  });
+
+  it('復元・完全削除ボタンで対象のプロジェクトを渡す', () => {
+    renderDialog({ canManage: true });
+
+    fireEvent.click(screen.getByRole('button', { name: 'プロジェクト「事務所改修工事」を復元' }));
+    fireEvent.click(screen.getByRole('button', { name: 'プロジェクト「事務所改修工事」を完全に削除' }));
+
+    expect(handlers.onRestore).toHaveBeenCalledWith(trashedProjects[0]);
+    expect(handlers.onPurge).toHaveBeenCalledWith(trashedProjects[0]);
+  });
+
+  it('処理中のプロジェクトのボタンは無効にする', () => {
+    renderDialog({ canManage: true, processingIds: { 'project-1': true } });
+
+    expect(screen.getByRole('button', { name: 'プロジェクト「事務所改修工事」を復元' })).toBeDisabled();
+  });
+
+  it('ゴミ箱が空の場合はメッセージを表示する', () => {
+    renderDialog({ projects: [] });
+
+    expect(screen.getByText('ゴミ箱は空です')).toBeInTheDocument();
+  });
+
+  it('保存期間は検証してから変更する', () => {
+    const onRetentionDaysChange = vi.fn();
+    renderDialog({ onRetentionDaysChange });
+
+    const input = screen.getByLabelText('保存期間');
+    fireEvent.change(input, { target: { value: '0' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('保存期間は1〜3650日の範囲で入力してください');
+    expect(onRetentionDaysChange).not.toHaveBeenCalled();
+
+    fireEvent.change(input, { target: { value: '60' } });
+    fireEvent.click(screen.getByRole('button', { name: '保存' }));
+    expect(onRetentionDaysChange).toHaveBeenCalledWith(60);
+  });
+
+  it('Escキーで閉じる', () => {
+    renderDialog();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(handlers.onClose).toHaveBeenCalled();
+  });
+});
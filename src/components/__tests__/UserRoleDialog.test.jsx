@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import UserRoleDialog from '../UserRoleDialog';
+
+const users = [
+  { user_id: 'user-1', email: 'admin@example.com', role: 'admin' },
+  { user_id: 'user-2', email: 'estimator@example.com', role: 'estimator' }
+];
+
+describe('UserRoleDialog', () => {
+  let mockOnClose;
+  let mockOnChangeRole;
+
+  beforeEach(() => {
+    mockOnClose = vi.fn();
+    mockOnChangeRole = vi.fn();
+  });
+
+  const renderDialog = (props = {}) => render(
+    <UserRoleDialog
+      isOpen
+      onClose={mockOnClose}
+      users={users}
+      currentUserId="user-1"
+      onChangeRole={mockOnChangeRole}
+      {...props}
+    />
+  );
+
+  it('閉じている場合は何も表示しない', () => {
+    renderDialog({ isOpen: false });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('ユーザーの権限を変更できる', () => {
+    renderDialog();
+
+    const select = screen.getByLabelText('estimator@example.comの権限');
+    expect(select).toHaveValue('estimator');
+
+    fireEvent.change(select, { target: { value: 'manager' } });
+    expect(mockOnChangeRole).toHaveBeenCalledWith('user-2', 'manager');
+  });
+
+  it('権限を変更する組織の名前を表示する', () => {
+    renderDialog({ organizationName: 'B建設' });
+
+    expect(screen.getByText(/B建設での権限です。/)).toBeInTheDocument();
+  });
+
+  it('自分の権限と更新中のユーザーは変更できない', () => {
+    renderDialog({ updatingUserId: 'user-2' });
+
+    expect(screen.getByLabelText('admin@example.comの権限')).toBeDisabled();
+    expect(screen.getByLabelText('estimator@example.comの権限')).toBeDisabled();
+  });
+
+  it('Escキーで閉じる', () => {
+    renderDialog();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(mockOnClose).toHaveBeenCalled();
+  });
+});
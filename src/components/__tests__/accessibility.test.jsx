@@ -61,7 +61,7 @@ describe('Accessibility Tests', () => {
       expect(description).toBeInTheDocument();
       expect(description).toHaveClass('sr-only');
       expect(description).toHaveTextContent(
-        'この操作は取り消せません。プロジェクト「テストプロジェクト」のすべてのデータが完全に削除されます。'
+        'プロジェクト「テストプロジェクト」をゴミ箱に移動します。ゴミ箱から復元できます。'
       );
     });
 
@@ -321,7 +321,7 @@ describe('Accessibility Tests', () => {
       );
 
       const cancelButton = screen.getByLabelText('削除をキャンセルしてダイアログを閉じる');
-      const confirmButton = screen.getByLabelText(`プロジェクト「${mockProjectDetails.title}」を完全に削除する`);
+      const confirmButton = screen.getByLabelText(`プロジェクト「${mockProjectDetails.title}」をゴミ箱に移動する`);
       
       expect(cancelButton).toBeInTheDocument();
       expect(confirmButton).toBeInTheDocument();
@@ -564,4 +564,4 @@ describe('Accessibility Tests', () => {
       expect(button).toHaveAttribute('aria-label', 'プロジェクト「テストプロジェクト」を削除');
     });
   });
-});
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_AUDIT_FILTERS,
+  getAuditActionDefinition,
+  buildAuditLogQuery,
+  getAuditLogSubject,
+  getAuditLogChanges
+} from '../auditLog';
+import { createQueryRecorder } from './helpers/queryRecorder';
+
+const project = {
+  id: 'project-1',
+  project_number: 'P2026-001',
+  client: '山田建設',
+  title: '事務所改修工事',
+  net_amount: 1000000,
+  customer_amount: 1200000,
+  status: 'submitted'
+};
+
+describe('auditLog', () => {
+  describe('getAuditActionDefinition', () => {
+    it('操作コードの表示名を返す', () => {
+      expect(getAuditActionDefinition('trash').label).toBe('ゴミ箱へ移動');
+      expect(getAuditActionDefinition('delete').label).toBe('完全削除');
+      expect(getAuditActionDefinition('import').label).toBe('インポート');
+      expect(getAuditActionDefinition('unknown').label).toBe('unknown');
+    });
+  });
+
+  describe('buildAuditLogQuery', () => {
+    it('組織のみで絞り込み新しい順に取得する', () => {
+      const { query, calls } = createQueryRecorder();
+      buildAuditLogQuery(query, { organizationId: 'org-a' });
+
+      expect(calls).toEqual([
+        ['eq', 'organization_id', 'org-a'],
+        ['order', 'created_at', { ascending: false }],
+        ['order', 'id', { ascending: false }],
+        ['range', 0, 49]
+      ]);
+    });
+
+    it('ユーザー・操作・期間で絞り込む（終了日はその日の終わりまで含める）', () => {
+      const { query, calls } = createQueryRecorder();
+      buildAuditLogQuery(query, {
+        organizationId: 'org-a',
+        filters: { ...DEFAULT_AUDIT_FILTERS, actorId: 'user-1', action: 'delete', dateFrom: '2026-10-01', dateTo: '2026-10-19' },
+        offset: 50
+      });
+
+      expect(calls).toEqual([
+        ['eq', 'organization_id', 'org-a'],
+        ['eq', 'actor_id', 'user-1'],
+        ['eq', 'action', 'delete'],
+        ['gte', 'created_at', new Date(2026, 9, 1).toISOString()],
+        ['lt', 'created_at', new Date(2026, 9, 20).toISOString()],
+        ['order', 'created_at', { ascending: false }],
+        ['order', 'id', { ascending: false }],
+        ['range', 50, 99]
+      ]);
+    });
+  });
+
+  describe('getAuditLogSubject', () => {
+    it('削除された場合は削除前の値を表示する', () => {
+      expect(getAuditLogSubject({ action: 'delete', before_data: project, after_data: null }))
+        .toBe('P2026-001 / 山田建設 / 事務所改修工事');
+    });
+
+    it('スナップショットがない場合は - を返す', () => {
+      expect(getAuditLogSubject({ action: 'create' })).toBe('-');
+    });
+  });
+
+  describe('getAuditLogChanges', () => {
+    it('更新は変更された項目のみを返す', () => {
+      const changes = getAuditLogChanges({
+        action: 'update',
+        before_data: project,
+        after_data: { ...project, customer_amount: 1300000, status: 'won' }
+      });
+
+      expect(changes.map(change => change.key)).toEqual(['customer_amount', 'status']);
+      expect(changes[0]).toMatchObject({ before: 1200000, after: 1300000 });
+    });
+
+    it('削除は削除前の値がある項目を返す', () => {
+      const changes = getAuditLogChanges({ action: 'delete', before_data: project, after_data: null });
+
+      expect(changes.map(change => change.key)).toEqual([
+        'project_number', 'client', 'title', 'net_amount', 'customer_amount', 'status'
+      ]);
+    });
+  });
+});
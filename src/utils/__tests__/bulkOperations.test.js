@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getSelectionState,
+  toggleSelection,
+  toggleAllSelection,
+  pruneSelection,
+  summarizeProjects,
+  describeBulkAction,
+  getBulkErrorMessage,
+  runBulkOperation,
+  summarizeBulkResults
+} from '../bulkOperations';
+
+const projects = [
+  { id: 'p1', net_amount: 800000, customer_amount: 1000000, tax_mode: 'exclusive' },
+  { id: 'p2', net_amount: 880000, customer_amount: 1100000, tax_mode: 'inclusive', tax_rate: 0.1 },
+  { id: 'p3', net_amount: 0, customer_amount: 500000 }
+];
+
+describe('bulkOperations', () => {
+  describe('選択状態', () => {
+    it('表示中のプロジェクトの選択状態を判定する', () => {
+      expect(getSelectionState(new Set(), projects)).toBe('none');
+      expect(getSelectionState(new Set(['p1']), projects)).toBe('some');
+      expect(getSelectionState(new Set(['p1', 'p2', 'p3']), projects)).toBe('all');
+    });
+
+    it('表示されていないプロジェクトの選択は判定に含めない', () => {
+      expect(getSelectionState(new Set(['p1', 'other']), projects.slice(0, 1))).toBe('all');
+    });
+
+    it('プロジェクトの選択を切り替える', () => {
+      const selected = toggleSelection(new Set(), 'p1');
+      expect([...selected]).toEqual(['p1']);
+      expect([...toggleSelection(selected, 'p1')]).toEqual([]);
+    });
+
+    it('表示中のプロジェクトのみをまとめて選択・解除する', () => {
+      const visible = projects.slice(0, 2);
+      const selected = toggleAllSelection(new Set(['p1', 'other']), visible);
+      expect([...selected].sort()).toEqual(['other', 'p1', 'p2']);
+      expect([...toggleAllSelection(selected, visible)]).toEqual(['other']);
+    });
+
+    it('表示されなくなったプロジェクトを選択から外す', () => {
+      const selected = new Set(['p1', 'other']);
+      expect([...pruneSelection(selected, projects)]).toEqual(['p1']);
+    });
+
+    it('選択が変わらない場合は同じ Set を返す', () => {
+      const selected = new Set(['p1', 'p2']);
+      expect(pruneSelection(selected, projects)).toBe(selected);
+    });
+  });
+
+  describe('summarizeProjects', () => {
+    it('件数と税抜の合計金額を集計する', () => {
+      expect(summarizeProjects(projects)).toEqual({
+        count: 3,
+        totalNetAmount: 1600000,
+        totalCustomerAmount: 2500000
+      });
+    });
+
+    it('選択がない場合は0件になる', () => {
+      expect(summarizeProjects([])).toEqual({ count: 0, totalNetAmount: 0, totalCustomerAmount: 0 });
+    });
+  });
+
+  describe('describeBulkAction', () => {
+    it('一括削除は削除系の操作として表示する', () => {
+      const description = describeBulkAction({ type: 'delete' });
+      expect(description.title).toBe('一括削除');
+      expect(description.isDestructive).toBe(true);
+    });
+
+    it('ステータス変更は変更後のステータス名を表示する', () => {
+      const description = describeBulkAction({ type: 'status', status: 'won' });
+      expect(description.message).toContain('「受注」');
+      expect(description.isDestructive).toBe(false);
+    });
+
+    it('担当者変更は項目名と担当者名を表示する', () => {
+      const description = describeBulkAction({ type: 'manager', field: 'sales_manager', name: '佐藤' });
+      expect(description.title).toBe('営業担当者の一括変更');
+      expect(description.message).toContain('「佐藤」');
+    });
+  });
+
+  describe('getBulkErrorMessage', () => {
+    it('権限エラーは操作名と現在の権限を表示する', () => {
+      expect(getBulkErrorMessage({ code: '42501', message: '' }, { type: 'delete' }, 'estimator'))
+        .toBe('プロジェクトの削除の権限がありません（現在の権限: 見積担当）。');
+    });
+
+    it('0件の更新は見つからないエラーとして表示する', () => {
+      expect(getBulkErrorMessage(new Error('not found'), { type: 'status', status: 'won' }, 'manager'))
+        .toBe('プロジェクトが見つからないか、操作する権限がありません。');
+    });
+  });
+
+  describe('runBulkOperation', () => {
+    it('失敗したプロジェクトがあっても残りを処理し、結果を順番に返す', async () => {
+      const results = await runBulkOperation(projects, async (project) => {
+        if (project.id === 'p2') throw new Error('失敗');
+        return { id: project.id, status: 'won' };
+      }, 2);
+
+      expect(results.map(result => [result.project.id, result.success])).toEqual([
+        ['p1', true],
+        ['p2', false],
+        ['p3', true]
+      ]);
+      expect(results[0].result).toEqual({ id: 'p1', status: 'won' });
+      expect(results[1].error.message).toBe('失敗');
+      expect(summarizeBulkResults(results)).toEqual({ succeeded: 2, failed: 1 });
+    });
+  });
+});
@@ -1,5 +1,18 @@
 import { describe, it, expect } from 'vitest';
-import { calculateProfitRate, calculateDaysPassed, formatCurrency } from '../calculations.js';
+import {
+  calculateProfitRate,
+  calculateDaysPassed,
+  formatCurrency,
+  calculateLineItemAmounts,
+  calculateLineItemProfitRate,
+  calculateLineItemTotals,
+  roundTaxAmount,
+  calculateTaxAmounts,
+  calculateProjectTaxAmounts,
+  formatTaxRate,
+  getTaxRateOptions,
+  DEFAULT_TAX_SETTINGS
+} from '../calculations.js';
 
 describe('calculateProfitRate', () => {
   it('should calculate profit rate correctly', () => {
@@ -91,4 +104,155 @@ describe('formatCurrency', () => {
   it('should handle negative amounts', () => {
     expect(formatCurrency(-1000)).toBe('¥-1,000');
   });
-});
\ No newline at end of file
+});
+describe('calculateLineItemAmounts', () => {
+  it('should calculate net and customer amounts from quantity', () => {
+    expect(calculateLineItemAmounts({ quantity: 3, unit_price: 12000, unit_cost: 10000 })).toEqual({
+      netAmount: 30000,
+      customerAmount: 36000
+    });
+  });
+
+  it('should accept numeric strings and round to yen', () => {
+    expect(calculateLineItemAmounts({ quantity: '2.5', unit_price: '333', unit_cost: '100.4' })).toEqual({
+      netAmount: 251,
+      customerAmount: 833
+    });
+  });
+
+  it('should treat missing values as zero', () => {
+    expect(calculateLineItemAmounts({})).toEqual({ netAmount: 0, customerAmount: 0 });
+    expect(calculateLineItemAmounts({ quantity: 'abc', unit_price: '', unit_cost: null })).toEqual({ netAmount: 0, customerAmount: 0 });
+  });
+
+  it('should parse comma-separated and full-width input the same way as saved line items', () => {
+    expect(calculateLineItemAmounts({ quantity: '１０', unit_price: '1,000', unit_cost: '８００' })).toEqual({
+      netAmount: 8000,
+      customerAmount: 10000
+    });
+  });
+});
+
+describe('calculateLineItemProfitRate', () => {
+  it('should calculate profit rate at line level', () => {
+    expect(calculateLineItemProfitRate({ quantity: 10, unit_price: 1200, unit_cost: 1000 })).toBe('120.0');
+  });
+
+  it('should handle zero cost lines', () => {
+    expect(calculateLineItemProfitRate({ quantity: 1, unit_price: 5000, unit_cost: 0 })).toBe('0.0');
+  });
+});
+
+describe('calculateLineItemTotals', () => {
+  it('should roll up totals and category subtotals', () => {
+    const totals = calculateLineItemTotals([
+      { category: 'material', quantity: 10, unit_price: 1200, unit_cost: 1000 },
+      { category: 'labor', quantity: 2, unit_price: 30000, unit_cost: 25000 },
+      { category: 'material', quantity: 1, unit_price: 8000, unit_cost: 5000 }
+    ]);
+
+    expect(totals.netAmount).toBe(65000);
+    expect(totals.customerAmount).toBe(80000);
+    expect(totals.profitRate).toBe('123.1');
+    expect(totals.byCategory.material).toEqual({ netAmount: 15000, customerAmount: 20000 });
+    expect(totals.byCategory.labor).toEqual({ netAmount: 50000, customerAmount: 60000 });
+  });
+
+  it('should handle empty items', () => {
+    expect(calculateLineItemTotals([])).toEqual({
+      netAmount: 0,
+      customerAmount: 0,
+      profitRate: '0.0',
+      byCategory: {}
+    });
+  });
+});
+
+describe('roundTaxAmount', () => {
+  it('should apply each rounding rule', () => {
+    expect(roundTaxAmount(123.5, 'floor')).toBe(123);
+    expect(roundTaxAmount(123.5, 'round')).toBe(124);
+    expect(roundTaxAmount(123.1, 'ceil')).toBe(124);
+  });
+
+  it('should ignore floating point noise before rounding', () => {
+    expect(roundTaxAmount(1000 * 0.1, 'ceil')).toBe(100);
+    expect(roundTaxAmount(0.1 * 3 * 10, 'floor')).toBe(3);
+  });
+
+  it('should default to floor', () => {
+    expect(roundTaxAmount(99.9)).toBe(99);
+  });
+});
+
+describe('calculateTaxAmounts', () => {
+  it('should add tax to tax-exclusive amounts', () => {
+    expect(calculateTaxAmounts(1234567, { taxRate: 0.1, taxMode: 'exclusive', rounding: 'floor' })).toEqual({
+      exclusive: 1234567,
+      tax: 123456,
+      inclusive: 1358023
+    });
+    expect(calculateTaxAmounts(1234567, { taxRate: 0.1, taxMode: 'exclusive', rounding: 'round' }).tax).toBe(123457);
+  });
+
+  it('should extract tax from tax-inclusive amounts', () => {
+    expect(calculateTaxAmounts(110000, { taxRate: 0.1, taxMode: 'inclusive' })).toEqual({
+      exclusive: 100000,
+      tax: 10000,
+      inclusive: 110000
+    });
+    expect(calculateTaxAmounts(1000, { taxRate: 0.08, taxMode: 'inclusive', rounding: 'floor' })).toEqual({
+      exclusive: 926,
+      tax: 74,
+      inclusive: 1000
+    });
+    expect(calculateTaxAmounts(1000, { taxRate: 0.08, taxMode: 'inclusive', rounding: 'ceil' }).tax).toBe(75);
+  });
+
+  it('should handle zero rate and invalid amounts', () => {
+    expect(calculateTaxAmounts(5000, { taxRate: 0 })).toEqual({ exclusive: 5000, tax: 0, inclusive: 5000 });
+    expect(calculateTaxAmounts(null, { taxRate: 0.1 })).toEqual({ exclusive: 0, tax: 0, inclusive: 0 });
+  });
+});
+
+describe('calculateProjectTaxAmounts', () => {
+  it('should convert both amounts using the project tax settings', () => {
+    const result = calculateProjectTaxAmounts(
+      { net_amount: 99000, customer_amount: '132000', tax_mode: 'inclusive', tax_rate: '0.1' },
+      'floor'
+    );
+
+    expect(result.taxMode).toBe('inclusive');
+    expect(result.taxRate).toBe(0.1);
+    expect(result.net).toEqual({ exclusive: 90000, tax: 9000, inclusive: 99000 });
+    expect(result.customer).toEqual({ exclusive: 120000, tax: 12000, inclusive: 132000 });
+  });
+
+  it('should treat legacy projects as tax-exclusive with the default rate', () => {
+    const result = calculateProjectTaxAmounts({ net_amount: 100000, customer_amount: 120000 });
+    expect(result.taxMode).toBe('exclusive');
+    expect(result.taxRate).toBe(DEFAULT_TAX_SETTINGS.rate);
+    expect(result.customer.exclusive).toBe(120000);
+  });
+});
+
+describe('formatTaxRate', () => {
+  it('should format tax rates as percentages', () => {
+    expect(formatTaxRate(0.1)).toBe('10%');
+    expect(formatTaxRate('0.08')).toBe('8%');
+    expect(formatTaxRate(0)).toBe('0%');
+  });
+});
+
+describe('getTaxRateOptions', () => {
+  it('should include the standard, reduced and zero rates', () => {
+    expect(getTaxRateOptions()).toEqual(expect.arrayContaining([0.1, 0.08, 0]));
+  });
+
+  it('should add a stored rate that is not in the list', () => {
+    const options = getTaxRateOptions('0.05');
+    expect(options).toContain(0.05);
+    expect(options).toEqual([...options].sort((a, b) => b - a));
+    expect(new Set(options).size).toBe(options.length);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeClientName,
+  cleanClientName,
+  findClientByName,
+  resolveClientName,
+  suggestClients,
+  filterClients,
+  validateClientForm,
+  toClientRecord,
+  EMPTY_CLIENT_FORM
+} from '../clients';
+
+const clients = [
+  { id: 'client-1', name: '株式会社山田建設', name_kana: 'ヤマダケンセツ', address: '東京都千代田区' },
+  { id: 'client-2', name: '鈴木工業', name_kana: 'スズキコウギョウ', contact_name: '山本' },
+  { id: 'client-3', name: '大山田工務店', name_kana: 'オオヤマダコウムテン' }
+];
+
+describe('clients', () => {
+  describe('normalizeClientName', () => {
+    it('法人格・全角半角・空白の違いを吸収する', () => {
+      const expected = normalizeClientName('山田建設');
+      expect(normalizeClientName('㈱山田建設')).toBe(expected);
+      expect(normalizeClientName('株式会社　山田建設 ')).toBe(expected);
+      expect(normalizeClientName('（株）山田建設')).toBe(expected);
+    });
+
+    it('英字は小文字、半角カナは全角に統一する', () => {
+      expect(normalizeClientName('ＡＢＣ Ｈｏｍｅ')).toBe('abchome');
+      expect(normalizeClientName('ﾔﾏﾀﾞ建設')).toBe('ヤマダ建設');
+    });
+  });
+
+  describe('cleanClientName', () => {
+    it('全角英数字を半角にし、連続する空白を1つにする', () => {
+      expect(cleanClientName('  ＡＢＣ　　ハウス ')).toBe('ABC ハウス');
+    });
+  });
+
+  describe('findClientByName / resolveClientName', () => {
+    it('表記ゆれの客先名から客先マスタを探し、正式名称に置き換える', () => {
+      expect(findClientByName(clients, '㈱山田建設').id).toBe('client-1');
+      expect(resolveClientName('山田建設', clients)).toBe('株式会社山田建設');
+    });
+
+    it('客先マスタにない場合は整えた客先名を返す', () => {
+      expect(findClientByName(clients, '佐藤設備')).toBeNull();
+      expect(resolveClientName(' 佐藤設備 ', clients)).toBe('佐藤設備');
+    });
+  });
+
+  describe('suggestClients', () => {
+    it('正式名称・フリガナの前方一致を部分一致より先に表示する', () => {
+      expect(suggestClients(clients, '山田').map(client => client.id)).toEqual(['client-1', 'client-3']);
+      expect(suggestClients(clients, 'スズキ').map(client => client.id)).toEqual(['client-2']);
+    });
+
+    it('空の入力では候補を表示しない', () => {
+      expect(suggestClients(clients, ' ')).toEqual([]);
+    });
+  });
+
+  describe('filterClients', () => {
+    it('住所・担当者でも検索できる', () => {
+      expect(filterClients(clients, '千代田').map(client => client.id)).toEqual(['client-1']);
+      expect(filterClients(clients, '山本').map(client => client.id)).toEqual(['client-2']);
+      expect(filterClients(clients, '')).toBe(clients);
+    });
+  });
+
+  describe('validateClientForm', () => {
+    it('正式名称の必須・表記ゆれによる重複を検証する', () => {
+      expect(validateClientForm(EMPTY_CLIENT_FORM, clients).name).toBe('正式名称を入力してください');
+      expect(validateClientForm({ ...EMPTY_CLIENT_FORM, name: '株式会社' }, clients).name).toBe('法人格以外の名称を入力してください');
+      expect(validateClientForm({ ...EMPTY_CLIENT_FORM, name: '山田建設' }, clients).name).toContain('株式会社山田建設');
+    });
+
+    it('編集中の客先自身とは重複としない', () => {
+      expect(validateClientForm({ ...EMPTY_CLIENT_FORM, name: '㈱山田建設' }, clients, 'client-1')).toEqual({});
+    });
+
+    it('メールアドレスの形式を検証する', () => {
+      expect(validateClientForm({ ...EMPTY_CLIENT_FORM, name: '佐藤設備', email: 'invalid' }, clients).email)
+        .toBe('メールアドレスの形式が正しくありません');
+    });
+
+    it('工事番号の略号に空白・{}は使えない', () => {
+      expect(validateClientForm({ ...EMPTY_CLIENT_FORM, name: '佐藤設備', project_number_prefix: 'S D' }, clients).project_number_prefix)
+        .toBe('工事番号の略号に空白・{}は使えません');
+      expect(validateClientForm({ ...EMPTY_CLIENT_FORM, name: '佐藤設備', project_number_prefix: 'SD' }, clients)).toEqual({});
+    });
+  });
+
+  describe('toClientRecord', () => {
+    it('正式名称を整え、空欄は null にする', () => {
+      const record = toClientRecord({ ...EMPTY_CLIENT_FORM, name: 'ＡＢＣ　ハウス', phone: ' 03-0000-0000 ' });
+      expect(record.name).toBe('ABC ハウス');
+      expect(record.phone).toBe('03-0000-0000');
+      expect(record.address).toBeNull();
+    });
+  });
+});
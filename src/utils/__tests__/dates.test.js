@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { toLocalDateString, addDays } from '../dates';
+
+describe('dates', () => {
+  describe('toLocalDateString', () => {
+    it('端末の日付を YYYY-MM-DD 形式にする', () => {
+      expect(toLocalDateString(new Date(2026, 3, 1, 0, 30))).toBe('2026-04-01');
+      expect(toLocalDateString(new Date(2026, 11, 31, 23, 59))).toBe('2026-12-31');
+    });
+  });
+
+  describe('addDays', () => {
+    it('月末・年末をまたいで日数を加える', () => {
+      expect(addDays('2026-04-20', 30)).toBe('2026-05-20');
+      expect(addDays('2026-12-15', 30)).toBe('2027-01-14');
+      expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    });
+  });
+});
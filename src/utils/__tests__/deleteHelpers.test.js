@@ -25,7 +25,9 @@ describe('deleteHelpers', () => {
       const permissionErrors = [
         new Error('permission denied'),
         new Error('unauthorized access'),
-        new Error('forbidden operation')
+        new Error('forbidden operation'),
+        new Error('new row violates row-level security policy for table "projects"'),
+        { code: '42501', message: 'insufficient privilege' }
       ];
 
       permissionErrors.forEach(error => {
@@ -163,6 +165,42 @@ describe('deleteHelpers', () => {
       }).not.toThrow();
     });
 
+    it('元に戻す操作の受付期間中は削除前のプロジェクトを元の位置に復元できる', () => {
+      const projects = [
+        { id: 'test-1', title: 'Test Project 1', created_at: '2026-10-03T00:00:00Z' },
+        { id: 'test-2', title: 'Test Project 2', created_at: '2026-10-02T00:00:00Z' },
+        { id: 'test-3', title: 'Test Project 3', created_at: '2026-10-01T00:00:00Z' }
+      ];
+      let state = projects;
+      const updateState = (updater) => { state = updater(state); };
+
+      manager.optimisticDelete('test-2', projects[1], updateState);
+      manager.retainForUndo('test-2', 5000);
+      expect(state.map(project => project.id)).toEqual(['test-1', 'test-3']);
+
+      expect(manager.undoDelete('test-2')).toBe(true);
+      expect(state).toEqual(projects);
+      expect(manager.deletedProjects.has('test-2')).toBe(false);
+      expect(manager.undoTimers.has('test-2')).toBe(false);
+    });
+
+    it('受付期間を過ぎると削除を確定し元に戻せない', () => {
+      vi.useFakeTimers();
+      try {
+        const projectId = 'test-1';
+        manager.optimisticDelete(projectId, { id: projectId, title: 'Test Project' }, mockUpdateCallback);
+        manager.retainForUndo(projectId, 5000);
+
+        vi.advanceTimersByTime(5000);
+
+        expect(manager.deletedProjects.has(projectId)).toBe(false);
+        expect(manager.undoDelete(projectId)).toBe(false);
+        expect(mockUpdateCallback).toHaveBeenCalledTimes(1);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
     it('全クリアが正しく実行される', () => {
       const projectId1 = 'test-1';
       const projectId2 = 'test-2';
@@ -309,4 +347,4 @@ describe('deleteHelpers', () => {
       expect(stats.averageResponseTime).toBeCloseTo(200, 0); // 平均200ms
     });
   });
-});
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  detectTextEncoding,
+  decodeText,
+  detectDelimiter,
+  parseDelimitedText,
+  readDelimitedFile,
+  formatDelimitedText,
+  encodeText,
+  buildDelimitedFile,
+  loadCsvExportSettings,
+  storeCsvExportSettings,
+  DEFAULT_CSV_EXPORT_SETTINGS
+} from '../delimitedText';
+import { applyColumnMapping, suggestImportSettings } from '../importMapping';
+
+// 「工事番号,客先」を Shift_JIS で表したバイト列
+const SHIFT_JIS_HEADER = [0x8d, 0x48, 0x8e, 0x96, 0x94, 0xd4, 0x8d, 0x86, 0x2c, 0x8b, 0x71, 0x90, 0xe6];
+
+describe('delimitedText', () => {
+  describe('detectTextEncoding / decodeText', () => {
+    it('BOM付きの UTF-8 を判定し、BOM を除いて読み込む', () => {
+      const bytes = new Uint8Array([0xef, 0xbb, 0xbf, ...new TextEncoder().encode('工事番号')]);
+
+      expect(detectTextEncoding(bytes)).toBe('utf-8-bom');
+      expect(decodeText(bytes).text).toBe('工事番号');
+    });
+
+    it('BOM なしの UTF-8 を判定する', () => {
+      expect(detectTextEncoding(new TextEncoder().encode('客先,件名'))).toBe('utf-8');
+    });
+
+    it('UTF-8 として読めない場合は Shift_JIS として読み込む', () => {
+      const result = decodeText(new Uint8Array(SHIFT_JIS_HEADER).buffer);
+
+      expect(result).toEqual({ text: '工事番号,客先', encoding: 'shift_jis' });
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('拡張子から区切り文字を判定する', () => {
+      expect(detectDelimiter('a\tb', 'projects.csv')).toBe('comma');
+      expect(detectDelimiter('a,b', 'projects.tsv')).toBe('tab');
+    });
+
+    it('拡張子で判定できない場合は1行目の区切り文字の数で判定する', () => {
+      expect(detectDelimiter('工事番号\t客先\t件名\n1,000\t山田\t改修', 'export.txt')).toBe('tab');
+      expect(detectDelimiter('工事番号,客先', 'export.txt')).toBe('comma');
+    });
+  });
+
+  describe('parseDelimitedText', () => {
+    it('引用符で囲まれた区切り文字・改行・引用符を読み込む', () => {
+      const text = '件名,客出金額\r\n"改修工事,第2期","1,000,000"\r\n"""特急"" 案件\n2行目",500\r\n';
+
+      expect(parseDelimitedText(text)).toEqual([
+        ['件名', '客出金額'],
+        ['改修工事,第2期', '1,000,000'],
+        ['"特急" 案件\n2行目', '500']
+      ]);
+    });
+
+    it('末尾に改行がない最終行・空のセルを読み込む', () => {
+      expect(parseDelimitedText('a\t\tc\nd\te', 'tab')).toEqual([['a', '', 'c'], ['d', 'e']]);
+    });
+  });
+
+  describe('readDelimitedFile', () => {
+    it('CSV をシートに変換し、Excel と同じ列の対応付けで取り込める', () => {
+      const text = '得意先名,工事名,提出金額,見積日\r\n山田建設,事務所改修工事,"1,000,000",2026/10/01\r\n';
+      const { sheets, encoding, delimiter } = readDelimitedFile(new TextEncoder().encode(text).buffer, '見積一覧.csv');
+
+      expect(encoding).toBe('utf-8');
+      expect(delimiter).toBe('comma');
+      expect(sheets[0].name).toBe('見積一覧');
+
+      const settings = suggestImportSettings(sheets);
+      expect(applyColumnMapping(sheets[0].rows, settings)).toEqual([
+        { rowNumber: 2, values: { '客先': '山田建設', '件名': '事務所改修工事', '客出金額': '1,000,000', '提出日': '2026/10/01' } }
+      ]);
+    });
+  });
+
+  describe('formatDelimitedText / encodeText', () => {
+    it('区切り文字・引用符を含むセルを引用符で囲み、改行は CRLF にする', () => {
+      expect(formatDelimitedText([['件名', '金額'], ['改修工事,第2期', 1000], ['"特急"', null]])).toBe(
+        '件名,金額\r\n"改修工事,第2期",1000\r\n"""特急""",\r\n'
+      );
+    });
+
+    it('タブ区切りではカンマを引用符で囲まない', () => {
+      expect(formatDelimitedText([['1,000', 'a\tb']], 'tab')).toBe('1,000\t"a\tb"\r\n');
+    });
+
+    it('UTF-8（BOM付き）・Shift_JIS のバイト列に変換する', async () => {
+      expect(Array.from(await encodeText('A', 'utf-8-bom'))).toEqual([0xef, 0xbb, 0xbf, 0x41]);
+      expect(Array.from(await encodeText('工事番号,客先', 'shift_jis'))).toEqual(SHIFT_JIS_HEADER);
+    });
+
+    it('選択した列のみ指定した順に出力する', async () => {
+      const blob = await buildDelimitedFile(
+        [{ '工事番号': 'P-1', '客先': '山田建設', '件名': '改修' }],
+        ['件名', '工事番号'],
+        { encoding: 'utf-8', delimiter: 'tab' }
+      );
+
+      expect(blob.type).toBe('text/tab-separated-values;charset=utf-8');
+      const text = await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+      });
+      expect(text).toBe('件名\t工事番号\r\n改修\tP-1\r\n');
+    });
+  });
+
+  describe('loadCsvExportSettings / storeCsvExportSettings', () => {
+    beforeEach(() => {
+      window.localStorage.clear();
+    });
+
+    it('保存した設定を読み込み、未保存の場合は既定の設定を返す', () => {
+      expect(loadCsvExportSettings()).toEqual(DEFAULT_CSV_EXPORT_SETTINGS);
+
+      storeCsvExportSettings({ encoding: 'shift_jis', delimiter: 'comma', columns: ['工事番号'] });
+      expect(loadCsvExportSettings()).toEqual({ encoding: 'shift_jis', delimiter: 'comma', columns: ['工事番号'] });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseFollowUpThresholds,
+  validateFollowUpForm,
+  toFollowUpRecord,
+  getFollowUpTiming,
+  getFollowUpAssigneeOptions
+} from '../followUps';
+
+const today = '2026-10-19';
+
+describe('followUps', () => {
+  describe('parseFollowUpThresholds', () => {
+    it('カンマ・読点・空白区切りの入力を昇順・重複なしにする', () => {
+      expect(parseFollowUpThresholds('30、14, 14 60')).toEqual({ thresholds: [14, 30, 60], error: '' });
+    });
+
+    it('空・範囲外・個数超過はエラーにする', () => {
+      expect(parseFollowUpThresholds(' ').error).toBe('しきい値を入力してください');
+      expect(parseFollowUpThresholds('0, 14').error).toBe('しきい値は1〜365の整数で入力してください');
+      expect(parseFollowUpThresholds('7.5').error).toBe('しきい値は1〜365の整数で入力してください');
+      expect(parseFollowUpThresholds('1,2,3,4,5,6').error).toBe('しきい値は5つまで設定できます');
+    });
+  });
+
+  describe('validateFollowUpForm / toFollowUpRecord', () => {
+    it('内容と期日は必須', () => {
+      expect(validateFollowUpForm({ title: ' ', due_date: '' })).toEqual({
+        title: '内容を入力してください',
+        due_date: '期日を入力してください'
+      });
+      expect(validateFollowUpForm({ title: '電話する', due_date: '2026/10/19' })).toEqual({ due_date: '期日の形式が無効です' });
+    });
+
+    it('登録用のデータは内容の前後の空白を除き、未割り当ては null にする', () => {
+      expect(toFollowUpRecord({ title: ' 電話する ', due_date: today, assignee_id: '' })).toEqual({
+        title: '電話する',
+        due_date: today,
+        assignee_id: null
+      });
+    });
+  });
+
+  describe('getFollowUpTiming', () => {
+    it('期日までの日数と色を返す', () => {
+      expect(getFollowUpTiming({ status: 'open', due_date: '2026-10-16' }, today)).toEqual({ label: '3日超過', tone: 'overdue' });
+      expect(getFollowUpTiming({ status: 'open', due_date: today }, today)).toEqual({ label: '今日', tone: 'today' });
+      expect(getFollowUpTiming({ status: 'open', due_date: '2026-10-21' }, today)).toEqual({ label: '2日後', tone: 'upcoming' });
+      expect(getFollowUpTiming({ status: 'done', due_date: '2026-10-01' }, today)).toEqual({ label: '完了', tone: 'done' });
+    });
+
+    it('スヌーズ中は再表示する日を期日として扱う', () => {
+      expect(getFollowUpTiming({ status: 'open', due_date: '2026-10-01', snoozed_until: '2026-10-22' }, today))
+        .toEqual({ label: 'スヌーズ中・3日後', tone: 'upcoming' });
+    });
+  });
+
+  describe('getFollowUpAssigneeOptions', () => {
+    const currentUser = { id: 'user-1', email: 'tanaka@example.com' };
+
+    it('ログインユーザーと関連付けられた在籍中の担当者を選択肢にする', () => {
+      const staffMembers = [
+        { name: '田中 太郎', user_id: 'user-1', is_active: true },
+        { name: '佐藤花子', user_id: 'user-2', is_active: true },
+        { name: '鈴木一郎', user_id: 'user-3', is_active: false },
+        { name: '高橋', user_id: null, is_active: true }
+      ];
+      expect(getFollowUpAssigneeOptions(staffMembers, currentUser)).toEqual([
+        { value: 'user-1', label: '田中 太郎（自分）' },
+        { value: 'user-2', label: '佐藤花子' }
+      ]);
+    });
+
+    it('担当者マスタにいないログインユーザーは先頭に追加する', () => {
+      expect(getFollowUpAssigneeOptions([], currentUser)).toEqual([
+        { value: 'user-1', label: 'tanaka@example.com（自分）' }
+      ]);
+    });
+  });
+});
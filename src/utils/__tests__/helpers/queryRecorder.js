@@ -0,0 +1,20 @@
+// テストで使用するSupabaseのクエリビルダーのスタブ
+
+// クエリの組み立てに使用するメソッド（呼び出すとクエリ自身を返す）
+const QUERY_METHODS = ['eq', 'not', 'or', 'gte', 'lt', 'lte', 'order', 'range'];
+
+/**
+ * 呼び出されたメソッドを記録するクエリビルダーのスタブを作成する関数
+ * @returns {{ query: Object, calls: Array }} スタブと、呼び出されたメソッド名・引数の記録
+ */
+export const createQueryRecorder = () => {
+  const calls = [];
+  const query = {};
+  QUERY_METHODS.forEach(method => {
+    query[method] = (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    };
+  });
+  return { query, calls };
+};
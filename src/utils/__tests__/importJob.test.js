@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  PENDING_IMPORT_JOB_STORAGE_KEY,
+  createImportJob,
+  getImportJobProgress,
+  canResumeImportJob,
+  storePendingImportJob,
+  loadPendingImportJob,
+  clearPendingImportJob,
+  isRetryableImportError,
+  sendImportBatchWithRetry,
+  runImportJob
+} from '../importJob';
+
+const toProjects = (count) => Array.from({ length: count }, (_, index) => ({ title: `工事${index + 1}` }));
+
+// バッチの行数分の登録結果を返す
+const resultsFor = (batch) => [
+  ...batch.inserts.map((_, index) => ({ project_id: `new-${batch.index}-${index}`, operation: 'insert' })),
+  ...batch.updates.map(update => ({ project_id: update.id, operation: 'update' }))
+];
+
+describe('importJob', () => {
+  describe('createImportJob', () => {
+    it('登録・更新する行を指定した行数のバッチに分ける', () => {
+      const job = createImportJob({
+        fileName: 'projects.csv',
+        organizationId: 'org-a',
+        inserts: toProjects(5),
+        updates: [{ id: 'existing-1', title: '変更' }],
+        batchSize: 4,
+        id: 'job-1'
+      });
+
+      expect(job.batches.map(batch => [batch.index, batch.inserts.length, batch.updates.length])).toEqual([[0, 4, 0], [1, 1, 1]]);
+      expect(job).toMatchObject({ id: 'job-1', totalRows: 6, nextBatch: 0, status: 'ready' });
+      expect(getImportJobProgress(job)).toEqual({ completedBatches: 0, totalBatches: 2, percent: 0 });
+    });
+  });
+
+  describe('isRetryableImportError', () => {
+    it('通信エラー・タイムアウト・一時的なDBエラーのみ再試行する', () => {
+      expect(isRetryableImportError(new Error('Failed to fetch'))).toBe(true);
+      expect(isRetryableImportError({ message: 'canceling statement due to statement timeout', code: '57014' })).toBe(true);
+      expect(isRetryableImportError({ message: 'new row violates row-level security policy', code: '42501' })).toBe(false);
+      expect(isRetryableImportError({ message: 'invalid input syntax', code: '22P02' })).toBe(false);
+    });
+  });
+
+  describe('sendImportBatchWithRetry', () => {
+    it('一時的なエラーは指数バックオフで再試行する', async () => {
+      const sendBatch = vi.fn()
+        .mockRejectedValueOnce(new Error('network error'))
+        .mockRejectedValueOnce(new Error('network error'))
+        .mockResolvedValueOnce(['ok']);
+      const onRetry = vi.fn();
+
+      await expect(sendImportBatchWithRetry(sendBatch, { index: 0 }, { maxRetries: 3, baseDelay: 1, onRetry })).resolves.toEqual(['ok']);
+      expect(sendBatch).toHaveBeenCalledTimes(3);
+      expect(onRetry.mock.calls.map(([attempt, delay]) => [attempt, delay])).toEqual([[1, 1], [2, 2]]);
+    });
+
+    it('再試行しないエラー・上限を超えた場合はエラーを返す', async () => {
+      const permissionError = { message: 'permission denied', code: '42501' };
+      const sendBatch = vi.fn().mockRejectedValue(permissionError);
+
+      await expect(sendImportBatchWithRetry(sendBatch, { index: 0 }, { maxRetries: 3, baseDelay: 1 })).rejects.toBe(permissionError);
+      expect(sendBatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('runImportJob', () => {
+    it('バッチを順に登録し、進捗と件数を更新する', async () => {
+      const job = createImportJob({ fileName: 'a.xlsx', organizationId: 'org-a', inserts: toProjects(3), updates: [{ id: 'existing-1' }], batchSize: 2 });
+      const sendBatch = vi.fn(async (_, batch) => resultsFor(batch));
+      const onProgress = vi.fn();
+
+      const finished = await runImportJob(job, { sendBatch, onProgress });
+
+      expect(sendBatch.mock.calls.map(([, batch]) => batch.index)).toEqual([0, 1]);
+      expect(finished).toMatchObject({ status: 'completed', nextBatch: 2, processedRows: 4, inserted: 3, updated: 1 });
+      expect(onProgress.mock.calls.map(([progress]) => progress.status)).toEqual(['running', 'running', 'running', 'completed']);
+    });
+
+    it('失敗した場合は登録済みのバッチの次から再開できる', async () => {
+      const job = createImportJob({ fileName: 'a.xlsx', organizationId: 'org-a', inserts: toProjects(6), batchSize: 2 });
+      const validationError = { message: 'value too long', code: '22001' };
+      const failing = vi.fn(async (_, batch) => {
+        if (batch.index === 1) throw validationError;
+        return resultsFor(batch);
+      });
+
+      const failed = await runImportJob(job, { sendBatch: failing });
+
+      expect(failed).toMatchObject({ status: 'failed', nextBatch: 1, inserted: 2, error: validationError });
+      expect(canResumeImportJob(failed)).toBe(true);
+
+      const sendBatch = vi.fn(async (_, batch) => resultsFor(batch));
+      const resumed = await runImportJob(failed, { sendBatch });
+
+      expect(sendBatch.mock.calls.map(([target, batch]) => [target.id, batch.index])).toEqual([[job.id, 1], [job.id, 2]]);
+      expect(resumed).toMatchObject({ status: 'completed', inserted: 6, error: null });
+      expect(canResumeImportJob(resumed)).toBe(false);
+    });
+
+    it('中止すると登録中のバッチの後で止まる', async () => {
+      const job = createImportJob({ fileName: 'a.xlsx', organizationId: 'org-a', inserts: toProjects(6), batchSize: 2 });
+      const controller = new AbortController();
+      const sendBatch = vi.fn(async (_, batch) => {
+        controller.abort();
+        return resultsFor(batch);
+      });
+
+      const cancelled = await runImportJob(job, { sendBatch, signal: controller.signal });
+
+      expect(sendBatch).toHaveBeenCalledTimes(1);
+      expect(cancelled).toMatchObject({ status: 'cancelled', nextBatch: 1, processedRows: 2 });
+      expect(getImportJobProgress(cancelled).percent).toBe(33);
+    });
+  });
+
+  describe('storePendingImportJob / loadPendingImportJob', () => {
+    const savedAt = new Date('2026-10-19T09:00:00Z');
+
+    beforeEach(() => {
+      window.localStorage.clear();
+    });
+
+    it('中断したジョブを保存し、次回は登録済みのバッチの次から再開できる状態で取得する', () => {
+      const job = createImportJob({ fileName: 'a.xlsx', organizationId: 'org-a', inserts: toProjects(6), batchSize: 2, id: 'job-1' });
+      storePendingImportJob({ ...job, status: 'running', nextBatch: 1, processedRows: 2, inserted: 2, retryAttempt: 1 }, 'user-1', savedAt);
+
+      const pending = loadPendingImportJob('org-a', 'user-1', new Date('2026-10-20T09:00:00Z'));
+
+      expect(pending).toMatchObject({ id: 'job-1', fileName: 'a.xlsx', status: 'interrupted', nextBatch: 1, inserted: 2, retryAttempt: 0, error: null });
+      expect(pending.batches).toEqual(job.batches);
+      expect(canResumeImportJob(pending)).toBe(true);
+    });
+
+    it('他の組織・ユーザーのジョブや再開できる日数を過ぎたジョブは取得しない', () => {
+      const job = createImportJob({ fileName: 'a.xlsx', organizationId: 'org-a', inserts: toProjects(2), batchSize: 1 });
+      storePendingImportJob({ ...job, status: 'failed' }, 'user-1', savedAt);
+
+      expect(loadPendingImportJob('org-b', 'user-1', savedAt)).toBeNull();
+      expect(loadPendingImportJob('org-a', 'user-2', savedAt)).toBeNull();
+      expect(loadPendingImportJob('org-a', 'user-1', new Date('2026-10-27T09:00:01Z'))).toBeNull();
+      expect(window.localStorage.getItem(PENDING_IMPORT_JOB_STORAGE_KEY)).toBeNull();
+    });
+
+    it('完了したジョブ・破棄したジョブは削除する', () => {
+      const job = createImportJob({ fileName: 'a.xlsx', organizationId: 'org-a', inserts: toProjects(2), batchSize: 1 });
+      storePendingImportJob({ ...job, status: 'cancelled', nextBatch: 1 }, 'user-1', savedAt);
+      expect(loadPendingImportJob('org-a', 'user-1', savedAt)).not.toBeNull();
+
+      storePendingImportJob({ ...job, status: 'completed', nextBatch: 2 }, 'user-1', savedAt);
+      expect(loadPendingImportJob('org-a', 'user-1', savedAt)).toBeNull();
+
+      storePendingImportJob({ ...job, status: 'cancelled', nextBatch: 1 }, 'user-1', savedAt);
+      clearPendingImportJob();
+      expect(loadPendingImportJob('org-a', 'user-1', savedAt)).toBeNull();
+    });
+  });
+});
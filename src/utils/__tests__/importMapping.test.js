@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeHeader,
+  detectHeaderRow,
+  suggestColumnMapping,
+  validateColumnMapping,
+  applyColumnMapping,
+  resolveTemplateSettings,
+  findMatchingTemplate,
+  suggestImportSettings,
+  validateTemplateName
+} from '../importMapping';
+
+// 取引先の書式（タイトル行・空行の後に見出しがある）
+const partnerRows = [
+  ['見積一覧表', '', '', '', '', ''],
+  ['', '', '', '', '', ''],
+  ['工番', '得意先名', '工事名', '原価', '見積金額', '見積日'],
+  ['K-001', '山田建設', '事務所改修工事', 800000, 1000000, '2026/10/01'],
+  ['', '', '', '', '', ''],
+  ['K-002', '鈴木工業', '倉庫新築工事', 2400000, 3000000, '2026/10/02']
+];
+
+const sheets = [
+  { name: '表紙', rows: [['2026年度 見積一覧']] },
+  { name: '見積一覧', rows: partnerRows }
+];
+
+const partnerMapping = {
+  '工事番号': '工番',
+  '客先': '得意先名',
+  '件名': '工事名',
+  'ネット金額': '原価',
+  '客出金額': '見積金額',
+  '提出日': '見積日'
+};
+
+describe('importMapping', () => {
+  describe('normalizeHeader', () => {
+    it('全角・半角、空白、大文字・小文字の違いを無視する', () => {
+      expect(normalizeHeader(' 税率（％） ')).toBe(normalizeHeader('税率(%)'));
+      expect(normalizeHeader('工事 No')).toBe(normalizeHeader('工事no'));
+    });
+  });
+
+  describe('detectHeaderRow', () => {
+    it('項目の別名と最も多く一致する行を見出し行とする', () => {
+      expect(detectHeaderRow(partnerRows)).toBe(3);
+    });
+
+    it('見つからない場合は1行目とする', () => {
+      expect(detectHeaderRow([['a', 'b'], [1, 2]])).toBe(1);
+    });
+  });
+
+  describe('suggestColumnMapping', () => {
+    it('見出しの別名から項目ごとの列を推定する', () => {
+      expect(suggestColumnMapping(partnerRows[2])).toEqual(partnerMapping);
+    });
+  });
+
+  describe('validateColumnMapping', () => {
+    it('必須項目の列が選択されていない場合はエラーにする', () => {
+      expect(validateColumnMapping({ '客先': '得意先名' })).toBe('件名・ネット金額・客出金額・提出日の列を選択してください');
+    });
+
+    it('同じ列を複数の項目に割り当てた場合はエラーにする', () => {
+      expect(validateColumnMapping({ ...partnerMapping, '工事番号': '工事名' })).toBe('同じ列が複数の項目に割り当てられています');
+    });
+
+    it('問題がなければ空文字を返す', () => {
+      expect(validateColumnMapping(partnerMapping)).toBe('');
+    });
+  });
+
+  describe('applyColumnMapping', () => {
+    it('見出し行より下の行を項目ごとの値にし、空行を除いてシート上の行番号を付ける', () => {
+      const rows = applyColumnMapping(partnerRows, { headerRow: 3, mapping: partnerMapping });
+
+      expect(rows.map(row => row.rowNumber)).toEqual([4, 6]);
+      expect(rows[0].values).toEqual({
+        '工事番号': 'K-001',
+        '客先': '山田建設',
+        '件名': '事務所改修工事',
+        'ネット金額': 800000,
+        '客出金額': 1000000,
+        '提出日': '2026/10/01'
+      });
+    });
+  });
+
+  describe('テンプレート', () => {
+    const template = { id: 't1', name: '協力会社の書式', sheet_name: '見積一覧', header_row: 3, mapping: partnerMapping };
+
+    it('シートと見出しが一致するテンプレートの設定を取得する', () => {
+      expect(resolveTemplateSettings(template, sheets)).toEqual({ sheetName: '見積一覧', headerRow: 3, mapping: partnerMapping });
+    });
+
+    it('見出しが見つからない場合は適用しない', () => {
+      expect(resolveTemplateSettings({ ...template, header_row: 1 }, sheets)).toBeNull();
+      expect(resolveTemplateSettings({ ...template, sheet_name: '別のシート' }, sheets)).toBeNull();
+    });
+
+    it('一致するテンプレートのうち対応付けた項目の多いものを選ぶ', () => {
+      const smallTemplate = { ...template, id: 't0', mapping: { '客先': '得意先名' } };
+      const unrelatedTemplate = { ...template, id: 't2', mapping: { '客先': '顧客' } };
+
+      expect(findMatchingTemplate([smallTemplate, template, unrelatedTemplate], sheets).template.id).toBe('t1');
+      expect(findMatchingTemplate([unrelatedTemplate], sheets)).toBeNull();
+    });
+  });
+
+  describe('suggestImportSettings', () => {
+    it('指定したシートの見出し行と列を推定する', () => {
+      expect(suggestImportSettings(sheets, '見積一覧')).toEqual({ sheetName: '見積一覧', headerRow: 3, mapping: partnerMapping });
+    });
+
+    it('シートを指定しない場合は先頭のシートを使う', () => {
+      expect(suggestImportSettings(sheets).sheetName).toBe('表紙');
+    });
+  });
+
+  describe('validateTemplateName', () => {
+    it('空・長すぎる名前はエラーにする', () => {
+      expect(validateTemplateName(' ')).toBe('テンプレート名を入力してください');
+      expect(validateTemplateName('あ'.repeat(51))).toBe('テンプレート名は50文字以内で入力してください');
+      expect(validateTemplateName('協力会社の書式')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateImportValues,
+  findDuplicateProject,
+  createImportRows,
+  updateImportRowValue,
+  summarizeImportRows,
+  getImportableProjects,
+  buildImportErrorReport
+} from '../importPreview';
+
+const validRow = {
+  '工事番号': 'P2026-010',
+  '客先': '山田建設',
+  '件名': '事務所改修工事',
+  'ネット金額': '800,000',
+  '客出金額': 1000000,
+  '提出日': '2026/10/1'
+};
+
+const existingProjects = [
+  { id: 'existing-1', project_number: 'P2026-001', client: '鈴木工業', title: '倉庫新築工事', submission_date: '2026-09-01', current_revision: 2 }
+];
+
+const context = { organizationId: 'org-a', existingProjects };
+
+// applyColumnMapping の結果と同じ形式（見出し行の次の行から番号を振る）
+const toMappedRows = (valuesList) => valuesList.map((values, index) => ({ rowNumber: index + 2, values }));
+
+describe('importPreview', () => {
+  describe('validateImportValues', () => {
+    it('有効な行から登録データを作成する', () => {
+      const { errors, project } = validateImportValues(validRow, 'org-a');
+
+      expect(errors).toEqual([]);
+      expect(project).toMatchObject({
+        project_number: 'P2026-010',
+        client: '山田建設',
+        net_amount: 800000,
+        customer_amount: 1000000,
+        submission_date: '2026-10-01',
+        status: 'submitted',
+        tax_mode: 'exclusive',
+        organization_id: 'org-a'
+      });
+    });
+
+    it('最初のエラーで止めず、列ごとのエラーをすべて返す', () => {
+      const { errors, project } = validateImportValues({
+        ...validRow,
+        '件名': ' ',
+        'ネット金額': 'abc',
+        '提出日': '10月1日',
+        'ステータス': '未定'
+      }, 'org-a');
+
+      expect(project).toBeNull();
+      expect(errors.map(error => error.column)).toEqual(['件名', 'ネット金額', '提出日', 'ステータス']);
+    });
+
+    it('税区分・税率を検証する', () => {
+      const { errors } = validateImportValues({ ...validRow, '税区分': '内税', '税率(%)': '120' }, 'org-a');
+      expect(errors.map(error => error.column)).toEqual(['税区分', '税率(%)']);
+
+      const { project } = validateImportValues({ ...validRow, '税区分': '税込', '税率(%)': '8%' }, 'org-a');
+      expect(project.tax_mode).toBe('inclusive');
+      expect(project.tax_rate).toBeCloseTo(0.08);
+    });
+  });
+
+  describe('findDuplicateProject', () => {
+    it('工事番号が一致するプロジェクトを重複候補とする', () => {
+      const duplicate = findDuplicateProject({ project_number: 'P2026-001' }, existingProjects);
+      expect(duplicate.existing.id).toBe('existing-1');
+      expect(duplicate.reason).toContain('第2版');
+    });
+
+    it('客先・件名・提出日が一致するプロジェクトを重複候補とする', () => {
+      const duplicate = findDuplicateProject({
+        project_number: null,
+        client: '鈴木工業',
+        title: '倉庫新築工事',
+        submission_date: '2026-09-01'
+      }, existingProjects);
+      expect(duplicate.existing.id).toBe('existing-1');
+    });
+
+    it('客先は表記ゆれを吸収して比較する', () => {
+      const duplicate = findDuplicateProject({
+        project_number: null,
+        client: '株式会社 鈴木工業',
+        title: '倉庫新築工事',
+        submission_date: '2026-09-01'
+      }, existingProjects);
+      expect(duplicate.existing.id).toBe('existing-1');
+    });
+
+    it('一致しない場合は null を返す', () => {
+      expect(findDuplicateProject({ project_number: 'P2026-999', client: '山田建設' }, existingProjects)).toBeNull();
+    });
+  });
+
+  describe('createImportRows', () => {
+    it('シート上の行番号を保ち、重複候補は取り込み対象から外す', () => {
+      const rows = createImportRows(toMappedRows([
+        validRow,
+        { ...validRow, '工事番号': 'P2026-001' },
+        { ...validRow, '客先': '' }
+      ]), context);
+
+      expect(rows.map(row => row.rowNumber)).toEqual([2, 3, 4]);
+      expect(rows.map(row => row.include)).toEqual([true, false, true]);
+      expect(summarizeImportRows(rows)).toEqual({ total: 3, included: 1, invalid: 1, duplicates: 1, skipped: 2 });
+    });
+
+    it('日付のセルはブラウザのタイムゾーンの YYYY-MM-DD にする', () => {
+      const [row] = createImportRows(toMappedRows([{ ...validRow, '提出日': new Date(2026, 9, 5) }]), context);
+      expect(row.values['提出日']).toBe('2026-10-05');
+    });
+
+    it('客先名の全角・半角や法人格の表記ゆれは客先マスタの正式名称に揃える', () => {
+      const clients = [{ id: 'client-1', name: '株式会社山田建設' }];
+      const rows = createImportRows(toMappedRows([
+        { ...validRow, '客先': '㈱山田建設' },
+        { ...validRow, '工事番号': 'P2026-011', '客先': 'ＡＢＣ　ハウス' }
+      ]), { ...context, clients });
+
+      expect(rows.map(row => row.project.client)).toEqual(['株式会社山田建設', 'ABC ハウス']);
+    });
+  });
+
+  describe('updateImportRowValue', () => {
+    it('セルを修正すると再検証し、取り込み対象になる', () => {
+      const [row] = createImportRows(toMappedRows([{ ...validRow, '客出金額': '-1' }]), context);
+      expect(getImportableProjects([row])).toEqual([]);
+
+      const fixedRow = updateImportRowValue(row, '客出金額', '1200000', context);
+      expect(fixedRow.errors).toEqual([]);
+      expect(getImportableProjects([fixedRow])[0].customer_amount).toBe(1200000);
+    });
+  });
+
+  describe('buildImportErrorReport', () => {
+    it('エラーのある行の行番号・エラー内容・入力値を出力する', () => {
+      const rows = createImportRows(toMappedRows([validRow, { ...validRow, '客先': '', '提出日': 'x' }]), context);
+      const report = buildImportErrorReport(rows);
+
+      expect(report).toHaveLength(1);
+      expect(report[0]['行番号']).toBe(3);
+      expect(report[0]['エラー内容']).toBe('客先は必須です。 / 提出日の形式が無効です（YYYY-MM-DD または YYYY/MM/DD 形式で入力してください）。');
+      expect(report[0]['件名']).toBe('事務所改修工事');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import { createImportRows } from '../importPreview';
+import {
+  getImportMatchValue,
+  diffImportRow,
+  planImportUpsert,
+  summarizeImportPlan,
+  buildUpsertParams
+} from '../importUpsert';
+
+const existingProjects = [
+  {
+    id: 'existing-1',
+    project_number: 'P2026-001',
+    client: '鈴木工業',
+    title: '倉庫新築工事',
+    construction_manager: '田中',
+    sales_manager: '佐藤',
+    net_amount: 800000,
+    customer_amount: 1000000,
+    tax_mode: 'exclusive',
+    tax_rate: 0.1,
+    submission_date: '2026-09-01',
+    status: 'submitted'
+  },
+  {
+    id: 'existing-2',
+    project_number: 'P2026-002',
+    client: '山田建設',
+    title: '事務所改修工事',
+    net_amount: 500000,
+    customer_amount: 600000,
+    tax_mode: 'exclusive',
+    tax_rate: 0.1,
+    submission_date: '2026-09-15',
+    status: 'submitted'
+  }
+];
+
+const context = { organizationId: 'org-a', existingProjects };
+
+const baseValues = {
+  '工事番号': 'P2026-001',
+  '客先': '鈴木工業',
+  '件名': '倉庫新築工事',
+  'ネット金額': '800,000',
+  '客出金額': '1000000',
+  '提出日': '2026-09-01'
+};
+
+const toRows = (valuesList) => createImportRows(
+  valuesList.map((values, index) => ({ rowNumber: index + 2, values })),
+  context
+).map(row => ({ ...row, include: true }));
+
+describe('importUpsert', () => {
+  describe('getImportMatchValue', () => {
+    it('工事番号で照合する（空の場合は照合しない）', () => {
+      expect(getImportMatchValue({ project_number: ' P2026-001 ' }, 'project_number')).toBe('P2026-001');
+      expect(getImportMatchValue({ project_number: '' }, 'project_number')).toBeNull();
+    });
+
+    it('客先・件名・提出日の組み合わせで照合できる', () => {
+      const value = getImportMatchValue(existingProjects[0], 'client_title_date');
+      expect(value).toBe(getImportMatchValue({ client: '鈴木工業', title: '倉庫新築工事', submission_date: '2026-09-01' }, 'client_title_date'));
+    });
+  });
+
+  describe('diffImportRow', () => {
+    it('変更された項目のみ返し、金額は数値として比較する', () => {
+      const [row] = toRows([{ ...baseValues, '客出金額': '1,200,000' }]);
+
+      expect(diffImportRow(existingProjects[0], row)).toEqual([
+        { key: 'customer_amount', label: expect.any(String), type: 'currency', before: 1000000, after: 1200000 }
+      ]);
+    });
+
+    it('空欄のセル・対応付けていない列は既存の値を変更しない', () => {
+      const [row] = toRows([{ ...baseValues, '工事担当者': '' }]);
+
+      expect(diffImportRow(existingProjects[0], row)).toEqual([]);
+    });
+  });
+
+  describe('planImportUpsert', () => {
+    it('一致した行は更新・変更なし、一致しない行は新規に分ける', () => {
+      const rows = toRows([
+        { ...baseValues, '件名': '倉庫新築工事（第2期）' },
+        { ...baseValues, '工事番号': 'P2026-002', '客先': '山田建設', '件名': '事務所改修工事', 'ネット金額': '500000', '客出金額': '600000', '提出日': '2026-09-15' },
+        { ...baseValues, '工事番号': 'P2026-099' }
+      ]);
+
+      const plan = planImportUpsert(rows, existingProjects, { matchKey: 'project_number' });
+
+      expect(summarizeImportPlan(plan)).toEqual({ inserted: 1, updated: 1, unchanged: 1, skipped: 0, missing: 0 });
+      expect(plan.updates[0].patch).toEqual({ id: 'existing-1', title: '倉庫新築工事（第2期）' });
+      expect(plan.inserts[0].row.rowNumber).toBe(4);
+    });
+
+    it('ファイル内で照合キーが重複する行はスキップする', () => {
+      const rows = toRows([baseValues, { ...baseValues, '件名': '別の件名' }]);
+
+      const plan = planImportUpsert(rows, existingProjects, { matchKey: 'project_number' });
+
+      expect(plan.skipped).toHaveLength(1);
+      expect(plan.skipped[0].reason).toBe('工事番号がファイル内の行2と重複しています');
+    });
+
+    it('ステータスが変わる場合は受注日も更新する', () => {
+      const rows = toRows([{ ...baseValues, 'ステータス': '受注' }]);
+
+      const { updates } = planImportUpsert(rows, existingProjects, { matchKey: 'project_number' });
+
+      expect(updates[0].patch).toMatchObject({ id: 'existing-1', status: 'won', lost_date: null });
+      expect(updates[0].patch.won_date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('flagMissing を指定するとファイルにない既存のプロジェクトを一覧にする', () => {
+      const rows = toRows([baseValues]);
+
+      const plan = planImportUpsert(rows, existingProjects, { matchKey: 'project_number', flagMissing: true });
+
+      expect(plan.missing.map(project => project.id)).toEqual(['existing-2']);
+    });
+
+    it('客先・件名・提出日で照合すると工事番号の変更を更新できる', () => {
+      const rows = toRows([{ ...baseValues, '工事番号': 'P2026-101' }]);
+
+      const plan = planImportUpsert(rows, existingProjects, { matchKey: 'client_title_date' });
+
+      expect(plan.updates[0].patch).toEqual({ id: 'existing-1', project_number: 'P2026-101' });
+    });
+
+    it('取り込み対象外の行は照合しない', () => {
+      const rows = toRows([baseValues]).map(row => ({ ...row, include: false }));
+
+      expect(summarizeImportPlan(planImportUpsert(rows, existingProjects, { matchKey: 'project_number' })))
+        .toEqual({ inserted: 0, updated: 0, unchanged: 0, skipped: 0, missing: 0 });
+    });
+  });
+
+  describe('buildUpsertParams', () => {
+    it('登録データと変更する項目のみの更新データを作成する', () => {
+      const rows = toRows([
+        { ...baseValues, '客出金額': '1100000' },
+        { ...baseValues, '工事番号': 'P2026-099' }
+      ]);
+
+      const params = buildUpsertParams(planImportUpsert(rows, existingProjects, { matchKey: 'project_number' }));
+
+      expect(params.p_inserts).toEqual([expect.objectContaining({ project_number: 'P2026-099', organization_id: 'org-a' })]);
+      expect(params.p_updates).toEqual([{ id: 'existing-1', customer_amount: 1100000 }]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLineItemCategoryLabel,
+  createEmptyLineItem,
+  lineItemToFormItem,
+  parseLineItemNumber,
+  validateLineItems,
+  toLineItemRecords
+} from '../lineItems';
+
+describe('lineItems', () => {
+  describe('getLineItemCategoryLabel', () => {
+    it('区分コードを表示ラベルに変換する', () => {
+      expect(getLineItemCategoryLabel('material')).toBe('材料費');
+      expect(getLineItemCategoryLabel('subcontract')).toBe('外注費');
+      expect(getLineItemCategoryLabel('unknown')).toBe('その他');
+    });
+  });
+
+  describe('parseLineItemNumber', () => {
+    it('カンマ区切りと全角数字を数値に変換する', () => {
+      expect(parseLineItemNumber('1,200')).toBe(1200);
+      expect(parseLineItemNumber('１２．５')).toBe(12.5);
+      expect(parseLineItemNumber(300)).toBe(300);
+    });
+
+    it('空文字や数値以外はNaNを返す', () => {
+      expect(parseLineItemNumber('')).toBeNaN();
+      expect(parseLineItemNumber('abc')).toBeNaN();
+    });
+  });
+
+  describe('validateLineItems', () => {
+    it('正しい明細行はエラーなし', () => {
+      const item = { ...createEmptyLineItem(), item_name: '石膏ボード', unit_price: '1,200', unit_cost: '1000' };
+      expect(validateLineItems([item])).toEqual({});
+    });
+
+    it('品名・数量・単価・原価の不備を行ごとに返す', () => {
+      const base = { ...createEmptyLineItem(), item_name: '配線工事', unit_price: '100', unit_cost: '80' };
+      const items = [
+        { ...base, key: 'a', item_name: ' ' },
+        { ...base, key: 'b', quantity: '0' },
+        { ...base, key: 'c', unit_price: '-1' },
+        { ...base, key: 'd', unit_cost: '' }
+      ];
+
+      expect(validateLineItems(items)).toEqual({
+        a: '品名は必須です',
+        b: '数量は正の数値を入力してください',
+        c: '単価は0以上の数値を入力してください',
+        d: '原価は0以上の数値を入力してください'
+      });
+    });
+  });
+
+  describe('toLineItemRecords / lineItemToFormItem', () => {
+    it('フォーム入力を保存用レコードに変換し並び順を付与する', () => {
+      const items = [
+        { key: '1', category: 'labor', item_name: ' 左官工 ', quantity: '2', unit: '人工', unit_price: '30,000', unit_cost: '25000' },
+        { key: '2', category: 'overhead', item_name: '諸経費', quantity: '1', unit: ' ', unit_price: '5000', unit_cost: '0' }
+      ];
+
+      expect(toLineItemRecords(items, 'project-1')).toEqual([
+        { project_id: 'project-1', sort_order: 0, category: 'labor', item_name: '左官工', quantity: 2, unit: '人工', unit_price: 30000, unit_cost: 25000 },
+        { project_id: 'project-1', sort_order: 1, category: 'overhead', item_name: '諸経費', quantity: 1, unit: null, unit_price: 5000, unit_cost: 0 }
+      ]);
+    });
+
+    it('保存済みレコードをフォーム入力用に変換する', () => {
+      const record = { id: 'li-1', category: 'material', item_name: '合板', quantity: 12.5, unit: '枚', unit_price: 2400, unit_cost: 0 };
+      expect(lineItemToFormItem(record)).toEqual({
+        key: 'li-1',
+        category: 'material',
+        item_name: '合板',
+        quantity: '12.5',
+        unit: '枚',
+        unit_price: '2400',
+        unit_cost: '0'
+      });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  ORGANIZATION_STORAGE_KEY,
+  loadStoredOrganizationId,
+  storeOrganizationId,
+  resolveCurrentOrganizationId
+} from '../organizations';
+
+const organizations = [
+  { id: 'org-a', name: 'A工務店' },
+  { id: 'org-b', name: 'B建設' }
+];
+
+describe('organizations', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  describe('resolveCurrentOrganizationId', () => {
+    it('保存されている組織に所属している場合はその組織を選ぶ', () => {
+      expect(resolveCurrentOrganizationId(organizations, 'org-b')).toBe('org-b');
+    });
+
+    it('保存されている組織に所属していない場合は先頭の組織を選ぶ', () => {
+      expect(resolveCurrentOrganizationId(organizations, 'org-x')).toBe('org-a');
+      expect(resolveCurrentOrganizationId(organizations, null)).toBe('org-a');
+    });
+
+    it('所属している組織がない場合は null を返す', () => {
+      expect(resolveCurrentOrganizationId([], 'org-a')).toBeNull();
+      expect(resolveCurrentOrganizationId(null, null)).toBeNull();
+    });
+  });
+
+  describe('storeOrganizationId / loadStoredOrganizationId', () => {
+    it('選択中の組織を保存・取得する', () => {
+      storeOrganizationId('org-b');
+      expect(window.localStorage.getItem(ORGANIZATION_STORAGE_KEY)).toBe('org-b');
+      expect(loadStoredOrganizationId()).toBe('org-b');
+    });
+
+    it('null を保存すると削除する', () => {
+      storeOrganizationId('org-b');
+      storeOrganizationId(null);
+      expect(loadStoredOrganizationId()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRole,
+  getRoleLabel,
+  hasRole,
+  getRolePermissions,
+  canEditProject,
+  canEditFollowUp,
+  canDeleteActivity,
+  isPermissionError,
+  getPermissionDeniedMessage
+} from '../permissions';
+
+describe('permissions', () => {
+  describe('normalizeRole', () => {
+    it('未定義の権限は閲覧者として扱う', () => {
+      expect(normalizeRole('manager')).toBe('manager');
+      expect(normalizeRole('owner')).toBe('viewer');
+      expect(normalizeRole(null)).toBe('viewer');
+    });
+  });
+
+  describe('getRoleLabel', () => {
+    it('権限の表示名を返す', () => {
+      expect(getRoleLabel('estimator')).toBe('見積担当');
+      expect(getRoleLabel(undefined)).toBe('閲覧者');
+    });
+  });
+
+  describe('hasRole', () => {
+    it('指定した権限以上かどうかを判定する', () => {
+      expect(hasRole('admin', 'manager')).toBe(true);
+      expect(hasRole('manager', 'manager')).toBe(true);
+      expect(hasRole('estimator', 'manager')).toBe(false);
+    });
+  });
+
+  describe('getRolePermissions', () => {
+    it('閲覧者は登録・インポート・削除ができない', () => {
+      expect(getRolePermissions('viewer')).toEqual({
+        canCreate: false,
+        canImport: false,
+        canDelete: false,
+        canManageClients: false,
+        canManageStaff: false,
+        canViewAuditLog: false,
+        canManageRoles: false,
+        canConfigureTrash: false,
+        canConfigureProjectNumbers: false,
+        canConfigureFollowUps: false
+      });
+    });
+
+    it('見積担当は登録のみできる', () => {
+      expect(getRolePermissions('estimator')).toEqual({
+        canCreate: true,
+        canImport: false,
+        canDelete: false,
+        canManageClients: false,
+        canManageStaff: false,
+        canViewAuditLog: false,
+        canManageRoles: false,
+        canConfigureTrash: false,
+        canConfigureProjectNumbers: false,
+        canConfigureFollowUps: false
+      });
+    });
+
+    it('マネージャーはインポート・削除ができる', () => {
+      expect(getRolePermissions('manager')).toMatchObject({ canImport: true, canDelete: true, canManageClients: true, canManageStaff: true, canViewAuditLog: true, canManageRoles: false, canConfigureTrash: false, canConfigureProjectNumbers: false, canConfigureFollowUps: false });
+    });
+
+    it('システム管理者は権限・ゴミ箱の保存期間・工事番号の採番形式を変更できる', () => {
+      expect(getRolePermissions('admin').canManageRoles).toBe(true);
+      expect(getRolePermissions('admin').canConfigureTrash).toBe(true);
+      expect(getRolePermissions('admin').canConfigureProjectNumbers).toBe(true);
+      expect(getRolePermissions('admin').canConfigureFollowUps).toBe(true);
+    });
+  });
+
+  describe('canEditFollowUp', () => {
+    const followUp = { id: 'f1', assignee_id: 'user-1', created_by: 'user-2' };
+
+    it('見積担当は自分が対応する・登録したフォローアップのみ操作できる', () => {
+      expect(canEditFollowUp('estimator', followUp, 'user-1')).toBe(true);
+      expect(canEditFollowUp('estimator', followUp, 'user-2')).toBe(true);
+      expect(canEditFollowUp('estimator', followUp, 'user-3')).toBe(false);
+      expect(canEditFollowUp('viewer', followUp, 'user-1')).toBe(false);
+    });
+
+    it('マネージャー以上はすべてのフォローアップを操作できる', () => {
+      expect(canEditFollowUp('manager', followUp, 'user-3')).toBe(true);
+    });
+  });
+
+  describe('canDeleteActivity', () => {
+    const activity = { id: 'a1', kind: 'phone', author_id: 'user-1' };
+
+    it('見積担当は自分が登録した経過のみ削除できる', () => {
+      expect(canDeleteActivity('estimator', activity, 'user-1')).toBe(true);
+      expect(canDeleteActivity('estimator', activity, 'user-2')).toBe(false);
+      expect(canDeleteActivity('viewer', activity, 'user-1')).toBe(false);
+      expect(canDeleteActivity('manager', activity, 'user-2')).toBe(true);
+    });
+
+    it('自動で記録された変更は削除できない', () => {
+      expect(canDeleteActivity('admin', { id: 'a2', kind: 'change', author_id: 'user-1' }, 'user-1')).toBe(false);
+    });
+  });
+
+  describe('canEditProject', () => {
+    const ownProject = { id: 'p1', created_by: 'user-1' };
+    const otherProject = { id: 'p2', created_by: 'user-2' };
+    const legacyProject = { id: 'p3', created_by: null };
+
+    it('見積担当は自分が登録したプロジェクトのみ編集できる', () => {
+      expect(canEditProject('estimator', ownProject, 'user-1')).toBe(true);
+      expect(canEditProject('estimator', otherProject, 'user-1')).toBe(false);
+      expect(canEditProject('estimator', legacyProject, 'user-1')).toBe(false);
+    });
+
+    it('マネージャー以上はすべてのプロジェクトを編集できる', () => {
+      expect(canEditProject('manager', otherProject, 'user-1')).toBe(true);
+      expect(canEditProject('admin', legacyProject, 'user-1')).toBe(true);
+    });
+
+    it('閲覧者は編集できない', () => {
+      expect(canEditProject('viewer', ownProject, 'user-1')).toBe(false);
+    });
+  });
+
+  describe('isPermissionError', () => {
+    it('RLSのポリシー違反を権限エラーとして判定する', () => {
+      expect(isPermissionError({ code: '42501', message: 'new row violates row-level security policy for table "projects"' })).toBe(true);
+      expect(isPermissionError(new Error('permission denied for table projects'))).toBe(true);
+      expect(isPermissionError(new Error('network error'))).toBe(false);
+    });
+  });
+
+  describe('getPermissionDeniedMessage', () => {
+    it('操作名と現在の権限を含むメッセージを返す', () => {
+      expect(getPermissionDeniedMessage('プロジェクトの削除', 'estimator'))
+        .toBe('プロジェクトの削除の権限がありません（現在の権限: 見積担当）。');
+    });
+  });
+});
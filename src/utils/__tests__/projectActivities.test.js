@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getActivityKindDefinition,
+  validateActivityForm,
+  toActivityRecord,
+  getActivityChanges
+} from '../projectActivities';
+
+describe('projectActivities', () => {
+  describe('getActivityKindDefinition', () => {
+    it('経過の種類と自動で記録される変更のラベルを返す', () => {
+      expect(getActivityKindDefinition('requote').label).toBe('再見積依頼');
+      expect(getActivityKindDefinition('change').label).toBe('変更');
+      expect(getActivityKindDefinition('fax').label).toBe('fax');
+    });
+  });
+
+  describe('validateActivityForm / toActivityRecord', () => {
+    it('種類と内容は必須', () => {
+      expect(validateActivityForm({ kind: 'change', body: '  ' })).toEqual({
+        kind: '種類を選択してください',
+        body: '内容を入力してください'
+      });
+      expect(validateActivityForm({ kind: 'phone', body: 'a'.repeat(1001) })).toEqual({
+        body: '内容は1000文字以内で入力してください'
+      });
+      expect(validateActivityForm({ kind: 'phone', body: '先方より連絡' })).toEqual({});
+    });
+
+    it('登録用のデータは内容の前後の空白を除く', () => {
+      expect(toActivityRecord({ kind: 'visit', body: ' 現地確認 \n' })).toEqual({ kind: 'visit', body: '現地確認' });
+    });
+  });
+
+  describe('getActivityChanges', () => {
+    it('変更は変更された項目の前後の値を返す', () => {
+      const changes = getActivityChanges({
+        kind: 'change',
+        before_data: { net_amount: 100000, customer_amount: 120000, status: 'submitted' },
+        after_data: { net_amount: 100000, customer_amount: 110000, status: 'on_hold' }
+      });
+      expect(changes.map(change => [change.key, change.before, change.after])).toEqual([
+        ['customer_amount', 120000, 110000],
+        ['status', 'submitted', 'on_hold']
+      ]);
+    });
+
+    it('登録は登録時の値を返す', () => {
+      const changes = getActivityChanges({
+        kind: 'change',
+        before_data: null,
+        after_data: { net_amount: 100000, customer_amount: 120000, status: 'submitted' }
+      });
+      expect(changes.map(change => change.key)).toEqual(['net_amount', 'customer_amount', 'status']);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PROJECT_FILTERS,
+  parseProjectListParams,
+  buildProjectListParams,
+  countActiveFilters,
+  splitSearchTerms
+} from '../projectFilters';
+
+describe('projectFilters', () => {
+  describe('parseProjectListParams', () => {
+    it('クエリ文字列から絞り込み条件とソート設定を復元する', () => {
+      const { filters, sortConfig } = parseProjectListParams(
+        '?q=%E6%94%B9%E4%BF%AE&status=won&cm=%E7%94%B0%E4%B8%AD&amount_min=1,000,000&from=2026-04-01&sort=profit_rate&dir=asc'
+      );
+
+      expect(filters).toEqual({
+        ...DEFAULT_PROJECT_FILTERS,
+        search: '改修',
+        status: 'won',
+        constructionManager: '田中',
+        amountMin: '1000000',
+        submittedFrom: '2026-04-01'
+      });
+      expect(sortConfig).toEqual({ key: 'profit_rate', direction: 'asc' });
+    });
+
+    it('不正な値は無視する', () => {
+      const { filters, sortConfig } = parseProjectListParams('?amount_max=abc&to=2026/04/01');
+
+      expect(filters.amountMax).toBe('');
+      expect(filters.submittedTo).toBe('');
+      expect(sortConfig).toEqual({ key: 'created_at', direction: 'desc' });
+    });
+
+    it('クエリ文字列がない場合は初期値を返す', () => {
+      expect(parseProjectListParams('').filters).toEqual(DEFAULT_PROJECT_FILTERS);
+    });
+  });
+
+  describe('buildProjectListParams', () => {
+    it('初期値と異なる条件のみクエリ文字列にする', () => {
+      const query = buildProjectListParams(
+        { ...DEFAULT_PROJECT_FILTERS, search: ' 改修 ', salesManager: '佐藤', profitRateMin: '110' },
+        { key: 'created_at', direction: 'desc' }
+      );
+
+      const params = new URLSearchParams(query);
+      expect(params.get('q')).toBe('改修');
+      expect(params.get('sm')).toBe('佐藤');
+      expect(params.get('profit_min')).toBe('110');
+      expect(params.has('status')).toBe(false);
+      expect(params.has('sort')).toBe(false);
+    });
+
+    it('条件がない場合は空文字を返す', () => {
+      expect(buildProjectListParams(DEFAULT_PROJECT_FILTERS, { key: 'created_at', direction: 'desc' })).toBe('');
+    });
+
+    it('復元すると同じ条件になる', () => {
+      const filters = { ...DEFAULT_PROJECT_FILTERS, search: 'P2026', status: 'lost', submittedTo: '2026-09-30' };
+      const sortConfig = { key: 'days_passed', direction: 'asc' };
+
+      expect(parseProjectListParams(buildProjectListParams(filters, sortConfig))).toEqual({ filters, sortConfig });
+    });
+  });
+
+  describe('countActiveFilters', () => {
+    it('初期値と異なる条件の数を返す', () => {
+      expect(countActiveFilters(DEFAULT_PROJECT_FILTERS)).toBe(0);
+      expect(countActiveFilters({ ...DEFAULT_PROJECT_FILTERS, status: 'won', amountMin: '100' })).toBe(2);
+      expect(countActiveFilters({ ...DEFAULT_PROJECT_FILTERS, search: '   ' })).toBe(0);
+    });
+  });
+
+  describe('splitSearchTerms', () => {
+    it('半角・全角スペースで分割し、フィルター構文の記号を除く', () => {
+      expect(splitSearchTerms('オフィス　改修 (A社)')).toEqual(['オフィス', '改修', 'A社']);
+      expect(splitSearchTerms('')).toEqual([]);
+      expect(splitSearchTerms('100%')).toEqual(['100']);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getFiscalYear,
+  validateProjectNumberFormat,
+  formatProjectNumber,
+  getClientNumberPrefix,
+  isDuplicateProjectNumberError
+} from '../projectNumber';
+
+describe('projectNumber', () => {
+  describe('getFiscalYear', () => {
+    it('4月始まりの年度を求める', () => {
+      expect(getFiscalYear('2027-03-31')).toBe(2026);
+      expect(getFiscalYear('2027-04-01')).toBe(2027);
+      expect(getFiscalYear(new Date(2026, 0, 15))).toBe(2025);
+    });
+  });
+
+  describe('validateProjectNumberFormat', () => {
+    it('連番をちょうど1つ含む形式のみ有効', () => {
+      expect(validateProjectNumberFormat('{年度}-{連番:4}')).toBe('');
+      expect(validateProjectNumberFormat('{客先}{年度:2}-{連番}')).toBe('');
+      expect(validateProjectNumberFormat('{年度}-')).toBe('採番形式に{連番}を含めてください');
+      expect(validateProjectNumberFormat('{連番}-{連番:2}')).toBe('{連番}は1つだけ含めてください');
+    });
+
+    it('未知の記号・閉じていない記号は使えない', () => {
+      expect(validateProjectNumberFormat('{番号}-{連番}')).toBe('「{番号}」は採番形式に使えません');
+      expect(validateProjectNumberFormat('{年度-{連番}')).toBe('「{年度-」は採番形式に使えません');
+      expect(validateProjectNumberFormat('')).toBe('採番形式を入力してください');
+    });
+  });
+
+  describe('formatProjectNumber', () => {
+    it('年度・年・月・客先・連番を展開する', () => {
+      expect(formatProjectNumber('{年度}-{連番:4}', { date: '2027-03-31', sequence: 12 })).toBe('2026-0012');
+      expect(formatProjectNumber('{客先}{年度:2}{月}-{連番:3}', { date: '2026-10-01', clientPrefix: 'YMD' })).toBe('YMD2610-001');
+      expect(formatProjectNumber('P{年}-{連番:2}', { date: '2026-10-01', sequence: 123 })).toBe('P2026-123');
+    });
+  });
+
+  describe('getClientNumberPrefix', () => {
+    it('略号が未設定の場合は空白を除いた客先名の先頭10文字を使う', () => {
+      expect(getClientNumberPrefix({ name: '山田建設', project_number_prefix: 'YMD' })).toBe('YMD');
+      expect(getClientNumberPrefix({ name: '佐藤 設備' })).toBe('佐藤設備');
+      expect(getClientNumberPrefix(null, 'ABCDEFGHIJKL')).toBe('ABCDEFGHIJ');
+    });
+  });
+
+  describe('isDuplicateProjectNumberError', () => {
+    it('工事番号の一意制約違反のみ true', () => {
+      expect(isDuplicateProjectNumberError({ code: '23505', message: 'duplicate key value violates unique constraint "projects_project_number_key"' })).toBe(true);
+      expect(isDuplicateProjectNumberError({ code: '23505', message: 'duplicate key value violates unique constraint "clients_pkey"' })).toBe(false);
+      expect(isDuplicateProjectNumberError(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getProjectSortColumn,
+  getPageRange,
+  applyProjectFilters,
+  buildProjectListQuery,
+  fetchAllPages,
+  toProjectSummary,
+  toClientAggregation
+} from '../projectQuery';
+import { createQueryRecorder } from './helpers/queryRecorder';
+
+describe('projectQuery', () => {
+  describe('getProjectSortColumn', () => {
+    it('計算項目はビューの列で並べ替える', () => {
+      expect(getProjectSortColumn('profit_rate')).toBe('profit_rate');
+      expect(getProjectSortColumn('days_passed')).toBe('days_passed');
+      expect(getProjectSortColumn('status')).toBe('status_order');
+      expect(getProjectSortColumn('customer_amount')).toBe('customer_amount_excluding_tax');
+    });
+
+    it('未定義のキーは作成日時で並べ替える', () => {
+      expect(getProjectSortColumn('unknown')).toBe('created_at');
+    });
+  });
+
+  describe('getPageRange', () => {
+    it('取得済み件数から range の範囲を計算する', () => {
+      expect(getPageRange(0)).toEqual([0, 19]);
+      expect(getPageRange(20)).toEqual([20, 39]);
+      expect(getPageRange(0, 1000)).toEqual([0, 999]);
+    });
+  });
+
+  describe('applyProjectFilters', () => {
+    it('ステータスが指定された場合のみ絞り込む', () => {
+      const all = createQueryRecorder();
+      applyProjectFilters(all.query, { status: 'all' });
+      expect(all.calls).toEqual([]);
+
+      const won = createQueryRecorder();
+      applyProjectFilters(won.query, { status: 'won' });
+      expect(won.calls).toEqual([['eq', 'status', 'won']]);
+    });
+
+    it('検索語は単語ごとに工事番号・客先・件名の部分一致で絞り込む', () => {
+      const { query, calls } = createQueryRecorder();
+      applyProjectFilters(query, { search: '改修　A,B(社)' });
+
+      expect(calls).toEqual([
+        ['or', 'project_number.ilike.%改修%,client.ilike.%改修%,title.ilike.%改修%'],
+        ['or', 'project_number.ilike.%A%,client.ilike.%A%,title.ilike.%A%'],
+        ['or', 'project_number.ilike.%B%,client.ilike.%B%,title.ilike.%B%'],
+        ['or', 'project_number.ilike.%社%,client.ilike.%社%,title.ilike.%社%']
+      ]);
+    });
+
+    it('担当者・金額・利益率・提出日・経過日数で絞り込む', () => {
+      const { query, calls } = createQueryRecorder();
+      applyProjectFilters(query, {
+        constructionManager: '田中太郎',
+        salesManager: '佐藤花子',
+        amountMin: '1000000',
+        amountMax: '',
+        profitRateMin: '110',
+        profitRateMax: '130',
+        submittedFrom: '2026-04-01',
+        submittedTo: '2026-09-30',
+        daysPassedMin: '30'
+      });
+
+      expect(calls).toEqual([
+        ['eq', 'construction_manager', '田中太郎'],
+        ['eq', 'sales_manager', '佐藤花子'],
+        ['gte', 'customer_amount_excluding_tax', '1000000'],
+        ['gte', 'profit_rate', '110'],
+        ['lte', 'profit_rate', '130'],
+        ['gte', 'submission_date', '2026-04-01'],
+        ['lte', 'submission_date', '2026-09-30'],
+        ['gte', 'days_passed', '30']
+      ]);
+    });
+  });
+
+  describe('buildProjectListQuery', () => {
+    it('絞り込み・並べ替え・範囲指定を適用する', () => {
+      const { query, calls } = createQueryRecorder();
+      buildProjectListQuery(query, {
+        sortConfig: { key: 'profit_rate', direction: 'desc' },
+        filters: { status: 'submitted' },
+        offset: 40
+      });
+
+      expect(calls).toEqual([
+        ['eq', 'status', 'submitted'],
+        ['order', 'profit_rate', { ascending: false, nullsFirst: false }],
+        ['order', 'id', { ascending: true }],
+        ['range', 40, 59]
+      ]);
+    });
+  });
+
+  describe('fetchAllPages', () => {
+    it('取得件数が上限未満になるまで分割して取得する', async () => {
+      const fetchPage = vi.fn()
+        .mockResolvedValueOnce({ data: [1, 2], error: null })
+        .mockResolvedValueOnce({ data: [3], error: null });
+
+      const rows = await fetchAllPages(fetchPage, 2);
+
+      expect(rows).toEqual([1, 2, 3]);
+      expect(fetchPage).toHaveBeenNthCalledWith(1, 0, 1);
+      expect(fetchPage).toHaveBeenNthCalledWith(2, 2, 3);
+    });
+
+    it('エラーの場合は例外を投げる', async () => {
+      const fetchPage = vi.fn().mockResolvedValue({ data: null, error: new Error('network') });
+      await expect(fetchAllPages(fetchPage)).rejects.toThrow('network');
+    });
+  });
+
+  describe('toProjectSummary', () => {
+    it('集計結果を数値に変換し受注率を計算する', () => {
+      const summary = toProjectSummary({
+        total_projects: '4',
+        total_net_amount: '300000',
+        total_customer_amount: 400000,
+        won_count: 3,
+        lost_count: 1,
+        won_amount: 250000
+      });
+
+      expect(summary.totalProjects).toBe(4);
+      expect(summary.totalNetAmount).toBe(300000);
+      expect(summary.totalCustomerAmount).toBe(400000);
+      expect(summary.winRate).toBe(75);
+      expect(summary.wonAmount).toBe(250000);
+    });
+
+    it('結果がない場合は0を返す', () => {
+      const summary = toProjectSummary(null);
+      expect(summary.totalProjects).toBe(0);
+      expect(summary.winRate).toBe(0);
+    });
+  });
+
+  describe('toClientAggregation', () => {
+    it('客先別集計を画面用の形式に変換する', () => {
+      const [data] = toClientAggregation([{
+        client: '株式会社A',
+        project_count: 2,
+        total_net_amount: 100000,
+        total_customer_amount: 120000,
+        average_profit_rate: '120.5',
+        won_count: 1,
+        lost_count: 0,
+        won_amount: 60000
+      }]);
+
+      expect(data).toMatchObject({
+        client: '株式会社A',
+        projectCount: 2,
+        totalCustomerAmount: 120000,
+        averageProfitRate: 120.5,
+        winRate: 100,
+        wonAmount: 60000
+      });
+    });
+  });
+});
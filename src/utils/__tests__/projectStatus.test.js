@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getStatusLabel,
+  parseStatus,
+  getStatusTransitionPatch,
+  calculateWinRate
+} from '../projectStatus';
+
+describe('projectStatus', () => {
+  describe('getStatusLabel', () => {
+    it('ステータスコードを表示ラベルに変換する', () => {
+      expect(getStatusLabel('submitted')).toBe('提出済');
+      expect(getStatusLabel('won')).toBe('受注');
+      expect(getStatusLabel('lost')).toBe('失注');
+      expect(getStatusLabel('on_hold')).toBe('保留');
+    });
+
+    it('未設定・不明なコードは提出済として扱う', () => {
+      expect(getStatusLabel(null)).toBe('提出済');
+      expect(getStatusLabel('unknown')).toBe('提出済');
+    });
+  });
+
+  describe('parseStatus', () => {
+    it('ラベルとコードの両方を解釈できる', () => {
+      expect(parseStatus('受注')).toBe('won');
+      expect(parseStatus(' 失注 ')).toBe('lost');
+      expect(parseStatus('on_hold')).toBe('on_hold');
+    });
+
+    it('解釈できない値はnullを返す', () => {
+      expect(parseStatus('不明')).toBeNull();
+      expect(parseStatus(undefined)).toBeNull();
+    });
+  });
+
+  describe('getStatusTransitionPatch', () => {
+    const changedAt = new Date('2026-04-10T03:00:00Z');
+
+    it('受注への遷移で受注日を設定する', () => {
+      const patch = getStatusTransitionPatch({ status: 'submitted' }, 'won', changedAt);
+      expect(patch).toEqual({
+        status: 'won',
+        status_changed_at: changedAt.toISOString(),
+        won_date: '2026-04-10',
+        lost_date: null
+      });
+    });
+
+    it('日本時間の早朝に変更した場合も端末の日付で失注日を設定する', () => {
+      const earlyMorning = new Date(2026, 3, 10, 1, 30);
+      const patch = getStatusTransitionPatch({ status: 'submitted' }, 'lost', earlyMorning);
+      expect(patch.lost_date).toBe('2026-04-10');
+      expect(patch.won_date).toBeNull();
+    });
+
+    it('受注から保留に戻すと受注日をクリアする', () => {
+      const patch = getStatusTransitionPatch({ status: 'won', won_date: '2026-04-01' }, 'on_hold', changedAt);
+      expect(patch.won_date).toBeNull();
+      expect(patch.lost_date).toBeNull();
+    });
+
+    it('同じステータスの場合は遷移日時を変更しない', () => {
+      const patch = getStatusTransitionPatch({ status: 'lost' }, 'lost', changedAt);
+      expect(patch).toEqual({ status: 'lost' });
+    });
+  });
+
+  describe('calculateWinRate', () => {
+    it('確定案件に対する受注率と受注金額を計算する', () => {
+      const projects = [
+        { status: 'won', customer_amount: 1000000 },
+        { status: 'won', customer_amount: '500000' },
+        { status: 'lost', customer_amount: 800000 },
+        { status: 'submitted', customer_amount: 300000 },
+        { status: 'on_hold', customer_amount: 200000 }
+      ];
+
+      const result = calculateWinRate(projects);
+      expect(result.wonCount).toBe(2);
+      expect(result.lostCount).toBe(1);
+      expect(result.decidedCount).toBe(3);
+      expect(result.winRate).toBeCloseTo(66.67, 1);
+      expect(result.wonAmount).toBe(1500000);
+    });
+
+    it('確定案件がない場合は受注率0を返す', () => {
+      expect(calculateWinRate([{ status: 'submitted' }]).winRate).toBe(0);
+      expect(calculateWinRate([]).winRate).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  formatJapaneseDate,
+  getQuotationNumber,
+  buildQuotationData,
+  getQuotationFileName
+} from '../quotation';
+
+const project = {
+  id: 'project-1',
+  project_number: 'P2026-001',
+  client: '株式会社サンプル',
+  title: 'オフィスビル改修工事',
+  customer_amount: 1234567,
+  submission_date: '2026-04-01',
+  current_revision: 2
+};
+
+describe('quotation', () => {
+  describe('formatJapaneseDate', () => {
+    it('日本語表記に変換する', () => {
+      expect(formatJapaneseDate('2026-04-01')).toBe('2026年4月1日');
+      expect(formatJapaneseDate('')).toBe('');
+    });
+  });
+
+  describe('getQuotationNumber', () => {
+    it('工事番号と版から見積番号を生成する', () => {
+      expect(getQuotationNumber(project)).toBe('P2026-001-R2');
+    });
+
+    it('工事番号がない場合は提出日を使用する', () => {
+      expect(getQuotationNumber({ submission_date: '2026-04-01' })).toBe('Q20260401-R1');
+    });
+  });
+
+  describe('buildQuotationData', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('明細がない場合は一式1行で小計・消費税・合計を計算する', () => {
+      const quotation = buildQuotationData(project, [], { issueDate: '2026-04-10', validityDays: 30 });
+
+      expect(quotation.items).toEqual([
+        { name: 'オフィスビル改修工事', quantity: 1, unit: '式', unitPrice: 1234567, amount: 1234567 }
+      ]);
+      expect(quotation.subtotal).toBe(1234567);
+      expect(quotation.tax).toBe(123456);
+      expect(quotation.total).toBe(1358023);
+      expect(quotation.validUntil).toBe('2026-05-10');
+    });
+
+    it('明細がある場合は客出単価で明細行を作成する', () => {
+      const lineItems = [
+        { item_name: '石膏ボード', quantity: '20', unit: '枚', unit_price: '1500', unit_cost: '1000' },
+        { item_name: '内装工', quantity: 2.5, unit: '人工', unit_price: 28000, unit_cost: 22000 }
+      ];
+
+      const quotation = buildQuotationData(project, lineItems, { issueDate: '2026-04-10' });
+      expect(quotation.items.map(item => item.amount)).toEqual([30000, 70000]);
+      expect(quotation.subtotal).toBe(100000);
+      expect(quotation.tax).toBe(10000);
+      expect(quotation.total).toBe(110000);
+    });
+
+    it('税込入力のプロジェクトは合計から消費税を内税として計算する', () => {
+      const quotation = buildQuotationData(
+        { ...project, customer_amount: 1100000, tax_mode: 'inclusive', tax_rate: 0.1 },
+        [],
+        { issueDate: '2026-04-10' }
+      );
+
+      expect(quotation.taxMode).toBe('inclusive');
+      expect(quotation.items[0].amount).toBe(1100000);
+      expect(quotation.subtotal).toBe(1000000);
+      expect(quotation.tax).toBe(100000);
+      expect(quotation.total).toBe(1100000);
+    });
+
+    it('プロジェクトの税率と指定した端数処理を使用する', () => {
+      const quotation = buildQuotationData(
+        { ...project, customer_amount: 12345, tax_rate: 0.08 },
+        [],
+        { issueDate: '2026-04-10', rounding: 'round' }
+      );
+
+      expect(quotation.taxRate).toBe(0.08);
+      expect(quotation.tax).toBe(988);
+      expect(quotation.total).toBe(13333);
+    });
+
+    it('発行日の既定は端末の日付で本日とする', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2026, 3, 1, 0, 30));
+
+      const quotation = buildQuotationData(project, [], { validityDays: 30 });
+
+      expect(quotation.issueDate).toBe('2026-04-01');
+      expect(quotation.validUntil).toBe('2026-05-01');
+    });
+  });
+
+  describe('getQuotationFileName', () => {
+    it('ファイル名に使えない文字を置換する', () => {
+      expect(getQuotationFileName({ client: 'A/B建設', quotationNumber: 'P1-R1' })).toBe('見積書_A_B建設_P1-R1.pdf');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatRevisionLabel,
+  formatRevisionValue,
+  buildRevisionSnapshot,
+  diffRevisionSnapshots,
+  diffRevisionLineItems,
+  buildRevisionVersions
+} from '../revisions';
+import { formatCurrency } from '../calculations';
+
+const baseProject = {
+  id: 'project-1',
+  project_number: 'P2026-001',
+  client: '山田建設',
+  title: '事務所改修工事',
+  construction_manager: '田中',
+  sales_manager: null,
+  net_amount: '1000000',
+  customer_amount: 1200000,
+  submission_date: '2026-04-01',
+  status: 'submitted',
+  created_at: '2026-04-01T00:00:00Z'
+};
+
+describe('revisions', () => {
+  describe('formatRevisionLabel', () => {
+    it('版番号をラベルに変換する（未設定は第1版）', () => {
+      expect(formatRevisionLabel(3)).toBe('第3版');
+      expect(formatRevisionLabel(undefined)).toBe('第1版');
+    });
+  });
+
+  describe('formatRevisionValue', () => {
+    it('項目の種類に応じて値を整形する', () => {
+      expect(formatRevisionValue(1200000, 'currency')).toBe(formatCurrency(1200000));
+      expect(formatRevisionValue('won', 'status')).toBe('受注');
+      expect(formatRevisionValue('inclusive', 'taxMode')).toBe('税込');
+      expect(formatRevisionValue(0.08, 'taxRate')).toBe('8%');
+      expect(formatRevisionValue('事務所改修工事')).toBe('事務所改修工事');
+    });
+
+    it('値がない場合は - を返す', () => {
+      expect(formatRevisionValue(null, 'currency')).toBe('-');
+      expect(formatRevisionValue('')).toBe('-');
+    });
+  });
+
+  describe('buildRevisionSnapshot', () => {
+    it('比較対象の項目と明細のみを記録し金額を数値化する', () => {
+      const snapshot = buildRevisionSnapshot(
+        { ...baseProject, extra: 'ignored' },
+        [{ project_id: 'project-1', sort_order: 0, category: 'material', item_name: '合板', quantity: 10, unit: '枚', unit_price: 2000, unit_cost: 1500 }]
+      );
+
+      expect(snapshot.net_amount).toBe(1000000);
+      expect(snapshot.extra).toBeUndefined();
+      expect(snapshot.line_items).toEqual([
+        { category: 'material', item_name: '合板', quantity: 10, unit: '枚', unit_price: 2000, unit_cost: 1500 }
+      ]);
+    });
+
+    it('明細が不明な場合はnullを記録する', () => {
+      expect(buildRevisionSnapshot(baseProject, null).line_items).toBeNull();
+    });
+  });
+
+  describe('diffRevisionSnapshots', () => {
+    it('変更された項目のみchangedになる', () => {
+      const before = buildRevisionSnapshot(baseProject, []);
+      const after = buildRevisionSnapshot({ ...baseProject, customer_amount: 1150000, sales_manager: '佐藤' }, []);
+
+      const changed = diffRevisionSnapshots(before, after).filter(field => field.changed);
+      expect(changed.map(field => field.key)).toEqual(['sales_manager', 'customer_amount']);
+      expect(changed[1]).toMatchObject({ before: 1200000, after: 1150000, type: 'currency' });
+    });
+  });
+
+  describe('diffRevisionLineItems', () => {
+    const item = { category: 'labor', item_name: '大工', quantity: 5, unit: '人工', unit_price: 30000, unit_cost: 25000 };
+
+    it('追加・削除・変更・変更なしを判定する', () => {
+      const before = [item, { ...item, item_name: '解体' }, { ...item, category: 'overhead', item_name: '諸経費' }];
+      const after = [{ ...item, quantity: 6 }, { ...item, category: 'overhead', item_name: '諸経費' }, { ...item, item_name: '内装' }];
+
+      const diff = diffRevisionLineItems(before, after);
+      expect(diff.map(entry => entry.status)).toEqual(['changed', 'unchanged', 'added', 'removed']);
+      expect(diff[3].before.item_name).toBe('解体');
+    });
+
+    it('どちらかの明細が不明な場合はnullを返す', () => {
+      expect(diffRevisionLineItems(null, [item])).toBeNull();
+    });
+  });
+
+  describe('buildRevisionVersions', () => {
+    it('現在の版のレコードがない場合は現在のデータで補完する', () => {
+      const project = { ...baseProject, current_revision: 2 };
+      const revisions = [{ id: 'r1', revision_number: 1, snapshot: buildRevisionSnapshot(baseProject, []) }];
+
+      const versions = buildRevisionVersions(project, revisions);
+      expect(versions).toHaveLength(2);
+      expect(versions[0].isCurrent).toBe(false);
+      expect(versions[1]).toMatchObject({ revision_number: 2, isCurrent: true });
+      expect(versions[1].snapshot.line_items).toBeNull();
+    });
+
+    it('版番号の昇順に並べる', () => {
+      const revisions = [
+        { id: 'r2', revision_number: 2, snapshot: {} },
+        { id: 'r1', revision_number: 1, snapshot: {} }
+      ];
+      const versions = buildRevisionVersions({ ...baseProject, current_revision: 2 }, revisions);
+      expect(versions.map(version => version.revision_number)).toEqual([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SAVED_VIEW_SETTINGS_VERSION,
+  buildSavedViewSettings,
+  parseSavedViewSettings,
+  findDefaultView,
+  validateViewName
+} from '../savedViews';
+import { DEFAULT_PROJECT_FILTERS, DEFAULT_SORT_CONFIG } from '../projectFilters';
+
+describe('savedViews', () => {
+  describe('buildSavedViewSettings', () => {
+    it('絞り込み条件・ソート・客先別表示を保存用の形式にする', () => {
+      const settings = buildSavedViewSettings({
+        filters: { ...DEFAULT_PROJECT_FILTERS, status: 'submitted', daysPassedMin: '30', amountMin: '1,000,000' },
+        sortConfig: { key: 'days_passed', direction: 'desc' },
+        showClientView: false
+      });
+
+      expect(settings).toEqual({
+        version: SAVED_VIEW_SETTINGS_VERSION,
+        filters: { ...DEFAULT_PROJECT_FILTERS, status: 'submitted', daysPassedMin: '30', amountMin: '1000000' },
+        sortConfig: { key: 'days_passed', direction: 'desc' },
+        showClientView: false
+      });
+    });
+  });
+
+  describe('parseSavedViewSettings', () => {
+    it('保存した設定を表示条件に復元する', () => {
+      const settings = buildSavedViewSettings({
+        filters: { ...DEFAULT_PROJECT_FILTERS, salesManager: '佐藤花子' },
+        sortConfig: { key: 'customer_amount', direction: 'asc' },
+        showClientView: true
+      });
+
+      expect(parseSavedViewSettings(settings)).toEqual({
+        filters: { ...DEFAULT_PROJECT_FILTERS, salesManager: '佐藤花子' },
+        sortConfig: { key: 'customer_amount', direction: 'asc' },
+        showClientView: true
+      });
+    });
+
+    it('項目が欠けた古い設定や不正な値は初期値で補う', () => {
+      const { filters, sortConfig, showClientView } = parseSavedViewSettings({
+        filters: { status: 'won', submittedFrom: '2026/04/01', removedKey: 'x' }
+      });
+
+      expect(filters).toEqual({ ...DEFAULT_PROJECT_FILTERS, status: 'won' });
+      expect(sortConfig).toEqual(DEFAULT_SORT_CONFIG);
+      expect(showClientView).toBe(false);
+    });
+
+    it('設定がない場合は初期状態を返す', () => {
+      expect(parseSavedViewSettings(null)).toEqual({
+        filters: DEFAULT_PROJECT_FILTERS,
+        sortConfig: DEFAULT_SORT_CONFIG,
+        showClientView: false
+      });
+    });
+  });
+
+  describe('findDefaultView', () => {
+    it('既定のビューを返す', () => {
+      const views = [{ id: '1', is_default: false }, { id: '2', is_default: true }];
+      expect(findDefaultView(views)).toEqual({ id: '2', is_default: true });
+    });
+
+    it('既定のビューがない場合は null を返す', () => {
+      expect(findDefaultView([{ id: '1', is_default: false }])).toBeNull();
+      expect(findDefaultView(null)).toBeNull();
+    });
+  });
+
+  describe('validateViewName', () => {
+    const views = [{ id: '1', name: '自分の提出済' }];
+
+    it('空の名前はエラーになる', () => {
+      expect(validateViewName('  ', views)).toBe('ビュー名を入力してください');
+    });
+
+    it('50文字を超える名前はエラーになる', () => {
+      expect(validateViewName('あ'.repeat(51), views)).toBe('ビュー名は50文字以内で入力してください');
+      expect(validateViewName('あ'.repeat(50), views)).toBe('');
+    });
+
+    it('同じ名前のビューがある場合はエラーになる', () => {
+      expect(validateViewName(' 自分の提出済 ', views)).toBe('同じ名前のビューが既にあります');
+      expect(validateViewName('受注済', views)).toBe('');
+    });
+  });
+});
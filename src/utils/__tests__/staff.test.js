@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeStaffName,
+  cleanStaffName,
+  findStaffByName,
+  getStaffSelectOptions,
+  validateStaffForm,
+  toStaffRecord,
+  toStaffAggregation,
+  getStaffRole
+} from '../staff';
+
+const staffMembers = [
+  { id: 'staff-1', name: '田中 太郎', user_id: 'user-1', is_active: true },
+  { id: 'staff-2', name: '佐藤花子', user_id: null, is_active: true },
+  { id: 'staff-3', name: '鈴木一郎', user_id: null, is_active: false }
+];
+
+describe('staff', () => {
+  describe('normalizeStaffName / cleanStaffName', () => {
+    it('空白・全角半角の違いを吸収する', () => {
+      expect(normalizeStaffName('田中　太郎')).toBe(normalizeStaffName('田中太郎'));
+      expect(normalizeStaffName('ＹＡＭＡＤＡ')).toBe('yamada');
+    });
+
+    it('表示用には連続する空白を1つにする', () => {
+      expect(cleanStaffName('  田中　　太郎 ')).toBe('田中 太郎');
+    });
+  });
+
+  describe('findStaffByName', () => {
+    it('表記ゆれを吸収して担当者を探す', () => {
+      expect(findStaffByName(staffMembers, '田中太郎')).toBe(staffMembers[0]);
+      expect(findStaffByName(staffMembers, '')).toBeNull();
+      expect(findStaffByName(staffMembers, '高橋')).toBeNull();
+    });
+  });
+
+  describe('getStaffSelectOptions', () => {
+    it('在籍中の担当者を選択肢にする', () => {
+      expect(getStaffSelectOptions(staffMembers)).toEqual(['田中 太郎', '佐藤花子']);
+    });
+
+    it('現在の担当者名が選択肢にない場合は残す', () => {
+      expect(getStaffSelectOptions(staffMembers, '鈴木一郎')).toEqual(['田中 太郎', '佐藤花子', '鈴木一郎']);
+      expect(getStaffSelectOptions(staffMembers, '佐藤花子')).toEqual(['田中 太郎', '佐藤花子']);
+    });
+  });
+
+  describe('validateStaffForm', () => {
+    it('名前の未入力・表記ゆれによる重複を検出する', () => {
+      expect(validateStaffForm({ name: ' ' }, staffMembers).name).toBe('名前を入力してください');
+      expect(validateStaffForm({ name: '田中太郎' }, staffMembers).name).toBe('「田中 太郎」が既に登録されています');
+      expect(validateStaffForm({ name: '田中太郎' }, staffMembers, 'staff-1')).toEqual({});
+    });
+
+    it('他の担当者に関連付けられたユーザーは選択できない', () => {
+      expect(validateStaffForm({ name: '高橋次郎', user_id: 'user-1' }, staffMembers).user_id)
+        .toBe('このユーザーは「田中 太郎」に関連付けられています');
+    });
+  });
+
+  describe('toStaffRecord', () => {
+    it('未入力の項目は null にする', () => {
+      expect(toStaffRecord({ name: ' 高橋　次郎 ', name_kana: '', user_id: '', is_active: true }))
+        .toEqual({ name: '高橋 次郎', name_kana: null, user_id: null, is_active: true });
+    });
+  });
+
+  describe('toStaffAggregation', () => {
+    it('集計結果を数値に変換し、受注率を計算する', () => {
+      const [row] = toStaffAggregation([{
+        role: 'sales',
+        staff_id: 'staff-2',
+        name: '佐藤花子',
+        user_id: null,
+        project_count: '4',
+        total_customer_amount: '1200000',
+        average_profit_rate: '25.5',
+        won_count: 3,
+        lost_count: 1,
+        open_count: 2,
+        aging_0_30: 1,
+        aging_over_90: 1,
+        average_open_days: '48.5'
+      }]);
+
+      expect(row).toMatchObject({
+        role: 'sales',
+        name: '佐藤花子',
+        projectCount: 4,
+        totalCustomerAmount: 1200000,
+        winRate: 75,
+        openCount: 2,
+        aging0To30: 1,
+        aging31To60: 0,
+        agingOver90: 1,
+        averageOpenDays: 48.5
+      });
+      expect(getStaffRole(row.role).label).toBe('営業担当者');
+    });
+
+    it('担当者が未設定の行・未決がない行を扱う', () => {
+      const [row] = toStaffAggregation([{ role: 'construction', staff_id: null, name: null, average_open_days: null }]);
+      expect(row).toMatchObject({ staffId: null, name: null, winRate: 0, averageOpenDays: null });
+    });
+  });
+});
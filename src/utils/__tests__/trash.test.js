@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  buildTrashQuery,
+  getTrashPurgeDate,
+  getDaysUntilPurge,
+  validateTrashRetentionDays
+} from '../trash';
+import { createQueryRecorder } from './helpers/queryRecorder';
+
+describe('trash', () => {
+  describe('buildTrashQuery', () => {
+    it('組織のゴミ箱内のプロジェクトを削除日時の新しい順に取得する', () => {
+      const { query, calls } = createQueryRecorder();
+      buildTrashQuery(query, { organizationId: 'org-a' });
+
+      expect(calls).toEqual([
+        ['eq', 'organization_id', 'org-a'],
+        ['not', 'deleted_at', 'is', null],
+        ['order', 'deleted_at', { ascending: false }]
+      ]);
+    });
+  });
+
+  describe('getTrashPurgeDate', () => {
+    it('削除日時に保存期間を加えた日時を返す', () => {
+      expect(getTrashPurgeDate('2026-10-01T00:00:00Z', 10).toISOString()).toBe('2026-10-11T00:00:00.000Z');
+    });
+
+    it('保存期間を省略した場合は既定の日数を使う', () => {
+      const purgeDate = getTrashPurgeDate('2026-10-01T00:00:00Z');
+      expect(purgeDate.getTime() - new Date('2026-10-01T00:00:00Z').getTime())
+        .toBe(DEFAULT_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('getDaysUntilPurge', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    it('残り日数を切り上げて返す', () => {
+      expect(getDaysUntilPurge('2026-10-19T00:00:00Z', 30, now)).toBe(30);
+      expect(getDaysUntilPurge('2026-10-10T12:00:00Z', 30, now)).toBe(21);
+    });
+
+    it('保存期間を過ぎた場合は0を返す', () => {
+      expect(getDaysUntilPurge('2026-09-01T00:00:00Z', 30, now)).toBe(0);
+    });
+  });
+
+  describe('validateTrashRetentionDays', () => {
+    it('1〜3650日の整数を受け付ける', () => {
+      expect(validateTrashRetentionDays('1')).toBe('');
+      expect(validateTrashRetentionDays(3650)).toBe('');
+    });
+
+    it('空欄・小数はエラーにする', () => {
+      expect(validateTrashRetentionDays('')).toBe('保存期間は日数（整数）で入力してください');
+      expect(validateTrashRetentionDays('1.5')).toBe('保存期間は日数（整数）で入力してください');
+    });
+
+    it('範囲外の日数はエラーにする', () => {
+      expect(validateTrashRetentionDays('0')).toBe('保存期間は1〜3650日の範囲で入力してください');
+      expect(validateTrashRetentionDays('3651')).toBe('保存期間は1〜3650日の範囲で入力してください');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * 操作履歴（audit_logs）に関するユーティリティ
+ * 履歴はデータベースのトリガーで記録されるため、画面では参照のみ行う
+ */
+import { diffRevisionSnapshots } from './revisions';
+
+export const AUDIT_LOG_PAGE_SIZE = 50;
+
+/**
+ * 操作の種類
+ */
+export const AUDIT_ACTIONS = [
+  { code: 'create', label: '登録', badgeClass: 'bg-green-100 text-green-800' },
+  { code: 'update', label: '更新', badgeClass: 'bg-blue-100 text-blue-800' },
+  { code: 'trash', label: 'ゴミ箱へ移動', badgeClass: 'bg-yellow-100 text-yellow-800' },
+  { code: 'restore', label: '復元', badgeClass: 'bg-teal-100 text-teal-800' },
+  { code: 'delete', label: '完全削除', badgeClass: 'bg-red-100 text-red-800' },
+  { code: 'purge', label: '自動削除', badgeClass: 'bg-gray-200 text-gray-800' },
+  { code: 'import', label: 'インポート', badgeClass: 'bg-purple-100 text-purple-800' }
+];
+
+export const DEFAULT_AUDIT_FILTERS = {
+  actorId: '',
+  action: '',
+  dateFrom: '',
+  dateTo: ''
+};
+
+/**
+ * 操作の種類の定義を取得する関数
+ * @param {string} action - 操作コード
+ * @returns {Object} 操作の定義（未定義のコードはラベルにそのまま表示）
+ */
+export const getAuditActionDefinition = (action) =>
+  AUDIT_ACTIONS.find(definition => definition.code === action) ||
+  { code: action, label: action, badgeClass: 'bg-gray-100 text-gray-800' };
+
+/**
+ * 日付（YYYY-MM-DD）をその日の0時（ローカル時刻）の ISO 文字列に変換する
+ */
+const toStartOfDayISOString = (date, dayOffset = 0) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day + dayOffset).toISOString();
+};
+
+/**
+ * 操作履歴の取得クエリに絞り込み・並べ替え・範囲指定を適用する関数
+ * 終了日はその日の終わりまでを含める
+ * @param {Object} query - Supabaseのクエリビルダー（audit_logs の select）
+ * @param {Object} options - 取得条件
+ * @param {string} options.organizationId - 組織ID
+ * @param {Object} [options.filters] - 絞り込み条件（DEFAULT_AUDIT_FILTERS と同じ形式）
+ * @param {number} [options.offset=0] - 取得済みの件数
+ * @param {number} [options.limit=AUDIT_LOG_PAGE_SIZE] - 1回に取得する件数
+ * @returns {Object} クエリビルダー
+ */
+export const buildAuditLogQuery = (query, {
+  organizationId,
+  filters = DEFAULT_AUDIT_FILTERS,
+  offset = 0,
+  limit = AUDIT_LOG_PAGE_SIZE
+}) => {
+  let result = query.eq('organization_id', organizationId);
+
+  if (filters.actorId) {
+    result = result.eq('actor_id', filters.actorId);
+  }
+  if (filters.action) {
+    result = result.eq('action', filters.action);
+  }
+  if (filters.dateFrom) {
+    result = result.gte('created_at', toStartOfDayISOString(filters.dateFrom));
+  }
+  if (filters.dateTo) {
+    result = result.lt('created_at', toStartOfDayISOString(filters.dateTo, 1));
+  }
+
+  return result
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+};
+
+/**
+ * 操作履歴の対象プロジェクトを表示用にまとめる関数
+ * @param {Object} log - audit_logs のレコード
+ * @returns {string} 工事番号・客先・件名（削除された場合は削除前の値）
+ */
+export const getAuditLogSubject = (log) => {
+  const data = log?.after_data || log?.before_data;
+  if (!data) return '-';
+  return [data.project_number, data.client, data.title].filter(Boolean).join(' / ');
+};
+
+/**
+ * 操作履歴の変更内容を取得する関数
+ * 登録・インポートは登録時の値、削除は削除前の値、更新は変更された項目のみを返す
+ * （ゴミ箱への移動・復元は対象プロジェクトの値を返す）
+ * @param {Object} log - audit_logs のレコード
+ * @returns {Array} 項目ごとの変更前後の値（diffRevisionSnapshots と同じ形式）
+ */
+export const getAuditLogChanges = (log) => {
+  const changes = diffRevisionSnapshots(log?.before_data, log?.after_data);
+
+  if (log?.action === 'update') {
+    return changes.filter(change => change.changed);
+  }
+  return changes.filter(change => (change.before ?? change.after) !== null && (change.before ?? change.after) !== '');
+};
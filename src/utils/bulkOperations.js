@@ -0,0 +1,180 @@
+/**
+ * プロジェクト一覧の一括操作（選択・一括削除・一括変更）に関するユーティリティ
+ */
+import { processBatch } from './performanceUtils';
+import { calculateProjectTaxAmounts } from './calculations';
+import { getStatusLabel } from './projectStatus';
+import { getErrorType } from './deleteHelpers';
+import { getPermissionDeniedMessage } from './permissions';
+
+// 同時に送信するリクエスト数
+export const BULK_BATCH_SIZE = 5;
+
+/**
+ * 一括変更できる担当者の項目
+ */
+export const BULK_MANAGER_FIELDS = [
+  { code: 'construction_manager', label: '工事担当者' },
+  { code: 'sales_manager', label: '営業担当者' }
+];
+
+/**
+ * 一括操作の確認ダイアログ・結果に表示する文言を作成する関数
+ * @param {Object} action - 一括操作（{ type: 'delete' } / { type: 'status', status } / { type: 'manager', field, name }）
+ * @returns {{title: string, message: string, confirmLabel: string, warning: string, permissionAction: string, isDestructive: boolean}} 表示する文言
+ */
+export const describeBulkAction = (action) => {
+  if (action.type === 'delete') {
+    return {
+      title: '一括削除',
+      message: '選択したプロジェクトをゴミ箱に移動しますか？',
+      confirmLabel: 'ゴミ箱に移動',
+      warning: '削除したプロジェクトはゴミ箱から復元できます。保存期間を過ぎると完全に削除されます。',
+      permissionAction: 'プロジェクトの削除',
+      isDestructive: true
+    };
+  }
+
+  if (action.type === 'status') {
+    const label = getStatusLabel(action.status);
+    return {
+      title: 'ステータスの一括変更',
+      message: `選択したプロジェクトのステータスを「${label}」に変更しますか？`,
+      confirmLabel: `${label}に変更`,
+      warning: '編集する権限がないプロジェクトは変更されません。',
+      permissionAction: 'プロジェクトの編集',
+      isDestructive: false
+    };
+  }
+
+  const field = BULK_MANAGER_FIELDS.find(managerField => managerField.code === action.field);
+  return {
+    title: `${field.label}の一括変更`,
+    message: `選択したプロジェクトの${field.label}を「${action.name}」に変更しますか？`,
+    confirmLabel: '担当者を変更',
+    warning: '編集する権限がないプロジェクトは変更されません。',
+    permissionAction: 'プロジェクトの編集',
+    isDestructive: false
+  };
+};
+
+/**
+ * 一括操作で失敗したプロジェクトの理由を作成する関数
+ * @param {Error|Object} error - エラー
+ * @param {Object} action - 一括操作
+ * @param {string} role - 現在の権限コード
+ * @returns {string} 失敗の理由
+ */
+export const getBulkErrorMessage = (error, action, role) => {
+  switch (getErrorType(error)) {
+    case 'permission':
+      return getPermissionDeniedMessage(describeBulkAction(action).permissionAction, role);
+    case 'not_found':
+      return 'プロジェクトが見つからないか、操作する権限がありません。';
+    case 'network':
+      return 'ネットワークエラーが発生しました。';
+    case 'timeout':
+      return '処理がタイムアウトしました。';
+    default:
+      return error?.message || '不明なエラーが発生しました。';
+  }
+};
+
+/**
+ * 表示中のプロジェクトの選択状態を判定する関数（全選択チェックボックス用）
+ * @param {Set} selectedIds - 選択中のプロジェクトID
+ * @param {Array} projects - 表示中のプロジェクト
+ * @returns {'all'|'some'|'none'} 選択状態
+ */
+export const getSelectionState = (selectedIds, projects) => {
+  const selectedCount = projects.filter(project => selectedIds.has(project.id)).length;
+  if (selectedCount === 0) return 'none';
+  return selectedCount === projects.length ? 'all' : 'some';
+};
+
+/**
+ * プロジェクトの選択を切り替える関数
+ * @param {Set} selectedIds - 選択中のプロジェクトID
+ * @param {string} projectId - 切り替えるプロジェクトID
+ * @returns {Set} 新しい選択状態
+ */
+export const toggleSelection = (selectedIds, projectId) => {
+  const next = new Set(selectedIds);
+  if (next.has(projectId)) {
+    next.delete(projectId);
+  } else {
+    next.add(projectId);
+  }
+  return next;
+};
+
+/**
+ * 表示中のプロジェクトをすべて選択する（すべて選択済みの場合は解除する）関数
+ * 絞り込み・ページングで表示されていないプロジェクトは対象にしない
+ * @param {Set} selectedIds - 選択中のプロジェクトID
+ * @param {Array} projects - 表示中のプロジェクト
+ * @returns {Set} 新しい選択状態
+ */
+export const toggleAllSelection = (selectedIds, projects) => {
+  const next = new Set(selectedIds);
+  if (getSelectionState(selectedIds, projects) === 'all') {
+    projects.forEach(project => next.delete(project.id));
+  } else {
+    projects.forEach(project => next.add(project.id));
+  }
+  return next;
+};
+
+/**
+ * 表示されなくなったプロジェクトを選択から外す関数
+ * @param {Set} selectedIds - 選択中のプロジェクトID
+ * @param {Array} projects - 表示中のプロジェクト
+ * @returns {Set} 新しい選択状態（変更がない場合は同じ Set）
+ */
+export const pruneSelection = (selectedIds, projects) => {
+  const visibleIds = new Set(projects.map(project => project.id));
+  const next = new Set([...selectedIds].filter(id => visibleIds.has(id)));
+  return next.size === selectedIds.size ? selectedIds : next;
+};
+
+/**
+ * 選択したプロジェクトの件数・合計金額（税抜）を集計する関数
+ * @param {Array} projects - 選択したプロジェクト
+ * @returns {{count: number, totalNetAmount: number, totalCustomerAmount: number}} 集計結果
+ */
+export const summarizeProjects = (projects) => projects.reduce((summary, project) => {
+  const { net, customer } = calculateProjectTaxAmounts(project);
+  return {
+    count: summary.count + 1,
+    totalNetAmount: summary.totalNetAmount + net.exclusive,
+    totalCustomerAmount: summary.totalCustomerAmount + customer.exclusive
+  };
+}, { count: 0, totalNetAmount: 0, totalCustomerAmount: 0 });
+
+/**
+ * プロジェクトごとに処理を実行し、成功・失敗を記録する関数
+ * 1件の失敗で残りの処理が止まらないよう、エラーは結果として返す
+ * @param {Array} projects - 対象のプロジェクト
+ * @param {Function} operation - プロジェクトを受け取り処理する非同期関数
+ * @param {number} [batchSize=BULK_BATCH_SIZE] - 同時に処理する件数
+ * @returns {Promise<Array>} プロジェクトごとの結果（{ project, success, result, error }）
+ */
+export const runBulkOperation = (projects, operation, batchSize = BULK_BATCH_SIZE) =>
+  processBatch(projects, async (project) => {
+    try {
+      const result = await operation(project);
+      return { project, success: true, result };
+    } catch (error) {
+      return { project, success: false, error };
+    }
+  }, batchSize);
+
+/**
+ * 一括処理の結果を件数にまとめる関数
+ * @param {Array} results - runBulkOperation の結果
+ * @returns {{succeeded: number, failed: number}} 成功・失敗の件数
+ */
+export const summarizeBulkResults = (results) => ({
+  succeeded: results.filter(result => result.success).length,
+  failed: results.filter(result => !result.success).length
+});
@@ -1,3 +1,5 @@
+import { parseLineItemNumber } from './lineItems';
+
 /**
  * 利益率を計算する関数
  * @param {number} customerAmount - 客出金額
@@ -42,4 +44,199 @@ export const formatCurrency = (amount) => {
   }
   
   return `¥${Math.round(Number(amount)).toLocaleString()}`;
-};
\ No newline at end of file
+};
+
+/**
+ * 内訳明細1行の金額を計算する関数（入力値は検証・保存と同じくカンマ・全角数字を解釈する）
+ * @param {Object} item - 明細行
+ * @param {number|string} item.quantity - 数量
+ * @param {number|string} item.unit_price - 単価（客出）
+ * @param {number|string} item.unit_cost - 原価（ネット単価）
+ * @returns {{netAmount: number, customerAmount: number}} 明細行のネット金額・客出金額（円未満四捨五入）
+ */
+export const calculateLineItemAmounts = (item) => {
+  const quantity = parseLineItemNumber(item?.quantity) || 0;
+  const unitPrice = parseLineItemNumber(item?.unit_price) || 0;
+  const unitCost = parseLineItemNumber(item?.unit_cost) || 0;
+
+  return {
+    netAmount: Math.round(quantity * unitCost),
+    customerAmount: Math.round(quantity * unitPrice)
+  };
+};
+
+/**
+ * 内訳明細1行の利益率を計算する関数
+ * @param {Object} item - 明細行
+ * @returns {string} 利益率（小数点第1位まで）
+ */
+export const calculateLineItemProfitRate = (item) => {
+  const { netAmount, customerAmount } = calculateLineItemAmounts(item);
+  return calculateProfitRate(customerAmount, netAmount);
+};
+
+/**
+ * 内訳明細の合計を計算する関数
+ * @param {Array} items - 明細行の配列
+ * @returns {{netAmount: number, customerAmount: number, profitRate: string, byCategory: Object}} 合計金額・利益率・区分別小計
+ */
+export const calculateLineItemTotals = (items) => {
+  const byCategory = {};
+  let netAmount = 0;
+  let customerAmount = 0;
+
+  (items || []).forEach(item => {
+    const amounts = calculateLineItemAmounts(item);
+    netAmount += amounts.netAmount;
+    customerAmount += amounts.customerAmount;
+
+    const category = item.category || 'other';
+    if (!byCategory[category]) {
+      byCategory[category] = { netAmount: 0, customerAmount: 0 };
+    }
+    byCategory[category].netAmount += amounts.netAmount;
+    byCategory[category].customerAmount += amounts.customerAmount;
+  });
+
+  return {
+    netAmount,
+    customerAmount,
+    profitRate: calculateProfitRate(customerAmount, netAmount),
+    byCategory
+  };
+};
+
+
+/**
+ * 消費税の端数処理
+ */
+export const TAX_ROUNDING_MODES = [
+  { code: 'floor', label: '切り捨て' },
+  { code: 'round', label: '四捨五入' },
+  { code: 'ceil', label: '切り上げ' }
+];
+
+/**
+ * 金額の入力区分（税抜入力/税込入力）
+ */
+export const TAX_MODES = [
+  { code: 'exclusive', label: '税抜' },
+  { code: 'inclusive', label: '税込' }
+];
+
+/**
+ * 選択できる税率（標準税率・軽減税率・非課税）
+ */
+export const TAX_RATE_OPTIONS = [0.1, 0.08, 0];
+
+/**
+ * 環境変数の税率（例: 0.1）を解釈する
+ */
+const parseTaxRateSetting = (value) => {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) && rate >= 0 && rate < 1 ? rate : 0.1;
+};
+
+/**
+ * 消費税の既定設定
+ * 税率は VITE_TAX_RATE、端数処理は VITE_TAX_ROUNDING（floor/round/ceil）で変更できる
+ */
+export const DEFAULT_TAX_SETTINGS = {
+  rate: parseTaxRateSetting(import.meta.env.VITE_TAX_RATE),
+  rounding: TAX_ROUNDING_MODES.some(mode => mode.code === import.meta.env.VITE_TAX_ROUNDING)
+    ? import.meta.env.VITE_TAX_ROUNDING
+    : 'floor'
+};
+
+/**
+ * 税率の選択肢を取得する関数
+ * 既定の税率や登録済みの税率が選択肢にない場合も選べるように追加する
+ * @param {number|string} [currentRate] - 現在の税率
+ * @returns {Array<number>} 税率の選択肢（高い順）
+ */
+export const getTaxRateOptions = (currentRate) => {
+  const rates = [...TAX_RATE_OPTIONS, DEFAULT_TAX_SETTINGS.rate];
+  const rate = parseFloat(currentRate);
+  if (Number.isFinite(rate)) {
+    rates.push(rate);
+  }
+  return [...new Set(rates)].sort((a, b) => b - a);
+};
+
+/**
+ * 消費税額の端数処理を行う関数
+ * 浮動小数点の誤差（例: 1000 * 0.1 = 100.00000000000001）を除いてから丸める
+ * @param {number} amount - 端数処理前の税額
+ * @param {'floor'|'round'|'ceil'} [rounding='floor'] - 端数処理
+ * @returns {number} 円単位の税額
+ */
+export const roundTaxAmount = (amount, rounding = 'floor') => {
+  const value = Number(amount.toFixed(6));
+
+  switch (rounding) {
+    case 'round':
+      return Math.round(value);
+    case 'ceil':
+      return Math.ceil(value);
+    case 'floor':
+    default:
+      return Math.floor(value);
+  }
+};
+
+/**
+ * 税抜・消費税・税込の金額を計算する関数
+ * @param {number|string} amount - 入力金額
+ * @param {Object} [options={}] - 計算条件
+ * @param {number} [options.taxRate] - 税率（例: 0.1）
+ * @param {'exclusive'|'inclusive'} [options.taxMode='exclusive'] - 入力金額が税抜か税込か
+ * @param {'floor'|'round'|'ceil'} [options.rounding] - 消費税の端数処理
+ * @returns {{exclusive: number, tax: number, inclusive: number}} 税抜金額・消費税額・税込金額
+ */
+export const calculateTaxAmounts = (amount, options = {}) => {
+  const {
+    taxRate = DEFAULT_TAX_SETTINGS.rate,
+    taxMode = 'exclusive',
+    rounding = DEFAULT_TAX_SETTINGS.rounding
+  } = options;
+  const value = parseFloat(amount) || 0;
+  const rate = parseFloat(taxRate) || 0;
+
+  if (taxMode === 'inclusive') {
+    // 税込金額に含まれる消費税額 = 税込金額 × 税率 / (1 + 税率)
+    const tax = roundTaxAmount((value * rate) / (1 + rate), rounding);
+    return { exclusive: value - tax, tax, inclusive: value };
+  }
+
+  const tax = roundTaxAmount(value * rate, rounding);
+  return { exclusive: value, tax, inclusive: value + tax };
+};
+
+/**
+ * プロジェクトのネット金額・客出金額を税抜・税込に換算する関数
+ * 税区分・税率が未設定のプロジェクトは税抜入力・既定税率として扱う
+ * @param {Object} project - プロジェクトデータ
+ * @param {'floor'|'round'|'ceil'} [rounding] - 消費税の端数処理
+ * @returns {{taxMode: string, taxRate: number, net: Object, customer: Object}} 換算結果
+ */
+export const calculateProjectTaxAmounts = (project, rounding = DEFAULT_TAX_SETTINGS.rounding) => {
+  const taxMode = project?.tax_mode || 'exclusive';
+  const taxRate = project?.tax_rate !== null && project?.tax_rate !== undefined && project?.tax_rate !== ''
+    ? parseFloat(project.tax_rate)
+    : DEFAULT_TAX_SETTINGS.rate;
+  const options = { taxRate, taxMode, rounding };
+
+  return {
+    taxMode,
+    taxRate,
+    net: calculateTaxAmounts(project?.net_amount, options),
+    customer: calculateTaxAmounts(project?.customer_amount, options)
+  };
+};
+
+/**
+ * 税率を表示用の文字列に変換する関数
+ * @param {number} taxRate - 税率（例: 0.1）
+ * @returns {string} 表示用の税率（例: 10%）
+ */
+export const formatTaxRate = (taxRate) => `${Number(((parseFloat(taxRate) || 0) * 100).toFixed(2))}%`;
@@ -0,0 +1,171 @@
+/**
+ * 客先マスタ（正式名称・表記ゆれの吸収・入力候補・統合）に関するユーティリティ
+ * 比較用の客先名はデータベースの normalize_client_name() と同じ規則で作成する
+ */
+
+export const MAX_CLIENT_SUGGESTIONS = 8;
+
+// 比較時に取り除く法人格（全角・半角を統一した後の表記）
+const LEGAL_ENTITY_PATTERN = /株式会社|有限会社|合同会社|合資会社|合名会社|\(株\)|\(有\)|\(同\)/g;
+
+/**
+ * 客先マスタの項目（編集フォーム用）
+ */
+export const CLIENT_FIELDS = [
+  { key: 'name', label: '正式名称', maxLength: 100, required: true },
+  { key: 'name_kana', label: 'フリガナ', maxLength: 100 },
+  { key: 'project_number_prefix', label: '工事番号の略号', maxLength: 10 },
+  { key: 'postal_code', label: '郵便番号', maxLength: 10 },
+  { key: 'address', label: '住所', maxLength: 200 },
+  { key: 'contact_name', label: '担当者', maxLength: 50 },
+  { key: 'phone', label: '電話番号', maxLength: 20 },
+  { key: 'email', label: 'メールアドレス', maxLength: 254 },
+  { key: 'payment_terms', label: '支払条件', maxLength: 100 },
+  { key: 'notes', label: '備考', maxLength: 1000 }
+];
+
+export const EMPTY_CLIENT_FORM = Object.fromEntries(CLIENT_FIELDS.map(field => [field.key, '']));
+
+/**
+ * 表示用に客先名を整える関数（全角英数字・半角カナを統一し、連続する空白を1つにする）
+ * @param {*} name - 客先名
+ * @returns {string} 整えた客先名
+ */
+export const cleanClientName = (name) =>
+  String(name ?? '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+
+/**
+ * 表記ゆれを吸収した比較用の客先名を作成する関数
+ * 「㈱山田建設」「株式会社 山田建設」「山田建設」は同じ値になる
+ * @param {*} name - 客先名
+ * @returns {string} 比較用の客先名
+ */
+export const normalizeClientName = (name) =>
+  String(name ?? '').normalize('NFKC').replace(LEGAL_ENTITY_PATTERN, '').replace(/\s/g, '').toLowerCase();
+
+/**
+ * 客先名に一致する客先マスタを探す関数（表記ゆれを吸収して比較する）
+ * @param {Array} clients - 客先マスタ
+ * @param {string} name - 客先名
+ * @returns {Object|null} 一致した客先
+ */
+export const findClientByName = (clients, name) => {
+  const normalized = normalizeClientName(name);
+  if (!normalized) return null;
+  return (clients || []).find(client => normalizeClientName(client.name) === normalized) || null;
+};
+
+/**
+ * 客先名を客先マスタの正式名称に置き換える関数（一致しない場合は整えた客先名）
+ * @param {string} name - 客先名
+ * @param {Array} clients - 客先マスタ
+ * @returns {string} 正式名称
+ */
+export const resolveClientName = (name, clients) => {
+  const client = findClientByName(clients, name);
+  return client ? client.name : cleanClientName(name);
+};
+
+/**
+ * 入力中の文字列から客先の候補を取得する関数
+ * 正式名称・フリガナの前方一致を優先し、次に部分一致を表示する
+ * @param {Array} clients - 客先マスタ
+ * @param {string} query - 入力中の文字列
+ * @param {number} [limit=MAX_CLIENT_SUGGESTIONS] - 最大件数
+ * @returns {Array} 候補の客先
+ */
+export const suggestClients = (clients, query, limit = MAX_CLIENT_SUGGESTIONS) => {
+  const normalizedQuery = normalizeClientName(query);
+  if (!normalizedQuery) return [];
+
+  const scored = (clients || []).reduce((matches, client) => {
+    const keys = [normalizeClientName(client.name), normalizeClientName(client.name_kana)];
+    if (keys.some(key => key.startsWith(normalizedQuery))) {
+      matches.push({ client, score: 0 });
+    } else if (keys.some(key => key.includes(normalizedQuery))) {
+      matches.push({ client, score: 1 });
+    }
+    return matches;
+  }, []);
+
+  return scored
+    .sort((a, b) => a.score - b.score || a.client.name.localeCompare(b.client.name, 'ja'))
+    .slice(0, limit)
+    .map(match => match.client);
+};
+
+/**
+ * 客先マスタを絞り込む関数（客先マスタの一覧画面の検索用）
+ * @param {Array} clients - 客先マスタ
+ * @param {string} query - 検索文字列（正式名称・フリガナ・住所・担当者）
+ * @returns {Array} 一致した客先
+ */
+export const filterClients = (clients, query) => {
+  const normalizedQuery = normalizeClientName(query);
+  if (!normalizedQuery) return clients;
+
+  return clients.filter(client =>
+    ['name', 'name_kana', 'address', 'contact_name'].some(key => normalizeClientName(client[key]).includes(normalizedQuery))
+  );
+};
+
+/**
+ * 客先マスタの入力内容を検証する関数
+ * @param {Object} form - 入力内容
+ * @param {Array} clients - 客先マスタ（正式名称の重複の確認用）
+ * @param {string|null} [editingId=null] - 編集中の客先ID（新規の場合は null）
+ * @returns {Object} 項目ごとのエラーメッセージ（問題がなければ空のオブジェクト）
+ */
+export const validateClientForm = (form, clients, editingId = null) => {
+  const errors = {};
+
+  CLIENT_FIELDS.forEach(({ key, label, maxLength, required }) => {
+    const value = String(form[key] ?? '').trim();
+    if (required && !value) {
+      errors[key] = `${label}を入力してください`;
+    } else if (value.length > maxLength) {
+      errors[key] = `${label}は${maxLength}文字以内で入力してください`;
+    }
+  });
+
+  if (!errors.name) {
+    if (!normalizeClientName(form.name)) {
+      errors.name = '法人格以外の名称を入力してください';
+    } else {
+      const duplicate = findClientByName(clients.filter(client => client.id !== editingId), form.name);
+      if (duplicate) {
+        errors.name = `「${duplicate.name}」と同じ客先です（表記ゆれは統合してください）`;
+      }
+    }
+  }
+
+  // 工事番号の略号は採番形式の {客先} に使うため、空白・波括弧を含めない
+  if (!errors.project_number_prefix && /[\s{}]/.test(String(form.project_number_prefix ?? '').trim())) {
+    errors.project_number_prefix = '工事番号の略号に空白・{}は使えません';
+  }
+
+  const email = String(form.email ?? '').trim();
+  if (!errors.email && email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.email = 'メールアドレスの形式が正しくありません';
+  }
+
+  return errors;
+};
+
+/**
+ * 客先マスタの入力内容を登録用のデータに変換する関数（空欄は null）
+ * @param {Object} form - 入力内容
+ * @returns {Object} 登録用のデータ
+ */
+export const toClientRecord = (form) => Object.fromEntries(CLIENT_FIELDS.map(({ key }) => {
+  const value = key === 'name' ? cleanClientName(form.name) : String(form[key] ?? '').trim();
+  return [key, value || null];
+}));
+
+/**
+ * 客先マスタを編集フォームの入力内容に変換する関数
+ * @param {Object} client - 客先
+ * @returns {Object} 入力内容
+ */
+export const toClientForm = (client) =>
+  Object.fromEntries(CLIENT_FIELDS.map(({ key }) => [key, client?.[key] ?? '']));
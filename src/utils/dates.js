@@ -0,0 +1,23 @@
+/**
+ * 日付（YYYY-MM-DD 形式）に関するユーティリティ
+ * 本日・日数の加算は端末の日付で扱う（UTCで扱うと日本時間の0時〜9時に前日になるため）
+ */
+
+/**
+ * 日付を端末の日付（YYYY-MM-DD）に変換する関数
+ * @param {Date} [date=new Date()] - 日付
+ * @returns {string} YYYY-MM-DD 形式の日付
+ */
+export const toLocalDateString = (date = new Date()) =>
+  [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+
+/**
+ * 日付に日数を加える関数
+ * @param {string} dateString - YYYY-MM-DD 形式の日付
+ * @param {number} days - 加える日数
+ * @returns {string} YYYY-MM-DD 形式の日付
+ */
+export const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return toLocalDateString(new Date(year, month - 1, day + days));
+};
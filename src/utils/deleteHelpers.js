@@ -14,7 +14,9 @@ export const getErrorType = (error) => {
     return 'network';
   }
   
-  if (message.includes('permission') || message.includes('unauthorized') || message.includes('forbidden')) {
+  // 42501 は RLS のポリシー違反（insufficient_privilege）
+  if (error?.code === '42501' || message.includes('row-level security') ||
+      message.includes('permission') || message.includes('unauthorized') || message.includes('forbidden')) {
     return 'permission';
   }
   
@@ -91,6 +93,7 @@ export class OptimisticDeleteManager {
   constructor() {
     this.deletedProjects = new Map(); // 削除されたプロジェクトの一時保存
     this.rollbackCallbacks = new Map(); // ロールバック用のコールバック
+    this.undoTimers = new Map(); // 元に戻す操作の受付期限タイマー
   }
 
   /**
@@ -115,10 +118,39 @@ export class OptimisticDeleteManager {
    * @param {string} projectId - プロジェクトID
    */
   confirmDelete(projectId) {
+    clearTimeout(this.undoTimers.get(projectId));
+    this.undoTimers.delete(projectId);
     this.deletedProjects.delete(projectId);
     this.rollbackCallbacks.delete(projectId);
   }
 
+  /**
+   * 削除成功後も一定時間は削除前の状態を保持する（元に戻す操作用）
+   * 期限を過ぎると削除を確定する
+   * @param {string} projectId - プロジェクトID
+   * @param {number} duration - 保持する時間（ミリ秒）
+   */
+  retainForUndo(projectId, duration) {
+    if (!this.deletedProjects.has(projectId)) return;
+
+    clearTimeout(this.undoTimers.get(projectId));
+    this.undoTimers.set(projectId, setTimeout(() => this.confirmDelete(projectId), duration));
+  }
+
+  /**
+   * 削除を元に戻す（保持している削除前のプロジェクトを元の位置に復元）
+   * @param {string} projectId - プロジェクトID
+   * @returns {boolean} 復元できた場合 true（期限切れなどで保持していない場合 false）
+   */
+  undoDelete(projectId) {
+    if (!this.deletedProjects.has(projectId)) return false;
+
+    clearTimeout(this.undoTimers.get(projectId));
+    this.undoTimers.delete(projectId);
+    this.rollbackDelete(projectId);
+    return true;
+  }
+
   /**
    * 削除失敗時のロールバック処理
    * @param {string} projectId - プロジェクトID
@@ -150,6 +182,8 @@ export class OptimisticDeleteManager {
    * すべての保留中の削除をクリア
    */
   clearAll() {
+    this.undoTimers.forEach(timer => clearTimeout(timer));
+    this.undoTimers.clear();
     this.deletedProjects.clear();
     this.rollbackCallbacks.clear();
   }
@@ -278,4 +312,4 @@ export class DeleteStatsManager {
       responseTimes: []
     };
   }
-}
\ No newline at end of file
+}
\ No newline at end of file
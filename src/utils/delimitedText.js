@@ -0,0 +1,276 @@
+/**
+ * CSV・TSV（区切り文字のテキスト）の読み込み・書き出しに関するユーティリティ
+ * 会計システム等との連携のため、UTF-8（BOM付き・なし）と Shift_JIS の文字コードに対応する
+ * 読み込んだ内容は Excel と同じシート（行・列の配列）に変換し、列の対応付け・検証を共通で行う
+ */
+
+/**
+ * 文字コード
+ */
+export const TEXT_ENCODINGS = [
+  { code: 'utf-8-bom', label: 'UTF-8（BOM付き・Excelで開く場合）' },
+  { code: 'utf-8', label: 'UTF-8' },
+  { code: 'shift_jis', label: 'Shift_JIS（会計システム等）' }
+];
+
+/**
+ * 区切り文字
+ */
+export const DELIMITERS = [
+  { code: 'comma', label: 'カンマ（CSV）', char: ',', extension: 'csv', mimeType: 'text/csv' },
+  { code: 'tab', label: 'タブ（TSV）', char: '\t', extension: 'tsv', mimeType: 'text/tab-separated-values' }
+];
+
+export const CSV_EXPORT_SETTINGS_STORAGE_KEY = 'csvExportSettings';
+
+export const DEFAULT_CSV_EXPORT_SETTINGS = {
+  encoding: 'utf-8-bom',
+  delimiter: 'comma',
+  columns: null
+};
+
+// Shift_JIS のコードページ（Windows-31J）
+const SHIFT_JIS_CODEPAGE = 932;
+
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+
+/**
+ * 区切り文字のテキストファイルかどうかを判定する関数
+ * @param {string} fileName - ファイル名
+ * @returns {boolean} CSV・TSV・テキストファイルの場合 true
+ */
+export const isDelimitedTextFile = (fileName) => /\.(csv|tsv|txt)$/i.test(fileName || '');
+
+/**
+ * 区切り文字の定義を取得する関数
+ * @param {string} code - 区切り文字のコード
+ * @returns {Object} 区切り文字の定義（見つからない場合はカンマ）
+ */
+export const getDelimiter = (code) => DELIMITERS.find(delimiter => delimiter.code === code) || DELIMITERS[0];
+
+/**
+ * バイト列の文字コードを推定する関数
+ * BOM があれば UTF-8（BOM付き）、UTF-8 として正しく読めれば UTF-8、それ以外は Shift_JIS とする
+ * @param {Uint8Array} bytes - ファイルの内容
+ * @returns {string} 文字コード（TEXT_ENCODINGS の code）
+ */
+export const detectTextEncoding = (bytes) => {
+  if (UTF8_BOM.every((byte, index) => bytes[index] === byte)) {
+    return 'utf-8-bom';
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return 'utf-8';
+  } catch (error) {
+    return 'shift_jis';
+  }
+};
+
+/**
+ * ファイルの内容を文字列に変換する関数
+ * @param {ArrayBuffer|Uint8Array} buffer - ファイルの内容
+ * @param {string} [encoding] - 文字コード（省略すると推定する）
+ * @returns {{text: string, encoding: string}} 文字列と文字コード
+ */
+export const decodeText = (buffer, encoding) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const resolvedEncoding = encoding || detectTextEncoding(bytes);
+
+  if (resolvedEncoding === 'shift_jis') {
+    return { text: new TextDecoder('shift_jis').decode(bytes), encoding: resolvedEncoding };
+  }
+
+  // TextDecoder('utf-8') は先頭の BOM を取り除く
+  return { text: new TextDecoder('utf-8').decode(bytes), encoding: resolvedEncoding };
+};
+
+/**
+ * 区切り文字を推定する関数（拡張子が .tsv、または1行目にタブがありカンマより多い場合はタブ）
+ * @param {string} text - ファイルの内容
+ * @param {string} [fileName] - ファイル名
+ * @returns {string} 区切り文字のコード
+ */
+export const detectDelimiter = (text, fileName = '') => {
+  if (/\.tsv$/i.test(fileName)) return 'tab';
+  if (/\.csv$/i.test(fileName)) return 'comma';
+
+  const firstLine = text.split(/\r\n|\n|\r/, 1)[0] || '';
+  const tabCount = firstLine.split('\t').length - 1;
+  const commaCount = firstLine.split(',').length - 1;
+  return tabCount > commaCount ? 'tab' : 'comma';
+};
+
+/**
+ * 区切り文字のテキストを行・列の配列に変換する関数
+ * 引用符（"）で囲まれたセル内の区切り文字・改行・"" に対応する
+ * @param {string} text - ファイルの内容
+ * @param {string} [delimiterCode='comma'] - 区切り文字のコード
+ * @returns {Array<Array<string>>} 行（セルの配列）の配列
+ */
+export const parseDelimitedText = (text, delimiterCode = 'comma') => {
+  const delimiter = getDelimiter(delimiterCode).char;
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // 最終行（末尾に改行がない場合）
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * CSV・TSV ファイルを読み込み、Excel と同じ形式のシートに変換する関数
+ * @param {ArrayBuffer} buffer - ファイルの内容
+ * @param {string} fileName - ファイル名（シート名・区切り文字の推定に使う）
+ * @returns {{encoding: string, delimiter: string, sheets: Array}} 文字コード・区切り文字・シート（{ name, rows }）
+ */
+export const readDelimitedFile = (buffer, fileName) => {
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = detectDelimiter(text, fileName);
+  const rows = parseDelimitedText(text, delimiter);
+
+  return {
+    encoding,
+    delimiter,
+    sheets: rows.length > 0 ? [{ name: fileName.replace(/\.[^.]+$/, ''), rows }] : []
+  };
+};
+
+/**
+ * セルの値を区切り文字のテキスト用に変換する関数（区切り文字・改行・引用符を含む場合は引用符で囲む）
+ * @param {*} value - セルの値
+ * @param {string} delimiter - 区切り文字
+ * @returns {string} 変換したセル
+ */
+const formatCell = (value, delimiter) => {
+  const text = String(value ?? '');
+  if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * 行・列の配列を区切り文字のテキストに変換する関数（改行は CRLF）
+ * @param {Array<Array>} rows - 行（セルの配列）の配列
+ * @param {string} [delimiterCode='comma'] - 区切り文字のコード
+ * @returns {string} テキスト
+ */
+export const formatDelimitedText = (rows, delimiterCode = 'comma') => {
+  const delimiter = getDelimiter(delimiterCode).char;
+  return rows.map(cells => cells.map(cell => formatCell(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+};
+
+/**
+ * 文字列を指定した文字コードのバイト列に変換する関数
+ * Shift_JIS の変換表は容量が大きいため、使用時にのみ読み込む
+ * Shift_JIS で表せない文字（絵文字等）は「?」に置き換わる
+ * @param {string} text - 文字列
+ * @param {string} encoding - 文字コード（TEXT_ENCODINGS の code）
+ * @returns {Promise<Uint8Array>} バイト列
+ */
+export const encodeText = async (text, encoding) => {
+  if (encoding === 'shift_jis') {
+    const { utils } = await import('xlsx/dist/cpexcel.full.mjs');
+    return Uint8Array.from(utils.encode(SHIFT_JIS_CODEPAGE, text, 'arr'));
+  }
+
+  const bytes = new TextEncoder().encode(text);
+  if (encoding === 'utf-8-bom') {
+    return Uint8Array.from([...UTF8_BOM, ...bytes]);
+  }
+  return bytes;
+};
+
+/**
+ * 出力する列を絞り込んで区切り文字のテキストファイルを作成する関数
+ * @param {Array<Object>} records - 見出しをキーとする行（toProjectExportRow の結果など）
+ * @param {Array<string>} columns - 出力する列の見出し（この順に出力する）
+ * @param {Object} settings - 出力の設定
+ * @param {string} settings.encoding - 文字コードのコード
+ * @param {string} settings.delimiter - 区切り文字のコード
+ * @returns {Promise<Blob>} ファイル
+ */
+export const buildDelimitedFile = async (records, columns, { encoding, delimiter }) => {
+  const rows = [columns, ...records.map(record => columns.map(column => record[column]))];
+  const bytes = await encodeText(formatDelimitedText(rows, delimiter), encoding);
+  const charset = encoding === 'shift_jis' ? 'shift_jis' : 'utf-8';
+  return new Blob([bytes], { type: `${getDelimiter(delimiter).mimeType};charset=${charset}` });
+};
+
+/**
+ * ファイルをダウンロードする関数
+ * @param {Blob} blob - ファイル
+ * @param {string} fileName - ファイル名
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * 保存されている CSV エクスポートの設定を取得する関数
+ * @returns {{encoding: string, delimiter: string, columns: Array<string>|null}} 設定（columns が null の場合はすべての列）
+ */
+export const loadCsvExportSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CSV_EXPORT_SETTINGS_STORAGE_KEY) || 'null');
+    return { ...DEFAULT_CSV_EXPORT_SETTINGS, ...(stored || {}) };
+  } catch (error) {
+    return { ...DEFAULT_CSV_EXPORT_SETTINGS };
+  }
+};
+
+/**
+ * CSV エクスポートの設定を保存する関数（次回も同じ設定で出力できるようにする）
+ * @param {Object} settings - 設定
+ */
+export const storeCsvExportSettings = (settings) => {
+  try {
+    window.localStorage.setItem(CSV_EXPORT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    // プライベートモード等で保存できない場合は今回の出力のみ行う
+  }
+};
@@ -0,0 +1,142 @@
+/**
+ * プロジェクトのフォローアップ（期日付きの対応事項・経過日数のリマインダー）に関するユーティリティ
+ * リマインダーの自動作成はデータベースの generate_follow_up_reminders() が行う
+ */
+import { toLocalDateString } from './dates';
+
+// 経過日数の表示が黄色・赤色に変わる日数と同じ
+export const DEFAULT_FOLLOW_UP_THRESHOLDS = [14, 30];
+export const MAX_FOLLOW_UP_THRESHOLDS = 5;
+export const MAX_FOLLOW_UP_THRESHOLD_DAYS = 365;
+export const MAX_FOLLOW_UP_TITLE_LENGTH = 100;
+export const MAX_FOLLOW_UP_MEMO_LENGTH = 500;
+
+/**
+ * スヌーズの選択肢（今日から何日後に再表示するか）
+ */
+export const SNOOZE_OPTIONS = [
+  { days: 1, label: '明日' },
+  { days: 3, label: '3日後' },
+  { days: 7, label: '1週間後' }
+];
+
+/**
+ * 期日の表示の色（getFollowUpTiming の tone ごと）
+ */
+export const FOLLOW_UP_TIMING_STYLES = {
+  overdue: 'bg-red-100 text-red-800',
+  today: 'bg-yellow-100 text-yellow-800',
+  upcoming: 'bg-gray-100 text-gray-700',
+  done: 'bg-green-100 text-green-800'
+};
+
+export const EMPTY_FOLLOW_UP_FORM = { title: '', due_date: '', assignee_id: '' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 2つの日付の差（日数）を求める関数
+ * @param {string} from - YYYY-MM-DD 形式の日付
+ * @param {string} to - YYYY-MM-DD 形式の日付
+ * @returns {number} to - from の日数
+ */
+const diffDays = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * リマインダーのしきい値の入力（「14, 30」など）を解析する関数
+ * @param {string} input - しきい値の入力
+ * @returns {{thresholds: Array<number>, error: string}} 昇順・重複なしのしきい値とエラーメッセージ
+ */
+export const parseFollowUpThresholds = (input) => {
+  const values = String(input ?? '').split(/[\s,、，]+/).filter(Boolean);
+  if (values.length === 0) {
+    return { thresholds: [], error: 'しきい値を入力してください' };
+  }
+  if (values.some(value => !/^\d+$/.test(value) || Number(value) < 1 || Number(value) > MAX_FOLLOW_UP_THRESHOLD_DAYS)) {
+    return { thresholds: [], error: `しきい値は1〜${MAX_FOLLOW_UP_THRESHOLD_DAYS}の整数で入力してください` };
+  }
+
+  const thresholds = [...new Set(values.map(Number))].sort((a, b) => a - b);
+  if (thresholds.length > MAX_FOLLOW_UP_THRESHOLDS) {
+    return { thresholds: [], error: `しきい値は${MAX_FOLLOW_UP_THRESHOLDS}つまで設定できます` };
+  }
+  return { thresholds, error: '' };
+};
+
+/**
+ * フォローアップの入力内容を検証する関数
+ * @param {Object} form - 入力内容
+ * @returns {Object} 項目ごとのエラーメッセージ（問題がなければ空のオブジェクト）
+ */
+export const validateFollowUpForm = (form) => {
+  const errors = {};
+  const title = String(form.title ?? '').trim();
+
+  if (!title) {
+    errors.title = '内容を入力してください';
+  } else if (title.length > MAX_FOLLOW_UP_TITLE_LENGTH) {
+    errors.title = `内容は${MAX_FOLLOW_UP_TITLE_LENGTH}文字以内で入力してください`;
+  }
+
+  if (!form.due_date) {
+    errors.due_date = '期日を入力してください';
+  } else if (!/^\d{4}-\d{2}-\d{2}$/.test(form.due_date) || Number.isNaN(Date.parse(form.due_date))) {
+    errors.due_date = '期日の形式が無効です';
+  }
+
+  return errors;
+};
+
+/**
+ * フォローアップの入力内容を登録用のデータに変換する関数
+ * @param {Object} form - 入力内容
+ * @returns {Object} 登録用のデータ
+ */
+export const toFollowUpRecord = (form) => ({
+  title: String(form.title ?? '').trim(),
+  due_date: form.due_date,
+  assignee_id: form.assignee_id || null
+});
+
+/**
+ * フォローアップの期日の表示内容を取得する関数（スヌーズ中は再表示する日を期日として扱う）
+ * @param {Object} followUp - フォローアップ
+ * @param {string} [today=toLocalDateString()] - 今日の日付
+ * @returns {{label: string, tone: string}} 表示内容と色（overdue: 期限切れ / today: 今日 / upcoming: 今後 / done: 完了）
+ */
+export const getFollowUpTiming = (followUp, today = toLocalDateString()) => {
+  if (followUp.status === 'done') {
+    return { label: '完了', tone: 'done' };
+  }
+
+  const remindOn = followUp.snoozed_until || followUp.due_date;
+  const days = diffDays(today, remindOn);
+  const prefix = followUp.snoozed_until ? 'スヌーズ中・' : '';
+  if (days < 0) {
+    return { label: `${prefix}${-days}日超過`, tone: 'overdue' };
+  }
+  if (days === 0) {
+    return { label: `${prefix}今日`, tone: 'today' };
+  }
+  return { label: `${prefix}${days}日後`, tone: 'upcoming' };
+};
+
+/**
+ * 対応するユーザーの選択肢を取得する関数（ログインユーザーと関連付けられた在籍中の担当者）
+ * @param {Array} staffMembers - 担当者マスタ
+ * @param {Object} currentUser - ログイン中のユーザー（{ id, email }）
+ * @returns {Array<{value: string, label: string}>} 選択肢
+ */
+export const getFollowUpAssigneeOptions = (staffMembers, currentUser) => {
+  const options = (staffMembers || [])
+    .filter(staff => staff.user_id && staff.is_active !== false)
+    .map(staff => ({
+      value: staff.user_id,
+      label: staff.user_id === currentUser?.id ? `${staff.name}（自分）` : staff.name
+    }));
+
+  if (currentUser?.id && !options.some(option => option.value === currentUser.id)) {
+    options.unshift({ value: currentUser.id, label: `${currentUser.email}（自分）` });
+  }
+  return options;
+};
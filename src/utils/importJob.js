@@ -0,0 +1,309 @@
+/**
+ * 分割インポート（大量の行をバッチに分けて登録する処理）に関するユーティリティ
+ * バッチごとに登録し、失敗・中止した場合は最後に登録できたバッチの次から再開する
+ * 同じジョブID・バッチ番号の再送はサーバー側（import_project_batch）で二重に登録されない
+ * 未完了のジョブはブラウザに保存し、画面を閉じた場合も次回のインポート時に再開できる
+ */
+import { processBatch } from './performanceUtils';
+import { getErrorType } from './deleteHelpers';
+
+// 1バッチの行数（1回のリクエストでタイムアウトしない程度）
+export const IMPORT_BATCH_SIZE = 200;
+
+// バッチごとの再試行の回数・間隔（指数バックオフ）
+export const IMPORT_MAX_RETRIES = 3;
+export const IMPORT_RETRY_BASE_DELAY = 1000;
+
+export const PENDING_IMPORT_JOB_STORAGE_KEY = 'pendingImportJob';
+
+// 保存したジョブを再開できる日数（サーバー側の import_job_batches の記録を削除するまでの日数と同じ）
+export const PENDING_IMPORT_JOB_MAX_AGE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * インポートの状態
+ */
+export const IMPORT_JOB_STATUSES = {
+  ready: '待機中',
+  running: 'インポート中',
+  completed: '完了',
+  cancelled: '中止',
+  failed: '失敗',
+  interrupted: '中断'
+};
+
+/**
+ * 中止されたことを表すエラー
+ */
+export class ImportCancelledError extends Error {
+  constructor() {
+    super('インポートを中止しました');
+    this.name = 'ImportCancelledError';
+  }
+}
+
+/**
+ * 分割インポートのジョブを作成する関数
+ * @param {Object} params - ジョブの内容
+ * @param {string} params.fileName - 読み込んだファイル名
+ * @param {string} params.organizationId - 登録先の組織ID
+ * @param {Array} [params.inserts=[]] - 登録するプロジェクト
+ * @param {Array} [params.updates=[]] - 更新するプロジェクト（id と変更する項目）
+ * @param {Object} [params.summary={}] - 完了時の通知に使う件数（スキップ・変更なし等）
+ * @param {number} [params.batchSize=IMPORT_BATCH_SIZE] - 1バッチの行数
+ * @param {string} [params.id] - ジョブID（省略すると発行する）
+ * @returns {Object} ジョブ
+ */
+export const createImportJob = ({
+  fileName,
+  organizationId,
+  inserts = [],
+  updates = [],
+  summary = {},
+  batchSize = IMPORT_BATCH_SIZE,
+  id = crypto.randomUUID()
+}) => {
+  const items = [
+    ...inserts.map(data => ({ type: 'insert', data })),
+    ...updates.map(data => ({ type: 'update', data }))
+  ];
+
+  const batches = [];
+  for (let start = 0; start < items.length; start += batchSize) {
+    const chunk = items.slice(start, start + batchSize);
+    batches.push({
+      index: batches.length,
+      inserts: chunk.filter(item => item.type === 'insert').map(item => item.data),
+      updates: chunk.filter(item => item.type === 'update').map(item => item.data)
+    });
+  }
+
+  return {
+    id,
+    fileName,
+    organizationId,
+    batches,
+    totalRows: items.length,
+    nextBatch: 0,
+    processedRows: 0,
+    inserted: 0,
+    updated: 0,
+    summary,
+    status: 'ready',
+    retryAttempt: 0,
+    error: null
+  };
+};
+
+/**
+ * ジョブの進捗を取得する関数
+ * @param {Object} job - ジョブ
+ * @returns {{completedBatches: number, totalBatches: number, percent: number}} 進捗
+ */
+export const getImportJobProgress = (job) => ({
+  completedBatches: job.nextBatch,
+  totalBatches: job.batches.length,
+  percent: job.totalRows === 0 ? 100 : Math.floor((job.processedRows / job.totalRows) * 100)
+});
+
+/**
+ * ジョブを再開できるかを判定する関数（中止・失敗・中断し、未登録のバッチが残っている場合）
+ * @param {Object} job - ジョブ
+ * @returns {boolean} 再開できる場合 true
+ */
+export const canResumeImportJob = (job) =>
+  Boolean(job) && ['cancelled', 'failed', 'interrupted'].includes(job.status) && job.nextBatch < job.batches.length;
+
+/**
+ * 未完了のジョブを保存する関数（完了したジョブ・未登録のバッチが残っていないジョブは削除する）
+ * @param {Object} job - ジョブ
+ * @param {string} userId - 実行したユーザーのID
+ * @param {Date} [now=new Date()] - 保存日時
+ */
+export const storePendingImportJob = (job, userId, now = new Date()) => {
+  try {
+    if (!job || job.status === 'completed' || job.nextBatch >= job.batches.length) {
+      window.localStorage.removeItem(PENDING_IMPORT_JOB_STORAGE_KEY);
+      return;
+    }
+
+    // エラーは保存できないため除く
+    const { error, retryAttempt, ...pending } = job;
+    window.localStorage.setItem(
+      PENDING_IMPORT_JOB_STORAGE_KEY,
+      JSON.stringify({ ...pending, userId, savedAt: now.toISOString() })
+    );
+  } catch (error) {
+    // 容量超過・プライベートモード等で保存できない場合は再開できない（古い進捗が残らないよう削除する）
+    clearPendingImportJob();
+  }
+};
+
+/**
+ * 保存されている未完了のジョブを取得する関数
+ * 画面を閉じて中断したジョブは「中断」として、登録済みのバッチの次から再開できる状態で返す
+ * @param {string} organizationId - 登録先の組織ID
+ * @param {string} userId - ログイン中のユーザーのID
+ * @param {Date} [now=new Date()] - 現在日時
+ * @returns {Object|null} ジョブ（他の組織・ユーザーのジョブや再開できる日数を過ぎたジョブは null）
+ */
+export const loadPendingImportJob = (organizationId, userId, now = new Date()) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PENDING_IMPORT_JOB_STORAGE_KEY) || 'null');
+    if (!stored || stored.organizationId !== organizationId || stored.userId !== userId) {
+      return null;
+    }
+    if (now - new Date(stored.savedAt) > PENDING_IMPORT_JOB_MAX_AGE_DAYS * DAY_MS) {
+      clearPendingImportJob();
+      return null;
+    }
+
+    const { userId: _userId, savedAt: _savedAt, ...job } = stored;
+    const pending = { ...job, status: 'interrupted', retryAttempt: 0, error: null };
+    return canResumeImportJob(pending) ? pending : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * 保存されている未完了のジョブを削除する関数
+ */
+export const clearPendingImportJob = () => {
+  try {
+    window.localStorage.removeItem(PENDING_IMPORT_JOB_STORAGE_KEY);
+  } catch (error) {
+    // ストレージが使えない場合は保存もされていない
+  }
+};
+
+/**
+ * バッチの登録結果をジョブに反映する関数
+ * @param {Object} job - ジョブ
+ * @param {Object} batch - 登録したバッチ
+ * @param {Array} results - 登録結果（{ project_id, operation }）
+ * @returns {Object} 更新したジョブ
+ */
+export const applyImportBatchResult = (job, batch, results) => ({
+  ...job,
+  nextBatch: batch.index + 1,
+  processedRows: job.processedRows + batch.inserts.length + batch.updates.length,
+  inserted: job.inserted + results.filter(result => result.operation === 'insert').length,
+  updated: job.updated + results.filter(result => result.operation === 'update').length,
+  retryAttempt: 0
+});
+
+/**
+ * 再試行で解決する可能性のあるエラーかを判定する関数
+ * 通信エラー・タイムアウト・接続や同時実行による一時的なエラー（SQLSTATE 08/40/53/57）を対象とする
+ * @param {Error} error - エラー
+ * @returns {boolean} 再試行する場合 true
+ */
+export const isRetryableImportError = (error) =>
+  ['network', 'timeout'].includes(getErrorType(error)) || /^(08|40|53|57)/.test(error?.code || '');
+
+/**
+ * 指定時間待機する（中止された場合はすぐに ImportCancelledError で終了する）
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @param {AbortSignal} [signal] - 中止の通知
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new ImportCancelledError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * 1バッチを登録する（一時的なエラーは指数バックオフで再試行する）
+ * @param {Function} sendBatch - バッチを登録する関数（登録結果を返す）
+ * @param {Object} batch - バッチ
+ * @param {Object} options - 再試行の設定
+ * @param {number} options.maxRetries - 最大再試行回数
+ * @param {number} options.baseDelay - 初回の待機時間（ミリ秒）
+ * @param {AbortSignal} [options.signal] - 中止の通知
+ * @param {Function} [options.onRetry] - 再試行の前に呼ぶ関数（試行回数・待機時間・エラーを受け取る）
+ * @param {number} [attempt=0] - 現在の試行回数
+ * @returns {Promise<Array>} 登録結果
+ */
+export const sendImportBatchWithRetry = async (sendBatch, batch, options, attempt = 0) => {
+  try {
+    return await sendBatch(batch);
+  } catch (error) {
+    if (isRetryableImportError(error) && attempt < options.maxRetries && !options.signal?.aborted) {
+      const delay = options.baseDelay * Math.pow(2, attempt); // 指数バックオフ
+
+      console.warn(`インポートのバッチ${batch.index + 1} 再試行 ${attempt + 1}/${options.maxRetries} (${delay}ms後)`, error);
+      options.onRetry?.(attempt + 1, delay, error);
+
+      await wait(delay, options.signal);
+      return sendImportBatchWithRetry(sendBatch, batch, options, attempt + 1);
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * ジョブの未登録のバッチを順に登録する関数
+ * 中止・失敗した場合も、それまでに登録できたバッチまでの状態を返す（再開に使う）
+ * @param {Object} job - ジョブ
+ * @param {Object} options - 実行の設定
+ * @param {Function} options.sendBatch - バッチを登録する関数（ジョブ・バッチを受け取り、登録結果を返す）
+ * @param {Function} [options.onProgress] - 状態が変わるたびに呼ぶ関数（ジョブを受け取る）
+ * @param {AbortSignal} [options.signal] - 中止の通知
+ * @param {number} [options.maxRetries=IMPORT_MAX_RETRIES] - バッチごとの最大再試行回数
+ * @param {number} [options.baseDelay=IMPORT_RETRY_BASE_DELAY] - 再試行の初回の待機時間（ミリ秒）
+ * @returns {Promise<Object>} 終了時のジョブ（status: completed / cancelled / failed）
+ */
+export const runImportJob = async (job, {
+  sendBatch,
+  onProgress,
+  signal,
+  maxRetries = IMPORT_MAX_RETRIES,
+  baseDelay = IMPORT_RETRY_BASE_DELAY
+}) => {
+  let current = { ...job, status: 'running', retryAttempt: 0, error: null };
+  onProgress?.(current);
+
+  const update = (patch) => {
+    current = { ...current, ...patch };
+    onProgress?.(current);
+  };
+
+  try {
+    // 1バッチずつ順に登録する（前のバッチが登録できてから次へ進む）
+    await processBatch(current.batches.slice(current.nextBatch), async (batch) => {
+      if (signal?.aborted) {
+        throw new ImportCancelledError();
+      }
+
+      const results = await sendImportBatchWithRetry(
+        (target) => sendBatch(current, target),
+        batch,
+        { maxRetries, baseDelay, signal, onRetry: (attempt) => update({ retryAttempt: attempt }) }
+      );
+
+      current = applyImportBatchResult(current, batch, results);
+      onProgress?.(current);
+      return results;
+    }, 1);
+
+    update({ status: 'completed' });
+  } catch (error) {
+    if (error instanceof ImportCancelledError) {
+      update({ status: 'cancelled', retryAttempt: 0 });
+    } else {
+      update({ status: 'failed', retryAttempt: 0, error });
+    }
+  }
+
+  return current;
+};
@@ -0,0 +1,212 @@
+/**
+ * インポートの列の対応付け（シート・見出し行・項目ごとの列の選択）に関するユーティリティ
+ * 取引先ごとに異なる見出しの表を取り込めるよう、対応付けを名前付きのテンプレートとして保存する
+ */
+import { IMPORT_COLUMNS } from './importPreview';
+
+export const MAX_TEMPLATE_NAME_LENGTH = 50;
+
+// 見出し行を探す範囲（先頭からの行数）
+export const MAX_HEADER_SCAN_ROWS = 20;
+
+/**
+ * 項目ごとの見出しの別名（見出し行の検出・列の自動選択に使う）
+ */
+export const IMPORT_FIELD_ALIASES = {
+  '工事番号': ['工事番号', '工番', '工事No', '案件番号', '管理番号'],
+  '客先': ['客先', '得意先', '得意先名', '顧客', '顧客名', '取引先', '発注者'],
+  '件名': ['件名', '工事名', '工事件名', '案件名', '物件名'],
+  '工事担当者': ['工事担当者', '工事担当', '現場担当者', '現場担当'],
+  '営業担当者': ['営業担当者', '営業担当', '担当営業'],
+  'ネット金額': ['ネット金額', 'ネット', '原価', '原価金額', '実行予算'],
+  '客出金額': ['客出金額', '客出', '見積金額', '提出金額', '請負金額'],
+  '提出日': ['提出日', '見積日', '見積提出日', '提出年月日'],
+  'ステータス': ['ステータス', '状況', '状態'],
+  '税区分': ['税区分', '課税区分'],
+  '税率(%)': ['税率(%)', '税率']
+};
+
+/**
+ * 見出しを比較用に正規化する関数（全角・半角、空白、大文字・小文字の違いを無視する）
+ * @param {*} value - 見出し
+ * @returns {string} 正規化した見出し
+ */
+export const normalizeHeader = (value) =>
+  String(value ?? '').normalize('NFKC').replace(/\s/g, '').toLowerCase();
+
+/**
+ * 見出し行のセルを取得する関数
+ * @param {Array} rows - シートの行（セルの配列の配列）
+ * @param {number} headerRow - 見出し行の行番号（1始まり）
+ * @returns {Array<string>} 見出し（前後の空白を除く）
+ */
+export const getHeaderCells = (rows, headerRow) =>
+  (rows[headerRow - 1] || []).map(cell => String(cell ?? '').trim());
+
+/**
+ * 列の選択肢にする見出しを取得する関数（空の見出し・重複を除く）
+ * @param {Array} rows - シートの行
+ * @param {number} headerRow - 見出し行の行番号（1始まり）
+ * @returns {Array<string>} 見出し
+ */
+export const getHeaderOptions = (rows, headerRow) =>
+  [...new Set(getHeaderCells(rows, headerRow).filter(Boolean))];
+
+/**
+ * 見出しが項目の別名と一致するかを判定する関数
+ * @param {string} header - 見出し
+ * @param {string} field - 項目（IMPORT_COLUMNS の key）
+ * @returns {boolean} 一致する場合 true
+ */
+const matchesField = (header, field) =>
+  IMPORT_FIELD_ALIASES[field].some(alias => normalizeHeader(alias) === normalizeHeader(header));
+
+/**
+ * 見出し行を推定する関数（項目の別名と一致するセルが最も多い行）
+ * @param {Array} rows - シートの行
+ * @returns {number} 見出し行の行番号（1始まり、見つからない場合は1）
+ */
+export const detectHeaderRow = (rows) => {
+  let bestRow = 1;
+  let bestScore = 0;
+
+  rows.slice(0, MAX_HEADER_SCAN_ROWS).forEach((cells, index) => {
+    const headers = (cells || []).map(cell => String(cell ?? ''));
+    const score = IMPORT_COLUMNS.filter(column => headers.some(header => matchesField(header, column.key))).length;
+    if (score > bestScore) {
+      bestRow = index + 1;
+      bestScore = score;
+    }
+  });
+
+  return bestRow;
+};
+
+/**
+ * 見出しから項目ごとの列を推定する関数
+ * @param {Array<string>} headers - 見出し
+ * @returns {Object} 項目をキー、見出しを値とする対応付け（見つからない項目は含まない）
+ */
+export const suggestColumnMapping = (headers) => {
+  const mapping = {};
+  IMPORT_COLUMNS.forEach(column => {
+    const header = headers.find(candidate => candidate && matchesField(candidate, column.key));
+    if (header) {
+      mapping[column.key] = header;
+    }
+  });
+  return mapping;
+};
+
+/**
+ * 列の対応付けを検証する関数
+ * @param {Object} mapping - 項目をキー、見出しを値とする対応付け
+ * @returns {string} エラーメッセージ（問題がなければ空文字）
+ */
+export const validateColumnMapping = (mapping) => {
+  const missing = IMPORT_COLUMNS.filter(column => column.required && !mapping[column.key]).map(column => column.key);
+  if (missing.length > 0) {
+    return `${missing.join('・')}の列を選択してください`;
+  }
+
+  const headers = Object.values(mapping).filter(Boolean);
+  if (new Set(headers).size !== headers.length) {
+    return '同じ列が複数の項目に割り当てられています';
+  }
+
+  return '';
+};
+
+/**
+ * 対応付けに従って見出し行より下の行を項目ごとの値に変換する関数
+ * 対応付けた列がすべて空の行（空行・余白）は取り込まない
+ * @param {Array} rows - シートの行
+ * @param {Object} settings - 対応付けの設定
+ * @param {number} settings.headerRow - 見出し行の行番号（1始まり）
+ * @param {Object} settings.mapping - 項目をキー、見出しを値とする対応付け
+ * @returns {Array} 行（{ rowNumber: シート上の行番号, values: 項目をキーとする値 }）
+ */
+export const applyColumnMapping = (rows, { headerRow, mapping }) => {
+  const headers = getHeaderCells(rows, headerRow);
+  const columnIndexes = Object.entries(mapping)
+    .filter(([, header]) => header)
+    .map(([field, header]) => [field, headers.indexOf(header)])
+    .filter(([, index]) => index >= 0);
+
+  return rows.slice(headerRow).reduce((mappedRows, cells, index) => {
+    const values = Object.fromEntries(columnIndexes.map(([field, columnIndex]) => [field, (cells || [])[columnIndex]]));
+    const isBlank = Object.values(values).every(value => String(value ?? '').trim() === '');
+    if (!isBlank) {
+      mappedRows.push({ rowNumber: headerRow + index + 1, values });
+    }
+    return mappedRows;
+  }, []);
+};
+
+/**
+ * テンプレートの設定を適用できるかを判定し、シート・見出し行・対応付けを取得する関数
+ * @param {Object} template - テンプレート（import_mapping_templates の行）
+ * @param {Array} sheets - ブックのシート（{ name, rows }）
+ * @returns {{sheetName: string, headerRow: number, mapping: Object}|null} 設定（シートや見出しが見つからない場合は null）
+ */
+export const resolveTemplateSettings = (template, sheets) => {
+  const sheet = template.sheet_name ? sheets.find(candidate => candidate.name === template.sheet_name) : sheets[0];
+  if (!sheet) return null;
+
+  const headers = getHeaderCells(sheet.rows, template.header_row);
+  const mappedHeaders = Object.values(template.mapping || {}).filter(Boolean);
+  if (mappedHeaders.length === 0 || !mappedHeaders.every(header => headers.includes(header))) {
+    return null;
+  }
+
+  return { sheetName: sheet.name, headerRow: template.header_row, mapping: { ...template.mapping } };
+};
+
+/**
+ * ファイルに一致するテンプレートを探す関数
+ * 複数一致する場合は対応付けた項目の多いものを優先する
+ * @param {Array} templates - 保存済みのテンプレート
+ * @param {Array} sheets - ブックのシート（{ name, rows }）
+ * @returns {{template: Object, settings: Object}|null} 一致したテンプレートと設定
+ */
+export const findMatchingTemplate = (templates, sheets) =>
+  (templates || []).reduce((best, template) => {
+    const settings = resolveTemplateSettings(template, sheets);
+    if (!settings) return best;
+    if (best && Object.keys(best.settings.mapping).length >= Object.keys(settings.mapping).length) return best;
+    return { template, settings };
+  }, null);
+
+/**
+ * テンプレートがない場合の初期設定を推定する関数（先頭のシート・見出し行・列を推定する）
+ * @param {Array} sheets - ブックのシート（{ name, rows }）
+ * @param {string} [sheetName] - シート名（省略すると先頭のシート）
+ * @returns {{sheetName: string, headerRow: number, mapping: Object}} 設定
+ */
+export const suggestImportSettings = (sheets, sheetName) => {
+  const sheet = sheets.find(candidate => candidate.name === sheetName) || sheets[0];
+  const headerRow = detectHeaderRow(sheet.rows);
+  return {
+    sheetName: sheet.name,
+    headerRow,
+    mapping: suggestColumnMapping(getHeaderCells(sheet.rows, headerRow))
+  };
+};
+
+/**
+ * テンプレート名を検証する関数
+ * @param {string} name - テンプレート名
+ * @returns {string} エラーメッセージ（問題がなければ空文字）
+ */
+export const validateTemplateName = (name) => {
+  const trimmed = String(name || '').trim();
+
+  if (!trimmed) {
+    return 'テンプレート名を入力してください';
+  }
+  if (trimmed.length > MAX_TEMPLATE_NAME_LENGTH) {
+    return `テンプレート名は${MAX_TEMPLATE_NAME_LENGTH}文字以内で入力してください`;
+  }
+
+  return '';
+};
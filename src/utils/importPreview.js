@@ -0,0 +1,261 @@
+/**
+ * Excelインポートのプレビュー（行ごとの検証・修正・取り込み対象の選択）に関するユーティリティ
+ * 取り込み前に全行を確認し、エラーを画面上で修正してから登録する
+ */
+import { TAX_MODES, DEFAULT_TAX_SETTINGS } from './calculations';
+import { PROJECT_STATUSES, DEFAULT_PROJECT_STATUS, parseStatus } from './projectStatus';
+import { formatRevisionLabel } from './revisions';
+import { normalizeClientName, resolveClientName } from './clients';
+
+/**
+ * インポートする列（Excelの見出し）
+ */
+export const IMPORT_COLUMNS = [
+  { key: '工事番号', required: false },
+  { key: '客先', required: true },
+  { key: '件名', required: true },
+  { key: '工事担当者', required: false },
+  { key: '営業担当者', required: false },
+  { key: 'ネット金額', required: true },
+  { key: '客出金額', required: true },
+  { key: '提出日', required: true },
+  { key: 'ステータス', required: false },
+  { key: '税区分', required: false },
+  { key: '税率(%)', required: false }
+];
+
+/**
+ * セルの値を編集用の文字列に変換する関数
+ * 日付のセルはブラウザのタイムゾーンの日付として扱う（UTCに変換すると前日になるため）
+ * @param {*} value - シートから読み込んだ値
+ * @returns {string} 文字列（日付は YYYY-MM-DD）
+ */
+export const toCellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return [
+      value.getFullYear(),
+      String(value.getMonth() + 1).padStart(2, '0'),
+      String(value.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+  return String(value).trim();
+};
+
+/**
+ * 金額の入力値を数値に変換する関数
+ * @param {string} value - 入力値（カンマ・円記号を含んでもよい）
+ * @returns {number} 金額（変換できない場合は NaN）
+ */
+const parseAmount = (value) => parseFloat(String(value).replace(/[,¥]/g, ''));
+
+/**
+ * 提出日の入力値を YYYY-MM-DD に変換する関数
+ * @param {string} value - 入力値（YYYY-MM-DD または YYYY/MM/DD）
+ * @returns {string|null} 日付（形式が無効な場合は null）
+ */
+const parseSubmissionDate = (value) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  if (/^\d{4}\/\d{1,2}\/\d{1,2}$/.test(value)) {
+    const parts = value.split('/');
+    return `${parts[0]}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`;
+  }
+  return null;
+};
+
+/**
+ * 1行分の入力値を検証し、登録するプロジェクトのデータを作成する関数
+ * 最初のエラーで止めず、列ごとのエラーをすべて返す
+ * @param {Object} rawValues - 列の見出しをキーとする入力値
+ * @param {string} organizationId - 登録先の組織ID
+ * @returns {{errors: Array, project: Object|null}} 列ごとのエラー（{ column, message }）と登録データ（エラーがある場合は null）
+ */
+export const validateImportValues = (rawValues, organizationId) => {
+  const values = Object.fromEntries(IMPORT_COLUMNS.map(column => [column.key, String(rawValues[column.key] ?? '').trim()]));
+  const errors = [];
+  const addError = (column, message) => errors.push({ column, message });
+
+  IMPORT_COLUMNS.filter(column => column.required && !values[column.key]).forEach(column => {
+    addError(column.key, `${column.key}は必須です。`);
+  });
+
+  const netAmount = parseAmount(values['ネット金額']);
+  if (values['ネット金額'] && (isNaN(netAmount) || netAmount <= 0)) {
+    addError('ネット金額', 'ネット金額が無効です。');
+  }
+
+  const customerAmount = parseAmount(values['客出金額']);
+  if (values['客出金額'] && (isNaN(customerAmount) || customerAmount <= 0)) {
+    addError('客出金額', '客出金額が無効です。');
+  }
+
+  const submissionDate = parseSubmissionDate(values['提出日']);
+  if (values['提出日'] && !submissionDate) {
+    addError('提出日', '提出日の形式が無効です（YYYY-MM-DD または YYYY/MM/DD 形式で入力してください）。');
+  }
+
+  // ステータス・税区分・税率は任意列（未指定は提出済・税抜・既定税率）
+  const status = values['ステータス'] ? parseStatus(values['ステータス']) : DEFAULT_PROJECT_STATUS;
+  if (!status) {
+    addError('ステータス', `ステータスが無効です（${PROJECT_STATUSES.map(s => s.label).join('/')}のいずれかを入力してください）。`);
+  }
+
+  const taxModeDefinition = values['税区分']
+    ? TAX_MODES.find(mode => mode.label === values['税区分'] || mode.code === values['税区分'])
+    : TAX_MODES[0];
+  if (!taxModeDefinition) {
+    addError('税区分', '税区分が無効です（税抜/税込のいずれかを入力してください）。');
+  }
+
+  let taxRate = DEFAULT_TAX_SETTINGS.rate;
+  if (values['税率(%)']) {
+    const ratePercent = parseFloat(values['税率(%)'].replace(/%/g, ''));
+    if (isNaN(ratePercent) || ratePercent < 0 || ratePercent >= 100) {
+      addError('税率(%)', '税率が無効です（例: 10）。');
+    }
+    taxRate = ratePercent / 100;
+  }
+
+  if (errors.length > 0) {
+    return { errors, project: null };
+  }
+
+  return {
+    errors,
+    project: {
+      project_number: values['工事番号'] || null,
+      client: values['客先'],
+      title: values['件名'],
+      construction_manager: values['工事担当者'] || null,
+      sales_manager: values['営業担当者'] || null,
+      net_amount: netAmount,
+      customer_amount: customerAmount,
+      tax_mode: taxModeDefinition.code,
+      tax_rate: taxRate,
+      submission_date: submissionDate,
+      status,
+      organization_id: organizationId
+    }
+  };
+};
+
+/**
+ * 既存のプロジェクトとの重複候補を探す関数
+ * 工事番号が一致するもの、または客先・件名・提出日がすべて一致するものを重複候補とする（客先は表記ゆれを吸収して比較する）
+ * @param {Object} project - 登録するプロジェクト
+ * @param {Array} existingProjects - 既存のプロジェクト
+ * @returns {{reason: string, existing: Object}|null} 重複の理由と既存のプロジェクト（重複しない場合は null）
+ */
+export const findDuplicateProject = (project, existingProjects) => {
+  const sameNumberProject = project.project_number && existingProjects.find(existingProject =>
+    existingProject.project_number === project.project_number
+  );
+  if (sameNumberProject) {
+    return {
+      reason: `工事番号が既存のプロジェクトと重複しています（既存: ${formatRevisionLabel(sameNumberProject.current_revision)}）`,
+      existing: sameNumberProject
+    };
+  }
+
+  const sameContentProject = existingProjects.find(existingProject =>
+    normalizeClientName(existingProject.client) === normalizeClientName(project.client) &&
+    existingProject.title === project.title &&
+    existingProject.submission_date === project.submission_date
+  );
+  if (sameContentProject) {
+    return { reason: '客先・件名・提出日が既存のプロジェクトと一致しています', existing: sameContentProject };
+  }
+
+  return null;
+};
+
+/**
+ * 行の入力値を検証し、エラー・登録データ・重複候補を設定する関数
+ * @param {Object} row - プレビューの行
+ * @param {Object} context - 検証に使う情報
+ * @param {string} context.organizationId - 登録先の組織ID
+ * @param {Array} context.existingProjects - 既存のプロジェクト（重複の判定用）
+ * @param {Array} [context.clients=[]] - 客先マスタ（客先名を正式名称に揃える）
+ * @returns {Object} 検証結果を設定した行
+ */
+export const evaluateImportRow = (row, { organizationId, existingProjects, clients = [] }) => {
+  const validated = validateImportValues(row.values, organizationId);
+  const { errors } = validated;
+  // 全角・半角や法人格の表記ゆれは客先マスタの正式名称に置き換える
+  const project = validated.project && { ...validated.project, client: resolveClientName(validated.project.client, clients) };
+  return {
+    ...row,
+    errors,
+    project,
+    duplicate: project ? findDuplicateProject(project, existingProjects) : null
+  };
+};
+
+/**
+ * 読み込んだ行をプレビューの行に変換する関数
+ * 重複候補は誤って二重登録しないよう、初期状態では取り込み対象から外す
+ * @param {Array} mappedRows - 列を対応付けた行（applyColumnMapping の結果: { rowNumber, values }）
+ * @param {Object} context - 検証に使う情報（evaluateImportRow を参照）
+ * @returns {Array} プレビューの行（{ rowNumber, values, include, errors, project, duplicate }）
+ */
+export const createImportRows = (mappedRows, context) => mappedRows.map(({ rowNumber, values: rawValues }) => {
+  const values = Object.fromEntries(IMPORT_COLUMNS.map(column => [column.key, toCellText(rawValues[column.key])]));
+  const row = evaluateImportRow({ rowNumber, values, include: true }, context);
+  return { ...row, include: !row.duplicate };
+});
+
+/**
+ * 行のセルを修正して再検証する関数
+ * @param {Object} row - プレビューの行
+ * @param {string} column - 列の見出し
+ * @param {string} value - 修正後の値
+ * @param {Object} context - 検証に使う情報（evaluateImportRow を参照）
+ * @returns {Object} 再検証した行
+ */
+export const updateImportRowValue = (row, column, value, context) =>
+  evaluateImportRow({ ...row, values: { ...row.values, [column]: value } }, context);
+
+/**
+ * 行が取り込み対象かどうかを判定する関数（エラーがある行は取り込まない）
+ * @param {Object} row - プレビューの行
+ * @returns {boolean} 取り込む場合 true
+ */
+export const isImportRowIncluded = (row) => row.include && row.errors.length === 0;
+
+/**
+ * プレビューの行を件数にまとめる関数
+ * @param {Array} rows - プレビューの行
+ * @returns {{total: number, included: number, invalid: number, duplicates: number, skipped: number}} 件数
+ */
+export const summarizeImportRows = (rows) => {
+  const included = rows.filter(isImportRowIncluded).length;
+  return {
+    total: rows.length,
+    included,
+    invalid: rows.filter(row => row.errors.length > 0).length,
+    duplicates: rows.filter(row => row.duplicate).length,
+    skipped: rows.length - included
+  };
+};
+
+/**
+ * 取り込み対象の行の登録データを取得する関数
+ * @param {Array} rows - プレビューの行
+ * @returns {Array} 登録するプロジェクトのデータ
+ */
+export const getImportableProjects = (rows) => rows.filter(isImportRowIncluded).map(row => row.project);
+
+/**
+ * エラーのある行の一覧（エラーレポート）を作成する関数
+ * @param {Array} rows - プレビューの行
+ * @returns {Array} Excelに出力する行（行番号・エラー内容・入力値）
+ */
+export const buildImportErrorReport = (rows) => rows
+  .filter(row => row.errors.length > 0)
+  .map(row => ({
+    '行番号': row.rowNumber,
+    'エラー内容': row.errors.map(error => error.message).join(' / '),
+    ...row.values
+  }));
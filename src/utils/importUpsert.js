@@ -0,0 +1,179 @@
+/**
+ * 既存のプロジェクトを更新するインポート（照合・差分の計算）に関するユーティリティ
+ * 照合キーで一致した既存のプロジェクトは変更された項目のみ更新し、一致しないものは新規に登録する
+ */
+import { REVISION_FIELDS } from './revisions';
+import { getStatusTransitionPatch } from './projectStatus';
+import { isImportRowIncluded } from './importPreview';
+import { normalizeClientName } from './clients';
+
+/**
+ * 取り込み方法
+ */
+export const IMPORT_MODES = [
+  { code: 'insert', label: 'すべて新規に登録' },
+  { code: 'upsert', label: '既存のプロジェクトを更新し、それ以外を登録' }
+];
+
+/**
+ * 既存のプロジェクトとの照合キー
+ */
+export const IMPORT_MATCH_KEYS = [
+  { code: 'project_number', label: '工事番号' },
+  { code: 'client_title_date', label: '客先・件名・提出日' }
+];
+
+export const DEFAULT_IMPORT_OPTIONS = {
+  mode: 'insert',
+  matchKey: 'project_number',
+  flagMissing: false
+};
+
+// 項目に対応するインポートの列（空欄のセルは既存の値を変更しない）
+const FIELD_COLUMNS = {
+  project_number: '工事番号',
+  client: '客先',
+  title: '件名',
+  construction_manager: '工事担当者',
+  sales_manager: '営業担当者',
+  net_amount: 'ネット金額',
+  customer_amount: '客出金額',
+  tax_mode: '税区分',
+  tax_rate: '税率(%)',
+  submission_date: '提出日',
+  status: 'ステータス'
+};
+
+/**
+ * 照合キーの表示名を取得する関数
+ * @param {string} matchKey - 照合キーのコード
+ * @returns {string} 表示名
+ */
+export const getMatchKeyLabel = (matchKey) =>
+  (IMPORT_MATCH_KEYS.find(key => key.code === matchKey) || IMPORT_MATCH_KEYS[0]).label;
+
+/**
+ * プロジェクトの照合キーの値を取得する関数
+ * @param {Object} project - プロジェクト
+ * @param {string} matchKey - 照合キーのコード
+ * @returns {string|null} 照合キーの値（工事番号が空の場合は null）
+ */
+export const getImportMatchValue = (project, matchKey) => {
+  if (matchKey === 'client_title_date') {
+    return [normalizeClientName(project.client), project.title, project.submission_date].map(value => String(value ?? '').trim()).join('\u0000');
+  }
+  const projectNumber = String(project.project_number ?? '').trim();
+  return projectNumber || null;
+};
+
+/**
+ * 項目の値が同じかどうかを判定する関数（金額・税率は数値として比較する）
+ * @param {*} before - 既存の値
+ * @param {*} after - インポートする値
+ * @param {string} [type] - 項目の種類（REVISION_FIELDS の type）
+ * @returns {boolean} 同じ場合 true
+ */
+const isSameValue = (before, after, type) => {
+  if (type === 'currency' || type === 'taxRate') {
+    return Math.abs(Number(before ?? 0) - Number(after ?? 0)) < 0.00001;
+  }
+  return String(before ?? '').trim() === String(after ?? '').trim();
+};
+
+/**
+ * 既存のプロジェクトからの変更点を取得する関数
+ * @param {Object} existing - 既存のプロジェクト
+ * @param {Object} row - プレビューの行（values: 入力値、project: 登録データ）
+ * @returns {Array} 変更のある項目（{ key, label, type, before, after }）
+ */
+export const diffImportRow = (existing, row) => REVISION_FIELDS
+  .filter(({ key }) => String(row.values[FIELD_COLUMNS[key]] ?? '').trim() !== '')
+  .filter(({ key, type }) => !isSameValue(existing[key], row.project[key], type))
+  .map(({ key, label, type }) => ({ key, label, type, before: existing[key] ?? null, after: row.project[key] }));
+
+/**
+ * 取り込み対象の行を既存のプロジェクトと照合し、登録・更新・変更なし・スキップに分ける関数
+ * @param {Array} rows - プレビューの行
+ * @param {Array} existingProjects - 既存のプロジェクト
+ * @param {Object} options - 照合の設定
+ * @param {string} options.matchKey - 照合キーのコード
+ * @param {boolean} [options.flagMissing=false] - ファイルにない既存のプロジェクトを一覧にするか
+ * @returns {{inserts: Array, updates: Array, unchanged: Array, skipped: Array, missing: Array}} 照合結果
+ */
+export const planImportUpsert = (rows, existingProjects, { matchKey, flagMissing = false }) => {
+  const existingByKey = new Map();
+  existingProjects.forEach(project => {
+    const value = getImportMatchValue(project, matchKey);
+    if (value && !existingByKey.has(value)) {
+      existingByKey.set(value, project);
+    }
+  });
+
+  const plan = { inserts: [], updates: [], unchanged: [], skipped: [], missing: [] };
+  const firstRowByKey = new Map();
+  const matchedIds = new Set();
+
+  rows.filter(isImportRowIncluded).forEach(row => {
+    const value = getImportMatchValue(row.project, matchKey);
+
+    if (value && firstRowByKey.has(value)) {
+      plan.skipped.push({
+        row,
+        reason: `${getMatchKeyLabel(matchKey)}がファイル内の行${firstRowByKey.get(value)}と重複しています`
+      });
+      return;
+    }
+    if (value) {
+      firstRowByKey.set(value, row.rowNumber);
+    }
+
+    const existing = value ? existingByKey.get(value) : null;
+    if (!existing) {
+      plan.inserts.push({ row });
+      return;
+    }
+
+    matchedIds.add(existing.id);
+    const changes = diffImportRow(existing, row);
+    if (changes.length === 0) {
+      plan.unchanged.push({ row, existing });
+      return;
+    }
+
+    // ステータスが変わる場合は受注日・失注日も画面からの変更と同じく更新する
+    const patch = Object.fromEntries(changes.map(change => [change.key, change.after]));
+    if (patch.status) {
+      Object.assign(patch, getStatusTransitionPatch(existing, patch.status));
+    }
+    plan.updates.push({ row, existing, changes, patch: { id: existing.id, ...patch } });
+  });
+
+  if (flagMissing) {
+    plan.missing = existingProjects.filter(project => !matchedIds.has(project.id));
+  }
+
+  return plan;
+};
+
+/**
+ * 照合結果を件数にまとめる関数
+ * @param {Object} plan - planImportUpsert の結果
+ * @returns {{inserted: number, updated: number, unchanged: number, skipped: number, missing: number}} 件数
+ */
+export const summarizeImportPlan = (plan) => ({
+  inserted: plan.inserts.length,
+  updated: plan.updates.length,
+  unchanged: plan.unchanged.length,
+  skipped: plan.skipped.length,
+  missing: plan.missing.length
+});
+
+/**
+ * 照合結果から upsert_projects に渡す引数を作成する関数
+ * @param {Object} plan - planImportUpsert の結果
+ * @returns {{p_inserts: Array, p_updates: Array}} 引数
+ */
+export const buildUpsertParams = (plan) => ({
+  p_inserts: plan.inserts.map(({ row }) => row.project),
+  p_updates: plan.updates.map(({ patch }) => patch)
+});
@@ -0,0 +1,111 @@
+/**
+ * 内訳明細（project_line_items）関連のユーティリティ
+ */
+
+/**
+ * 明細区分の定義
+ */
+export const LINE_ITEM_CATEGORIES = [
+  { code: 'material', label: '材料費' },
+  { code: 'labor', label: '労務費' },
+  { code: 'subcontract', label: '外注費' },
+  { code: 'overhead', label: '経費' }
+];
+
+/**
+ * 明細区分コードから表示ラベルを取得する関数
+ * @param {string} code - 区分コード
+ * @returns {string} 表示ラベル
+ */
+export const getLineItemCategoryLabel = (code) => {
+  const category = LINE_ITEM_CATEGORIES.find(c => c.code === code);
+  return category ? category.label : 'その他';
+};
+
+/**
+ * 空の明細行（フォーム入力用）を作成する関数
+ * @param {string} [category='material'] - 区分コード
+ * @returns {Object} フォーム入力用の明細行
+ */
+export const createEmptyLineItem = (category = 'material') => ({
+  key: `${Date.now()}-${Math.random()}`,
+  category,
+  item_name: '',
+  quantity: '1',
+  unit: '式',
+  unit_price: '',
+  unit_cost: ''
+});
+
+/**
+ * データベースの明細行をフォーム入力用に変換する関数
+ * @param {Object} record - project_line_items のレコード
+ * @returns {Object} フォーム入力用の明細行
+ */
+export const lineItemToFormItem = (record) => ({
+  key: record.id || `${Date.now()}-${Math.random()}`,
+  category: record.category || 'material',
+  item_name: record.item_name || '',
+  quantity: record.quantity !== null && record.quantity !== undefined ? String(record.quantity) : '',
+  unit: record.unit || '',
+  unit_price: record.unit_price !== null && record.unit_price !== undefined ? String(record.unit_price) : '',
+  unit_cost: record.unit_cost !== null && record.unit_cost !== undefined ? String(record.unit_cost) : ''
+});
+
+/**
+ * 数値入力文字列を数値に変換する関数（カンマ・全角数字対応）
+ * @param {string|number} value - 入力値
+ * @returns {number} 数値（変換できない場合はNaN）
+ */
+export const parseLineItemNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const normalized = String(value ?? '')
+    .replace(/[０-９．]/g, (s) => String.fromCharCode(s.charCodeAt(0) - 0xFEE0))
+    .replace(/,/g, '')
+    .trim();
+  return normalized === '' ? NaN : Number(normalized);
+};
+
+/**
+ * 明細行の入力内容を検証する関数
+ * @param {Array} items - フォーム入力用の明細行
+ * @returns {Object} 明細行キーごとのエラーメッセージ
+ */
+export const validateLineItems = (items) => {
+  const errors = {};
+
+  (items || []).forEach(item => {
+    if (!item.item_name.trim()) {
+      errors[item.key] = '品名は必須です';
+    } else if (item.item_name.trim().length > 100) {
+      errors[item.key] = '品名は100文字以内で入力してください';
+    } else if (!(parseLineItemNumber(item.quantity) > 0)) {
+      errors[item.key] = '数量は正の数値を入力してください';
+    } else if (!(parseLineItemNumber(item.unit_price) >= 0)) {
+      errors[item.key] = '単価は0以上の数値を入力してください';
+    } else if (!(parseLineItemNumber(item.unit_cost) >= 0)) {
+      errors[item.key] = '原価は0以上の数値を入力してください';
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * フォーム入力用の明細行を保存用レコードに変換する関数
+ * @param {Array} items - フォーム入力用の明細行
+ * @param {string} projectId - 親プロジェクトID
+ * @returns {Array} project_line_items への挿入データ
+ */
+export const toLineItemRecords = (items, projectId) => {
+  return (items || []).map((item, index) => ({
+    project_id: projectId,
+    sort_order: index,
+    category: item.category,
+    item_name: item.item_name.trim(),
+    quantity: parseLineItemNumber(item.quantity),
+    unit: item.unit.trim() || null,
+    unit_price: parseLineItemNumber(item.unit_price),
+    unit_cost: parseLineItemNumber(item.unit_cost)
+  }));
+};
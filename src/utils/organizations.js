@@ -0,0 +1,49 @@
+/**
+ * 組織（グループ会社）の切り替えに関するユーティリティ
+ * 選択中の組織はブラウザに保存し、次回ログイン時も同じ組織を表示する
+ */
+
+export const ORGANIZATION_STORAGE_KEY = 'currentOrganizationId';
+
+/**
+ * 保存されている組織IDを取得する関数
+ * @returns {string|null} 組織ID（保存されていない場合やストレージが使えない場合は null）
+ */
+export const loadStoredOrganizationId = () => {
+  try {
+    return window.localStorage.getItem(ORGANIZATION_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * 選択中の組織IDを保存する関数
+ * @param {string|null} organizationId - 組織ID（null の場合は削除）
+ */
+export const storeOrganizationId = (organizationId) => {
+  try {
+    if (organizationId) {
+      window.localStorage.setItem(ORGANIZATION_STORAGE_KEY, organizationId);
+    } else {
+      window.localStorage.removeItem(ORGANIZATION_STORAGE_KEY);
+    }
+  } catch (error) {
+    // プライベートモード等で保存できない場合は切り替えのみ行う
+  }
+};
+
+/**
+ * 表示する組織を決定する関数
+ * 保存されている組織に所属していない場合は先頭の組織を選ぶ
+ * @param {Array} organizations - 所属している組織の一覧
+ * @param {string|null} preferredId - 保存されている組織ID
+ * @returns {string|null} 組織ID（所属している組織がない場合は null）
+ */
+export const resolveCurrentOrganizationId = (organizations, preferredId) => {
+  const list = organizations || [];
+  if (preferredId && list.some(organization => organization.id === preferredId)) {
+    return preferredId;
+  }
+  return list.length > 0 ? list[0].id : null;
+};
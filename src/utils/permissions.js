@@ -0,0 +1,121 @@
+/**
+ * ユーザー権限に関するユーティリティ
+ * 画面の表示制御に使用する（実際の制限はデータベースのRLSで行う）
+ */
+import { getErrorType } from './deleteHelpers';
+
+/**
+ * 権限の定義（権限の弱い順）
+ */
+export const USER_ROLES = [
+  { code: 'viewer', label: '閲覧者', description: 'プロジェクトの閲覧・エクスポートのみ' },
+  { code: 'estimator', label: '見積担当', description: '新規登録と自分が登録したプロジェクトの編集' },
+  { code: 'manager', label: 'マネージャー', description: '全プロジェクトの編集・削除・復元、Excelインポート、客先マスタ・担当者マスタの管理、操作履歴の閲覧' },
+  { code: 'admin', label: 'システム管理者', description: 'マネージャーの権限に加えてユーザーの権限変更、ゴミ箱の保存期間・工事番号の採番形式・フォローアップのしきい値の設定' }
+];
+
+export const DEFAULT_USER_ROLE = 'viewer';
+
+const ROLE_CODES = USER_ROLES.map(role => role.code);
+
+/**
+ * 権限コードを正規化する関数（未定義の値は閲覧者として扱う）
+ * @param {string} role - 権限コード
+ * @returns {string} 権限コード
+ */
+export const normalizeRole = (role) => (ROLE_CODES.includes(role) ? role : DEFAULT_USER_ROLE);
+
+/**
+ * 権限の表示名を取得する関数
+ * @param {string} role - 権限コード
+ * @returns {string} 表示名
+ */
+export const getRoleLabel = (role) =>
+  USER_ROLES.find(definition => definition.code === normalizeRole(role)).label;
+
+/**
+ * 指定した権限以上かどうかを判定する関数
+ * @param {string} role - 判定する権限
+ * @param {string} minimumRole - 必要な権限
+ * @returns {boolean} 必要な権限以上の場合 true
+ */
+export const hasRole = (role, minimumRole) =>
+  ROLE_CODES.indexOf(normalizeRole(role)) >= ROLE_CODES.indexOf(minimumRole);
+
+/**
+ * 権限ごとに許可された操作を取得する関数
+ * @param {string} role - 権限コード
+ * @returns {{canCreate: boolean, canImport: boolean, canDelete: boolean, canManageClients: boolean, canManageStaff: boolean, canViewAuditLog: boolean, canManageRoles: boolean, canConfigureTrash: boolean, canConfigureProjectNumbers: boolean, canConfigureFollowUps: boolean}} 許可された操作
+ */
+export const getRolePermissions = (role) => ({
+  canCreate: hasRole(role, 'estimator'),
+  canImport: hasRole(role, 'manager'),
+  canDelete: hasRole(role, 'manager'),
+  canManageClients: hasRole(role, 'manager'),
+  canManageStaff: hasRole(role, 'manager'),
+  canViewAuditLog: hasRole(role, 'manager'),
+  canManageRoles: hasRole(role, 'admin'),
+  canConfigureTrash: hasRole(role, 'admin'),
+  canConfigureProjectNumbers: hasRole(role, 'admin'),
+  canConfigureFollowUps: hasRole(role, 'admin')
+});
+
+/**
+ * プロジェクトを編集できるかを判定する関数
+ * 見積担当は自分が登録したプロジェクトのみ編集できる
+ * @param {string} role - 権限コード
+ * @param {Object} project - プロジェクト
+ * @param {string} userId - ログイン中のユーザーID
+ * @returns {boolean} 編集できる場合 true
+ */
+export const canEditProject = (role, project, userId) => {
+  if (hasRole(role, 'manager')) return true;
+  if (normalizeRole(role) !== 'estimator') return false;
+  return Boolean(project?.created_by) && project.created_by === userId;
+};
+
+/**
+ * フォローアップを完了・スヌーズ・削除できるかを判定する関数
+ * 見積担当は自分が対応する・自分が登録したフォローアップのみ操作できる
+ * @param {string} role - 権限コード
+ * @param {Object} followUp - フォローアップ
+ * @param {string} userId - ログイン中のユーザーID
+ * @returns {boolean} 操作できる場合 true
+ */
+export const canEditFollowUp = (role, followUp, userId) => {
+  if (hasRole(role, 'manager')) return true;
+  if (normalizeRole(role) !== 'estimator' || !userId) return false;
+  return followUp?.assignee_id === userId || followUp?.created_by === userId;
+};
+
+/**
+ * 活動記録（経過・コメント）を削除できるかを判定する関数
+ * 見積担当は自分が登録した経過のみ削除でき、自動で記録された変更は誰も削除できない
+ * @param {string} role - 権限コード
+ * @param {Object} activity - 活動記録
+ * @param {string} userId - ログイン中のユーザーID
+ * @returns {boolean} 削除できる場合 true
+ */
+export const canDeleteActivity = (role, activity, userId) => {
+  if (!activity || activity.kind === 'change') return false;
+  if (hasRole(role, 'manager')) return true;
+  if (normalizeRole(role) !== 'estimator' || !userId) return false;
+  return activity.author_id === userId;
+};
+
+/**
+ * 権限不足のエラーかどうかを判定する関数
+ * RLSの違反（SQLSTATE 42501）も権限エラーとして扱う
+ * @param {Error|Object} error - エラー
+ * @returns {boolean} 権限エラーの場合 true
+ */
+export const isPermissionError = (error) => getErrorType(error) === 'permission';
+
+/**
+ * 権限不足で操作できない場合のメッセージを作成する関数
+ * @param {string} action - 操作名（例: 削除）
+ * @param {string} role - 現在の権限コード
+ * @returns {string} メッセージ
+ */
+export const getPermissionDeniedMessage = (action, role) =>
+  `${action}の権限がありません（現在の権限: ${getRoleLabel(role)}）。`;
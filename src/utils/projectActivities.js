@@ -0,0 +1,75 @@
+/**
+ * プロジェクトの活動記録（project_activities）に関するユーティリティ
+ * 金額・ステータスの変更はデータベースのトリガーで記録されるため、画面では経過・コメントのみ登録する
+ */
+import { getAuditLogChanges } from './auditLog';
+
+export const MAX_ACTIVITY_BODY_LENGTH = 1000;
+
+/**
+ * 画面から登録する経過の種類
+ */
+export const ACTIVITY_KINDS = [
+  { code: 'comment', label: 'コメント', badgeClass: 'bg-gray-100 text-gray-800' },
+  { code: 'phone', label: '電話', badgeClass: 'bg-green-100 text-green-800' },
+  { code: 'visit', label: '訪問', badgeClass: 'bg-purple-100 text-purple-800' },
+  { code: 'email', label: 'メール', badgeClass: 'bg-sky-100 text-sky-800' },
+  { code: 'requote', label: '再見積依頼', badgeClass: 'bg-orange-100 text-orange-800' }
+];
+
+// 自動で記録される変更（画面からは登録できない）
+const CHANGE_KIND = { code: 'change', label: '変更', badgeClass: 'bg-blue-100 text-blue-800' };
+
+export const EMPTY_ACTIVITY_FORM = { kind: 'comment', body: '' };
+
+/**
+ * 活動記録の種類の定義を取得する関数
+ * @param {string} kind - 種類のコード
+ * @returns {Object} 種類の定義（未定義のコードはラベルにそのまま表示）
+ */
+export const getActivityKindDefinition = (kind) =>
+  (kind === CHANGE_KIND.code ? CHANGE_KIND : ACTIVITY_KINDS.find(definition => definition.code === kind)) ||
+  { code: kind, label: kind, badgeClass: 'bg-gray-100 text-gray-800' };
+
+/**
+ * 経過の入力内容を検証する関数
+ * @param {Object} form - 入力内容
+ * @returns {Object} 項目ごとのエラーメッセージ（問題がなければ空のオブジェクト）
+ */
+export const validateActivityForm = (form) => {
+  const errors = {};
+  const body = String(form.body ?? '').trim();
+
+  if (!ACTIVITY_KINDS.some(kind => kind.code === form.kind)) {
+    errors.kind = '種類を選択してください';
+  }
+  if (!body) {
+    errors.body = '内容を入力してください';
+  } else if (body.length > MAX_ACTIVITY_BODY_LENGTH) {
+    errors.body = `内容は${MAX_ACTIVITY_BODY_LENGTH}文字以内で入力してください`;
+  }
+
+  return errors;
+};
+
+/**
+ * 経過の入力内容を登録用のデータに変換する関数（登録したユーザー・日時はサーバー側で設定する）
+ * @param {Object} form - 入力内容
+ * @returns {Object} 登録用のデータ
+ */
+export const toActivityRecord = (form) => ({
+  kind: form.kind,
+  body: String(form.body ?? '').trim()
+});
+
+/**
+ * 変更の記録の変更内容を取得する関数
+ * @param {Object} activity - project_activities のレコード
+ * @returns {Array} 項目ごとの変更前後の値（登録時は登録時の値。diffRevisionSnapshots と同じ形式）
+ */
+export const getActivityChanges = (activity) =>
+  getAuditLogChanges({
+    action: activity?.before_data ? 'update' : 'create',
+    before_data: activity?.before_data,
+    after_data: activity?.after_data
+  });
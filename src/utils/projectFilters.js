@@ -0,0 +1,133 @@
+/**
+ * プロジェクト一覧の絞り込み条件に関するユーティリティ
+ * 条件はURLのクエリ文字列に保存し、ブックマークや共有で同じ表示を再現できるようにする
+ */
+
+/**
+ * 絞り込み条件の初期値
+ * 金額は客出金額（税抜）、利益率は%、経過日数は提出日からの日数で指定する
+ */
+export const DEFAULT_PROJECT_FILTERS = {
+  search: '',
+  status: 'all',
+  constructionManager: '',
+  salesManager: '',
+  amountMin: '',
+  amountMax: '',
+  profitRateMin: '',
+  profitRateMax: '',
+  submittedFrom: '',
+  submittedTo: '',
+  daysPassedMin: ''
+};
+
+export const DEFAULT_SORT_CONFIG = { key: 'created_at', direction: 'desc' };
+
+/**
+ * 絞り込み条件とURLパラメータ名の対応
+ */
+export const FILTER_QUERY_PARAMS = {
+  search: 'q',
+  status: 'status',
+  constructionManager: 'cm',
+  salesManager: 'sm',
+  amountMin: 'amount_min',
+  amountMax: 'amount_max',
+  profitRateMin: 'profit_min',
+  profitRateMax: 'profit_max',
+  submittedFrom: 'from',
+  submittedTo: 'to',
+  daysPassedMin: 'days_min'
+};
+
+const NUMERIC_FILTER_KEYS = ['amountMin', 'amountMax', 'profitRateMin', 'profitRateMax', 'daysPassedMin'];
+const DATE_FILTER_KEYS = ['submittedFrom', 'submittedTo'];
+
+/**
+ * 絞り込み条件の値を検証する（不正な値は初期値に戻す）
+ */
+const sanitizeFilterValue = (key, value) => {
+  const text = String(value ?? '').trim();
+  if (text === '') return DEFAULT_PROJECT_FILTERS[key];
+
+  if (NUMERIC_FILTER_KEYS.includes(key)) {
+    const number = parseFloat(text.replace(/,/g, ''));
+    return Number.isFinite(number) ? String(number) : '';
+  }
+
+  if (DATE_FILTER_KEYS.includes(key)) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : '';
+  }
+
+  return text;
+};
+
+/**
+ * URLのクエリ文字列から絞り込み条件とソート設定を復元する関数
+ * @param {string} search - クエリ文字列（例: ?q=改修&status=won）
+ * @returns {{filters: Object, sortConfig: Object}} 絞り込み条件とソート設定
+ */
+export const parseProjectListParams = (search) => {
+  const params = new URLSearchParams(search || '');
+  const filters = { ...DEFAULT_PROJECT_FILTERS };
+
+  Object.entries(FILTER_QUERY_PARAMS).forEach(([key, param]) => {
+    if (params.has(param)) {
+      filters[key] = sanitizeFilterValue(key, params.get(param));
+    }
+  });
+
+  const sortConfig = params.has('sort')
+    ? { key: params.get('sort'), direction: params.get('dir') === 'asc' ? 'asc' : 'desc' }
+    : { ...DEFAULT_SORT_CONFIG };
+
+  return { filters, sortConfig };
+};
+
+/**
+ * 絞り込み条件とソート設定をクエリ文字列に変換する関数
+ * 初期値の項目は省略する
+ * @param {Object} filters - 絞り込み条件
+ * @param {Object} [sortConfig] - ソート設定
+ * @returns {string} クエリ文字列（条件がない場合は空文字）
+ */
+export const buildProjectListParams = (filters, sortConfig) => {
+  const params = new URLSearchParams();
+
+  Object.entries(FILTER_QUERY_PARAMS).forEach(([key, param]) => {
+    const value = sanitizeFilterValue(key, filters?.[key]);
+    if (value !== DEFAULT_PROJECT_FILTERS[key]) {
+      params.set(param, value);
+    }
+  });
+
+  if (sortConfig && (sortConfig.key !== DEFAULT_SORT_CONFIG.key || sortConfig.direction !== DEFAULT_SORT_CONFIG.direction)) {
+    params.set('sort', sortConfig.key);
+    params.set('dir', sortConfig.direction);
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * 適用中の絞り込み条件の数を数える関数（ステータスを含む）
+ * @param {Object} filters - 絞り込み条件
+ * @returns {number} 初期値と異なる条件の数
+ */
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_PROJECT_FILTERS)
+    .filter(key => sanitizeFilterValue(key, filters?.[key]) !== DEFAULT_PROJECT_FILTERS[key])
+    .length;
+
+/**
+ * 検索語を単語に分割する関数
+ * PostgRESTのフィルター構文で特別な意味を持つ文字は区切りとして扱う
+ * @param {string} search - 検索文字列
+ * @returns {Array<string>} 検索語（全角スペース区切りにも対応）
+ */
+export const splitSearchTerms = (search) =>
+  String(search || '')
+    .replace(/[,()"'\\%_*:]/g, ' ')
+    .split(/[\s\u3000]+/)
+    .filter(Boolean);
@@ -0,0 +1,113 @@
+/**
+ * 工事番号の自動採番に関するユーティリティ
+ * 採番はデータベースの assign_project_number() が行い、ここでは採番形式の検証と表示用の例を作成する
+ */
+
+export const MAX_PROJECT_NUMBER_FORMAT_LENGTH = 30;
+
+// 年度の開始月（4月始まり）
+export const FISCAL_YEAR_START_MONTH = 4;
+
+export const DEFAULT_PROJECT_NUMBER_FORMAT = '{年度}-{連番:4}';
+
+/**
+ * 採番形式に使える記号
+ */
+export const PROJECT_NUMBER_TOKENS = [
+  { token: '{年度}', description: '提出日の年度（4月始まり、例: 2026）' },
+  { token: '{年度:2}', description: '年度の下2桁（例: 26）' },
+  { token: '{年}', description: '提出日の年（例: 2026）' },
+  { token: '{月}', description: '提出日の月（例: 04）' },
+  { token: '{客先}', description: '客先マスタの工事番号の略号（未設定の場合は客先名）' },
+  { token: '{連番:4}', description: '連番（:の後は桁数。形式の連番以外の部分が変わると1から振り直す）' }
+];
+
+const TOKEN_PATTERN = /\{(年度|年度:2|年|月|客先|連番(:[1-9])?)\}/g;
+const SEQUENCE_PATTERN = /\{連番(?::([1-9]))?\}/g;
+
+/**
+ * 4月始まりの年度を求める関数（2027年3月31日は2026年度）
+ * @param {Date|string} date - 日付（YYYY-MM-DD 形式の文字列または Date）
+ * @returns {number} 年度
+ */
+export const getFiscalYear = (date) => {
+  const [year, month] = typeof date === 'string'
+    ? date.split('-').map(Number)
+    : [date.getFullYear(), date.getMonth() + 1];
+  return month >= FISCAL_YEAR_START_MONTH ? year : year - 1;
+};
+
+/**
+ * 採番形式を検証する関数
+ * @param {string} format - 採番形式
+ * @returns {string} エラーメッセージ（問題がなければ空文字）
+ */
+export const validateProjectNumberFormat = (format) => {
+  const value = String(format ?? '').trim();
+  if (!value) {
+    return '採番形式を入力してください';
+  }
+  if (value.length > MAX_PROJECT_NUMBER_FORMAT_LENGTH) {
+    return `採番形式は${MAX_PROJECT_NUMBER_FORMAT_LENGTH}文字以内で入力してください`;
+  }
+
+  const sequenceCount = (value.match(SEQUENCE_PATTERN) || []).length;
+  if (sequenceCount === 0) {
+    return '採番形式に{連番}を含めてください';
+  }
+  if (sequenceCount > 1) {
+    return '{連番}は1つだけ含めてください';
+  }
+
+  const unknown = value.replace(TOKEN_PATTERN, '').match(/\{[^}]*\}?|\}/);
+  if (unknown) {
+    return `「${unknown[0]}」は採番形式に使えません`;
+  }
+  return '';
+};
+
+/**
+ * 採番形式から工事番号を作成する関数（設定画面の例の表示用）
+ * @param {string} format - 採番形式
+ * @param {Object} options - 展開する値
+ * @param {string} options.date - 提出日（YYYY-MM-DD）
+ * @param {string} [options.clientPrefix=''] - 客先の略号
+ * @param {number} [options.sequence=1] - 連番
+ * @returns {string} 工事番号
+ */
+export const formatProjectNumber = (format, { date, clientPrefix = '', sequence = 1 }) => {
+  const [year, month] = date.split('-');
+  const fiscalYear = String(getFiscalYear(date));
+
+  return String(format ?? '')
+    .replace(/\{年度\}/g, fiscalYear)
+    .replace(/\{年度:2\}/g, fiscalYear.slice(-2))
+    .replace(/\{年\}/g, year)
+    .replace(/\{月\}/g, month)
+    .replace(/\{客先\}/g, clientPrefix)
+    .replace(SEQUENCE_PATTERN, (_, digits) => String(sequence).padStart(Number(digits) || 1, '0'));
+};
+
+/**
+ * 採番形式が客先の略号を使うか判定する関数
+ * @param {string|null} format - 採番形式
+ * @returns {boolean} {客先} を含む場合は true
+ */
+export const usesClientPrefix = (format) => String(format ?? '').includes('{客先}');
+
+/**
+ * 客先の略号を取得する関数（データベースと同じく、略号が未設定の場合は空白・{}を除いた客先名の先頭10文字）
+ * @param {Object|null} client - 客先マスタの客先
+ * @param {string} [clientName=''] - 客先名（客先マスタにない場合に使う）
+ * @returns {string} 客先の略号
+ */
+export const getClientNumberPrefix = (client, clientName = '') =>
+  client?.project_number_prefix || Array.from(String(client?.name ?? clientName).replace(/[\s{}]/g, '')).slice(0, 10).join('');
+
+/**
+ * 工事番号の重複（一意制約違反）によるエラーか判定する関数
+ * @param {Object} error - Supabase のエラー
+ * @returns {boolean} 工事番号の重複の場合 true
+ */
+export const isDuplicateProjectNumberError = (error) =>
+  error?.code === '23505' && String(error.message ?? '').includes('projects_project_number_key');
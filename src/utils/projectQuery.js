@@ -0,0 +1,213 @@
+/**
+ * プロジェクト一覧のサーバー側フィルター・ソート・ページングに関するユーティリティ
+ * Supabase のクエリビルダーに条件を適用する（project_list_view を対象とする）
+ */
+import { splitSearchTerms } from './projectFilters';
+
+export const PROJECT_LIST_VIEW = 'project_list_view';
+export const PROJECT_PAGE_SIZE = 20;
+// PostgREST の1リクエストあたりの最大取得件数
+export const MAX_ROWS_PER_REQUEST = 1000;
+
+/**
+ * 画面のソートキーと project_list_view の列の対応
+ * 金額は税区分をそろえるため税抜換算の列で並べ替える
+ */
+export const PROJECT_SORT_COLUMNS = {
+  project_number: 'project_number',
+  client: 'client',
+  title: 'title',
+  construction_manager: 'construction_manager',
+  sales_manager: 'sales_manager',
+  net_amount: 'net_amount_excluding_tax',
+  customer_amount: 'customer_amount_excluding_tax',
+  profit_rate: 'profit_rate',
+  submission_date: 'submission_date',
+  days_passed: 'days_passed',
+  status: 'status_order',
+  created_at: 'created_at'
+};
+
+/**
+ * フリーワード検索の対象列
+ */
+export const SEARCH_COLUMNS = ['project_number', 'client', 'title'];
+
+/**
+ * 範囲指定の絞り込み条件とビューの列の対応
+ */
+const RANGE_FILTERS = [
+  { key: 'amountMin', column: 'customer_amount_excluding_tax', operator: 'gte' },
+  { key: 'amountMax', column: 'customer_amount_excluding_tax', operator: 'lte' },
+  { key: 'profitRateMin', column: 'profit_rate', operator: 'gte' },
+  { key: 'profitRateMax', column: 'profit_rate', operator: 'lte' },
+  { key: 'submittedFrom', column: 'submission_date', operator: 'gte' },
+  { key: 'submittedTo', column: 'submission_date', operator: 'lte' },
+  { key: 'daysPassedMin', column: 'days_passed', operator: 'gte' }
+];
+
+/**
+ * ソートキーに対応するビューの列名を取得する関数
+ * @param {string} key - 画面のソートキー
+ * @returns {string} ビューの列名（未定義のキーは作成日時）
+ */
+export const getProjectSortColumn = (key) => PROJECT_SORT_COLUMNS[key] || 'created_at';
+
+/**
+ * 取得範囲（range の開始・終了インデックス）を計算する関数
+ * @param {number} offset - 取得済みの件数
+ * @param {number} [limit=PROJECT_PAGE_SIZE] - 取得件数
+ * @returns {[number, number]} range に渡す開始・終了インデックス
+ */
+export const getPageRange = (offset, limit = PROJECT_PAGE_SIZE) => [offset, offset + limit - 1];
+
+/**
+ * 絞り込み条件をクエリに適用する関数
+ * 検索語は単語ごとに工事番号・客先・件名のいずれかに部分一致する行に絞り込む（単語間はAND）
+ * @param {Object} query - Supabase のクエリビルダー
+ * @param {Object} [filters={}] - 絞り込み条件（DEFAULT_PROJECT_FILTERS と同じ形式）
+ * @returns {Object} 条件を適用したクエリビルダー
+ */
+export const applyProjectFilters = (query, filters = {}) => {
+  let filtered = query;
+
+  splitSearchTerms(filters.search).forEach(term => {
+    filtered = filtered.or(
+      SEARCH_COLUMNS.map(column => `${column}.ilike.%${term}%`).join(',')
+    );
+  });
+
+  if (filters.status && filters.status !== 'all') {
+    filtered = filtered.eq('status', filters.status);
+  }
+  if (filters.constructionManager) {
+    filtered = filtered.eq('construction_manager', filters.constructionManager);
+  }
+  if (filters.salesManager) {
+    filtered = filtered.eq('sales_manager', filters.salesManager);
+  }
+
+  RANGE_FILTERS.forEach(({ key, column, operator }) => {
+    const value = filters[key];
+    if (value !== undefined && value !== null && value !== '') {
+      filtered = filtered[operator](column, value);
+    }
+  });
+
+  return filtered;
+};
+
+/**
+ * 並べ替えをクエリに適用する関数
+ * 同じ値の行の順序がページ間で入れ替わらないよう id を第2キーにする
+ * @param {Object} query - Supabase のクエリビルダー
+ * @param {Object} sortConfig - ソート設定（key, direction）
+ * @returns {Object} 並べ替えを適用したクエリビルダー
+ */
+export const applyProjectSort = (query, sortConfig) => {
+  const ascending = sortConfig?.direction === 'asc';
+
+  return query
+    .order(getProjectSortColumn(sortConfig?.key), { ascending, nullsFirst: ascending })
+    .order('id', { ascending: true });
+};
+
+/**
+ * 一覧表示用のクエリを組み立てる関数
+ * @param {Object} query - select 済みの Supabase クエリビルダー
+ * @param {Object} options - 取得条件
+ * @param {Object} options.sortConfig - ソート設定
+ * @param {Object} [options.filters] - 絞り込み条件
+ * @param {number} [options.offset=0] - 取得開始位置
+ * @param {number} [options.limit=PROJECT_PAGE_SIZE] - 取得件数
+ * @returns {Object} 組み立てたクエリビルダー
+ */
+export const buildProjectListQuery = (query, { sortConfig, filters, offset = 0, limit = PROJECT_PAGE_SIZE }) => {
+  const [from, to] = getPageRange(offset, limit);
+  return applyProjectSort(applyProjectFilters(query, filters), sortConfig).range(from, to);
+};
+
+/**
+ * 全件を分割して取得する関数
+ * サーバーの最大取得件数を超えるデータ（エクスポート等）を取得する際に使用
+ * @param {Function} fetchPage - (from, to) を受け取り { data, error } を返す関数
+ * @param {number} [batchSize=MAX_ROWS_PER_REQUEST] - 1回あたりの取得件数
+ * @returns {Promise<Array>} 全件のデータ
+ */
+export const fetchAllPages = async (fetchPage, batchSize = MAX_ROWS_PER_REQUEST) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += batchSize) {
+    const [from, to] = getPageRange(offset, batchSize);
+    const { data, error } = await fetchPage(from, to);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < batchSize) {
+      return rows;
+    }
+  }
+};
+
+/**
+ * 受注率（%）を計算する関数（受注＋失注に対する受注の割合）
+ * @param {number} wonCount - 受注件数
+ * @param {number} lostCount - 失注件数
+ * @returns {number} 受注率（%）
+ */
+export const toWinRate = (wonCount, lostCount) => {
+  const decidedCount = wonCount + lostCount;
+  return decidedCount > 0 ? (wonCount / decidedCount) * 100 : 0;
+};
+
+/**
+ * 統計サマリー（project_summary の結果）を画面用の形式に変換する関数
+ * @param {Object|null} row - project_summary の1行
+ * @returns {Object} 統計サマリー
+ */
+export const toProjectSummary = (row) => {
+  const wonCount = Number(row?.won_count) || 0;
+  const lostCount = Number(row?.lost_count) || 0;
+
+  return {
+    totalProjects: Number(row?.total_projects) || 0,
+    totalNetAmount: Number(row?.total_net_amount) || 0,
+    totalNetAmountInclusive: Number(row?.total_net_amount_inclusive) || 0,
+    totalCustomerAmount: Number(row?.total_customer_amount) || 0,
+    totalCustomerTax: Number(row?.total_customer_tax) || 0,
+    totalCustomerAmountInclusive: Number(row?.total_customer_amount_inclusive) || 0,
+    wonCount,
+    lostCount,
+    winRate: toWinRate(wonCount, lostCount),
+    wonAmount: Number(row?.won_amount) || 0
+  };
+};
+
+/**
+ * 客先別集計（client_aggregation の結果）を画面用の形式に変換する関数
+ * @param {Array} rows - client_aggregation の結果
+ * @returns {Array} 客先別集計データ
+ */
+export const toClientAggregation = (rows) => (rows || []).map(row => {
+  const wonCount = Number(row.won_count) || 0;
+  const lostCount = Number(row.lost_count) || 0;
+
+  return {
+    client: row.client,
+    projectCount: Number(row.project_count) || 0,
+    totalNetAmount: Number(row.total_net_amount) || 0,
+    totalNetAmountInclusive: Number(row.total_net_amount_inclusive) || 0,
+    totalCustomerAmount: Number(row.total_customer_amount) || 0,
+    totalCustomerTax: Number(row.total_customer_tax) || 0,
+    totalCustomerAmountInclusive: Number(row.total_customer_amount_inclusive) || 0,
+    averageProfitRate: Number(row.average_profit_rate) || 0,
+    wonCount,
+    lostCount,
+    winRate: toWinRate(wonCount, lostCount),
+    wonAmount: Number(row.won_amount) || 0
+  };
+});
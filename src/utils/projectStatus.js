@@ -0,0 +1,104 @@
+/**
+ * 見積ステータス（提出済/受注/失注/保留）関連のユーティリティ
+ */
+import { calculateProjectTaxAmounts } from './calculations';
+import { toLocalDateString } from './dates';
+
+/**
+ * ステータス定義
+ * code はデータベースに保存される値、label は画面表示・Excel用の表記
+ */
+export const PROJECT_STATUSES = [
+  { code: 'submitted', label: '提出済', badgeClass: 'bg-blue-100 text-blue-800' },
+  { code: 'won', label: '受注', badgeClass: 'bg-green-100 text-green-800' },
+  { code: 'lost', label: '失注', badgeClass: 'bg-red-100 text-red-800' },
+  { code: 'on_hold', label: '保留', badgeClass: 'bg-yellow-100 text-yellow-800' }
+];
+
+export const DEFAULT_PROJECT_STATUS = 'submitted';
+
+/**
+ * ステータスコードから定義を取得する関数
+ * @param {string} code - ステータスコード
+ * @returns {Object} ステータス定義（未設定・不明な場合は提出済）
+ */
+export const getStatusDefinition = (code) => {
+  return PROJECT_STATUSES.find(status => status.code === code) ||
+    PROJECT_STATUSES.find(status => status.code === DEFAULT_PROJECT_STATUS);
+};
+
+/**
+ * ステータスコードから表示ラベルを取得する関数
+ * @param {string} code - ステータスコード
+ * @returns {string} 表示ラベル
+ */
+export const getStatusLabel = (code) => getStatusDefinition(code).label;
+
+/**
+ * 表示ラベル（またはコード）からステータスコードを解決する関数
+ * Excelインポート時の「ステータス」列の解釈に使用
+ * @param {string} value - ラベルまたはコード
+ * @returns {string|null} ステータスコード（解決できない場合はnull）
+ */
+export const parseStatus = (value) => {
+  if (value === null || value === undefined) return null;
+  const normalized = String(value).trim();
+  const status = PROJECT_STATUSES.find(s => s.label === normalized || s.code === normalized);
+  return status ? status.code : null;
+};
+
+/**
+ * ステータス変更時に保存する項目を生成する関数
+ * 受注日・失注日は該当ステータスへ遷移した日に設定し、そのステータスから外れた場合はクリアする（日付は端末の日付）
+ * @param {Object} project - 変更前のプロジェクト
+ * @param {string} nextStatus - 変更後のステータスコード
+ * @param {Date} [changedAt=new Date()] - 変更日時
+ * @returns {Object} 更新用データ
+ */
+export const getStatusTransitionPatch = (project, nextStatus, changedAt = new Date()) => {
+  const currentStatus = project?.status || DEFAULT_PROJECT_STATUS;
+  const changedDate = toLocalDateString(changedAt);
+
+  if (currentStatus === nextStatus) {
+    return { status: nextStatus };
+  }
+
+  return {
+    status: nextStatus,
+    status_changed_at: changedAt.toISOString(),
+    won_date: nextStatus === 'won' ? changedDate : null,
+    lost_date: nextStatus === 'lost' ? changedDate : null
+  };
+};
+
+/**
+ * 受注率と受注金額を計算する関数
+ * 受注率は結果が確定した案件（受注＋失注）に対する受注件数の割合
+ * 受注金額は税抜の客出金額の合計
+ * @param {Array} projects - プロジェクト配列
+ * @returns {Object} 受注件数・失注件数・受注率(%)・受注金額
+ */
+export const calculateWinRate = (projects) => {
+  let wonCount = 0;
+  let lostCount = 0;
+  let wonAmount = 0;
+
+  (projects || []).forEach(project => {
+    if (project.status === 'won') {
+      wonCount += 1;
+      wonAmount += calculateProjectTaxAmounts(project).customer.exclusive;
+    } else if (project.status === 'lost') {
+      lostCount += 1;
+    }
+  });
+
+  const decidedCount = wonCount + lostCount;
+
+  return {
+    wonCount,
+    lostCount,
+    decidedCount,
+    winRate: decidedCount > 0 ? (wonCount / decidedCount) * 100 : 0,
+    wonAmount
+  };
+};
@@ -0,0 +1,155 @@
+/**
+ * 見積書（御見積書）の作成に関するユーティリティ
+ */
+import { calculateTaxAmounts, calculateProjectTaxAmounts, DEFAULT_TAX_SETTINGS } from './calculations';
+import { toLocalDateString, addDays } from './dates';
+
+export const DEFAULT_VALIDITY_DAYS = 30;
+
+/**
+ * 見積書に記載する自社情報を取得する関数
+ * 環境変数（VITE_COMPANY_*）で設定する
+ * @returns {Object} 自社情報
+ */
+export const getCompanyInfo = () => ({
+  name: import.meta.env.VITE_COMPANY_NAME || '',
+  postalCode: import.meta.env.VITE_COMPANY_POSTAL_CODE || '',
+  address: import.meta.env.VITE_COMPANY_ADDRESS || '',
+  tel: import.meta.env.VITE_COMPANY_TEL || '',
+  fax: import.meta.env.VITE_COMPANY_FAX || '',
+  registrationNumber: import.meta.env.VITE_COMPANY_REGISTRATION_NUMBER || ''
+});
+
+/**
+ * YYYY-MM-DD形式の日付を和暦なしの日本語表記に変換する関数
+ * @param {string} dateString - 日付（YYYY-MM-DD）
+ * @returns {string} 表示用の日付（例: 2026年4月1日）
+ */
+export const formatJapaneseDate = (dateString) => {
+  if (!dateString) return '';
+  const [year, month, day] = dateString.split('-').map(Number);
+  return `${year}年${month}月${day}日`;
+};
+
+/**
+ * 見積番号を生成する関数
+ * @param {Object} project - プロジェクトデータ
+ * @returns {string} 見積番号（例: P2026-001-R2）
+ */
+export const getQuotationNumber = (project) => {
+  const base = project.project_number || `Q${String(project.submission_date || '').replace(/-/g, '')}`;
+  return `${base}-R${project.current_revision || 1}`;
+};
+
+/**
+ * プロジェクトと内訳明細から見積書データを作成する関数
+ * 明細がない場合は客出金額を「一式」の1行として記載する
+ * 明細の金額はプロジェクトの税区分（税抜/税込）で入力されたものとして消費税を計算する
+ * @param {Object} project - プロジェクトデータ
+ * @param {Array} lineItems - 内訳明細（project_line_items のレコード）
+ * @param {Object} [options={}] - 見積書の設定
+ * @param {string} [options.issueDate] - 発行日（YYYY-MM-DD、既定は端末の日付で本日）
+ * @param {number} [options.validityDays=30] - 有効期限（発行日からの日数）
+ * @param {number} [options.taxRate] - 消費税率（既定はプロジェクトの税率）
+ * @param {'floor'|'round'|'ceil'} [options.rounding] - 消費税の端数処理
+ * @param {string} [options.notes=''] - 備考
+ * @returns {Object} 見積書データ
+ */
+export const buildQuotationData = (project, lineItems = [], options = {}) => {
+  const projectTax = calculateProjectTaxAmounts(project);
+  const {
+    issueDate = toLocalDateString(),
+    validityDays = DEFAULT_VALIDITY_DAYS,
+    taxRate = projectTax.taxRate,
+    rounding = DEFAULT_TAX_SETTINGS.rounding,
+    notes = ''
+  } = options;
+
+  const items = lineItems && lineItems.length > 0
+    ? lineItems.map(item => {
+      const quantity = parseFloat(item.quantity) || 0;
+      const unitPrice = parseFloat(item.unit_price) || 0;
+      return {
+        name: item.item_name,
+        quantity,
+        unit: item.unit || '',
+        unitPrice,
+        amount: Math.round(quantity * unitPrice)
+      };
+    })
+    : [{
+      name: project.title,
+      quantity: 1,
+      unit: '式',
+      unitPrice: parseFloat(project.customer_amount) || 0,
+      amount: Math.round(parseFloat(project.customer_amount) || 0)
+    }];
+
+  const itemsTotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const { exclusive: subtotal, tax, inclusive: total } = calculateTaxAmounts(itemsTotal, {
+    taxRate,
+    taxMode: projectTax.taxMode,
+    rounding
+  });
+
+  return {
+    quotationNumber: getQuotationNumber(project),
+    issueDate,
+    validUntil: addDays(issueDate, Number(validityDays) || 0),
+    client: project.client,
+    title: project.title,
+    constructionManager: project.construction_manager || '',
+    salesManager: project.sales_manager || '',
+    items,
+    taxMode: projectTax.taxMode,
+    subtotal,
+    taxRate,
+    tax,
+    total,
+    notes,
+    company: getCompanyInfo()
+  };
+};
+
+/**
+ * 見積書のファイル名を生成する関数
+ * @param {Object} quotation - 見積書データ
+ * @returns {string} ファイル名
+ */
+export const getQuotationFileName = (quotation) => {
+  const safeClient = String(quotation.client || '').replace(/[\\/:*?"<>|]/g, '_');
+  return `見積書_${safeClient}_${quotation.quotationNumber}.pdf`;
+};
+
+/**
+ * 見積書の要素をPDFとしてダウンロードする関数
+ * ブラウザ内でhtml2canvasにより画像化し、A4サイズのPDFに配置する（日本語フォントの埋め込み不要）
+ * @param {HTMLElement} element - 見積書の要素
+ * @param {string} fileName - 保存するファイル名
+ * @returns {Promise<void>}
+ */
+export const downloadQuotationPdf = async (element, fileName) => {
+  const [{ default: html2canvas }, { jsPDF }] = await Promise.all([
+    import('html2canvas'),
+    import('jspdf')
+  ]);
+
+  const canvas = await html2canvas(element, { scale: 2, backgroundColor: '#ffffff', useCORS: true });
+  const imageData = canvas.toDataURL('image/png');
+
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const imageHeight = (canvas.height * pageWidth) / canvas.width;
+
+  // 1ページに収まらない場合は画像をずらして複数ページに分割
+  let offset = 0;
+  pdf.addImage(imageData, 'PNG', 0, offset, pageWidth, imageHeight);
+  while (imageHeight + offset > pageHeight) {
+    offset -= pageHeight;
+    pdf.addPage();
+    pdf.addImage(imageData, 'PNG', 0, offset, pageWidth, imageHeight);
+  }
+
+  pdf.save(fileName);
+};
@@ -0,0 +1,163 @@
+/**
+ * 見積の版管理（project_revisions）関連のユーティリティ
+ */
+import { formatCurrency, formatTaxRate, TAX_MODES } from './calculations';
+import { getStatusLabel } from './projectStatus';
+
+/**
+ * 版ごとに記録・比較する項目
+ */
+export const REVISION_FIELDS = [
+  { key: 'project_number', label: '工事番号' },
+  { key: 'client', label: '客先' },
+  { key: 'title', label: '件名' },
+  { key: 'construction_manager', label: '工事担当者' },
+  { key: 'sales_manager', label: '営業担当者' },
+  { key: 'net_amount', label: 'ネット金額', type: 'currency' },
+  { key: 'customer_amount', label: '客出金額', type: 'currency' },
+  { key: 'tax_mode', label: '税区分', type: 'taxMode' },
+  { key: 'tax_rate', label: '税率', type: 'taxRate' },
+  { key: 'submission_date', label: '提出日' },
+  { key: 'status', label: 'ステータス', type: 'status' }
+];
+
+const LINE_ITEM_FIELDS = ['category', 'item_name', 'quantity', 'unit', 'unit_price', 'unit_cost'];
+
+/**
+ * 差分表示用に項目の値を整形する関数
+ * @param {*} value - 値
+ * @param {string} [type] - 項目の種類（REVISION_FIELDS の type）
+ * @returns {string} 表示用の文字列（値がない場合は -）
+ */
+export const formatRevisionValue = (value, type) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (type === 'currency') return formatCurrency(value);
+  if (type === 'status') return getStatusLabel(value);
+  if (type === 'taxMode') return TAX_MODES.find(mode => mode.code === value)?.label || String(value);
+  if (type === 'taxRate') return formatTaxRate(value);
+  return String(value);
+};
+
+/**
+ * 版番号の表示ラベルを取得する関数
+ * @param {number} revisionNumber - 版番号
+ * @returns {string} 表示ラベル（例: 第2版）
+ */
+export const formatRevisionLabel = (revisionNumber) => `第${revisionNumber || 1}版`;
+
+/**
+ * プロジェクトと内訳明細から版のスナップショットを作成する関数
+ * @param {Object} project - プロジェクトデータ
+ * @param {Array|null} lineItems - 内訳明細（保存用レコード形式）。不明な場合はnull
+ * @returns {Object} スナップショット
+ */
+export const buildRevisionSnapshot = (project, lineItems) => {
+  const snapshot = {};
+
+  REVISION_FIELDS.forEach(({ key, type }) => {
+    const value = project?.[key];
+    if (type === 'currency' || type === 'taxRate') {
+      snapshot[key] = value === null || value === undefined || value === '' ? null : Number(value);
+    } else {
+      snapshot[key] = value ?? null;
+    }
+  });
+
+  snapshot.line_items = Array.isArray(lineItems)
+    ? lineItems.map(item => Object.fromEntries(LINE_ITEM_FIELDS.map(field => [field, item[field] ?? null])))
+    : null;
+
+  return snapshot;
+};
+
+/**
+ * 2つの版の項目差分を取得する関数
+ * @param {Object} before - 比較元のスナップショット
+ * @param {Object} after - 比較先のスナップショット
+ * @returns {Array} 項目ごとの差分（changed が true の項目が変更あり）
+ */
+export const diffRevisionSnapshots = (before, after) => {
+  return REVISION_FIELDS.map(({ key, label, type }) => {
+    const beforeValue = before?.[key] ?? null;
+    const afterValue = after?.[key] ?? null;
+
+    return {
+      key,
+      label,
+      type,
+      before: beforeValue,
+      after: afterValue,
+      changed: String(beforeValue ?? '') !== String(afterValue ?? '')
+    };
+  });
+};
+
+/**
+ * 2つの版の内訳明細の差分を取得する関数
+ * 明細は区分＋品名で対応付ける
+ * @param {Array|null} beforeItems - 比較元の明細
+ * @param {Array|null} afterItems - 比較先の明細
+ * @returns {Array|null} 明細ごとの差分（どちらかの明細が不明な場合はnull）
+ */
+export const diffRevisionLineItems = (beforeItems, afterItems) => {
+  if (!Array.isArray(beforeItems) || !Array.isArray(afterItems)) {
+    return null;
+  }
+
+  const keyOf = (item) => `${item.category}:${item.item_name}`;
+  const remaining = new Map();
+  beforeItems.forEach(item => {
+    const key = keyOf(item);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(item);
+  });
+
+  const result = afterItems.map(afterItem => {
+    const candidates = remaining.get(keyOf(afterItem));
+    const beforeItem = candidates && candidates.length > 0 ? candidates.shift() : null;
+
+    if (!beforeItem) {
+      return { status: 'added', before: null, after: afterItem };
+    }
+
+    const changed = LINE_ITEM_FIELDS.some(field => String(beforeItem[field] ?? '') !== String(afterItem[field] ?? ''));
+    return { status: changed ? 'changed' : 'unchanged', before: beforeItem, after: afterItem };
+  });
+
+  remaining.forEach(items => {
+    items.forEach(beforeItem => {
+      result.push({ status: 'removed', before: beforeItem, after: null });
+    });
+  });
+
+  return result;
+};
+
+/**
+ * 版の一覧を比較用に整える関数
+ * 現在の版のレコードがない場合（版管理導入前のプロジェクトなど）は現在のデータから補完する
+ * @param {Object} project - 現在のプロジェクトデータ
+ * @param {Array} revisions - project_revisions のレコード
+ * @returns {Array} 版番号の昇順に並んだ版の一覧
+ */
+export const buildRevisionVersions = (project, revisions) => {
+  const currentNumber = project?.current_revision || 1;
+  const versions = [...(revisions || [])].sort((a, b) => a.revision_number - b.revision_number);
+
+  if (project && !versions.some(revision => revision.revision_number === currentNumber)) {
+    versions.push({
+      id: `current-${project.id}`,
+      project_id: project.id,
+      revision_number: currentNumber,
+      snapshot: buildRevisionSnapshot(project, null),
+      reason: null,
+      created_by_email: null,
+      created_at: project.updated_at || project.created_at
+    });
+  }
+
+  return versions.map(version => ({
+    ...version,
+    isCurrent: version.revision_number === currentNumber
+  }));
+};
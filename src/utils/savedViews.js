@@ -0,0 +1,70 @@
+/**
+ * 保存ビュー（名前付きの表示条件）に関するユーティリティ
+ * ソート設定・絞り込み条件・客先別集計表示の有無を saved_views.settings に保存する
+ * 一覧の表示件数は保存しない（サーバー側のページングで「さらに表示」するたびに読み込むため、全件表示の切り替えはない）
+ */
+import { parseProjectListParams, buildProjectListParams } from './projectFilters';
+
+export const SAVED_VIEW_SETTINGS_VERSION = 1;
+export const MAX_VIEW_NAME_LENGTH = 50;
+
+/**
+ * 現在の表示条件から保存用の設定を作成する関数
+ * @param {Object} state - 表示条件
+ * @param {Object} state.filters - 絞り込み条件
+ * @param {Object} state.sortConfig - ソート設定
+ * @param {boolean} state.showClientView - 客先別集計表示かどうか
+ * @returns {Object} saved_views.settings に保存する値
+ */
+export const buildSavedViewSettings = ({ filters, sortConfig, showClientView }) => ({
+  version: SAVED_VIEW_SETTINGS_VERSION,
+  ...parseProjectListParams(buildProjectListParams(filters, sortConfig)),
+  showClientView: Boolean(showClientView)
+});
+
+/**
+ * 保存された設定を表示条件に変換する関数
+ * 項目が追加・削除された古い設定でも初期値で補って復元する
+ * @param {Object} settings - saved_views.settings
+ * @returns {{filters: Object, sortConfig: Object, showClientView: boolean}} 表示条件
+ */
+export const parseSavedViewSettings = (settings) => {
+  const { filters, sortConfig } = parseProjectListParams(
+    buildProjectListParams(settings?.filters, settings?.sortConfig || undefined)
+  );
+
+  return {
+    filters,
+    sortConfig,
+    showClientView: Boolean(settings?.showClientView)
+  };
+};
+
+/**
+ * ログイン時に適用する既定のビューを取得する関数
+ * @param {Array} views - 保存ビューの一覧
+ * @returns {Object|null} 既定のビュー
+ */
+export const findDefaultView = (views) => (views || []).find(view => view.is_default) || null;
+
+/**
+ * ビュー名を検証する関数
+ * @param {string} name - ビュー名
+ * @param {Array} views - 保存済みのビュー
+ * @returns {string} エラーメッセージ（問題がなければ空文字）
+ */
+export const validateViewName = (name, views) => {
+  const trimmed = String(name || '').trim();
+
+  if (!trimmed) {
+    return 'ビュー名を入力してください';
+  }
+  if (trimmed.length > MAX_VIEW_NAME_LENGTH) {
+    return `ビュー名は${MAX_VIEW_NAME_LENGTH}文字以内で入力してください`;
+  }
+  if ((views || []).some(view => view.name === trimmed)) {
+    return '同じ名前のビューが既にあります';
+  }
+
+  return '';
+};
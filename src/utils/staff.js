@@ -0,0 +1,170 @@
+/**
+ * 担当者マスタ（工事担当者・営業担当者）と担当者別集計に関するユーティリティ
+ * 比較用の担当者名はデータベースの normalize_staff_name() と同じ規則で作成する
+ */
+import { toWinRate } from './projectQuery';
+
+export const MAX_STAFF_NAME_LENGTH = 50;
+
+/**
+ * 担当者の種類（プロジェクトの項目・絞り込み条件との対応）
+ */
+export const STAFF_ROLES = [
+  { code: 'construction', label: '工事担当者', field: 'construction_manager', idField: 'construction_manager_id', filterKey: 'constructionManager' },
+  { code: 'sales', label: '営業担当者', field: 'sales_manager', idField: 'sales_manager_id', filterKey: 'salesManager' }
+];
+
+/**
+ * 未決（提出済・保留）のプロジェクトの経過日数の区分
+ */
+export const AGING_BUCKETS = [
+  { key: 'aging0To30', label: '30日以内', className: 'bg-green-500' },
+  { key: 'aging31To60', label: '31〜60日', className: 'bg-yellow-400' },
+  { key: 'aging61To90', label: '61〜90日', className: 'bg-orange-500' },
+  { key: 'agingOver90', label: '91日以上', className: 'bg-red-600' }
+];
+
+export const EMPTY_STAFF_FORM = { name: '', name_kana: '', user_id: '', is_active: true };
+
+/**
+ * 担当者の種類の定義を取得する関数
+ * @param {string} code - 担当者の種類のコード
+ * @returns {Object} 定義（未定義の場合は工事担当者）
+ */
+export const getStaffRole = (code) => STAFF_ROLES.find(role => role.code === code) || STAFF_ROLES[0];
+
+/**
+ * 表示用に担当者名を整える関数（全角英数字を半角にし、連続する空白を1つにする）
+ * @param {*} name - 担当者名
+ * @returns {string} 整えた担当者名
+ */
+export const cleanStaffName = (name) =>
+  String(name ?? '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+
+/**
+ * 表記ゆれを吸収した比較用の担当者名を作成する関数（「田中 太郎」と「田中太郎」は同じ値になる）
+ * @param {*} name - 担当者名
+ * @returns {string} 比較用の担当者名
+ */
+export const normalizeStaffName = (name) =>
+  String(name ?? '').normalize('NFKC').replace(/\s/g, '').toLowerCase();
+
+/**
+ * 担当者名に一致する担当者を探す関数（表記ゆれを吸収して比較する）
+ * @param {Array} staffMembers - 担当者マスタ
+ * @param {string} name - 担当者名
+ * @returns {Object|null} 一致した担当者
+ */
+export const findStaffByName = (staffMembers, name) => {
+  const normalized = normalizeStaffName(name);
+  if (!normalized) return null;
+  return (staffMembers || []).find(staff => normalizeStaffName(staff.name) === normalized) || null;
+};
+
+/**
+ * 担当者の選択肢を取得する関数
+ * 在籍中の担当者に加えて、編集中のプロジェクトの担当者（退職者・未登録の名前）も選択肢に残す
+ * @param {Array} staffMembers - 担当者マスタ
+ * @param {string} [currentName=''] - 現在の担当者名
+ * @returns {Array<string>} 担当者名の選択肢
+ */
+export const getStaffSelectOptions = (staffMembers, currentName = '') => {
+  const names = (staffMembers || []).filter(staff => staff.is_active !== false).map(staff => staff.name);
+  const current = String(currentName ?? '').trim();
+  if (current && !names.includes(current)) {
+    names.push(current);
+  }
+  return names;
+};
+
+/**
+ * 担当者マスタの入力内容を検証する関数
+ * @param {Object} form - 入力内容
+ * @param {Array} staffMembers - 担当者マスタ（名前・ログインユーザーの重複の確認用）
+ * @param {string|null} [editingId=null] - 編集中の担当者ID（新規の場合は null）
+ * @returns {Object} 項目ごとのエラーメッセージ（問題がなければ空のオブジェクト）
+ */
+export const validateStaffForm = (form, staffMembers, editingId = null) => {
+  const errors = {};
+  const others = (staffMembers || []).filter(staff => staff.id !== editingId);
+  const name = cleanStaffName(form.name);
+
+  if (!name) {
+    errors.name = '名前を入力してください';
+  } else if (name.length > MAX_STAFF_NAME_LENGTH) {
+    errors.name = `名前は${MAX_STAFF_NAME_LENGTH}文字以内で入力してください`;
+  } else {
+    const duplicate = findStaffByName(others, name);
+    if (duplicate) {
+      errors.name = `「${duplicate.name}」が既に登録されています`;
+    }
+  }
+
+  if (String(form.name_kana ?? '').trim().length > MAX_STAFF_NAME_LENGTH) {
+    errors.name_kana = `フリガナは${MAX_STAFF_NAME_LENGTH}文字以内で入力してください`;
+  }
+
+  if (form.user_id) {
+    const linked = others.find(staff => staff.user_id === form.user_id);
+    if (linked) {
+      errors.user_id = `このユーザーは「${linked.name}」に関連付けられています`;
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * 担当者マスタの入力内容を登録用のデータに変換する関数
+ * @param {Object} form - 入力内容
+ * @returns {Object} 登録用のデータ
+ */
+export const toStaffRecord = (form) => ({
+  name: cleanStaffName(form.name),
+  name_kana: String(form.name_kana ?? '').trim() || null,
+  user_id: form.user_id || null,
+  is_active: Boolean(form.is_active)
+});
+
+/**
+ * 担当者を編集フォームの入力内容に変換する関数
+ * @param {Object} staff - 担当者
+ * @returns {Object} 入力内容
+ */
+export const toStaffForm = (staff) => ({
+  name: staff?.name ?? '',
+  name_kana: staff?.name_kana ?? '',
+  user_id: staff?.user_id ?? '',
+  is_active: staff?.is_active ?? true
+});
+
+/**
+ * staff_aggregation の結果を画面表示用に変換する関数
+ * @param {Array} rows - staff_aggregation の結果
+ * @returns {Array} 担当者別集計（担当者が未設定の行は name: null）
+ */
+export const toStaffAggregation = (rows) => (rows || []).map(row => {
+  const wonCount = Number(row.won_count) || 0;
+  const lostCount = Number(row.lost_count) || 0;
+
+  return {
+    role: row.role,
+    staffId: row.staff_id || null,
+    name: row.name || null,
+    userId: row.user_id || null,
+    projectCount: Number(row.project_count) || 0,
+    totalCustomerAmount: Number(row.total_customer_amount) || 0,
+    averageProfitRate: Number(row.average_profit_rate) || 0,
+    wonCount,
+    lostCount,
+    winRate: toWinRate(wonCount, lostCount),
+    wonAmount: Number(row.won_amount) || 0,
+    openCount: Number(row.open_count) || 0,
+    openAmount: Number(row.open_amount) || 0,
+    aging0To30: Number(row.aging_0_30) || 0,
+    aging31To60: Number(row.aging_31_60) || 0,
+    aging61To90: Number(row.aging_61_90) || 0,
+    agingOver90: Number(row.aging_over_90) || 0,
+    averageOpenDays: row.average_open_days === null || row.average_open_days === undefined ? null : Number(row.average_open_days)
+  };
+});
@@ -0,0 +1,59 @@
+/**
+ * ゴミ箱（論理削除したプロジェクト）に関するユーティリティ
+ * 保存期間を過ぎたプロジェクトはデータベース側で自動的に完全削除される
+ */
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const MAX_TRASH_RETENTION_DAYS = 3650;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ゴミ箱内のプロジェクトの取得クエリに絞り込み・並べ替えを適用する関数
+ * @param {Object} query - Supabaseのクエリビルダー（projects の select）
+ * @param {Object} options - 取得条件
+ * @param {string} options.organizationId - 組織ID
+ * @returns {Object} クエリビルダー（削除日時の新しい順）
+ */
+export const buildTrashQuery = (query, { organizationId }) =>
+  query
+    .eq('organization_id', organizationId)
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false });
+
+/**
+ * 完全削除される日時を計算する関数
+ * @param {string} deletedAt - ゴミ箱に移動した日時
+ * @param {number} [retentionDays=DEFAULT_TRASH_RETENTION_DAYS] - 保存期間（日数）
+ * @returns {Date} 完全削除される日時
+ */
+export const getTrashPurgeDate = (deletedAt, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) =>
+  new Date(new Date(deletedAt).getTime() + retentionDays * DAY_IN_MS);
+
+/**
+ * 完全削除されるまでの残り日数を計算する関数
+ * @param {string} deletedAt - ゴミ箱に移動した日時
+ * @param {number} [retentionDays=DEFAULT_TRASH_RETENTION_DAYS] - 保存期間（日数）
+ * @param {Date} [now=new Date()] - 基準日時
+ * @returns {number} 残り日数（1日未満は切り上げ、期限切れは0）
+ */
+export const getDaysUntilPurge = (deletedAt, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = new Date()) => {
+  const remaining = getTrashPurgeDate(deletedAt, retentionDays).getTime() - now.getTime();
+  return Math.max(Math.ceil(remaining / DAY_IN_MS), 0);
+};
+
+/**
+ * 保存期間の入力値を検証する関数
+ * @param {string|number} value - 入力値
+ * @returns {string} エラーメッセージ（問題がない場合は空文字）
+ */
+export const validateTrashRetentionDays = (value) => {
+  const days = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(days)) {
+    return '保存期間は日数（整数）で入力してください';
+  }
+  if (days < 1 || days > MAX_TRASH_RETENTION_DAYS) {
+    return `保存期間は1〜${MAX_TRASH_RETENTION_DAYS}日の範囲で入力してください`;
+  }
+  return '';
+};
@@ -0,0 +1,17 @@
+-- プロジェクト（見積）テーブルの初期定義
+-- 既存の環境ではダッシュボードで作成済みのため何もしない。ローカルのSupabase
+-- （supabase start / supabase test db）で以降のマイグレーションを適用できるようにする
+create table if not exists public.projects (
+  id uuid primary key default gen_random_uuid(),
+  project_number text,
+  client text not null,
+  title text not null,
+  construction_manager text,
+  sales_manager text,
+  net_amount numeric(14, 2) not null default 0,
+  customer_amount numeric(14, 2) not null default 0,
+  submission_date date not null default current_date,
+  created_at timestamptz not null default now()
+);
+
+alter table public.projects enable row level security;
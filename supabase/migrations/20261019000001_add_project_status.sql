@@ -0,0 +1,9 @@
+-- 見積ステータス（提出済/受注/失注/保留）と遷移日
+alter table public.projects
+  add column if not exists status text not null default 'submitted'
+    check (status in ('submitted', 'won', 'lost', 'on_hold')),
+  add column if not exists status_changed_at timestamptz,
+  add column if not exists won_date date,
+  add column if not exists lost_date date;
+
+create index if not exists projects_status_idx on public.projects (status);
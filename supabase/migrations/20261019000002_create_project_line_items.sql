@@ -0,0 +1,26 @@
+-- 内訳明細（見積を構成する材料費・労務費・外注費・経費の明細行）
+create table if not exists public.project_line_items (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  sort_order integer not null default 0,
+  category text not null default 'material'
+    check (category in ('material', 'labor', 'subcontract', 'overhead')),
+  item_name text not null,
+  quantity numeric(14, 3) not null check (quantity > 0),
+  unit text,
+  unit_price numeric(14, 2) not null default 0 check (unit_price >= 0),
+  unit_cost numeric(14, 2) not null default 0 check (unit_cost >= 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists project_line_items_project_id_idx
+  on public.project_line_items (project_id, sort_order);
+
+alter table public.project_line_items enable row level security;
+
+create policy "authenticated users can manage line items"
+  on public.project_line_items
+  for all
+  to authenticated
+  using (true)
+  with check (true);
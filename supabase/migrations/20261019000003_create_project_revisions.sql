@@ -0,0 +1,43 @@
+-- 見積の版管理（同じ工事番号への再見積を版として記録する）
+alter table public.projects
+  add column if not exists current_revision integer not null default 1 check (current_revision >= 1);
+
+create table if not exists public.project_revisions (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (id) on delete cascade,
+  revision_number integer not null check (revision_number >= 1),
+  snapshot jsonb not null,
+  reason text,
+  created_by uuid default auth.uid(),
+  created_by_email text default (auth.jwt() ->> 'email'),
+  created_at timestamptz not null default now(),
+  unique (project_id, revision_number)
+);
+
+create index if not exists project_revisions_project_id_idx
+  on public.project_revisions (project_id, revision_number);
+
+alter table public.project_revisions enable row level security;
+
+create policy "authenticated users can read revisions"
+  on public.project_revisions
+  for select
+  to authenticated
+  using (true);
+
+create policy "authenticated users can record revisions"
+  on public.project_revisions
+  for insert
+  to authenticated
+  with check (true);
+
+-- 現在の版のスナップショットのみ更新を許可（軽微な修正の反映用）
+create policy "authenticated users can amend current revision"
+  on public.project_revisions
+  for update
+  to authenticated
+  using (
+    revision_number = (
+      select p.current_revision from public.projects p where p.id = project_id
+    )
+  );
@@ -0,0 +1,7 @@
+-- 消費税の入力区分（税抜/税込）と税率
+-- 既存のプロジェクトは税抜入力・標準税率（10%）として扱う
+alter table public.projects
+  add column if not exists tax_mode text not null default 'exclusive'
+    check (tax_mode in ('exclusive', 'inclusive')),
+  add column if not exists tax_rate numeric(5, 4) not null default 0.10
+    check (tax_rate >= 0 and tax_rate < 1);
@@ -0,0 +1,173 @@
+-- プロジェクト一覧のサーバー側ソート・ページング用ビューと集計関数
+-- 利益率・経過日数など画面で計算していた項目をデータベース側で算出し、
+-- order by / range で並べ替え・件数制限を行えるようにする
+
+-- 消費税額（端数処理: floor=切り捨て / round=四捨五入 / ceil=切り上げ）
+create or replace function public.project_tax_amount(
+  p_amount numeric,
+  p_tax_rate numeric,
+  p_tax_mode text,
+  p_rounding text default 'floor'
+)
+returns numeric
+language sql
+immutable
+as $$
+  select case coalesce(p_rounding, 'floor')
+    when 'round' then round(raw_tax)
+    when 'ceil' then ceil(raw_tax)
+    else floor(raw_tax)
+  end
+  from (
+    select case
+      when p_tax_mode = 'inclusive' then coalesce(p_amount, 0) * p_tax_rate / (1 + p_tax_rate)
+      else coalesce(p_amount, 0) * p_tax_rate
+    end as raw_tax
+  ) t
+$$;
+
+-- 一覧表示用ビュー（RLSは呼び出しユーザーの権限で評価する）
+create or replace view public.project_list_view
+with (security_invoker = true)
+as
+select
+  p.*,
+  -- 利益率（%）= 客出金額 / ネット金額 × 100
+  case
+    when coalesce(p.net_amount, 0) = 0 then 0
+    else round(p.customer_amount / p.net_amount * 100, 1)
+  end as profit_rate,
+  (current_date - p.submission_date) as days_passed,
+  -- ステータスの定義順（提出済→受注→失注→保留）
+  case p.status
+    when 'submitted' then 0
+    when 'won' then 1
+    when 'lost' then 2
+    when 'on_hold' then 3
+    else 4
+  end as status_order,
+  -- 税区分の異なるプロジェクトを並べ替えるための税抜金額
+  case
+    when p.tax_mode = 'inclusive' then p.net_amount / (1 + p.tax_rate)
+    else p.net_amount
+  end as net_amount_excluding_tax,
+  case
+    when p.tax_mode = 'inclusive' then p.customer_amount / (1 + p.tax_rate)
+    else p.customer_amount
+  end as customer_amount_excluding_tax
+from public.projects p;
+
+grant select on public.project_list_view to authenticated;
+
+-- プロジェクト単位の税抜・消費税・税込金額
+create or replace function public.project_tax_breakdown(p_rounding text default 'floor')
+returns table (
+  id uuid,
+  client text,
+  status text,
+  net_amount numeric,
+  customer_amount numeric,
+  net_exclusive numeric,
+  net_inclusive numeric,
+  customer_exclusive numeric,
+  customer_tax numeric,
+  customer_inclusive numeric
+)
+language sql
+stable
+as $$
+  select
+    p.id,
+    p.client,
+    p.status,
+    p.net_amount,
+    p.customer_amount,
+    case when p.tax_mode = 'inclusive'
+      then p.net_amount - public.project_tax_amount(p.net_amount, p.tax_rate, p.tax_mode, p_rounding)
+      else p.net_amount end,
+    case when p.tax_mode = 'inclusive'
+      then p.net_amount
+      else p.net_amount + public.project_tax_amount(p.net_amount, p.tax_rate, p.tax_mode, p_rounding) end,
+    case when p.tax_mode = 'inclusive'
+      then p.customer_amount - public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding)
+      else p.customer_amount end,
+    public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding),
+    case when p.tax_mode = 'inclusive'
+      then p.customer_amount
+      else p.customer_amount + public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding) end
+  from public.projects p
+$$;
+
+-- 統計サマリー（全プロジェクト）
+create or replace function public.project_summary(p_rounding text default 'floor')
+returns table (
+  total_projects bigint,
+  total_net_amount numeric,
+  total_net_amount_inclusive numeric,
+  total_customer_amount numeric,
+  total_customer_tax numeric,
+  total_customer_amount_inclusive numeric,
+  won_count bigint,
+  lost_count bigint,
+  won_amount numeric
+)
+language sql
+stable
+as $$
+  select
+    count(*),
+    coalesce(sum(b.net_exclusive), 0),
+    coalesce(sum(b.net_inclusive), 0),
+    coalesce(sum(b.customer_exclusive), 0),
+    coalesce(sum(b.customer_tax), 0),
+    coalesce(sum(b.customer_inclusive), 0),
+    count(*) filter (where b.status = 'won'),
+    count(*) filter (where b.status = 'lost'),
+    coalesce(sum(b.customer_exclusive) filter (where b.status = 'won'), 0)
+  from public.project_tax_breakdown(p_rounding) b
+$$;
+
+-- 客先別集計（客出金額の多い順）
+create or replace function public.client_aggregation(p_rounding text default 'floor')
+returns table (
+  client text,
+  project_count bigint,
+  total_net_amount numeric,
+  total_net_amount_inclusive numeric,
+  total_customer_amount numeric,
+  total_customer_tax numeric,
+  total_customer_amount_inclusive numeric,
+  average_profit_rate numeric,
+  won_count bigint,
+  lost_count bigint,
+  won_amount numeric
+)
+language sql
+stable
+as $$
+  select
+    b.client,
+    count(*),
+    sum(b.net_exclusive),
+    sum(b.net_inclusive),
+    sum(b.customer_exclusive),
+    sum(b.customer_tax),
+    sum(b.customer_inclusive),
+    avg(case when coalesce(b.net_amount, 0) = 0 then 0 else b.customer_amount / b.net_amount * 100 end),
+    count(*) filter (where b.status = 'won'),
+    count(*) filter (where b.status = 'lost'),
+    coalesce(sum(b.customer_exclusive) filter (where b.status = 'won'), 0)
+  from public.project_tax_breakdown(p_rounding) b
+  group by b.client
+  order by sum(b.customer_exclusive) desc
+$$;
+
+grant execute on function public.project_tax_amount(numeric, numeric, text, text) to authenticated;
+grant execute on function public.project_tax_breakdown(text) to authenticated;
+grant execute on function public.project_summary(text) to authenticated;
+grant execute on function public.client_aggregation(text) to authenticated;
+
+-- 並べ替えに使用する列のインデックス
+create index if not exists projects_created_at_idx on public.projects (created_at desc);
+create index if not exists projects_submission_date_idx on public.projects (submission_date);
+create index if not exists projects_client_idx on public.projects (client);
@@ -0,0 +1,24 @@
+-- 絞り込み用の担当者の選択肢（登録済みの工事担当者・営業担当者）
+create or replace function public.project_manager_options()
+returns table (
+  role text,
+  name text
+)
+language sql
+stable
+as $$
+  select distinct 'construction' as role, p.construction_manager as name
+  from public.projects p
+  where coalesce(p.construction_manager, '') <> ''
+  union
+  select distinct 'sales' as role, p.sales_manager as name
+  from public.projects p
+  where coalesce(p.sales_manager, '') <> ''
+  order by role, name
+$$;
+
+grant execute on function public.project_manager_options() to authenticated;
+
+-- 担当者での絞り込み用インデックス
+create index if not exists projects_construction_manager_idx on public.projects (construction_manager);
+create index if not exists projects_sales_manager_idx on public.projects (sales_manager);
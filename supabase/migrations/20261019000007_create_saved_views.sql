@@ -0,0 +1,43 @@
+-- ユーザーごとの保存ビュー（ソート・絞り込み・表示切り替えの組み合わせ）
+create table if not exists public.saved_views (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null check (char_length(trim(name)) between 1 and 50),
+  settings jsonb not null,
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, name)
+);
+
+-- 既定のビューはユーザーごとに1つまで
+create unique index if not exists saved_views_default_per_user_idx
+  on public.saved_views (user_id)
+  where is_default;
+
+alter table public.saved_views enable row level security;
+
+create policy "users can read own saved views"
+  on public.saved_views
+  for select
+  to authenticated
+  using (user_id = auth.uid());
+
+create policy "users can create own saved views"
+  on public.saved_views
+  for insert
+  to authenticated
+  with check (user_id = auth.uid());
+
+create policy "users can update own saved views"
+  on public.saved_views
+  for update
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "users can delete own saved views"
+  on public.saved_views
+  for delete
+  to authenticated
+  using (user_id = auth.uid());
@@ -0,0 +1,226 @@
+-- ユーザーごとの権限（閲覧者・見積担当・マネージャー・システム管理者）
+--   viewer    : 閲覧のみ
+--   estimator : 新規登録と、自分が登録したプロジェクトの編集
+--   manager   : 全プロジェクトの編集・削除、Excelインポート
+--   admin     : manager の権限に加えてユーザーの権限変更
+create table if not exists public.user_roles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  email text,
+  role text not null default 'viewer'
+    check (role in ('viewer', 'estimator', 'manager', 'admin')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- ログイン中のユーザーの権限（未登録の場合は閲覧者）
+-- RLSの中から user_roles を参照するため security definer で実行する
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select r.role from public.user_roles r where r.user_id = auth.uid()),
+    'viewer'
+  )
+$$;
+
+grant execute on function public.current_user_role() to authenticated;
+
+-- プロジェクトを編集できるか（見積担当は自分が登録したプロジェクトのみ）
+create or replace function public.can_edit_project(p_created_by uuid)
+returns boolean
+language sql
+stable
+as $$
+  select case public.current_user_role()
+    when 'admin' then true
+    when 'manager' then true
+    when 'estimator' then p_created_by is not null and p_created_by = auth.uid()
+    else false
+  end
+$$;
+
+grant execute on function public.can_edit_project(uuid) to authenticated;
+
+-- 新規ユーザーは閲覧者として登録する
+create or replace function public.handle_new_user_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.user_roles (user_id, email)
+  values (new.id, new.email)
+  on conflict (user_id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created_assign_role on auth.users;
+create trigger on_auth_user_created_assign_role
+  after insert on auth.users
+  for each row execute function public.handle_new_user_role();
+
+-- 既存ユーザーは従来どおり操作できるようマネージャーとして登録する
+-- （システム管理者は SQL Editor で role = 'admin' に変更して指定する）
+insert into public.user_roles (user_id, email, role)
+select u.id, u.email, 'manager'
+from auth.users u
+on conflict (user_id) do nothing;
+
+alter table public.user_roles enable row level security;
+
+create policy "users can read own role"
+  on public.user_roles
+  for select
+  to authenticated
+  using (user_id = auth.uid() or public.current_user_role() = 'admin');
+
+create policy "admins can update roles"
+  on public.user_roles
+  for update
+  to authenticated
+  using (public.current_user_role() = 'admin')
+  with check (public.current_user_role() = 'admin');
+
+-- プロジェクトの登録者（見積担当の編集可否の判定に使用）
+alter table public.projects
+  add column if not exists created_by uuid default auth.uid() references auth.users (id) on delete set null;
+
+create index if not exists projects_created_by_idx on public.projects (created_by);
+
+-- 列の追加を一覧用ビューに反映（p.* は作成時に展開されるため作り直す）
+drop view if exists public.project_list_view;
+
+create view public.project_list_view
+with (security_invoker = true)
+as
+select
+  p.*,
+  -- 利益率（%）= 客出金額 / ネット金額 × 100
+  case
+    when coalesce(p.net_amount, 0) = 0 then 0
+    else round(p.customer_amount / p.net_amount * 100, 1)
+  end as profit_rate,
+  (current_date - p.submission_date) as days_passed,
+  -- ステータスの定義順（提出済→受注→失注→保留）
+  case p.status
+    when 'submitted' then 0
+    when 'won' then 1
+    when 'lost' then 2
+    when 'on_hold' then 3
+    else 4
+  end as status_order,
+  -- 税区分の異なるプロジェクトを並べ替えるための税抜金額
+  case
+    when p.tax_mode = 'inclusive' then p.net_amount / (1 + p.tax_rate)
+    else p.net_amount
+  end as net_amount_excluding_tax,
+  case
+    when p.tax_mode = 'inclusive' then p.customer_amount / (1 + p.tax_rate)
+    else p.customer_amount
+  end as customer_amount_excluding_tax
+from public.projects p;
+
+grant select on public.project_list_view to authenticated;
+
+-- プロジェクトのRLS（既存のポリシーは環境ごとに名前が異なるためすべて作り直す）
+alter table public.projects enable row level security;
+
+do $$
+declare
+  policy_record record;
+begin
+  for policy_record in
+    select policyname from pg_policies where schemaname = 'public' and tablename = 'projects'
+  loop
+    execute format('drop policy %I on public.projects', policy_record.policyname);
+  end loop;
+end;
+$$;
+
+create policy "authenticated users can read projects"
+  on public.projects
+  for select
+  to authenticated
+  using (true);
+
+create policy "estimators can create projects"
+  on public.projects
+  for insert
+  to authenticated
+  with check (
+    public.current_user_role() in ('manager', 'admin')
+    or (public.current_user_role() = 'estimator' and created_by = auth.uid())
+  );
+
+create policy "editors can update projects"
+  on public.projects
+  for update
+  to authenticated
+  using (public.can_edit_project(created_by))
+  with check (public.can_edit_project(created_by));
+
+create policy "managers can delete projects"
+  on public.projects
+  for delete
+  to authenticated
+  using (public.current_user_role() in ('manager', 'admin'));
+
+-- 内訳明細は親プロジェクトを編集できるユーザーのみ変更可能
+drop policy if exists "authenticated users can manage line items" on public.project_line_items;
+
+create policy "authenticated users can read line items"
+  on public.project_line_items
+  for select
+  to authenticated
+  using (true);
+
+create policy "editors can manage line items"
+  on public.project_line_items
+  for all
+  to authenticated
+  using (
+    exists (
+      select 1 from public.projects p
+      where p.id = project_id and public.can_edit_project(p.created_by)
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.projects p
+      where p.id = project_id and public.can_edit_project(p.created_by)
+    )
+  );
+
+-- 版の記録・更新も同様に制限する
+drop policy if exists "authenticated users can record revisions" on public.project_revisions;
+drop policy if exists "authenticated users can amend current revision" on public.project_revisions;
+
+create policy "editors can record revisions"
+  on public.project_revisions
+  for insert
+  to authenticated
+  with check (
+    exists (
+      select 1 from public.projects p
+      where p.id = project_id and public.can_edit_project(p.created_by)
+    )
+  );
+
+create policy "editors can amend current revision"
+  on public.project_revisions
+  for update
+  to authenticated
+  using (
+    exists (
+      select 1 from public.projects p
+      where p.id = project_id
+        and p.current_revision = revision_number
+        and public.can_edit_project(p.created_by)
+    )
+  );
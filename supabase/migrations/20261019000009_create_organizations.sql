@@ -0,0 +1,332 @@
+-- 組織（グループ会社）ごとのデータ分離
+-- ユーザーは1つ以上の組織に所属し、プロジェクトはいずれか1つの組織に属する
+create table if not exists public.organizations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique check (char_length(trim(name)) between 1 and 100),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.organization_members (
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (organization_id, user_id)
+);
+
+create index if not exists organization_members_user_id_idx
+  on public.organization_members (user_id);
+
+-- ログイン中のユーザーが組織に所属しているか
+-- RLSの中から organization_members を参照するため security definer で実行する
+create or replace function public.is_organization_member(p_organization_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.organization_members m
+    where m.organization_id = p_organization_id
+      and m.user_id = auth.uid()
+  )
+$$;
+
+grant execute on function public.is_organization_member(uuid) to authenticated;
+
+-- 既存のデータと既存ユーザーは既定の組織に移行する
+insert into public.organizations (name)
+select '既定の組織'
+where not exists (select 1 from public.organizations);
+
+insert into public.organization_members (organization_id, user_id)
+select o.id, u.id
+from public.organizations o
+cross join auth.users u
+where o.name = '既定の組織'
+on conflict do nothing;
+
+alter table public.projects
+  add column if not exists organization_id uuid references public.organizations (id) on delete restrict;
+
+update public.projects
+set organization_id = (select o.id from public.organizations o where o.name = '既定の組織')
+where organization_id is null;
+
+alter table public.projects
+  alter column organization_id set not null;
+
+create index if not exists projects_organization_id_idx
+  on public.projects (organization_id, created_at desc);
+
+alter table public.organizations enable row level security;
+alter table public.organization_members enable row level security;
+
+create policy "members can read organizations"
+  on public.organizations
+  for select
+  to authenticated
+  using (public.is_organization_member(id) or public.current_user_role() = 'admin');
+
+create policy "admins can create organizations"
+  on public.organizations
+  for insert
+  to authenticated
+  with check (public.current_user_role() = 'admin');
+
+create policy "members can read own memberships"
+  on public.organization_members
+  for select
+  to authenticated
+  using (user_id = auth.uid() or public.current_user_role() = 'admin');
+
+create policy "admins can add members"
+  on public.organization_members
+  for insert
+  to authenticated
+  with check (public.current_user_role() = 'admin');
+
+create policy "admins can remove members"
+  on public.organization_members
+  for delete
+  to authenticated
+  using (public.current_user_role() = 'admin');
+
+-- 列の追加を一覧用ビューに反映（p.* は作成時に展開されるため作り直す）
+drop view if exists public.project_list_view;
+
+create view public.project_list_view
+with (security_invoker = true)
+as
+select
+  p.*,
+  -- 利益率（%）= 客出金額 / ネット金額 × 100
+  case
+    when coalesce(p.net_amount, 0) = 0 then 0
+    else round(p.customer_amount / p.net_amount * 100, 1)
+  end as profit_rate,
+  (current_date - p.submission_date) as days_passed,
+  -- ステータスの定義順（提出済→受注→失注→保留）
+  case p.status
+    when 'submitted' then 0
+    when 'won' then 1
+    when 'lost' then 2
+    when 'on_hold' then 3
+    else 4
+  end as status_order,
+  -- 税区分の異なるプロジェクトを並べ替えるための税抜金額
+  case
+    when p.tax_mode = 'inclusive' then p.net_amount / (1 + p.tax_rate)
+    else p.net_amount
+  end as net_amount_excluding_tax,
+  case
+    when p.tax_mode = 'inclusive' then p.customer_amount / (1 + p.tax_rate)
+    else p.customer_amount
+  end as customer_amount_excluding_tax
+from public.projects p;
+
+grant select on public.project_list_view to authenticated;
+
+-- プロジェクトのRLSに所属組織の条件を追加
+drop policy if exists "authenticated users can read projects" on public.projects;
+drop policy if exists "estimators can create projects" on public.projects;
+drop policy if exists "editors can update projects" on public.projects;
+drop policy if exists "managers can delete projects" on public.projects;
+
+create policy "members can read projects"
+  on public.projects
+  for select
+  to authenticated
+  using (public.is_organization_member(organization_id));
+
+create policy "estimators can create projects"
+  on public.projects
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and (
+      public.current_user_role() in ('manager', 'admin')
+      or (public.current_user_role() = 'estimator' and created_by = auth.uid())
+    )
+  );
+
+create policy "editors can update projects"
+  on public.projects
+  for update
+  to authenticated
+  using (public.is_organization_member(organization_id) and public.can_edit_project(created_by))
+  with check (public.is_organization_member(organization_id) and public.can_edit_project(created_by));
+
+create policy "managers can delete projects"
+  on public.projects
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+-- 内訳明細・版履歴は親プロジェクトを参照できる場合のみ読み取り可能
+-- （サブクエリにも projects のRLSが適用される）
+drop policy if exists "authenticated users can read line items" on public.project_line_items;
+
+create policy "members can read line items"
+  on public.project_line_items
+  for select
+  to authenticated
+  using (exists (select 1 from public.projects p where p.id = project_id));
+
+drop policy if exists "authenticated users can read revisions" on public.project_revisions;
+
+create policy "members can read revisions"
+  on public.project_revisions
+  for select
+  to authenticated
+  using (exists (select 1 from public.projects p where p.id = project_id));
+
+-- 集計関数を組織単位に変更（引数が変わるため作り直す）
+drop function if exists public.client_aggregation(text);
+drop function if exists public.project_summary(text);
+drop function if exists public.project_tax_breakdown(text);
+drop function if exists public.project_manager_options();
+
+-- プロジェクト単位の税抜・消費税・税込金額
+create or replace function public.project_tax_breakdown(
+  p_rounding text default 'floor',
+  p_organization_id uuid default null
+)
+returns table (
+  id uuid,
+  client text,
+  status text,
+  net_amount numeric,
+  customer_amount numeric,
+  net_exclusive numeric,
+  net_inclusive numeric,
+  customer_exclusive numeric,
+  customer_tax numeric,
+  customer_inclusive numeric
+)
+language sql
+stable
+as $$
+  select
+    p.id,
+    p.client,
+    p.status,
+    p.net_amount,
+    p.customer_amount,
+    case when p.tax_mode = 'inclusive'
+      then p.net_amount - public.project_tax_amount(p.net_amount, p.tax_rate, p.tax_mode, p_rounding)
+      else p.net_amount end,
+    case when p.tax_mode = 'inclusive'
+      then p.net_amount
+      else p.net_amount + public.project_tax_amount(p.net_amount, p.tax_rate, p.tax_mode, p_rounding) end,
+    case when p.tax_mode = 'inclusive'
+      then p.customer_amount - public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding)
+      else p.customer_amount end,
+    public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding),
+    case when p.tax_mode = 'inclusive'
+      then p.customer_amount
+      else p.customer_amount + public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding) end
+  from public.projects p
+  where p_organization_id is null or p.organization_id = p_organization_id
+$$;
+
+-- 統計サマリー（組織内の全プロジェクト）
+create or replace function public.project_summary(
+  p_rounding text default 'floor',
+  p_organization_id uuid default null
+)
+returns table (
+  total_projects bigint,
+  total_net_amount numeric,
+  total_net_amount_inclusive numeric,
+  total_customer_amount numeric,
+  total_customer_tax numeric,
+  total_customer_amount_inclusive numeric,
+  won_count bigint,
+  lost_count bigint,
+  won_amount numeric
+)
+language sql
+stable
+as $$
+  select
+    count(*),
+    coalesce(sum(b.net_exclusive), 0),
+    coalesce(sum(b.net_inclusive), 0),
+    coalesce(sum(b.customer_exclusive), 0),
+    coalesce(sum(b.customer_tax), 0),
+    coalesce(sum(b.customer_inclusive), 0),
+    count(*) filter (where b.status = 'won'),
+    count(*) filter (where b.status = 'lost'),
+    coalesce(sum(b.customer_exclusive) filter (where b.status = 'won'), 0)
+  from public.project_tax_breakdown(p_rounding, p_organization_id) b
+$$;
+
+-- 客先別集計（客出金額の多い順）
+create or replace function public.client_aggregation(
+  p_rounding text default 'floor',
+  p_organization_id uuid default null
+)
+returns table (
+  client text,
+  project_count bigint,
+  total_net_amount numeric,
+  total_net_amount_inclusive numeric,
+  total_customer_amount numeric,
+  total_customer_tax numeric,
+  total_customer_amount_inclusive numeric,
+  average_profit_rate numeric,
+  won_count bigint,
+  lost_count bigint,
+  won_amount numeric
+)
+language sql
+stable
+as $$
+  select
+    b.client,
+    count(*),
+    sum(b.net_exclusive),
+    sum(b.net_inclusive),
+    sum(b.customer_exclusive),
+    sum(b.customer_tax),
+    sum(b.customer_inclusive),
+    avg(case when coalesce(b.net_amount, 0) = 0 then 0 else b.customer_amount / b.net_amount * 100 end),
+    count(*) filter (where b.status = 'won'),
+    count(*) filter (where b.status = 'lost'),
+    coalesce(sum(b.customer_exclusive) filter (where b.status = 'won'), 0)
+  from public.project_tax_breakdown(p_rounding, p_organization_id) b
+  group by b.client
+  order by sum(b.customer_exclusive) desc
+$$;
+
+-- 絞り込み用の担当者の選択肢（組織内の工事担当者・営業担当者）
+create or replace function public.project_manager_options(p_organization_id uuid default null)
+returns table (
+  role text,
+  name text
+)
+language sql
+stable
+as $$
+  select distinct 'construction' as role, p.construction_manager as name
+  from public.projects p
+  where coalesce(p.construction_manager, '') <> ''
+    and (p_organization_id is null or p.organization_id = p_organization_id)
+  union
+  select distinct 'sales' as role, p.sales_manager as name
+  from public.projects p
+  where coalesce(p.sales_manager, '') <> ''
+    and (p_organization_id is null or p.organization_id = p_organization_id)
+  order by role, name
+$$;
+
+grant execute on function public.project_tax_breakdown(text, uuid) to authenticated;
+grant execute on function public.project_summary(text, uuid) to authenticated;
+grant execute on function public.client_aggregation(text, uuid) to authenticated;
+grant execute on function public.project_manager_options(uuid) to authenticated;
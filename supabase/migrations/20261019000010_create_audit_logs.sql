@@ -0,0 +1,152 @@
+-- プロジェクトの操作履歴（登録・更新・削除・インポート）
+-- 画面からの記録漏れや改ざんを防ぐため、projects のトリガーで記録する
+create table if not exists public.audit_logs (
+  id bigint generated always as identity primary key,
+  organization_id uuid references public.organizations (id) on delete cascade,
+  table_name text not null default 'projects',
+  record_id uuid,
+  action text not null check (action in ('create', 'update', 'delete', 'import')),
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_email text,
+  before_data jsonb,
+  after_data jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_logs_organization_created_at_idx
+  on public.audit_logs (organization_id, created_at desc);
+create index if not exists audit_logs_actor_id_idx on public.audit_logs (actor_id);
+create index if not exists audit_logs_record_id_idx on public.audit_logs (record_id);
+
+-- 変更前後のスナップショットを記録する
+-- 一括インポートは import_projects() が app.audit_action = 'import' を設定して登録する
+create or replace function public.record_project_audit_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_action text;
+  v_record public.projects%rowtype;
+begin
+  if tg_op = 'UPDATE' and to_jsonb(old) = to_jsonb(new) then
+    return null;
+  end if;
+
+  if tg_op = 'DELETE' then
+    v_record := old;
+  else
+    v_record := new;
+  end if;
+
+  v_action := case tg_op
+    when 'INSERT' then coalesce(nullif(current_setting('app.audit_action', true), ''), 'create')
+    when 'UPDATE' then 'update'
+    else 'delete'
+  end;
+
+  insert into public.audit_logs (
+    organization_id,
+    table_name,
+    record_id,
+    action,
+    actor_id,
+    actor_email,
+    before_data,
+    after_data
+  )
+  values (
+    v_record.organization_id,
+    tg_table_name,
+    v_record.id,
+    v_action,
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end,
+    case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end
+  );
+
+  return null;
+end;
+$$;
+
+drop trigger if exists projects_audit_log on public.projects;
+create trigger projects_audit_log
+  after insert or update or delete on public.projects
+  for each row execute function public.record_project_audit_log();
+
+-- Excelインポート（1回のインポートを1トランザクションで登録し、操作履歴に import として記録する）
+create or replace function public.import_projects(p_rows jsonb)
+returns setof public.projects
+language plpgsql
+as $$
+begin
+  perform set_config('app.audit_action', 'import', true);
+
+  return query
+    insert into public.projects (
+      organization_id,
+      project_number,
+      client,
+      title,
+      construction_manager,
+      sales_manager,
+      net_amount,
+      customer_amount,
+      tax_mode,
+      tax_rate,
+      submission_date,
+      status,
+      created_by
+    )
+    select
+      r.organization_id,
+      r.project_number,
+      r.client,
+      r.title,
+      r.construction_manager,
+      r.sales_manager,
+      r.net_amount,
+      r.customer_amount,
+      coalesce(r.tax_mode, 'exclusive'),
+      coalesce(r.tax_rate, 0.10),
+      r.submission_date,
+      coalesce(r.status, 'submitted'),
+      auth.uid()
+    from jsonb_populate_recordset(null::public.projects, p_rows) r
+    returning *;
+end;
+$$;
+
+grant execute on function public.import_projects(jsonb) to authenticated;
+
+-- 操作履歴の絞り込み用に、履歴に記録されているユーザーの一覧
+create or replace function public.audit_log_actors(p_organization_id uuid)
+returns table (
+  actor_id uuid,
+  actor_email text
+)
+language sql
+stable
+as $$
+  select distinct on (l.actor_id) l.actor_id, l.actor_email
+  from public.audit_logs l
+  where l.organization_id = p_organization_id
+    and l.actor_id is not null
+  order by l.actor_id, l.created_at desc
+$$;
+
+grant execute on function public.audit_log_actors(uuid) to authenticated;
+
+-- 操作履歴は組織のマネージャー以上のみ参照できる（画面からの追加・変更・削除は不可）
+alter table public.audit_logs enable row level security;
+
+create policy "managers can read audit logs"
+  on public.audit_logs
+  for select
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
@@ -0,0 +1,270 @@
+-- プロジェクトのゴミ箱（論理削除）
+-- 削除はゴミ箱への移動とし、復元・完全削除ができる。保存期間を過ぎたものは自動的に完全削除する
+alter table public.projects
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null,
+  add column if not exists deleted_by_email text;
+
+create index if not exists projects_trash_idx
+  on public.projects (organization_id, deleted_at desc)
+  where deleted_at is not null;
+
+-- ゴミ箱の保存期間（日数）は組織ごとに設定する
+alter table public.organizations
+  add column if not exists trash_retention_days integer not null default 30
+    check (trash_retention_days between 1 and 3650);
+
+create policy "admins can update organizations"
+  on public.organizations
+  for update
+  to authenticated
+  using (public.is_organization_member(id) and public.current_user_role() = 'admin')
+  with check (public.is_organization_member(id) and public.current_user_role() = 'admin');
+
+-- ゴミ箱への移動・復元はマネージャー以上のみ（見積担当は自分のプロジェクトを更新できるため列単位で制限する）
+-- 削除日時・削除者はサーバー側で設定し、ゴミ箱内のプロジェクトは復元するまで編集できない
+create or replace function public.guard_project_trash()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.deleted_at is distinct from old.deleted_at then
+    if public.current_user_role() not in ('manager', 'admin') then
+      raise exception 'permission denied: only managers can move projects to trash or restore them'
+        using errcode = '42501';
+    end if;
+
+    if new.deleted_at is not null then
+      new.deleted_at := now();
+      new.deleted_by := auth.uid();
+      new.deleted_by_email := auth.jwt() ->> 'email';
+    else
+      new.deleted_by := null;
+      new.deleted_by_email := null;
+    end if;
+  elsif old.deleted_at is not null then
+    raise exception 'permission denied: restore the project from trash before editing it'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists projects_guard_trash on public.projects;
+create trigger projects_guard_trash
+  before update on public.projects
+  for each row execute function public.guard_project_trash();
+
+-- 完全削除はゴミ箱内のプロジェクトのみ
+drop policy if exists "managers can delete projects" on public.projects;
+
+create policy "managers can purge trashed projects"
+  on public.projects
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+    and deleted_at is not null
+  );
+
+-- 操作履歴にゴミ箱への移動・復元・自動削除を追加
+alter table public.audit_logs drop constraint if exists audit_logs_action_check;
+alter table public.audit_logs
+  add constraint audit_logs_action_check
+  check (action in ('create', 'update', 'trash', 'restore', 'delete', 'purge', 'import'));
+
+create or replace function public.record_project_audit_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_action text;
+  v_record public.projects%rowtype;
+begin
+  if tg_op = 'UPDATE' and to_jsonb(old) = to_jsonb(new) then
+    return null;
+  end if;
+
+  if tg_op = 'DELETE' then
+    v_record := old;
+  else
+    v_record := new;
+  end if;
+
+  v_action := case
+    when tg_op = 'INSERT' then coalesce(nullif(current_setting('app.audit_action', true), ''), 'create')
+    when tg_op = 'UPDATE' and old.deleted_at is null and new.deleted_at is not null then 'trash'
+    when tg_op = 'UPDATE' and old.deleted_at is not null and new.deleted_at is null then 'restore'
+    when tg_op = 'UPDATE' then 'update'
+    when current_setting('app.audit_action', true) = 'purge' then 'purge'
+    else 'delete'
+  end;
+
+  insert into public.audit_logs (
+    organization_id,
+    table_name,
+    record_id,
+    action,
+    actor_id,
+    actor_email,
+    before_data,
+    after_data
+  )
+  values (
+    v_record.organization_id,
+    tg_table_name,
+    v_record.id,
+    v_action,
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end,
+    case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end
+  );
+
+  return null;
+end;
+$$;
+
+-- 保存期間を過ぎたゴミ箱内のプロジェクトを完全削除する（削除件数を返す）
+-- pg_cron から毎日実行するほか、ゴミ箱を開いた時にも実行する
+create or replace function public.purge_expired_trash()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  perform set_config('app.audit_action', 'purge', true);
+
+  delete from public.projects p
+  using public.organizations o
+  where o.id = p.organization_id
+    and p.deleted_at is not null
+    and p.deleted_at < now() - make_interval(days => o.trash_retention_days);
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.purge_expired_trash() to authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_available_extensions where name = 'pg_cron') then
+    create extension if not exists pg_cron;
+    -- 毎日 3:00（日本時間）に実行
+    perform cron.schedule('purge-expired-trash', '0 18 * * *', 'select public.purge_expired_trash()');
+  else
+    raise notice 'pg_cron is not available; expired trash is purged when the trash view is opened';
+  end if;
+end;
+$$;
+
+-- 一覧用ビューからゴミ箱内のプロジェクトを除外（p.* は作成時に展開されるため作り直す）
+drop view if exists public.project_list_view;
+
+create view public.project_list_view
+with (security_invoker = true)
+as
+select
+  p.*,
+  -- 利益率（%）= 客出金額 / ネット金額 × 100
+  case
+    when coalesce(p.net_amount, 0) = 0 then 0
+    else round(p.customer_amount / p.net_amount * 100, 1)
+  end as profit_rate,
+  (current_date - p.submission_date) as days_passed,
+  -- ステータスの定義順（提出済→受注→失注→保留）
+  case p.status
+    when 'submitted' then 0
+    when 'won' then 1
+    when 'lost' then 2
+    when 'on_hold' then 3
+    else 4
+  end as status_order,
+  -- 税区分の異なるプロジェクトを並べ替えるための税抜金額
+  case
+    when p.tax_mode = 'inclusive' then p.net_amount / (1 + p.tax_rate)
+    else p.net_amount
+  end as net_amount_excluding_tax,
+  case
+    when p.tax_mode = 'inclusive' then p.customer_amount / (1 + p.tax_rate)
+    else p.customer_amount
+  end as customer_amount_excluding_tax
+from public.projects p
+where p.deleted_at is null;
+
+grant select on public.project_list_view to authenticated;
+
+-- 集計・担当者の選択肢からゴミ箱内のプロジェクトを除外
+create or replace function public.project_tax_breakdown(
+  p_rounding text default 'floor',
+  p_organization_id uuid default null
+)
+returns table (
+  id uuid,
+  client text,
+  status text,
+  net_amount numeric,
+  customer_amount numeric,
+  net_exclusive numeric,
+  net_inclusive numeric,
+  customer_exclusive numeric,
+  customer_tax numeric,
+  customer_inclusive numeric
+)
+language sql
+stable
+as $$
+  select
+    p.id,
+    p.client,
+    p.status,
+    p.net_amount,
+    p.customer_amount,
+    case when p.tax_mode = 'inclusive'
+      then p.net_amount - public.project_tax_amount(p.net_amount, p.tax_rate, p.tax_mode, p_rounding)
+      else p.net_amount end,
+    case when p.tax_mode = 'inclusive'
+      then p.net_amount
+      else p.net_amount + public.project_tax_amount(p.net_amount, p.tax_rate, p.tax_mode, p_rounding) end,
+    case when p.tax_mode = 'inclusive'
+      then p.customer_amount - public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding)
+      else p.customer_amount end,
+    public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding),
+    case when p.tax_mode = 'inclusive'
+      then p.customer_amount
+      else p.customer_amount + public.project_tax_amount(p.customer_amount, p.tax_rate, p.tax_mode, p_rounding) end
+  from public.projects p
+  where p.deleted_at is null
+    and (p_organization_id is null or p.organization_id = p_organization_id)
+$$;
+
+create or replace function public.project_manager_options(p_organization_id uuid default null)
+returns table (
+  role text,
+  name text
+)
+language sql
+stable
+as $$
+  select distinct 'construction' as role, p.construction_manager as name
+  from public.projects p
+  where coalesce(p.construction_manager, '') <> ''
+    and p.deleted_at is null
+    and (p_organization_id is null or p.organization_id = p_organization_id)
+  union
+  select distinct 'sales' as role, p.sales_manager as name
+  from public.projects p
+  where coalesce(p.sales_manager, '') <> ''
+    and p.deleted_at is null
+    and (p_organization_id is null or p.organization_id = p_organization_id)
+  order by role, name
+$$;
@@ -0,0 +1,56 @@
+-- Excel/CSVインポートの列の対応付け（取引先ごとのシート・見出し行・列の割り当て）
+-- 組織内で共有し、次回以降のインポート時に見出しから自動的に選択する
+create table if not exists public.import_mapping_templates (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  name text not null check (char_length(trim(name)) between 1 and 50),
+  -- null の場合は先頭のシートを使う
+  sheet_name text,
+  header_row int not null default 1 check (header_row between 1 and 1000),
+  -- 項目（工事番号・客先など）をキー、ファイルの見出しを値とする
+  mapping jsonb not null check (jsonb_typeof(mapping) = 'object'),
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (organization_id, name)
+);
+
+alter table public.import_mapping_templates enable row level security;
+
+create policy "members can read import mapping templates"
+  on public.import_mapping_templates
+  for select
+  to authenticated
+  using (public.is_organization_member(organization_id));
+
+-- 作成・変更・削除はインポートできるマネージャー以上のみ
+create policy "managers can create import mapping templates"
+  on public.import_mapping_templates
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+create policy "managers can update import mapping templates"
+  on public.import_mapping_templates
+  for update
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  )
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+create policy "managers can delete import mapping templates"
+  on public.import_mapping_templates
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
@@ -0,0 +1,136 @@
+-- 既存のプロジェクトを更新するインポート（照合キーで一致したプロジェクトを更新し、一致しないものを登録する）
+-- 照合・差分の計算は画面側で行い、確認後の登録・更新を1トランザクションで実行する
+
+-- インポートによる更新も操作履歴に import として記録する（app.audit_action が設定されている場合）
+create or replace function public.record_project_audit_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_action text;
+  v_record public.projects%rowtype;
+begin
+  if tg_op = 'UPDATE' and to_jsonb(old) = to_jsonb(new) then
+    return null;
+  end if;
+
+  if tg_op = 'DELETE' then
+    v_record := old;
+  else
+    v_record := new;
+  end if;
+
+  v_action := case
+    when tg_op = 'INSERT' then coalesce(nullif(current_setting('app.audit_action', true), ''), 'create')
+    when tg_op = 'UPDATE' and old.deleted_at is null and new.deleted_at is not null then 'trash'
+    when tg_op = 'UPDATE' and old.deleted_at is not null and new.deleted_at is null then 'restore'
+    when tg_op = 'UPDATE' and current_setting('app.audit_action', true) = 'import' then 'import'
+    when tg_op = 'UPDATE' then 'update'
+    when current_setting('app.audit_action', true) = 'purge' then 'purge'
+    else 'delete'
+  end;
+
+  insert into public.audit_logs (
+    organization_id,
+    table_name,
+    record_id,
+    action,
+    actor_id,
+    actor_email,
+    before_data,
+    after_data
+  )
+  values (
+    v_record.organization_id,
+    tg_table_name,
+    v_record.id,
+    v_action,
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end,
+    case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end
+  );
+
+  return null;
+end;
+$$;
+
+-- p_inserts: 登録するプロジェクト（import_projects と同じ形式）
+-- p_updates: 更新するプロジェクト（id と変更する項目のみ。含まれない項目は変更しない）
+-- RLSで更新できない行・ゴミ箱内の行は更新されず、結果にも含まれない
+create or replace function public.upsert_projects(p_inserts jsonb, p_updates jsonb)
+returns table (
+  project_id uuid,
+  operation text
+)
+language plpgsql
+as $$
+begin
+  perform set_config('app.audit_action', 'import', true);
+
+  return query
+    with inserted as (
+      insert into public.projects (
+        organization_id,
+        project_number,
+        client,
+        title,
+        construction_manager,
+        sales_manager,
+        net_amount,
+        customer_amount,
+        tax_mode,
+        tax_rate,
+        submission_date,
+        status,
+        created_by
+      )
+      select
+        r.organization_id,
+        r.project_number,
+        r.client,
+        r.title,
+        r.construction_manager,
+        r.sales_manager,
+        r.net_amount,
+        r.customer_amount,
+        coalesce(r.tax_mode, 'exclusive'),
+        coalesce(r.tax_rate, 0.10),
+        r.submission_date,
+        coalesce(r.status, 'submitted'),
+        auth.uid()
+      from jsonb_populate_recordset(null::public.projects, coalesce(p_inserts, '[]'::jsonb)) r
+      returning id
+    )
+    select inserted.id, 'insert'::text from inserted;
+
+  return query
+    update public.projects p
+    set
+      project_number = case when u.data ? 'project_number' then u.data ->> 'project_number' else p.project_number end,
+      client = case when u.data ? 'client' then u.data ->> 'client' else p.client end,
+      title = case when u.data ? 'title' then u.data ->> 'title' else p.title end,
+      construction_manager = case when u.data ? 'construction_manager' then u.data ->> 'construction_manager' else p.construction_manager end,
+      sales_manager = case when u.data ? 'sales_manager' then u.data ->> 'sales_manager' else p.sales_manager end,
+      net_amount = case when u.data ? 'net_amount' then (u.data ->> 'net_amount')::numeric else p.net_amount end,
+      customer_amount = case when u.data ? 'customer_amount' then (u.data ->> 'customer_amount')::numeric else p.customer_amount end,
+      tax_mode = case when u.data ? 'tax_mode' then u.data ->> 'tax_mode' else p.tax_mode end,
+      tax_rate = case when u.data ? 'tax_rate' then (u.data ->> 'tax_rate')::numeric else p.tax_rate end,
+      submission_date = case when u.data ? 'submission_date' then (u.data ->> 'submission_date')::date else p.submission_date end,
+      status = case when u.data ? 'status' then u.data ->> 'status' else p.status end,
+      status_changed_at = case when u.data ? 'status_changed_at' then (u.data ->> 'status_changed_at')::timestamptz else p.status_changed_at end,
+      won_date = case when u.data ? 'won_date' then (u.data ->> 'won_date')::date else p.won_date end,
+      lost_date = case when u.data ? 'lost_date' then (u.data ->> 'lost_date')::date else p.lost_date end
+    from jsonb_array_elements(coalesce(p_updates, '[]'::jsonb)) as u(data)
+    where p.id = (u.data ->> 'id')::uuid
+      and p.deleted_at is null
+    returning p.id, 'update'::text;
+
+  -- 同じトランザクションの以降の操作を import として記録しないよう戻す
+  perform set_config('app.audit_action', '', true);
+end;
+$$;
+
+grant execute on function public.upsert_projects(jsonb, jsonb) to authenticated;
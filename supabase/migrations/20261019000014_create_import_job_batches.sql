@@ -0,0 +1,83 @@
+-- 大量の行を分割して取り込むインポート（数千行のファイルでもタイムアウトしないよう、バッチごとに登録する）
+-- バッチごとの登録結果を記録し、通信エラー等で結果が分からないまま再送・再開しても二重に登録しない
+create table if not exists public.import_job_batches (
+  -- 1回のインポートごとに画面で発行するID
+  job_id uuid not null,
+  batch_index int not null check (batch_index >= 0),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  -- 登録・更新したプロジェクト（{ project_id, operation } の配列）
+  results jsonb not null default '[]'::jsonb check (jsonb_typeof(results) = 'array'),
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (job_id, batch_index)
+);
+
+alter table public.import_job_batches enable row level security;
+
+create policy "users can read own import job batches"
+  on public.import_job_batches
+  for select
+  to authenticated
+  using (created_by = auth.uid() and public.is_organization_member(organization_id));
+
+-- 記録できるのはインポートできるマネージャー以上のみ
+create policy "managers can create import job batches"
+  on public.import_job_batches
+  for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+create policy "users can delete own import job batches"
+  on public.import_job_batches
+  for delete
+  to authenticated
+  using (created_by = auth.uid());
+
+-- 1バッチ分を登録・更新する（同じジョブ・バッチ番号が登録済みの場合は登録せず、前回の結果を返す）
+-- 登録・更新と結果の記録は同じトランザクションで行うため、失敗したバッチは記録されず再送できる
+create or replace function public.import_project_batch(
+  p_job_id uuid,
+  p_batch_index int,
+  p_organization_id uuid,
+  p_inserts jsonb,
+  p_updates jsonb
+)
+returns table (
+  project_id uuid,
+  operation text
+)
+language plpgsql
+as $$
+declare
+  v_results jsonb;
+begin
+  select b.results into v_results
+  from public.import_job_batches b
+  where b.job_id = p_job_id
+    and b.batch_index = p_batch_index;
+
+  if v_results is null then
+    select coalesce(jsonb_agg(jsonb_build_object('project_id', u.project_id, 'operation', u.operation)), '[]'::jsonb)
+    into v_results
+    from public.upsert_projects(p_inserts, p_updates) u;
+
+    insert into public.import_job_batches (job_id, batch_index, organization_id, results)
+    values (p_job_id, p_batch_index, p_organization_id, v_results);
+
+    -- 再開に使わなくなった古い記録を削除する
+    delete from public.import_job_batches b
+    where b.created_by = auth.uid()
+      and b.created_at < now() - interval '7 days';
+  end if;
+
+  return query
+    select r.project_id, r.operation
+    from jsonb_to_recordset(v_results) as r(project_id uuid, operation text);
+end;
+$$;
+
+grant execute on function public.import_project_batch(uuid, int, uuid, jsonb, jsonb) to authenticated;
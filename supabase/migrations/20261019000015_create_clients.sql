@@ -0,0 +1,272 @@
+-- 客先マスタ（正式名称・フリガナ・住所・担当者・支払条件）
+-- 「㈱山田建設」「株式会社山田建設」「山田建設 」のような表記ゆれを同じ客先として扱い、
+-- プロジェクトは客先マスタに紐付けて正式名称で表示・集計する
+
+-- 表記ゆれを吸収した比較用の客先名（全角・半角の統一、法人格・空白の除去、小文字化）
+-- NFKC により ㈱ や （株） は (株) に変換されてから除去される
+create or replace function public.normalize_client_name(p_name text)
+returns text
+language sql
+immutable
+as $$
+  select lower(regexp_replace(
+    normalize(coalesce(p_name, ''), NFKC),
+    '株式会社|有限会社|合同会社|合資会社|合名会社|\(株\)|\(有\)|\(同\)|\s',
+    '',
+    'g'
+  ))
+$$;
+
+-- 表示用の客先名（全角・半角を統一し、連続する空白を1つにする）
+create or replace function public.clean_client_name(p_name text)
+returns text
+language sql
+immutable
+as $$
+  select trim(regexp_replace(normalize(coalesce(p_name, ''), NFKC), '\s+', ' ', 'g'))
+$$;
+
+create table if not exists public.clients (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  -- 正式名称（プロジェクトの客先として表示する名前）
+  name text not null check (char_length(trim(name)) between 1 and 100),
+  normalized_name text generated always as (public.normalize_client_name(name)) stored check (normalized_name <> ''),
+  name_kana text check (name_kana is null or char_length(name_kana) <= 100),
+  postal_code text check (postal_code is null or char_length(postal_code) <= 10),
+  address text check (address is null or char_length(address) <= 200),
+  contact_name text check (contact_name is null or char_length(contact_name) <= 50),
+  phone text check (phone is null or char_length(phone) <= 20),
+  email text check (email is null or char_length(email) <= 254),
+  payment_terms text check (payment_terms is null or char_length(payment_terms) <= 100),
+  notes text check (notes is null or char_length(notes) <= 1000),
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  -- 表記ゆれの違いしかない客先は同じ組織に重複して登録できない
+  unique (organization_id, normalized_name)
+);
+
+create index if not exists clients_organization_id_idx on public.clients (organization_id);
+
+alter table public.clients enable row level security;
+
+create policy "members can read clients"
+  on public.clients
+  for select
+  to authenticated
+  using (public.is_organization_member(organization_id));
+
+-- 登録は見積担当以上（プロジェクトの登録時に新しい客先を追加できる）
+create policy "estimators can create clients"
+  on public.clients
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('estimator', 'manager', 'admin')
+  );
+
+-- 正式名称・連絡先の変更、削除・統合はマネージャー以上のみ
+create policy "managers can update clients"
+  on public.clients
+  for update
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  )
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+create policy "managers can delete clients"
+  on public.clients
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+alter table public.projects
+  add column if not exists client_id uuid references public.clients (id) on delete set null;
+
+create index if not exists projects_client_id_idx on public.projects (client_id);
+
+-- ゴミ箱内のプロジェクトは編集できないが、客先マスタへの付け替え（客先の統合・正式名称の変更）のみ許可する
+create or replace function public.guard_project_trash()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.deleted_at is distinct from old.deleted_at then
+    if public.current_user_role() not in ('manager', 'admin') then
+      raise exception 'permission denied: only managers can move projects to trash or restore them'
+        using errcode = '42501';
+    end if;
+
+    if new.deleted_at is not null then
+      new.deleted_at := now();
+      new.deleted_by := auth.uid();
+      new.deleted_by_email := auth.jwt() ->> 'email';
+    else
+      new.deleted_by := null;
+      new.deleted_by_email := null;
+    end if;
+  elsif old.deleted_at is not null
+    and to_jsonb(new) - 'client' - 'client_id' is distinct from to_jsonb(old) - 'client' - 'client_id' then
+    raise exception 'permission denied: restore the project from trash before editing it'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- 既存のプロジェクトの客先から客先マスタを作成する（表記ゆれのうち最も多く使われている表記を正式名称にする）
+insert into public.clients (organization_id, name)
+select distinct on (p.organization_id, public.normalize_client_name(p.client))
+  p.organization_id,
+  public.clean_client_name(p.client)
+from public.projects p
+where public.normalize_client_name(p.client) <> ''
+group by p.organization_id, public.normalize_client_name(p.client), public.clean_client_name(p.client)
+order by p.organization_id, public.normalize_client_name(p.client), count(*) desc, public.clean_client_name(p.client)
+on conflict (organization_id, normalized_name) do nothing;
+
+-- 移行による付け替えは操作履歴に記録しない
+alter table public.projects disable trigger projects_audit_log;
+
+update public.projects p
+set client_id = c.id,
+    client = c.name
+from public.clients c
+where c.organization_id = p.organization_id
+  and c.normalized_name = public.normalize_client_name(p.client)
+  and p.client_id is null;
+
+alter table public.projects enable trigger projects_audit_log;
+
+-- プロジェクトの登録・客先の変更時に客先マスタへ紐付ける
+-- client_id の指定がない場合は客先名の表記ゆれを吸収して既存の客先を探し、なければ客先マスタに追加する
+-- 客先名は常に客先マスタの正式名称に揃える
+create or replace function public.link_project_client()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_client public.clients%rowtype;
+begin
+  -- 客先名だけが変更された場合（画面で別の客先を入力した場合）は入力された名前から探し直す
+  if tg_op = 'UPDATE' and new.client is distinct from old.client and new.client_id is not distinct from old.client_id then
+    new.client_id := null;
+  end if;
+
+  if new.client_id is not null then
+    select * into v_client
+    from public.clients c
+    where c.id = new.client_id
+      and c.organization_id = new.organization_id;
+  end if;
+
+  if v_client.id is null and public.normalize_client_name(new.client) <> '' then
+    select * into v_client
+    from public.clients c
+    where c.organization_id = new.organization_id
+      and c.normalized_name = public.normalize_client_name(new.client);
+
+    if v_client.id is null then
+      insert into public.clients (organization_id, name, created_by)
+      values (new.organization_id, public.clean_client_name(new.client), auth.uid())
+      returning * into v_client;
+    end if;
+  end if;
+
+  new.client_id := v_client.id;
+  if v_client.id is not null then
+    new.client := v_client.name;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists projects_link_client on public.projects;
+create trigger projects_link_client
+  before insert or update of client, client_id on public.projects
+  for each row execute function public.link_project_client();
+
+-- 客先マスタの正式名称を変更した場合は、紐付いているプロジェクトの客先名も変更する
+create or replace function public.sync_client_name()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.name is distinct from old.name then
+    update public.projects
+    set client = new.name
+    where client_id = new.id;
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists clients_sync_name on public.clients;
+create trigger clients_sync_name
+  after update of name on public.clients
+  for each row execute function public.sync_client_name();
+
+-- 客先の統合（統合元の客先のプロジェクトを統合先に付け替え、統合元を削除する）
+-- プロジェクトの客先名も統合先の正式名称になるため、客先別集計も1つにまとまる
+create or replace function public.merge_clients(p_target_id uuid, p_source_ids uuid[])
+returns integer
+language plpgsql
+as $$
+declare
+  v_target public.clients%rowtype;
+  v_moved integer;
+begin
+  select * into v_target
+  from public.clients c
+  where c.id = p_target_id;
+
+  if v_target.id is null then
+    raise exception '統合先の客先が見つかりません（not found）'
+      using errcode = 'P0002';
+  end if;
+
+  if not public.is_organization_member(v_target.organization_id)
+    or public.current_user_role() not in ('manager', 'admin') then
+    raise exception '客先を統合する権限がありません（permission denied）'
+      using errcode = '42501';
+  end if;
+
+  -- ゴミ箱内のプロジェクトも復元後に正しい客先になるよう付け替える
+  update public.projects p
+  set client_id = v_target.id,
+      client = v_target.name
+  where p.organization_id = v_target.organization_id
+    and p.client_id = any(p_source_ids)
+    and p.client_id <> v_target.id;
+
+  get diagnostics v_moved = row_count;
+
+  delete from public.clients c
+  where c.organization_id = v_target.organization_id
+    and c.id = any(p_source_ids)
+    and c.id <> v_target.id;
+
+  return v_moved;
+end;
+$$;
+
+grant execute on function public.normalize_client_name(text) to authenticated;
+grant execute on function public.clean_client_name(text) to authenticated;
+grant execute on function public.merge_clients(uuid, uuid[]) to authenticated;
@@ -0,0 +1,354 @@
+-- 担当者マスタ（工事担当者・営業担当者）
+-- プロジェクトの担当者は担当者マスタに紐付け、ログインユーザーと関連付けて担当者別に集計する
+
+-- 表記ゆれを吸収した比較用の担当者名（全角・半角の統一、空白の除去、小文字化）
+create or replace function public.normalize_staff_name(p_name text)
+returns text
+language sql
+immutable
+as $$
+  select lower(regexp_replace(normalize(coalesce(p_name, ''), NFKC), '\s', '', 'g'))
+$$;
+
+-- 表示用の担当者名（全角・半角を統一し、連続する空白を1つにする）
+create or replace function public.clean_staff_name(p_name text)
+returns text
+language sql
+immutable
+as $$
+  select trim(regexp_replace(normalize(coalesce(p_name, ''), NFKC), '\s+', ' ', 'g'))
+$$;
+
+create table if not exists public.staff_members (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  name text not null check (char_length(trim(name)) between 1 and 50),
+  normalized_name text generated always as (public.normalize_staff_name(name)) stored check (normalized_name <> ''),
+  name_kana text check (name_kana is null or char_length(name_kana) <= 50),
+  -- ログインユーザー（担当者別集計で「自分」の行を表示する）
+  user_id uuid references auth.users (id) on delete set null,
+  -- 退職・異動した担当者は選択肢に表示しない（登録済みのプロジェクトの担当者は残す）
+  is_active boolean not null default true,
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (organization_id, normalized_name),
+  unique (organization_id, user_id)
+);
+
+create index if not exists staff_members_organization_id_idx on public.staff_members (organization_id);
+
+alter table public.staff_members enable row level security;
+
+create policy "members can read staff members"
+  on public.staff_members
+  for select
+  to authenticated
+  using (public.is_organization_member(organization_id));
+
+-- 登録・変更・削除はマネージャー以上のみ
+create policy "managers can create staff members"
+  on public.staff_members
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+create policy "managers can update staff members"
+  on public.staff_members
+  for update
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  )
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+create policy "managers can delete staff members"
+  on public.staff_members
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('manager', 'admin')
+  );
+
+-- プロジェクトが紐付いている担当者は削除できない（退職・異動は is_active で管理する）
+alter table public.projects
+  add column if not exists construction_manager_id uuid references public.staff_members (id),
+  add column if not exists sales_manager_id uuid references public.staff_members (id);
+
+create index if not exists projects_construction_manager_id_idx on public.projects (construction_manager_id);
+create index if not exists projects_sales_manager_id_idx on public.projects (sales_manager_id);
+
+-- ゴミ箱内のプロジェクトは編集できないが、客先マスタ・担当者マスタへの付け替えのみ許可する
+create or replace function public.guard_project_trash()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.deleted_at is distinct from old.deleted_at then
+    if public.current_user_role() not in ('manager', 'admin') then
+      raise exception 'permission denied: only managers can move projects to trash or restore them'
+        using errcode = '42501';
+    end if;
+
+    if new.deleted_at is not null then
+      new.deleted_at := now();
+      new.deleted_by := auth.uid();
+      new.deleted_by_email := auth.jwt() ->> 'email';
+    else
+      new.deleted_by := null;
+      new.deleted_by_email := null;
+    end if;
+  elsif old.deleted_at is not null
+    and to_jsonb(new) - array['client', 'client_id', 'construction_manager', 'construction_manager_id', 'sales_manager', 'sales_manager_id']
+      is distinct from to_jsonb(old) - array['client', 'client_id', 'construction_manager', 'construction_manager_id', 'sales_manager', 'sales_manager_id'] then
+    raise exception 'permission denied: restore the project from trash before editing it'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- 既存のプロジェクトの担当者から担当者マスタを作成する（表記ゆれのうち最も多く使われている表記を名前にする）
+insert into public.staff_members (organization_id, name)
+select distinct on (a.organization_id, public.normalize_staff_name(a.name))
+  a.organization_id,
+  public.clean_staff_name(a.name)
+from (
+  select p.organization_id, p.construction_manager as name from public.projects p
+  union all
+  select p.organization_id, p.sales_manager as name from public.projects p
+) a
+where public.normalize_staff_name(a.name) <> ''
+  and char_length(public.clean_staff_name(a.name)) <= 50
+group by a.organization_id, public.normalize_staff_name(a.name), public.clean_staff_name(a.name)
+order by a.organization_id, public.normalize_staff_name(a.name), count(*) desc, public.clean_staff_name(a.name)
+on conflict (organization_id, normalized_name) do nothing;
+
+-- 移行による付け替えは操作履歴に記録しない
+alter table public.projects disable trigger projects_audit_log;
+
+update public.projects p
+set construction_manager_id = s.id,
+    construction_manager = s.name
+from public.staff_members s
+where s.organization_id = p.organization_id
+  and s.normalized_name = public.normalize_staff_name(p.construction_manager)
+  and p.construction_manager_id is null;
+
+update public.projects p
+set sales_manager_id = s.id,
+    sales_manager = s.name
+from public.staff_members s
+where s.organization_id = p.organization_id
+  and s.normalized_name = public.normalize_staff_name(p.sales_manager)
+  and p.sales_manager_id is null;
+
+alter table public.projects enable trigger projects_audit_log;
+
+-- 担当者IDまたは担当者名から担当者マスタを探す（見つからない場合は担当者マスタに追加する）
+-- インポート・一括変更で担当者名だけが指定された場合にも担当者マスタへ紐付けるために使う
+create or replace function public.resolve_staff_member(p_organization_id uuid, p_staff_id uuid, p_name text)
+returns public.staff_members
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_staff public.staff_members%rowtype;
+begin
+  if p_staff_id is not null then
+    select * into v_staff
+    from public.staff_members s
+    where s.id = p_staff_id
+      and s.organization_id = p_organization_id;
+  end if;
+
+  if v_staff.id is null and public.normalize_staff_name(p_name) <> '' then
+    select * into v_staff
+    from public.staff_members s
+    where s.organization_id = p_organization_id
+      and s.normalized_name = public.normalize_staff_name(p_name);
+
+    -- 担当者マスタに登録できない長さの名前は紐付けずにそのまま残す
+    if v_staff.id is null and char_length(public.clean_staff_name(p_name)) <= 50 then
+      insert into public.staff_members (organization_id, name, created_by)
+      values (p_organization_id, public.clean_staff_name(p_name), auth.uid())
+      returning * into v_staff;
+    end if;
+  end if;
+
+  return v_staff;
+end;
+$$;
+
+-- 任意の組織に担当者を追加できないよう、トリガーからのみ使用する
+revoke execute on function public.resolve_staff_member(uuid, uuid, text) from public, anon, authenticated;
+
+-- プロジェクトの登録・担当者の変更時に担当者マスタへ紐付け、担当者名を担当者マスタの名前に揃える
+create or replace function public.link_project_staff()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_staff public.staff_members%rowtype;
+begin
+  -- 担当者名だけが変更された場合（画面・インポートで別の担当者を指定した場合）は名前から探し直す
+  if tg_op = 'UPDATE' then
+    if new.construction_manager is distinct from old.construction_manager
+      and new.construction_manager_id is not distinct from old.construction_manager_id then
+      new.construction_manager_id := null;
+    end if;
+    if new.sales_manager is distinct from old.sales_manager
+      and new.sales_manager_id is not distinct from old.sales_manager_id then
+      new.sales_manager_id := null;
+    end if;
+  end if;
+
+  v_staff := public.resolve_staff_member(new.organization_id, new.construction_manager_id, new.construction_manager);
+  new.construction_manager_id := v_staff.id;
+  new.construction_manager := coalesce(v_staff.name, nullif(public.clean_staff_name(new.construction_manager), ''));
+
+  v_staff := public.resolve_staff_member(new.organization_id, new.sales_manager_id, new.sales_manager);
+  new.sales_manager_id := v_staff.id;
+  new.sales_manager := coalesce(v_staff.name, nullif(public.clean_staff_name(new.sales_manager), ''));
+
+  return new;
+end;
+$$;
+
+drop trigger if exists projects_link_staff on public.projects;
+create trigger projects_link_staff
+  before insert or update of construction_manager, construction_manager_id, sales_manager, sales_manager_id on public.projects
+  for each row execute function public.link_project_staff();
+
+-- 担当者の名前を変更した場合は、紐付いているプロジェクトの担当者名も変更する
+create or replace function public.sync_staff_name()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.name is distinct from old.name then
+    update public.projects
+    set construction_manager = new.name
+    where construction_manager_id = new.id;
+
+    update public.projects
+    set sales_manager = new.name
+    where sales_manager_id = new.id;
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists staff_members_sync_name on public.staff_members;
+create trigger staff_members_sync_name
+  after update of name on public.staff_members
+  for each row execute function public.sync_staff_name();
+
+-- 担当者に関連付けるログインユーザーの選択肢（組織に所属しているユーザー、マネージャー以上）
+-- user_roles は本人とシステム管理者しか参照できないため security definer で取得する
+create or replace function public.staff_user_options(p_organization_id uuid)
+returns table (
+  user_id uuid,
+  email text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_organization_member(p_organization_id)
+    or public.current_user_role() not in ('manager', 'admin') then
+    raise exception 'permission denied: only managers can link staff members to users'
+      using errcode = '42501';
+  end if;
+
+  return query
+    select m.user_id, r.email
+    from public.organization_members m
+    left join public.user_roles r on r.user_id = m.user_id
+    where m.organization_id = p_organization_id
+    order by r.email;
+end;
+$$;
+
+-- 担当者別集計（工事担当者・営業担当者ごと、客出金額の多い順）
+-- 未決（提出済・保留）のプロジェクトは提出日からの経過日数で 30日以内/31〜60日/61〜90日/91日以上 に分ける
+create or replace function public.staff_aggregation(
+  p_rounding text default 'floor',
+  p_organization_id uuid default null
+)
+returns table (
+  role text,
+  staff_id uuid,
+  name text,
+  user_id uuid,
+  project_count bigint,
+  total_customer_amount numeric,
+  average_profit_rate numeric,
+  won_count bigint,
+  lost_count bigint,
+  won_amount numeric,
+  open_count bigint,
+  open_amount numeric,
+  aging_0_30 bigint,
+  aging_31_60 bigint,
+  aging_61_90 bigint,
+  aging_over_90 bigint,
+  average_open_days numeric
+)
+language sql
+stable
+as $$
+  with assignments as (
+    select 'construction' as role, p.construction_manager_id as staff_id, b.*, (current_date - p.submission_date) as days_passed
+    from public.project_tax_breakdown(p_rounding, p_organization_id) b
+    join public.projects p on p.id = b.id
+    union all
+    select 'sales' as role, p.sales_manager_id as staff_id, b.*, (current_date - p.submission_date) as days_passed
+    from public.project_tax_breakdown(p_rounding, p_organization_id) b
+    join public.projects p on p.id = b.id
+  )
+  select
+    a.role,
+    a.staff_id,
+    s.name,
+    s.user_id,
+    count(*),
+    sum(a.customer_exclusive),
+    avg(case when coalesce(a.net_amount, 0) = 0 then 0 else a.customer_amount / a.net_amount * 100 end),
+    count(*) filter (where a.status = 'won'),
+    count(*) filter (where a.status = 'lost'),
+    coalesce(sum(a.customer_exclusive) filter (where a.status = 'won'), 0),
+    count(*) filter (where a.status in ('submitted', 'on_hold')),
+    coalesce(sum(a.customer_exclusive) filter (where a.status in ('submitted', 'on_hold')), 0),
+    count(*) filter (where a.status in ('submitted', 'on_hold') and a.days_passed <= 30),
+    count(*) filter (where a.status in ('submitted', 'on_hold') and a.days_passed between 31 and 60),
+    count(*) filter (where a.status in ('submitted', 'on_hold') and a.days_passed between 61 and 90),
+    count(*) filter (where a.status in ('submitted', 'on_hold') and a.days_passed > 90),
+    avg(a.days_passed) filter (where a.status in ('submitted', 'on_hold'))
+  from assignments a
+  left join public.staff_members s on s.id = a.staff_id
+  group by a.role, a.staff_id, s.name, s.user_id
+  order by a.role, sum(a.customer_exclusive) desc
+$$;
+
+grant execute on function public.normalize_staff_name(text) to authenticated;
+grant execute on function public.clean_staff_name(text) to authenticated;
+grant execute on function public.staff_user_options(uuid) to authenticated;
+grant execute on function public.staff_aggregation(text, uuid) to authenticated;
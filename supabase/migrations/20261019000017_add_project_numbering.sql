@@ -0,0 +1,174 @@
+-- 工事番号の自動採番
+-- 組織ごとに採番形式（例: {年度}-{連番:4}）を設定し、工事番号を空欄で登録・インポートしたプロジェクトに採番する
+-- 連番は形式の連番以外の部分（年度・客先の略号など）ごとに数えるため、4月始まりの年度が変わると1から振り直される
+
+-- 採番形式に使える記号: {年度} {年度:2} {年} {月} {客先} {連番} {連番:桁数}
+-- 連番はちょうど1つ含める。null の場合は自動採番しない
+alter table public.organizations
+  add column if not exists project_number_format text
+    check (
+      project_number_format is null
+      or (
+        char_length(project_number_format) <= 30
+        and project_number_format ~ '\{連番(:[1-9])?\}'
+        and project_number_format !~ '\{連番(:[1-9])?\}.*\{連番(:[1-9])?\}'
+        and regexp_replace(project_number_format, '\{(年度|年度:2|年|月|客先|連番(:[1-9])?)\}', '', 'g') !~ '[{}]'
+      )
+    );
+
+-- 採番形式の {客先} に使う略号（未設定の場合は客先名の先頭10文字）
+alter table public.clients
+  add column if not exists project_number_prefix text
+    check (project_number_prefix is null or (char_length(project_number_prefix) between 1 and 10 and project_number_prefix !~ '[{}[:space:]]'));
+
+-- 採番範囲（連番以外の部分を展開した形式）ごとの最後の連番
+-- 採番はトリガーからのみ行うため、利用者からは参照・更新できない
+create table if not exists public.project_number_sequences (
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  scope text not null,
+  last_value integer not null check (last_value > 0),
+  updated_at timestamptz not null default now(),
+  primary key (organization_id, scope)
+);
+
+alter table public.project_number_sequences enable row level security;
+
+-- 4月始まりの年度（2027年3月31日は2026年度）
+create or replace function public.project_fiscal_year(p_date date)
+returns integer
+language sql
+immutable
+as $$
+  select extract(year from p_date - interval '3 months')::integer
+$$;
+
+-- 採番形式の連番以外の記号を展開する
+create or replace function public.expand_project_number_scope(p_format text, p_date date, p_client_prefix text)
+returns text
+language sql
+immutable
+as $$
+  select replace(replace(replace(replace(replace(
+    p_format,
+    '{年度}', public.project_fiscal_year(p_date)::text),
+    '{年度:2}', lpad((public.project_fiscal_year(p_date) % 100)::text, 2, '0')),
+    '{年}', extract(year from p_date)::integer::text),
+    '{月}', lpad(extract(month from p_date)::integer::text, 2, '0')),
+    '{客先}', coalesce(p_client_prefix, ''))
+$$;
+
+-- 既存の工事番号の空白を除き、重複している工事番号は古いプロジェクト以外に「-重複n」を付ける
+-- 移行による変更は操作履歴に記録せず、ゴミ箱内のプロジェクトも対象にする
+alter table public.projects disable trigger projects_audit_log;
+alter table public.projects disable trigger projects_guard_trash;
+
+update public.projects
+set project_number = nullif(btrim(project_number), '')
+where project_number is distinct from nullif(btrim(project_number), '');
+
+update public.projects p
+set project_number = d.project_number || '-重複' || d.duplicate_index
+from (
+  select
+    id,
+    project_number,
+    row_number() over (partition by organization_id, project_number order by created_at, id) as duplicate_index
+  from public.projects
+  where project_number is not null
+) d
+where d.id = p.id
+  and d.duplicate_index > 1;
+
+alter table public.projects enable trigger projects_guard_trash;
+alter table public.projects enable trigger projects_audit_log;
+
+-- 工事番号は組織内で一意（ゴミ箱内のプロジェクトを含む）
+create unique index if not exists projects_project_number_key
+  on public.projects (organization_id, project_number)
+  where project_number is not null;
+
+-- 次の工事番号を採番する
+-- 連番の行ロックで同時に登録されたプロジェクトに同じ番号を振らないようにし、
+-- 手入力された工事番号（移行前の番号など）と重なる番号は飛ばす
+create or replace function public.next_project_number(p_organization_id uuid, p_format text, p_date date, p_client_prefix text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_scope text := public.expand_project_number_scope(p_format, p_date, p_client_prefix);
+  v_digits integer := coalesce((regexp_match(p_format, '\{連番:([1-9])\}'))[1]::integer, 1);
+  v_sequence integer;
+  v_number text;
+begin
+  loop
+    insert into public.project_number_sequences as s (organization_id, scope, last_value)
+    values (p_organization_id, v_scope, 1)
+    on conflict (organization_id, scope)
+      do update set last_value = s.last_value + 1, updated_at = now()
+    returning s.last_value into v_sequence;
+
+    v_number := regexp_replace(
+      v_scope,
+      '\{連番(:[1-9])?\}',
+      case when char_length(v_sequence::text) >= v_digits then v_sequence::text else lpad(v_sequence::text, v_digits, '0') end
+    );
+
+    exit when not exists (
+      select 1
+      from public.projects p
+      where p.organization_id = p_organization_id
+        and p.project_number = v_number
+    );
+  end loop;
+
+  return v_number;
+end;
+$$;
+
+-- 任意の組織の連番を進められないよう、トリガーからのみ使用する
+revoke execute on function public.next_project_number(uuid, text, date, text) from public, anon, authenticated;
+
+-- 工事番号の前後の空白を除き、空欄で登録されたプロジェクトに採番する（手入力の工事番号はそのまま使う）
+-- 年度・年・月は提出日から求める。{客先} を展開するため、客先マスタへの紐付け（projects_link_client）の後に実行する
+create or replace function public.assign_project_number()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_format text;
+  v_client_prefix text;
+begin
+  new.project_number := nullif(btrim(new.project_number), '');
+
+  if tg_op = 'INSERT' and new.project_number is null then
+    select o.project_number_format into v_format
+    from public.organizations o
+    where o.id = new.organization_id;
+
+    if v_format is not null then
+      if v_format like '%{客先}%' then
+        select coalesce(c.project_number_prefix, left(regexp_replace(c.name, '[{}[:space:]]', '', 'g'), 10)) into v_client_prefix
+        from public.clients c
+        where c.id = new.client_id;
+      end if;
+
+      new.project_number := public.next_project_number(new.organization_id, v_format, new.submission_date, v_client_prefix);
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+-- 同じタイミングのトリガーは名前順に実行されるため、projects_link_client より後になる名前にする
+drop trigger if exists projects_set_number on public.projects;
+create trigger projects_set_number
+  before insert or update of project_number on public.projects
+  for each row execute function public.assign_project_number();
+
+grant execute on function public.project_fiscal_year(date) to authenticated;
+grant execute on function public.expand_project_number_scope(text, date, text) to authenticated;
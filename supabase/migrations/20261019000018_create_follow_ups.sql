@@ -0,0 +1,231 @@
+-- プロジェクトのフォローアップ（期日付きの対応事項）
+-- 手動で登録するほか、提出済・保留のまま経過日数がしきい値を超えたプロジェクトにリマインダーを自動で作成する
+
+-- リマインダーを作成する経過日数のしきい値（組織ごと。既定は経過日数の表示が黄色・赤色に変わる14日・30日）
+alter table public.organizations
+  add column if not exists follow_up_thresholds integer[] not null default '{14,30}'
+    check (
+      cardinality(follow_up_thresholds) between 1 and 5
+      and 1 <= all (follow_up_thresholds)
+      and 365 >= all (follow_up_thresholds)
+    );
+
+create table if not exists public.follow_ups (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  project_id uuid not null references public.projects (id) on delete cascade,
+  title text not null check (char_length(trim(title)) between 1 and 100),
+  due_date date not null,
+  -- 対応するユーザー（未設定の場合は誰の「今日のフォローアップ」にも表示しない）
+  assignee_id uuid references auth.users (id) on delete set null,
+  -- manual: 手動で登録 / aging: 経過日数のしきい値を超えて自動で作成
+  source text not null default 'manual' check (source in ('manual', 'aging')),
+  threshold_days integer check ((source = 'aging') = (threshold_days is not null)),
+  status text not null default 'open' check (status in ('open', 'done')),
+  -- スヌーズした場合は期日の代わりにこの日から表示する
+  snoozed_until date,
+  remind_on date generated always as (coalesce(snoozed_until, due_date)) stored,
+  done_at timestamptz,
+  done_by uuid references auth.users (id) on delete set null,
+  done_memo text check (done_memo is null or char_length(done_memo) <= 500),
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check ((status = 'done') = (done_at is not null))
+);
+
+create index if not exists follow_ups_project_id_idx on public.follow_ups (project_id, due_date);
+create index if not exists follow_ups_assignee_idx
+  on public.follow_ups (assignee_id, remind_on)
+  where status = 'open';
+
+-- 同じしきい値のリマインダーは1つのプロジェクトに1つだけ作成する
+create unique index if not exists follow_ups_aging_threshold_key
+  on public.follow_ups (project_id, threshold_days)
+  where source = 'aging';
+
+alter table public.follow_ups enable row level security;
+
+create policy "members can read follow ups"
+  on public.follow_ups
+  for select
+  to authenticated
+  using (public.is_organization_member(organization_id));
+
+-- 登録は見積担当以上
+create policy "estimators can create follow ups"
+  on public.follow_ups
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('estimator', 'manager', 'admin')
+    and source = 'manual'
+  );
+
+-- 完了・スヌーズ・変更は対応するユーザー・登録したユーザーとマネージャー以上
+create policy "assignees can update follow ups"
+  on public.follow_ups
+  for update
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and (
+      public.current_user_role() in ('manager', 'admin')
+      or (public.current_user_role() = 'estimator' and auth.uid() in (assignee_id, created_by))
+    )
+  )
+  with check (public.is_organization_member(organization_id));
+
+create policy "creators can delete follow ups"
+  on public.follow_ups
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and (
+      public.current_user_role() in ('manager', 'admin')
+      or (public.current_user_role() = 'estimator' and created_by = auth.uid() and source = 'manual')
+    )
+  );
+
+-- 完了日時・完了したユーザーはサーバー側で設定し、プロジェクトの付け替えや自動作成の区分の変更はできない
+create or replace function public.guard_follow_up()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.project_id is distinct from old.project_id
+    or new.organization_id is distinct from old.organization_id
+    or new.source is distinct from old.source
+    or new.threshold_days is distinct from old.threshold_days then
+    raise exception 'permission denied: follow ups cannot be moved to another project'
+      using errcode = '42501';
+  end if;
+
+  if new.status = 'done' and old.status = 'open' then
+    new.done_at := now();
+    new.done_by := auth.uid();
+  elsif new.status = 'open' then
+    new.done_at := null;
+    new.done_by := null;
+    new.done_memo := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists follow_ups_guard on public.follow_ups;
+create trigger follow_ups_guard
+  before update on public.follow_ups
+  for each row execute function public.guard_follow_up();
+
+-- フォローアップの対応者（営業担当者 → 工事担当者 → 登録したユーザーの順に、ログインユーザーと関連付けられた人）
+create or replace function public.get_project_follow_up_assignee(p_project public.projects)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select s.user_id from public.staff_members s where s.id = p_project.sales_manager_id),
+    (select s.user_id from public.staff_members s where s.id = p_project.construction_manager_id),
+    p_project.created_by
+  )
+$$;
+
+-- 提出済・保留のまま経過日数がしきい値を超えたプロジェクトにリマインダーを作成する（作成件数を返す）
+-- しきい値を複数超えている場合は最も大きいしきい値のリマインダーだけを作成する
+-- pg_cron から毎日実行するほか、画面を開いた時にも実行する
+create or replace function public.generate_follow_up_reminders()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  insert into public.follow_ups (organization_id, project_id, title, due_date, assignee_id, source, threshold_days, created_by)
+  select
+    t.organization_id,
+    t.id,
+    '提出から' || t.threshold_days || '日経過：客先へのフォローアップ',
+    t.submission_date + t.threshold_days,
+    public.get_project_follow_up_assignee(t.project),
+    'aging',
+    t.threshold_days,
+    null
+  from (
+    select
+      p.id,
+      p.organization_id,
+      p.submission_date,
+      p as project,
+      (
+        select max(threshold)
+        from unnest(o.follow_up_thresholds) as threshold
+        where threshold <= current_date - p.submission_date
+      ) as threshold_days
+    from public.projects p
+    join public.organizations o on o.id = p.organization_id
+    where p.deleted_at is null
+      and p.status in ('submitted', 'on_hold')
+  ) t
+  where t.threshold_days is not null
+    and not exists (
+      select 1
+      from public.follow_ups f
+      where f.project_id = t.id
+        and f.source = 'aging'
+        and f.threshold_days >= t.threshold_days
+    )
+  on conflict do nothing;
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.generate_follow_up_reminders() to authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_available_extensions where name = 'pg_cron') then
+    create extension if not exists pg_cron;
+    -- 毎日 6:00（日本時間）に実行
+    perform cron.schedule('generate-follow-up-reminders', '0 21 * * *', 'select public.generate_follow_up_reminders()');
+  else
+    raise notice 'pg_cron is not available; follow up reminders are generated when the app is opened';
+  end if;
+end;
+$$;
+
+-- 受注・失注になったプロジェクトの自動作成のリマインダーは完了にする
+create or replace function public.close_project_follow_up_reminders()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status not in ('submitted', 'on_hold') and old.status in ('submitted', 'on_hold') then
+    update public.follow_ups
+    set status = 'done',
+        done_memo = 'プロジェクトのステータスが変わったため自動で完了',
+        updated_at = now()
+    where project_id = new.id
+      and source = 'aging'
+      and status = 'open';
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists projects_close_follow_up_reminders on public.projects;
+create trigger projects_close_follow_up_reminders
+  after update of status on public.projects
+  for each row execute function public.close_project_follow_up_reminders();
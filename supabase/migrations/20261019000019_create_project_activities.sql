@@ -0,0 +1,150 @@
+-- プロジェクトの活動記録（客先との折衝の経過・コメント）
+-- 電話・訪問・メール・再見積依頼・コメントは画面から登録し、金額・ステータスの変更はトリガーで自動的に記録する
+create table if not exists public.project_activities (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations (id) on delete cascade,
+  project_id uuid not null references public.projects (id) on delete cascade,
+  -- comment: コメント / phone: 電話 / visit: 訪問 / email: メール / requote: 再見積依頼 / change: 変更（自動で記録）
+  kind text not null check (kind in ('comment', 'phone', 'visit', 'email', 'requote', 'change')),
+  body text check (body is null or char_length(trim(body)) between 1 and 1000),
+  -- 変更の記録は変更前後の金額・ステータス（登録時は before_data が null）
+  before_data jsonb,
+  after_data jsonb,
+  author_id uuid references auth.users (id) on delete set null,
+  author_email text,
+  created_at timestamptz not null default now(),
+  check ((kind = 'change') = (after_data is not null)),
+  check (kind = 'change' or body is not null)
+);
+
+create index if not exists project_activities_project_created_at_idx
+  on public.project_activities (project_id, created_at desc);
+
+alter table public.project_activities enable row level security;
+
+create policy "members can read project activities"
+  on public.project_activities
+  for select
+  to authenticated
+  using (public.is_organization_member(organization_id));
+
+-- 登録は見積担当以上（変更の記録はトリガーのみが登録する）
+create policy "estimators can create project activities"
+  on public.project_activities
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('estimator', 'manager', 'admin')
+    and kind <> 'change'
+    and exists (
+      select 1 from public.projects p
+      where p.id = project_id and p.organization_id = project_activities.organization_id
+    )
+  );
+
+-- 経過の記録は変更できず、削除できるのは登録したユーザーとマネージャー以上（変更の記録は削除できない）
+create policy "authors can delete project activities"
+  on public.project_activities
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and kind <> 'change'
+    and (
+      public.current_user_role() in ('manager', 'admin')
+      or (public.current_user_role() = 'estimator' and author_id = auth.uid())
+    )
+  );
+
+-- 登録したユーザー・日時はサーバー側で設定する（なりすまし・日時の改ざんを防ぐ）
+create or replace function public.set_project_activity_author()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.author_id := auth.uid();
+  new.author_email := auth.jwt() ->> 'email';
+  new.created_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists project_activities_set_author on public.project_activities;
+create trigger project_activities_set_author
+  before insert on public.project_activities
+  for each row execute function public.set_project_activity_author();
+
+-- 活動記録に残す項目（金額・ステータス）
+create or replace function public.project_activity_snapshot(p_data jsonb)
+returns jsonb
+language sql
+immutable
+strict
+as $$
+  select jsonb_build_object(
+    'net_amount', p_data -> 'net_amount',
+    'customer_amount', p_data -> 'customer_amount',
+    'status', p_data -> 'status'
+  )
+$$;
+
+-- プロジェクトの登録と金額・ステータスの変更を記録する（画面・インポート・一括操作のいずれの変更も記録される）
+create or replace function public.record_project_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_before jsonb;
+  v_after jsonb := public.project_activity_snapshot(to_jsonb(new));
+begin
+  if tg_op = 'UPDATE' then
+    v_before := public.project_activity_snapshot(to_jsonb(old));
+    if v_before = v_after then
+      return null;
+    end if;
+  end if;
+
+  insert into public.project_activities (organization_id, project_id, kind, before_data, after_data)
+  values (new.organization_id, new.id, 'change', v_before, v_after);
+
+  return null;
+end;
+$$;
+
+drop trigger if exists projects_record_activity on public.projects;
+create trigger projects_record_activity
+  after insert or update of net_amount, customer_amount, status on public.projects
+  for each row execute function public.record_project_activity();
+
+-- 既存のプロジェクトは操作履歴から登録と金額・ステータスの変更を取り込む（日時・ユーザーは操作履歴のまま）
+alter table public.project_activities disable trigger project_activities_set_author;
+
+insert into public.project_activities (
+  organization_id,
+  project_id,
+  kind,
+  before_data,
+  after_data,
+  author_id,
+  author_email,
+  created_at
+)
+select
+  p.organization_id,
+  p.id,
+  'change',
+  public.project_activity_snapshot(l.before_data),
+  public.project_activity_snapshot(l.after_data),
+  l.actor_id,
+  l.actor_email,
+  l.created_at
+from public.audit_logs l
+join public.projects p on p.id = l.record_id
+where l.table_name = 'projects'
+  and l.after_data is not null
+  and public.project_activity_snapshot(l.before_data) is distinct from public.project_activity_snapshot(l.after_data);
+
+alter table public.project_activities enable trigger project_activities_set_author;
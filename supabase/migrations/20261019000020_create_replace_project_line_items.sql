@@ -0,0 +1,52 @@
+-- 内訳明細の保存（既存の明細の削除・新しい明細の登録・合計金額の反映を1つのトランザクションで行う）
+-- 登録に失敗した場合も既存の明細が消えたり、金額と明細が食い違ったりしないようにする
+-- p_items: 登録する明細（toLineItemRecords と同じ形式）。空の配列の場合は明細を削除し、金額は変更しない
+-- RLSで明細を変更できないプロジェクトは、登録時に権限エラーになる
+create or replace function public.replace_project_line_items(p_project_id uuid, p_items jsonb)
+returns void
+language plpgsql
+as $$
+begin
+  delete from public.project_line_items where project_id = p_project_id;
+
+  insert into public.project_line_items (
+    project_id,
+    sort_order,
+    category,
+    item_name,
+    quantity,
+    unit,
+    unit_price,
+    unit_cost
+  )
+  select
+    p_project_id,
+    coalesce(r.sort_order, 0),
+    r.category,
+    r.item_name,
+    r.quantity,
+    r.unit,
+    coalesce(r.unit_price, 0),
+    coalesce(r.unit_cost, 0)
+  from jsonb_populate_recordset(null::public.project_line_items, p_items) r;
+
+  -- 画面の合計と同じく明細ごとに円未満を四捨五入して合計する
+  if jsonb_array_length(p_items) > 0 then
+    update public.projects p
+    set
+      net_amount = t.net_amount,
+      customer_amount = t.customer_amount
+    from (
+      select
+        sum(round(i.quantity * i.unit_cost)) as net_amount,
+        sum(round(i.quantity * i.unit_price)) as customer_amount
+      from public.project_line_items i
+      where i.project_id = p_project_id
+    ) t
+    where p.id = p_project_id
+      and (p.net_amount, p.customer_amount) is distinct from (t.net_amount, t.customer_amount);
+  end if;
+end;
+$$;
+
+grant execute on function public.replace_project_line_items(uuid, jsonb) to authenticated;
@@ -0,0 +1,98 @@
+-- システム管理者の権限を所属組織の範囲に限定する
+-- 従来はシステム管理者であればすべての組織を参照でき、他の組織に自分を追加してプロジェクトを参照したり、
+-- 他の組織のユーザーの権限を変更したりできた
+
+-- ログイン中のユーザーと指定したユーザーが同じ組織に所属しているか
+-- RLSの中から organization_members を参照するため security definer で実行する
+create or replace function public.shares_organization_with(p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.organization_members own
+    join public.organization_members other on other.organization_id = own.organization_id
+    where own.user_id = auth.uid()
+      and other.user_id = p_user_id
+  )
+$$;
+
+grant execute on function public.shares_organization_with(uuid) to authenticated;
+
+drop policy if exists "members can read organizations" on public.organizations;
+drop policy if exists "members can read own memberships" on public.organization_members;
+drop policy if exists "admins can add members" on public.organization_members;
+drop policy if exists "admins can remove members" on public.organization_members;
+
+create policy "members can read organizations"
+  on public.organizations
+  for select
+  to authenticated
+  using (public.is_organization_member(id));
+
+create policy "members can read own memberships"
+  on public.organization_members
+  for select
+  to authenticated
+  using (
+    user_id = auth.uid()
+    or (public.current_user_role() = 'admin' and public.is_organization_member(organization_id))
+  );
+
+create policy "admins can add members"
+  on public.organization_members
+  for insert
+  to authenticated
+  with check (public.current_user_role() = 'admin' and public.is_organization_member(organization_id));
+
+create policy "admins can remove members"
+  on public.organization_members
+  for delete
+  to authenticated
+  using (public.current_user_role() = 'admin' and public.is_organization_member(organization_id));
+
+-- 組織を作成したシステム管理者はその組織に所属する（所属組織以外にはメンバーを追加できないため）
+create or replace function public.add_organization_creator()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is not null then
+    insert into public.organization_members (organization_id, user_id)
+    values (new.id, auth.uid())
+    on conflict do nothing;
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists organizations_add_creator on public.organizations;
+create trigger organizations_add_creator
+  after insert on public.organizations
+  for each row execute function public.add_organization_creator();
+
+-- 権限はユーザー単位のため、システム管理者が参照・変更できるのは同じ組織に所属するユーザーに限る
+drop policy if exists "users can read own role" on public.user_roles;
+drop policy if exists "admins can update roles" on public.user_roles;
+
+create policy "users can read own role"
+  on public.user_roles
+  for select
+  to authenticated
+  using (
+    user_id = auth.uid()
+    or (public.current_user_role() = 'admin' and public.shares_organization_with(user_id))
+  );
+
+create policy "admins can update roles"
+  on public.user_roles
+  for update
+  to authenticated
+  using (public.current_user_role() = 'admin' and public.shares_organization_with(user_id))
+  with check (public.current_user_role() = 'admin' and public.shares_organization_with(user_id));
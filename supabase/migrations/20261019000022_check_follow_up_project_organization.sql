@@ -0,0 +1,17 @@
+-- フォローアップの登録時にプロジェクトが同じ組織に属しているかを確認する
+-- （他の組織のプロジェクトIDを指定して、所属組織のフォローアップとして登録できないようにする）
+drop policy if exists "estimators can create follow ups" on public.follow_ups;
+
+create policy "estimators can create follow ups"
+  on public.follow_ups
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role() in ('estimator', 'manager', 'admin')
+    and source = 'manual'
+    and exists (
+      select 1 from public.projects p
+      where p.id = project_id and p.organization_id = follow_ups.organization_id
+    )
+  );
@@ -0,0 +1,540 @@
+-- 権限を組織ごとに設定する
+-- 従来は権限がユーザーごとに1つで、ある組織のマネージャーは所属するすべての組織でマネージャーになり、
+-- ある組織のシステム管理者が権限を変更すると、そのユーザーの他の組織での権限も変わっていた
+alter table public.organization_members
+  add column if not exists role text not null default 'viewer'
+    check (role in ('viewer', 'estimator', 'manager', 'admin'));
+
+-- 既存の所属はこれまでのユーザーの権限を引き継ぐ
+update public.organization_members m
+set role = r.role
+from public.user_roles r
+where r.user_id = m.user_id;
+
+-- ログイン中のユーザーの組織での権限（所属していない場合は閲覧者）
+-- RLSの中から organization_members を参照するため security definer で実行する
+create or replace function public.current_user_role(p_organization_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select m.role
+      from public.organization_members m
+      where m.organization_id = p_organization_id
+        and m.user_id = auth.uid()
+    ),
+    'viewer'
+  )
+$$;
+
+grant execute on function public.current_user_role(uuid) to authenticated;
+
+-- プロジェクトを編集できるか（見積担当は自分が登録したプロジェクトのみ）
+create or replace function public.can_edit_project(p_organization_id uuid, p_created_by uuid)
+returns boolean
+language sql
+stable
+as $$
+  select case public.current_user_role(p_organization_id)
+    when 'admin' then true
+    when 'manager' then true
+    when 'estimator' then p_created_by is not null and p_created_by = auth.uid()
+    else false
+  end
+$$;
+
+grant execute on function public.can_edit_project(uuid, uuid) to authenticated;
+
+-- 各テーブルのRLSを行の組織での権限で判定するよう作り直す
+
+drop policy if exists "editors can update projects" on public.projects;
+create policy "editors can update projects"
+  on public.projects
+  for update
+  to authenticated
+  using (public.is_organization_member(organization_id) and public.can_edit_project(organization_id, created_by))
+  with check (public.is_organization_member(organization_id) and public.can_edit_project(organization_id, created_by));
+
+drop policy if exists "estimators can create projects" on public.projects;
+create policy "estimators can create projects"
+  on public.projects
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and (
+      public.current_user_role(organization_id) in ('manager', 'admin')
+      or (public.current_user_role(organization_id) = 'estimator' and created_by = auth.uid())
+    )
+  );
+
+drop policy if exists "managers can purge trashed projects" on public.projects;
+create policy "managers can purge trashed projects"
+  on public.projects
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+    and deleted_at is not null
+  );
+
+drop policy if exists "editors can manage line items" on public.project_line_items;
+create policy "editors can manage line items"
+  on public.project_line_items
+  for all
+  to authenticated
+  using (
+    exists (
+      select 1 from public.projects p
+      where p.id = project_id and public.can_edit_project(p.organization_id, p.created_by)
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.projects p
+      where p.id = project_id and public.can_edit_project(p.organization_id, p.created_by)
+    )
+  );
+
+drop policy if exists "editors can amend current revision" on public.project_revisions;
+create policy "editors can amend current revision"
+  on public.project_revisions
+  for update
+  to authenticated
+  using (
+    exists (
+      select 1 from public.projects p
+      where p.id = project_id
+        and p.current_revision = revision_number
+        and public.can_edit_project(p.organization_id, p.created_by)
+    )
+  );
+
+drop policy if exists "editors can record revisions" on public.project_revisions;
+create policy "editors can record revisions"
+  on public.project_revisions
+  for insert
+  to authenticated
+  with check (
+    exists (
+      select 1 from public.projects p
+      where p.id = project_id and public.can_edit_project(p.organization_id, p.created_by)
+    )
+  );
+
+drop policy if exists "managers can read audit logs" on public.audit_logs;
+create policy "managers can read audit logs"
+  on public.audit_logs
+  for select
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "managers can create import mapping templates" on public.import_mapping_templates;
+create policy "managers can create import mapping templates"
+  on public.import_mapping_templates
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "managers can delete import mapping templates" on public.import_mapping_templates;
+create policy "managers can delete import mapping templates"
+  on public.import_mapping_templates
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "managers can update import mapping templates" on public.import_mapping_templates;
+create policy "managers can update import mapping templates"
+  on public.import_mapping_templates
+  for update
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  )
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "managers can create import job batches" on public.import_job_batches;
+create policy "managers can create import job batches"
+  on public.import_job_batches
+  for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "estimators can create clients" on public.clients;
+create policy "estimators can create clients"
+  on public.clients
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('estimator', 'manager', 'admin')
+  );
+
+drop policy if exists "managers can delete clients" on public.clients;
+create policy "managers can delete clients"
+  on public.clients
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "managers can update clients" on public.clients;
+create policy "managers can update clients"
+  on public.clients
+  for update
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  )
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "managers can create staff members" on public.staff_members;
+create policy "managers can create staff members"
+  on public.staff_members
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "managers can delete staff members" on public.staff_members;
+create policy "managers can delete staff members"
+  on public.staff_members
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "managers can update staff members" on public.staff_members;
+create policy "managers can update staff members"
+  on public.staff_members
+  for update
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  )
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('manager', 'admin')
+  );
+
+drop policy if exists "assignees can update follow ups" on public.follow_ups;
+create policy "assignees can update follow ups"
+  on public.follow_ups
+  for update
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and (
+      public.current_user_role(organization_id) in ('manager', 'admin')
+      or (public.current_user_role(organization_id) = 'estimator' and auth.uid() in (assignee_id, created_by))
+    )
+  )
+  with check (public.is_organization_member(organization_id));
+
+drop policy if exists "creators can delete follow ups" on public.follow_ups;
+create policy "creators can delete follow ups"
+  on public.follow_ups
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and (
+      public.current_user_role(organization_id) in ('manager', 'admin')
+      or (public.current_user_role(organization_id) = 'estimator' and created_by = auth.uid() and source = 'manual')
+    )
+  );
+
+drop policy if exists "estimators can create follow ups" on public.follow_ups;
+create policy "estimators can create follow ups"
+  on public.follow_ups
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('estimator', 'manager', 'admin')
+    and source = 'manual'
+    and exists (
+      select 1 from public.projects p
+      where p.id = project_id and p.organization_id = follow_ups.organization_id
+    )
+  );
+
+drop policy if exists "authors can delete project activities" on public.project_activities;
+create policy "authors can delete project activities"
+  on public.project_activities
+  for delete
+  to authenticated
+  using (
+    public.is_organization_member(organization_id)
+    and kind <> 'change'
+    and (
+      public.current_user_role(organization_id) in ('manager', 'admin')
+      or (public.current_user_role(organization_id) = 'estimator' and author_id = auth.uid())
+    )
+  );
+
+drop policy if exists "estimators can create project activities" on public.project_activities;
+create policy "estimators can create project activities"
+  on public.project_activities
+  for insert
+  to authenticated
+  with check (
+    public.is_organization_member(organization_id)
+    and public.current_user_role(organization_id) in ('estimator', 'manager', 'admin')
+    and kind <> 'change'
+    and exists (
+      select 1 from public.projects p
+      where p.id = project_id and p.organization_id = project_activities.organization_id
+    )
+  );
+
+-- 組織・所属の管理は、その組織のシステム管理者のみ
+drop policy if exists "members can read own memberships" on public.organization_members;
+drop policy if exists "admins can add members" on public.organization_members;
+drop policy if exists "admins can remove members" on public.organization_members;
+
+create policy "members can read own memberships"
+  on public.organization_members
+  for select
+  to authenticated
+  using (user_id = auth.uid() or public.current_user_role(organization_id) = 'admin');
+
+create policy "admins can add members"
+  on public.organization_members
+  for insert
+  to authenticated
+  with check (public.current_user_role(organization_id) = 'admin');
+
+create policy "admins can change member roles"
+  on public.organization_members
+  for update
+  to authenticated
+  using (public.current_user_role(organization_id) = 'admin')
+  with check (public.current_user_role(organization_id) = 'admin');
+
+create policy "admins can remove members"
+  on public.organization_members
+  for delete
+  to authenticated
+  using (public.current_user_role(organization_id) = 'admin');
+
+-- 組織を作成できるのは、いずれかの組織のシステム管理者
+drop policy if exists "admins can create organizations" on public.organizations;
+drop policy if exists "admins can update organizations" on public.organizations;
+
+create policy "admins can create organizations"
+  on public.organizations
+  for insert
+  to authenticated
+  with check (
+    exists (
+      select 1 from public.organization_members m
+      where m.user_id = auth.uid() and m.role = 'admin'
+    )
+  );
+
+create policy "admins can update organizations"
+  on public.organizations
+  for update
+  to authenticated
+  using (public.current_user_role(id) = 'admin')
+  with check (public.current_user_role(id) = 'admin');
+
+-- 組織を作成したユーザーはその組織のシステム管理者になる
+create or replace function public.add_organization_creator()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is not null then
+    insert into public.organization_members (organization_id, user_id, role)
+    values (new.id, auth.uid(), 'admin')
+    on conflict do nothing;
+  end if;
+
+  return null;
+end;
+$$;
+
+-- 組織のメンバーと権限の一覧（権限管理画面用、システム管理者のみ）
+-- メールアドレスは user_roles にあり本人しか参照できないため security definer で取得する
+create or replace function public.organization_member_roles(p_organization_id uuid)
+returns table (
+  user_id uuid,
+  email text,
+  role text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if public.current_user_role(p_organization_id) <> 'admin' then
+    raise exception 'permission denied: only admins can manage member roles'
+      using errcode = '42501';
+  end if;
+
+  return query
+    select m.user_id, r.email, m.role
+    from public.organization_members m
+    left join public.user_roles r on r.user_id = m.user_id
+    where m.organization_id = p_organization_id
+    order by r.email;
+end;
+$$;
+
+grant execute on function public.organization_member_roles(uuid) to authenticated;
+
+-- user_roles はメールアドレスのみ保持する（権限は organization_members に移行した）
+drop policy if exists "users can read own role" on public.user_roles;
+drop policy if exists "admins can update roles" on public.user_roles;
+
+create policy "users can read own role"
+  on public.user_roles
+  for select
+  to authenticated
+  using (user_id = auth.uid());
+
+drop function if exists public.shares_organization_with(uuid);
+
+alter table public.user_roles drop column if exists role;
+
+
+-- 権限を確認する関数も行の組織での権限で判定する
+create or replace function public.guard_project_trash()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.deleted_at is distinct from old.deleted_at then
+    if public.current_user_role(new.organization_id) not in ('manager', 'admin') then
+      raise exception 'permission denied: only managers can move projects to trash or restore them'
+        using errcode = '42501';
+    end if;
+
+    if new.deleted_at is not null then
+      new.deleted_at := now();
+      new.deleted_by := auth.uid();
+      new.deleted_by_email := auth.jwt() ->> 'email';
+    else
+      new.deleted_by := null;
+      new.deleted_by_email := null;
+    end if;
+  elsif old.deleted_at is not null
+    and to_jsonb(new) - array['client', 'client_id', 'construction_manager', 'construction_manager_id', 'sales_manager', 'sales_manager_id']
+      is distinct from to_jsonb(old) - array['client', 'client_id', 'construction_manager', 'construction_manager_id', 'sales_manager', 'sales_manager_id'] then
+    raise exception 'permission denied: restore the project from trash before editing it'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+create or replace function public.merge_clients(p_target_id uuid, p_source_ids uuid[])
+returns integer
+language plpgsql
+as $$
+declare
+  v_target public.clients%rowtype;
+  v_moved integer;
+begin
+  select * into v_target
+  from public.clients c
+  where c.id = p_target_id;
+
+  if v_target.id is null then
+    raise exception '統合先の客先が見つかりません（not found）'
+      using errcode = 'P0002';
+  end if;
+
+  if not public.is_organization_member(v_target.organization_id)
+    or public.current_user_role(v_target.organization_id) not in ('manager', 'admin') then
+    raise exception '客先を統合する権限がありません（permission denied）'
+      using errcode = '42501';
+  end if;
+
+  -- ゴミ箱内のプロジェクトも復元後に正しい客先になるよう付け替える
+  update public.projects p
+  set client_id = v_target.id,
+      client = v_target.name
+  where p.organization_id = v_target.organization_id
+    and p.client_id = any(p_source_ids)
+    and p.client_id <> v_target.id;
+
+  get diagnostics v_moved = row_count;
+
+  delete from public.clients c
+  where c.organization_id = v_target.organization_id
+    and c.id = any(p_source_ids)
+    and c.id <> v_target.id;
+
+  return v_moved;
+end;
+$$;
+
+create or replace function public.staff_user_options(p_organization_id uuid)
+returns table (
+  user_id uuid,
+  email text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_organization_member(p_organization_id)
+    or public.current_user_role(p_organization_id) not in ('manager', 'admin') then
+    raise exception 'permission denied: only managers can link staff members to users'
+      using errcode = '42501';
+  end if;
+
+  return query
+    select m.user_id, r.email
+    from public.organization_members m
+    left join public.user_roles r on r.user_id = m.user_id
+    where m.organization_id = p_organization_id
+    order by r.email;
+end;
+$$;
+
+-- 組織を指定しない権限の関数は削除する（残っていると組織をまたいで権限を判定してしまうため）
+drop function if exists public.can_edit_project(uuid);
+drop function if exists public.current_user_role();
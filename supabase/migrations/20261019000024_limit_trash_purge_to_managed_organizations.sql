@@ -0,0 +1,32 @@
+-- 期限切れのゴミ箱の完全削除を、実行したユーザーがマネージャー・システム管理者の組織に限定する
+-- （security definer のためRLSが適用されず、閲覧者でも全組織のゴミ箱を削除できていた）
+-- pg_cron からの実行はログインユーザーがいないため、従来どおり全組織を対象にする
+create or replace function public.purge_expired_trash()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  perform set_config('app.audit_action', 'purge', true);
+
+  delete from public.projects p
+  using public.organizations o
+  where o.id = p.organization_id
+    and p.deleted_at is not null
+    and p.deleted_at < now() - make_interval(days => o.trash_retention_days)
+    and (
+      auth.uid() is null
+      or public.current_user_role(o.id) in ('manager', 'admin')
+    );
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+-- ログインしていない呼び出し（auth.uid() が null）は全組織が対象になるため、anon からは実行させない
+revoke execute on function public.purge_expired_trash() from public, anon;
+grant execute on function public.purge_expired_trash() to authenticated;
@@ -0,0 +1,80 @@
+-- プロジェクトの編集内容と内訳明細を1つのトランザクションで保存する
+-- （明細の保存とプロジェクトの更新を別々に行うと、プロジェクトの行が2回更新され、
+--   操作履歴が2件記録されるほか、途中で失敗すると金額だけが反映された状態になる）
+-- p_project: 更新する項目（渡されなかった項目は現在の値のまま）
+-- p_items: 登録する明細（toLineItemRecords と同じ形式）。空でない場合は金額を明細の合計に揃える
+-- 更新したプロジェクトを返す（RLSで更新できない場合は0件）
+create or replace function public.update_project_with_line_items(p_project_id uuid, p_project jsonb, p_items jsonb)
+returns setof public.projects
+language plpgsql
+as $$
+declare
+  v_project public.projects;
+begin
+  select * into v_project from public.projects where id = p_project_id;
+  if not found then
+    return;
+  end if;
+
+  v_project := jsonb_populate_record(v_project, p_project);
+
+  delete from public.project_line_items where project_id = p_project_id;
+
+  insert into public.project_line_items (
+    project_id,
+    sort_order,
+    category,
+    item_name,
+    quantity,
+    unit,
+    unit_price,
+    unit_cost
+  )
+  select
+    p_project_id,
+    coalesce(r.sort_order, 0),
+    r.category,
+    r.item_name,
+    r.quantity,
+    r.unit,
+    coalesce(r.unit_price, 0),
+    coalesce(r.unit_cost, 0)
+  from jsonb_populate_recordset(null::public.project_line_items, p_items) r;
+
+  -- 画面の合計と同じく明細ごとに円未満を四捨五入して合計する
+  if jsonb_array_length(p_items) > 0 then
+    select
+      sum(round(i.quantity * i.unit_cost)),
+      sum(round(i.quantity * i.unit_price))
+    into v_project.net_amount, v_project.customer_amount
+    from public.project_line_items i
+    where i.project_id = p_project_id;
+  end if;
+
+  return query
+    update public.projects p
+    set
+      project_number = v_project.project_number,
+      client = v_project.client,
+      client_id = v_project.client_id,
+      title = v_project.title,
+      construction_manager = v_project.construction_manager,
+      construction_manager_id = v_project.construction_manager_id,
+      sales_manager = v_project.sales_manager,
+      sales_manager_id = v_project.sales_manager_id,
+      net_amount = v_project.net_amount,
+      customer_amount = v_project.customer_amount,
+      tax_mode = v_project.tax_mode,
+      tax_rate = v_project.tax_rate,
+      submission_date = v_project.submission_date,
+      status = v_project.status,
+      status_changed_at = v_project.status_changed_at,
+      won_date = v_project.won_date,
+      lost_date = v_project.lost_date,
+      current_revision = v_project.current_revision
+    where p.id = p_project_id
+    returning p.*;
+end;
+$$;
+
+grant execute on function public.update_project_with_line_items(uuid, jsonb, jsonb) to authenticated;
@@ -0,0 +1,30 @@
+-- ログイン時の既定ビューを1つのトランザクションで切り替える
+-- （既定の解除と設定を別々に行うと、設定に失敗した場合に既定のビューがなくなる）
+-- p_view_id: 既定にするビュー（null の場合は既定を解除する）
+create or replace function public.set_default_saved_view(p_view_id uuid)
+returns void
+language plpgsql
+as $$
+begin
+  -- 既定のビューはユーザーごとに1つまでのため、先に他のビューの既定を解除する
+  update public.saved_views
+  set is_default = false
+  where user_id = auth.uid()
+    and is_default
+    and id is distinct from p_view_id;
+
+  if p_view_id is not null then
+    update public.saved_views
+    set is_default = true
+    where id = p_view_id
+      and user_id = auth.uid();
+
+    if not found then
+      raise exception 'saved view not found'
+        using errcode = 'P0002';
+    end if;
+  end if;
+end;
+$$;
+
+grant execute on function public.set_default_saved_view(uuid) to authenticated;
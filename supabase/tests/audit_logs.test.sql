@@ -0,0 +1,91 @@
+-- 操作履歴（audit_logs）の記録とRLSのテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(8);
+
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'manager@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'viewer@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'manager'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'viewer');
+
+-- マネージャーとして登録・更新・ゴミ箱への移動・完全削除・インポート
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "manager@example.com", "role": "authenticated"}';
+
+insert into public.projects (id, organization_id, client, title, net_amount, customer_amount)
+values ('a1000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000000', '客先A', '改修工事', 100000, 120000);
+
+update public.projects set customer_amount = 130000 where id = 'a1000000-0000-0000-0000-000000000001';
+update public.projects set customer_amount = 130000 where id = 'a1000000-0000-0000-0000-000000000001';
+update public.projects set deleted_at = now() where id = 'a1000000-0000-0000-0000-000000000001';
+delete from public.projects where id = 'a1000000-0000-0000-0000-000000000001';
+
+select is(
+  (select count(*)::int from public.import_projects(
+    '[{"organization_id": "a0000000-0000-0000-0000-000000000000", "client": "客先B", "title": "新築工事", "net_amount": 500000, "customer_amount": 600000, "submission_date": "2026-10-01"},
+      {"organization_id": "a0000000-0000-0000-0000-000000000000", "client": "客先C", "title": "外構工事", "net_amount": 200000, "customer_amount": 240000, "submission_date": "2026-10-02"}]'::jsonb
+  )),
+  2,
+  'インポートしたプロジェクトを返す'
+);
+
+select results_eq(
+  $$ select action from public.audit_logs where record_id = 'a1000000-0000-0000-0000-000000000001' order by id $$,
+  array['create', 'update', 'trash', 'delete'],
+  '登録・更新・ゴミ箱への移動・完全削除を記録し、値が変わらない更新は記録しない'
+);
+
+select is(
+  (select (before_data ->> 'customer_amount')::numeric || '→' || (after_data ->> 'customer_amount')::numeric
+   from public.audit_logs
+   where record_id = 'a1000000-0000-0000-0000-000000000001' and action = 'update'),
+  '120000.00→130000.00',
+  '更新前後のスナップショットを記録する'
+);
+
+select is(
+  (select count(*)::int from public.audit_logs where action = 'import'),
+  2,
+  'インポートは import として記録する'
+);
+
+select is(
+  (select actor_email from public.audit_logs where action = 'delete'),
+  'manager@example.com',
+  '操作したユーザーを記録する'
+);
+
+select throws_ok(
+  $$ insert into public.audit_logs (organization_id, action) values ('a0000000-0000-0000-0000-000000000000', 'delete') $$,
+  '42501',
+  null,
+  '画面から操作履歴を追加できない'
+);
+
+select is_empty(
+  $$ delete from public.audit_logs returning id $$,
+  '操作履歴は削除できない'
+);
+
+-- 閲覧者は操作履歴を参照できない
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "role": "authenticated"}';
+
+select is(
+  (select count(*)::int from public.audit_logs),
+  0,
+  '閲覧者は操作履歴を参照できない'
+);
+
+select * from finish();
+
+rollback;
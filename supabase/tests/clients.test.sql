@@ -0,0 +1,83 @@
+-- 客先マスタ（表記ゆれの吸収・紐付け・統合）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(7);
+
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'manager@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'estimator@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'manager'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'estimator');
+
+select is(
+  public.normalize_client_name('㈱山田建設'),
+  public.normalize_client_name('株式会社　山田建設 '),
+  '法人格の表記・全角空白の違いを同じ客先名として扱う'
+);
+
+-- マネージャー
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "manager@example.com", "role": "authenticated"}';
+
+insert into public.projects (organization_id, client, title, net_amount, customer_amount, submission_date) values
+  ('a0000000-0000-0000-0000-000000000000', '山田建設', '事務所改修工事', 100000, 120000, '2026-10-01'),
+  ('a0000000-0000-0000-0000-000000000000', '㈱山田建設', '倉庫新築工事', 500000, 600000, '2026-10-02'),
+  ('a0000000-0000-0000-0000-000000000000', 'ﾔﾏﾀﾞ建設', '外構工事', 50000, 60000, '2026-10-03');
+
+select results_eq(
+  $$ select name from public.clients order by name $$,
+  array['ヤマダ建設', '山田建設'],
+  '表記ゆれの客先は1つの客先マスタに登録し、半角カナは全角に統一する'
+);
+
+select results_eq(
+  $$ select distinct client from public.projects where title <> '外構工事' $$,
+  array['山田建設'],
+  'プロジェクトの客先名は客先マスタの正式名称に揃える'
+);
+
+select is(
+  public.merge_clients(
+    (select id from public.clients where name = '山田建設'),
+    array[(select id from public.clients where name = 'ヤマダ建設')]
+  ),
+  1,
+  '統合元の客先のプロジェクトを統合先に付け替える'
+);
+
+select results_eq(
+  $$ select client, count(*)::int from public.projects group by client $$,
+  $$ values ('山田建設'::text, 3) $$,
+  '統合後は同じ客先として集計される'
+);
+
+update public.clients set name = '株式会社山田建設' where name = '山田建設';
+
+select results_eq(
+  $$ select distinct client from public.projects $$,
+  array['株式会社山田建設'],
+  '正式名称を変更すると紐付いているプロジェクトの客先名も変わる'
+);
+
+-- 見積担当
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "email": "estimator@example.com", "role": "authenticated"}';
+
+select throws_ok(
+  $$ select public.merge_clients((select id from public.clients limit 1), array[]::uuid[]) $$,
+  '42501',
+  null,
+  '見積担当は客先を統合できない'
+);
+
+select * from finish();
+
+rollback;
@@ -0,0 +1,99 @@
+-- フォローアップ（経過日数のリマインダー・完了・権限）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(8);
+
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'sales@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'estimator@example.com'),
+  ('10000000-0000-0000-0000-000000000003', 'viewer@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店'),
+  ('c0000000-0000-0000-0000-000000000000', 'B建設');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'estimator'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'estimator'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000003', 'viewer');
+
+insert into public.staff_members (organization_id, name, user_id) values
+  ('a0000000-0000-0000-0000-000000000000', '佐藤花子', '10000000-0000-0000-0000-000000000001');
+
+insert into public.projects (id, organization_id, client, title, sales_manager, net_amount, customer_amount, submission_date, status, created_by) values
+  ('b0000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000000', '山田建設', '40日経過', '佐藤花子', 100000, 120000, current_date - 40, 'submitted', '10000000-0000-0000-0000-000000000002'),
+  ('b0000000-0000-0000-0000-000000000002', 'a0000000-0000-0000-0000-000000000000', '山田建設', '20日経過', null, 100000, 120000, current_date - 20, 'on_hold', '10000000-0000-0000-0000-000000000002'),
+  ('b0000000-0000-0000-0000-000000000003', 'a0000000-0000-0000-0000-000000000000', '山田建設', '受注済み', null, 100000, 120000, current_date - 40, 'won', '10000000-0000-0000-0000-000000000002'),
+  ('b0000000-0000-0000-0000-000000000004', 'a0000000-0000-0000-0000-000000000000', '山田建設', '5日経過', null, 100000, 120000, current_date - 5, 'submitted', '10000000-0000-0000-0000-000000000002'),
+  ('c1000000-0000-0000-0000-000000000001', 'c0000000-0000-0000-0000-000000000000', '鈴木工業', 'B建設の案件', null, 100000, 120000, current_date - 5, 'submitted', null);
+
+select is(public.generate_follow_up_reminders(), 2, '提出済・保留でしきい値を超えたプロジェクトにリマインダーを作成する');
+
+select results_eq(
+  $$ select p.title, f.threshold_days, f.assignee_id, f.due_date - p.submission_date
+     from public.follow_ups f join public.projects p on p.id = f.project_id
+     order by p.title $$,
+  $$ values
+    ('20日経過'::text, 14, '10000000-0000-0000-0000-000000000002'::uuid, 14),
+    ('40日経過'::text, 30, '10000000-0000-0000-0000-000000000001'::uuid, 30) $$,
+  '最も大きいしきい値のリマインダーを営業担当者（未設定の場合は登録したユーザー）に割り当てる'
+);
+
+select is(public.generate_follow_up_reminders(), 0, '作成済みのリマインダーは重複して作成しない');
+
+-- 見積担当（営業担当者以外）
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "email": "estimator@example.com", "role": "authenticated"}';
+
+update public.follow_ups set status = 'done', done_memo = '電話済み'
+where project_id = 'b0000000-0000-0000-0000-000000000001';
+
+select is(
+  (select status from public.follow_ups where project_id = 'b0000000-0000-0000-0000-000000000001'),
+  'open',
+  '見積担当は他のユーザーのフォローアップを完了にできない'
+);
+
+update public.follow_ups set status = 'done', done_memo = '電話済み'
+where project_id = 'b0000000-0000-0000-0000-000000000002';
+
+select results_eq(
+  $$ select status, done_by, done_memo from public.follow_ups where project_id = 'b0000000-0000-0000-0000-000000000002' $$,
+  $$ values ('done'::text, '10000000-0000-0000-0000-000000000002'::uuid, '電話済み'::text) $$,
+  '完了したユーザー・メモを記録する'
+);
+
+select throws_ok(
+  $$ insert into public.follow_ups (organization_id, project_id, title, due_date)
+     values ('a0000000-0000-0000-0000-000000000000', 'c1000000-0000-0000-0000-000000000001', '電話する', current_date) $$,
+  '42501',
+  null,
+  '他の組織のプロジェクトのフォローアップは登録できない'
+);
+
+reset role;
+update public.projects set status = 'lost' where id = 'b0000000-0000-0000-0000-000000000001';
+
+select is(
+  (select status from public.follow_ups where project_id = 'b0000000-0000-0000-0000-000000000001'),
+  'done',
+  '失注になったプロジェクトのリマインダーは自動で完了にする'
+);
+
+-- 閲覧者
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000003", "email": "viewer@example.com", "role": "authenticated"}';
+
+select throws_ok(
+  $$ insert into public.follow_ups (organization_id, project_id, title, due_date)
+     values ('a0000000-0000-0000-0000-000000000000', 'b0000000-0000-0000-0000-000000000004', '電話する', current_date) $$,
+  '42501',
+  null,
+  '閲覧者はフォローアップを登録できない'
+);
+
+select * from finish();
+
+rollback;
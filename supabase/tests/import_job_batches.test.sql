@@ -0,0 +1,79 @@
+-- 分割インポート（import_project_batch）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(5);
+
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'manager@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'estimator@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'manager'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'estimator');
+
+-- マネージャー
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "manager@example.com", "role": "authenticated"}';
+
+select is(
+  (select count(*)::int from public.import_project_batch(
+    'c0000000-0000-0000-0000-000000000001', 0, 'a0000000-0000-0000-0000-000000000000',
+    '[{"organization_id": "a0000000-0000-0000-0000-000000000000", "client": "客先A", "title": "改修工事", "net_amount": 100000, "customer_amount": 120000, "submission_date": "2026-10-01"},
+      {"organization_id": "a0000000-0000-0000-0000-000000000000", "client": "客先B", "title": "新築工事", "net_amount": 500000, "customer_amount": 600000, "submission_date": "2026-10-02"}]'::jsonb,
+    '[]'::jsonb
+  )),
+  2,
+  'バッチの行を登録し、登録したプロジェクトを返す'
+);
+
+select results_eq(
+  $$ select project_id from public.import_project_batch(
+    'c0000000-0000-0000-0000-000000000001', 0, 'a0000000-0000-0000-0000-000000000000',
+    '[{"organization_id": "a0000000-0000-0000-0000-000000000000", "client": "客先A", "title": "改修工事", "net_amount": 100000, "customer_amount": 120000, "submission_date": "2026-10-01"},
+      {"organization_id": "a0000000-0000-0000-0000-000000000000", "client": "客先B", "title": "新築工事", "net_amount": 500000, "customer_amount": 600000, "submission_date": "2026-10-02"}]'::jsonb,
+    '[]'::jsonb
+  ) order by project_id $$,
+  $$ select id from public.projects order by id $$,
+  '登録済みのバッチを再送すると前回の結果を返す'
+);
+
+select is(
+  (select count(*)::int from public.projects),
+  2,
+  '登録済みのバッチを再送しても二重に登録しない'
+);
+
+select is(
+  (select count(*)::int from public.import_project_batch(
+    'c0000000-0000-0000-0000-000000000001', 1, 'a0000000-0000-0000-0000-000000000000',
+    '[{"organization_id": "a0000000-0000-0000-0000-000000000000", "client": "客先C", "title": "外構工事", "net_amount": 50000, "customer_amount": 60000, "submission_date": "2026-10-03"}]'::jsonb,
+    '[]'::jsonb
+  )),
+  1,
+  '次のバッチから続けて登録できる'
+);
+
+-- 見積担当（インポートできない）
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "email": "estimator@example.com", "role": "authenticated"}';
+
+select throws_ok(
+  $$ select * from public.import_project_batch(
+    'c0000000-0000-0000-0000-000000000002', 0, 'a0000000-0000-0000-0000-000000000000',
+    '[]'::jsonb,
+    '[]'::jsonb
+  ) $$,
+  '42501',
+  null,
+  '見積担当はバッチを記録できない'
+);
+
+select * from finish();
+
+rollback;
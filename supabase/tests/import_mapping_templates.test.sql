@@ -0,0 +1,71 @@
+-- インポートの列対応テンプレートのRLSテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(5);
+
+-- テスト用のユーザー・組織（postgres ロールで作成するためRLSは適用されない）
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'a-manager@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'a-estimator@example.com'),
+  ('20000000-0000-0000-0000-000000000001', 'b-manager@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店'),
+  ('b0000000-0000-0000-0000-000000000000', 'B建設');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'manager'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'estimator'),
+  ('b0000000-0000-0000-0000-000000000000', '20000000-0000-0000-0000-000000000001', 'manager');
+
+insert into public.import_mapping_templates (organization_id, name, header_row, mapping) values
+  ('b0000000-0000-0000-0000-000000000000', 'B社の書式', 3, '{"客先": "得意先名"}');
+
+-- A工務店のマネージャー
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into public.import_mapping_templates (organization_id, name, sheet_name, header_row, mapping)
+     values ('a0000000-0000-0000-0000-000000000000', '協力会社の書式', '見積一覧', 2, '{"客先": "得意先", "件名": "工事名"}') $$,
+  'マネージャーは所属組織にテンプレートを作成できる'
+);
+
+select is(
+  (select count(*)::int from public.import_mapping_templates),
+  1,
+  '他の組織のテンプレートは参照できない'
+);
+
+select throws_ok(
+  $$ insert into public.import_mapping_templates (organization_id, name, mapping)
+     values ('b0000000-0000-0000-0000-000000000000', '越境テンプレート', '{}') $$,
+  '42501',
+  null,
+  '所属していない組織にはテンプレートを作成できない'
+);
+
+-- A工務店の見積担当
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "role": "authenticated"}';
+
+select is(
+  (select name from public.import_mapping_templates),
+  '協力会社の書式',
+  '見積担当も所属組織のテンプレートを参照できる'
+);
+
+select throws_ok(
+  $$ insert into public.import_mapping_templates (organization_id, name, mapping)
+     values ('a0000000-0000-0000-0000-000000000000', '見積担当の書式', '{}') $$,
+  '42501',
+  null,
+  '見積担当はテンプレートを作成できない'
+);
+
+select * from finish();
+
+rollback;
@@ -0,0 +1,223 @@
+-- 組織ごとのデータ分離と権限のRLSテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(26);
+
+-- テスト用のユーザー・組織・プロジェクト（postgres ロールで作成するためRLSは適用されない）
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'a-manager@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'a-estimator@example.com'),
+  ('10000000-0000-0000-0000-000000000003', 'a-viewer@example.com'),
+  ('20000000-0000-0000-0000-000000000001', 'b-manager@example.com'),
+  ('20000000-0000-0000-0000-000000000002', 'b-admin@example.com'),
+  ('30000000-0000-0000-0000-000000000001', 'dual@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店'),
+  ('b0000000-0000-0000-0000-000000000000', 'B建設');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'manager'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'estimator'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000003', 'viewer'),
+  ('b0000000-0000-0000-0000-000000000000', '20000000-0000-0000-0000-000000000001', 'manager'),
+  ('b0000000-0000-0000-0000-000000000000', '20000000-0000-0000-0000-000000000002', 'admin'),
+  -- 組織ごとに権限の異なるユーザー（A工務店では閲覧者、B建設ではマネージャー）
+  ('a0000000-0000-0000-0000-000000000000', '30000000-0000-0000-0000-000000000001', 'viewer'),
+  ('b0000000-0000-0000-0000-000000000000', '30000000-0000-0000-0000-000000000001', 'manager');
+
+insert into public.projects (id, organization_id, created_by, client, title, net_amount, customer_amount) values
+  ('a1000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000000',
+    '10000000-0000-0000-0000-000000000002', '客先A', 'A案件（見積担当）', 100000, 120000),
+  ('a1000000-0000-0000-0000-000000000002', 'a0000000-0000-0000-0000-000000000000',
+    '10000000-0000-0000-0000-000000000001', '客先A', 'A案件（マネージャー）', 200000, 250000),
+  ('b1000000-0000-0000-0000-000000000001', 'b0000000-0000-0000-0000-000000000000',
+    '20000000-0000-0000-0000-000000000001', '客先B', 'B案件', 300000, 330000);
+
+insert into public.project_line_items (project_id, item_name, quantity, unit_price, unit_cost) values
+  ('b1000000-0000-0000-0000-000000000001', 'B社の明細', 1, 330000, 300000);
+
+-- A工務店のマネージャー
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "role": "authenticated"}';
+
+select is(
+  (select count(*)::int from public.projects),
+  2,
+  '所属組織のプロジェクトのみ参照できる'
+);
+
+select is(
+  (select count(*)::int from public.project_list_view where organization_id = 'b0000000-0000-0000-0000-000000000000'),
+  0,
+  '一覧用ビューでも他の組織のプロジェクトは参照できない'
+);
+
+select is(
+  (select total_projects::int from public.project_summary('floor', null)),
+  2,
+  '統計サマリーは所属組織のプロジェクトのみ集計する'
+);
+
+select is(
+  (select count(*)::int from public.project_line_items),
+  0,
+  '他の組織の内訳明細は参照できない'
+);
+
+select results_eq(
+  'select name from public.organizations order by name',
+  array['A工務店'],
+  '所属している組織のみ取得できる'
+);
+
+select throws_ok(
+  $$ insert into public.projects (organization_id, client, title) values ('b0000000-0000-0000-0000-000000000000', '客先B', '越境登録') $$,
+  '42501',
+  null,
+  '所属していない組織にはプロジェクトを登録できない'
+);
+
+select is_empty(
+  $$ update public.projects set title = '越境更新' where id = 'b1000000-0000-0000-0000-000000000001' returning id $$,
+  '他の組織のプロジェクトは更新できない'
+);
+
+select is_empty(
+  $$ delete from public.projects where id = 'b1000000-0000-0000-0000-000000000001' returning id $$,
+  '他の組織のプロジェクトは削除できない'
+);
+
+select isnt_empty(
+  $$ update public.projects set title = 'A案件（更新）' where id = 'a1000000-0000-0000-0000-000000000001' returning id $$,
+  'マネージャーは組織内の他人のプロジェクトを更新できる'
+);
+
+-- A工務店の見積担当
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "role": "authenticated"}';
+
+select isnt_empty(
+  $$ update public.projects set title = '自分の案件' where id = 'a1000000-0000-0000-0000-000000000001' returning id $$,
+  '見積担当は自分が登録したプロジェクトを更新できる'
+);
+
+select is_empty(
+  $$ update public.projects set title = '他人の案件' where id = 'a1000000-0000-0000-0000-000000000002' returning id $$,
+  '見積担当は他人が登録したプロジェクトを更新できない'
+);
+
+select is_empty(
+  $$ delete from public.projects where id = 'a1000000-0000-0000-0000-000000000001' returning id $$,
+  '見積担当はプロジェクトを削除できない'
+);
+
+-- A工務店の閲覧者
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000003", "role": "authenticated"}';
+
+select throws_ok(
+  $$ insert into public.projects (organization_id, client, title) values ('a0000000-0000-0000-0000-000000000000', '客先A', '閲覧者の登録') $$,
+  '42501',
+  null,
+  '閲覧者はプロジェクトを登録できない'
+);
+
+select is_empty(
+  $$ update public.organization_members set role = 'admin' where user_id = '10000000-0000-0000-0000-000000000003' returning user_id $$,
+  'システム管理者以外は権限を変更できない'
+);
+
+-- A工務店では閲覧者、B建設ではマネージャーのユーザー
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "30000000-0000-0000-0000-000000000001", "role": "authenticated"}';
+
+select isnt_empty(
+  $$ update public.projects set title = 'B案件（更新）' where id = 'b1000000-0000-0000-0000-000000000001' returning id $$,
+  'マネージャーの組織では他人のプロジェクトを更新できる'
+);
+
+select is_empty(
+  $$ update public.projects set title = '閲覧者の更新' where id = 'a1000000-0000-0000-0000-000000000002' returning id $$,
+  '閲覧者の組織ではプロジェクトを更新できない'
+);
+
+select throws_ok(
+  $$ insert into public.projects (organization_id, client, title) values ('a0000000-0000-0000-0000-000000000000', '客先A', '閲覧者の登録') $$,
+  '42501',
+  null,
+  '閲覧者の組織ではプロジェクトを登録できない'
+);
+
+-- B建設のシステム管理者
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "20000000-0000-0000-0000-000000000002", "role": "authenticated"}';
+
+select results_eq(
+  'select name from public.organizations order by name',
+  array['B建設'],
+  'システム管理者も所属していない組織は参照できない'
+);
+
+select throws_ok(
+  $$ insert into public.organization_members (organization_id, user_id) values ('a0000000-0000-0000-0000-000000000000', '20000000-0000-0000-0000-000000000002') $$,
+  '42501',
+  null,
+  'システム管理者も所属していない組織に自分を追加できない'
+);
+
+select is_empty(
+  $$ delete from public.organization_members where organization_id = 'a0000000-0000-0000-0000-000000000000' returning user_id $$,
+  'システム管理者も所属していない組織のメンバーを削除できない'
+);
+
+select results_eq(
+  $$ select email, role from public.organization_member_roles('b0000000-0000-0000-0000-000000000000') $$,
+  $$ values ('b-admin@example.com'::text, 'admin'::text), ('b-manager@example.com', 'manager'), ('dual@example.com', 'manager') $$,
+  'システム管理者は組織のメンバーと組織での権限を参照できる'
+);
+
+select throws_ok(
+  $$ select * from public.organization_member_roles('a0000000-0000-0000-0000-000000000000') $$,
+  '42501',
+  null,
+  'システム管理者も他の組織のメンバーの権限は参照できない'
+);
+
+select is_empty(
+  $$ update public.organization_members set role = 'viewer' where user_id = '10000000-0000-0000-0000-000000000001' returning user_id $$,
+  'システム管理者も他の組織のユーザーの権限は変更できない'
+);
+
+select isnt_empty(
+  $$ update public.organization_members set role = 'estimator'
+     where organization_id = 'b0000000-0000-0000-0000-000000000000' and user_id = '30000000-0000-0000-0000-000000000001'
+     returning user_id $$,
+  'システム管理者は組織のメンバーの権限を変更できる'
+);
+
+select is_empty(
+  $$ update public.organization_members set role = 'admin'
+     where organization_id = 'a0000000-0000-0000-0000-000000000000' and user_id = '30000000-0000-0000-0000-000000000001'
+     returning user_id $$,
+  '同じユーザーでも他の組織での権限は変更できない'
+);
+
+reset role;
+
+select results_eq(
+  $$ select organization_id::text, role from public.organization_members
+     where user_id = '30000000-0000-0000-0000-000000000001' order by organization_id $$,
+  $$ values ('a0000000-0000-0000-0000-000000000000'::text, 'viewer'::text), ('b0000000-0000-0000-0000-000000000000', 'estimator') $$,
+  '権限の変更は変更した組織のみに反映される'
+);
+
+select * from finish();
+
+rollback;
@@ -0,0 +1,94 @@
+-- プロジェクトの活動記録（経過の登録・変更の自動記録・権限）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(7);
+
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'estimator@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'other@example.com'),
+  ('10000000-0000-0000-0000-000000000003', 'viewer@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'estimator'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'estimator'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000003', 'viewer');
+
+-- 見積担当
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "estimator@example.com", "role": "authenticated"}';
+
+insert into public.projects (id, organization_id, client, title, net_amount, customer_amount, submission_date, created_by) values
+  ('b0000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000000', '山田建設', '外壁改修', 100000, 120000, current_date, '10000000-0000-0000-0000-000000000001');
+
+update public.projects set customer_amount = 110000, status = 'on_hold'
+where id = 'b0000000-0000-0000-0000-000000000001';
+update public.projects set title = '外壁改修工事'
+where id = 'b0000000-0000-0000-0000-000000000001';
+
+select results_eq(
+  $$ select before_data ->> 'customer_amount', after_data ->> 'customer_amount', after_data ->> 'status', author_email
+     from public.project_activities
+     where project_id = 'b0000000-0000-0000-0000-000000000001' and kind = 'change'
+     order by created_at, before_data nulls first $$,
+  $$ values
+    (null, '120000.00', 'submitted', 'estimator@example.com'),
+    ('120000.00', '110000.00', 'on_hold', 'estimator@example.com') $$,
+  '登録と金額・ステータスの変更を変更したユーザーとともに記録し、その他の項目の変更は記録しない'
+);
+
+insert into public.project_activities (organization_id, project_id, kind, body, author_id, author_email, created_at) values
+  ('a0000000-0000-0000-0000-000000000000', 'b0000000-0000-0000-0000-000000000001', 'phone', '先方より値引きの相談', '10000000-0000-0000-0000-000000000002', 'other@example.com', now() - interval '10 days');
+
+select results_eq(
+  $$ select author_id, author_email, created_at = now()
+     from public.project_activities where kind = 'phone' $$,
+  $$ values ('10000000-0000-0000-0000-000000000001'::uuid, 'estimator@example.com'::text, true) $$,
+  '登録したユーザー・日時はサーバー側で設定する'
+);
+
+select throws_ok(
+  $$ insert into public.project_activities (organization_id, project_id, kind, before_data, after_data)
+     values ('a0000000-0000-0000-0000-000000000000', 'b0000000-0000-0000-0000-000000000001', 'change', '{}', '{"status": "won"}') $$,
+  '42501',
+  null,
+  '変更の記録は画面から登録できない'
+);
+
+select is_empty(
+  $$ delete from public.project_activities where kind = 'change' returning id $$,
+  '変更の記録は削除できない'
+);
+
+-- 他の見積担当
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "email": "other@example.com", "role": "authenticated"}';
+
+select is_empty(
+  $$ delete from public.project_activities where kind = 'phone' returning id $$,
+  '見積担当は他のユーザーの経過を削除できない'
+);
+
+-- 閲覧者
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000003", "email": "viewer@example.com", "role": "authenticated"}';
+
+select is(
+  (select count(*)::int from public.project_activities),
+  3,
+  '閲覧者も組織のプロジェクトの活動記録を参照できる'
+);
+
+select throws_ok(
+  $$ insert into public.project_activities (organization_id, project_id, kind, body)
+     values ('a0000000-0000-0000-0000-000000000000', 'b0000000-0000-0000-0000-000000000001', 'comment', '確認しました') $$,
+  '42501',
+  null,
+  '閲覧者は経過を登録できない'
+);
+
+select * from finish();
+
+rollback;
@@ -0,0 +1,83 @@
+-- 内訳明細の保存（replace_project_line_items・update_project_with_line_items）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(7);
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店');
+
+insert into public.projects (id, organization_id, client, title, net_amount, customer_amount, submission_date) values
+  ('b0000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000000', '山田建設', '外壁改修', 1, 1, current_date),
+  ('b0000000-0000-0000-0000-000000000002', 'a0000000-0000-0000-0000-000000000000', '山田建設', '屋根改修', 1, 1, current_date);
+
+select public.replace_project_line_items('b0000000-0000-0000-0000-000000000001', $$[
+  { "sort_order": 0, "category": "material", "item_name": "塗料", "quantity": 2.5, "unit": "缶", "unit_price": 333, "unit_cost": 100.4 },
+  { "sort_order": 1, "category": "labor", "item_name": "塗装工", "quantity": 3, "unit": "人工", "unit_price": 30000, "unit_cost": 25000 }
+]$$::jsonb);
+
+select results_eq(
+  $$ select net_amount, customer_amount from public.projects where id = 'b0000000-0000-0000-0000-000000000001' $$,
+  $$ values (75251::numeric, 90833::numeric) $$,
+  'プロジェクトの金額を明細ごとに四捨五入した合計に揃える'
+);
+
+select throws_ok(
+  $$ select public.replace_project_line_items('b0000000-0000-0000-0000-000000000001', '[
+       { "sort_order": 0, "category": "material", "item_name": "足場", "quantity": 0, "unit_price": 1000, "unit_cost": 800 }
+     ]'::jsonb) $$,
+  '23514',
+  null,
+  '不正な明細は登録できない'
+);
+
+select results_eq(
+  $$ select count(*)::int, max(p.net_amount) from public.project_line_items i
+     join public.projects p on p.id = i.project_id
+     where i.project_id = 'b0000000-0000-0000-0000-000000000001' $$,
+  $$ values (2, 75251::numeric) $$,
+  '登録に失敗した場合は既存の明細と金額が残る'
+);
+
+select public.replace_project_line_items('b0000000-0000-0000-0000-000000000001', '[]'::jsonb);
+
+select results_eq(
+  $$ select (select count(*)::int from public.project_line_items where project_id = p.id), p.net_amount
+     from public.projects p where p.id = 'b0000000-0000-0000-0000-000000000001' $$,
+  $$ values (0, 75251::numeric) $$,
+  '明細をすべて削除した場合は金額を変更しない'
+);
+
+-- 編集内容と明細を1回の更新で保存する
+select results_eq(
+  $$ select title, net_amount, customer_amount from public.update_project_with_line_items(
+       'b0000000-0000-0000-0000-000000000002',
+       '{ "title": "屋根葺き替え", "net_amount": 1, "customer_amount": 1 }'::jsonb,
+       '[{ "sort_order": 0, "category": "labor", "item_name": "板金工", "quantity": 2, "unit": "人工", "unit_price": 35000, "unit_cost": 28000 }]'::jsonb
+     ) $$,
+  $$ values ('屋根葺き替え'::text, 56000::numeric, 70000::numeric) $$,
+  '編集内容を反映し、金額を明細の合計に揃える'
+);
+
+select is(
+  (select count(*)::int from public.audit_logs
+   where record_id = 'b0000000-0000-0000-0000-000000000002' and action = 'update'),
+  1,
+  'プロジェクトの行は1回だけ更新する'
+);
+
+select throws_ok(
+  $$ select * from public.update_project_with_line_items(
+       'b0000000-0000-0000-0000-000000000002',
+       '{ "title": "保存されない件名" }'::jsonb,
+       '[{ "sort_order": 0, "category": "material", "item_name": "足場", "quantity": 0, "unit_price": 1000, "unit_cost": 800 }]'::jsonb
+     ) $$,
+  '23514',
+  null,
+  '明細の登録に失敗した場合はプロジェクトも更新しない'
+);
+
+select * from finish();
+
+rollback;
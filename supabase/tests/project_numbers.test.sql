@@ -0,0 +1,85 @@
+-- 工事番号の自動採番のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(7);
+
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'estimator@example.com');
+
+insert into public.organizations (id, name, project_number_format) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店', '{年度}-{連番:4}'),
+  ('b0000000-0000-0000-0000-000000000000', 'B工務店', '{客先}{年度:2}-{連番:3}');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'estimator'),
+  ('b0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'estimator');
+
+insert into public.clients (organization_id, name, project_number_prefix) values
+  ('b0000000-0000-0000-0000-000000000000', '山田建設', 'YMD');
+
+select is(
+  public.project_fiscal_year('2027-03-31'),
+  2026,
+  '3月31日までは前年の年度として扱う'
+);
+
+select throws_ok(
+  $$ update public.organizations set project_number_format = '{年度}-{番号}' where name = 'A工務店' $$,
+  '23514',
+  null,
+  '連番を含まない・未知の記号を含む採番形式は設定できない'
+);
+
+-- 見積担当
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "estimator@example.com", "role": "authenticated"}';
+
+insert into public.projects (organization_id, project_number, client, title, net_amount, customer_amount, submission_date) values
+  ('a0000000-0000-0000-0000-000000000000', '2026-0002', '鈴木工業', '移行前の工事', 100000, 120000, '2026-04-01'),
+  ('a0000000-0000-0000-0000-000000000000', null, '鈴木工業', '事務所改修工事', 100000, 120000, '2026-10-01'),
+  ('a0000000-0000-0000-0000-000000000000', ' ', '鈴木工業', '倉庫新築工事', 500000, 600000, '2027-03-31'),
+  ('a0000000-0000-0000-0000-000000000000', null, '鈴木工業', '外構工事', 50000, 60000, '2027-04-01');
+
+select results_eq(
+  $$ select project_number from public.projects where organization_id = 'a0000000-0000-0000-0000-000000000000' order by submission_date $$,
+  array['2026-0002', '2026-0001', '2026-0003', '2027-0001'],
+  '空欄の工事番号は年度ごとの連番で採番し、手入力の工事番号と重なる番号は飛ばす'
+);
+
+select throws_ok(
+  $$ insert into public.projects (organization_id, project_number, client, title, net_amount, customer_amount, submission_date)
+     values ('a0000000-0000-0000-0000-000000000000', '2026-0001', '鈴木工業', '重複', 1, 1, '2026-10-01') $$,
+  '23505',
+  null,
+  '工事番号は組織内で重複できない'
+);
+
+insert into public.projects (organization_id, client, title, net_amount, customer_amount, submission_date) values
+  ('b0000000-0000-0000-0000-000000000000', '㈱山田建設', '事務所改修工事', 100000, 120000, '2026-10-01'),
+  ('b0000000-0000-0000-0000-000000000000', '佐藤 設備', '倉庫新築工事', 500000, 600000, '2026-10-02'),
+  ('b0000000-0000-0000-0000-000000000000', '山田建設', '外構工事', 50000, 60000, '2026-10-03');
+
+select results_eq(
+  $$ select project_number from public.projects where organization_id = 'b0000000-0000-0000-0000-000000000000' order by submission_date $$,
+  array['YMD26-001', '佐藤設備26-001', 'YMD26-002'],
+  '客先ごとに略号（未設定の場合は客先名）を付けて連番を数える'
+);
+
+select is(
+  (select project_number from public.projects where organization_id = 'a0000000-0000-0000-0000-000000000000' and title = '移行前の工事'),
+  '2026-0002',
+  '手入力の工事番号はそのまま登録する'
+);
+
+select throws_ok(
+  $$ select public.next_project_number('a0000000-0000-0000-0000-000000000000', '{連番}', current_date, null) $$,
+  '42501',
+  null,
+  '採番はトリガーからのみ行える'
+);
+
+select * from finish();
+
+rollback;
@@ -0,0 +1,59 @@
+-- 既定の保存ビューの切り替え（set_default_saved_view）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(5);
+
+-- テスト用のユーザー・保存ビュー（postgres ロールで作成するためRLSは適用されない）
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'user-a@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'user-b@example.com');
+
+insert into public.saved_views (id, user_id, name, settings, is_default) values
+  ('c1000000-0000-0000-0000-000000000001', '10000000-0000-0000-0000-000000000001', '今月の提出', '{}', true),
+  ('c1000000-0000-0000-0000-000000000002', '10000000-0000-0000-0000-000000000001', '受注済み', '{}', false),
+  ('c2000000-0000-0000-0000-000000000001', '10000000-0000-0000-0000-000000000002', '他人のビュー', '{}', true);
+
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "role": "authenticated"}';
+
+select public.set_default_saved_view('c1000000-0000-0000-0000-000000000002');
+
+select results_eq(
+  $$ select name from public.saved_views where is_default $$,
+  array['受注済み'],
+  '既定のビューを切り替えると以前の既定は解除される'
+);
+
+select throws_ok(
+  $$ select public.set_default_saved_view('c2000000-0000-0000-0000-000000000001') $$,
+  'P0002',
+  null,
+  '他のユーザーのビューは既定にできない'
+);
+
+select results_eq(
+  $$ select name from public.saved_views where is_default $$,
+  array['受注済み'],
+  '既定にできなかった場合は以前の既定が残る'
+);
+
+select public.set_default_saved_view(null);
+
+select is_empty(
+  $$ select id from public.saved_views where is_default $$,
+  'null を渡すと既定のビューを解除する'
+);
+
+reset role;
+
+select is(
+  (select is_default from public.saved_views where id = 'c2000000-0000-0000-0000-000000000001'),
+  true,
+  '他のユーザーの既定のビューは変更しない'
+);
+
+select * from finish();
+
+rollback;
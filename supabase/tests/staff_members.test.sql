@@ -0,0 +1,87 @@
+-- 担当者マスタ（紐付け・名前の変更・担当者別集計）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(7);
+
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'manager@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'estimator@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'manager'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'estimator');
+
+-- 見積担当
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "email": "estimator@example.com", "role": "authenticated"}';
+
+insert into public.projects (organization_id, client, title, construction_manager, sales_manager, net_amount, customer_amount, submission_date, status) values
+  ('a0000000-0000-0000-0000-000000000000', '山田建設', '事務所改修工事', '田中 太郎', '佐藤花子', 100000, 120000, current_date - 10, 'submitted'),
+  ('a0000000-0000-0000-0000-000000000000', '山田建設', '倉庫新築工事', '田中　太郎', null, 500000, 600000, current_date - 45, 'submitted'),
+  ('a0000000-0000-0000-0000-000000000000', '鈴木工業', '外構工事', '田中太郎', '佐藤花子', 50000, 60000, current_date - 100, 'won');
+
+select results_eq(
+  $$ select name from public.staff_members order by name collate "C" $$,
+  array['佐藤花子', '田中 太郎'],
+  '担当者名の空白の違いは同じ担当者として担当者マスタに登録する'
+);
+
+select results_eq(
+  $$ select count(distinct construction_manager_id)::int, count(distinct construction_manager)::int from public.projects $$,
+  $$ values (1, 1) $$,
+  'プロジェクトの担当者名は担当者マスタの名前に揃える'
+);
+
+select throws_ok(
+  $$ insert into public.staff_members (organization_id, name) values ('a0000000-0000-0000-0000-000000000000', '鈴木一郎') $$,
+  '42501',
+  null,
+  '見積担当は担当者マスタに直接登録できない'
+);
+
+select throws_ok(
+  $$ select * from public.staff_user_options('a0000000-0000-0000-0000-000000000000') $$,
+  '42501',
+  null,
+  '見積担当はログインユーザーの選択肢を取得できない'
+);
+
+-- マネージャー
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "manager@example.com", "role": "authenticated"}';
+
+update public.staff_members set name = '田中太郎', user_id = '10000000-0000-0000-0000-000000000001'
+where name = '田中 太郎';
+
+select results_eq(
+  $$ select distinct construction_manager from public.projects $$,
+  array['田中太郎'],
+  '担当者の名前を変更すると紐付いているプロジェクトの担当者名も変わる'
+);
+
+select results_eq(
+  $$ select project_count::int, open_count::int, aging_0_30::int, aging_31_60::int, aging_over_90::int, user_id
+     from public.staff_aggregation('floor', 'a0000000-0000-0000-0000-000000000000')
+     where role = 'construction' $$,
+  $$ values (3, 2, 1, 1, 0, '10000000-0000-0000-0000-000000000001'::uuid) $$,
+  '工事担当者ごとに件数・未決件数・経過日数の分布を集計する'
+);
+
+select results_eq(
+  $$ select name, project_count::int
+     from public.staff_aggregation('floor', 'a0000000-0000-0000-0000-000000000000')
+     where role = 'sales'
+     order by project_count desc $$,
+  $$ values ('佐藤花子'::text, 2), (null::text, 1) $$,
+  '営業担当者が未設定のプロジェクトは担当者なしとして集計する'
+);
+
+select * from finish();
+
+rollback;
@@ -0,0 +1,167 @@
+-- ゴミ箱（論理削除・復元・完全削除・自動削除）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(16);
+
+-- テスト用のユーザー・組織・プロジェクト（postgres ロールで作成するためRLSは適用されない）
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'manager@example.com'),
+  ('10000000-0000-0000-0000-000000000002', 'estimator@example.com'),
+  ('20000000-0000-0000-0000-000000000001', 'b-manager@example.com');
+
+insert into public.organizations (id, name, trash_retention_days) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店', 30),
+  ('b0000000-0000-0000-0000-000000000000', 'B建設', 30);
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'manager'),
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000002', 'estimator'),
+  ('b0000000-0000-0000-0000-000000000000', '20000000-0000-0000-0000-000000000001', 'manager');
+
+insert into public.projects (id, organization_id, created_by, client, title, net_amount, customer_amount, deleted_at) values
+  ('a1000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000000',
+    '10000000-0000-0000-0000-000000000002', '客先A', '見積担当の案件', 100000, 120000, null),
+  ('a1000000-0000-0000-0000-000000000002', 'a0000000-0000-0000-0000-000000000000',
+    '10000000-0000-0000-0000-000000000001', '客先A', '保存期間切れ', 200000, 250000, now() - interval '31 days'),
+  ('a1000000-0000-0000-0000-000000000003', 'a0000000-0000-0000-0000-000000000000',
+    '10000000-0000-0000-0000-000000000001', '客先A', '保存期間内', 300000, 330000, now() - interval '29 days'),
+  ('b1000000-0000-0000-0000-000000000001', 'b0000000-0000-0000-0000-000000000000',
+    '20000000-0000-0000-0000-000000000001', '客先B', 'B建設の保存期間切れ', 400000, 440000, now() - interval '31 days');
+
+-- 見積担当は自分のプロジェクトでもゴミ箱に移動できない
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "role": "authenticated"}';
+
+select throws_ok(
+  $$ update public.projects set deleted_at = now() where id = 'a1000000-0000-0000-0000-000000000001' $$,
+  '42501',
+  null,
+  '見積担当はゴミ箱に移動できない'
+);
+
+-- マネージャー
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "manager@example.com", "role": "authenticated"}';
+
+select is_empty(
+  $$ delete from public.projects where id = 'a1000000-0000-0000-0000-000000000001' returning id $$,
+  'ゴミ箱に移動していないプロジェクトは完全削除できない'
+);
+
+update public.projects
+set deleted_at = '2000-01-01', deleted_by = '10000000-0000-0000-0000-000000000002'
+where id = 'a1000000-0000-0000-0000-000000000001';
+
+select is(
+  (select deleted_by::text || ' ' || deleted_by_email || ' ' || (deleted_at > now() - interval '1 minute')::text
+   from public.projects where id = 'a1000000-0000-0000-0000-000000000001'),
+  '10000000-0000-0000-0000-000000000001 manager@example.com true',
+  '削除日時・削除したユーザーはサーバー側で記録する'
+);
+
+select is(
+  (select count(*)::int from public.project_list_view),
+  0,
+  '一覧用ビューにはゴミ箱内のプロジェクトを表示しない'
+);
+
+select is(
+  (select total_projects::int from public.project_summary('floor', 'a0000000-0000-0000-0000-000000000000')),
+  0,
+  '統計サマリーはゴミ箱内のプロジェクトを集計しない'
+);
+
+select throws_ok(
+  $$ update public.projects set title = '編集' where id = 'a1000000-0000-0000-0000-000000000001' $$,
+  '42501',
+  null,
+  'ゴミ箱内のプロジェクトは復元するまで編集できない'
+);
+
+update public.projects set deleted_at = null where id = 'a1000000-0000-0000-0000-000000000001';
+
+select is(
+  (select row(deleted_at, deleted_by, deleted_by_email)::text
+   from public.projects where id = 'a1000000-0000-0000-0000-000000000001'),
+  '(,,)',
+  '復元すると削除日時・削除したユーザーを消去する'
+);
+
+select is(
+  (select count(*)::int from public.project_list_view),
+  1,
+  '復元したプロジェクトは一覧に戻る'
+);
+
+select results_eq(
+  $$ select action from public.audit_logs where record_id = 'a1000000-0000-0000-0000-000000000001' order by id $$,
+  array['create', 'trash', 'restore'],
+  'ゴミ箱への移動・復元を操作履歴に記録する'
+);
+
+-- 保存期間を過ぎたプロジェクトの自動削除
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000002", "role": "authenticated"}';
+
+select is(
+  public.purge_expired_trash(),
+  0,
+  '見積担当が実行しても完全削除しない'
+);
+
+reset role;
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "manager@example.com", "role": "authenticated"}';
+
+select is(
+  public.purge_expired_trash(),
+  1,
+  '保存期間を過ぎたプロジェクトのみ完全削除する'
+);
+
+select results_eq(
+  $$ select title from public.projects where deleted_at is not null $$,
+  array['保存期間内'],
+  '保存期間内のプロジェクトはゴミ箱に残る'
+);
+
+select is(
+  (select action from public.audit_logs where record_id = 'a1000000-0000-0000-0000-000000000002' order by id desc limit 1),
+  'purge',
+  '自動削除は purge として記録する'
+);
+
+reset role;
+
+select is(
+  (select count(*)::int from public.projects where id = 'b1000000-0000-0000-0000-000000000001'),
+  1,
+  'マネージャーの組織以外のゴミ箱は完全削除しない'
+);
+
+set local role anon;
+
+select throws_ok(
+  'select public.purge_expired_trash()',
+  '42501',
+  null,
+  'ログインしていないユーザーは実行できない'
+);
+
+-- pg_cron からの実行（ログインユーザーなし）は全組織が対象
+reset role;
+set local request.jwt.claims to '{"role": "service_role"}';
+
+select is(
+  public.purge_expired_trash(),
+  1,
+  'pg_cron からの実行は全組織の保存期間を過ぎたプロジェクトを完全削除する'
+);
+
+select * from finish();
+
+rollback;
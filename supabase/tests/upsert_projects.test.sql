@@ -0,0 +1,62 @@
+-- 既存のプロジェクトを更新するインポート（upsert_projects）のテスト（ローカルのSupabaseで `supabase test db` を実行）
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(5);
+
+insert into auth.users (id, email) values
+  ('10000000-0000-0000-0000-000000000001', 'manager@example.com');
+
+insert into public.organizations (id, name) values
+  ('a0000000-0000-0000-0000-000000000000', 'A工務店');
+
+insert into public.organization_members (organization_id, user_id, role) values
+  ('a0000000-0000-0000-0000-000000000000', '10000000-0000-0000-0000-000000000001', 'manager');
+
+insert into public.projects (id, organization_id, project_number, client, title, net_amount, customer_amount, deleted_at) values
+  ('a1000000-0000-0000-0000-000000000001', 'a0000000-0000-0000-0000-000000000000', 'P-001', '客先A', '改修工事', 100000, 120000, null),
+  ('a1000000-0000-0000-0000-000000000002', 'a0000000-0000-0000-0000-000000000000', 'P-002', '客先B', '削除済みの工事', 100000, 120000, now());
+
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "10000000-0000-0000-0000-000000000001", "email": "manager@example.com", "role": "authenticated"}';
+
+select results_eq(
+  $$ select operation from public.upsert_projects(
+    '[{"organization_id": "a0000000-0000-0000-0000-000000000000", "project_number": "P-003", "client": "客先C", "title": "新築工事", "net_amount": 500000, "customer_amount": 600000, "submission_date": "2026-10-01"}]'::jsonb,
+    '[{"id": "a1000000-0000-0000-0000-000000000001", "customer_amount": 150000, "status": "won", "won_date": "2026-10-10"},
+      {"id": "a1000000-0000-0000-0000-000000000002", "customer_amount": 150000}]'::jsonb
+  ) order by operation $$,
+  array['insert', 'update'],
+  '登録・更新したプロジェクトを返し、ゴミ箱内のプロジェクトは更新しない'
+);
+
+select results_eq(
+  $$ select title, customer_amount, status, won_date from public.projects where id = 'a1000000-0000-0000-0000-000000000001' $$,
+  $$ values ('改修工事'::text, 150000.00::numeric, 'won'::text, '2026-10-10'::date) $$,
+  '指定した項目のみ更新し、それ以外の項目は変更しない'
+);
+
+select is(
+  (select customer_amount from public.projects where id = 'a1000000-0000-0000-0000-000000000002'),
+  120000.00::numeric,
+  'ゴミ箱内のプロジェクトの金額は変わらない'
+);
+
+select results_eq(
+  $$ select action from public.audit_logs where action = 'import' order by id $$,
+  array['import', 'import'],
+  'インポートによる登録・更新を import として記録する'
+);
+
+update public.projects set title = '改修工事（追加）' where id = 'a1000000-0000-0000-0000-000000000001';
+
+select is(
+  (select action from public.audit_logs where record_id = 'a1000000-0000-0000-0000-000000000001' order by id desc limit 1),
+  'update',
+  'インポート後の通常の更新は update として記録する'
+);
+
+select * from finish();
+
+rollback;